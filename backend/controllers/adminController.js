@@ -2,13 +2,19 @@
  * @fileoverview Admin Controller for AgriSahayak Platform
  * 
  * Provides admin-only operations for user management,
- * verification approvals, banning, and platform analytics.
+ * verification approvals, banning, platform analytics, resolving
+ * order disputes, marketplace fee rules, the money ledger and farmer
+ * payouts, and cash on delivery reconciliation.
  * 
  * @module controllers/adminController
  * @requires express-async-handler
  * @requires models/User
  * @requires models/Crop
  * @requires models/Order
+ * @requires services/codService
+ * @requires services/ledgerService
+ * @requires services/payoutService
+ * @requires services/pricingService
  * 
  * @see Epic 7 - Trust & Safety
  */
@@ -19,6 +25,11 @@ const User = require('../models/User');
 const Crop = require('../models/Crop');
 const Order = require('../models/Order');
 const { sendActivationEmail } = require('../utils/emailService');
+const { resolveDispute } = require('../services/escrowService');
+const { acceptCashCollected, getCodReconciliation } = require('../services/codService');
+const { getTrialBalance, parsePeriod, platformFeeIncome, toRupees } = require('../services/ledgerService');
+const { listPayoutBatches, runPayoutBatch } = require('../services/payoutService');
+const { listFeeRules, saveFeeRule, deleteFeeRule } = require('../services/pricingService');
 
 /**
  * Create a new Farmer or Buyer account (Admin only)
@@ -179,6 +190,48 @@ const banUser = asyncHandler(async (req, res) => {
     });
 });
 
+/**
+ * Set a Buyer's Pricing Tier
+ *
+ * Fee rules can differ per tier (see GET /api/admin/fee-rules).
+ *
+ * @route PUT /api/admin/users/:id/tier
+ * @access Private (Admin only)
+ * @param {Object} req.body - { tier: 'standard' | 'silver' | 'gold' }
+ */
+const setBuyerTier = asyncHandler(async (req, res) => {
+    if (!['standard', 'silver', 'gold'].includes(req.body.tier)) {
+        res.status(400);
+        throw new Error('Tier must be standard, silver or gold');
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+        res.status(404);
+        throw new Error('User not found');
+    }
+
+    if (user.role !== 'BUYER') {
+        res.status(400);
+        throw new Error('Only buyers have a pricing tier');
+    }
+
+    user.buyerTier = req.body.tier;
+    await user.save();
+
+    res.status(200).json({
+        message: `${user.name || user.phone} is now on the ${user.buyerTier} tier`,
+        user: {
+            _id: user._id,
+            name: user.name,
+            phone: user.phone,
+            role: user.role,
+            buyerTier: user.buyerTier
+        }
+    });
+});
+
 /**
  * Get Platform Statistics
  * 
@@ -194,7 +247,8 @@ const getPlatformStats = asyncHandler(async (req, res) => {
         activeCrops,
         totalOrders,
         deliveredOrders,
-        revenueResult
+        revenueResult,
+        platformFees
     ] = await Promise.all([
         User.countDocuments(),
         User.countDocuments({ role: 'FARMER' }),
@@ -206,7 +260,8 @@ const getPlatformStats = asyncHandler(async (req, res) => {
         Order.aggregate([
             { $match: { orderStatus: { $ne: 'Cancelled' } } },
             { $group: { _id: null, totalRevenue: { $sum: '$totalAmount' } } }
-        ])
+        ]),
+        platformFeeIncome()
     ]);
 
     const totalRevenue = revenueResult.length > 0 ? revenueResult[0].totalRevenue : 0;
@@ -225,14 +280,172 @@ const getPlatformStats = asyncHandler(async (req, res) => {
             total: totalOrders,
             delivered: deliveredOrders
         },
-        totalRevenue
+        totalRevenue,
+        platformFees
     });
 });
 
+/**
+ * Get Disputed Orders
+ *
+ * Orders whose buyer has disputed them, with the payment held in escrow.
+ *
+ * @route GET /api/admin/disputes
+ * @access Private (Admin only)
+ */
+const getDisputedOrders = asyncHandler(async (req, res) => {
+    const orders = await Order.find({ 'escrow.status': 'disputed' })
+        .populate('buyer', 'name phone')
+        .populate('farmer', 'name phone')
+        .sort({ 'escrow.disputedAt': 1 });
+
+    res.status(200).json(orders);
+});
+
+/**
+ * Resolve an Order Dispute
+ *
+ * Releases the escrowed payment to the farmer or refunds the buyer.
+ *
+ * @route PUT /api/admin/orders/:id/dispute
+ * @access Private (Admin only)
+ * @param {Object} req.body - { action: 'release' | 'refund', note? }
+ */
+const resolveOrderDispute = asyncHandler(async (req, res) => {
+    const order = await resolveDispute({
+        orderId: req.params.id,
+        action: req.body.action,
+        note: req.body.note
+    });
+
+    res.status(200).json(order);
+});
+
+/**
+ * Get the COD Reconciliation Report
+ *
+ * Cash on delivery orders shipped but not yet paid, per farmer and by
+ * days since shipping, with the collections that did not match.
+ *
+ * @route GET /api/admin/cod-reconciliation
+ * @access Private (Admin only)
+ */
+const getCodReport = asyncHandler(async (req, res) => {
+    res.status(200).json(await getCodReconciliation());
+});
+
+/**
+ * Accept a Mismatched COD Collection
+ *
+ * Marks the order paid with the cash the farmer recorded.
+ *
+ * @route PUT /api/admin/orders/:id/cod-collection
+ * @access Private (Admin only)
+ * @param {Object} req.body - { note? }
+ */
+const acceptCodCollection = asyncHandler(async (req, res) => {
+    const order = await acceptCashCollected({ orderId: req.params.id, note: req.body.note });
+    res.status(200).json(order);
+});
+
+/**
+ * List Fee Rules
+ *
+ * @route GET /api/admin/fee-rules
+ * @access Private (Admin only)
+ */
+const getFeeRules = asyncHandler(async (req, res) => {
+    res.status(200).json(await listFeeRules());
+});
+
+/**
+ * Create a Fee Rule
+ *
+ * @route POST /api/admin/fee-rules
+ * @access Private (Admin only)
+ * @param {Object} req.body - { name, kind: 'percentage' | 'flat', value, payer?, categories?, orderTypes?, buyerTiers?, active? }
+ * @returns {Object} 201 - The rule
+ */
+const createFeeRule = asyncHandler(async (req, res) => {
+    res.status(201).json(await saveFeeRule({ fields: req.body }));
+});
+
+/**
+ * Update a Fee Rule
+ *
+ * Orders already placed keep the fees they were priced with.
+ *
+ * @route PUT /api/admin/fee-rules/:id
+ * @access Private (Admin only)
+ */
+const updateFeeRule = asyncHandler(async (req, res) => {
+    res.status(200).json(await saveFeeRule({ id: req.params.id, fields: req.body }));
+});
+
+/**
+ * Delete a Fee Rule
+ *
+ * @route DELETE /api/admin/fee-rules/:id
+ * @access Private (Admin only)
+ */
+const removeFeeRule = asyncHandler(async (req, res) => {
+    await deleteFeeRule(req.params.id);
+    res.status(200).json({ message: 'Fee rule deleted' });
+});
+
+/**
+ * Get the Ledger Trial Balance
+ *
+ * Debits, credits and net balance of each ledger account over a period.
+ *
+ * @route GET /api/admin/ledger?from=YYYY-MM-DD&to=YYYY-MM-DD
+ * @access Private (Admin only)
+ */
+const getLedger = asyncHandler(async (req, res) => {
+    res.status(200).json(await getTrialBalance(parsePeriod(req.query)));
+});
+
+/**
+ * List Payout Batches
+ *
+ * @route GET /api/admin/payouts
+ * @access Private (Admin only)
+ */
+const getPayouts = asyncHandler(async (req, res) => {
+    res.status(200).json(await listPayoutBatches({ limit: req.query.limit }));
+});
+
+/**
+ * Run a Payout Batch Now
+ *
+ * Pays out every farmer's settled balance without waiting for the
+ * scheduled run.
+ *
+ * @route POST /api/admin/payouts/run
+ * @access Private (Admin only)
+ * @returns {Object} 201 - The completed batch
+ */
+const runPayouts = asyncHandler(async (req, res) => {
+    const batch = await runPayoutBatch({ triggeredBy: req.user.id });
+    res.status(201).json({ ...batch.toObject(), totalAmount: toRupees(batch.totalAmount) });
+});
+
 module.exports = {
     createUser,
     getAllUsers,
     verifyUser,
     banUser,
-    getPlatformStats
+    setBuyerTier,
+    getPlatformStats,
+    getDisputedOrders,
+    resolveOrderDispute,
+    getCodReport,
+    acceptCodCollection,
+    getFeeRules,
+    createFeeRule,
+    updateFeeRule,
+    removeFeeRule,
+    getLedger,
+    getPayouts,
+    runPayouts
 };
@@ -0,0 +1,459 @@
+/**
+ * @fileoverview Auction Controller for AgriSahayak Platform
+ *
+ * Handles timed auctions on crop listings: creation by the farmer,
+ * listing and viewing by all users, bidding by buyers and cancellation.
+ * Auctions past their end time are closed (see services/auctionService)
+ * before they are read, so clients always see the settled result.
+ * Late bids extend the auction (soft close) so it cannot be sniped.
+ * Buyers can also set a hidden maximum and let the platform bid for them
+ * (see services/proxyBidService).
+ *
+ * @module controllers/auctionController
+ * @requires express-async-handler
+ * @requires models/Auction
+ * @requires models/Bid
+ * @requires models/Crop
+ *
+ * @see Epic 4, Story 4.1 - Create Auction
+ * @see Epic 4, Story 4.2 - Place Real-Time Bids
+ */
+
+const mongoose = require('mongoose');
+const asyncHandler = require('express-async-handler');
+const Auction = require('../models/Auction');
+const Bid = require('../models/Bid');
+const Crop = require('../models/Crop');
+const ProxyBid = require('../models/ProxyBid');
+const { createNotification } = require('../utils/notificationEmitter');
+const {
+    closeDueAuctions,
+    getMinNextBid,
+    recordAuctionBid,
+    DEFAULT_SOFT_CLOSE_MINUTES,
+    DEFAULT_EXTENSION_MINUTES
+} = require('../services/auctionService');
+const { runProxyBidding } = require('../services/proxyBidService');
+const {
+    getAvailableQuantity,
+    reserveQuantity,
+    releaseReservation
+} = require('../services/inventoryService');
+
+const MIN_DURATION_HOURS = 1;
+const MAX_DURATION_HOURS = 48;
+
+/**
+ * Shape an auction for the API response.
+ * The reserve price is only visible to the farmer who owns the auction;
+ * everyone else only learns whether it has been met.
+ */
+function serializeAuction(auction, userId) {
+    const data = auction.toObject ? auction.toObject() : { ...auction };
+    const farmerId = String(data.farmer?._id || data.farmer);
+
+    data.reserveMet = data.currentBid > 0 && data.currentBid >= data.reservePrice;
+    data.minNextBid = getMinNextBid(data);
+
+    if (farmerId !== String(userId)) {
+        delete data.reservePrice;
+    }
+
+    return data;
+}
+
+const populateAuction = (query) => query
+    .populate('crop', 'name quantity price quality image location category')
+    .populate('farmer', 'name phone location')
+    .populate({ path: 'highestBid', select: 'amount buyerId createdAt', populate: { path: 'buyerId', select: 'name' } });
+
+/**
+ * Create an Auction for a Crop Listing
+ *
+ * @route POST /api/auctions
+ * @access Private (Farmer who owns the crop)
+ */
+const createAuction = asyncHandler(async (req, res) => {
+    const {
+        cropId,
+        startingPrice,
+        reservePrice,
+        quantity,
+        durationHours,
+        endTime,
+        softCloseMinutes,
+        extensionMinutes
+    } = req.body;
+
+    if (!cropId || startingPrice === undefined || startingPrice === null || startingPrice === '') {
+        res.status(400);
+        throw new Error('Crop ID and starting price are required');
+    }
+
+    const crop = await Crop.findById(cropId);
+    if (!crop) {
+        res.status(404);
+        throw new Error('Crop not found');
+    }
+
+    if (crop.farmer.toString() !== req.user.id) {
+        res.status(403);
+        throw new Error('You can only auction your own crops');
+    }
+
+    if (crop.isSold || crop.status === 'Sold') {
+        res.status(400);
+        throw new Error('This crop has already been sold');
+    }
+
+    const available = getAvailableQuantity(crop);
+    const auctionQuantity = Number(quantity || available);
+    if (!auctionQuantity || auctionQuantity <= 0) {
+        res.status(400);
+        throw new Error('Valid quantity is required');
+    }
+
+    if (auctionQuantity > available) {
+        res.status(400);
+        throw new Error(`Only ${available} quintal(s) available for this crop`);
+    }
+
+    const opening = Number(startingPrice);
+    const reserve = Number(reservePrice || 0);
+    if (Number.isNaN(opening) || Number.isNaN(reserve)) {
+        res.status(400);
+        throw new Error('Starting and reserve prices must be numbers');
+    }
+
+    let closesAt;
+    if (endTime) {
+        closesAt = new Date(endTime);
+    } else {
+        const hours = Number(durationHours || 24);
+        if (!hours || hours < MIN_DURATION_HOURS || hours > MAX_DURATION_HOURS) {
+            res.status(400);
+            throw new Error(`Auction duration must be between ${MIN_DURATION_HOURS} and ${MAX_DURATION_HOURS} hours`);
+        }
+        closesAt = new Date(Date.now() + hours * 60 * 60 * 1000);
+    }
+
+    if (Number.isNaN(closesAt.getTime()) || closesAt <= new Date()) {
+        res.status(400);
+        throw new Error('Auction end time must be in the future');
+    }
+
+    const existing = await Auction.findOne({ crop: crop._id, status: 'active' });
+    if (existing) {
+        res.status(400);
+        throw new Error('This crop already has an active auction');
+    }
+
+    const auction = await Auction.create({
+        crop: crop._id,
+        farmer: req.user.id,
+        quantity: auctionQuantity,
+        startingPrice: opening,
+        reservePrice: reserve,
+        endTime: closesAt,
+        originalEndTime: closesAt,
+        softCloseMinutes: softCloseMinutes ?? DEFAULT_SOFT_CLOSE_MINUTES,
+        extensionMinutes: extensionMinutes ?? DEFAULT_EXTENSION_MINUTES
+    });
+
+    // The auctioned quintals are held until the auction closes
+    try {
+        await reserveQuantity(crop._id, {
+            source: 'auction',
+            quantity: auctionQuantity,
+            auction: auction._id
+        });
+    } catch (error) {
+        await Auction.deleteOne({ _id: auction._id });
+        throw error;
+    }
+
+    const populated = await populateAuction(Auction.findById(auction._id));
+    res.status(201).json(serializeAuction(populated, req.user.id));
+});
+
+/**
+ * List Auctions
+ *
+ * @route GET /api/auctions
+ * @access Private
+ * @query {String} [status=active] - active | ended | cancelled | all
+ * @query {String} [cropId] - Only auctions for this crop
+ * @query {String} [mine] - 'true' to list only the caller's own auctions (farmer)
+ */
+const getAuctions = asyncHandler(async (req, res) => {
+    const { status = 'active', cropId, mine } = req.query;
+
+    await closeDueAuctions();
+
+    const filter = {};
+    if (status !== 'all') {
+        filter.status = status;
+    }
+    if (cropId) {
+        filter.crop = cropId;
+    }
+    if (mine === 'true') {
+        filter.farmer = req.user.id;
+    }
+
+    const auctions = await populateAuction(Auction.find(filter)).sort({ endTime: 1 });
+
+    res.status(200).json(auctions.map((auction) => serializeAuction(auction, req.user.id)));
+});
+
+/**
+ * Get a Single Auction with its Bids
+ *
+ * @route GET /api/auctions/:id
+ * @access Private
+ */
+const getAuctionById = asyncHandler(async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        res.status(404);
+        throw new Error('Auction not found');
+    }
+
+    await closeDueAuctions(new Date(), { _id: req.params.id });
+
+    const auction = await populateAuction(Auction.findById(req.params.id));
+    if (!auction) {
+        res.status(404);
+        throw new Error('Auction not found');
+    }
+
+    const bids = await Bid.find({ auction: auction._id })
+        .populate('buyerId', 'name')
+        .sort({ amount: -1, createdAt: 1 });
+
+    // The hidden maximum is only ever shown to the buyer who set it
+    const myProxy = await ProxyBid.findOne({ auction: auction._id, buyerId: req.user.id })
+        .select('maxAmount status placedAt');
+
+    res.status(200).json({
+        ...serializeAuction(auction, req.user.id),
+        bids,
+        myProxy
+    });
+});
+
+/**
+ * Load an auction a buyer wants to bid in, closing it first if it is due.
+ * Responds with the appropriate error if the buyer cannot bid.
+ */
+async function loadBiddableAuction(req, res) {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        res.status(404);
+        throw new Error('Auction not found');
+    }
+
+    await closeDueAuctions(new Date(), { _id: req.params.id });
+
+    const auction = await Auction.findById(req.params.id).populate('crop', 'name');
+    if (!auction) {
+        res.status(404);
+        throw new Error('Auction not found');
+    }
+
+    if (auction.status !== 'active' || auction.endTime <= new Date()) {
+        res.status(400);
+        throw new Error('This auction is no longer accepting bids');
+    }
+
+    if (auction.farmer.toString() === req.user.id) {
+        res.status(400);
+        throw new Error('You cannot bid on your own auction');
+    }
+
+    return auction;
+}
+
+/**
+ * Place a Bid in an Auction
+ *
+ * The bid is written atomically (see auctionService.recordAuctionBid),
+ * extending the auction if it lands in the soft-close window. Proxy bids
+ * then get the chance to respond.
+ *
+ * @route POST /api/auctions/:id/bids
+ * @access Private (Buyer)
+ */
+const placeAuctionBid = asyncHandler(async (req, res) => {
+    const amount = Number(req.body.amount);
+
+    if (!amount || amount <= 0) {
+        res.status(400);
+        throw new Error('Valid bid amount is required');
+    }
+
+    const auction = await loadBiddableAuction(req, res);
+
+    const minBid = getMinNextBid(auction);
+    if (amount < minBid) {
+        res.status(400);
+        throw new Error(`Bid must be at least ₹${minBid}/quintal`);
+    }
+
+    const result = await recordAuctionBid(auction, {
+        buyerId: req.user.id,
+        buyerName: req.user.name,
+        amount
+    });
+
+    if (!result) {
+        res.status(409);
+        throw new Error('Another bid was placed first. Please refresh and bid again.');
+    }
+
+    await runProxyBidding(auction._id);
+
+    const populated = await populateAuction(Auction.findById(auction._id));
+
+    res.status(201).json({
+        bid: result.bid,
+        auction: serializeAuction(populated, req.user.id)
+    });
+});
+
+/**
+ * Set or Raise a Proxy (Maximum) Bid
+ *
+ * Stores the buyer's hidden maximum for the auction and lets the proxy
+ * engine bid for them straight away. A maximum can only be raised; the
+ * new maximum must reach the minimum next bid unless the buyer is
+ * already leading.
+ *
+ * @route POST /api/auctions/:id/proxy
+ * @access Private (Buyer)
+ */
+const setProxyBid = asyncHandler(async (req, res) => {
+    const maxAmount = Number(req.body.maxAmount);
+
+    if (!maxAmount || maxAmount <= 0) {
+        res.status(400);
+        throw new Error('Valid maximum bid amount is required');
+    }
+
+    const auction = await loadBiddableAuction(req, res);
+
+    const leaderBid = auction.highestBid
+        ? await Bid.findById(auction.highestBid).select('buyerId')
+        : null;
+    const isLeading = leaderBid && leaderBid.buyerId.toString() === req.user.id;
+    const floor = isLeading ? auction.currentBid : getMinNextBid(auction);
+
+    if (maxAmount < floor) {
+        res.status(400);
+        throw new Error(`Maximum bid must be at least ₹${floor}/quintal`);
+    }
+
+    const existing = await ProxyBid.findOne({ auction: auction._id, buyerId: req.user.id });
+    if (existing && existing.status === 'active' && maxAmount <= existing.maxAmount) {
+        res.status(400);
+        throw new Error(`Your maximum is already ₹${existing.maxAmount}/quintal. You can only raise it.`);
+    }
+
+    const proxy = await ProxyBid.findOneAndUpdate(
+        { auction: auction._id, buyerId: req.user.id },
+        {
+            $set: {
+                listingId: auction.crop._id,
+                maxAmount,
+                placedAt: new Date(),
+                status: 'active'
+            }
+        },
+        { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    const placed = await runProxyBidding(auction._id);
+
+    const populated = await populateAuction(Auction.findById(auction._id));
+    const refreshedProxy = await ProxyBid.findById(proxy._id).select('maxAmount status placedAt');
+
+    res.status(201).json({
+        proxy: refreshedProxy,
+        placedBids: placed.length,
+        auction: serializeAuction(populated, req.user.id)
+    });
+});
+
+/**
+ * Cancel an Active Auction
+ *
+ * Pending bids in the auction are rejected and their buyers notified.
+ * The auctioned quantity becomes available again.
+ *
+ * @route PUT /api/auctions/:id/cancel
+ * @access Private (Farmer who owns the auction)
+ */
+const cancelAuction = asyncHandler(async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        res.status(404);
+        throw new Error('Auction not found');
+    }
+
+    const auction = await Auction.findById(req.params.id).populate('crop', 'name');
+    if (!auction) {
+        res.status(404);
+        throw new Error('Auction not found');
+    }
+
+    if (auction.farmer.toString() !== req.user.id) {
+        res.status(403);
+        throw new Error('Only the farmer can cancel this auction');
+    }
+
+    const cancelled = await Auction.findOneAndUpdate(
+        { _id: auction._id, status: 'active', endTime: { $gt: new Date() } },
+        { $set: { status: 'cancelled', closedAt: new Date() } },
+        { new: true }
+    );
+
+    if (!cancelled) {
+        res.status(400);
+        throw new Error('Only active auctions can be cancelled');
+    }
+
+    const pendingBids = await Bid.find({ auction: auction._id, status: 'Pending' }).select('buyerId');
+    await Bid.updateMany(
+        { auction: auction._id, status: 'Pending' },
+        { $set: { status: 'Rejected' } }
+    );
+    await ProxyBid.updateMany(
+        { auction: auction._id, status: 'active' },
+        { $set: { status: 'closed' } }
+    );
+    await releaseReservation(auction.crop._id, { auction: auction._id });
+
+    const notifiedBuyers = new Set();
+    for (const pending of pendingBids) {
+        const buyerKey = pending.buyerId.toString();
+        if (notifiedBuyers.has(buyerKey)) continue;
+        notifiedBuyers.add(buyerKey);
+
+        await createNotification({
+            userId: pending.buyerId,
+            role: 'BUYER',
+            title: 'Auction Cancelled',
+            message: `The auction for ${auction.crop?.name || 'crop'} was cancelled by the farmer. Your bids were released.`,
+            type: 'bid',
+        });
+    }
+
+    const populated = await populateAuction(Auction.findById(cancelled._id));
+    res.status(200).json(serializeAuction(populated, req.user.id));
+});
+
+module.exports = {
+    createAuction,
+    getAuctions,
+    getAuctionById,
+    placeAuctionBid,
+    setProxyBid,
+    cancelAuction,
+};
@@ -0,0 +1,415 @@
+/**
+ * @fileoverview Cart Controller for AgriSahayak Platform
+ *
+ * Server-side shopping cart for buyers sourcing from several farmers.
+ * Buyers add listings with a quantity and check out once; checkout
+ * splits the cart into one Order per farmer, each with its own payment
+ * record and notifications, and all orders are created or none are
+ * (see services/orderService).
+ *
+ * Cart items are bought at the listing's asking price, plus any buyer
+ * fees (see services/pricingService). Accepted bids and
+ * negotiations keep using the single-listing checkout (POST /api/trade/orders).
+ *
+ * @module controllers/cartController
+ * @requires express-async-handler
+ * @requires models/Cart
+ * @requires models/Crop
+ * @requires services/pricingService
+ *
+ * @see Epic 4, Story 4.1 - Fixed-Price Purchase
+ * @see Epic 4, Story 4.7 - Order Confirmation
+ */
+
+const crypto = require('crypto');
+const asyncHandler = require('express-async-handler');
+const Cart = require('../models/Cart');
+const Crop = require('../models/Crop');
+const Order = require('../models/Order');
+const { validatePaymentPayload } = require('../utils/paymentValidation');
+const { createNotification } = require('../utils/notificationEmitter');
+const { getAvailableQuantity } = require('../services/inventoryService');
+const { placeOrders } = require('../services/orderService');
+const { startPayment } = require('../services/paymentService');
+const { resolveCheckoutPayment } = require('../services/paymentVaultService');
+const { loadActiveFeeRules, priceOrder } = require('../services/pricingService');
+
+/** Crop fields the cart needs to show and price an item. */
+const CART_CROP_FIELDS = 'name price category processed advancePercent quantity reservedQuantity quality image location isSold status farmer';
+
+/**
+ * Load the buyer's cart with its crops (and their farmers) populated.
+ */
+const loadCart = (buyerId) => Cart.findOne({ buyer: buyerId }).populate({
+    path: 'items.crop',
+    select: CART_CROP_FIELDS,
+    populate: { path: 'farmer', select: 'name phone location state' }
+});
+
+/** Fee rules, buyer tier and buyer's state (for GST) to price a buyer's cart with. */
+const cartPricing = async (req) => ({ rules: await loadActiveFeeRules(), buyerTier: req.user.buyerTier, recipientState: req.user.state });
+
+/**
+ * Shape a cart for the client: items grouped by farmer (one group per
+ * order checkout will create), with subtotals at the current asking price
+ * and the tax and buyer fees each order will carry. Items whose listing was
+ * deleted are dropped.
+ */
+const toCartView = (cart, { rules = [], buyerTier, recipientState } = {}) => {
+    const groups = new Map();
+    const items = [];
+
+    for (const item of cart?.items || []) {
+        const crop = item.crop;
+        if (!crop || !crop.farmer) continue;
+
+        const available = crop.isSold ? 0 : getAvailableQuantity(crop);
+        const line = {
+            crop: crop._id,
+            name: crop.name,
+            quality: crop.quality,
+            image: crop.image,
+            location: crop.location,
+            category: crop.category,
+            processed: crop.processed,
+            advancePercent: crop.advancePercent,
+            pricePerKg: crop.price,
+            quantity: item.quantity,
+            available,
+            total: item.quantity * crop.price,
+            addedAt: item.addedAt
+        };
+        items.push(line);
+
+        const farmerId = String(crop.farmer._id);
+        if (!groups.has(farmerId)) {
+            groups.set(farmerId, { farmer: crop.farmer, items: [], subtotal: 0 });
+        }
+        const group = groups.get(farmerId);
+        group.items.push(line);
+        group.subtotal += line.total;
+    }
+
+    const farmers = [...groups.values()].map((group) => {
+        const pricing = priceOrder({
+            items: group.items,
+            orderType: 'buyNow',
+            buyerTier,
+            rules,
+            supplierState: group.farmer.state,
+            recipientState
+        });
+        return {
+            ...group,
+            taxAmount: pricing.taxAmount,
+            fees: pricing.fees.filter((fee) => fee.payer === 'buyer'),
+            total: pricing.totalAmount,
+            paymentSchedule: pricing.paymentSchedule
+        };
+    });
+    return {
+        items,
+        farmers,
+        totalAmount: Math.round(farmers.reduce((sum, group) => sum + group.total, 0) * 100) / 100
+    };
+};
+
+/**
+ * Check a crop can go in this buyer's cart and return it.
+ */
+const loadCartableCrop = async (cropId, userId, res) => {
+    const crop = await Crop.findById(cropId);
+    if (!crop) {
+        res.status(404);
+        throw new Error('Crop not found');
+    }
+
+    if (crop.farmer.toString() === userId) {
+        res.status(400);
+        throw new Error('You cannot buy your own listing');
+    }
+
+    if (crop.isSold || crop.status === 'Sold') {
+        res.status(400);
+        throw new Error('This crop is no longer available');
+    }
+
+    return crop;
+};
+
+/**
+ * Check a requested quantity against what the listing still has.
+ */
+const assertQuantity = (crop, quantity, res) => {
+    if (!Number.isInteger(quantity) || quantity < 1) {
+        res.status(400);
+        throw new Error('Quantity must be a whole number of quintals (at least 1)');
+    }
+
+    const available = getAvailableQuantity(crop);
+    if (quantity > available) {
+        res.status(400);
+        throw new Error(`Only ${available} quintal(s) available for ${crop.name}`);
+    }
+};
+
+/**
+ * Get the Current Buyer's Cart
+ *
+ * @route GET /api/cart
+ * @access Private (Buyer)
+ */
+const getCart = asyncHandler(async (req, res) => {
+    const cart = await loadCart(req.user.id);
+    res.status(200).json(toCartView(cart, await cartPricing(req)));
+});
+
+/**
+ * Add a Listing to the Cart
+ *
+ * Adding a listing that is already in the cart increases its quantity.
+ *
+ * @route POST /api/cart/items
+ * @access Private (Buyer)
+ * @param {Object} req.body - { cropId, quantity? } (quantity defaults to 1)
+ */
+const addCartItem = asyncHandler(async (req, res) => {
+    const { cropId } = req.body;
+    if (!cropId) {
+        res.status(400);
+        throw new Error('Crop ID is required');
+    }
+
+    const crop = await loadCartableCrop(cropId, req.user.id, res);
+    const cart = await Cart.findOne({ buyer: req.user.id }) || new Cart({ buyer: req.user.id, items: [] });
+
+    const existing = cart.items.find((item) => String(item.crop) === String(crop._id));
+    const quantity = Number(req.body.quantity ?? 1) + (existing ? existing.quantity : 0);
+    assertQuantity(crop, quantity, res);
+
+    if (existing) {
+        existing.quantity = quantity;
+    } else {
+        cart.items.push({ crop: crop._id, quantity });
+    }
+    await cart.save();
+
+    res.status(200).json(toCartView(await loadCart(req.user.id), await cartPricing(req)));
+});
+
+/**
+ * Change the Quantity of a Cart Item
+ *
+ * @route PUT /api/cart/items/:cropId
+ * @access Private (Buyer)
+ * @param {Object} req.body - { quantity }
+ */
+const updateCartItem = asyncHandler(async (req, res) => {
+    const cart = await Cart.findOne({ buyer: req.user.id });
+    const item = cart?.items.find((entry) => String(entry.crop) === req.params.cropId);
+    if (!item) {
+        res.status(404);
+        throw new Error('This listing is not in your cart');
+    }
+
+    const crop = await loadCartableCrop(req.params.cropId, req.user.id, res);
+    const quantity = Number(req.body.quantity);
+    assertQuantity(crop, quantity, res);
+
+    item.quantity = quantity;
+    await cart.save();
+
+    res.status(200).json(toCartView(await loadCart(req.user.id), await cartPricing(req)));
+});
+
+/**
+ * Remove a Listing from the Cart
+ *
+ * @route DELETE /api/cart/items/:cropId
+ * @access Private (Buyer)
+ */
+const removeCartItem = asyncHandler(async (req, res) => {
+    await Cart.updateOne(
+        { buyer: req.user.id },
+        { $pull: { items: { crop: req.params.cropId } } }
+    );
+
+    res.status(200).json(toCartView(await loadCart(req.user.id), await cartPricing(req)));
+});
+
+/**
+ * Empty the Cart
+ *
+ * @route DELETE /api/cart
+ * @access Private (Buyer)
+ */
+const clearCart = asyncHandler(async (req, res) => {
+    await Cart.updateOne({ buyer: req.user.id }, { $set: { items: [] } });
+    res.status(200).json(toCartView(null));
+});
+
+/**
+ * Check Out the Cart
+ *
+ * Creates one order per farmer, each carrying its own payment record.
+ * All orders share a checkoutId, and a card or UPI payment is one
+ * provider payment for all of them, so they end up 'paid', 'failed' or
+ * still 'pending' together. If any listing no longer has the quantity,
+ * no order is created and the cart is left as it was.
+ *
+ * As with POST /api/trade/orders, the buyer pays with new details or a
+ * saved method (`paymentMethodId`), and can save new details with `saveMethod`.
+ * An order with a listing that requires an advance is booked with a
+ * payment schedule, so only its advance is charged and COD is refused.
+ *
+ * @route POST /api/cart/checkout
+ * @access Private (Buyer)
+ * @param {Object} req.body - { paymentMethod, shippingAddress, paymentDetails?, paymentMethodId?, saveMethod? }
+ * @returns {Object} 201 - { checkoutId, orders }
+ */
+const checkoutCart = asyncHandler(async (req, res) => {
+    const { paymentMethod, shippingAddress, paymentDetails, paymentMethodId, saveMethod } = req.body;
+
+    if (!(paymentMethod || paymentMethodId) || !shippingAddress) {
+        res.status(400);
+        throw new Error('Payment method and shipping address are required');
+    }
+
+    if (!paymentMethodId) {
+        const paymentValidationError = validatePaymentPayload(paymentMethod, paymentDetails);
+        if (paymentValidationError) {
+            res.status(400);
+            throw new Error(paymentValidationError);
+        }
+    }
+
+    const cart = await loadCart(req.user.id);
+    if (!cart || cart.items.length === 0) {
+        res.status(400);
+        throw new Error('Your cart is empty');
+    }
+
+    const byFarmer = new Map();
+    for (const item of cart.items) {
+        const crop = item.crop;
+        if (!crop || !crop.farmer) {
+            res.status(400);
+            throw new Error('A listing in your cart is no longer available. Please remove it and try again.');
+        }
+        if (crop.isSold || crop.status === 'Sold') {
+            res.status(400);
+            throw new Error(`${crop.name} is no longer available`);
+        }
+        assertQuantity(crop, item.quantity, res);
+
+        const farmerId = String(crop.farmer._id);
+        if (!byFarmer.has(farmerId)) {
+            byFarmer.set(farmerId, { farmer: crop.farmer, lines: [] });
+        }
+        byFarmer.get(farmerId).lines.push({ crop, quantity: item.quantity });
+    }
+
+    const rules = await loadActiveFeeRules();
+    const groups = [...byFarmer.values()].map(({ farmer, lines }) => {
+        const items = lines.map(({ crop, quantity }) => ({
+            crop: crop._id,
+            name: crop.name,
+            category: crop.category,
+            processed: crop.processed,
+            advancePercent: crop.advancePercent,
+            quantity,
+            pricePerKg: crop.price,
+            total: quantity * crop.price
+        }));
+        const pricing = priceOrder({
+            items,
+            orderType: 'buyNow',
+            buyerTier: req.user.buyerTier,
+            rules,
+            supplierState: farmer.state,
+            recipientState: req.user.state
+        });
+        return { farmer, lines, pricing };
+    });
+
+    // Card/UPI details are exchanged for a provider token before anything is written
+    const charge = await resolveCheckoutPayment({ user: req.user, paymentMethod, paymentDetails, paymentMethodId, saveMethod });
+
+    // An advance is paid online at booking
+    if (charge.method === 'cod' && groups.some(({ pricing }) => pricing.paymentSchedule.length > 0)) {
+        res.status(400);
+        throw new Error('A listing in your cart requires an advance payment by card or UPI');
+    }
+
+    const checkoutId = crypto.randomUUID();
+    const orders = await placeOrders({
+        buyerId: req.user.id,
+        shippingAddress,
+        orders: groups.map(({ farmer, lines, pricing }) => ({
+            farmerId: farmer._id,
+            lines,
+            order: {
+                items: pricing.items,
+                subtotal: pricing.subtotal,
+                taxes: pricing.taxes,
+                taxAmount: pricing.taxAmount,
+                fees: pricing.fees,
+                totalAmount: pricing.totalAmount,
+                shippingCost: pricing.shippingCost,
+                paymentSchedule: pricing.paymentSchedule,
+                paymentMethod: charge.method,
+                paymentStatus: 'pending',
+                orderStatus: 'Pending',
+                payment: charge.token ? { instrument: charge.instrument, savedMethod: charge.savedMethodId } : undefined,
+                orderType: 'buyNow',
+                checkoutId
+            }
+        }))
+    });
+
+    await Cart.updateOne({ buyer: req.user.id }, { $set: { items: [] } });
+
+    // One payment covers every order in the checkout
+    const paid = charge.method === 'cod'
+        ? orders
+        : (await startPayment({ orders, paymentMethod: charge.method, paymentToken: charge.token })).filter((order) => ['partially_paid', 'paid'].includes(order.paymentStatus));
+
+    // A payment still processing or declined is announced when it settles
+    // or is retried (services/paymentService)
+    for (const order of paid) {
+        const group = groups.find(({ farmer }) => String(farmer._id) === String(order.farmer));
+        const summary = order.items.map((item) => `${item.quantity} quintal(s) of ${item.name}`).join(', ');
+
+        await createNotification({
+            userId: group.farmer._id,
+            role: 'FARMER',
+            title: 'New Direct Purchase',
+            message: `${req.user.name || 'A buyer'} bought ${summary} for ₹${order.totalAmount}.`,
+            type: 'buy',
+        });
+
+        await createNotification({
+            userId: req.user.id,
+            role: 'BUYER',
+            title: 'Order Confirmed',
+            message: `Your order from ${group.farmer.name || 'the farmer'} (${summary}) is confirmed for ₹${order.totalAmount}.`,
+            type: 'order',
+        });
+    }
+
+    const populated = await Order.find({ checkoutId })
+        .populate('buyer', 'name phone')
+        .populate('farmer', 'name phone')
+        .sort({ createdAt: 1 });
+
+    res.status(201).json({ checkoutId, orders: populated });
+});
+
+module.exports = {
+    getCart,
+    addCartItem,
+    updateCartItem,
+    removeCartItem,
+    clearCart,
+    checkoutCart,
+};
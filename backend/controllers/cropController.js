@@ -12,6 +12,7 @@
  * @module controllers/cropController
  * @requires express-async-handler - Async error wrapper for Express handlers
  * @requires models/Crop - Crop model for database operations
+ * @requires services/autoNegotiationService - Validates negotiation rules
  * 
  * @see Epic 2, Story 2.4 - Add Crop Listing
  * @see Epic 2, Story 2.6 - View Crop Listings
@@ -19,6 +20,7 @@
 
 const asyncHandler = require('express-async-handler');
 const Crop = require('../models/Crop');
+const { normalizeNegotiationRules } = require('../services/autoNegotiationService');
 
 /**
  * Create a New Crop Listing
@@ -37,6 +39,7 @@ const Crop = require('../models/Crop');
  * @param {String} req.body.quality - Quality grade: 'A', 'B', or 'C' (required)
  * @param {String} req.body.description - Optional description (max 500 chars)
  * @param {String} req.body.location - Crop location (optional, falls back to user location)
+ * @param {Number} req.body.advancePercent - Advance required at booking, 0-90% (optional)
  * 
  * @returns {Object} 201 - The created crop document
  * @returns {Object} 400 - Missing required fields
@@ -54,7 +57,7 @@ const Crop = require('../models/Crop');
  */
 const createCrop = asyncHandler(async (req, res) => {
     // Destructure crop details from the request body
-    const { name, quantity, price, quality, description, location } = req.body;
+    const { name, quantity, price, quality, description, location, category, processed, advancePercent } = req.body;
 
     // Validate that all required fields are present
     if (!name || !quantity || price === undefined || price === null || !quality) {
@@ -72,6 +75,9 @@ const createCrop = asyncHandler(async (req, res) => {
         price,
         quality,
         description,
+        category,               // Marketplace fees can depend on it; defaults to 'other'
+        processed,              // Decides the GST rate; defaults to false (as harvested)
+        advancePercent: advancePercent || 0, // Share paid at booking; 0 is paid in full
         location: location || req.user.location // Fallback to farmer's profile location
     });
 
@@ -184,7 +190,7 @@ const updateCrop = asyncHandler(async (req, res) => {
         throw new Error('Not authorized to update this crop');
     }
 
-    const blockedFields = ['_id', 'farmer', 'createdAt', 'updatedAt', '__v'];
+    const blockedFields = ['_id', 'farmer', 'createdAt', 'updatedAt', '__v', 'reservedQuantity', 'reservations', 'negotiationRules'];
     const payload = Object.keys(req.body || {}).reduce((acc, key) => {
         if (!blockedFields.includes(key)) {
             acc[key] = req.body[key];
@@ -197,6 +203,12 @@ const updateCrop = asyncHandler(async (req, res) => {
         throw new Error('Posting date cannot be updated');
     }
 
+    // Quantity already reserved for buyers cannot be taken off the listing
+    if (payload.quantity !== undefined && Number(payload.quantity) < (crop.reservedQuantity || 0)) {
+        res.status(400);
+        throw new Error(`Quantity cannot be lower than the ${crop.reservedQuantity} quintal(s) reserved for buyers`);
+    }
+
     const updatedCrop = await Crop.findByIdAndUpdate(
         req.params.id,
         payload,
@@ -231,11 +243,70 @@ const deleteCrop = asyncHandler(async (req, res) => {
     res.status(200).json({ message: 'Crop deleted successfully', id: req.params.id });
 });
 
+/**
+ * Load a crop with its negotiation rules, for its farmer only.
+ */
+const findOwnCropWithRules = async (req, res) => {
+    const crop = await Crop.findById(req.params.id).select('+negotiationRules');
+
+    if (!crop) {
+        res.status(404);
+        throw new Error('Crop not found');
+    }
+
+    if (crop.farmer.toString() !== req.user.id) {
+        res.status(403);
+        throw new Error('Not authorized to manage negotiation rules for this crop');
+    }
+
+    return crop;
+};
+
+/**
+ * Get a Listing's Negotiation Rules
+ *
+ * The rules that answer buyers' offers automatically
+ * (see services/autoNegotiationService). Only the listing's farmer sees
+ * them; buyers never see the floor price.
+ *
+ * @route GET /api/crops/:id/negotiation-rules
+ * @access Private (Owner farmer only)
+ * @returns {Object} 200 - { enabled, floorPrice, autoAcceptPrice, counterStrategy, maxRounds }
+ */
+const getNegotiationRules = asyncHandler(async (req, res) => {
+    const crop = await findOwnCropWithRules(req, res);
+    res.status(200).json(crop.negotiationRules || { enabled: false });
+});
+
+/**
+ * Set a Listing's Negotiation Rules
+ *
+ * @route PUT /api/crops/:id/negotiation-rules
+ * @access Private (Owner farmer only)
+ * @param {Object} req.body - { enabled, floorPrice?, autoAcceptPrice?, counterStrategy?, maxRounds? }
+ * @returns {Object} 200 - The saved rules
+ * @returns {Object} 400 - Invalid price, strategy or round limit
+ */
+const updateNegotiationRules = asyncHandler(async (req, res) => {
+    await findOwnCropWithRules(req, res);
+    const rules = normalizeNegotiationRules(req.body);
+
+    const updated = await Crop.findByIdAndUpdate(
+        req.params.id,
+        { $set: { negotiationRules: rules } },
+        { new: true, runValidators: true }
+    ).select('+negotiationRules');
+
+    res.status(200).json(updated.negotiationRules);
+});
+
 // Export controller functions for use in cropRoutes.js
 module.exports = {
     createCrop,
     getMyCrops,
     getAllCrops,
     updateCrop,
-    deleteCrop
+    deleteCrop,
+    getNegotiationRules,
+    updateNegotiationRules
 };
@@ -0,0 +1,251 @@
+/**
+ * @fileoverview Payment Controller for AgriSahayak Platform
+ *
+ * Endpoints around online order payments: checking a payment's state
+ * (the checkout page polls it while a payment is processing), retrying a
+ * failed payment, paying the balance of an order paid in instalments,
+ * the buyer's saved payment methods, and receiving the
+ * payment provider's webhooks. Farmers get their settlement statement
+ * here too.
+ *
+ * @module controllers/paymentController
+ * @requires express-async-handler
+ * @requires models/Order
+ * @requires services/ledgerService
+ * @requires services/orderService
+ * @requires services/paymentService
+ * @requires services/paymentVaultService
+ *
+ * @see Epic 4, Story 4.1 - Fixed-Price Purchase
+ * @see services/paymentService - Payment rules
+ */
+
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const { getFarmerStatement, parsePeriod } = require('../services/ledgerService');
+const { getOrderRole } = require('../services/orderService');
+const { retryPayment: retryOrderPayment, payBalance: payOrderBalance, handleWebhook } = require('../services/paymentService');
+const {
+    listPaymentMethods,
+    savePaymentMethod,
+    deletePaymentMethod
+} = require('../services/paymentVaultService');
+
+/**
+ * What clients see of an order's payment.
+ */
+const toPaymentView = (order) => ({
+    orderId: order._id,
+    checkoutId: order.checkoutId,
+    paymentMethod: order.paymentMethod,
+    paymentStatus: order.paymentStatus,
+    totalAmount: order.totalAmount,
+    instrument: order.payment?.instrument,
+    provider: order.payment?.provider,
+    status: order.payment?.status,
+    failureReason: order.payment?.failureReason,
+    attempts: order.payment?.attempts || 0,
+    paidAt: order.payment?.paidAt,
+    refundStatus: order.payment?.refundStatus,
+    refundedAt: order.refundedAt,
+    paymentSchedule: (order.paymentSchedule || []).map((instalment) => ({
+        kind: instalment.kind,
+        percent: instalment.percent,
+        amount: instalment.amount,
+        dueOn: instalment.dueOn,
+        dueDate: instalment.dueDate,
+        status: instalment.status,
+        failureReason: instalment.failureReason,
+        paidAt: instalment.paidAt,
+        refundedAt: instalment.refundedAt,
+    })),
+});
+
+/**
+ * Get an Order's Payment
+ *
+ * @route GET /api/payments/orders/:orderId
+ * @access Private (Buyer, Farmer or Admin on the order)
+ */
+const getOrderPayment = asyncHandler(async (req, res) => {
+    const order = await Order.findById(req.params.orderId);
+    if (!order) {
+        res.status(404);
+        throw new Error('Order not found');
+    }
+
+    if (!getOrderRole(order, req.user)) {
+        res.status(403);
+        throw new Error('You are not part of this order');
+    }
+
+    res.status(200).json(toPaymentView(order));
+});
+
+/**
+ * Retry a Failed Payment
+ *
+ * Pays again for the order, and for the rest of its cart checkout if
+ * that failed with it. The buyer may switch between card and UPI, or
+ * pay with a saved method.
+ *
+ * @route POST /api/payments/orders/:orderId/retry
+ * @access Private (Buyer on the order)
+ * @param {Object} req.body - { paymentMethod?, paymentDetails?, paymentMethodId?, saveMethod? }
+ * @returns {Object} 200 - { payment, orders }
+ */
+const retryPayment = asyncHandler(async (req, res) => {
+    const { paymentMethod, paymentDetails, paymentMethodId, saveMethod } = req.body;
+
+    if (!paymentMethodId && !paymentDetails) {
+        res.status(400);
+        throw new Error('Payment details are required');
+    }
+
+    const orders = await retryOrderPayment({
+        orderId: req.params.orderId,
+        user: req.user,
+        paymentMethod,
+        paymentDetails,
+        paymentMethodId,
+        saveMethod,
+    });
+
+    const populated = await Order.find({ _id: { $in: orders.map((order) => order._id) } })
+        .populate('buyer', 'name phone')
+        .populate('farmer', 'name phone')
+        .sort({ createdAt: 1 });
+    const retried = populated.find((order) => String(order._id) === String(req.params.orderId)) || populated[0];
+
+    res.status(200).json({ payment: toPaymentView(retried), orders: populated });
+});
+
+/**
+ * Pay an Order's Balance
+ *
+ * For an order booked with an advance: pays the rest once the order has
+ * shipped, or again after a failed attempt.
+ *
+ * @route POST /api/payments/orders/:orderId/balance
+ * @access Private (Buyer on the order)
+ * @param {Object} req.body - { paymentMethod?, paymentDetails?, paymentMethodId?, saveMethod? }
+ * @returns {Object} 200 - { payment, order }
+ */
+const payBalance = asyncHandler(async (req, res) => {
+    const { paymentMethod, paymentDetails, paymentMethodId, saveMethod } = req.body;
+
+    if (!paymentMethodId && !paymentDetails) {
+        res.status(400);
+        throw new Error('Payment details are required');
+    }
+
+    const order = await payOrderBalance({
+        orderId: req.params.orderId,
+        user: req.user,
+        paymentMethod,
+        paymentDetails,
+        paymentMethodId,
+        saveMethod,
+    });
+
+    const populated = await Order.findById(order._id)
+        .populate('buyer', 'name phone')
+        .populate('farmer', 'name phone');
+
+    res.status(200).json({ payment: toPaymentView(populated), order: populated });
+});
+
+/**
+ * List Saved Payment Methods
+ *
+ * @route GET /api/payments/methods
+ * @access Private
+ * @returns {Array} 200 - Saved methods (brand, last4, expiry or masked UPI ID; never the token)
+ */
+const getPaymentMethods = asyncHandler(async (req, res) => {
+    res.status(200).json(await listPaymentMethods(req.user.id));
+});
+
+/**
+ * Save a Payment Method
+ *
+ * The details are tokenised by the payment provider; only the token and
+ * display fields are kept.
+ *
+ * @route POST /api/payments/methods
+ * @access Private
+ * @param {Object} req.body - { paymentMethod: 'card' | 'upi', paymentDetails }
+ * @returns {Object} 201 - The saved method
+ */
+const addPaymentMethod = asyncHandler(async (req, res) => {
+    const { paymentMethod, paymentDetails } = req.body;
+
+    const method = await savePaymentMethod({ user: req.user, paymentMethod, paymentDetails });
+    res.status(201).json(method);
+});
+
+/**
+ * Delete a Saved Payment Method
+ *
+ * @route DELETE /api/payments/methods/:id
+ * @access Private (owner)
+ */
+const removePaymentMethod = asyncHandler(async (req, res) => {
+    await deletePaymentMethod({ user: req.user, id: req.params.id });
+    res.status(200).json({ message: 'Payment method removed' });
+});
+
+/**
+ * Get a Settlement Statement
+ *
+ * What the farmer earned from released orders in the period, the
+ * platform fees taken, the payouts made, and what is still owed or in
+ * escrow. Admins can read any farmer's statement with `farmerId`.
+ *
+ * @route GET /api/payments/statement?from=YYYY-MM-DD&to=YYYY-MM-DD
+ * @access Private (Farmer, or Admin with farmerId)
+ * @returns {Object} 200 - Statement (see services/ledgerService getFarmerStatement)
+ */
+const getSettlementStatement = asyncHandler(async (req, res) => {
+    let farmerId = req.user.id;
+    if (req.user.role === 'ADMIN') {
+        farmerId = req.query.farmerId;
+        if (!farmerId || !mongoose.isValidObjectId(farmerId)) {
+            res.status(400);
+            throw new Error('farmerId is required');
+        }
+    } else if (req.user.role !== 'FARMER') {
+        res.status(403);
+        throw new Error('Only farmers have settlement statements');
+    }
+
+    const period = parsePeriod(req.query);
+    res.status(200).json(await getFarmerStatement({ farmerId, ...period }));
+});
+
+/**
+ * Receive a Payment Provider Webhook
+ *
+ * Verified with the provider's signature over the raw request body
+ * (kept by the JSON parser in server.js). Events are applied once; a
+ * redelivered event is acknowledged without being applied again.
+ *
+ * @route POST /api/payments/webhooks/:provider
+ * @access Public (signed by the provider)
+ */
+const receiveWebhook = asyncHandler(async (req, res) => {
+    const result = await handleWebhook(req.params.provider, req.rawBody, req.headers);
+    res.status(200).json({ received: true, duplicate: result.duplicate });
+});
+
+module.exports = {
+    getOrderPayment,
+    retryPayment,
+    payBalance,
+    getPaymentMethods,
+    addPaymentMethod,
+    removePaymentMethod,
+    getSettlementStatement,
+    receiveWebhook,
+};
@@ -18,141 +18,55 @@ const Crop = require('../models/Crop');
 const Order = require('../models/Order');
 const Negotiation = require('../models/Negotiation');
 const Bid = require('../models/Bid');
-const User = require('../models/User');
-const { encryptPaymentDetails } = require('../utils/paymentCrypto');
+const { validatePaymentPayload } = require('../utils/paymentValidation');
 const { createNotification } = require('../utils/notificationEmitter');
-
-const CARD_NUMBER_REGEX = /^\d{16}$/;
-const CARD_CVV_REGEX = /^\d{3}$/;
-const CARD_NAME_REGEX = /^[A-Za-z ]+$/;
-const UPI_ID_REGEX = /^[^\s@]+@[^\s@]+$/;
-
-function validateExpiryMMYY(expiry) {
-    if (!expiry || typeof expiry !== 'string') {
-        return false;
-    }
-
-    const match = expiry.match(/^(\d{2})\/(\d{2})$/);
-    if (!match) {
-        return false;
-    }
-
-    const month = Number(match[1]);
-    const year = Number(`20${match[2]}`);
-    if (!month || month < 1 || month > 12 || !year) {
-        return false;
-    }
-
-    const now = new Date();
-    const currentMonthStart = new Date(now.getFullYear(), now.getMonth(), 1);
-    const selectedMonthStart = new Date(year, month - 1, 1);
-
-    return selectedMonthStart > currentMonthStart;
-}
-
-function validatePaymentPayload(paymentMethod, paymentDetails) {
-    if (!['card', 'upi', 'cod'].includes(paymentMethod)) {
-        return 'Invalid payment method';
-    }
-
-    if (paymentMethod === 'cod') {
-        return '';
-    }
-
-    if (!paymentDetails || typeof paymentDetails !== 'object') {
-        return 'Payment details are required for online payment';
-    }
-
-    if (paymentMethod === 'card') {
-        const number = String(paymentDetails.number || '').replace(/\D/g, '');
-        const cvv = String(paymentDetails.cvv || '').replace(/\D/g, '');
-        const name = String(paymentDetails.name || '').trim();
-        const expiry = String(paymentDetails.expiry || '').trim();
-
-        if (!CARD_NUMBER_REGEX.test(number)) {
-            return 'Card number must contain exactly 16 digits';
-        }
-        if (!CARD_CVV_REGEX.test(cvv)) {
-            return 'CVV must be a 3-digit number';
-        }
-        if (!CARD_NAME_REGEX.test(name)) {
-            return 'Cardholder name must contain only letters and spaces';
-        }
-        if (!validateExpiryMMYY(expiry)) {
-            return 'Card expiry date must be in MM/YY format and in the future';
-        }
-
-        return '';
-    }
-
-    if (paymentMethod === 'upi') {
-        const upiId = String(paymentDetails.upiId || '').trim();
-        if (!UPI_ID_REGEX.test(upiId)) {
-            return 'Enter a valid UPI ID (example: name@upi)';
-        }
-    }
-
-    return '';
-}
+const { placeListingBid, setBidStatus, expireDueBids } = require('../services/bidService');
+const { startPayment } = require('../services/paymentService');
+const { resolveCheckoutPayment } = require('../services/paymentVaultService');
+const { loadActiveFeeRules, priceOrder } = require('../services/pricingService');
+const { openDispute } = require('../services/escrowService');
+const { recordCashCollected } = require('../services/codService');
+const { getOrderDocument } = require('../services/invoiceService');
+const {
+    populateNegotiation,
+    getNegotiationRole,
+    plainTerms,
+    buildOffer,
+    postNegotiationMessage,
+    acceptOffer,
+    listNegotiations,
+    markNegotiationRead,
+    expireIdleNegotiations
+} = require('../services/negotiationService');
+const { applyNegotiationRules } = require('../services/autoNegotiationService');
+const { getAvailableQuantity, findReservation } = require('../services/inventoryService');
+const {
+    placeOrder,
+    getOrderRole,
+    getAllowedStatuses,
+    transitionOrderStatus,
+    cancelOrder: cancelOrderService
+} = require('../services/orderService');
 
 /**
- * Place a Bid on an Auction-type Crop
- * 
+ * Place a Bid on a Crop Listing
+ *
+ * Same rules as POST /api/bids/place (see services/bidService).
+ *
  * @route POST /api/trade/bid
  * @access Private
  */
 const placeBid = asyncHandler(async (req, res) => {
-    const { cropId, amount } = req.body;
-
-    if (!cropId || !amount) {
-        res.status(400);
-        throw new Error('Crop ID and bid amount are required');
-    }
-
-    const crop = await Crop.findById(cropId);
-    if (!crop) {
-        res.status(404);
-        throw new Error('Crop not found');
-    }
-
-    if (crop.isSold || crop.status === 'Sold') {
-        res.status(400);
-        throw new Error('This crop has already been sold');
-    }
+    const { cropId, listingId, amount, quantity } = req.body;
 
-    // Bid must be higher than current price
-    if (amount <= crop.price) {
-        res.status(400);
-        throw new Error(`Bid must be higher than current price of ₹${crop.price}`);
-    }
-
-    const bid = await Bid.create({
-        listingId: crop._id,
-        buyerId: req.user.id,
-        farmerId: crop.farmer,
+    const bid = await placeListingBid({
+        listingId: cropId || listingId,
+        buyer: req.user,
         amount,
-        status: 'Pending'
+        quantity
     });
 
-    // Update crop price to highest bid
-    crop.price = amount;
-    await crop.save();
-
-    await createNotification({
-        userId: crop.farmer,
-        role: 'FARMER',
-        title: 'New Bid Received',
-        message: `${req.user.name || 'A buyer'} placed a bid of ₹${amount}/quintal for ${crop.quantity} quintals of ${crop.name}.`,
-        type: 'bid',
-    });
-
-    res.status(200).json({
-        message: 'Bid placed successfully',
-        bid,
-        cropId: crop._id,
-        newPrice: amount,
-        bidder: req.user.id
-    });
+    res.status(201).json(bid);
 });
 
 /**
@@ -162,6 +76,8 @@ const placeBid = asyncHandler(async (req, res) => {
  * @access Private (Farmer)
  */
 const getIncomingBids = asyncHandler(async (req, res) => {
+    await expireDueBids(new Date(), { farmerId: req.user.id });
+
     const bids = await Bid.find({ farmerId: req.user.id })
         .populate('buyerId', 'name phone')
         .populate('listingId', 'name quantity price quality')
@@ -177,16 +93,7 @@ const getIncomingBids = asyncHandler(async (req, res) => {
  * @access Private (Buyer)
  */
 const getAcceptedBidsForBuyer = asyncHandler(async (req, res) => {
-    await Bid.updateMany(
-        {
-            buyerId: req.user.id,
-            status: 'Accepted',
-            expiresAt: { $lt: new Date() }
-        },
-        {
-            $set: { status: 'Expired' }
-        }
-    );
+    await expireDueBids(new Date(), { buyerId: req.user.id });
 
     const bids = await Bid.find({
         buyerId: req.user.id,
@@ -207,16 +114,7 @@ const getAcceptedBidsForBuyer = asyncHandler(async (req, res) => {
  * @access Private (Buyer)
  */
 const getBidHistoryForBuyer = asyncHandler(async (req, res) => {
-    await Bid.updateMany(
-        {
-            buyerId: req.user.id,
-            status: 'Accepted',
-            expiresAt: { $lt: new Date() }
-        },
-        {
-            $set: { status: 'Expired' }
-        }
-    );
+    await expireDueBids(new Date(), { buyerId: req.user.id });
 
     const bids = await Bid.find({ buyerId: req.user.id })
         .populate('farmerId', 'name phone')
@@ -233,48 +131,13 @@ const getBidHistoryForBuyer = asyncHandler(async (req, res) => {
  * @access Private (Farmer)
  */
 const updateBidStatus = asyncHandler(async (req, res) => {
-    const { status } = req.body;
-
-    if (!status || !['Accepted', 'Rejected'].includes(status)) {
-        res.status(400);
-        throw new Error('Status must be Accepted or Rejected');
-    }
-
-    const bid = await Bid.findById(req.params.id);
-    if (!bid) {
-        res.status(404);
-        throw new Error('Bid not found');
-    }
-
-    if (bid.farmerId.toString() !== req.user.id) {
-        res.status(403);
-        throw new Error('Not authorized to update this bid');
-    }
-
-    bid.status = status;
-    if (status === 'Accepted') {
-        bid.acceptedAt = new Date();
-        bid.expiresAt = new Date(Date.now() + 2 * 60 * 60 * 1000);
-    }
-    await bid.save();
-
-    const listing = await Crop.findById(bid.listingId).select('name quantity');
-    await createNotification({
-        userId: bid.buyerId,
-        role: 'BUYER',
-        title: status === 'Accepted' ? 'Bid Accepted' : 'Bid Rejected',
-        message:
-            status === 'Accepted'
-                ? `Your bid of ₹${bid.amount}/quintal for ${listing?.name || 'crop'} was accepted by Farmer ${req.user.name || ''}.`
-                : `Your bid of ₹${bid.amount}/quintal for ${listing?.name || 'crop'} was rejected by Farmer ${req.user.name || ''}.`,
-        type: 'bid',
+    const bid = await setBidStatus({
+        bidId: req.params.id,
+        farmer: req.user,
+        status: req.body.status
     });
 
-    const populated = await Bid.findById(bid._id)
-        .populate('buyerId', 'name phone')
-        .populate('listingId', 'name quantity price quality');
-
-    res.status(200).json(populated);
+    res.status(200).json(bid);
 });
 
 /**
@@ -284,7 +147,7 @@ const updateBidStatus = asyncHandler(async (req, res) => {
  * @access Private (Buyer)
  */
 const startNegotiation = asyncHandler(async (req, res) => {
-    const { cropId, message, offerAmount } = req.body;
+    const { cropId, message, offerAmount, quantity, terms } = req.body;
 
     if (!cropId) {
         res.status(400);
@@ -302,7 +165,8 @@ const startNegotiation = asyncHandler(async (req, res) => {
         throw new Error('You cannot negotiate on your own crop');
     }
 
-    // Check if an active negotiation already exists
+    // Check if an active negotiation already exists (one that went idle no longer counts)
+    await expireIdleNegotiations(new Date(), { buyer: req.user.id, crop: cropId });
     const existingNegotiation = await Negotiation.findOne({
         crop: cropId,
         buyer: req.user.id,
@@ -314,23 +178,36 @@ const startNegotiation = asyncHandler(async (req, res) => {
         throw new Error('You already have an active negotiation for this crop');
     }
 
+    const available = getAvailableQuantity(crop);
+    const negotiationQuantity = quantity === undefined || quantity === null || quantity === ''
+        ? available
+        : Number(quantity);
+
+    if (!negotiationQuantity || negotiationQuantity <= 0 || negotiationQuantity > available) {
+        res.status(400);
+        throw new Error(`Quantity must be between 1 and ${available} quintal(s)`);
+    }
+
+    const firstMessage = offerAmount
+        ? buildOffer({
+            sender: req.user.id,
+            amount: offerAmount,
+            quantity: negotiationQuantity,
+            message,
+            terms,
+            available
+        })
+        : { sender: req.user.id, content: message || `I'd like to negotiate for ${crop.name}`, type: 'text' };
+
     const negotiation = await Negotiation.create({
         crop: cropId,
         buyer: req.user.id,
         farmer: crop.farmer._id,
-        messages: [{
-            sender: req.user.id,
-            content: message || `I'd like to negotiate for ${crop.name}`,
-            type: offerAmount ? 'offer' : 'text',
-            offerAmount: offerAmount || undefined
-        }]
+        quantity: negotiationQuantity,
+        messages: [firstMessage],
+        buyerLastReadAt: new Date()
     });
 
-    const populated = await Negotiation.findById(negotiation._id)
-        .populate('buyer', 'name phone')
-        .populate('farmer', 'name phone')
-        .populate('crop', 'name price');
-
     await createNotification({
         userId: crop.farmer._id,
         role: 'FARMER',
@@ -339,108 +216,114 @@ const startNegotiation = asyncHandler(async (req, res) => {
         type: 'message',
     });
 
+    // The farmer's negotiation rules may answer the opening offer right away
+    if (offerAmount) {
+        await applyNegotiationRules(negotiation._id);
+    }
+
+    const populated = await populateNegotiation(Negotiation.findById(negotiation._id));
     res.status(201).json(populated);
 });
 
 /**
- * Send an Offer/Message in an Existing Negotiation
- * 
- * @route POST /api/trade/negotiation/offer
- * @access Private
+ * Get a Negotiation
+ *
+ * The thread with each offer's state, for either participant.
+ *
+ * @route GET /api/trade/negotiation/:id
+ * @access Private (Buyer or Farmer of the negotiation)
  */
-const sendOffer = asyncHandler(async (req, res) => {
-    const { negotiationId, message, amount } = req.body;
+const getNegotiation = asyncHandler(async (req, res) => {
+    const negotiation = await populateNegotiation(Negotiation.findById(req.params.id));
 
-    if (!negotiationId) {
-        res.status(400);
-        throw new Error('Negotiation ID is required');
-    }
-
-    const negotiation = await Negotiation.findById(negotiationId);
     if (!negotiation) {
         res.status(404);
         throw new Error('Negotiation not found');
     }
 
-    if (negotiation.status !== 'active') {
-        res.status(400);
-        throw new Error('This negotiation is no longer active');
-    }
-
-    // Verify user is part of this negotiation
-    const userId = req.user.id;
-    if (negotiation.buyer.toString() !== userId && negotiation.farmer.toString() !== userId) {
+    if (!getNegotiationRole(negotiation, req.user.id)) {
         res.status(403);
         throw new Error('You are not part of this negotiation');
     }
 
-    const newMessage = {
-        sender: userId,
-        content: message || `Offer: ₹${amount}`,
-        type: amount ? 'offer' : 'text',
-        offerAmount: amount || undefined
-    };
-
-    negotiation.messages.push(newMessage);
-    negotiation.lastActivity = Date.now();
-    await negotiation.save();
+    res.status(200).json(negotiation);
+});
 
-    const crop = await Crop.findById(negotiation.crop).select('name');
-    const isBuyerSender = negotiation.buyer.toString() === userId;
-    const targetUserId = isBuyerSender ? negotiation.farmer : negotiation.buyer;
-    const targetRole = isBuyerSender ? 'FARMER' : 'BUYER';
-    const senderLabel = req.user.name || (isBuyerSender ? 'Buyer' : 'Farmer');
+/**
+ * Mark a Negotiation Read
+ *
+ * Clears the caller's unread count for the thread.
+ *
+ * @route PUT /api/trade/negotiation/:id/read
+ * @access Private (Buyer or Farmer of the negotiation)
+ */
+const readNegotiation = asyncHandler(async (req, res) => {
+    const negotiation = await markNegotiationRead({ negotiationId: req.params.id, user: req.user });
 
-    await createNotification({
-        userId: targetUserId,
-        role: targetRole,
-        title: 'New Negotiation Message',
-        message: isBuyerSender
-            ? `${senderLabel} sent a negotiation message for ${crop?.name || 'your crop'}${amount ? ` with offer ₹${amount}/quintal.` : '.'}`
-            : `Farmer ${senderLabel} replied in negotiation for ${crop?.name || 'crop'}${amount ? ` with offer ₹${amount}/quintal.` : '.'}`,
-        type: 'message',
+    res.status(200).json({
+        _id: negotiation._id,
+        buyerLastReadAt: negotiation.buyerLastReadAt,
+        farmerLastReadAt: negotiation.farmerLastReadAt
     });
-
-    res.status(200).json(negotiation);
 });
 
 /**
- * Accept a Negotiation
+ * Send an Offer/Message in an Existing Negotiation
+ *
+ * With `amount` the message is an offer (optionally with `quantity` and
+ * `validUntil`, and deal `terms`) that supersedes the earlier ones; see
+ * services/negotiationService.
+ * A buyer's offer may be answered at once by the listing's negotiation rules
+ * (services/autoNegotiationService); the response includes that reply.
  * 
- * @route PUT /api/trade/negotiation/:id/accept
- * @access Private (Farmer)
+ * @route POST /api/trade/negotiation/offer
+ * @access Private
  */
-const acceptNegotiation = asyncHandler(async (req, res) => {
-    const negotiation = await Negotiation.findById(req.params.id);
+const sendOffer = asyncHandler(async (req, res) => {
+    const { negotiationId, message, amount, quantity, validUntil, terms } = req.body;
 
-    if (!negotiation) {
-        res.status(404);
-        throw new Error('Negotiation not found');
+    if (!negotiationId) {
+        res.status(400);
+        throw new Error('Negotiation ID is required');
     }
 
-    if (negotiation.farmer.toString() !== req.user.id) {
-        res.status(403);
-        throw new Error('Only the farmer can accept a negotiation');
-    }
+    const negotiation = await postNegotiationMessage({
+        negotiationId,
+        user: req.user,
+        message,
+        amount,
+        quantity,
+        validUntil,
+        terms
+    });
 
-    if (negotiation.status !== 'active') {
-        res.status(400);
-        throw new Error('This negotiation is no longer active');
-    }
+    // A buyer's offer may be answered right away by the farmer's negotiation rules
+    const isOffer = amount !== undefined && amount !== null && amount !== '';
+    const answered = isOffer ? await applyNegotiationRules(negotiation._id) : null;
 
-    // Find the last offer amount
-    const lastOffer = [...negotiation.messages]
-        .reverse()
-        .find(m => m.type === 'offer');
+    res.status(200).json(answered || negotiation);
+});
 
-    negotiation.status = 'accepted';
-    negotiation.finalPrice = lastOffer ? lastOffer.offerAmount : null;
-    negotiation.lastActivity = Date.now();
-    await negotiation.save();
+/**
+ * Accept a Negotiation Offer
+ *
+ * Either party accepts the other side's live offer (`offerId` in the body,
+ * default: the live offer). Its price and quantity become final, and the
+ * quantity is reserved for the buyer for the checkout window.
+ * 
+ * @route PUT /api/trade/negotiation/:id/accept
+ * @access Private (Buyer or Farmer of the negotiation)
+ */
+const acceptNegotiation = asyncHandler(async (req, res) => {
+    const accepted = await acceptOffer({
+        negotiationId: req.params.id,
+        user: req.user,
+        offerId: req.body?.offerId
+    });
 
     res.status(200).json({
         message: 'Negotiation accepted',
-        negotiation
+        negotiation: accepted
     });
 });
 
@@ -478,29 +361,123 @@ const rejectNegotiation = asyncHandler(async (req, res) => {
     });
 });
 
+/**
+ * Get an Order Quote
+ *
+ * What an order would cost before it is placed, line by line: the item
+ * total, shipping and each fee, priced exactly as checkout prices it.
+ * With `bidId` or `negotiationId` the agreed price is used.
+ *
+ * @route GET /api/trade/quote?cropId=&quantity=&bidId=&negotiationId=
+ * @access Private (Buyer)
+ * @returns {Object} 200 - { crop, quantity, pricePerKg, orderType, subtotal, shippingCost, fees, buyerFees, totalAmount, paymentSchedule }
+ */
+const getOrderQuote = asyncHandler(async (req, res) => {
+    const { cropId, bidId, negotiationId } = req.query;
+    const quantity = Number(req.query.quantity || 0);
+
+    if (!cropId || !(quantity > 0)) {
+        res.status(400);
+        throw new Error('Crop ID and a valid quantity are required');
+    }
+
+    const crop = await Crop.findById(cropId).populate('farmer', 'state');
+    if (!crop) {
+        res.status(404);
+        throw new Error('Crop not found');
+    }
+
+    let pricePerKg = crop.price;
+    let orderType = 'buyNow';
+
+    if (bidId) {
+        const bid = await Bid.findById(bidId);
+        if (!bid || bid.buyerId.toString() !== req.user.id || bid.listingId.toString() !== crop._id.toString() || bid.status !== 'Accepted') {
+            res.status(400);
+            throw new Error('Only your accepted bids on this crop can be quoted');
+        }
+        pricePerKg = bid.amount;
+        orderType = 'bid';
+    } else if (negotiationId) {
+        const negotiation = await Negotiation.findById(negotiationId);
+        if (!negotiation || negotiation.buyer.toString() !== req.user.id || negotiation.crop.toString() !== crop._id.toString() || negotiation.status !== 'accepted') {
+            res.status(400);
+            throw new Error('Only your accepted negotiations on this crop can be quoted');
+        }
+        pricePerKg = negotiation.finalPrice;
+        orderType = 'negotiation';
+    }
+
+    const pricing = priceOrder({
+        items: [{ name: crop.name, category: crop.category, processed: crop.processed, advancePercent: crop.advancePercent, quantity, pricePerKg }],
+        orderType,
+        buyerTier: req.user.buyerTier,
+        rules: await loadActiveFeeRules(),
+        supplierState: crop.farmer?.state,
+        recipientState: req.user.state
+    });
+
+    // The farmer's commission is between the farmer and the platform
+    res.status(200).json({
+        crop: crop._id,
+        quantity,
+        pricePerKg,
+        orderType,
+        subtotal: pricing.subtotal,
+        shippingCost: pricing.shippingCost,
+        hsn: pricing.items[0].hsn,
+        taxes: pricing.taxes,
+        taxAmount: pricing.taxAmount,
+        fees: pricing.fees.filter((fee) => fee.payer === 'buyer'),
+        buyerFees: pricing.buyerFees,
+        totalAmount: pricing.totalAmount,
+        paymentSchedule: pricing.paymentSchedule
+    });
+});
+
 /**
  * Create an Order (Buy Now or from accepted negotiation)
+ *
+ * Card and UPI orders are created with paymentStatus 'pending' and paid
+ * through the payment provider before the response: the order comes back
+ * 'paid', 'failed' (the buyer can retry) or still 'pending' while the
+ * provider processes it. A listing that requires an advance is booked
+ * with a payment schedule: only the advance is charged now (the order
+ * comes back 'partially_paid') and COD is not accepted. The buyer pays with new details (tokenised, and
+ * saved for next time when `saveMethod` is set) or a saved method
+ * (`paymentMethodId`); card numbers are never stored on the order.
+ *
+ * An accepted negotiation (`negotiationId`) can be checked out once, by its
+ * buyer, for its crop and agreed quantity, within its checkout window. The
+ * order links to it (sourceNegotiation), carries its agreed terms
+ * (agreedTerms) and the negotiation is completed. Agreed payment terms
+ * decide whether the deal is paid online or cash on delivery.
  * 
  * @route POST /api/trade/orders
  * @access Private (Buyer)
  */
 const createOrder = asyncHandler(async (req, res) => {
-    const { cropId, quantity, paymentMethod, shippingAddress, negotiationId, bidId, paymentDetails } = req.body;
+    const {
+        cropId, quantity, paymentMethod, shippingAddress, negotiationId, bidId,
+        paymentDetails, paymentMethodId, saveMethod
+    } = req.body;
 
-    if (!cropId || !paymentMethod || !shippingAddress) {
+    if (!cropId || !(paymentMethod || paymentMethodId) || !shippingAddress) {
         res.status(400);
         throw new Error('Crop ID, payment method, and shipping address are required');
     }
 
-    if (paymentMethod !== 'cod' && (!paymentDetails || Object.keys(paymentDetails).length === 0)) {
-        res.status(400);
-        throw new Error('Payment details are required for online payment');
-    }
+    if (!paymentMethodId) {
+        if (paymentMethod !== 'cod' && (!paymentDetails || Object.keys(paymentDetails).length === 0)) {
+            res.status(400);
+            throw new Error('Payment details are required for online payment');
+        }
 
-    const paymentValidationError = validatePaymentPayload(paymentMethod, paymentDetails);
-    if (paymentValidationError) {
-        res.status(400);
-        throw new Error(paymentValidationError);
+        const paymentValidationError = validatePaymentPayload(paymentMethod, paymentDetails);
+        if (paymentValidationError) {
+            res.status(400);
+            throw new Error(paymentValidationError);
+        }
     }
 
     const crop = await Crop.findById(cropId).populate('farmer');
@@ -527,12 +504,14 @@ const createOrder = asyncHandler(async (req, res) => {
         throw new Error('Valid quantity is required');
     }
 
-    if (orderQuantity > crop.quantity) {
+    if (bidId && negotiationId) {
         res.status(400);
-        throw new Error(`Only ${crop.quantity} quintal(s) available for this crop`);
+        throw new Error('An order can check out a bid or a negotiation, not both');
     }
 
     let linkedBid = null;
+    let linkedNegotiation = null;
+    let reservation = null;
 
     // If order is from an accepted bid, enforce buyer ownership and 2-hour expiry.
     if (bidId) {
@@ -563,95 +542,172 @@ const createOrder = asyncHandler(async (req, res) => {
         }
 
         pricePerKg = linkedBid.amount;
+        reservation = await findReservation(crop._id, { bid: linkedBid._id });
     }
 
-    // If order is from an accepted negotiation, use negotiated price
+    // If order is from an accepted negotiation, it is single-use and bound to
+    // its buyer, crop, agreed quantity and 2-hour checkout window.
     if (negotiationId) {
-        const negotiation = await Negotiation.findById(negotiationId);
-        if (negotiation && negotiation.status === 'accepted' && negotiation.finalPrice) {
-            pricePerKg = negotiation.finalPrice;
+        linkedNegotiation = await Negotiation.findById(negotiationId);
+        if (!linkedNegotiation) {
+            res.status(404);
+            throw new Error('Negotiation not found');
+        }
+
+        if (linkedNegotiation.buyer.toString() !== req.user.id) {
+            res.status(403);
+            throw new Error('You are not authorized to checkout this negotiation');
+        }
+
+        if (linkedNegotiation.crop.toString() !== crop._id.toString()) {
+            res.status(400);
+            throw new Error('Negotiation does not belong to this crop listing');
+        }
+
+        if (linkedNegotiation.status === 'completed') {
+            res.status(400);
+            throw new Error('This negotiated deal has already been checked out');
+        }
+
+        if (linkedNegotiation.status !== 'accepted') {
+            res.status(400);
+            throw new Error('Only accepted negotiations can proceed to payment');
         }
+
+        if (!linkedNegotiation.checkoutExpiresAt || new Date(linkedNegotiation.checkoutExpiresAt) < new Date()) {
+            res.status(400);
+            throw new Error('Negotiation checkout window expired. Please negotiate again.');
+        }
+
+        if (orderQuantity !== linkedNegotiation.quantity) {
+            res.status(400);
+            throw new Error(`This negotiated deal is for ${linkedNegotiation.quantity} quintal(s)`);
+        }
+
+        pricePerKg = linkedNegotiation.finalPrice;
+        reservation = await findReservation(crop._id, { negotiation: linkedNegotiation._id });
     }
 
-    const itemTotal = orderQuantity * pricePerKg;
-    const shippingCost = 0; // Free shipping
-    const encryptedPayment = encryptPaymentDetails(paymentDetails || {});
+    // Quantity reserved for this buyer, or whatever nobody else has reserved
+    const purchasable = reservation ? reservation.quantity : getAvailableQuantity(crop);
+    if (orderQuantity > purchasable) {
+        res.status(400);
+        throw new Error(`Only ${purchasable} quintal(s) available for this crop`);
+    }
 
     // Determine order type
-    const orderType = linkedBid ? 'bid' : negotiationId ? 'negotiation' : 'buyNow';
+    const orderType = linkedBid ? 'bid' : linkedNegotiation ? 'negotiation' : 'buyNow';
 
-    const order = await Order.create({
-        buyer: req.user.id,
-        farmer: crop.farmer._id,
-        listingId: crop._id,
+    const pricing = priceOrder({
         items: [{
             crop: crop._id,
             name: crop.name,
+            category: crop.category,
+            processed: crop.processed,
+            advancePercent: crop.advancePercent,
             quantity: orderQuantity,
             pricePerKg,
-            total: itemTotal
+            total: orderQuantity * pricePerKg
         }],
-        totalAmount: itemTotal + shippingCost,
-        shippingCost,
-        paymentMethod,
-        paymentStatus: paymentMethod === 'cod' ? 'pending' : 'paid',
-        orderStatus: 'Pending',
-        shippingAddress,
-        paymentDetailsEncrypted: encryptedPayment.encrypted,
-        paymentDetailsIv: encryptedPayment.iv,
-        paymentDetailsTag: encryptedPayment.tag,
-        sourceBid: linkedBid ? linkedBid._id : undefined,
-        orderType
+        orderType,
+        buyerTier: req.user.buyerTier,
+        rules: await loadActiveFeeRules(),
+        supplierState: crop.farmer.state,
+        recipientState: req.user.state
     });
 
-    // Decrement available crop quantity on successful purchase.
-    crop.quantity = Math.max(0, crop.quantity - orderQuantity);
-    if (crop.quantity === 0) {
-        crop.isSold = true;
-        crop.status = 'Sold';
-    }
-    await crop.save();
+    // Card/UPI details are exchanged for a provider token before anything is written
+    const charge = await resolveCheckoutPayment({ user: req.user, paymentMethod, paymentDetails, paymentMethodId, saveMethod });
 
-    // Save delivery address user-wise for reuse.
-    await User.findByIdAndUpdate(
-        req.user.id,
-        { $addToSet: { savedAddresses: shippingAddress } },
-        { new: true }
-    );
+    // An advance is paid online at booking
+    if (charge.method === 'cod' && pricing.paymentSchedule.length > 0) {
+        res.status(400);
+        throw new Error('This listing requires an advance payment by card or UPI');
+    }
 
-    if (linkedBid) {
-        linkedBid.status = 'Completed';
-        linkedBid.expiresAt = new Date();
-        await linkedBid.save();
+    // A negotiated deal is paid the way it was agreed
+    const agreedTerms = linkedNegotiation ? plainTerms(linkedNegotiation.terms) : undefined;
+    if (agreedTerms?.paymentTerms === 'cod' && charge.method !== 'cod') {
+        res.status(400);
+        throw new Error('This deal was agreed as cash on delivery');
+    }
+    if (agreedTerms?.paymentTerms === 'prepaid' && charge.method === 'cod') {
+        res.status(400);
+        throw new Error('This deal was agreed as paid online in advance');
     }
 
-    // Always notify the farmer — message differs for direct buy vs bid payment
-    if (linkedBid) {
+    // Bid or negotiation, stock, order and saved address are written together;
+    // two buyers racing for the last quintals cannot both get through.
+    const order = await placeOrder({
+        buyerId: req.user.id,
+        farmerId: crop.farmer._id,
+        lines: [{ crop, quantity: orderQuantity, reservation }],
+        bid: linkedBid,
+        negotiation: linkedNegotiation,
+        shippingAddress,
+        order: {
+            items: pricing.items,
+            subtotal: pricing.subtotal,
+            taxes: pricing.taxes,
+            taxAmount: pricing.taxAmount,
+            fees: pricing.fees,
+            totalAmount: pricing.totalAmount,
+            shippingCost: pricing.shippingCost,
+            paymentSchedule: pricing.paymentSchedule,
+            paymentMethod: charge.method,
+            paymentStatus: 'pending',
+            orderStatus: 'Pending',
+            payment: charge.token ? { instrument: charge.instrument, savedMethod: charge.savedMethodId } : undefined,
+            agreedTerms,
+            orderType
+        }
+    });
+
+    // Card and UPI orders are only paid once the payment provider confirms
+    let placed = order;
+    if (charge.method !== 'cod') {
+        [placed] = await startPayment({ orders: [order], paymentMethod: charge.method, paymentToken: charge.token });
+    }
+
+    // A payment still processing or declined is announced when it settles
+    // or is retried (services/paymentService)
+    if (charge.method === 'cod' || ['partially_paid', 'paid'].includes(placed.paymentStatus)) {
+        // Notify the farmer — message differs for direct buy, bid and negotiated deal
+        if (linkedNegotiation) {
+            await createNotification({
+                userId: crop.farmer._id,
+                role: 'FARMER',
+                title: 'Negotiated Deal Paid',
+                message: `${req.user.name || 'A buyer'} has checked out your negotiated deal of ₹${pricePerKg}/quintal for ${orderQuantity} quintal(s) of ${crop.name}. Order is confirmed.`,
+                type: 'order',
+            });
+        } else if (linkedBid) {
+            await createNotification({
+                userId: crop.farmer._id,
+                role: 'FARMER',
+                title: 'Bid Payment Received',
+                message: `${req.user.name || 'A buyer'} has paid ₹${pricePerKg}/quintal for ${orderQuantity} quintal(s) of ${crop.name}. Order is confirmed.`,
+                type: 'order',
+            });
+        } else {
+            await createNotification({
+                userId: crop.farmer._id,
+                role: 'FARMER',
+                title: 'New Direct Purchase',
+                message: `${req.user.name || 'A buyer'} bought ${orderQuantity} quintal(s) of ${crop.name} at ₹${pricePerKg}/quintal.`,
+                type: 'buy',
+            });
+        }
+
         await createNotification({
-            userId: crop.farmer._id,
-            role: 'FARMER',
-            title: 'Bid Payment Received',
-            message: `${req.user.name || 'A buyer'} has paid ₹${pricePerKg}/quintal for ${orderQuantity} quintal(s) of ${crop.name}. Order is confirmed.`,
+            userId: req.user.id,
+            role: 'BUYER',
+            title: 'Order Confirmed',
+            message: `Your order for ${crop.name} (${orderQuantity} quintals) is confirmed at ₹${pricePerKg}/quintal.`,
             type: 'order',
         });
-    } else {
-        await createNotification({
-            userId: crop.farmer._id,
-            role: 'FARMER',
-            title: 'New Direct Purchase',
-            message: `${req.user.name || 'A buyer'} bought ${orderQuantity} quintal(s) of ${crop.name} at ₹${pricePerKg}/quintal.`,
-            type: 'buy',
-        });
     }
 
-    await createNotification({
-        userId: req.user.id,
-        role: 'BUYER',
-        title: 'Order Confirmed',
-        message: `Your order for ${crop.name} (${orderQuantity} quintals) is confirmed at ₹${pricePerKg}/quintal.`,
-        type: 'order',
-    });
-
     const populated = await Order.findById(order._id)
         .populate('buyer', 'name phone')
         .populate('farmer', 'name phone');
@@ -674,6 +730,72 @@ const getNegotiationsForBuyer = asyncHandler(async (req, res) => {
     res.status(200).json(negotiations);
 });
 
+/**
+ * List Negotiations (buyer or farmer inbox)
+ *
+ * The caller's negotiations, newest activity first, each with its
+ * `unreadCount`, plus the unread totals across all of them.
+ *
+ * @route GET /api/trade/negotiations?role=&status=&crop=&counterparty=&page=&limit=
+ * @access Private
+ */
+const getNegotiations = asyncHandler(async (req, res) => {
+    const { role, status, crop, counterparty, page, limit } = req.query;
+
+    const result = await listNegotiations({ user: req.user, role, status, crop, counterparty, page, limit });
+
+    res.status(200).json(result);
+});
+
+/**
+ * Add the statuses the requesting user may move an order to next,
+ * so clients only offer actions the server will accept.
+ */
+const withAllowedStatuses = (order, user) => ({
+    ...order.toObject(),
+    allowedStatuses: getAllowedStatuses(order, user)
+});
+
+/** Notification sent to the other party when an order changes status. */
+const STATUS_NOTIFICATIONS = {
+    Processing: { title: 'Order Processing', text: 'is being prepared by the farmer' },
+    Shipped: { title: 'Order Shipped', text: 'has been shipped' },
+    Delivered: { title: 'Order Delivered', text: 'was marked delivered' },
+    Cancelled: { title: 'Order Cancelled', text: 'was cancelled' }
+};
+
+/**
+ * Tell the other side of an order about a status change (both sides when
+ * an admin made it). Cancellations include the reason and any refund.
+ */
+const notifyOrderStatusChange = async (order, user) => {
+    const notice = STATUS_NOTIFICATIONS[order.orderStatus];
+    const actorRole = getOrderRole(order, user);
+
+    let message = `Order ${String(order._id).slice(-8).toUpperCase()} (${order.items.map((item) => item.name).join(', ')}) ${notice.text}`;
+    if (order.orderStatus === 'Cancelled') {
+        message += ` by the ${actorRole.toLowerCase()}. Reason: ${order.cancellationReason}`;
+        if (order.paymentStatus === 'refunded') {
+            message += `. ₹${order.totalAmount} will be refunded to the buyer`;
+        }
+    }
+    message += '.';
+
+    const recipients = [];
+    if (actorRole !== 'FARMER') recipients.push({ userId: order.farmer, role: 'FARMER' });
+    if (actorRole !== 'BUYER') recipients.push({ userId: order.buyer, role: 'BUYER' });
+
+    for (const recipient of recipients) {
+        await createNotification({ ...recipient, title: notice.title, message, type: 'order' });
+    }
+};
+
+/** Load an order the way the order endpoints return it. */
+const populateOrder = (orderId) => Order.findById(orderId)
+    .populate('buyer', 'name phone')
+    .populate('farmer', 'name phone')
+    .populate('statusHistory.actor', 'name');
+
 /**
  * Get Orders for Current User
  * 
@@ -689,19 +811,27 @@ const getOrders = asyncHandler(async (req, res) => {
         .populate('buyer', 'name phone')
         .populate('farmer', 'name phone')
         .populate('items.crop', 'name image')
+        .populate('statusHistory.actor', 'name')
         .sort({ createdAt: -1 });
 
-    res.status(200).json(orders);
+    res.status(200).json(orders.map((order) => withAllowedStatuses(order, req.user)));
 });
 
 /**
  * Update Order Status
+ *
+ * Only transitions allowed for the caller's part in the order are accepted
+ * (see ORDER_STATUS_TRANSITIONS in services/orderService): the farmer
+ * processes and ships, only the buyer confirms delivery, and orders can
+ * only be cancelled before they ship (with a reason in `note`; see
+ * cancelOrder). Each change is recorded in statusHistory.
  * 
  * @route PUT /api/trade/orders/:id
- * @access Private (Farmer who owns the order)
+ * @access Private (Farmer, Buyer or Admin on the order)
+ * @param {Object} req.body - { status, note? }
  */
 const updateOrderStatus = asyncHandler(async (req, res) => {
-    const { status } = req.body;
+    const { status, note } = req.body;
 
     if (!status) {
         res.status(400);
@@ -714,26 +844,96 @@ const updateOrderStatus = asyncHandler(async (req, res) => {
         throw new Error(`Invalid status. Must be one of: ${validStatuses.join(', ')}`);
     }
 
-    const order = await Order.findById(req.params.id);
-    if (!order) {
-        res.status(404);
-        throw new Error('Order not found');
-    }
+    const order = await transitionOrderStatus({ orderId: req.params.id, user: req.user, status, note });
+    await notifyOrderStatusChange(order, req.user);
 
-    // Only the farmer or admin can update order status
-    if (order.farmer.toString() !== req.user.id && req.user.role !== 'ADMIN') {
-        res.status(403);
-        throw new Error('Not authorized to update this order');
+    res.status(200).json(withAllowedStatuses(await populateOrder(order._id), req.user));
+});
+
+/**
+ * Cancel an Order
+ *
+ * Allowed before the order ships, with a reason. The ordered quantity goes
+ * back on the listing, a paid order is marked refunded, and the other side
+ * of the order is notified.
+ *
+ * @route POST /api/trade/orders/:id/cancel
+ * @access Private (Buyer, Farmer or Admin on the order)
+ * @param {Object} req.body - { reason }
+ */
+const cancelOrder = asyncHandler(async (req, res) => {
+    const reason = String(req.body.reason || '').trim();
+    if (!reason) {
+        res.status(400);
+        throw new Error('Please give a reason for cancelling');
     }
 
-    order.orderStatus = status;
-    await order.save();
+    const order = await cancelOrderService({ orderId: req.params.id, user: req.user, reason });
+    await notifyOrderStatusChange(order, req.user);
 
-    const populated = await Order.findById(order._id)
-        .populate('buyer', 'name phone')
-        .populate('farmer', 'name phone');
+    res.status(200).json(withAllowedStatuses(await populateOrder(order._id), req.user));
+});
+
+/**
+ * Dispute an Order
+ *
+ * The buyer reports a problem with a shipped, prepaid order while its
+ * dispute window is open. The payment stays in escrow until an admin
+ * resolves the dispute (see services/escrowService).
+ *
+ * @route POST /api/trade/orders/:id/dispute
+ * @access Private (Buyer on the order)
+ * @param {Object} req.body - { reason }
+ */
+const disputeOrder = asyncHandler(async (req, res) => {
+    const order = await openDispute({ orderId: req.params.id, user: req.user, reason: req.body.reason });
+    res.status(200).json(withAllowedStatuses(await populateOrder(order._id), req.user));
+});
+
+/**
+ * Record Cash Collected for a COD Order
+ *
+ * The farmer (or an admin, for a delivery agent) records the cash the
+ * buyer paid at handover. A matching amount marks the order paid; any
+ * other amount is flagged for an admin (see services/codService).
+ *
+ * @route POST /api/trade/orders/:id/cod-collection
+ * @access Private (Farmer on the order, Admin)
+ * @param {Object} req.body - { amount, agentName?, note? }
+ */
+const recordCodCollection = asyncHandler(async (req, res) => {
+    const order = await recordCashCollected({
+        orderId: req.params.id,
+        user: req.user,
+        amount: req.body.amount,
+        agentName: req.body.agentName,
+        note: req.body.note
+    });
+    res.status(200).json(withAllowedStatuses(await populateOrder(order._id), req.user));
+});
 
-    res.status(200).json(populated);
+/**
+ * Download an Order's Invoice or Bill of Supply
+ *
+ * The buyer gets the tax invoice and the farmer the bill of supply, as a
+ * PDF (see services/invoiceService). Admins pick either with `document`.
+ *
+ * @route GET /api/trade/orders/:id/invoice
+ * @access Private (Buyer/Farmer on the order, Admin)
+ * @param {Object} req.query - { document?: 'invoice' | 'bill-of-supply' }
+ */
+const downloadOrderInvoice = asyncHandler(async (req, res) => {
+    const { filename, content } = await getOrderDocument({
+        orderId: req.params.id,
+        user: req.user,
+        document: req.query.document
+    });
+
+    res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="${filename}"`
+    });
+    res.status(200).send(content);
 });
 
 module.exports = {
@@ -743,11 +943,19 @@ module.exports = {
     getBidHistoryForBuyer,
     updateBidStatus,
     startNegotiation,
+    getNegotiation,
     sendOffer,
     acceptNegotiation,
     rejectNegotiation,
     getNegotiationsForBuyer,
+    getNegotiations,
+    readNegotiation,
+    getOrderQuote,
     createOrder,
     getOrders,
-    updateOrderStatus
+    updateOrderStatus,
+    cancelOrder,
+    disputeOrder,
+    recordCodCollection,
+    downloadOrderInvoice
 };
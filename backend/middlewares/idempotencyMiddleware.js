@@ -0,0 +1,148 @@
+/**
+ * @fileoverview Idempotency Middleware for AgriSahayak Platform
+ *
+ * Lets clients safely resend requests that create records. A request sent
+ * with an `Idempotency-Key` header is run once per user and key; sending
+ * it again within IDEMPOTENCY_WINDOW_MS returns the stored response (with
+ * an `Idempotent-Replayed: true` header) instead of running it again.
+ *
+ * - The same key with a different method, path or body → 422
+ * - The same key while the first request is still running → 409 with a
+ *   `Retry-After` header, which marks it apart from a handler's own 409
+ * - Only successful (2xx) responses and the client errors in
+ *   STORED_CLIENT_ERRORS are stored. Any other outcome, such as a conflict
+ *   (409) or a server error (5xx), releases the key so the request can be
+ *   retried with it
+ *
+ * Requests without the header are not affected. Apply it after `protect`:
+ *   router.post('/orders', protect, idempotent, createOrder);
+ *
+ * @module middlewares/idempotencyMiddleware
+ * @requires crypto
+ * @requires express-async-handler - Async error wrapper
+ * @requires models/IdempotencyKey
+ *
+ * @see models/IdempotencyKey
+ */
+
+const crypto = require('crypto');
+const asyncHandler = require('express-async-handler');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+/** How long a key's response is replayed. */
+const IDEMPOTENCY_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+/** A request still 'processing' after this long is assumed lost, and its key can be used again. */
+const IDEMPOTENCY_LOCK_MS = 2 * 60 * 1000;
+
+const MAX_KEY_LENGTH = 255;
+
+/** Client errors about the request itself, which running it again would only repeat. */
+const STORED_CLIENT_ERRORS = [400, 403, 404, 422];
+
+const isStoredStatus = (status) => (status >= 200 && status < 300) || STORED_CLIENT_ERRORS.includes(status);
+
+const fingerprintOf = (req) => crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.baseUrl}${req.path}\n${JSON.stringify(req.body || {})}`)
+    .digest('hex');
+
+/**
+ * Claim a key for this request, or return the record that already holds it.
+ *
+ * @returns {Promise<Object>} { claim } when this request runs, otherwise { existing } (null if another request just took it over)
+ */
+async function claimKey(userId, key, fingerprint, now) {
+    const expiresAt = new Date(now.getTime() + IDEMPOTENCY_WINDOW_MS);
+    try {
+        return { claim: await IdempotencyKey.create({ user: userId, key, fingerprint, expiresAt }) };
+    } catch (error) {
+        if (error.code !== 11000) throw error;
+    }
+
+    const existing = await IdempotencyKey.findOne({ user: userId, key });
+    if (!existing) {
+        // Removed in the meantime; one more try
+        return { claim: await IdempotencyKey.create({ user: userId, key, fingerprint, expiresAt }) };
+    }
+
+    // An expired key, or a lost request's claim, is taken over
+    const expired = existing.expiresAt <= now;
+    const lost = existing.status === 'processing' && now - existing.updatedAt > IDEMPOTENCY_LOCK_MS;
+    if (expired || lost) {
+        const claim = await IdempotencyKey.findOneAndUpdate(
+            { _id: existing._id, updatedAt: existing.updatedAt },
+            {
+                $set: { fingerprint, status: 'processing', expiresAt },
+                $unset: { responseStatus: '', responseBody: '' }
+            },
+            { new: true }
+        );
+        if (claim) return { claim };
+        return { existing: await IdempotencyKey.findById(existing._id) };
+    }
+
+    return { existing };
+}
+
+/**
+ * Idempotent Middleware - Replay Guard for Create Requests
+ *
+ * @function idempotent
+ * @param {Object} req - Express request object (req.user set by protect)
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @throws {Error} 400 - Key empty or longer than MAX_KEY_LENGTH
+ * @throws {Error} 409 - The first request with this key is still running
+ * @throws {Error} 422 - Key already used for a different request
+ */
+const idempotent = asyncHandler(async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (key === undefined) {
+        return next();
+    }
+    if (!key.trim() || key.length > MAX_KEY_LENGTH) {
+        res.status(400);
+        throw new Error(`Idempotency-Key must be 1 to ${MAX_KEY_LENGTH} characters`);
+    }
+
+    const fingerprint = fingerprintOf(req);
+    const { claim, existing } = await claimKey(req.user._id, key, fingerprint, new Date());
+
+    if (!claim) {
+        if (existing && existing.fingerprint !== fingerprint) {
+            res.status(422);
+            throw new Error('This Idempotency-Key was already used for a different request');
+        }
+        if (!existing || existing.status !== 'completed') {
+            res.set('Retry-After', '1');
+            res.status(409);
+            throw new Error('A request with this Idempotency-Key is still being processed. Please try again shortly.');
+        }
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.responseStatus).json(existing.responseBody);
+    }
+
+    // Store the response before it is sent, so a replay never finds the key still processing
+    const sendJson = res.json.bind(res);
+    res.json = (body) => {
+        const stored = isStoredStatus(res.statusCode)
+            ? IdempotencyKey.updateOne(
+                { _id: claim._id },
+                { $set: { status: 'completed', responseStatus: res.statusCode, responseBody: JSON.parse(JSON.stringify(body ?? null)) } }
+            )
+            : IdempotencyKey.deleteOne({ _id: claim._id });
+
+        stored
+            .catch((error) => console.error(`Could not store the response for Idempotency-Key ${key}:`, error.message))
+            .then(() => sendJson(body));
+        return res;
+    };
+
+    next();
+});
+
+module.exports = {
+    IDEMPOTENCY_WINDOW_MS,
+    idempotent,
+};
@@ -0,0 +1,240 @@
+/**
+ * @fileoverview Auction Model Definition for AgriSahayak Platform
+ *
+ * This module defines the Mongoose schema and model for timed auctions.
+ * A farmer puts a quantity of one of their crop listings up for auction
+ * with a starting price, a hidden reserve price and an end time. Buyers
+ * place bids (stored as regular Bid documents linked to the auction)
+ * until the end time passes.
+ *
+ * An auction has a lifecycle: active → ended/cancelled.
+ * Closing happens on the server (see services/auctionService). When the
+ * highest bid meets the reserve price it becomes an Accepted bid, which
+ * the buyer then checks out through the normal createOrder flow.
+ *
+ * @module models/Auction
+ * @requires mongoose - MongoDB object modeling tool
+ *
+ * @see Epic 4, Story 4.1 - Create Auction
+ * @see Epic 4, Story 4.2 - Place Real-Time Bids
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Auction Schema Definition
+ *
+ * Includes automatic timestamp tracking (createdAt, updatedAt).
+ */
+const auctionSchema = new mongoose.Schema({
+    /**
+     * Reference to the Crop listing being auctioned.
+     * @type {mongoose.Schema.Types.ObjectId}
+     * @ref Crop
+     * @required
+     */
+    crop: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Crop',
+        required: true
+    },
+
+    /**
+     * Reference to the User (farmer) who owns the crop and runs the auction.
+     * @type {mongoose.Schema.Types.ObjectId}
+     * @ref User
+     * @required
+     */
+    farmer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+
+    /**
+     * Quantity (in quintals) offered in this auction.
+     * Cannot exceed the crop's available quantity at creation time.
+     * @type {Number}
+     * @required
+     */
+    quantity: {
+        type: Number,
+        required: [true, 'Auction quantity is required'],
+        min: [1, 'Auction quantity must be at least 1 quintal'],
+        max: [200, 'Auction quantity cannot exceed 200 quintals']
+    },
+
+    /**
+     * Opening price per quintal (₹). The first bid must be at least this amount.
+     * @type {Number}
+     * @required
+     */
+    startingPrice: {
+        type: Number,
+        required: [true, 'Starting price is required'],
+        min: [0, 'Starting price cannot be negative'],
+        max: [10000, 'Starting price cannot exceed ₹10,000/quintal']
+    },
+
+    /**
+     * Minimum price per quintal (₹) the farmer will accept.
+     * Never exposed to buyers; only whether it has been met.
+     * @type {Number}
+     * @default 0
+     */
+    reservePrice: {
+        type: Number,
+        default: 0,
+        min: [0, 'Reserve price cannot be negative'],
+        max: [10000, 'Reserve price cannot exceed ₹10,000/quintal']
+    },
+
+    /**
+     * When bidding opens. Defaults to creation time.
+     * @type {Date}
+     */
+    startTime: {
+        type: Date,
+        default: Date.now
+    },
+
+    /**
+     * When bidding closes. Bids are refused after this time and the
+     * auction is closed by the server. May be pushed out by soft-close
+     * extensions (see originalEndTime and extensions).
+     * @type {Date}
+     * @required
+     */
+    endTime: {
+        type: Date,
+        required: [true, 'Auction end time is required']
+    },
+
+    /**
+     * End time as originally scheduled, before any soft-close extensions.
+     * @type {Date}
+     */
+    originalEndTime: {
+        type: Date
+    },
+
+    /**
+     * Soft-close window in minutes. A bid placed when fewer than this many
+     * minutes remain pushes the end time out (anti-sniping). 0 disables it.
+     * @type {Number}
+     * @default 5
+     */
+    softCloseMinutes: {
+        type: Number,
+        default: 5,
+        min: [0, 'Soft-close window cannot be negative'],
+        max: [60, 'Soft-close window cannot exceed 60 minutes']
+    },
+
+    /**
+     * How far (in minutes from the late bid) the end time is pushed out.
+     * @type {Number}
+     * @default 5
+     */
+    extensionMinutes: {
+        type: Number,
+        default: 5,
+        min: [1, 'Extension must be at least 1 minute'],
+        max: [60, 'Extension cannot exceed 60 minutes']
+    },
+
+    /**
+     * Audit trail of every soft-close extension.
+     * Each entry records the bid that triggered it and the old/new end times.
+     * @type {Array<Object>}
+     */
+    extensions: [
+        {
+            /** The late bid that triggered the extension */
+            bid: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Bid'
+            },
+            /** End time before this extension */
+            previousEndTime: Date,
+            /** End time after this extension */
+            newEndTime: Date,
+            /** When the extension happened */
+            extendedAt: {
+                type: Date,
+                default: Date.now
+            }
+        }
+    ],
+
+    /**
+     * Current status of the auction.
+     * - active: Accepting bids
+     * - ended: Closed by the server (with or without a winner)
+     * - cancelled: Withdrawn by the farmer before closing
+     * @type {String}
+     * @enum {('active'|'ended'|'cancelled')}
+     * @default 'active'
+     */
+    status: {
+        type: String,
+        enum: ['active', 'ended', 'cancelled'],
+        default: 'active'
+    },
+
+    /**
+     * Highest bid amount (₹/quintal) received so far.
+     * Equals 0 until the first bid arrives.
+     * @type {Number}
+     * @default 0
+     */
+    currentBid: {
+        type: Number,
+        default: 0
+    },
+
+    /**
+     * The Bid document currently leading the auction.
+     * @type {mongoose.Schema.Types.ObjectId}
+     * @ref Bid
+     */
+    highestBid: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Bid'
+    },
+
+    /**
+     * The Bid that won the auction. Set on close only when the
+     * reserve price was met; that bid is moved to 'Accepted'.
+     * @type {mongoose.Schema.Types.ObjectId}
+     * @ref Bid
+     */
+    winningBid: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Bid'
+    },
+
+    /**
+     * Number of bids placed in this auction.
+     * @type {Number}
+     * @default 0
+     */
+    bidCount: {
+        type: Number,
+        default: 0
+    },
+
+    /**
+     * When the auction was ended or cancelled.
+     * @type {Date}
+     */
+    closedAt: {
+        type: Date
+    }
+}, { timestamps: true }); // Automatically adds createdAt and updatedAt fields
+
+auctionSchema.index({ status: 1, endTime: 1 });
+auctionSchema.index({ crop: 1, status: 1 });
+
+// Export the compiled Mongoose model for use in controllers and routes
+module.exports = mongoose.model('Auction', auctionSchema);
@@ -16,6 +16,14 @@ const bidSchema = new mongoose.Schema({
         ref: 'User',
         required: true
     },
+    auction: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Auction'
+    },
+    isProxy: {
+        type: Boolean,
+        default: false
+    },
     amount: {
         type: Number,
         required: true,
@@ -36,10 +44,15 @@ const bidSchema = new mongoose.Schema({
     },
     expiresAt: {
         type: Date
+    },
+    expiredAt: {
+        type: Date
     }
 }, { timestamps: true });
 
 bidSchema.index({ listingId: 1, buyerId: 1 });
 bidSchema.index({ farmerId: 1, status: 1 });
+bidSchema.index({ auction: 1, amount: -1 });
+bidSchema.index({ status: 1, expiresAt: 1 });
 
 module.exports = mongoose.model('Bid', bidSchema);
@@ -0,0 +1,67 @@
+/**
+ * @fileoverview Cart Model Definition for AgriSahayak Platform
+ *
+ * This module defines the Mongoose schema and model for a buyer's
+ * shopping cart. The cart is stored on the server so it follows the
+ * buyer across devices, and can hold listings from several farmers.
+ *
+ * Checkout (POST /api/cart/checkout) turns the cart into one Order per
+ * farmer and empties it. Items only record what the buyer wants; price
+ * and availability are always read from the Crop at checkout time.
+ *
+ * @module models/Cart
+ * @requires mongoose - MongoDB object modeling tool
+ *
+ * @see Epic 4, Story 4.1 - Fixed-Price Purchase
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Cart Schema Definition
+ *
+ * Includes automatic timestamp tracking (createdAt, updatedAt).
+ */
+const cartSchema = new mongoose.Schema({
+    /**
+     * Reference to the User (buyer) who owns the cart. One cart per buyer.
+     * @type {mongoose.Schema.Types.ObjectId}
+     * @ref User
+     * @required
+     */
+    buyer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        unique: true
+    },
+
+    /**
+     * Listings in the cart, at most one entry per crop.
+     * @type {Array<Object>}
+     */
+    items: [
+        {
+            /** Reference to the Crop listing */
+            crop: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Crop',
+                required: true
+            },
+            /** Quintals wanted */
+            quantity: {
+                type: Number,
+                required: true,
+                min: [1, 'Quantity must be at least 1']
+            },
+            /** When the listing was added */
+            addedAt: {
+                type: Date,
+                default: Date.now
+            }
+        }
+    ]
+}, { timestamps: true }); // Automatically adds createdAt and updatedAt fields
+
+// Export the compiled Mongoose model for use in controllers and routes
+module.exports = mongoose.model('Cart', cartSchema);
@@ -0,0 +1,39 @@
+/**
+ * @fileoverview Counter Model Definition for AgriSahayak Platform
+ *
+ * Named sequences, such as the invoice numbers of a financial year (see
+ * services/invoiceService). A counter is advanced with one atomic `$inc`,
+ * so two requests never get the same number.
+ *
+ * @module models/Counter
+ * @requires mongoose - MongoDB object modeling tool
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Counter Schema Definition
+ */
+const counterSchema = new mongoose.Schema({
+    /**
+     * Sequence name, e.g. 'invoice:2025-26'.
+     * @type {String}
+     */
+    _id: {
+        type: String,
+        required: true
+    },
+
+    /**
+     * Last number handed out.
+     * @type {Number}
+     * @default 0
+     */
+    seq: {
+        type: Number,
+        default: 0
+    }
+});
+
+// Export the compiled Mongoose model for use in services
+module.exports = mongoose.model('Counter', counterSchema);
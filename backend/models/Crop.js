@@ -15,6 +15,14 @@
  * @see Epic 2, Story 2.4 - Add Crop Listing
  * @see Epic 2, Story 2.6 - View Crop Listings
  * @see Epic 2, Story 2.9 - Manage Crop Availability (isSold field)
+ *
+ * Quantity held for accepted bids, accepted negotiations and running
+ * auctions is tracked in `reservations` / `reservedQuantity`; only
+ * `quantity - reservedQuantity` can be bought by anyone else
+ * (see services/inventoryService).
+ *
+ * A listing may carry `negotiationRules` for answering buyers' offers
+ * automatically (see services/autoNegotiationService).
  */
 
 const mongoose = require('mongoose');
@@ -134,6 +142,33 @@ const cropSchema = new mongoose.Schema({
         default: 'other'
     },
 
+    /**
+     * Whether the produce is processed (milled, packed or branded) rather
+     * than sold as harvested. Unprocessed produce is exempt from GST for
+     * most commodities (see services/taxService).
+     * @type {Boolean}
+     * @default false
+     */
+    processed: {
+        type: Boolean,
+        default: false
+    },
+
+    /**
+     * Share of the order total (%) the buyer must pay in advance at
+     * booking; the balance is paid after delivery (see Order
+     * paymentSchedule). 0 means the order is paid in full at checkout.
+     * Orders with an advance are paid by card or UPI.
+     * @type {Number}
+     * @default 0
+     */
+    advancePercent: {
+        type: Number,
+        default: 0,
+        min: [0, 'Advance cannot be negative'],
+        max: [90, 'Advance cannot be more than 90% of the order']
+    },
+
     /**
      * Filename/path of the crop's display image.
      * Currently stores a string path (no actual file upload implemented).
@@ -191,8 +226,120 @@ const cropSchema = new mongoose.Schema({
         type: String,
         enum: ['Available', 'OutOfStock', 'Sold', 'Draft'],
         default: 'Available'
+    },
+
+    /**
+     * Total quintals currently held by reservations.
+     * Always equals the sum of `reservations[].quantity`.
+     * @type {Number}
+     * @default 0
+     */
+    reservedQuantity: {
+        type: Number,
+        default: 0,
+        min: [0, 'Reserved quantity cannot be negative']
+    },
+
+    /**
+     * Quantity held for a specific buyer (or a running auction) until it
+     * is bought, released, or its hold expires. Not returned by default
+     * because it names the buyers.
+     * @type {Array<Object>}
+     */
+    reservations: {
+        type: [
+            {
+                /** What the hold is for */
+                source: {
+                    type: String,
+                    enum: ['bid', 'negotiation', 'auction'],
+                    required: true
+                },
+                /** Accepted bid the quantity is held for */
+                bid: {
+                    type: mongoose.Schema.Types.ObjectId,
+                    ref: 'Bid'
+                },
+                /** Accepted negotiation the quantity is held for */
+                negotiation: {
+                    type: mongoose.Schema.Types.ObjectId,
+                    ref: 'Negotiation'
+                },
+                /** Running auction the quantity is held for */
+                auction: {
+                    type: mongoose.Schema.Types.ObjectId,
+                    ref: 'Auction'
+                },
+                /** Buyer entitled to buy the held quantity */
+                buyer: {
+                    type: mongoose.Schema.Types.ObjectId,
+                    ref: 'User'
+                },
+                /** Quintals held */
+                quantity: {
+                    type: Number,
+                    required: true,
+                    min: [0, 'Reserved quantity cannot be negative']
+                },
+                /** When the hold lapses (none for auctions, which are released on close) */
+                expiresAt: {
+                    type: Date
+                },
+                createdAt: {
+                    type: Date,
+                    default: Date.now
+                }
+            }
+        ],
+        select: false
+    },
+
+    /**
+     * The farmer's rules for answering buyers' offers automatically
+     * (see services/autoNegotiationService). Not returned by default
+     * because the floor price is the farmer's secret.
+     * @type {Object}
+     */
+    negotiationRules: {
+        type: new mongoose.Schema({
+            /** Whether the rules are applied */
+            enabled: {
+                type: Boolean,
+                default: false
+            },
+            /** Lowest price (₹/quintal) an automatic counter-offer may ask */
+            floorPrice: {
+                type: Number,
+                min: [0, 'Floor price cannot be negative']
+            },
+            /** Buyer offers at or above this price (₹/quintal) are accepted automatically */
+            autoAcceptPrice: {
+                type: Number,
+                min: [0, 'Auto-accept price cannot be negative']
+            },
+            /**
+             * How to counter other offers:
+             * - split_difference: halfway between the offer and the farmer's current ask
+             * - none: leave them to the farmer
+             */
+            counterStrategy: {
+                type: String,
+                enum: ['split_difference', 'none'],
+                default: 'split_difference'
+            },
+            /** Most automatic counter-offers per negotiation */
+            maxRounds: {
+                type: Number,
+                min: [1, 'Allow at least one round'],
+                max: [10, 'Allow at most 10 rounds'],
+                default: 3
+            }
+        }, { _id: false }),
+        select: false
     }
 }, { timestamps: true }); // Automatically adds createdAt and updatedAt fields
 
+cropSchema.index({ 'reservations.expiresAt': 1 });
+
 // Export the compiled Mongoose model for use in controllers and routes
 module.exports = mongoose.model('Crop', cropSchema);
@@ -0,0 +1,108 @@
+/**
+ * @fileoverview Fee Rule Model Definition for AgriSahayak Platform
+ *
+ * An admin-configured marketplace fee (see services/pricingService). A
+ * rule is either a percentage of the matching items' value or a flat
+ * amount per order, and is paid by the buyer (added to the order total)
+ * or by the farmer (a commission taken from what the farmer is paid).
+ *
+ * A rule can be limited to crop categories, order types and buyer tiers;
+ * an empty list matches everything. Every active rule that matches an
+ * order applies, each as its own line on the order.
+ *
+ * @module models/FeeRule
+ * @requires mongoose - MongoDB object modeling tool
+ *
+ * @see services/pricingService
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Fee Rule Schema Definition
+ *
+ * Includes automatic timestamp tracking (createdAt, updatedAt).
+ */
+const feeRuleSchema = new mongoose.Schema({
+    /**
+     * Shown to buyers and farmers on the order, e.g. 'Marketplace fee'.
+     * @type {String}
+     * @required
+     */
+    name: {
+        type: String,
+        required: [true, 'Fee name is required'],
+        trim: true,
+        maxlength: 60
+    },
+
+    /**
+     * - percentage: `value` percent of the matching items' value
+     * - flat: `value` rupees per order
+     * @type {String}
+     * @required
+     */
+    kind: {
+        type: String,
+        enum: ['percentage', 'flat'],
+        required: [true, 'Fee kind is required']
+    },
+
+    /**
+     * Percent (percentage) or rupees (flat).
+     * @type {Number}
+     * @required
+     */
+    value: {
+        type: Number,
+        required: [true, 'Fee value is required'],
+        min: [0, 'Fee value cannot be negative']
+    },
+
+    /**
+     * - buyer: added to what the buyer pays
+     * - farmer: commission deducted from what the farmer is paid
+     * @type {String}
+     * @default 'buyer'
+     */
+    payer: {
+        type: String,
+        enum: ['buyer', 'farmer'],
+        default: 'buyer'
+    },
+
+    /** Crop categories the rule applies to (empty = all). */
+    categories: [{
+        type: String,
+        enum: ['grain', 'vegetable', 'fruit', 'spice', 'pulse', 'oilseed', 'other']
+    }],
+
+    /** Order types the rule applies to (empty = all). */
+    orderTypes: [{
+        type: String,
+        enum: ['buyNow', 'bid', 'negotiation']
+    }],
+
+    /** Buyer tiers the rule applies to (empty = all). */
+    buyerTiers: [{
+        type: String,
+        enum: ['standard', 'silver', 'gold']
+    }],
+
+    /**
+     * Inactive rules are kept for the record but no longer charged.
+     * @type {Boolean}
+     * @default true
+     */
+    active: {
+        type: Boolean,
+        default: true
+    }
+}, { timestamps: true }); // Automatically adds createdAt and updatedAt fields
+
+feeRuleSchema.path('value').validate(function (value) {
+    return this.kind !== 'percentage' || value <= 100;
+}, 'A percentage fee cannot be more than 100');
+
+// Export the compiled Mongoose model for use in controllers and routes
+module.exports = mongoose.model('FeeRule', feeRuleSchema);
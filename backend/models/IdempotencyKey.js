@@ -0,0 +1,96 @@
+/**
+ * @fileoverview Idempotency Key Model Definition for AgriSahayak Platform
+ *
+ * Records a request sent with an `Idempotency-Key` header and the response
+ * it got, so a client that resends the request (for example after losing
+ * its connection mid-checkout) gets the original response back instead
+ * of creating a second order or bid.
+ *
+ * @module models/IdempotencyKey
+ * @requires mongoose - MongoDB object modeling tool
+ *
+ * @see middlewares/idempotencyMiddleware
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Idempotency Key Schema Definition
+ *
+ * Includes automatic timestamp tracking (createdAt, updatedAt).
+ */
+const idempotencyKeySchema = new mongoose.Schema({
+    /**
+     * User who sent the request. Keys are only unique per user.
+     * @type {ObjectId}
+     * @ref User
+     * @required
+     */
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+
+    /**
+     * The client's Idempotency-Key header.
+     * @type {String}
+     * @required
+     */
+    key: {
+        type: String,
+        required: true
+    },
+
+    /**
+     * Hash of the method, path and body the key was first used with. The
+     * same key with a different request is rejected.
+     * @type {String}
+     * @required
+     */
+    fingerprint: {
+        type: String,
+        required: true
+    },
+
+    /**
+     * 'processing' while the first request runs, 'completed' once its
+     * response is stored.
+     * @type {String}
+     * @enum {('processing'|'completed')}
+     */
+    status: {
+        type: String,
+        enum: ['processing', 'completed'],
+        default: 'processing'
+    },
+
+    /**
+     * HTTP status of the stored response.
+     * @type {Number}
+     */
+    responseStatus: Number,
+
+    /**
+     * JSON body of the stored response.
+     * @type {Object}
+     */
+    responseBody: mongoose.Schema.Types.Mixed,
+
+    /**
+     * When the key can be used for a new request. MongoDB removes the
+     * record some time after this.
+     * @type {Date}
+     * @required
+     */
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, { timestamps: true }); // Automatically adds createdAt and updatedAt fields
+
+idempotencyKeySchema.index({ user: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Export the compiled Mongoose model for use in controllers and routes
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
@@ -0,0 +1,149 @@
+/**
+ * @fileoverview Ledger Transaction Model Definition for AgriSahayak Platform
+ *
+ * One balanced double-entry transaction in the platform's money ledger
+ * (see services/ledgerService). Each transaction has two or more lines;
+ * the debits and credits of its lines must be equal. Amounts are whole
+ * paise so sums never suffer from floating point rounding.
+ *
+ * Accounts:
+ * - gateway_clearing: money held for us by the payment provider
+ * - buyer_escrow: prepaid order money held until delivery (see services/escrowService)
+ * - farmer_payable: what the platform owes each farmer (lines carry `farmer`)
+ * - platform_fees: the platform's fee income
+ * - payouts_in_transit: payouts sent to farmers but not yet settled
+ *
+ * Each transaction has a unique `key` (e.g. `capture:<orderId>`), so
+ * posting the same event twice records it once.
+ *
+ * @module models/LedgerTransaction
+ * @requires mongoose - MongoDB object modeling tool
+ *
+ * @see services/ledgerService
+ */
+
+const mongoose = require('mongoose');
+
+const LEDGER_ACCOUNTS = ['gateway_clearing', 'buyer_escrow', 'farmer_payable', 'platform_fees', 'payouts_in_transit'];
+
+/**
+ * Ledger Transaction Schema Definition
+ *
+ * Includes automatic timestamp tracking (createdAt, updatedAt).
+ */
+const ledgerTransactionSchema = new mongoose.Schema({
+    /**
+     * Unique per event, e.g. 'capture:<orderId>' or 'payout:<payoutId>'.
+     * @type {String}
+     * @required
+     */
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+
+    /**
+     * What happened.
+     * - capture: buyer's payment captured into escrow
+     * - release: escrow paid over to the farmer, less the platform fee
+     * - refund: escrow returned to the buyer
+     * - payout: farmer's balance sent out in a payout
+     * - payout_settled: the payout reached the farmer
+     * - payout_failed: the payout bounced; the balance is owed again
+     * - cod_collection: the farmer collected a cash on delivery order's
+     *   cash and keeps it; the platform's fees are owed by the farmer
+     * @type {String}
+     * @required
+     */
+    type: {
+        type: String,
+        enum: ['capture', 'release', 'refund', 'payout', 'payout_settled', 'payout_failed', 'cod_collection'],
+        required: true
+    },
+
+    /** Order the transaction belongs to (order events). */
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        index: true
+    },
+
+    /** Farmer whose money this is. */
+    farmer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        index: true
+    },
+
+    /** Payout the transaction belongs to (payout events). */
+    payout: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Payout'
+    },
+
+    /** Human-readable description for statements. */
+    description: String,
+
+    /**
+     * Debit and credit lines, in paise. Each line has either a debit or a credit.
+     * @type {Array<Object>}
+     */
+    lines: [
+        {
+            _id: false,
+            account: {
+                type: String,
+                enum: LEDGER_ACCOUNTS,
+                required: true
+            },
+            /** Farmer the line's farmer_payable balance belongs to */
+            farmer: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User'
+            },
+            debit: {
+                type: Number,
+                default: 0,
+                min: 0
+            },
+            credit: {
+                type: Number,
+                default: 0,
+                min: 0
+            }
+        }
+    ],
+
+    /**
+     * When the money moved (the event time, not when it was recorded).
+     * @type {Date}
+     */
+    postedAt: {
+        type: Date,
+        default: Date.now,
+        index: true
+    }
+}, { timestamps: true }); // Automatically adds createdAt and updatedAt fields
+
+// A transaction must balance, in whole paise
+ledgerTransactionSchema.pre('validate', function (next) {
+    const debits = this.lines.reduce((sum, line) => sum + line.debit, 0);
+    const credits = this.lines.reduce((sum, line) => sum + line.credit, 0);
+
+    if (this.lines.length < 2) {
+        return next(new Error('A ledger transaction needs at least two lines'));
+    }
+    if (!this.lines.every((line) => Number.isInteger(line.debit) && Number.isInteger(line.credit))) {
+        return next(new Error('Ledger amounts must be whole paise'));
+    }
+    if (debits !== credits || debits === 0) {
+        return next(new Error(`Ledger transaction ${this.key} does not balance (debits ${debits}, credits ${credits})`));
+    }
+    next();
+});
+
+ledgerTransactionSchema.index({ 'lines.account': 1, 'lines.farmer': 1, postedAt: 1 });
+
+// Export the compiled Mongoose model for use in controllers and routes
+module.exports = mongoose.model('LedgerTransaction', ledgerTransactionSchema);
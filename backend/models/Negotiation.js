@@ -6,8 +6,12 @@
  * and function as a chat-like thread where both parties can exchange
  * text messages and price offers.
  * 
- * A negotiation has a lifecycle: active → accepted/rejected/cancelled.
- * When accepted, a finalPrice is set and an order can be generated.
+ * A negotiation has a lifecycle: active → accepted/rejected/cancelled/expired,
+ * then accepted → completed/expired.
+ * When either party accepts the other side's live offer, its price and
+ * quantity become the finalPrice and quantity, and the buyer may check out
+ * exactly that deal once, before checkoutExpiresAt. The order it produces
+ * completes the negotiation.
  * 
  * @module models/Negotiation
  * @requires mongoose - MongoDB object modeling tool
@@ -18,6 +22,35 @@
 
 const mongoose = require('mongoose');
 
+/**
+ * Deal terms beyond price and quantity, carried by each offer and, once
+ * agreed, by the negotiation and its order. Every term is optional.
+ */
+const termsSchema = new mongoose.Schema({
+    /** When the farmer delivers */
+    deliveryDate: Date,
+    /** Where the farmer delivers */
+    deliveryPlace: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Delivery place cannot exceed 200 characters']
+    },
+    /** Quality grade of the produce delivered */
+    grade: {
+        type: String,
+        enum: ['A', 'B', 'C']
+    },
+    /**
+     * How the buyer pays:
+     * - prepaid: online (card/UPI) at checkout
+     * - cod: cash on delivery
+     */
+    paymentTerms: {
+        type: String,
+        enum: ['prepaid', 'cod']
+    }
+}, { _id: false });
+
 /**
  * Negotiation Schema Definition
  * 
@@ -70,19 +103,57 @@ const negotiationSchema = new mongoose.Schema({
     /**
      * Current status of the negotiation lifecycle.
      * - active: Negotiation is ongoing, messages can be exchanged
-     * - accepted: Farmer accepted the buyer's offer (finalPrice is set)
+     * - accepted: One party accepted the other's offer (finalPrice is set)
+     * - completed: The buyer checked out the accepted deal (order is set)
      * - rejected: Farmer rejected the negotiation
-     * - cancelled: Either party cancelled the negotiation
+     * - cancelled: Either party cancelled the negotiation, or the crop sold out
+     * - expired: Closed automatically after too long without activity, or
+     *   accepted but not checked out in time
      * @type {String}
-     * @enum {('active'|'accepted'|'rejected'|'cancelled')}
+     * @enum {('active'|'accepted'|'completed'|'rejected'|'cancelled'|'expired')}
      * @default 'active'
      */
     status: {
         type: String,
-        enum: ['active', 'accepted', 'rejected', 'cancelled'],
+        enum: ['active', 'accepted', 'completed', 'rejected', 'cancelled', 'expired'],
         default: 'active'
     },
 
+    /**
+     * Why the platform closed the negotiation, when it did:
+     * - inactivity: No activity for the inactivity timeout (status 'expired')
+     * - sold_out: The crop sold out (status 'cancelled')
+     * - checkout_expired: Accepted, but not checked out within the
+     *   checkout window (status 'expired')
+     * @type {String}
+     * @enum {('inactivity'|'sold_out'|'checkout_expired')}
+     * @optional
+     */
+    closedReason: {
+        type: String,
+        enum: ['inactivity', 'sold_out', 'checkout_expired']
+    },
+
+    /**
+     * When the platform closed the negotiation.
+     * @type {Date}
+     * @optional
+     */
+    closedAt: {
+        type: Date
+    },
+
+    /**
+     * When the parties were last nudged about the negotiation going quiet.
+     * One nudge is sent per quiet spell (nudgedAt before lastActivity means
+     * there has been activity since).
+     * @type {Date}
+     * @optional
+     */
+    nudgedAt: {
+        type: Date
+    },
+
     /**
      * The agreed-upon price when negotiation status becomes 'accepted'.
      * This is the price that will be used to generate the order.
@@ -94,6 +165,69 @@ const negotiationSchema = new mongoose.Schema({
         type: Number
     },
 
+    /**
+     * The offer (message) that was accepted.
+     * @type {mongoose.Schema.Types.ObjectId}
+     * @optional
+     */
+    acceptedOffer: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+
+    /**
+     * Who accepted the offer, buyer or farmer.
+     * @type {mongoose.Schema.Types.ObjectId}
+     * @ref User
+     * @optional
+     */
+    acceptedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+
+    /**
+     * The accepted offer's terms (delivery date and place, grade, payment
+     * terms). Copied to the order when the deal is checked out.
+     * @type {Object}
+     * @optional
+     */
+    terms: termsSchema,
+
+    /**
+     * End of the checkout window for an accepted negotiation (the same
+     * 2 hours as an accepted bid). Only the buyer can check out the deal,
+     * for this crop and the agreed quantity, and only once.
+     * @type {Date}
+     * @optional
+     */
+    checkoutExpiresAt: {
+        type: Date
+    },
+
+    /**
+     * The order that checked out the accepted deal (status 'completed').
+     * @type {mongoose.Schema.Types.ObjectId}
+     * @ref Order
+     * @optional
+     */
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order'
+    },
+
+    /**
+     * Quintals the buyer is negotiating for; set to the accepted offer's
+     * quantity and reserved on the crop when the negotiation is accepted.
+     * Older negotiations without it cover the quantity available at
+     * acceptance.
+     * @type {Number}
+     * @optional
+     */
+    quantity: {
+        type: Number,
+        min: [0, 'Quantity cannot be negative']
+    },
+
     /**
      * Array of messages exchanged between buyer and farmer.
      * Messages can be plain text conversations or formal price offers.
@@ -102,20 +236,32 @@ const negotiationSchema = new mongoose.Schema({
      * Each message contains:
      * - sender: Who sent the message (User reference)
      * - content: The text content of the message
-     * - type: 'text' for regular messages, 'offer' for price proposals
+     * - type: 'text' for regular messages, 'offer' for price proposals,
+     *   'system' for events the platform records (no sender)
      * - offerAmount: The proposed price (only for 'offer' type messages)
+     * - quantity, validUntil, offerStatus: The rest of an offer (see below)
+     * - terms: The offer's other deal terms; changes: how its price,
+     *   quantity and terms differ from the previous offer
+     * - automated: Sent on the farmer's behalf by their negotiation rules
      * - timestamp: When the message was sent
+     *
+     * An offer is identified by its message _id. Only the latest offer in
+     * the thread is 'live'; a new offer from either side marks the earlier
+     * ones 'superseded'. The other party can accept the live offer until
+     * its validUntil.
      * 
      * @type {Array<Object>}
      * @see Epic 4, Story 4.4 - Chat-like negotiation interface
      */
     messages: [
         {
-            /** Reference to the User who sent this message */
+            /** Reference to the User who sent this message (none for 'system') */
             sender: {
                 type: mongoose.Schema.Types.ObjectId,
                 ref: 'User',
-                required: true
+                required: function () {
+                    return this.type !== 'system';
+                }
             },
             /** Text content of the message or offer description */
             content: {
@@ -126,14 +272,49 @@ const negotiationSchema = new mongoose.Schema({
              * Message type discriminator:
              * - 'text': Regular chat message
              * - 'offer': A formal price proposal with an offerAmount
+             * - 'system': Recorded by the platform, e.g. an automatic close
              */
             type: {
                 type: String,
-                enum: ['text', 'offer'],
+                enum: ['text', 'offer', 'system'],
                 default: 'text'
             },
             /** The proposed price amount (only present when type is 'offer') */
             offerAmount: Number,
+            /** Quintals the offer is for */
+            quantity: Number,
+            /** The offer can no longer be accepted after this */
+            validUntil: Date,
+            /** Delivery date and place, grade and payment terms offered */
+            terms: termsSchema,
+            /** What this offer changed from the previous one: { field, from, to } */
+            changes: [
+                {
+                    _id: false,
+                    field: String,
+                    from: mongoose.Schema.Types.Mixed,
+                    to: mongoose.Schema.Types.Mixed
+                }
+            ],
+            /**
+             * Offer state (offers only):
+             * - 'live': The latest offer, open to the other party
+             * - 'superseded': A later offer replaced it
+             * - 'accepted': The other party accepted it
+             * Offers saved before offers had a state read as 'live'; only
+             * the latest of them counts.
+             */
+            offerStatus: {
+                type: String,
+                enum: ['live', 'superseded', 'accepted'],
+                default: function () {
+                    return this.type === 'offer' ? 'live' : undefined;
+                }
+            },
+            /** Sent by the farmer's negotiation rules rather than the farmer */
+            automated: {
+                type: Boolean
+            },
             /** Timestamp of when this message was sent */
             timestamp: {
                 type: Date,
@@ -142,6 +323,26 @@ const negotiationSchema = new mongoose.Schema({
         }
     ],
 
+    /**
+     * When the buyer last read the thread. Messages from the farmer after
+     * this are unread for the buyer.
+     * @type {Date}
+     * @optional
+     */
+    buyerLastReadAt: {
+        type: Date
+    },
+
+    /**
+     * When the farmer last read the thread. Messages from the buyer after
+     * this are unread for the farmer.
+     * @type {Date}
+     * @optional
+     */
+    farmerLastReadAt: {
+        type: Date
+    },
+
     /**
      * Timestamp of the most recent activity in this negotiation.
      * Updated whenever a new message is added or status changes.
@@ -155,5 +356,9 @@ const negotiationSchema = new mongoose.Schema({
     }
 }, { timestamps: true }); // Automatically adds createdAt and updatedAt fields
 
+// Negotiation inboxes, newest first
+negotiationSchema.index({ buyer: 1, lastActivity: -1 });
+negotiationSchema.index({ farmer: 1, lastActivity: -1 });
+
 // Export the compiled Mongoose model for use in controllers and routes
 module.exports = mongoose.model('Negotiation', negotiationSchema);
@@ -72,18 +72,112 @@ const orderSchema = new mongoose.Schema({
             },
             /** Snapshot of the crop name at time of purchase */
             name: String,
+            /** Snapshot of the crop category (fee rules can depend on it) */
+            category: String,
             /** Quantity purchased (in kg) */
             quantity: Number,
             /** Price per kilogram at time of purchase (₹) */
             pricePerKg: Number,
             /** Line item total: quantity × pricePerKg (₹) */
-            total: Number
+            total: Number,
+            /** HSN code the item was taxed under (see services/taxService) */
+            hsn: String,
+            /** GST rate on the item (%), 0 when exempt */
+            taxRate: Number,
+            /** GST on the item (₹) */
+            taxAmount: Number
         }
     ],
 
     /**
-     * Grand total amount for the order in Indian Rupees (₹).
-     * Sum of all item totals plus shipping cost.
+     * Sum of the item totals (₹), before fees and shipping.
+     * @type {Number}
+     */
+    subtotal: {
+        type: Number,
+        min: [0, 'Subtotal cannot be negative']
+    },
+
+    /**
+     * GST on the goods, one line per tax type and rate: CGST and SGST for
+     * a sale within a state, IGST across states. Exempt items add no line.
+     * @type {Array<Object>}
+     */
+    taxes: [
+        {
+            _id: false,
+            type: {
+                type: String,
+                enum: ['CGST', 'SGST', 'IGST']
+            },
+            /** Percent */
+            rate: Number,
+            /** Value of the items taxed at this rate (₹) */
+            taxableValue: Number,
+            /** Tax in rupees */
+            amount: Number
+        }
+    ],
+
+    /**
+     * Total GST on the order (₹), included in totalAmount.
+     * @type {Number}
+     * @default 0
+     */
+    taxAmount: {
+        type: Number,
+        default: 0,
+        min: [0, 'Tax cannot be negative']
+    },
+
+    /**
+     * Sequential invoice number within the financial year, e.g.
+     * 'AS/2025-26/000042'. Given when the order is placed (orders from
+     * before invoicing get one the first time an invoice is downloaded).
+     * @type {String}
+     */
+    invoiceNumber: {
+        type: String,
+        unique: true,
+        sparse: true
+    },
+
+    /** When the invoice number was given. @type {Date} */
+    invoiceDate: Date,
+
+    /**
+     * Fees charged on the order, one line per fee rule that applied (see
+     * services/pricingService). Buyer fees are included in totalAmount;
+     * farmer fees are deducted from what the farmer is paid.
+     * @type {Array<Object>}
+     */
+    fees: [
+        {
+            _id: false,
+            /** Rule the fee came from */
+            rule: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'FeeRule'
+            },
+            name: String,
+            kind: {
+                type: String,
+                enum: ['percentage', 'flat']
+            },
+            /** Percent or flat rupees, as configured when the order was placed */
+            rate: Number,
+            payer: {
+                type: String,
+                enum: ['buyer', 'farmer']
+            },
+            /** Fee in rupees */
+            amount: Number
+        }
+    ],
+
+    /**
+     * Grand total amount for the order in Indian Rupees (₹): what the buyer
+     * pays. Subtotal plus shipping cost plus tax plus buyer fees.
      * Cannot be negative.
      * @type {Number}
      * @required
@@ -126,25 +220,226 @@ const orderSchema = new mongoose.Schema({
 
     /**
      * Current status of the payment transaction.
-     * - pending: Payment not yet completed (e.g., COD orders)
-     * - paid: Payment successfully received
+     * - pending: Payment not yet completed (COD orders, or an online
+     *   payment the provider has not confirmed yet)
+     * - partially_paid: The advance of a paymentSchedule is paid, the
+     *   balance is not
+     * - paid: Payment confirmed by the payment provider, or the cash for a
+     *   COD order collected (see codCollection)
      * - failed: Payment attempt failed
+     * - refunded: Paid, then returned to the buyer because the order was cancelled
      * @type {String}
-     * @enum {('pending'|'paid'|'failed')}
+     * @enum {('pending'|'partially_paid'|'paid'|'failed'|'refunded')}
      * @default 'pending'
      */
     paymentStatus: {
         type: String,
-        enum: ['pending', 'paid', 'failed'],
+        enum: ['pending', 'partially_paid', 'paid', 'failed', 'refunded'],
         default: 'pending'
     },
 
+    /**
+     * Instalments for an order whose listing requires an advance (see
+     * services/paymentService). Empty when the order is paid in full at
+     * checkout.
+     * - advance: charged at checkout (dueOn 'booking')
+     * - balance: paid by the buyer once the order has shipped (dueOn
+     *   'delivery'); dueDate is set when it ships, and the buyer is
+     *   reminded as it comes due and while it is overdue
+     * Each instalment is its own payment with the provider, so it has its
+     * own intent, status and refund (refundId / refundStatus). The order is
+     * only refunded once every paid instalment is.
+     * @type {Array<Object>}
+     */
+    paymentSchedule: [
+        {
+            kind: {
+                type: String,
+                enum: ['advance', 'balance'],
+                required: true
+            },
+            /** Share of the order total (%) */
+            percent: Number,
+            /** Amount due (₹) */
+            amount: {
+                type: Number,
+                min: [0, 'Instalment amount cannot be negative']
+            },
+            dueOn: {
+                type: String,
+                enum: ['booking', 'delivery']
+            },
+            dueDate: Date,
+            status: {
+                type: String,
+                enum: ['pending', 'paid', 'failed', 'refunded'],
+                default: 'pending'
+            },
+            /** Provider intent that paid (or is paying) the instalment */
+            intentId: String,
+            failureReason: String,
+            paidAt: Date,
+            refundId: String,
+            refundStatus: {
+                type: String,
+                enum: ['pending', 'succeeded', 'failed']
+            },
+            refundedAt: Date,
+            /** Last payment reminder sent to the buyer */
+            remindedAt: Date,
+            reminderCount: {
+                type: Number,
+                default: 0
+            }
+        }
+    ],
+
+    /**
+     * Why the order was cancelled (required when cancelling).
+     * @type {String}
+     */
+    cancellationReason: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Cancellation reason cannot exceed 500 characters']
+    },
+
+    /** When the order was cancelled. @type {Date} */
+    cancelledAt: Date,
+
+    /** When a paid order's payment was refunded. @type {Date} */
+    refundedAt: Date,
+
+    /**
+     * Online payment with the payment provider (see services/paymentService).
+     * Orders from one cart checkout share the same intent.
+     * - provider: Name of the provider that holds the payment (e.g. 'mock')
+     * - intentId: The provider's payment intent ID
+     * - status: Last known intent status
+     * - failureReason: Why the last attempt failed, as reported by the provider
+     * - attempts: Number of payment attempts (first try + retries)
+     * - paidAt: When the provider confirmed the payment
+     * - refundId / refundStatus: The provider's refund for a cancelled order
+     * - instrument: What was charged, for display only (brand, last four
+     *   digits, expiry or masked UPI ID). Card numbers and CVVs are never
+     *   stored on the order.
+     * - savedMethod: The buyer's saved PaymentMethod, when one was used or saved
+     * @type {Object}
+     */
+    payment: {
+        provider: String,
+        instrument: {
+            brand: String,
+            last4: String,
+            expMonth: Number,
+            expYear: Number,
+            upiHandle: String
+        },
+        savedMethod: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'PaymentMethod'
+        },
+        intentId: {
+            type: String,
+            index: true
+        },
+        status: {
+            type: String,
+            enum: ['requires_confirmation', 'processing', 'succeeded', 'failed']
+        },
+        failureReason: String,
+        attempts: Number,
+        paidAt: Date,
+        refundId: String,
+        refundStatus: {
+            type: String,
+            enum: ['pending', 'succeeded', 'failed']
+        }
+    },
+
+    /**
+     * Escrow for prepaid (card/UPI) orders (see services/escrowService).
+     * The payment is captured at checkout but held for the farmer until the
+     * buyer confirms delivery, or until the dispute window after shipping
+     * passes without a dispute. Cancelled orders are refunded instead.
+     * - status: held → released | refunded; held → disputed while an
+     *   admin reviews the buyer's complaint
+     * - releaseAfter: end of the dispute window (set when the order ships)
+     * - releaseReason: why the funds went to the farmer
+     * @type {Object}
+     */
+    escrow: {
+        status: {
+            type: String,
+            enum: ['held', 'disputed', 'released', 'refunded']
+        },
+        heldAt: Date,
+        releaseAfter: Date,
+        releasedAt: Date,
+        releaseReason: {
+            type: String,
+            enum: ['delivery_confirmed', 'dispute_window_elapsed', 'dispute_resolved']
+        },
+        disputeReason: {
+            type: String,
+            trim: true,
+            maxlength: [500, 'Dispute reason cannot exceed 500 characters']
+        },
+        disputedAt: Date,
+        resolutionNote: String,
+        refundedAt: Date
+    },
+
+    /**
+     * Cash collected at handover for a cash on delivery order (see
+     * services/codService). The farmer, or an admin for the delivery
+     * agent, records the amount received once the order has shipped.
+     * - status: matched when the amount equals the order total (the order
+     *   is then paid); mismatch while the difference waits for an admin,
+     *   who can accept the amount collected (accepted, paid) or reject
+     *   the record so it is collected again
+     * - difference: amount collected minus the order total (negative when short)
+     * @type {Object}
+     */
+    codCollection: {
+        status: {
+            type: String,
+            enum: ['matched', 'mismatch', 'accepted']
+        },
+        amount: Number,
+        expectedAmount: Number,
+        difference: Number,
+        collectedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        collectedByRole: {
+            type: String,
+            enum: ['FARMER', 'ADMIN']
+        },
+        /** Name of the delivery agent who took the cash, when not the farmer */
+        agentName: {
+            type: String,
+            trim: true,
+            maxlength: [100, 'Agent name cannot exceed 100 characters']
+        },
+        note: {
+            type: String,
+            trim: true,
+            maxlength: [500, 'Collection note cannot exceed 500 characters']
+        },
+        collectedAt: Date,
+        resolutionNote: String,
+        resolvedAt: Date
+    },
+
     /**
      * Current status of the order fulfillment lifecycle.
-     * Updated by the farmer through the order management dashboard.
+     * Changed only through the transitions allowed per role in
+     * services/orderService (ORDER_STATUS_TRANSITIONS).
      * 
      * Flow: Pending → Processing → Shipped → Delivered
-     * Alternative: Pending → Cancelled (if order is cancelled)
+     * Alternative: Pending/Processing → Cancelled (never once shipped)
      * 
      * Tracked in the OrderTrackingCard.jsx component for buyer visibility.
      * @type {String}
@@ -158,6 +453,41 @@ const orderSchema = new mongoose.Schema({
         default: 'Pending'
     },
 
+    /**
+     * Every status the order has been in, oldest first, with who moved it
+     * there and when. The first entry is the order being placed.
+     * Written only through services/orderService (transitionOrderStatus).
+     * @type {Array<Object>}
+     * @see Epic 4, Story 4.8 - Order Status Updates
+     */
+    statusHistory: [
+        {
+            /** Status the order moved to */
+            status: {
+                type: String,
+                enum: ['Pending', 'Processing', 'Shipped', 'Delivered', 'Cancelled'],
+                required: true
+            },
+            /** User who made the change (none for changes the platform makes itself) */
+            actor: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User'
+            },
+            /** The actor's part in the order; SYSTEM for background jobs */
+            actorRole: {
+                type: String,
+                enum: ['BUYER', 'FARMER', 'ADMIN', 'SYSTEM']
+            },
+            /** Optional note shown on the timeline */
+            note: String,
+            /** When the change happened */
+            at: {
+                type: Date,
+                default: Date.now
+            }
+        }
+    ],
+
     /**
      * Delivery address provided by the buyer during order confirmation.
      * Editable on the OrderConfirmationPage before final submission.
@@ -171,27 +501,41 @@ const orderSchema = new mongoose.Schema({
     },
 
     /**
-     * Encrypted payment payload storage (AES-GCM).
+     * Optional accepted bid used for this order checkout.
      */
-    paymentDetailsEncrypted: {
-        type: String,
-        default: ''
-    },
-    paymentDetailsIv: {
-        type: String,
-        default: ''
-    },
-    paymentDetailsTag: {
-        type: String,
-        default: ''
+    sourceBid: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Bid'
     },
 
     /**
-     * Optional accepted bid used for this order checkout.
+     * Optional accepted negotiation whose deal this order checked out.
      */
-    sourceBid: {
+    sourceNegotiation: {
         type: mongoose.Schema.Types.ObjectId,
-        ref: 'Bid'
+        ref: 'Negotiation'
+    },
+
+    /**
+     * Terms agreed in the source negotiation, which the farmer ships by:
+     * delivery date and place, quality grade, and payment terms
+     * ('prepaid' or 'cod').
+     * @type {Object}
+     * @optional
+     */
+    agreedTerms: {
+        type: new mongoose.Schema({
+            deliveryDate: Date,
+            deliveryPlace: String,
+            grade: {
+                type: String,
+                enum: ['A', 'B', 'C']
+            },
+            paymentTerms: {
+                type: String,
+                enum: ['prepaid', 'cod']
+            }
+        }, { _id: false })
     },
 
     /**
@@ -212,6 +556,16 @@ const orderSchema = new mongoose.Schema({
     listingId: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Crop'
+    },
+
+    /**
+     * Shared by all orders created from one cart checkout
+     * (a cart is split into one order per farmer).
+     * @type {String}
+     */
+    checkoutId: {
+        type: String,
+        index: true
     }
 }, { timestamps: true }); // Automatically adds createdAt and updatedAt fields
 
@@ -0,0 +1,57 @@
+/**
+ * @fileoverview Payment Event Model Definition for AgriSahayak Platform
+ *
+ * Records each payment provider webhook that has been processed, so a
+ * webhook the provider delivers more than once is only applied once.
+ *
+ * @module models/PaymentEvent
+ * @requires mongoose - MongoDB object modeling tool
+ *
+ * @see services/paymentService - handleWebhook
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Payment Event Schema Definition
+ *
+ * Includes automatic timestamp tracking (createdAt, updatedAt).
+ */
+const paymentEventSchema = new mongoose.Schema({
+    /**
+     * Provider that sent the webhook (e.g. 'mock').
+     * @type {String}
+     * @required
+     */
+    provider: {
+        type: String,
+        required: true
+    },
+
+    /**
+     * The provider's event ID. Unique per provider.
+     * @type {String}
+     * @required
+     */
+    eventId: {
+        type: String,
+        required: true
+    },
+
+    /**
+     * Event type, e.g. payment.succeeded or refund.succeeded.
+     * @type {String}
+     */
+    type: String,
+
+    /**
+     * Payment intent the event was about.
+     * @type {String}
+     */
+    intentId: String
+}, { timestamps: true }); // Automatically adds createdAt and updatedAt fields
+
+paymentEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+
+// Export the compiled Mongoose model for use in controllers and routes
+module.exports = mongoose.model('PaymentEvent', paymentEventSchema);
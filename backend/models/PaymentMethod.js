@@ -0,0 +1,105 @@
+/**
+ * @fileoverview Payment Method Model Definition for AgriSahayak Platform
+ *
+ * A buyer's saved card or UPI ID, kept as a payment provider token. The
+ * card number and CVV go to the provider once, when the method is
+ * tokenised, and are never stored here. What is stored is enough to show
+ * the method ("Visa •••• 4242, exp 12/29") and to charge it again.
+ *
+ * The token is encrypted with a versioned key (utils/paymentCrypto) and is
+ * never returned by the API.
+ *
+ * @module models/PaymentMethod
+ * @requires mongoose - MongoDB object modeling tool
+ *
+ * @see services/paymentVaultService
+ * @see Epic 4, Story 4.1 - Fixed-Price Purchase
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Payment Method Schema Definition
+ *
+ * Includes automatic timestamp tracking (createdAt, updatedAt).
+ */
+const paymentMethodSchema = new mongoose.Schema({
+    /**
+     * Buyer who owns the method.
+     * @type {mongoose.Schema.Types.ObjectId}
+     * @ref User
+     * @required
+     */
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+
+    /**
+     * @type {String}
+     * @enum {('card'|'upi')}
+     * @required
+     */
+    type: {
+        type: String,
+        enum: ['card', 'upi'],
+        required: true
+    },
+
+    /**
+     * Provider that issued the token (e.g. 'mock').
+     * @type {String}
+     * @required
+     */
+    provider: {
+        type: String,
+        required: true
+    },
+
+    /**
+     * Provider token, encrypted (see utils/paymentCrypto). Not selected by default.
+     * @type {Object}
+     */
+    token: {
+        type: {
+            keyId: { type: String, required: true },
+            iv: { type: String, required: true },
+            tag: { type: String, required: true },
+            data: { type: String, required: true }
+        },
+        required: true,
+        select: false
+    },
+
+    /**
+     * Provider's fingerprint of the underlying card or UPI ID, used to
+     * avoid saving the same method twice.
+     * @type {String}
+     */
+    fingerprint: String,
+
+    /** Card network (e.g. 'Visa'), or 'UPI'. */
+    brand: String,
+
+    /** Last four card digits. */
+    last4: String,
+
+    /** Card expiry month (1-12). */
+    expMonth: Number,
+
+    /** Card expiry year (four digits). */
+    expYear: Number,
+
+    /** Masked UPI ID (e.g. 'ra****@okaxis'). */
+    upiHandle: String,
+
+    /** When the method was last used at checkout. */
+    lastUsedAt: Date
+}, { timestamps: true }); // Automatically adds createdAt and updatedAt fields
+
+paymentMethodSchema.index({ user: 1, provider: 1, fingerprint: 1 });
+
+// Export the compiled Mongoose model for use in controllers and routes
+module.exports = mongoose.model('PaymentMethod', paymentMethodSchema);
@@ -0,0 +1,83 @@
+/**
+ * @fileoverview Payout Model Definition for AgriSahayak Platform
+ *
+ * A transfer of a farmer's settled balance to the farmer, made as part of
+ * a payout batch (see services/payoutService). The ledger records the
+ * payout when it is sent and again when it settles or fails.
+ *
+ * @module models/Payout
+ * @requires mongoose - MongoDB object modeling tool
+ *
+ * @see services/payoutService
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Payout Schema Definition
+ *
+ * Includes automatic timestamp tracking (createdAt, updatedAt).
+ */
+const payoutSchema = new mongoose.Schema({
+    /**
+     * Farmer being paid.
+     * @type {mongoose.Schema.Types.ObjectId}
+     * @ref User
+     * @required
+     */
+    farmer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+
+    /**
+     * Batch the payout was made in.
+     * @type {mongoose.Schema.Types.ObjectId}
+     * @ref PayoutBatch
+     * @required
+     */
+    batch: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'PayoutBatch',
+        required: true,
+        index: true
+    },
+
+    /**
+     * Amount in paise.
+     * @type {Number}
+     * @required
+     */
+    amount: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+
+    /**
+     * - pending: sent to the provider
+     * - paid: the provider confirmed the transfer
+     * - failed: the transfer did not go through; the amount is owed to the farmer again
+     * @type {String}
+     */
+    status: {
+        type: String,
+        enum: ['pending', 'paid', 'failed'],
+        default: 'pending'
+    },
+
+    /** Provider that made the transfer and its reference. */
+    provider: String,
+    providerPayoutId: String,
+
+    /** Why the transfer failed. */
+    failureReason: String,
+
+    /** When the transfer settled. */
+    paidAt: Date
+}, { timestamps: true }); // Automatically adds createdAt and updatedAt fields
+
+// Export the compiled Mongoose model for use in controllers and routes
+module.exports = mongoose.model('Payout', payoutSchema);
@@ -0,0 +1,92 @@
+/**
+ * @fileoverview Payout Batch Model Definition for AgriSahayak Platform
+ *
+ * One run of farmer payouts (see services/payoutService). Scheduled runs
+ * carry the schedule window they belong to, which is unique, so a window
+ * is paid out once however many times the job fires. Only one batch can
+ * be running at a time.
+ *
+ * @module models/PayoutBatch
+ * @requires mongoose - MongoDB object modeling tool
+ *
+ * @see services/payoutService
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Payout Batch Schema Definition
+ *
+ * Includes automatic timestamp tracking (createdAt, updatedAt).
+ */
+const payoutBatchSchema = new mongoose.Schema({
+    /**
+     * Schedule window for scheduled runs (e.g. 'scheduled:20250'); unset for manual runs.
+     * @type {String}
+     */
+    window: {
+        type: String,
+        unique: true,
+        sparse: true
+    },
+
+    /**
+     * Set while the batch is running. Unique, so two batches cannot run at once.
+     * @type {String}
+     */
+    runningLock: {
+        type: String,
+        unique: true,
+        sparse: true
+    },
+
+    /**
+     * Admin who started a manual run.
+     * @type {mongoose.Schema.Types.ObjectId}
+     * @ref User
+     */
+    triggeredBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+
+    /**
+     * Balances settled up to this time are included.
+     * @type {Date}
+     * @required
+     */
+    cutoff: {
+        type: Date,
+        required: true
+    },
+
+    /**
+     * @type {String}
+     * @enum {('running'|'completed')}
+     */
+    status: {
+        type: String,
+        enum: ['running', 'completed'],
+        default: 'running'
+    },
+
+    /** Number of payouts made, how many failed, and their total in paise. */
+    payoutCount: {
+        type: Number,
+        default: 0
+    },
+    failedCount: {
+        type: Number,
+        default: 0
+    },
+    totalAmount: {
+        type: Number,
+        default: 0
+    },
+
+    /** When the batch finished. */
+    completedAt: Date
+}, { timestamps: true }); // Automatically adds createdAt and updatedAt fields
+
+// Export the compiled Mongoose model for use in controllers and routes
+module.exports = mongoose.model('PayoutBatch', payoutBatchSchema);
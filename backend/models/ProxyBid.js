@@ -0,0 +1,105 @@
+/**
+ * @fileoverview Proxy Bid Model Definition for AgriSahayak Platform
+ *
+ * This module defines the Mongoose schema and model for proxy (maximum)
+ * bids. A buyer enters a ceiling price once for an auctioned listing and
+ * the platform bids on their behalf in minimum increments, never going
+ * above the ceiling (see services/proxyBidService).
+ *
+ * The maximum is hidden: it is only ever returned to the buyer who set it.
+ * Other users only see the regular Bid documents the engine places.
+ *
+ * @module models/ProxyBid
+ * @requires mongoose - MongoDB object modeling tool
+ *
+ * @see Epic 4, Story 4.2 - Place Real-Time Bids
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Proxy Bid Schema Definition
+ *
+ * Includes automatic timestamp tracking (createdAt, updatedAt).
+ */
+const proxyBidSchema = new mongoose.Schema({
+    /**
+     * Reference to the Auction the proxy bids in.
+     * @type {mongoose.Schema.Types.ObjectId}
+     * @ref Auction
+     * @required
+     */
+    auction: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Auction',
+        required: true
+    },
+
+    /**
+     * Reference to the Crop listing being auctioned.
+     * @type {mongoose.Schema.Types.ObjectId}
+     * @ref Crop
+     * @required
+     */
+    listingId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Crop',
+        required: true
+    },
+
+    /**
+     * Reference to the User (buyer) who owns the proxy.
+     * @type {mongoose.Schema.Types.ObjectId}
+     * @ref User
+     * @required
+     */
+    buyerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+
+    /**
+     * Hidden ceiling price per quintal (₹).
+     * @type {Number}
+     * @required
+     */
+    maxAmount: {
+        type: Number,
+        required: [true, 'Maximum bid amount is required'],
+        min: [0, 'Maximum bid cannot be negative'],
+        max: [10000, 'Maximum bid cannot exceed ₹10,000/quintal']
+    },
+
+    /**
+     * When the current maximum was set. Used to break ties between equal
+     * maximums: the earlier one wins. Raising the maximum resets it.
+     * @type {Date}
+     */
+    placedAt: {
+        type: Date,
+        default: Date.now
+    },
+
+    /**
+     * Current status of the proxy.
+     * - active: Still bidding for the buyer
+     * - outbid: The auction price went past the maximum
+     * - closed: The auction ended or was cancelled
+     * @type {String}
+     * @enum {('active'|'outbid'|'closed')}
+     * @default 'active'
+     */
+    status: {
+        type: String,
+        enum: ['active', 'outbid', 'closed'],
+        default: 'active'
+    }
+}, { timestamps: true }); // Automatically adds createdAt and updatedAt fields
+
+// One proxy per buyer per auction
+proxyBidSchema.index({ auction: 1, buyerId: 1 }, { unique: true });
+proxyBidSchema.index({ auction: 1, status: 1 });
+
+// Export the compiled Mongoose model for use in controllers and routes
+module.exports = mongoose.model('ProxyBid', proxyBidSchema);
@@ -113,6 +113,16 @@ const userSchema = new mongoose.Schema({
         default: false
     },
 
+    /**
+     * Buyer pricing tier, set by admins. Fee rules can differ per tier
+     * (see models/FeeRule).
+     */
+    buyerTier: {
+        type: String,
+        enum: ['standard', 'silver', 'gold'],
+        default: 'standard'
+    },
+
     isActive: {
         type: Boolean,
         default: false
@@ -15,7 +15,19 @@ const {
     getAllUsers,
     verifyUser,
     banUser,
-    getPlatformStats
+    setBuyerTier,
+    getPlatformStats,
+    getDisputedOrders,
+    resolveOrderDispute,
+    getCodReport,
+    acceptCodCollection,
+    getFeeRules,
+    createFeeRule,
+    updateFeeRule,
+    removeFeeRule,
+    getLedger,
+    getPayouts,
+    runPayouts
 } = require('../controllers/adminController');
 const { protect, admin } = require('../middlewares/authMiddleware');
 
@@ -24,6 +36,18 @@ router.post('/create-user', protect, admin, createUser);
 router.get('/users', protect, admin, getAllUsers);
 router.put('/users/:id/verify', protect, admin, verifyUser);
 router.put('/users/:id/ban', protect, admin, banUser);
+router.put('/users/:id/tier', protect, admin, setBuyerTier);
 router.get('/stats', protect, admin, getPlatformStats);
+router.get('/disputes', protect, admin, getDisputedOrders);
+router.put('/orders/:id/dispute', protect, admin, resolveOrderDispute);
+router.get('/cod-reconciliation', protect, admin, getCodReport);
+router.put('/orders/:id/cod-collection', protect, admin, acceptCodCollection);
+router.get('/fee-rules', protect, admin, getFeeRules);
+router.post('/fee-rules', protect, admin, createFeeRule);
+router.put('/fee-rules/:id', protect, admin, updateFeeRule);
+router.delete('/fee-rules/:id', protect, admin, removeFeeRule);
+router.get('/ledger', protect, admin, getLedger);
+router.get('/payouts', protect, admin, getPayouts);
+router.post('/payouts/run', protect, admin, runPayouts);
 
 module.exports = router;
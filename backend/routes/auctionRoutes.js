@@ -0,0 +1,38 @@
+/**
+ * @fileoverview Auction Routes for AgriSahayak Platform
+ *
+ * All routes protected with JWT authentication.
+ * Mounted at /api/auctions in server.js.
+ *
+ * Available Endpoints:
+ * - POST /api/auctions            - Create an auction for a crop (Farmer)
+ * - GET  /api/auctions            - List auctions (?status=&cropId=&mine=)
+ * - GET  /api/auctions/:id        - Get an auction with its bids
+ * - POST /api/auctions/:id/bids   - Place a bid in an auction (Buyer)
+ * - POST /api/auctions/:id/proxy  - Set or raise a hidden maximum bid (Buyer)
+ * - PUT  /api/auctions/:id/cancel - Cancel an active auction (Farmer)
+ *
+ * @module routes/auctionRoutes
+ * @see Epic 4 - Trade & Auction
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+    createAuction,
+    getAuctions,
+    getAuctionById,
+    placeAuctionBid,
+    setProxyBid,
+    cancelAuction
+} = require('../controllers/auctionController');
+const { protect } = require('../middlewares/authMiddleware');
+
+router.post('/', protect, createAuction);
+router.get('/', protect, getAuctions);
+router.get('/:id', protect, getAuctionById);
+router.post('/:id/bids', protect, placeAuctionBid);
+router.post('/:id/proxy', protect, setProxyBid);
+router.put('/:id/cancel', protect, cancelAuction);
+
+module.exports = router;
@@ -1,9 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const { protect } = require('../middlewares/authMiddleware');
+const { idempotent } = require('../middlewares/idempotencyMiddleware');
 const { placeBid, getBidsByListing, updateBidStatus } = require('../controllers/bidController');
 
-router.post('/place', protect, placeBid);
+router.post('/place', protect, idempotent, placeBid);
 router.get('/:listingId', protect, getBidsByListing);
 router.put('/:bidId/status', protect, updateBidStatus);
 
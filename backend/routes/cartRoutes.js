@@ -0,0 +1,38 @@
+/**
+ * @fileoverview Cart Routes for AgriSahayak Platform
+ *
+ * All routes protected with JWT authentication.
+ * Mounted at /api/cart in server.js.
+ *
+ * Available Endpoints:
+ * - GET    /api/cart                - Get the buyer's cart, grouped by farmer
+ * - POST   /api/cart/items          - Add a listing (or more of it) to the cart
+ * - PUT    /api/cart/items/:cropId  - Change an item's quantity
+ * - DELETE /api/cart/items/:cropId  - Remove an item
+ * - DELETE /api/cart                - Empty the cart
+ * - POST   /api/cart/checkout       - Check out: one order per farmer
+ *
+ * @module routes/cartRoutes
+ * @see Epic 4 - Trade & Auction
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+    getCart,
+    addCartItem,
+    updateCartItem,
+    removeCartItem,
+    clearCart,
+    checkoutCart
+} = require('../controllers/cartController');
+const { protect } = require('../middlewares/authMiddleware');
+
+router.get('/', protect, getCart);
+router.delete('/', protect, clearCart);
+router.post('/items', protect, addCartItem);
+router.put('/items/:cropId', protect, updateCartItem);
+router.delete('/items/:cropId', protect, removeCartItem);
+router.post('/checkout', protect, checkoutCart);
+
+module.exports = router;
@@ -12,6 +12,7 @@
  * - POST /api/crops    - Create a new crop listing (Farmer only)
  * - GET  /api/crops/my - Get the logged-in farmer's own listings
  * - GET  /api/crops    - Get all available crops for marketplace
+ * - GET/PUT /api/crops/:id/negotiation-rules - A listing's auto-negotiation rules (owner only)
  * 
  * @module routes/cropRoutes
  * @requires express - Express framework for routing
@@ -24,7 +25,15 @@
 
 const express = require('express');
 const router = express.Router();
-const { createCrop, getMyCrops, getAllCrops, updateCrop, deleteCrop } = require('../controllers/cropController');
+const {
+    createCrop,
+    getMyCrops,
+    getAllCrops,
+    updateCrop,
+    deleteCrop,
+    getNegotiationRules,
+    updateNegotiationRules
+} = require('../controllers/cropController');
 const { protect } = require('../middlewares/authMiddleware');
 
 // All routes require JWT authentication
@@ -38,6 +47,12 @@ router.get('/my', protect, getMyCrops);
 /** GET /api/crops - Get all marketplace crops (with search/filter) */
 router.get('/', protect, getAllCrops);
 
+/** GET /api/crops/:id/negotiation-rules - A listing's auto-negotiation rules (owner only) */
+router.get('/:id/negotiation-rules', protect, getNegotiationRules);
+
+/** PUT /api/crops/:id/negotiation-rules - Set a listing's auto-negotiation rules (owner only) */
+router.put('/:id/negotiation-rules', protect, updateNegotiationRules);
+
 /** PUT /api/crops/:id - Update a crop listing (owner only) */
 router.put('/:id', protect, updateCrop);
 
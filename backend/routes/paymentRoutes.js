@@ -0,0 +1,45 @@
+/**
+ * @fileoverview Payment Routes for AgriSahayak Platform
+ *
+ * Order payment routes are protected with JWT authentication; the webhook
+ * route is public and checked against the provider's signature instead.
+ * Mounted at /api/payments in server.js.
+ *
+ * Available Endpoints:
+ * - GET  /api/payments/orders/:orderId        - Payment state of an order
+ * - POST /api/payments/orders/:orderId/retry  - Retry a failed payment
+ * - POST /api/payments/orders/:orderId/balance - Pay the balance of an order
+ * - GET  /api/payments/methods                - List saved payment methods
+ * - POST /api/payments/methods                - Save a card or UPI ID
+ * - DELETE /api/payments/methods/:id          - Remove a saved method
+ * - GET  /api/payments/statement              - Farmer's settlement statement
+ * - POST /api/payments/webhooks/:provider     - Payment provider webhooks
+ *
+ * @module routes/paymentRoutes
+ * @see Epic 4 - Trade & Auction
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+    getOrderPayment,
+    retryPayment,
+    payBalance,
+    getPaymentMethods,
+    addPaymentMethod,
+    removePaymentMethod,
+    getSettlementStatement,
+    receiveWebhook
+} = require('../controllers/paymentController');
+const { protect } = require('../middlewares/authMiddleware');
+
+router.get('/orders/:orderId', protect, getOrderPayment);
+router.post('/orders/:orderId/retry', protect, retryPayment);
+router.post('/orders/:orderId/balance', protect, payBalance);
+router.get('/methods', protect, getPaymentMethods);
+router.post('/methods', protect, addPaymentMethod);
+router.delete('/methods/:id', protect, removePaymentMethod);
+router.get('/statement', protect, getSettlementStatement);
+router.post('/webhooks/:provider', receiveWebhook);
+
+module.exports = router;
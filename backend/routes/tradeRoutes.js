@@ -2,7 +2,8 @@
  * @fileoverview Trade Routes for AgriSahayak Platform
  * 
  * All routes protected with JWT authentication.
- * Mounted at /api/trade in server.js.
+ * Mounted at /api/trade in server.js. Placing a bid and creating an order
+ * accept an Idempotency-Key header (see middlewares/idempotencyMiddleware).
  * 
  * @module routes/tradeRoutes
  * @see Epic 4 - Trade & Auction
@@ -17,18 +18,27 @@ const {
     getBidHistoryForBuyer,
     updateBidStatus,
     startNegotiation,
+    getNegotiation,
     sendOffer,
     acceptNegotiation,
     rejectNegotiation,
     getNegotiationsForBuyer,
+    getNegotiations,
+    readNegotiation,
+    getOrderQuote,
     createOrder,
     getOrders,
-    updateOrderStatus
+    updateOrderStatus,
+    cancelOrder,
+    disputeOrder,
+    recordCodCollection,
+    downloadOrderInvoice
 } = require('../controllers/tradeController');
 const { protect } = require('../middlewares/authMiddleware');
+const { idempotent } = require('../middlewares/idempotencyMiddleware');
 
 // Bidding
-router.post('/bid', protect, placeBid);
+router.post('/bid', protect, idempotent, placeBid);
 router.get('/bids/incoming', protect, getIncomingBids);
 router.get('/bids/accepted', protect, getAcceptedBidsForBuyer);
 router.get('/bids/history', protect, getBidHistoryForBuyer);
@@ -38,12 +48,20 @@ router.put('/bids/:id/status', protect, updateBidStatus);
 router.post('/negotiation/start', protect, startNegotiation);
 router.post('/negotiation/offer', protect, sendOffer);
 router.get('/negotiations/mine', protect, getNegotiationsForBuyer);
+router.get('/negotiations', protect, getNegotiations);
+router.get('/negotiation/:id', protect, getNegotiation);
+router.put('/negotiation/:id/read', protect, readNegotiation);
 router.put('/negotiation/:id/accept', protect, acceptNegotiation);
 router.put('/negotiation/:id/reject', protect, rejectNegotiation);
 
 // Orders
-router.post('/orders', protect, createOrder);
+router.get('/quote', protect, getOrderQuote);
+router.post('/orders', protect, idempotent, createOrder);
 router.get('/orders', protect, getOrders);
 router.put('/orders/:id', protect, updateOrderStatus);
+router.post('/orders/:id/cancel', protect, cancelOrder);
+router.post('/orders/:id/dispute', protect, disputeOrder);
+router.post('/orders/:id/cod-collection', protect, recordCodCollection);
+router.get('/orders/:id/invoice', protect, downloadOrderInvoice);
 
 module.exports = router;
@@ -0,0 +1,44 @@
+/**
+ * @fileoverview Re-encrypt saved payment method tokens with the current key
+ *
+ * To rotate the payment encryption key:
+ *   1. Put the new key first in PAYMENT_ENCRYPTION_KEYS, keeping the old
+ *      one after it (e.g. `2:new-secret,1:old-secret`) and deploy.
+ *   2. Run this script. It re-encrypts every token that is not under the
+ *      new key.
+ *   3. Once it reports nothing failed, remove the old key.
+ *
+ * Exits with code 1 if any token could not be decrypted (its key is no
+ * longer configured), so step 3 is not taken too early.
+ *
+ * Usage: node scripts/rotatePaymentKeys.js
+ */
+
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const path = require('path');
+
+// Load env from backend root
+dotenv.config({ path: path.join(__dirname, '..', '.env') });
+
+const { rotatePaymentMethodKeys } = require('../services/paymentVaultService');
+const { currentKeyId } = require('../utils/paymentCrypto');
+
+(async () => {
+    try {
+        await mongoose.connect(process.env.MONGO_URI);
+        console.log('Connected to MongoDB');
+
+        const { rotated, failed } = await rotatePaymentMethodKeys();
+        console.log(`Re-encrypted ${rotated} payment method token(s) with key "${currentKeyId()}".`);
+        if (failed) {
+            console.error(`${failed} token(s) could not be decrypted. Keep their key configured until they are fixed or removed.`);
+        }
+
+        await mongoose.disconnect();
+        process.exit(failed ? 1 : 0);
+    } catch (error) {
+        console.error('Error rotating payment keys:', error.message);
+        process.exit(1);
+    }
+})();
@@ -0,0 +1,119 @@
+/**
+ * @fileoverview Migration: remove stored card details from orders
+ *
+ * Orders used to keep the full payment details (card number, expiry,
+ * CVV, name, or UPI ID), AES-GCM encrypted, in paymentDetailsEncrypted /
+ * paymentDetailsIv / paymentDetailsTag. This migration removes those
+ * fields from every order. When the old value can still be decrypted it
+ * first records what the order page shows (brand, last four digits,
+ * expiry or masked UPI ID) in payment.instrument.
+ *
+ * The old values were encrypted with a key derived from
+ * PAYMENT_ENCRYPTION_KEY, else JWT_SECRET, else a built-in development
+ * string; each is tried in that order. Values none of them open are
+ * removed anyway. Safe to run more than once.
+ *
+ * Usage: node scripts/scrubOrderPaymentDetails.js
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const path = require('path');
+
+// Load env from backend root
+dotenv.config({ path: path.join(__dirname, '..', '.env') });
+
+const Order = require('../models/Order');
+const { describeInstrument } = require('../utils/paymentInstrument');
+
+const LEGACY_FIELDS = ['paymentDetailsEncrypted', 'paymentDetailsIv', 'paymentDetailsTag'];
+
+/** Keys the old utils/paymentCrypto could have used, most likely first. */
+function legacyKeys() {
+    return [process.env.PAYMENT_ENCRYPTION_KEY, process.env.JWT_SECRET, 'fallback_dev_key']
+        .filter(Boolean)
+        .map((secret) => crypto.createHash('sha256').update(String(secret)).digest());
+}
+
+/**
+ * Decrypt an old order's payment details.
+ *
+ * @param {Object} order - Raw order document
+ * @returns {Object|null} The details, or null when no key opens them
+ */
+function decryptLegacyDetails(order) {
+    if (!order.paymentDetailsEncrypted || !order.paymentDetailsIv || !order.paymentDetailsTag) {
+        return null;
+    }
+
+    for (const key of legacyKeys()) {
+        try {
+            const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(order.paymentDetailsIv, 'base64'));
+            decipher.setAuthTag(Buffer.from(order.paymentDetailsTag, 'base64'));
+            const plaintext = Buffer.concat([
+                decipher.update(Buffer.from(order.paymentDetailsEncrypted, 'base64')),
+                decipher.final()
+            ]).toString('utf8');
+            return JSON.parse(plaintext);
+        } catch {
+            // Wrong key; try the next one
+        }
+    }
+    return null;
+}
+
+/**
+ * Remove the legacy payment detail fields from every order.
+ *
+ * @async
+ * @returns {Promise<{ scrubbed: Number, described: Number }>} Orders cleaned,
+ *   and how many of them got payment.instrument from the old value
+ */
+async function scrubLegacyPaymentDetails() {
+    // The fields are no longer in the Order schema, so go through the driver
+    const cursor = Order.collection.find(
+        { $or: LEGACY_FIELDS.map((field) => ({ [field]: { $exists: true } })) },
+        { projection: { paymentMethod: 1, payment: 1, ...Object.fromEntries(LEGACY_FIELDS.map((field) => [field, 1])) } }
+    );
+
+    let scrubbed = 0;
+    let described = 0;
+    for await (const order of cursor) {
+        const update = { $unset: Object.fromEntries(LEGACY_FIELDS.map((field) => [field, ''])) };
+
+        const details = ['card', 'upi'].includes(order.paymentMethod) && !order.payment?.instrument
+            ? decryptLegacyDetails(order)
+            : null;
+        if (details) {
+            update.$set = { 'payment.instrument': describeInstrument(order.paymentMethod, details) };
+            described += 1;
+        }
+
+        await Order.collection.updateOne({ _id: order._id }, update);
+        scrubbed += 1;
+    }
+    return { scrubbed, described };
+}
+
+if (require.main === module) {
+    (async () => {
+        try {
+            await mongoose.connect(process.env.MONGO_URI);
+            console.log('Connected to MongoDB');
+
+            const { scrubbed, described } = await scrubLegacyPaymentDetails();
+            console.log(`Removed stored payment details from ${scrubbed} order(s); ${described} kept a masked summary.`);
+
+            await mongoose.disconnect();
+            process.exit(0);
+        } catch (error) {
+            console.error('Error scrubbing payment details:', error.message);
+            process.exit(1);
+        }
+    })();
+}
+
+module.exports = {
+    scrubLegacyPaymentDetails,
+};
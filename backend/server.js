@@ -8,6 +8,7 @@ const cors = require("cors");
 const path = require("path");
 const mongoose = require("mongoose");
 const connectDB = require("./config/db");
+const { startBackgroundJobs } = require("./services/jobRunner");
 
 dotenv.config();
 
@@ -19,6 +20,7 @@ if (process.env.NODE_ENV !== "test") {
   connectDB().then(() => {
     const seedAdmin = require("./scripts/seedAdmin");
     seedAdmin();
+    startBackgroundJobs();
   });
 }
 
@@ -55,7 +57,8 @@ app.use(
     },
     credentials: true,
     methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "Authorization"],
+    allowedHeaders: ["Content-Type", "Authorization", "Idempotency-Key"],
+    exposedHeaders: ["Idempotent-Replayed", "Retry-After"],
   })
 );
 
@@ -63,7 +66,8 @@ app.use(
    BODY PARSERS
 ============================================================ */
 
-app.use(express.json());
+// Keep the raw body: payment webhooks are verified against it
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
 app.use(express.urlencoded({ extended: false }));
 
 /* ============================================================
@@ -105,11 +109,14 @@ app.use("/uploads", express.static(path.join(__dirname, "uploads")));
 app.use("/api/auth", require("./routes/authRoutes"));
 app.use("/api/crops", require("./routes/cropRoutes"));
 app.use("/api/trade", require("./routes/tradeRoutes"));
+app.use("/api/cart", require("./routes/cartRoutes"));
+app.use("/api/payments", require("./routes/paymentRoutes"));
 app.use("/api/prices", require("./routes/priceRoutes"));
 app.use("/api/admin", require("./routes/adminRoutes"));
 app.use("/api/decision", require("./routes/decisionRoutes"));
 
 app.use("/api/bids", require("./routes/bidRoutes"));
+app.use("/api/auctions", require("./routes/auctionRoutes"));
 app.use("/api/messages", require("./routes/messageRoutes"));
 app.use("/api/notifications", require("./routes/notificationRoutes"));
 app.use("/api/user", require("./routes/profileRoutes"));
@@ -128,7 +135,7 @@ app.get("/", (req, res) => {
 ============================================================ */
 
 app.use((err, req, res, next) => {
-  let statusCode = res.statusCode === 200 ? 500 : res.statusCode;
+  let statusCode = err.statusCode || (res.statusCode === 200 ? 500 : res.statusCode);
 
   if (err.name === "ValidationError") {
     statusCode = 400;
@@ -0,0 +1,319 @@
+/**
+ * @fileoverview Auction Service for AgriSahayak Platform
+ *
+ * Server-side auction closing. An auction whose end time has passed is
+ * moved to 'ended'; if its highest bid meets the reserve price, that bid
+ * becomes an Accepted bid with the usual 2-hour payment window so the
+ * buyer can check out through POST /api/trade/orders with the bidId.
+ * All other pending bids in the auction are rejected. The quantity held
+ * for the auction passes to the winning bid, or is released if there is
+ * no winner.
+ *
+ * Closing is triggered both by the background job runner
+ * (services/jobRunner) and lazily by the auction controller before it
+ * reads auctions, so results are correct even if the job is not running.
+ *
+ * Also implements the anti-sniping soft close: a bid placed in the last
+ * `softCloseMinutes` of an auction pushes its end time out. Closing only
+ * ever claims auctions whose (possibly extended) end time has passed.
+ *
+ * Bids are written through recordAuctionBid, which is shared by manual
+ * bids (auction controller) and automatic ones (services/proxyBidService).
+ *
+ * @module services/auctionService
+ * @requires models/Auction
+ * @requires models/Bid
+ * @requires models/Crop
+ * @requires models/ProxyBid
+ * @requires services/inventoryService
+ * @requires utils/notificationEmitter
+ *
+ * @see Epic 4, Story 4.1 - Create Auction
+ */
+
+const mongoose = require('mongoose');
+const Auction = require('../models/Auction');
+const Bid = require('../models/Bid');
+const Crop = require('../models/Crop');
+const ProxyBid = require('../models/ProxyBid');
+const { releaseReservation, transferAuctionReservation } = require('./inventoryService');
+const { createNotification } = require('../utils/notificationEmitter');
+
+/** Time the winning buyer has to pay for an auction win (same as accepted bids). */
+const BID_PAYMENT_WINDOW_MS = 2 * 60 * 60 * 1000;
+
+/** Minimum raise (₹/quintal) over the current highest bid. */
+const MIN_BID_INCREMENT = 1;
+
+/** Platform defaults for the soft close, overridable per environment. */
+const DEFAULT_SOFT_CLOSE_MINUTES = Number(process.env.AUCTION_SOFT_CLOSE_MINUTES || 5);
+const DEFAULT_EXTENSION_MINUTES = Number(process.env.AUCTION_EXTENSION_MINUTES || 5);
+
+/**
+ * Work out whether a bid placed at `now` triggers a soft-close extension.
+ *
+ * @param {Object} auction - Auction with endTime, softCloseMinutes and extensionMinutes
+ * @param {Date} [now=new Date()] - Time the bid is placed
+ * @returns {Date|null} The new end time, or null if the auction is not extended
+ */
+function getSoftCloseEndTime(auction, now = new Date()) {
+    const windowMs = (auction.softCloseMinutes ?? DEFAULT_SOFT_CLOSE_MINUTES) * 60 * 1000;
+    const extensionMs = (auction.extensionMinutes ?? DEFAULT_EXTENSION_MINUTES) * 60 * 1000;
+    const endTime = new Date(auction.endTime);
+
+    if (!windowMs || endTime.getTime() - now.getTime() > windowMs) {
+        return null;
+    }
+
+    const extendedEnd = new Date(now.getTime() + extensionMs);
+    return extendedEnd > endTime ? extendedEnd : null;
+}
+
+/**
+ * Lowest amount the next bid in an auction must reach.
+ *
+ * @param {Object} auction - Auction with bidCount, currentBid and startingPrice
+ * @returns {Number} Minimum next bid (₹/quintal)
+ */
+function getMinNextBid(auction) {
+    return auction.bidCount > 0
+        ? auction.currentBid + MIN_BID_INCREMENT
+        : auction.startingPrice;
+}
+
+/**
+ * Record a bid in an active auction.
+ *
+ * The bid is written first, then the auction's highest bid is updated with
+ * a conditional write so two bids placed at the same moment cannot both
+ * become the leader. A bid that loses that race, or whose auction update
+ * fails, is deleted again, so the auction never points at a missing bid. A bid
+ * inside the soft-close window extends the end time in the same write and
+ * the extension is recorded on the auction. The farmer and the buyer who
+ * lost the lead are notified.
+ *
+ * Callers validate the amount against getMinNextBid first.
+ *
+ * @async
+ * @param {Object} auction - Auction document as read by the caller (crop populated with name)
+ * @param {Object} options
+ * @param {String} options.buyerId - Bidding buyer
+ * @param {String} [options.buyerName] - Shown in the farmer's notification
+ * @param {Number} options.amount - Bid amount (₹/quintal)
+ * @param {Boolean} [options.isProxy=false] - Placed automatically for a proxy bid
+ * @param {Date} [options.now=new Date()] - Bid time
+ * @returns {Promise<{bid: Object, auction: Object}|null>} The bid and updated auction,
+ *   or null if the auction changed since it was read
+ */
+async function recordAuctionBid(auction, { buyerId, buyerName, amount, isProxy = false, now = new Date() }) {
+    const bidId = new mongoose.Types.ObjectId();
+    const previousLeader = auction.highestBid
+        ? await Bid.findById(auction.highestBid).select('buyerId')
+        : null;
+
+    const extendedEnd = getSoftCloseEndTime(auction, now);
+    const update = {
+        $set: { currentBid: amount, highestBid: bidId },
+        $inc: { bidCount: 1 }
+    };
+
+    if (extendedEnd) {
+        update.$set.endTime = extendedEnd;
+        update.$push = {
+            extensions: {
+                bid: bidId,
+                previousEndTime: auction.endTime,
+                newEndTime: extendedEnd,
+                extendedAt: now
+            }
+        };
+    }
+
+    const bid = await Bid.create({
+        _id: bidId,
+        listingId: auction.crop?._id || auction.crop,
+        buyerId,
+        farmerId: auction.farmer,
+        auction: auction._id,
+        isProxy,
+        amount,
+        quantity: auction.quantity,
+        status: 'Pending'
+    });
+
+    let updated;
+    try {
+        updated = await Auction.findOneAndUpdate(
+            {
+                _id: auction._id,
+                status: 'active',
+                endTime: auction.endTime,
+                currentBid: auction.currentBid,
+                bidCount: auction.bidCount
+            },
+            update,
+            { new: true }
+        );
+    } catch (error) {
+        await Bid.deleteOne({ _id: bidId });
+        throw error;
+    }
+
+    if (!updated) {
+        await Bid.deleteOne({ _id: bidId });
+        return null;
+    }
+
+    const cropName = auction.crop?.name || 'crop';
+
+    await createNotification({
+        userId: auction.farmer,
+        role: 'FARMER',
+        title: 'New Auction Bid',
+        message: `${buyerName || 'A buyer'} bid ₹${amount}/quintal in your auction for ${cropName}.`,
+        type: 'bid',
+    });
+
+    if (previousLeader && previousLeader.buyerId.toString() !== String(buyerId)) {
+        await createNotification({
+            userId: previousLeader.buyerId,
+            role: 'BUYER',
+            title: 'You Have Been Outbid',
+            message: `A higher bid of ₹${amount}/quintal was placed in the auction for ${cropName}.`,
+            type: 'bid',
+        });
+    }
+
+    return { bid, auction: updated };
+}
+
+/**
+ * Close a single auction.
+ *
+ * The status change is claimed atomically, so an auction closed
+ * concurrently by the background job and a request is only settled once.
+ * The claim also re-checks the end time: if a late bid extended the
+ * auction after it was picked up, it stays open.
+ *
+ * @async
+ * @param {Object} auction - Auction document (or any object with _id)
+ * @param {Date} [now=new Date()] - Closing time
+ * @returns {Promise<Object|null>} The closed auction, or null if it was already closed
+ */
+async function closeAuction(auction, now = new Date()) {
+    const closed = await Auction.findOneAndUpdate(
+        { _id: auction._id, status: 'active', endTime: { $lte: now } },
+        { $set: { status: 'ended', closedAt: now } },
+        { new: true }
+    );
+
+    if (!closed) {
+        return null;
+    }
+
+    const crop = await Crop.findById(closed.crop).select('name');
+    const cropName = crop?.name || 'crop';
+    const topBid = closed.highestBid ? await Bid.findById(closed.highestBid) : null;
+    const reserveMet = Boolean(topBid) && topBid.amount >= closed.reservePrice;
+
+    if (reserveMet) {
+        topBid.status = 'Accepted';
+        topBid.acceptedAt = now;
+        topBid.expiresAt = new Date(now.getTime() + BID_PAYMENT_WINDOW_MS);
+        await topBid.save();
+
+        closed.winningBid = topBid._id;
+        await closed.save();
+
+        // The quantity held for the auction now belongs to the winner until they pay
+        await transferAuctionReservation(closed.crop, closed._id, {
+            bid: topBid._id,
+            buyer: topBid.buyerId,
+            expiresAt: topBid.expiresAt
+        });
+    } else {
+        await releaseReservation(closed.crop, { auction: closed._id });
+    }
+
+    await Bid.updateMany(
+        {
+            auction: closed._id,
+            status: 'Pending',
+            ...(reserveMet ? { _id: { $ne: topBid._id } } : {})
+        },
+        { $set: { status: 'Rejected' } }
+    );
+
+    await ProxyBid.updateMany(
+        { auction: closed._id, status: 'active' },
+        { $set: { status: 'closed' } }
+    );
+
+    if (reserveMet) {
+        await createNotification({
+            userId: topBid.buyerId,
+            role: 'BUYER',
+            title: 'Auction Won',
+            message: `You won the auction for ${closed.quantity} quintal(s) of ${cropName} at ₹${topBid.amount}/quintal. Complete payment within 2 hours.`,
+            type: 'bid',
+        });
+
+        await createNotification({
+            userId: closed.farmer,
+            role: 'FARMER',
+            title: 'Auction Ended',
+            message: `Your auction for ${cropName} closed with a winning bid of ₹${topBid.amount}/quintal.`,
+            type: 'bid',
+        });
+    } else {
+        await createNotification({
+            userId: closed.farmer,
+            role: 'FARMER',
+            title: 'Auction Ended',
+            message: topBid
+                ? `Your auction for ${cropName} closed without meeting the reserve price (highest bid ₹${topBid.amount}/quintal).`
+                : `Your auction for ${cropName} closed without any bids.`,
+            type: 'bid',
+        });
+    }
+
+    return closed;
+}
+
+/**
+ * Close every active auction whose end time has passed.
+ *
+ * @async
+ * @param {Date} [now=new Date()] - Reference time
+ * @param {Object} [filter={}] - Extra conditions (e.g. { _id } to close one auction)
+ * @returns {Promise<Array<Object>>} Auctions closed by this call
+ */
+async function closeDueAuctions(now = new Date(), filter = {}) {
+    const due = await Auction.find({
+        ...filter,
+        status: 'active',
+        endTime: { $lte: now }
+    });
+
+    const closed = [];
+    for (const auction of due) {
+        const result = await closeAuction(auction, now);
+        if (result) {
+            closed.push(result);
+        }
+    }
+
+    return closed;
+}
+
+module.exports = {
+    BID_PAYMENT_WINDOW_MS,
+    MIN_BID_INCREMENT,
+    DEFAULT_SOFT_CLOSE_MINUTES,
+    DEFAULT_EXTENSION_MINUTES,
+    getSoftCloseEndTime,
+    getMinNextBid,
+    recordAuctionBid,
+    closeAuction,
+    closeDueAuctions,
+};
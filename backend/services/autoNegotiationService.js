@@ -0,0 +1,223 @@
+/**
+ * @fileoverview Auto-Negotiation Service for AgriSahayak Platform
+ *
+ * Answers buyers' offers on the farmer's behalf, following the rules the
+ * farmer set on the listing (Crop.negotiationRules). When a buyer opens a
+ * negotiation with an offer or sends a new one:
+ * - an offer asking for terms the farmer has not already offered (see
+ *   termsWithinStanding) waits for the farmer
+ * - an offer at or above autoAcceptPrice is accepted
+ * - otherwise, with the 'split_difference' strategy and fewer than
+ *   maxRounds automatic counter-offers sent so far, the farmer counters
+ *   halfway between the buyer's offer and their current ask (their last
+ *   offer, or the listed price), never below floorPrice
+ * - otherwise the offer waits for the farmer
+ *
+ * Automatic replies are sent as the farmer and marked `automated` in the
+ * thread. The rules are only returned to the listing's farmer, so buyers
+ * never see the floor price.
+ *
+ * If the offer is replaced, the negotiation closes or the quantity runs out
+ * while the rules answer, the offer is left for the farmer. Any other error
+ * is thrown to the caller.
+ *
+ * @module services/autoNegotiationService
+ * @requires models/Crop
+ * @requires models/Negotiation
+ * @requires models/User
+ * @requires services/negotiationService
+ * @requires utils/httpError
+ * @requires utils/notificationEmitter
+ *
+ * @see Epic 4, Story 4.4 - Negotiate Price
+ */
+
+const mongoose = require('mongoose');
+const Crop = require('../models/Crop');
+const Negotiation = require('../models/Negotiation');
+const User = require('../models/User');
+const { getLiveOffer, postNegotiationMessage, acceptOffer, plainTerms } = require('./negotiationService');
+const { HttpError } = require('../utils/httpError');
+const { createNotification } = require('../utils/notificationEmitter');
+
+/** Upper bound per quintal, same as for offers. */
+const MAX_RULE_PRICE = 10000;
+
+const COUNTER_STRATEGIES = ['split_difference', 'none'];
+
+/**
+ * Validate a farmer's negotiation rules for a listing.
+ *
+ * @param {Object} input - { enabled, floorPrice?, autoAcceptPrice?, counterStrategy?, maxRounds? }
+ * @returns {Object} The rules to store
+ * @throws {HttpError} 400 for an invalid price, strategy or round limit
+ */
+function normalizeNegotiationRules(input = {}) {
+    const price = (value, label) => {
+        if (value === undefined || value === null || value === '') return undefined;
+        const amount = Number(value);
+        if (!Number.isFinite(amount) || amount <= 0 || amount > MAX_RULE_PRICE) {
+            throw new HttpError(400, `${label} must be between ₹1 and ₹${MAX_RULE_PRICE} per quintal`);
+        }
+        return amount;
+    };
+
+    const floorPrice = price(input.floorPrice, 'Floor price');
+    const autoAcceptPrice = price(input.autoAcceptPrice, 'Auto-accept price');
+    if (floorPrice !== undefined && autoAcceptPrice !== undefined && autoAcceptPrice < floorPrice) {
+        throw new HttpError(400, 'Auto-accept price cannot be below the floor price');
+    }
+
+    const counterStrategy = input.counterStrategy || 'split_difference';
+    if (!COUNTER_STRATEGIES.includes(counterStrategy)) {
+        throw new HttpError(400, `Counter strategy must be one of: ${COUNTER_STRATEGIES.join(', ')}`);
+    }
+
+    const maxRounds = input.maxRounds === undefined || input.maxRounds === null || input.maxRounds === ''
+        ? 3
+        : Number(input.maxRounds);
+    if (!Number.isInteger(maxRounds) || maxRounds < 1 || maxRounds > 10) {
+        throw new HttpError(400, 'Max rounds must be a whole number from 1 to 10');
+    }
+
+    return {
+        enabled: Boolean(input.enabled),
+        floorPrice,
+        autoAcceptPrice,
+        counterStrategy,
+        maxRounds
+    };
+}
+
+/**
+ * The counter-offer the rules make to a buyer's offer: halfway between the
+ * offer and the farmer's current ask, never below the floor.
+ *
+ * @param {Object} rules - Crop.negotiationRules
+ * @param {Number} offerAmount - Buyer's offer (₹/quintal)
+ * @param {Number} ask - Farmer's current ask (₹/quintal)
+ * @returns {Number|null} The counter price, or null when there is nothing to counter
+ */
+function splitDifference(rules, offerAmount, ask) {
+    const counter = Math.max(Math.round((offerAmount + ask) / 2), rules.floorPrice || 0);
+    return counter > offerAmount ? counter : null;
+}
+
+/** Errors that mean the offer can no longer be answered automatically: it changed, expired or cannot be filled. */
+const isStaleOffer = (error) => error instanceof HttpError && [400, 409].includes(error.statusCode);
+
+/**
+ * Whether an offer's terms are ones the rules may agree to for the farmer:
+ * each term is one the farmer already offered in their last offer or,
+ * failing that, follows from the listing itself (its grade; prepaid, or
+ * cash on delivery when the listing takes no advance). A delivery date or
+ * place the farmer has not offered is always left to them.
+ *
+ * @param {Object} offer - The buyer's offer message
+ * @param {Object|null} lastAsk - The farmer's last offer message
+ * @param {Object} crop - The listing
+ * @returns {Boolean}
+ */
+function termsWithinStanding(offer, lastAsk, crop) {
+    const standing = plainTerms(lastAsk?.terms);
+    const comparable = (value) => (value instanceof Date ? value.getTime() : value);
+
+    return Object.entries(plainTerms(offer.terms)).every(([field, value]) => {
+        if (field in standing && comparable(standing[field]) === comparable(value)) return true;
+        if (field === 'grade') return value === crop.quality;
+        if (field === 'paymentTerms') return value === 'prepaid' || !crop.advancePercent;
+        return false;
+    });
+}
+
+/**
+ * Reply to the buyer's live offer in a negotiation by the listing's rules.
+ *
+ * @async
+ * @param {String} negotiationId
+ * @returns {Promise<Object|null>} The negotiation after the automatic reply,
+ *   or null when the rules did not reply
+ * @throws {Error} Any error other than a stale offer (see isStaleOffer)
+ */
+async function applyNegotiationRules(negotiationId) {
+    const negotiation = await Negotiation.findById(negotiationId);
+    if (!negotiation || negotiation.status !== 'active') return null;
+
+    // Only the buyer's live offer is answered
+    const offer = getLiveOffer(negotiation);
+    if (!offer || String(offer.sender) !== String(negotiation.buyer)) return null;
+
+    const crop = await Crop.findById(negotiation.crop).select('+negotiationRules');
+    const rules = crop?.negotiationRules;
+    if (!rules?.enabled) return null;
+
+    const lastAsk = [...negotiation.messages]
+        .reverse()
+        .find((m) => m.type === 'offer' && String(m.sender) === String(negotiation.farmer));
+    // A counter-offer carries the buyer's terms over, so neither reply is made to terms the farmer has not agreed
+    if (!termsWithinStanding(offer, lastAsk, crop)) return null;
+
+    const farmer = await User.findById(negotiation.farmer).select('name');
+    const actor = { id: String(negotiation.farmer), name: farmer?.name };
+
+    if (rules.autoAcceptPrice && offer.offerAmount >= rules.autoAcceptPrice) {
+        try {
+            await acceptOffer({ negotiationId, user: actor, offerId: offer._id });
+        } catch (error) {
+            if (!isStaleOffer(error)) throw error;
+            return null;
+        }
+
+        const now = new Date();
+        await Negotiation.updateOne(
+            { _id: negotiation._id },
+            {
+                $push: {
+                    messages: {
+                        _id: new mongoose.Types.ObjectId(),
+                        sender: negotiation.farmer,
+                        content: `Offer of ₹${offer.offerAmount}/quintal accepted automatically.`,
+                        type: 'text',
+                        automated: true,
+                        timestamp: now
+                    }
+                }
+            }
+        );
+        await createNotification({
+            userId: negotiation.farmer,
+            role: 'FARMER',
+            title: 'Offer Auto-Accepted',
+            message: `Your negotiation rules accepted an offer of ₹${offer.offerAmount}/quintal for ${offer.quantity} quintal(s) of ${crop.name}.`,
+            type: 'message',
+        });
+        return Negotiation.findById(negotiation._id);
+    }
+
+    const rounds = negotiation.messages.filter((m) => m.type === 'offer' && m.automated).length;
+    if (rules.counterStrategy !== 'split_difference' || rounds >= rules.maxRounds) return null;
+
+    const counter = splitDifference(rules, offer.offerAmount, lastAsk ? lastAsk.offerAmount : crop.price);
+    if (!counter) return null;
+
+    try {
+        return await postNegotiationMessage({
+            negotiationId,
+            user: actor,
+            amount: counter,
+            quantity: offer.quantity,
+            message: `Automatic counter-offer: ₹${counter}/quintal for ${offer.quantity} quintal(s)`,
+            automated: true
+        });
+    } catch (error) {
+        if (!isStaleOffer(error)) throw error;
+        return null;
+    }
+}
+
+module.exports = {
+    normalizeNegotiationRules,
+    splitDifference,
+    termsWithinStanding,
+    applyNegotiationRules,
+};
@@ -0,0 +1,405 @@
+/**
+ * @fileoverview Bid Service for AgriSahayak Platform
+ *
+ * Single implementation of direct (non-auction) bidding on crop listings.
+ * Both bid APIs — POST /api/trade/bid and POST /api/bids/place — and both
+ * bid status endpoints delegate here, so a listing behaves the same
+ * whichever screen the buyer bids from.
+ *
+ * Rules for a new bid:
+ * - The listing must exist, be unsold and not be under an active auction
+ * - Farmers cannot bid on their own listings
+ * - The first bid must reach the asking price; later bids must beat the
+ *   highest open bid by the minimum increment
+ * - Quantity defaults to everything not reserved and cannot exceed it
+ *
+ * Bidding never changes the listing's asking price (crop.price).
+ *
+ * Bids also expire on time (expireDueBids, run by services/jobRunner):
+ * accepted bids when their payment window closes, and pending direct
+ * bids the farmer has not answered within PENDING_BID_TTL_MS.
+ *
+ * Accepting a bid reserves its quantity on the listing; withdrawing the
+ * acceptance or expiry releases it (see services/inventoryService). A bid
+ * whose order is cancelled unpaid is reopened for payment (reopenBidCheckout).
+ *
+ * @module services/bidService
+ * @requires models/Auction
+ * @requires models/Bid
+ * @requires models/Crop
+ * @requires services/auctionService
+ * @requires services/inventoryService
+ * @requires utils/httpError
+ * @requires utils/notificationEmitter
+ *
+ * @see Epic 4, Story 4.2 - Place Real-Time Bids
+ */
+
+const mongoose = require('mongoose');
+const Auction = require('../models/Auction');
+const Bid = require('../models/Bid');
+const Crop = require('../models/Crop');
+const { BID_PAYMENT_WINDOW_MS, getMinNextBid } = require('./auctionService');
+const { getAvailableQuantity, reserveQuantity, releaseReservation } = require('./inventoryService');
+const { HttpError } = require('../utils/httpError');
+const { createNotification } = require('../utils/notificationEmitter');
+
+/** Upper bound per quintal, same as the Bid model. */
+const MAX_BID_AMOUNT = 10000;
+
+/** How long a farmer has to answer a direct bid before it expires. */
+const PENDING_BID_TTL_MS = Number(process.env.BID_PENDING_TTL_HOURS || 48) * 60 * 60 * 1000;
+
+/** Bids that still compete for a listing. */
+const OPEN_BID_STATUSES = ['Pending', 'Accepted'];
+
+/**
+ * Populate a bid query the way every bid endpoint returns it.
+ */
+const populateBid = (query) => query
+    .populate('buyerId', 'name phone')
+    .populate('farmerId', 'name phone')
+    .populate('listingId', 'name quantity price quality');
+
+/**
+ * Lowest amount the next direct bid on a listing must reach.
+ *
+ * @async
+ * @param {Object} crop - Crop listing (uses _id and price)
+ * @returns {Promise<Number>} Minimum next bid (₹/quintal)
+ */
+async function getMinNextListingBid(crop) {
+    const highest = await Bid.findOne({
+        listingId: crop._id,
+        auction: { $exists: false },
+        status: { $in: OPEN_BID_STATUSES }
+    }).sort({ amount: -1 }).select('amount');
+
+    return getMinNextBid({
+        bidCount: highest ? 1 : 0,
+        currentBid: highest?.amount || 0,
+        startingPrice: crop.price
+    });
+}
+
+/**
+ * Place a direct bid on a crop listing.
+ *
+ * @async
+ * @param {Object} params
+ * @param {String} params.listingId - Crop listing to bid on
+ * @param {Object} params.buyer - Authenticated user ({ id, name })
+ * @param {Number} params.amount - Bid per quintal (₹)
+ * @param {Number} [params.quantity] - Quintals wanted (defaults to all available quantity)
+ * @returns {Promise<Object>} The created bid, populated
+ * @throws {HttpError} 400/403/404 when the bid is not allowed
+ */
+async function placeListingBid({ listingId, buyer, amount, quantity }) {
+    const bidAmount = Number(amount);
+
+    if (!listingId || amount === undefined || amount === null || amount === '') {
+        throw new HttpError(400, 'Listing ID and bid amount are required');
+    }
+
+    if (!Number.isFinite(bidAmount) || bidAmount <= 0) {
+        throw new HttpError(400, 'Valid bid amount is required');
+    }
+
+    if (bidAmount > MAX_BID_AMOUNT) {
+        throw new HttpError(400, `Bid cannot exceed ₹${MAX_BID_AMOUNT.toLocaleString('en-IN')}/quintal`);
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(listingId)) {
+        throw new HttpError(404, 'Listing not found');
+    }
+
+    const crop = await Crop.findById(listingId);
+    if (!crop) {
+        throw new HttpError(404, 'Listing not found');
+    }
+
+    if (crop.isSold || crop.status === 'Sold') {
+        throw new HttpError(400, 'This listing is no longer available');
+    }
+
+    if (crop.farmer.toString() === String(buyer.id)) {
+        throw new HttpError(400, 'You cannot bid on your own listing');
+    }
+
+    const activeAuction = await Auction.exists({ crop: crop._id, status: 'active' });
+    if (activeAuction) {
+        throw new HttpError(400, 'This listing is being auctioned. Please bid in the auction instead.');
+    }
+
+    const available = getAvailableQuantity(crop);
+    if (available <= 0) {
+        throw new HttpError(400, 'All remaining quantity is reserved for other buyers');
+    }
+
+    const bidQuantity = quantity === undefined || quantity === null || quantity === ''
+        ? available
+        : Number(quantity);
+
+    if (!Number.isFinite(bidQuantity) || bidQuantity <= 0) {
+        throw new HttpError(400, 'Bid quantity must be greater than 0');
+    }
+
+    if (bidQuantity > available) {
+        throw new HttpError(400, `Only ${available} quintal(s) are available`);
+    }
+
+    const minBid = await getMinNextListingBid(crop);
+    if (bidAmount < minBid) {
+        throw new HttpError(400, `Bid must be at least ₹${minBid}/quintal`);
+    }
+
+    const bid = await Bid.create({
+        listingId: crop._id,
+        buyerId: buyer.id,
+        farmerId: crop.farmer,
+        amount: bidAmount,
+        quantity: bidQuantity,
+        status: 'Pending'
+    });
+
+    await createNotification({
+        userId: crop.farmer,
+        role: 'FARMER',
+        title: 'New Bid Received',
+        message: `${buyer.name || 'A buyer'} placed a bid of ₹${bidAmount}/quintal for ${bidQuantity} quintal(s) of ${crop.name}.`,
+        type: 'bid',
+    });
+
+    return populateBid(Bid.findById(bid._id));
+}
+
+/**
+ * Accept or reject a direct bid.
+ *
+ * Accepting opens the usual 2-hour payment window and reserves the bid's
+ * quantity. The farmer can still reject an accepted bid until it is paid,
+ * which releases the reservation.
+ *
+ * @async
+ * @param {Object} params
+ * @param {String} params.bidId - Bid to update
+ * @param {Object} params.farmer - Authenticated user ({ id, name })
+ * @param {String} params.status - 'Accepted' or 'Rejected'
+ * @returns {Promise<Object>} The updated bid, populated
+ * @throws {HttpError} 400/403/404 when the update is not allowed
+ */
+async function setBidStatus({ bidId, farmer, status }) {
+    if (!['Accepted', 'Rejected'].includes(status)) {
+        throw new HttpError(400, 'Status must be Accepted or Rejected');
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(bidId)) {
+        throw new HttpError(404, 'Bid not found');
+    }
+
+    const bid = await Bid.findById(bidId);
+    if (!bid) {
+        throw new HttpError(404, 'Bid not found');
+    }
+
+    if (bid.farmerId.toString() !== String(farmer.id)) {
+        throw new HttpError(403, 'Not authorized to update this bid');
+    }
+
+    if (bid.auction) {
+        throw new HttpError(400, 'Auction bids are settled automatically when the auction closes');
+    }
+
+    // Pending bids can be answered; an accepted bid can still be withdrawn before payment
+    const allowedFrom = status === 'Accepted' ? ['Pending'] : ['Pending', 'Accepted'];
+    if (!allowedFrom.includes(bid.status)) {
+        throw new HttpError(400, `This bid is already ${bid.status.toLowerCase()}`);
+    }
+
+    const listing = await Crop.findById(bid.listingId).select('name quantity');
+    const update = { status };
+
+    if (status === 'Accepted') {
+        update.acceptedAt = new Date();
+        update.expiresAt = new Date(Date.now() + BID_PAYMENT_WINDOW_MS);
+
+        // Hold the quintals for this buyer until they pay or the window closes
+        await reserveQuantity(bid.listingId, {
+            source: 'bid',
+            quantity: bid.quantity || listing?.quantity,
+            bid: bid._id,
+            buyer: bid.buyerId,
+            expiresAt: update.expiresAt
+        });
+    }
+
+    const claimed = await Bid.findOneAndUpdate(
+        { _id: bid._id, status: bid.status },
+        { $set: update },
+        { new: true }
+    );
+
+    if (!claimed) {
+        if (status === 'Accepted') {
+            await releaseReservation(bid.listingId, { bid: bid._id });
+        }
+        throw new HttpError(409, 'This bid was updated by another request. Please refresh.');
+    }
+
+    if (status === 'Rejected' && bid.status === 'Accepted') {
+        await releaseReservation(bid.listingId, { bid: bid._id });
+    }
+
+    const farmerName = farmer.name ? ` by Farmer ${farmer.name}` : '';
+    await createNotification({
+        userId: bid.buyerId,
+        role: 'BUYER',
+        title: status === 'Accepted' ? 'Bid Accepted' : 'Bid Rejected',
+        message: `Your bid of ₹${bid.amount}/quintal for ${listing?.name || 'crop'} was ${status.toLowerCase()}${farmerName}.`,
+        type: 'bid',
+    });
+
+    return populateBid(Bid.findById(bid._id));
+}
+
+/**
+ * Expire a single bid and tell the buyer and the farmer.
+ *
+ * The status change is claimed atomically, so a bid picked up by both the
+ * background job and a request is only expired (and announced) once.
+ *
+ * @async
+ * @param {Object} bid - Bid due to expire
+ * @param {Date} now - Expiry time
+ * @returns {Promise<Object|null>} The expired bid, or null if its status changed meanwhile
+ */
+async function expireBid(bid, now) {
+    const expired = await Bid.findOneAndUpdate(
+        { _id: bid._id, status: bid.status },
+        { $set: { status: 'Expired', expiredAt: now } },
+        { new: true }
+    );
+
+    if (!expired) {
+        return null;
+    }
+
+    const listing = await Crop.findById(expired.listingId).select('name');
+    const cropName = listing?.name || 'crop';
+    // A Completed bid is one whose order was cancelled unpaid (see reopenBidCheckout)
+    const wasAccepted = ['Accepted', 'Completed'].includes(bid.status);
+
+    if (wasAccepted) {
+        await releaseReservation(expired.listingId, { bid: expired._id });
+    }
+
+    await createNotification({
+        userId: expired.buyerId,
+        role: 'BUYER',
+        title: 'Bid Expired',
+        message: wasAccepted
+            ? `The payment window for your accepted bid of ₹${expired.amount}/quintal for ${cropName} has closed.`
+            : `Your bid of ₹${expired.amount}/quintal for ${cropName} expired without a response from the farmer.`,
+        type: 'bid',
+    });
+
+    await createNotification({
+        userId: expired.farmerId,
+        role: 'FARMER',
+        title: 'Bid Expired',
+        message: wasAccepted
+            ? `The buyer did not pay for the accepted bid of ₹${expired.amount}/quintal for ${cropName} in time. The listing is open for new bids.`
+            : `A bid of ₹${expired.amount}/quintal for ${cropName} expired before you answered it.`,
+        type: 'bid',
+    });
+
+    return expired;
+}
+
+/**
+ * Give the buyer back a bid whose order was cancelled before it was paid
+ * (see paymentService.cancelUnpaidOrders): the bid is awaiting payment
+ * again, with a fresh payment window and its quantity held again. If the
+ * quantity can no longer be held, the bid expires instead.
+ *
+ * @async
+ * @param {String} bidId - The order's sourceBid
+ * @param {Number} quantity - Quintals the order was for
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<Object|null>} The bid, or null when it was not paid for by checkout
+ */
+async function reopenBidCheckout(bidId, quantity, now = new Date()) {
+    const bid = await Bid.findOne({ _id: bidId, status: 'Completed' });
+    if (!bid) {
+        return null;
+    }
+
+    const expiresAt = new Date(now.getTime() + BID_PAYMENT_WINDOW_MS);
+    try {
+        await reserveQuantity(bid.listingId, {
+            source: 'bid',
+            quantity,
+            bid: bid._id,
+            buyer: bid.buyerId,
+            expiresAt
+        });
+    } catch (error) {
+        if (!(error instanceof HttpError)) throw error;
+        return expireBid(bid, now);
+    }
+
+    const reopened = await Bid.findOneAndUpdate(
+        { _id: bid._id, status: 'Completed' },
+        { $set: { status: 'Accepted', expiresAt } },
+        { new: true }
+    );
+    if (!reopened) {
+        await releaseReservation(bid.listingId, { bid: bid._id });
+    }
+    return reopened;
+}
+
+/**
+ * Expire every bid that is due at `now`.
+ *
+ * - Accepted bids whose payment window (expiresAt) has passed
+ * - Pending direct bids older than PENDING_BID_TTL_MS (auction bids are
+ *   settled when their auction closes instead)
+ *
+ * @async
+ * @param {Date} [now=new Date()] - Reference time (pass a fixed clock in tests)
+ * @param {Object} [filter={}] - Extra conditions (e.g. { buyerId })
+ * @returns {Promise<Array<Object>>} Bids expired by this call
+ */
+async function expireDueBids(now = new Date(), filter = {}) {
+    const due = await Bid.find({
+        ...filter,
+        $or: [
+            { status: 'Accepted', expiresAt: { $lte: now } },
+            {
+                status: 'Pending',
+                auction: { $exists: false },
+                createdAt: { $lte: new Date(now.getTime() - PENDING_BID_TTL_MS) }
+            }
+        ]
+    });
+
+    const expired = [];
+    for (const bid of due) {
+        const result = await expireBid(bid, now);
+        if (result) {
+            expired.push(result);
+        }
+    }
+
+    return expired;
+}
+
+module.exports = {
+    PENDING_BID_TTL_MS,
+    getMinNextListingBid,
+    placeListingBid,
+    setBidStatus,
+    reopenBidCheckout,
+    expireDueBids,
+};
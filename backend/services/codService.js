@@ -0,0 +1,296 @@
+/**
+ * @fileoverview Cash on Delivery Service for AgriSahayak Platform
+ *
+ * Cash on delivery (COD) orders are placed with paymentStatus 'pending'
+ * and the buyer pays in cash at handover. Once the order has shipped, the
+ * farmer records the amount received — or an admin does on behalf of a
+ * delivery agent:
+ * - the amount equals the order total → the order is paid, and the
+ *   collection is posted to the ledger (services/ledgerService), so the
+ *   order's fees come off the farmer's next payout
+ * - the amount differs → the collection is flagged as a mismatch and the
+ *   order stays pending until the farmer records the right amount or an
+ *   admin accepts the amount collected
+ *
+ * Admins follow up on unpaid COD orders with the reconciliation report:
+ * what is outstanding per farmer, by how long ago the order shipped, and
+ * the open mismatches.
+ *
+ * Collections are conditional updates on the order still being unpaid,
+ * so an order is only ever paid and posted once.
+ *
+ * @module services/codService
+ * @requires mongoose
+ * @requires models/Order
+ * @requires services/ledgerService
+ * @requires services/orderService
+ * @requires utils/httpError
+ * @requires utils/notificationEmitter
+ *
+ * @see Epic 4, Story 4.7 - Order Confirmation
+ */
+
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const { recordCodCollection } = require('./ledgerService');
+const { getOrderRole } = require('./orderService');
+const { HttpError } = require('../utils/httpError');
+const { createNotification } = require('../utils/notificationEmitter');
+
+/** Order statuses at which the cash can have changed hands. */
+const COLLECTABLE_STATUSES = ['Shipped', 'Delivered'];
+
+/** Age buckets of the reconciliation report: days since the order shipped. */
+const AGE_BUCKETS = [
+    { label: '0-7', maxDays: 7 },
+    { label: '8-15', maxDays: 15 },
+    { label: '16-30', maxDays: 30 },
+    { label: '31+', maxDays: Infinity }
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const roundRupees = (amount) => Math.round(amount * 100) / 100;
+
+const orderRef = (order) => String(order._id).slice(-8).toUpperCase();
+
+const findOrder = async (orderId) => {
+    const order = mongoose.isValidObjectId(orderId) && await Order.findById(orderId);
+    if (!order) {
+        throw new HttpError(404, 'Order not found');
+    }
+    return order;
+};
+
+/**
+ * Post a paid COD order to the ledger and tell the farmer.
+ */
+async function settleCollection(order, now, message) {
+    await recordCodCollection(order, now);
+    await createNotification({
+        userId: order.farmer,
+        role: 'FARMER',
+        title: 'Cash Collection Settled',
+        message: `${message} The platform fees for order ${orderRef(order)} will be taken from your next payout.`,
+        type: 'order',
+    });
+}
+
+/**
+ * Record the cash received at handover for a COD order.
+ *
+ * @async
+ * @param {Object} params
+ * @param {String} params.orderId
+ * @param {Object} params.user - Acting user { id, role }
+ * @param {Number} params.amount - Cash received (₹)
+ * @param {String} [params.agentName] - Delivery agent who took the cash
+ * @param {String} [params.note]
+ * @returns {Promise<Object>} The updated order
+ * @throws {HttpError} 404 unknown order, 403 not the farmer or an admin, 400 not collectable or bad amount, 409 changed meanwhile
+ */
+async function recordCashCollected({ orderId, user, amount, agentName, note }) {
+    const order = await findOrder(orderId);
+
+    const role = getOrderRole(order, user);
+    if (role !== 'FARMER' && role !== 'ADMIN') {
+        throw new HttpError(403, 'Only the farmer or an admin can record the cash for this order');
+    }
+    if (order.paymentMethod !== 'cod') {
+        throw new HttpError(400, 'Only cash on delivery orders are paid in cash');
+    }
+    if (order.paymentStatus !== 'pending') {
+        throw new HttpError(400, 'The cash for this order has already been recorded');
+    }
+    if (!COLLECTABLE_STATUSES.includes(order.orderStatus)) {
+        throw new HttpError(400, 'Cash can only be recorded once the order has shipped');
+    }
+
+    const collected = Number(amount);
+    if (amount === '' || amount === null || !Number.isFinite(collected) || collected < 0) {
+        throw new HttpError(400, 'Please enter the amount of cash collected');
+    }
+
+    const now = new Date();
+    const received = roundRupees(collected);
+    const difference = roundRupees(received - order.totalAmount);
+    const matched = difference === 0;
+
+    const codCollection = {
+        status: matched ? 'matched' : 'mismatch',
+        amount: received,
+        expectedAmount: order.totalAmount,
+        difference,
+        collectedBy: user.id,
+        collectedByRole: role,
+        agentName: agentName ? String(agentName).trim().slice(0, 100) : undefined,
+        note: note ? String(note).trim().slice(0, 500) : undefined,
+        collectedAt: now
+    };
+
+    const updated = await Order.findOneAndUpdate(
+        { _id: order._id, paymentStatus: 'pending', orderStatus: { $in: COLLECTABLE_STATUSES } },
+        { $set: matched ? { codCollection, paymentStatus: 'paid' } : { codCollection } },
+        { new: true, runValidators: true }
+    );
+    if (!updated) {
+        throw new HttpError(409, 'This order was updated by someone else. Please refresh and try again.');
+    }
+
+    if (matched) {
+        await settleCollection(updated, now, `₹${received} cash for order ${orderRef(updated)} has been recorded.`);
+        await createNotification({
+            userId: updated.buyer,
+            role: 'BUYER',
+            title: 'Payment Received',
+            message: `Your cash payment of ₹${received} for order ${orderRef(updated)} has been received. Thank you!`,
+            type: 'order',
+        });
+    } else {
+        await createNotification({
+            userId: updated.farmer,
+            role: 'FARMER',
+            title: 'Cash Collection Mismatch',
+            message: `₹${received} was recorded for order ${orderRef(updated)}, but the order total is ₹${updated.totalAmount}. An admin will review it; record the cash again if the amount was wrong.`,
+            type: 'order',
+        });
+    }
+
+    return updated;
+}
+
+/**
+ * Admin accepts the amount collected on a mismatched COD order, which
+ * then counts as paid.
+ *
+ * @async
+ * @param {Object} params
+ * @param {String} params.orderId
+ * @param {String} [params.note] - Shown to the farmer
+ * @returns {Promise<Object>} The updated order
+ * @throws {HttpError} 404 unknown order, 400 no open mismatch, 409 changed meanwhile
+ */
+async function acceptCashCollected({ orderId, note }) {
+    const order = await findOrder(orderId);
+    if (order.paymentStatus !== 'pending' || order.codCollection?.status !== 'mismatch') {
+        throw new HttpError(400, 'This order has no cash collection waiting for review');
+    }
+
+    const now = new Date();
+    const resolution = note ? String(note).trim().slice(0, 500) : '';
+    const changes = {
+        paymentStatus: 'paid',
+        'codCollection.status': 'accepted',
+        'codCollection.resolvedAt': now
+    };
+    if (resolution) changes['codCollection.resolutionNote'] = resolution;
+
+    const accepted = await Order.findOneAndUpdate(
+        { _id: order._id, paymentStatus: 'pending', 'codCollection.status': 'mismatch', 'codCollection.collectedAt': order.codCollection.collectedAt },
+        { $set: changes },
+        { new: true }
+    );
+    if (!accepted) {
+        throw new HttpError(409, 'This order was updated by someone else. Please refresh and try again.');
+    }
+
+    await settleCollection(
+        accepted,
+        now,
+        `The ₹${accepted.codCollection.amount} cash you recorded for order ${orderRef(accepted)} was accepted.${resolution ? ` Note: ${resolution}` : ''}`
+    );
+
+    return accepted;
+}
+
+/**
+ * When the cash for an order became due: when it shipped, or when it was
+ * placed for orders without a shipping entry.
+ */
+const dueSince = (order) => {
+    const shipped = (order.statusHistory || []).find((entry) => entry.status === 'Shipped');
+    return shipped ? shipped.at : order.createdAt;
+};
+
+/**
+ * Outstanding COD amounts for admins: every shipped or delivered COD
+ * order still unpaid, totalled per farmer and by age, with the open
+ * mismatches.
+ *
+ * @async
+ * @param {Object} [params]
+ * @param {Date} [params.asOf=new Date()]
+ * @returns {Promise<Object>} { asOf, buckets, totals, farmers, mismatches } in rupees
+ */
+async function getCodReconciliation({ asOf = new Date() } = {}) {
+    const orders = await Order.find({
+        paymentMethod: 'cod',
+        paymentStatus: 'pending',
+        orderStatus: { $in: COLLECTABLE_STATUSES }
+    })
+        .populate('farmer', 'name phone')
+        .populate('buyer', 'name phone')
+        .sort({ createdAt: 1 });
+
+    const emptyBuckets = () => Object.fromEntries(AGE_BUCKETS.map(({ label }) => [label, 0]));
+    const totals = { orders: 0, amount: 0, mismatches: 0, byAge: emptyBuckets() };
+    const farmers = new Map();
+    const mismatches = [];
+
+    for (const order of orders) {
+        const days = Math.max(0, Math.floor((asOf - dueSince(order)) / DAY_MS));
+        const bucket = AGE_BUCKETS.find(({ maxDays }) => days <= maxDays).label;
+        const farmerId = String(order.farmer?._id || order.farmer);
+
+        if (!farmers.has(farmerId)) {
+            farmers.set(farmerId, {
+                farmer: order.farmer,
+                orders: 0,
+                amount: 0,
+                mismatches: 0,
+                oldestDays: 0,
+                byAge: emptyBuckets()
+            });
+        }
+        const row = farmers.get(farmerId);
+
+        for (const summary of [totals, row]) {
+            summary.orders += 1;
+            summary.amount = roundRupees(summary.amount + order.totalAmount);
+            summary.byAge[bucket] = roundRupees(summary.byAge[bucket] + order.totalAmount);
+        }
+        row.oldestDays = Math.max(row.oldestDays, days);
+
+        if (order.codCollection?.status === 'mismatch') {
+            totals.mismatches += 1;
+            row.mismatches += 1;
+            mismatches.push({
+                order: order._id,
+                invoiceNumber: order.invoiceNumber,
+                farmer: order.farmer,
+                buyer: order.buyer,
+                expectedAmount: order.totalAmount,
+                amount: order.codCollection.amount,
+                difference: order.codCollection.difference,
+                agentName: order.codCollection.agentName,
+                note: order.codCollection.note,
+                collectedAt: order.codCollection.collectedAt
+            });
+        }
+    }
+
+    return {
+        asOf,
+        buckets: AGE_BUCKETS.map(({ label }) => label),
+        totals,
+        farmers: [...farmers.values()].sort((a, b) => b.amount - a.amount),
+        mismatches
+    };
+}
+
+module.exports = {
+    AGE_BUCKETS,
+    recordCashCollected,
+    acceptCashCollected,
+    getCodReconciliation,
+};
@@ -0,0 +1,264 @@
+/**
+ * @fileoverview Escrow Service for AgriSahayak Platform
+ *
+ * Prepaid (card/UPI) orders are paid into escrow: the payment is captured
+ * at checkout (services/paymentService) but held for the farmer until:
+ * - the buyer confirms delivery → released to the farmer
+ * - the dispute window (ESCROW_DISPUTE_WINDOW_MS after shipping) passes
+ *   without a dispute → released by releaseDueEscrows (services/jobRunner)
+ * - the order is cancelled → refunded to the buyer
+ *
+ * While the order is shipped and the window is open, the buyer can raise
+ * a dispute. That stops the automatic release until an admin resolves it
+ * by releasing the funds or refunding the buyer. Confirming delivery
+ * still releases a disputed order, since the buyer is then satisfied.
+ *
+ * Every escrow change is a conditional update on the escrow status it
+ * expects, so funds can only leave escrow once. Releases are posted to
+ * the ledger (services/ledgerService), which takes the platform fee and
+ * leaves the rest for the farmer's next payout. For an order paid in
+ * instalments, what is in escrow is what has been paid so far; a balance
+ * paid after the release is released when it arrives.
+ *
+ * @module services/escrowService
+ * @requires models/Order
+ * @requires services/ledgerService
+ * @requires services/paymentService
+ * @requires utils/httpError
+ * @requires utils/notificationEmitter
+ *
+ * @see Epic 4, Story 4.7 - Order Confirmation
+ * @see Epic 7 - Trust & Safety
+ */
+
+const Order = require('../models/Order');
+const { recordEscrowRelease } = require('./ledgerService');
+const { PAID_STATUSES, amountPaid, refundOrderPayment } = require('./paymentService');
+const { HttpError } = require('../utils/httpError');
+const { createNotification } = require('../utils/notificationEmitter');
+
+/** How long after shipping the buyer has to dispute before funds are released. */
+const ESCROW_DISPUTE_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+
+const orderRef = (order) => String(order._id).slice(-8).toUpperCase();
+
+/**
+ * Release an order's escrowed payment to the farmer.
+ *
+ * @async
+ * @param {Object} order - Order document
+ * @param {String} reason - 'delivery_confirmed' | 'dispute_window_elapsed' | 'dispute_resolved'
+ * @param {Object} [options]
+ * @param {Date} [options.now=new Date()]
+ * @param {String} [options.note] - Resolution note (dispute_resolved)
+ * @returns {Promise<Object|null>} The updated order, or null if nothing was in escrow
+ */
+async function releaseEscrow(order, reason, { now = new Date(), note } = {}) {
+    const changes = {
+        'escrow.status': 'released',
+        'escrow.releasedAt': now,
+        'escrow.releaseReason': reason
+    };
+    if (note) changes['escrow.resolutionNote'] = note;
+
+    const released = await Order.findOneAndUpdate(
+        {
+            _id: order._id,
+            paymentStatus: { $in: PAID_STATUSES },
+            // Automatic release never overrides an open dispute
+            'escrow.status': reason === 'dispute_window_elapsed' ? 'held' : { $in: ['held', 'disputed'] }
+        },
+        { $set: changes },
+        { new: true }
+    );
+    if (!released) {
+        return null;
+    }
+    await recordEscrowRelease(released, now);
+
+    const why = {
+        delivery_confirmed: 'the buyer confirmed delivery',
+        dispute_window_elapsed: 'the dispute window has passed',
+        dispute_resolved: 'the dispute was resolved in your favour'
+    }[reason];
+
+    await createNotification({
+        userId: released.farmer,
+        role: 'FARMER',
+        title: 'Payment Released',
+        message: `₹${amountPaid(released)} for order ${orderRef(released)} has been released to you because ${why}. It will be included in your next payout, less the platform fee.`,
+        type: 'order',
+    });
+
+    return released;
+}
+
+/**
+ * Escrow fields to set when an order ships: starts the dispute window.
+ *
+ * @param {Object} order - Order as read before the change
+ * @param {Date} now - When it shipped
+ * @returns {Object} $set fields (empty when nothing is in escrow)
+ */
+function escrowChangesOnShipping(order, now) {
+    if (order.escrow?.status !== 'held') {
+        return {};
+    }
+    return { 'escrow.releaseAfter': new Date(now.getTime() + ESCROW_DISPUTE_WINDOW_MS) };
+}
+
+/**
+ * Buyer disputes a shipped order while its dispute window is open.
+ *
+ * @async
+ * @param {Object} params
+ * @param {String} params.orderId
+ * @param {Object} params.user - Acting user { id }
+ * @param {String} params.reason - What went wrong
+ * @returns {Promise<Object>} The updated order
+ * @throws {HttpError} 404 unknown order, 403 not the buyer, 400 no reason or nothing to dispute
+ */
+async function openDispute({ orderId, user, reason }) {
+    const text = String(reason || '').trim().slice(0, 500);
+    if (!text) {
+        throw new HttpError(400, 'Please describe the problem with this order');
+    }
+
+    const order = await Order.findById(orderId);
+    if (!order) {
+        throw new HttpError(404, 'Order not found');
+    }
+    if (String(order.buyer) !== String(user.id)) {
+        throw new HttpError(403, 'Only the buyer can dispute this order');
+    }
+    if (order.orderStatus !== 'Shipped' || order.escrow?.status !== 'held') {
+        throw new HttpError(400, 'Only a shipped order with its payment in escrow can be disputed');
+    }
+
+    const now = new Date();
+    if (order.escrow.releaseAfter && order.escrow.releaseAfter <= now) {
+        throw new HttpError(400, 'The dispute window for this order has closed');
+    }
+
+    const disputed = await Order.findOneAndUpdate(
+        { _id: order._id, 'escrow.status': 'held' },
+        { $set: { 'escrow.status': 'disputed', 'escrow.disputeReason': text, 'escrow.disputedAt': now } },
+        { new: true }
+    );
+    if (!disputed) {
+        throw new HttpError(409, 'This order was updated by someone else. Please refresh and try again.');
+    }
+
+    await createNotification({
+        userId: disputed.farmer,
+        role: 'FARMER',
+        title: 'Order Disputed',
+        message: `The buyer disputed order ${orderRef(disputed)}: ${text}. The payment stays in escrow until an admin reviews it.`,
+        type: 'order',
+    });
+
+    return disputed;
+}
+
+/**
+ * Admin settles a dispute by releasing the funds to the farmer or
+ * refunding the buyer.
+ *
+ * @async
+ * @param {Object} params
+ * @param {String} params.orderId
+ * @param {String} params.action - 'release' | 'refund'
+ * @param {String} [params.note] - Shown to both parties
+ * @returns {Promise<Object>} The updated order
+ * @throws {HttpError} 404 unknown order, 400 not disputed or bad action, 502 refund failed
+ */
+async function resolveDispute({ orderId, action, note }) {
+    if (!['release', 'refund'].includes(action)) {
+        throw new HttpError(400, "Action must be 'release' or 'refund'");
+    }
+
+    const order = await Order.findById(orderId);
+    if (!order) {
+        throw new HttpError(404, 'Order not found');
+    }
+    if (order.escrow?.status !== 'disputed') {
+        throw new HttpError(400, 'This order has no open dispute');
+    }
+
+    const resolution = note ? String(note).trim().slice(0, 500) : '';
+
+    if (action === 'release') {
+        const released = await releaseEscrow(order, 'dispute_resolved', { note: resolution });
+        if (!released) {
+            throw new HttpError(409, 'This order was updated by someone else. Please refresh and try again.');
+        }
+        await createNotification({
+            userId: released.buyer,
+            role: 'BUYER',
+            title: 'Dispute Resolved',
+            message: `Your dispute on order ${orderRef(released)} was reviewed and the payment was released to the farmer.${resolution ? ` Note: ${resolution}` : ''}`,
+            type: 'order',
+        });
+        return released;
+    }
+
+    const refunded = await refundOrderPayment(order);
+    if (refunded.payment?.refundStatus === 'failed') {
+        throw new HttpError(502, 'The refund could not be completed. Please try again.');
+    }
+    const resolved = await Order.findByIdAndUpdate(
+        refunded._id,
+        { $set: { 'escrow.resolutionNote': resolution || undefined } },
+        { new: true }
+    );
+
+    await createNotification({
+        userId: resolved.buyer,
+        role: 'BUYER',
+        title: 'Dispute Resolved',
+        message: `Your dispute on order ${orderRef(resolved)} was upheld and ₹${amountPaid(resolved)} is being refunded to you.${resolution ? ` Note: ${resolution}` : ''}`,
+        type: 'order',
+    });
+    await createNotification({
+        userId: resolved.farmer,
+        role: 'FARMER',
+        title: 'Dispute Resolved',
+        message: `The dispute on order ${orderRef(resolved)} was upheld and the buyer has been refunded.${resolution ? ` Note: ${resolution}` : ''}`,
+        type: 'order',
+    });
+
+    return resolved;
+}
+
+/**
+ * Release escrow for shipped orders whose dispute window has passed
+ * without a dispute.
+ *
+ * @async
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<Number>} Number of orders released
+ */
+async function releaseDueEscrows(now = new Date()) {
+    const due = await Order.find({
+        paymentStatus: { $in: PAID_STATUSES },
+        'escrow.status': 'held',
+        'escrow.releaseAfter': { $lte: now }
+    });
+
+    let released = 0;
+    for (const order of due) {
+        if (await releaseEscrow(order, 'dispute_window_elapsed', { now })) {
+            released += 1;
+        }
+    }
+    return released;
+}
+
+module.exports = {
+    ESCROW_DISPUTE_WINDOW_MS,
+    releaseEscrow,
+    escrowChangesOnShipping,
+    openDispute,
+    resolveDispute,
+    releaseDueEscrows,
+};
@@ -0,0 +1,296 @@
+/**
+ * @fileoverview Inventory Service for AgriSahayak Platform
+ *
+ * Quantity reservations on crop listings. When a farmer accepts a bid or
+ * a negotiation (or starts an auction) the quintals involved are held so
+ * no one else can buy them. A hold ends in one of three ways:
+ * - consumed: the entitled buyer places the order
+ * - released: the bid is rejected/expires, the auction ends without a
+ *   winner, or the hold's own expiry passes
+ * - transferred: an auction's hold is handed to the winning bid
+ *
+ * Every change is a single conditional update on the Crop document, so
+ * the availability check and the change cannot be split by a concurrent
+ * request.
+ *
+ * @module services/inventoryService
+ * @requires models/Crop
+ * @requires utils/httpError
+ */
+
+const mongoose = require('mongoose');
+const Crop = require('../models/Crop');
+const { HttpError } = require('../utils/httpError');
+
+/** Aggregation expression for quantity not held by any reservation. */
+const AVAILABLE_EXPR = { $subtract: ['$quantity', { $ifNull: ['$reservedQuantity', 0] }] };
+
+/**
+ * Quintals of a crop anyone can still buy.
+ *
+ * @param {Object} crop - Crop with quantity and reservedQuantity
+ * @returns {Number} Available quantity
+ */
+function getAvailableQuantity(crop) {
+    return Math.max(0, (crop.quantity || 0) - (crop.reservedQuantity || 0));
+}
+
+/**
+ * Build the query that finds the reservation for a bid, negotiation or auction.
+ */
+function reservationMatch({ bid, negotiation, auction }) {
+    if (bid) return { bid };
+    if (negotiation) return { negotiation };
+    if (auction) return { auction };
+    throw new Error('A bid, negotiation or auction is required to find a reservation');
+}
+
+/**
+ * Hold quantity of a crop.
+ *
+ * @async
+ * @param {String} cropId - Crop listing
+ * @param {Object} hold
+ * @param {('bid'|'negotiation'|'auction')} hold.source - What the hold is for
+ * @param {Number} hold.quantity - Quintals to hold
+ * @param {String} [hold.bid] - Accepted bid
+ * @param {String} [hold.negotiation] - Accepted negotiation
+ * @param {String} [hold.auction] - Running auction
+ * @param {String} [hold.buyer] - Buyer entitled to the quantity
+ * @param {Date} [hold.expiresAt] - When the hold lapses
+ * @returns {Promise<Object>} The reservation
+ * @throws {HttpError} 400 when not enough quantity is available
+ */
+async function reserveQuantity(cropId, { source, quantity, bid, negotiation, auction, buyer, expiresAt }) {
+    const amount = Number(quantity);
+    if (!Number.isFinite(amount) || amount <= 0) {
+        throw new HttpError(400, 'Reserved quantity must be greater than 0');
+    }
+
+    const reservation = {
+        _id: new mongoose.Types.ObjectId(),
+        source,
+        bid,
+        negotiation,
+        auction,
+        buyer,
+        quantity: amount,
+        expiresAt,
+        createdAt: new Date()
+    };
+
+    const updated = await Crop.findOneAndUpdate(
+        {
+            _id: cropId,
+            isSold: false,
+            $expr: { $gte: [AVAILABLE_EXPR, amount] }
+        },
+        {
+            $inc: { reservedQuantity: amount },
+            $push: { reservations: reservation }
+        },
+        { new: true }
+    );
+
+    if (!updated) {
+        const crop = await Crop.findById(cropId).select('quantity reservedQuantity isSold');
+        if (!crop) {
+            throw new HttpError(404, 'Crop not found');
+        }
+        throw new HttpError(400, `Only ${getAvailableQuantity(crop)} quintal(s) are available to reserve`);
+    }
+
+    return reservation;
+}
+
+/**
+ * Find the reservation held for a bid, negotiation or auction.
+ *
+ * @async
+ * @param {String} cropId - Crop listing
+ * @param {Object} ref - { bid } | { negotiation } | { auction }
+ * @returns {Promise<Object|null>} The reservation, or null if none is held
+ */
+async function findReservation(cropId, ref) {
+    const match = reservationMatch(ref);
+    const crop = await Crop.findOne({
+        _id: cropId,
+        reservations: { $elemMatch: match }
+    }).select('+reservations');
+
+    if (!crop) {
+        return null;
+    }
+
+    const [key, value] = Object.entries(match)[0];
+    return crop.reservations.find((r) => String(r[key]) === String(value)) || null;
+}
+
+/**
+ * Release a reservation, making its quantity available again.
+ * Safe to call when nothing is held (returns null).
+ *
+ * @async
+ * @param {String} cropId - Crop listing
+ * @param {Object} ref - { bid } | { negotiation } | { auction }
+ * @returns {Promise<Object|null>} The released reservation
+ */
+async function releaseReservation(cropId, ref) {
+    const reservation = await findReservation(cropId, ref);
+    if (!reservation) {
+        return null;
+    }
+
+    const updated = await Crop.findOneAndUpdate(
+        { _id: cropId, 'reservations._id': reservation._id },
+        {
+            $inc: { reservedQuantity: -reservation.quantity },
+            $pull: { reservations: { _id: reservation._id } }
+        }
+    );
+
+    return updated ? reservation : null;
+}
+
+/**
+ * Hand an auction's reservation to its winning bid.
+ *
+ * @async
+ * @param {String} cropId - Crop listing
+ * @param {String} auctionId - Closed auction
+ * @param {Object} winner - { bid, buyer, expiresAt }
+ * @returns {Promise<Boolean>} Whether a reservation was transferred
+ */
+async function transferAuctionReservation(cropId, auctionId, { bid, buyer, expiresAt }) {
+    const result = await Crop.updateOne(
+        { _id: cropId, 'reservations.auction': auctionId },
+        {
+            $set: {
+                'reservations.$.source': 'bid',
+                'reservations.$.bid': bid,
+                'reservations.$.buyer': buyer,
+                'reservations.$.expiresAt': expiresAt
+            }
+        }
+    );
+
+    return result.modifiedCount > 0;
+}
+
+/**
+ * Take sold quantity off a crop.
+ *
+ * With a reservation, the sale draws on the held quantity (up to the
+ * reservation) and the whole hold ends; any unbought part of it becomes
+ * available again. Without one, only unreserved quantity can be sold.
+ * The listing is marked Sold when nothing is left.
+ *
+ * @async
+ * @param {String} cropId - Crop listing
+ * @param {Number} quantity - Quintals sold
+ * @param {Object|null} [reservation=null] - Reservation the buyer is entitled to
+ * @returns {Promise<Object>} The updated crop
+ * @throws {HttpError} 400 when the quantity is no longer available
+ */
+async function commitSale(cropId, quantity, reservation = null) {
+    const amount = Number(quantity);
+    const filter = { _id: cropId, isSold: false };
+    const update = { $inc: { quantity: -amount } };
+
+    if (reservation) {
+        if (amount > reservation.quantity) {
+            throw new HttpError(400, `Only ${reservation.quantity} quintal(s) are reserved for you`);
+        }
+        filter['reservations._id'] = reservation._id;
+        filter.quantity = { $gte: amount };
+        update.$inc.reservedQuantity = -reservation.quantity;
+        update.$pull = { reservations: { _id: reservation._id } };
+    } else {
+        filter.$expr = { $gte: [AVAILABLE_EXPR, amount] };
+    }
+
+    const updated = await Crop.findOneAndUpdate(filter, update, { new: true });
+
+    if (!updated) {
+        const crop = await Crop.findById(cropId).select('quantity reservedQuantity');
+        throw new HttpError(400, `Only ${crop ? getAvailableQuantity(crop) : 0} quintal(s) available for this crop`);
+    }
+
+    if (updated.quantity <= 0) {
+        await Crop.updateOne(
+            { _id: cropId, quantity: { $lte: 0 } },
+            { $set: { quantity: 0, isSold: true, status: 'Sold' } }
+        );
+        updated.quantity = 0;
+        updated.isSold = true;
+        updated.status = 'Sold';
+    }
+
+    return updated;
+}
+
+/**
+ * Undo commitSale: put the quantity (and the reservation it consumed)
+ * back on the listing. Used when a later step of checkout fails.
+ *
+ * @async
+ * @param {String} cropId - Crop listing
+ * @param {Number} quantity - Quintals to put back
+ * @param {Object|null} [reservation=null] - Reservation commitSale consumed
+ * @returns {Promise<void>}
+ */
+async function restoreSale(cropId, quantity, reservation = null) {
+    const update = { $inc: { quantity: Number(quantity) } };
+    if (reservation) {
+        update.$inc.reservedQuantity = reservation.quantity;
+        update.$push = { reservations: reservation };
+    }
+
+    await Crop.updateOne({ _id: cropId }, update);
+
+    // commitSale marks an emptied listing Sold; reopen it
+    await Crop.updateOne(
+        { _id: cropId, status: 'Sold', quantity: { $gt: 0 } },
+        { $set: { isSold: false, status: 'Available' } }
+    );
+}
+
+/**
+ * Release every reservation whose hold has lapsed.
+ *
+ * @async
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {Promise<Number>} Number of reservations released
+ */
+async function releaseExpiredReservations(now = new Date()) {
+    const crops = await Crop.find({ 'reservations.expiresAt': { $lte: now } }).select('+reservations');
+
+    let released = 0;
+    for (const crop of crops) {
+        for (const reservation of crop.reservations) {
+            if (!reservation.expiresAt || reservation.expiresAt > now) continue;
+
+            const updated = await Crop.findOneAndUpdate(
+                { _id: crop._id, 'reservations._id': reservation._id },
+                {
+                    $inc: { reservedQuantity: -reservation.quantity },
+                    $pull: { reservations: { _id: reservation._id } }
+                }
+            );
+            if (updated) released += 1;
+        }
+    }
+
+    return released;
+}
+
+module.exports = {
+    getAvailableQuantity,
+    reserveQuantity,
+    findReservation,
+    releaseReservation,
+    transferAuctionReservation,
+    commitSale,
+    restoreSale,
+    releaseExpiredReservations,
+};
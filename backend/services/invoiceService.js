@@ -0,0 +1,316 @@
+/**
+ * @fileoverview Invoice Service for AgriSahayak Platform
+ *
+ * Invoice numbers and the PDF documents for an order:
+ * - the buyer's tax invoice: goods with their HSN codes, GST, buyer fees
+ *   and the total paid
+ * - the farmer's bill of supply: the same goods and tax, less the
+ *   platform's commission, and what the farmer is paid
+ *
+ * Invoice numbers run in one sequence per financial year (April-March),
+ * e.g. 'AS/2025-26/000042', from an atomic counter (models/Counter), so
+ * no two orders share one. Numbers are only given once the supply is
+ * confirmed: a COD order when it is placed, a card or UPI order when its
+ * payment is captured (see services/paymentService). A checkout that is
+ * rolled back, or abandoned unpaid and cancelled, does not use one up, and
+ * no document is issued for an unpaid or cancelled order.
+ *
+ * @module services/invoiceService
+ * @requires mongoose
+ * @requires models/Counter
+ * @requires models/Order
+ * @requires services/taxService
+ * @requires utils/pdfDocument
+ * @requires utils/httpError
+ *
+ * @see services/pricingService - Works out the amounts the documents show
+ */
+
+const mongoose = require('mongoose');
+const Counter = require('../models/Counter');
+const Order = require('../models/Order');
+const { classifyItem } = require('./taxService');
+const { PdfDocument, PAGE_WIDTH, textWidth } = require('../utils/pdfDocument');
+const { HttpError } = require('../utils/httpError');
+
+const INVOICE_PREFIX = 'AS';
+
+/** Document titles, by the `document` query value. */
+const DOCUMENTS = {
+    invoice: 'TAX INVOICE',
+    'bill-of-supply': 'BILL OF SUPPLY',
+};
+
+const MARGIN = 40;
+const PAGE_BOTTOM = 790;
+
+/**
+ * Financial year a date falls in, e.g. '2025-26' for 10 May 2025.
+ *
+ * @param {Date} date
+ * @returns {String}
+ */
+function financialYear(date) {
+    const start = date.getMonth() >= 3 ? date.getFullYear() : date.getFullYear() - 1;
+    return `${start}-${String((start + 1) % 100).padStart(2, '0')}`;
+}
+
+/**
+ * Whether an order's supply is confirmed, so it can be invoiced: not
+ * cancelled, and either cash on delivery or paid online.
+ *
+ * @param {Object} order
+ * @returns {Boolean}
+ */
+function isInvoiceable(order) {
+    if (order.orderStatus === 'Cancelled') return false;
+    return order.paymentMethod === 'cod' || !['pending', 'failed'].includes(order.paymentStatus);
+}
+
+/**
+ * Give an order the next invoice number, unless it has one.
+ *
+ * @async
+ * @param {Object} order - Order document; updated in place
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<String>} The order's invoice number
+ */
+async function assignInvoiceNumber(order, now = new Date()) {
+    if (order.invoiceNumber) return order.invoiceNumber;
+
+    const year = financialYear(now);
+    const counter = await Counter.findOneAndUpdate(
+        { _id: `invoice:${year}` },
+        { $inc: { seq: 1 } },
+        { new: true, upsert: true }
+    );
+    const invoiceNumber = `${INVOICE_PREFIX}/${year}/${String(counter.seq).padStart(6, '0')}`;
+
+    // Only the first number given sticks if two downloads race on an old order
+    const updated = await Order.findOneAndUpdate(
+        { _id: order._id, invoiceNumber: { $exists: false } },
+        { $set: { invoiceNumber, invoiceDate: now } },
+        { new: true }
+    ) || await Order.findById(order._id);
+
+    order.invoiceNumber = updated.invoiceNumber;
+    order.invoiceDate = updated.invoiceDate;
+    return order.invoiceNumber;
+}
+
+/**
+ * Number several orders, in the order given (e.g. a cart checkout).
+ *
+ * @async
+ * @param {Array<Object>} orders - Order documents; updated in place
+ */
+async function assignInvoiceNumbers(orders) {
+    const now = new Date();
+    for (const order of orders) {
+        await assignInvoiceNumber(order, now);
+    }
+}
+
+const formatRupees = (amount) => `Rs. ${Number(amount || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' });
+
+/** Split text into lines no wider than `width` points. */
+function wrapText(text, width, size) {
+    const lines = [];
+    let current = '';
+    for (const word of String(text || '').split(/\s+/).filter(Boolean)) {
+        const candidate = current ? `${current} ${word}` : word;
+        if (current && textWidth(candidate, size) > width) {
+            lines.push(current);
+            current = word;
+        } else {
+            current = candidate;
+        }
+    }
+    if (current) lines.push(current);
+    return lines.length ? lines : ['-'];
+}
+
+/**
+ * Lay out an order's invoice or bill of supply.
+ *
+ * @param {Object} order - Order with `buyer` and `farmer` populated (name, phone, city, state, location)
+ * @param {String} document - 'invoice' | 'bill-of-supply'
+ * @returns {Buffer} The PDF
+ */
+function renderOrderDocument(order, document) {
+    const pdf = new PdfDocument();
+    const right = PAGE_WIDTH - MARGIN;
+    const buyer = order.buyer || {};
+    const farmer = order.farmer || {};
+    let y = 60;
+
+    const nextLine = (height = 14) => {
+        y += height;
+        if (y > PAGE_BOTTOM) {
+            pdf.addPage();
+            y = 60;
+        }
+    };
+
+    // Heading
+    pdf.text('AgriSahayak Marketplace', MARGIN, y, { size: 16, bold: true });
+    pdf.text(DOCUMENTS[document], right, y, { size: 14, bold: true, align: 'right' });
+    nextLine(20);
+    pdf.text(`${document === 'invoice' ? 'Invoice' : 'Bill'} No: ${order.invoiceNumber}`, right, y, { align: 'right' });
+    pdf.text(`Order: ${order._id}`, MARGIN, y);
+    nextLine();
+    pdf.text(`Date: ${formatDate(order.invoiceDate || order.createdAt)}`, right, y, { align: 'right' });
+    pdf.text(`Payment: ${String(order.paymentMethod || '').toUpperCase()} (${order.paymentStatus})`, MARGIN, y);
+    nextLine(10);
+    pdf.line(MARGIN, y, right, y);
+    nextLine(18);
+
+    // Parties
+    const column = (PAGE_WIDTH - 2 * MARGIN) / 2;
+    pdf.text('Supplier (farmer)', MARGIN, y, { bold: true });
+    pdf.text('Recipient (buyer)', MARGIN + column, y, { bold: true });
+    const supplier = [farmer.name || 'Farmer', farmer.location || farmer.city, farmer.state && `State: ${farmer.state}`, farmer.phone && `Phone: ${farmer.phone}`].filter(Boolean);
+    const recipient = [
+        buyer.name || 'Buyer',
+        ...wrapText(order.shippingAddress, column - 10, 10),
+        `Place of supply: ${buyer.state || '-'}`,
+        buyer.phone && `Phone: ${buyer.phone}`
+    ].filter(Boolean);
+    for (let index = 0; index < Math.max(supplier.length, recipient.length); index += 1) {
+        nextLine();
+        if (supplier[index]) pdf.text(supplier[index], MARGIN, y);
+        if (recipient[index]) pdf.text(recipient[index], MARGIN + column, y);
+    }
+    nextLine(24);
+
+    // Items: description, HSN, quantity, rate, taxable value, GST rate, GST
+    const columns = [MARGIN, 230, 300, 360, 440, 490, right];
+    const header = ['Item', 'HSN', 'Qty (qtl)', 'Rate', 'Value', 'GST %', 'GST'];
+    header.forEach((label, index) => {
+        pdf.text(label, columns[index], y, { bold: true, align: index === 0 ? 'left' : 'right' });
+    });
+    nextLine(6);
+    pdf.line(MARGIN, y, right, y);
+
+    for (const item of order.items) {
+        nextLine(16);
+        const value = item.total ?? item.quantity * item.pricePerKg;
+        const hsn = item.hsn || classifyItem(item).hsn;
+        // Long names are cut to the first line so they do not run into the HSN column
+        const cells = [wrapText(item.name, 140, 10)[0], hsn, item.quantity, formatRupees(item.pricePerKg), formatRupees(value), `${item.taxRate || 0}%`, formatRupees(item.taxAmount)];
+        cells.forEach((cell, index) => {
+            pdf.text(cell, columns[index], y, { align: index === 0 ? 'left' : 'right' });
+        });
+    }
+    nextLine(8);
+    pdf.line(MARGIN, y, right, y);
+
+    // Totals
+    const totalRow = (label, amount, options = {}) => {
+        nextLine(16);
+        pdf.text(label, columns[4], y, { ...options, align: 'right' });
+        pdf.text(amount, right, y, { ...options, align: 'right' });
+    };
+
+    const subtotal = order.subtotal ?? order.items.reduce((sum, item) => sum + (item.total || 0), 0);
+    totalRow('Value of goods', formatRupees(subtotal));
+    for (const tax of order.taxes || []) {
+        totalRow(`${tax.type} @ ${tax.rate}%`, formatRupees(tax.amount));
+    }
+    if (!order.taxAmount) {
+        totalRow('GST', 'Exempt');
+    }
+    totalRow('Shipping', formatRupees(order.shippingCost));
+
+    if (document === 'invoice') {
+        for (const fee of (order.fees || []).filter((line) => line.payer === 'buyer')) {
+            totalRow(fee.name, formatRupees(fee.amount));
+        }
+        totalRow('Total', formatRupees(order.totalAmount), { bold: true, size: 12 });
+    } else {
+        const goodsAndTax = (subtotal || 0) + (order.taxAmount || 0) + (order.shippingCost || 0);
+        const commission = (order.fees || []).filter((line) => line.payer === 'farmer');
+        for (const fee of commission) {
+            totalRow(`Less: ${fee.name}`, `- ${formatRupees(fee.amount)}`);
+        }
+        const payable = goodsAndTax - commission.reduce((sum, fee) => sum + fee.amount, 0);
+        totalRow('Payable to farmer', formatRupees(Math.max(0, payable)), { bold: true, size: 12 });
+    }
+
+    nextLine(40);
+    if (order.taxAmount > 0) {
+        pdf.text('GST shown is payable by the supplier.', MARGIN, y, { size: 8 });
+        nextLine(12);
+    } else {
+        pdf.text('Supply of unprocessed agricultural produce, exempt from GST.', MARGIN, y, { size: 8 });
+        nextLine(12);
+    }
+    pdf.text('This is a computer-generated document and needs no signature.', MARGIN, y, { size: 8 });
+
+    return pdf.toBuffer();
+}
+
+/**
+ * An order's invoice (for its buyer) or bill of supply (for its farmer)
+ * as a PDF. Admins can download either.
+ *
+ * @async
+ * @param {Object} params
+ * @param {String} params.orderId
+ * @param {Object} params.user - Requesting user (req.user)
+ * @param {String} [params.document] - 'invoice' | 'bill-of-supply'; defaults to the user's own
+ * @returns {Promise<{ filename: String, content: Buffer }>}
+ * @throws {HttpError} 404 when the order does not exist, 403 when the document is not the user's,
+ *   400 for an unknown document or an order that is cancelled or not yet paid
+ */
+async function getOrderDocument({ orderId, user, document }) {
+    if (!mongoose.isValidObjectId(orderId)) {
+        throw new HttpError(404, 'Order not found');
+    }
+    const order = await Order.findById(orderId)
+        .populate('buyer', 'name phone city state')
+        .populate('farmer', 'name phone location city state');
+    if (!order) {
+        throw new HttpError(404, 'Order not found');
+    }
+
+    const isBuyer = String(order.buyer?._id) === String(user._id);
+    const isFarmer = String(order.farmer?._id) === String(user._id);
+    const requested = document || (isFarmer ? 'bill-of-supply' : 'invoice');
+    if (!DOCUMENTS[requested]) {
+        throw new HttpError(400, 'Document must be invoice or bill-of-supply');
+    }
+
+    const allowed = user.role === 'ADMIN'
+        || (requested === 'invoice' && isBuyer)
+        || (requested === 'bill-of-supply' && isFarmer);
+    if (!allowed) {
+        throw new HttpError(403, 'Not authorized to download this document');
+    }
+
+    if (order.orderStatus === 'Cancelled') {
+        throw new HttpError(400, 'No invoice is issued for a cancelled order');
+    }
+    if (!isInvoiceable(order)) {
+        throw new HttpError(400, 'The invoice is issued once the order is paid');
+    }
+
+    // Orders placed before invoicing are numbered on their first download
+    await assignInvoiceNumber(order);
+
+    return {
+        filename: `${requested}-${order.invoiceNumber.replace(/\//g, '-')}.pdf`,
+        content: renderOrderDocument(order, requested)
+    };
+}
+
+module.exports = {
+    financialYear,
+    isInvoiceable,
+    assignInvoiceNumber,
+    assignInvoiceNumbers,
+    renderOrderDocument,
+    getOrderDocument,
+};
@@ -0,0 +1,162 @@
+/**
+ * @fileoverview Background Job Runner for AgriSahayak Platform
+ *
+ * Runs the platform's periodic jobs inside the backend process:
+ * - close-due-auctions: settle auctions whose end time has passed
+ * - expire-due-bids: expire accepted bids past their payment window and
+ *   stale pending bids
+ * - release-expired-reservations: free crop quantity whose hold has lapsed
+ * - cancel-unpaid-orders: cancel card/UPI orders whose payment never went
+ *   through, putting their quantity back
+ * - release-due-escrows: pay farmers for shipped orders whose dispute
+ *   window has passed
+ * - run-scheduled-payouts: pay out farmers' settled balances once per
+ *   PAYOUT_INTERVAL_HOURS window
+ * - remind-due-balances: remind buyers of order balances coming due or
+ *   overdue
+ * - nudge-idle-negotiations: remind the party who owes a reply in a quiet
+ *   negotiation
+ * - expire-idle-negotiations: close negotiations inactive for too long
+ * - close-sold-out-negotiations: close negotiations whose crop sold out
+ * - expire-negotiation-checkouts: expire accepted negotiations not checked
+ *   out within their checkout window, releasing their quantity
+ *
+ * Jobs receive the current time from the runner's clock instead of
+ * calling `new Date()` themselves, so tests can drive them with a fake
+ * clock (`createJobRunner({ clock })` + `runAll()`), or with Jest fake
+ * timers through `start()`.
+ *
+ * A job that is still running when its next tick comes round is skipped
+ * for that tick rather than run twice in parallel.
+ *
+ * @module services/jobRunner
+ * @requires services/auctionService
+ * @requires services/bidService
+ * @requires services/escrowService
+ * @requires services/inventoryService
+ * @requires services/negotiationService
+ * @requires services/paymentService
+ * @requires services/payoutService
+ */
+
+const { closeDueAuctions } = require('./auctionService');
+const { expireDueBids } = require('./bidService');
+const { releaseDueEscrows } = require('./escrowService');
+const { releaseExpiredReservations } = require('./inventoryService');
+const {
+    nudgeIdleNegotiations,
+    expireIdleNegotiations,
+    closeSoldOutNegotiations,
+    expireLapsedCheckouts
+} = require('./negotiationService');
+const { cancelUnpaidOrders, remindDueBalances } = require('./paymentService');
+const { runScheduledPayouts } = require('./payoutService');
+
+/** Default interval for background jobs. */
+const DEFAULT_JOB_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Create a job runner.
+ *
+ * @param {Object} [options]
+ * @param {Function} [options.clock=() => new Date()] - Returns the current time
+ * @param {Object} [options.logger=console] - Receives job failures
+ * @returns {Object} Runner with register, runAll, start and stop
+ */
+function createJobRunner({ clock = () => new Date(), logger = console } = {}) {
+    const jobs = [];
+    const timers = [];
+
+    const runJob = async (job) => {
+        if (job.running) {
+            return null;
+        }
+
+        job.running = true;
+        try {
+            return await job.run(clock());
+        } catch (error) {
+            logger.error(`Background job "${job.name}" failed:`, error.message);
+            return null;
+        } finally {
+            job.running = false;
+        }
+    };
+
+    return {
+        /**
+         * Add a job. `run` is called with the clock's current time.
+         *
+         * @param {String} name - Job name (used in logs and runAll results)
+         * @param {Function} run - async (now) => result
+         * @param {Number} [intervalMs=DEFAULT_JOB_INTERVAL_MS] - How often start() runs it
+         */
+        register(name, run, intervalMs = DEFAULT_JOB_INTERVAL_MS) {
+            jobs.push({ name, run, intervalMs, running: false });
+            return this;
+        },
+
+        /**
+         * Run every job once, one after another.
+         *
+         * @returns {Promise<Object>} Results keyed by job name
+         */
+        async runAll() {
+            const results = {};
+            for (const job of jobs) {
+                results[job.name] = await runJob(job);
+            }
+            return results;
+        },
+
+        /** Run each job on its own interval until stop() is called. */
+        start() {
+            for (const job of jobs) {
+                const timer = setInterval(() => {
+                    runJob(job);
+                }, job.intervalMs);
+
+                // Do not keep the process alive just for background jobs
+                if (typeof timer.unref === 'function') {
+                    timer.unref();
+                }
+
+                timers.push(timer);
+            }
+            return this;
+        },
+
+        /** Stop all intervals started by start(). */
+        stop() {
+            timers.splice(0).forEach((timer) => clearInterval(timer));
+        },
+    };
+}
+
+/**
+ * Start the platform's background jobs (called from server.js).
+ *
+ * @param {Object} [options] - Passed to createJobRunner
+ * @returns {Object} The running job runner
+ */
+function startBackgroundJobs(options) {
+    return createJobRunner(options)
+        .register('close-due-auctions', (now) => closeDueAuctions(now))
+        .register('expire-due-bids', (now) => expireDueBids(now))
+        .register('release-expired-reservations', (now) => releaseExpiredReservations(now))
+        .register('cancel-unpaid-orders', (now) => cancelUnpaidOrders(now))
+        .register('release-due-escrows', (now) => releaseDueEscrows(now))
+        .register('run-scheduled-payouts', (now) => runScheduledPayouts(now))
+        .register('remind-due-balances', (now) => remindDueBalances(now))
+        .register('nudge-idle-negotiations', (now) => nudgeIdleNegotiations(now))
+        .register('expire-idle-negotiations', (now) => expireIdleNegotiations(now))
+        .register('close-sold-out-negotiations', (now) => closeSoldOutNegotiations(now))
+        .register('expire-negotiation-checkouts', (now) => expireLapsedCheckouts(now))
+        .start();
+}
+
+module.exports = {
+    DEFAULT_JOB_INTERVAL_MS,
+    createJobRunner,
+    startBackgroundJobs,
+};
@@ -0,0 +1,480 @@
+/**
+ * @fileoverview Ledger Service for AgriSahayak Platform
+ *
+ * Records the money movements of prepaid (card/UPI) orders and farmer
+ * payouts as balanced double-entry transactions (models/LedgerTransaction):
+ *
+ * | Event                   | Debit                 | Credit                                   |
+ * | ----------------------- | --------------------- | ---------------------------------------- |
+ * | Payment captured        | gateway_clearing      | buyer_escrow                             |
+ * | Escrow released         | buyer_escrow          | farmer_payable (net) + platform_fees     |
+ * | Escrow refunded         | buyer_escrow          | gateway_clearing                         |
+ * | Payout sent             | farmer_payable        | payouts_in_transit                       |
+ * | Payout settled          | payouts_in_transit    | gateway_clearing                         |
+ * | Payout failed           | payouts_in_transit    | farmer_payable                           |
+ * | COD cash collected      | farmer_payable        | farmer_payable (net) + platform_fees     |
+ *
+ * The platform's fees on a release are the order's fee lines, buyer and
+ * farmer fees alike (see services/pricingService).
+ *
+ * Cash on delivery money never passes through the platform: the farmer
+ * (or their delivery agent) keeps the cash. Its collection is recorded
+ * as the farmer earning the order's value less fees and being paid it
+ * in cash at once, so the farmer's balance only goes down by the fees,
+ * which come off their next payout.
+ *
+ * Posting is idempotent: each event has a unique key, and posting it again
+ * is a no-op. Orders paid before the ledger existed have no capture, so
+ * their release or refund is not posted either.
+ *
+ * An order with a payment schedule (an advance and a balance) is posted
+ * per instalment: each is captured, released or refunded on its own,
+ * with its share of the order's fees.
+ *
+ * Amounts are whole paise internally; reports convert back to rupees.
+ *
+ * @module services/ledgerService
+ * @requires models/LedgerTransaction
+ * @requires services/pricingService
+ * @requires utils/httpError
+ *
+ * @see services/paymentService - Captures and refunds
+ * @see services/escrowService - Releases
+ * @see services/payoutService - Payouts
+ * @see services/codService - Cash on delivery collections
+ */
+
+const mongoose = require('mongoose');
+const LedgerTransaction = require('../models/LedgerTransaction');
+const { orderPlatformFees } = require('./pricingService');
+const { HttpError } = require('../utils/httpError');
+
+/** Statements and reports cover the last 30 days unless asked otherwise. */
+const DEFAULT_PERIOD_MS = 30 * 24 * 60 * 60 * 1000;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+const toPaise = (rupees) => Math.round(Number(rupees || 0) * 100);
+const toRupees = (paise) => Math.round(paise) / 100;
+
+const orderRef = (order) => String(order._id).slice(-8).toUpperCase();
+
+const debit = (account, amount, farmer) => ({ account, farmer, debit: amount, credit: 0 });
+const credit = (account, amount, farmer) => ({ account, farmer, debit: 0, credit: amount });
+
+/**
+ * Post a transaction once. A transaction with the same key already posted
+ * is left as it is.
+ *
+ * @returns {Promise<Object|null>} The new transaction, or null if it was already posted
+ */
+async function post({ lines, ...fields }) {
+    try {
+        return await LedgerTransaction.create({
+            ...fields,
+            // A zero line carries no information (e.g. a 0% fee)
+            lines: lines.filter((line) => line.debit > 0 || line.credit > 0)
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            return null;
+        }
+        throw error;
+    }
+}
+
+/**
+ * The separately paid parts of an order: its instalments when it has a
+ * payment schedule, otherwise the whole order (null). Each part has its
+ * own capture, release and refund.
+ */
+const paymentParts = (order) => ((order.paymentSchedule || []).length > 0 ? order.paymentSchedule : [null]);
+
+const eventKey = (type, order, instalment) => (instalment ? `${type}:${order._id}:${instalment._id}` : `${type}:${order._id}`);
+
+const partAmount = (order, instalment) => toPaise(instalment ? instalment.amount : order.totalAmount);
+
+const isCaptured = (order, instalment) => LedgerTransaction.exists({ key: eventKey('capture', order, instalment) });
+
+/**
+ * The platform's fees on each part of an order, in paise. An instalment
+ * carries its share of the fees; the last one takes the rounding.
+ */
+function partFees(order) {
+    const total = toPaise(order.totalAmount);
+    const fees = Math.min(toPaise(orderPlatformFees(order)), total);
+    const parts = paymentParts(order);
+
+    let remaining = fees;
+    return parts.map((instalment, index) => {
+        const share = index === parts.length - 1 || !total
+            ? remaining
+            : Math.round(fees * partAmount(order, instalment) / total);
+        remaining -= share;
+        return share;
+    });
+}
+
+/** 'Order X', or 'Advance for order X' / 'Balance for order X' for an instalment. */
+const partName = (order, instalment) => (instalment
+    ? `${instalment.kind === 'advance' ? 'Advance' : 'Balance'} for order ${orderRef(order)}`
+    : `Order ${orderRef(order)}`);
+
+/**
+ * Record a prepaid order's payment, or one instalment of it, being
+ * captured into escrow.
+ *
+ * @async
+ * @param {Object} order - Order document, paid
+ * @param {Date} [postedAt=new Date()]
+ * @param {Object} [instalment] - The instalment paid, for an order with a payment schedule
+ * @returns {Promise<Object|null>}
+ */
+async function recordCapture(order, postedAt = new Date(), instalment = null) {
+    const amount = partAmount(order, instalment);
+    return post({
+        key: eventKey('capture', order, instalment),
+        type: 'capture',
+        order: order._id,
+        farmer: order.farmer,
+        description: instalment ? `${partName(order, instalment)} paid` : `Payment for order ${orderRef(order)}`,
+        postedAt,
+        lines: [debit('gateway_clearing', amount), credit('buyer_escrow', amount, order.farmer)]
+    });
+}
+
+/**
+ * Record an order's escrow being released to its farmer, less the
+ * order's fees. Every captured instalment is released; one paid after
+ * the release is released by calling this again.
+ *
+ * @async
+ * @param {Object} order - Order document, released
+ * @param {Date} [postedAt=new Date()]
+ * @returns {Promise<Object|null>} The last transaction posted, or null if none was
+ */
+async function recordEscrowRelease(order, postedAt = new Date()) {
+    const fees = partFees(order);
+    let posted = null;
+
+    for (const [index, instalment] of paymentParts(order).entries()) {
+        if (instalment?.status === 'refunded' || !(await isCaptured(order, instalment))) {
+            continue;
+        }
+
+        const amount = partAmount(order, instalment);
+        const fee = Math.min(fees[index], amount);
+        posted = await post({
+            key: eventKey('release', order, instalment),
+            type: 'release',
+            order: order._id,
+            farmer: order.farmer,
+            description: `${partName(order, instalment)} released to farmer`,
+            postedAt,
+            lines: [
+                debit('buyer_escrow', amount, order.farmer),
+                credit('farmer_payable', amount - fee, order.farmer),
+                credit('platform_fees', fee, order.farmer)
+            ]
+        }) || posted;
+    }
+    return posted;
+}
+
+/**
+ * Record an order's escrowed payment, every captured instalment of it,
+ * being refunded to the buyer.
+ *
+ * @async
+ * @param {Object} order - Order document, refunded
+ * @param {Date} [postedAt=new Date()]
+ * @returns {Promise<Object|null>} The last transaction posted, or null if none was
+ */
+async function recordRefund(order, postedAt = new Date()) {
+    let posted = null;
+
+    for (const instalment of paymentParts(order)) {
+        if (!(await isCaptured(order, instalment))) {
+            continue;
+        }
+
+        const amount = partAmount(order, instalment);
+        posted = await post({
+            key: eventKey('refund', order, instalment),
+            type: 'refund',
+            order: order._id,
+            farmer: order.farmer,
+            description: `${partName(order, instalment)} refunded to buyer`,
+            postedAt,
+            lines: [debit('buyer_escrow', amount, order.farmer), credit('gateway_clearing', amount)]
+        }) || posted;
+    }
+    return posted;
+}
+
+/**
+ * Record the cash for a cash on delivery order being collected by its
+ * farmer: they keep the amount collected and owe the order's fees.
+ *
+ * @async
+ * @param {Object} order - Order document, paid in cash
+ * @param {Date} [postedAt=new Date()]
+ * @returns {Promise<Object|null>}
+ */
+async function recordCodCollection(order, postedAt = new Date()) {
+    const amount = toPaise(order.codCollection.amount);
+    const fee = Math.min(toPaise(orderPlatformFees(order)), amount);
+    return post({
+        key: `cod_collection:${order._id}`,
+        type: 'cod_collection',
+        order: order._id,
+        farmer: order.farmer,
+        description: `Cash collected for order ${orderRef(order)}`,
+        postedAt,
+        lines: [
+            debit('farmer_payable', amount, order.farmer),
+            credit('farmer_payable', amount - fee, order.farmer),
+            credit('platform_fees', fee, order.farmer)
+        ]
+    });
+}
+
+/**
+ * Record a payout to a farmer. `stage` is 'sent' (the balance leaves
+ * farmer_payable), 'settled' or 'failed' (the balance is owed again).
+ *
+ * @async
+ * @param {Object} payout - Payout document (amount in paise)
+ * @param {String} stage - 'sent' | 'settled' | 'failed'
+ * @param {Date} [postedAt=new Date()]
+ * @returns {Promise<Object|null>}
+ */
+async function recordPayout(payout, stage, postedAt = new Date()) {
+    const entries = {
+        sent: {
+            type: 'payout',
+            description: 'Payout to bank',
+            lines: [debit('farmer_payable', payout.amount, payout.farmer), credit('payouts_in_transit', payout.amount, payout.farmer)]
+        },
+        settled: {
+            type: 'payout_settled',
+            description: 'Payout settled',
+            lines: [debit('payouts_in_transit', payout.amount, payout.farmer), credit('gateway_clearing', payout.amount)]
+        },
+        failed: {
+            type: 'payout_failed',
+            description: `Payout failed${payout.failureReason ? `: ${payout.failureReason}` : ''}; amount returned to balance`,
+            lines: [debit('payouts_in_transit', payout.amount, payout.farmer), credit('farmer_payable', payout.amount, payout.farmer)]
+        }
+    }[stage];
+
+    return post({
+        key: `${entries.type}:${payout._id}`,
+        farmer: payout.farmer,
+        payout: payout._id,
+        postedAt,
+        ...entries
+    });
+}
+
+/**
+ * What the platform owes each farmer, from their farmer_payable lines.
+ *
+ * @async
+ * @param {Date} [asOf=new Date()] - Only transactions posted up to this time
+ * @returns {Promise<Array<{ farmer: ObjectId, balance: Number }>>} Balances in paise, positive ones only
+ */
+async function farmerPayableBalances(asOf = new Date()) {
+    const rows = await LedgerTransaction.aggregate([
+        { $match: { postedAt: { $lte: asOf }, 'lines.account': 'farmer_payable' } },
+        { $unwind: '$lines' },
+        { $match: { 'lines.account': 'farmer_payable' } },
+        { $group: { _id: '$lines.farmer', balance: { $sum: { $subtract: ['$lines.credit', '$lines.debit'] } } } },
+        { $match: { balance: { $gt: 0 } } }
+    ]);
+    return rows.map((row) => ({ farmer: row._id, balance: row.balance }));
+}
+
+/** Net of an account's lines for one farmer (credits minus debits), in paise. */
+async function farmerAccountBalance(farmerId, account, match = {}) {
+    const [row] = await LedgerTransaction.aggregate([
+        { $match: { ...match, 'lines.account': account } },
+        { $unwind: '$lines' },
+        { $match: { 'lines.account': account, 'lines.farmer': new mongoose.Types.ObjectId(String(farmerId)) } },
+        { $group: { _id: null, balance: { $sum: { $subtract: ['$lines.credit', '$lines.debit'] } } } }
+    ]);
+    return row ? row.balance : 0;
+}
+
+/**
+ * Platform fees earned to date, in rupees.
+ *
+ * @async
+ * @returns {Promise<Number>}
+ */
+async function platformFeeIncome() {
+    const [row] = await LedgerTransaction.aggregate([
+        { $match: { 'lines.account': 'platform_fees' } },
+        { $unwind: '$lines' },
+        { $match: { 'lines.account': 'platform_fees' } },
+        { $group: { _id: null, fees: { $sum: { $subtract: ['$lines.credit', '$lines.debit'] } } } }
+    ]);
+    return row ? toRupees(row.fees) : 0;
+}
+
+/**
+ * Turn `from` / `to` query values into a reporting period. A date
+ * without a time covers that whole day (UTC).
+ *
+ * @param {Object} query - { from?, to? } as ISO dates
+ * @param {Date} [now=new Date()]
+ * @returns {{ from: Date, to: Date }}
+ * @throws {HttpError} 400 for an invalid date or a period that ends before it starts
+ */
+function parsePeriod({ from, to } = {}, now = new Date()) {
+    const end = to ? new Date(to) : now;
+    if (to && DATE_ONLY.test(to)) {
+        end.setUTCHours(23, 59, 59, 999);
+    }
+    const start = from ? new Date(from) : new Date(end.getTime() - DEFAULT_PERIOD_MS);
+
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+        throw new HttpError(400, 'from and to must be dates (YYYY-MM-DD)');
+    }
+    if (start > end) {
+        throw new HttpError(400, 'from must be before to');
+    }
+    return { from: start, to: end };
+}
+
+/**
+ * A farmer's settlement statement for a period: every release, cash on
+ * delivery collection, payout and failed payout with the running balance
+ * owed to the farmer. Cash collected counts as earned (less fees) and as
+ * paid out.
+ *
+ * @async
+ * @param {Object} params
+ * @param {String} params.farmerId
+ * @param {Date} params.from - Start of the period (inclusive)
+ * @param {Date} params.to - End of the period (inclusive)
+ * @returns {Promise<Object>} { from, to, openingBalance, closingBalance, inEscrow, totals, entries } in rupees
+ */
+async function getFarmerStatement({ farmerId, from, to }) {
+    const farmer = new mongoose.Types.ObjectId(String(farmerId));
+
+    const [openingBalance, inEscrow, transactions] = await Promise.all([
+        farmerAccountBalance(farmer, 'farmer_payable', { postedAt: { $lt: from } }),
+        farmerAccountBalance(farmer, 'buyer_escrow', { postedAt: { $lte: to } }),
+        LedgerTransaction.find({
+            farmer,
+            type: { $in: ['release', 'cod_collection', 'payout', 'payout_failed'] },
+            postedAt: { $gte: from, $lte: to }
+        }).sort({ postedAt: 1, createdAt: 1 })
+    ]);
+
+    const lineTotal = (transaction, account, side) => transaction.lines
+        .filter((line) => line.account === account)
+        .reduce((sum, line) => sum + line[side], 0);
+
+    const totals = { gross: 0, fees: 0, earned: 0, paidOut: 0 };
+    let balance = openingBalance;
+    const entries = transactions.map((transaction) => {
+        const isCod = transaction.type === 'cod_collection';
+        // Cash collected shows as the gross: the farmer's debit is the cash they keep
+        const gross = lineTotal(transaction, isCod ? 'farmer_payable' : 'buyer_escrow', 'debit');
+        const fee = lineTotal(transaction, 'platform_fees', 'credit');
+        const credited = lineTotal(transaction, 'farmer_payable', 'credit');
+        const debited = lineTotal(transaction, 'farmer_payable', 'debit');
+        const amount = credited - debited;
+
+        balance += amount;
+        totals.gross += gross;
+        totals.fees += fee;
+        if (transaction.type === 'release') {
+            totals.earned += amount;
+        } else if (isCod) {
+            totals.earned += credited;
+            totals.paidOut += debited;
+        } else {
+            totals.paidOut -= amount;
+        }
+
+        return {
+            date: transaction.postedAt,
+            type: transaction.type,
+            description: transaction.description,
+            order: transaction.order,
+            payout: transaction.payout,
+            gross: toRupees(gross),
+            fee: toRupees(fee),
+            amount: toRupees(amount),
+            balance: toRupees(balance)
+        };
+    });
+
+    return {
+        from,
+        to,
+        openingBalance: toRupees(openingBalance),
+        closingBalance: toRupees(balance),
+        // Captured for the farmer's orders but not yet released or refunded
+        inEscrow: toRupees(inEscrow),
+        totals: {
+            gross: toRupees(totals.gross),
+            fees: toRupees(totals.fees),
+            earned: toRupees(totals.earned),
+            paidOut: toRupees(totals.paidOut)
+        },
+        entries
+    };
+}
+
+/**
+ * Account balances over a period, for finance. Every transaction
+ * balances, so total debits always equal total credits.
+ *
+ * @async
+ * @param {Object} params
+ * @param {Date} params.from
+ * @param {Date} params.to
+ * @returns {Promise<Object>} { from, to, accounts: [{ account, debits, credits, net }], totals, balanced } in rupees
+ */
+async function getTrialBalance({ from, to }) {
+    const rows = await LedgerTransaction.aggregate([
+        { $match: { postedAt: { $gte: from, $lte: to } } },
+        { $unwind: '$lines' },
+        { $group: { _id: '$lines.account', debits: { $sum: '$lines.debit' }, credits: { $sum: '$lines.credit' } } },
+        { $sort: { _id: 1 } }
+    ]);
+
+    const debits = rows.reduce((sum, row) => sum + row.debits, 0);
+    const credits = rows.reduce((sum, row) => sum + row.credits, 0);
+
+    return {
+        from,
+        to,
+        accounts: rows.map((row) => ({
+            account: row._id,
+            debits: toRupees(row.debits),
+            credits: toRupees(row.credits),
+            net: toRupees(row.credits - row.debits)
+        })),
+        totals: { debits: toRupees(debits), credits: toRupees(credits) },
+        balanced: debits === credits
+    };
+}
+
+module.exports = {
+    toPaise,
+    toRupees,
+    recordCapture,
+    recordEscrowRelease,
+    recordRefund,
+    recordCodCollection,
+    recordPayout,
+    farmerPayableBalances,
+    platformFeeIncome,
+    parsePeriod,
+    getFarmerStatement,
+    getTrialBalance,
+};
@@ -0,0 +1,980 @@
+/**
+ * @fileoverview Negotiation Service for AgriSahayak Platform
+ *
+ * The offer protocol behind the negotiation endpoints. Offers are the
+ * 'offer' messages of a negotiation thread, each with its own id (the
+ * message _id), price, quantity and validity (validUntil).
+ *
+ * Rules:
+ * - Either party can make an offer; it becomes the one 'live' offer and
+ *   every earlier offer is marked 'superseded'
+ * - Besides price and quantity an offer carries deal terms (delivery date
+ *   and place, grade, payment terms). Terms it leaves out are carried over
+ *   from the previous offer, and its `changes` list what it changed
+ *   from that offer
+ * - Either party can accept the other side's live offer, until it expires.
+ *   Its price, quantity and terms become the negotiation's finalPrice,
+ *   quantity and terms, and the quantity is reserved for the buyer for the checkout
+ *   window (see services/inventoryService)
+ * - Nobody can accept their own offer, an expired one, or one a newer
+ *   offer has replaced
+ * - An accepted negotiation is a single-use checkout entitlement: only its
+ *   buyer, for its crop and agreed quantity, before checkoutExpiresAt.
+ *   The order claims it (services/orderService) and the negotiation
+ *   becomes 'completed'
+ *
+ * Negotiations also close on their own (run by services/jobRunner), and
+ * each automatic close is recorded in the thread as a 'system' message:
+ * - after NEGOTIATION_NUDGE_AFTER_MS without activity the party who owes a
+ *   reply is nudged, once per quiet spell
+ * - after NEGOTIATION_INACTIVITY_MS without activity it becomes 'expired'
+ * - when its crop sells out it is 'cancelled'
+ * - when an accepted deal is not checked out in time it becomes 'expired'
+ *   and its reservation is released
+ *
+ * Each side's inbox (listNegotiations) counts the messages the other side
+ * sent after that side last read the thread (buyerLastReadAt /
+ * farmerLastReadAt, set by markNegotiationRead and by posting).
+ *
+ * @module services/negotiationService
+ * @requires models/Crop
+ * @requires models/Negotiation
+ * @requires models/User
+ * @requires services/auctionService
+ * @requires services/inventoryService
+ * @requires utils/httpError
+ * @requires utils/notificationEmitter
+ *
+ * @see Epic 4, Story 4.4 - Negotiate Price
+ * @see Epic 4, Story 4.5 - Accept Negotiation
+ */
+
+const mongoose = require('mongoose');
+const Crop = require('../models/Crop');
+const Negotiation = require('../models/Negotiation');
+const User = require('../models/User');
+const { BID_PAYMENT_WINDOW_MS } = require('./auctionService');
+const { getAvailableQuantity, reserveQuantity, releaseReservation } = require('./inventoryService');
+const { HttpError } = require('../utils/httpError');
+const { createNotification } = require('../utils/notificationEmitter');
+
+/** Upper bound per quintal, same as for bids. */
+const MAX_OFFER_AMOUNT = 10000;
+
+/** How long an offer stays open when the sender does not say. */
+const OFFER_VALIDITY_MS = Number(process.env.NEGOTIATION_OFFER_TTL_HOURS || 24) * 60 * 60 * 1000;
+
+/** Longest validity an offer may ask for. */
+const MAX_OFFER_VALIDITY_MS = 7 * 24 * 60 * 60 * 1000;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/** An active negotiation with no activity for this long is closed as 'expired'. */
+const NEGOTIATION_INACTIVITY_MS = Number(process.env.NEGOTIATION_INACTIVITY_HOURS || 72) * HOUR_MS;
+
+/** After this long without activity the party who owes a reply is nudged. */
+const NEGOTIATION_NUDGE_AFTER_MS = Number(process.env.NEGOTIATION_NUDGE_HOURS || 48) * HOUR_MS;
+
+/** Deal terms an offer can carry besides price and quantity. */
+const TERM_FIELDS = ['deliveryDate', 'deliveryPlace', 'grade', 'paymentTerms'];
+
+const GRADES = ['A', 'B', 'C'];
+
+const PAYMENT_TERMS = ['prepaid', 'cod'];
+
+/** Largest page listNegotiations returns. */
+const MAX_PAGE_SIZE = 50;
+
+const OBJECT_ID_PATTERN = /^[a-f\d]{24}$/i;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Populate a negotiation query the way the negotiation endpoints return it.
+ */
+const populateNegotiation = (query) => query
+    .populate('buyer', 'name phone location')
+    .populate('farmer', 'name phone location')
+    .populate('crop', 'name price quantity quality image');
+
+/** The field holding when a participant ('buyer' | 'farmer') last read the thread. */
+const lastReadField = (role) => (role === 'farmer' ? 'farmerLastReadAt' : 'buyerLastReadAt');
+
+/** 'buyer' or 'farmer' for a participant, null for anyone else. */
+function getNegotiationRole(negotiation, userId) {
+    const id = String(userId);
+    if (String(negotiation.buyer?._id || negotiation.buyer) === id) return 'buyer';
+    if (String(negotiation.farmer?._id || negotiation.farmer) === id) return 'farmer';
+    return null;
+}
+
+/**
+ * The offer that can still be accepted: the latest offer in the thread,
+ * if nothing has superseded or accepted it.
+ *
+ * @param {Object} negotiation - Negotiation document
+ * @returns {Object|null} The live offer message
+ */
+function getLiveOffer(negotiation) {
+    const latest = [...negotiation.messages].reverse().find((m) => m.type === 'offer');
+    return latest && latest.offerStatus === 'live' ? latest : null;
+}
+
+/**
+ * The terms set on an offer or negotiation, as a plain object.
+ *
+ * @param {Object} [terms] - Terms subdocument
+ * @returns {Object} Only the terms that are set
+ */
+function plainTerms(terms) {
+    const plain = {};
+    for (const field of TERM_FIELDS) {
+        if (terms && terms[field] !== undefined && terms[field] !== null) {
+            plain[field] = terms[field];
+        }
+    }
+    return plain;
+}
+
+/**
+ * Validate the terms an offer sets on top of the previous offer's. A term
+ * given as null or '' is dropped; one left out is carried over.
+ *
+ * @param {Object} [input] - { deliveryDate?, deliveryPlace?, grade?, paymentTerms? }
+ * @param {Object} [previous] - The previous offer's terms
+ * @param {Date} now
+ * @returns {Object} The offer's terms
+ * @throws {HttpError} 400 for an invalid term
+ */
+function buildTerms(input, previous, now) {
+    if (input !== undefined && input !== null && (typeof input !== 'object' || Array.isArray(input))) {
+        throw new HttpError(400, 'Terms must be an object');
+    }
+
+    const terms = plainTerms(previous);
+    for (const field of TERM_FIELDS) {
+        if (!input || !Object.prototype.hasOwnProperty.call(input, field)) continue;
+        const value = input[field];
+        if (value === null || value === '') {
+            delete terms[field];
+            continue;
+        }
+
+        if (field === 'deliveryDate') {
+            const date = new Date(value);
+            if (Number.isNaN(date.getTime()) || date <= now) {
+                throw new HttpError(400, 'Delivery date must be in the future');
+            }
+            terms.deliveryDate = date;
+        } else if (field === 'deliveryPlace') {
+            const place = String(value).trim();
+            if (!place || place.length > 200) {
+                throw new HttpError(400, 'Delivery place must be 1 to 200 characters');
+            }
+            terms.deliveryPlace = place;
+        } else if (field === 'grade') {
+            if (!GRADES.includes(value)) {
+                throw new HttpError(400, `Grade must be one of: ${GRADES.join(', ')}`);
+            }
+            terms.grade = value;
+        } else if (!PAYMENT_TERMS.includes(value)) {
+            throw new HttpError(400, `Payment terms must be one of: ${PAYMENT_TERMS.join(', ')}`);
+        } else {
+            terms.paymentTerms = value;
+        }
+    }
+    return terms;
+}
+
+/**
+ * How an offer differs from the previous one: its price, quantity and
+ * each term, as { field, from, to }.
+ *
+ * @param {Object|null} previous - Previous offer message
+ * @param {Object} offer - { offerAmount, quantity, terms }
+ * @returns {Array<Object>} Empty for the first offer
+ */
+function diffOffers(previous, offer) {
+    if (!previous) {
+        return [];
+    }
+
+    const before = { offerAmount: previous.offerAmount, quantity: previous.quantity, ...plainTerms(previous.terms) };
+    const after = { offerAmount: offer.offerAmount, quantity: offer.quantity, ...plainTerms(offer.terms) };
+    const comparable = (value) => (value instanceof Date ? value.getTime() : value);
+
+    return ['offerAmount', 'quantity', ...TERM_FIELDS]
+        .filter((field) => comparable(before[field]) !== comparable(after[field]))
+        .map((field) => ({ field, from: before[field] ?? null, to: after[field] ?? null }));
+}
+
+/**
+ * Validate an offer and build its thread message.
+ *
+ * @param {Object} params
+ * @param {String} params.sender - User making the offer
+ * @param {Number} params.amount - ₹/quintal
+ * @param {Number} [params.quantity] - Quintals (default: defaultQuantity)
+ * @param {Date|String} [params.validUntil] - Default: OFFER_VALIDITY_MS from now
+ * @param {String} [params.message] - Text shown with the offer
+ * @param {Object} [params.terms] - Deal terms (see buildTerms)
+ * @param {Object} [params.previous] - The previous offer, for carried-over terms and changes
+ * @param {Number} params.available - Quintals the crop still has unreserved
+ * @param {Number} [params.defaultQuantity] - Quantity when none is given
+ * @param {Date} [params.now]
+ * @returns {Object} The offer message
+ * @throws {HttpError} 400 for an invalid amount, quantity, validity or term
+ */
+function buildOffer({ sender, amount, quantity, validUntil, message, terms, previous = null, available, defaultQuantity, now = new Date() }) {
+    const price = Number(amount);
+    if (!Number.isFinite(price) || price <= 0 || price > MAX_OFFER_AMOUNT) {
+        throw new HttpError(400, `Offer must be between ₹1 and ₹${MAX_OFFER_AMOUNT} per quintal`);
+    }
+
+    const offerQuantity = quantity === undefined || quantity === null || quantity === ''
+        ? Number(defaultQuantity || available)
+        : Number(quantity);
+    if (!Number.isFinite(offerQuantity) || offerQuantity <= 0 || offerQuantity > available) {
+        throw new HttpError(400, `Quantity must be between 1 and ${available} quintal(s)`);
+    }
+
+    const expiry = validUntil ? new Date(validUntil) : new Date(now.getTime() + OFFER_VALIDITY_MS);
+    if (Number.isNaN(expiry.getTime()) || expiry <= now || expiry - now > MAX_OFFER_VALIDITY_MS) {
+        throw new HttpError(400, 'Offers must be valid for up to 7 days from now');
+    }
+
+    const offer = {
+        sender,
+        content: message || `Offer: ₹${price}/quintal for ${offerQuantity} quintal(s)`,
+        type: 'offer',
+        offerAmount: price,
+        quantity: offerQuantity,
+        validUntil: expiry,
+        terms: buildTerms(terms, previous?.terms, now),
+        offerStatus: 'live'
+    };
+    offer.changes = diffOffers(previous, offer);
+    return offer;
+}
+
+/**
+ * Post a text message or an offer to an active negotiation and tell the
+ * other party. An offer supersedes every earlier offer.
+ *
+ * @async
+ * @param {Object} params
+ * @param {String} params.negotiationId
+ * @param {Object} params.user - Sender (req.user)
+ * @param {String} [params.message] - Text
+ * @param {Number} [params.amount] - ₹/quintal; makes the message an offer
+ * @param {Number} [params.quantity] - Offer quantity (default: the negotiation's)
+ * @param {Date|String} [params.validUntil] - Offer validity
+ * @param {Object} [params.terms] - Offer terms; those left out are carried over
+ * @param {Boolean} [params.automated=false] - Sent by the farmer's negotiation rules
+ *   (the farmer has not read the thread, so their read marker stays put)
+ * @returns {Promise<Object>} The updated negotiation
+ * @throws {HttpError} 400 | 403 | 404
+ */
+async function postNegotiationMessage({ negotiationId, user, message, amount, quantity, validUntil, terms, automated = false }) {
+    const negotiation = await Negotiation.findById(negotiationId);
+    if (!negotiation) {
+        throw new HttpError(404, 'Negotiation not found');
+    }
+
+    const role = getNegotiationRole(negotiation, user.id);
+    if (!role) {
+        throw new HttpError(403, 'You are not part of this negotiation');
+    }
+
+    if (negotiation.status !== 'active') {
+        throw new HttpError(400, 'This negotiation is no longer active');
+    }
+
+    const crop = await Crop.findById(negotiation.crop).select('name quantity reservedQuantity isSold');
+    const isOffer = amount !== undefined && amount !== null && amount !== '';
+
+    let posted;
+    if (isOffer) {
+        posted = buildOffer({
+            sender: user.id,
+            amount,
+            quantity,
+            validUntil,
+            message,
+            terms,
+            previous: [...negotiation.messages].reverse().find((m) => m.type === 'offer') || null,
+            available: crop ? getAvailableQuantity(crop) : 0,
+            defaultQuantity: negotiation.quantity
+        });
+    } else {
+        if (!message || !String(message).trim()) {
+            throw new HttpError(400, 'Message or offer amount is required');
+        }
+        posted = { sender: user.id, content: message, type: 'text' };
+    }
+    posted._id = new mongoose.Types.ObjectId();
+    posted.timestamp = new Date();
+    if (automated) {
+        posted.automated = true;
+    }
+
+    const seen = { lastActivity: posted.timestamp };
+    if (!automated) {
+        seen[lastReadField(role)] = posted.timestamp;
+    }
+
+    const updated = await Negotiation.findOneAndUpdate(
+        { _id: negotiation._id, status: 'active' },
+        {
+            $push: { messages: posted },
+            $set: seen
+        },
+        { new: true }
+    );
+    if (!updated) {
+        throw new HttpError(400, 'This negotiation is no longer active');
+    }
+
+    if (isOffer) {
+        await Negotiation.updateOne(
+            { _id: negotiation._id },
+            { $set: { 'messages.$[earlier].offerStatus': 'superseded' } },
+            { arrayFilters: [{ 'earlier.type': 'offer', 'earlier._id': { $ne: posted._id }, 'earlier.offerStatus': { $in: ['live', null] } }] }
+        );
+    }
+
+    const isBuyerSender = role === 'buyer';
+    const senderLabel = user.name || (isBuyerSender ? 'Buyer' : 'Farmer');
+    const offerText = isOffer ? ` with offer ₹${posted.offerAmount}/quintal for ${posted.quantity} quintal(s).` : '.';
+
+    await createNotification({
+        userId: isBuyerSender ? negotiation.farmer : negotiation.buyer,
+        role: isBuyerSender ? 'FARMER' : 'BUYER',
+        title: 'New Negotiation Message',
+        message: isBuyerSender
+            ? `${senderLabel} sent a negotiation message for ${crop?.name || 'your crop'}${offerText}`
+            : `Farmer ${senderLabel} replied in negotiation for ${crop?.name || 'crop'}${offerText}`,
+        type: 'message',
+    });
+
+    return Negotiation.findById(negotiation._id);
+}
+
+/**
+ * Accept the other party's live offer.
+ *
+ * Reserves the offer's quantity for the buyer for the usual checkout
+ * window before the negotiation is marked accepted.
+ *
+ * @async
+ * @param {Object} params
+ * @param {String} params.negotiationId
+ * @param {Object} params.user - Accepting party (req.user)
+ * @param {String} [params.offerId] - The offer being accepted (default: the live offer)
+ * @param {Date} [params.now]
+ * @returns {Promise<Object>} The accepted negotiation
+ * @throws {HttpError} 400 - Not active, own offer, expired, or quantity gone
+ * @throws {HttpError} 403 - Not a participant
+ * @throws {HttpError} 404 - Negotiation or offer not found
+ * @throws {HttpError} 409 - The offer was superseded or a newer one arrived meanwhile
+ */
+async function acceptOffer({ negotiationId, user, offerId, now = new Date() }) {
+    const negotiation = await Negotiation.findById(negotiationId);
+    if (!negotiation) {
+        throw new HttpError(404, 'Negotiation not found');
+    }
+
+    const role = getNegotiationRole(negotiation, user.id);
+    if (!role) {
+        throw new HttpError(403, 'You are not part of this negotiation');
+    }
+
+    if (negotiation.status !== 'active') {
+        throw new HttpError(400, 'This negotiation is no longer active');
+    }
+
+    const live = getLiveOffer(negotiation);
+    const offer = offerId
+        ? negotiation.messages.find((m) => m.type === 'offer' && String(m._id) === String(offerId))
+        : live;
+
+    if (!offer) {
+        throw offerId
+            ? new HttpError(404, 'Offer not found')
+            : new HttpError(400, 'There is no open offer to accept');
+    }
+    if (offer !== live) {
+        throw new HttpError(409, 'This offer has been replaced by a newer one');
+    }
+    if (String(offer.sender) === String(user.id)) {
+        throw new HttpError(400, 'You cannot accept your own offer');
+    }
+    if (offer.validUntil && offer.validUntil <= now) {
+        throw new HttpError(400, 'This offer has expired');
+    }
+
+    const crop = await Crop.findById(negotiation.crop).select('name quantity reservedQuantity');
+    const quantity = offer.quantity || negotiation.quantity || (crop ? getAvailableQuantity(crop) : 0);
+
+    // Hold the agreed quintals for the buyer for the usual checkout window
+    const checkoutExpiresAt = new Date(now.getTime() + BID_PAYMENT_WINDOW_MS);
+    await reserveQuantity(negotiation.crop, {
+        source: 'negotiation',
+        quantity,
+        negotiation: negotiation._id,
+        buyer: negotiation.buyer,
+        expiresAt: checkoutExpiresAt
+    });
+
+    const accepted = await Negotiation.findOneAndUpdate(
+        {
+            _id: negotiation._id,
+            status: 'active',
+            // No newer offer arrived since it was read
+            $nor: [{ messages: { $elemMatch: { type: 'offer', _id: { $ne: offer._id }, offerStatus: 'live' } } }]
+        },
+        {
+            $set: {
+                'messages.$[offer].offerStatus': 'accepted',
+                status: 'accepted',
+                finalPrice: offer.offerAmount,
+                quantity,
+                terms: plainTerms(offer.terms),
+                acceptedOffer: offer._id,
+                acceptedBy: user.id,
+                checkoutExpiresAt,
+                lastActivity: now
+            }
+        },
+        { new: true, arrayFilters: [{ 'offer._id': offer._id }] }
+    );
+
+    if (!accepted) {
+        await releaseReservation(negotiation.crop, { negotiation: negotiation._id });
+        const current = await Negotiation.findById(negotiation._id).select('status');
+        throw current && current.status === 'active'
+            ? new HttpError(409, 'This offer has been replaced by a newer one')
+            : new HttpError(400, 'This negotiation is no longer active');
+    }
+
+    const offerByBuyer = String(offer.sender) === String(negotiation.buyer);
+    await createNotification({
+        userId: offer.sender,
+        role: offerByBuyer ? 'BUYER' : 'FARMER',
+        title: 'Offer Accepted',
+        message: `${user.name || (offerByBuyer ? 'The farmer' : 'The buyer')} accepted your offer of ₹${offer.offerAmount}/quintal for ${quantity} quintal(s) of ${crop?.name || 'the crop'}.`,
+        type: 'message',
+    });
+
+    return accepted;
+}
+
+/**
+ * Messages in a thread that the participant has not read: those sent by
+ * anyone else after their last read.
+ *
+ * @param {Object} negotiation - Negotiation document
+ * @param {('buyer'|'farmer')} role - Participant
+ * @param {String} userId - The participant's user id
+ * @returns {Number}
+ */
+function countUnread(negotiation, role, userId) {
+    const readAt = negotiation[lastReadField(role)];
+    return negotiation.messages.filter((m) => String(m.sender?._id || m.sender) !== String(userId)
+        && (!readAt || m.timestamp > readAt)).length;
+}
+
+/**
+ * Unread messages, and threads with any, across all of a participant's negotiations.
+ */
+async function countUnreadTotals(userId, role) {
+    const [totals] = await Negotiation.aggregate([
+        { $match: { [role]: userId } },
+        {
+            $project: {
+                unread: {
+                    $size: {
+                        $filter: {
+                            input: '$messages',
+                            as: 'm',
+                            cond: {
+                                $and: [
+                                    { $ne: ['$$m.sender', userId] },
+                                    { $gt: ['$$m.timestamp', { $ifNull: [`$${lastReadField(role)}`, new Date(0)] }] }
+                                ]
+                            }
+                        }
+                    }
+                }
+            }
+        },
+        {
+            $group: {
+                _id: null,
+                messages: { $sum: '$unread' },
+                threads: { $sum: { $cond: [{ $gt: ['$unread', 0] }, 1, 0] } }
+            }
+        }
+    ]);
+
+    return { messages: totals?.messages || 0, threads: totals?.threads || 0 };
+}
+
+/**
+ * List the negotiations a user takes part in, newest activity first.
+ *
+ * @async
+ * @param {Object} params
+ * @param {Object} params.user - req.user
+ * @param {('buyer'|'farmer')} [params.role] - Which side's negotiations (default: from the user's role)
+ * @param {String} [params.status] - One status, or several comma-separated
+ * @param {String} [params.crop] - Crop id
+ * @param {String} [params.counterparty] - The other party's user id, or part of their name
+ * @param {Number} [params.page=1]
+ * @param {Number} [params.limit=20] - At most MAX_PAGE_SIZE
+ * @returns {Promise<Object>} { negotiations (each with role and unreadCount), page, limit, total, totalPages, unread: { messages, threads } }
+ * @throws {HttpError} 400 for an unknown role or status, or an invalid crop id
+ */
+async function listNegotiations({ user, role, status, crop, counterparty, page, limit }) {
+    const side = role || (user.role === 'FARMER' ? 'farmer' : 'buyer');
+    if (!['buyer', 'farmer'].includes(side)) {
+        throw new HttpError(400, "Role must be 'buyer' or 'farmer'");
+    }
+
+    const filter = { [side]: user._id };
+
+    if (status) {
+        const statuses = String(status).split(',').map((value) => value.trim());
+        const known = Negotiation.schema.path('status').enumValues;
+        const unknown = statuses.find((value) => !known.includes(value));
+        if (unknown) {
+            throw new HttpError(400, `Unknown negotiation status: ${unknown}`);
+        }
+        filter.status = { $in: statuses };
+    }
+
+    if (crop) {
+        if (!OBJECT_ID_PATTERN.test(crop)) {
+            throw new HttpError(400, 'Invalid crop id');
+        }
+        filter.crop = crop;
+    }
+
+    if (counterparty) {
+        const otherSide = side === 'farmer' ? 'buyer' : 'farmer';
+        if (OBJECT_ID_PATTERN.test(counterparty)) {
+            filter[otherSide] = counterparty;
+        } else {
+            const matches = await User.find({ name: { $regex: escapeRegex(String(counterparty)), $options: 'i' } })
+                .select('_id')
+                .limit(100);
+            filter[otherSide] = { $in: matches.map((match) => match._id) };
+        }
+    }
+
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), MAX_PAGE_SIZE);
+
+    const [negotiations, total, unread] = await Promise.all([
+        populateNegotiation(Negotiation.find(filter)
+            .sort({ lastActivity: -1 })
+            .skip((pageNumber - 1) * pageSize)
+            .limit(pageSize)),
+        Negotiation.countDocuments(filter),
+        countUnreadTotals(user._id, side)
+    ]);
+
+    return {
+        negotiations: negotiations.map((negotiation) => ({
+            ...negotiation.toObject(),
+            role: side,
+            unreadCount: countUnread(negotiation, side, user._id)
+        })),
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        totalPages: Math.ceil(total / pageSize),
+        unread
+    };
+}
+
+/**
+ * Mark a negotiation read by one of its participants.
+ *
+ * @async
+ * @param {Object} params
+ * @param {String} params.negotiationId
+ * @param {Object} params.user - req.user
+ * @returns {Promise<Object>} The negotiation
+ * @throws {HttpError} 403 | 404
+ */
+async function markNegotiationRead({ negotiationId, user }) {
+    const negotiation = await Negotiation.findById(negotiationId).select('buyer farmer');
+    if (!negotiation) {
+        throw new HttpError(404, 'Negotiation not found');
+    }
+
+    const role = getNegotiationRole(negotiation, user.id);
+    if (!role) {
+        throw new HttpError(403, 'You are not part of this negotiation');
+    }
+
+    return Negotiation.findByIdAndUpdate(
+        negotiation._id,
+        { $set: { [lastReadField(role)]: new Date() } },
+        { new: true, timestamps: false }
+    );
+}
+
+/** A thread message recorded by the platform. */
+const systemMessage = (content, now) => ({
+    _id: new mongoose.Types.ObjectId(),
+    type: 'system',
+    content,
+    timestamp: now
+});
+
+const formatDateTime = (date) => date.toLocaleString('en-IN', { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' });
+
+/**
+ * Close a negotiation on the platform's behalf, record why in the thread
+ * and tell both parties.
+ *
+ * @param {Object} negotiation - Negotiation document (crop populated with name)
+ * @param {Object} close
+ * @param {('expired'|'cancelled')} close.status
+ * @param {('inactivity'|'sold_out'|'checkout_expired')} close.reason
+ * @param {String} close.content - Recorded in the thread
+ * @param {String} close.title - Notification title
+ * @param {('active'|'accepted')} [close.from='active'] - Status it must still have
+ * @param {Object} [close.guard] - Extra conditions that must still hold
+ * @param {Date} now
+ * @returns {Promise<Object|null>} The closed negotiation, or null if it had changed
+ */
+async function closeNegotiation(negotiation, { status, reason, content, title, from = 'active', guard = {} }, now) {
+    const closed = await Negotiation.findOneAndUpdate(
+        { _id: negotiation._id, status: from, ...guard },
+        {
+            $set: { status, closedReason: reason, closedAt: now, lastActivity: now },
+            $push: { messages: systemMessage(content, now) }
+        },
+        { new: true }
+    );
+    if (!closed) {
+        return null;
+    }
+
+    const cropName = negotiation.crop?.name || 'a crop';
+    for (const [userId, role] of [[closed.buyer, 'BUYER'], [closed.farmer, 'FARMER']]) {
+        await createNotification({
+            userId,
+            role,
+            title,
+            message: `Your negotiation for ${cropName} was closed. ${content}`,
+            type: 'message',
+        });
+    }
+
+    return closed;
+}
+
+/**
+ * Nudge the party who owes a reply in negotiations that have gone quiet
+ * for NEGOTIATION_NUDGE_AFTER_MS, once per quiet spell.
+ *
+ * @async
+ * @param {Date} [now=new Date()] - Reference time (pass a fixed clock in tests)
+ * @returns {Promise<Number>} Negotiations nudged
+ */
+async function nudgeIdleNegotiations(now = new Date()) {
+    const idle = await Negotiation.find({
+        status: 'active',
+        lastActivity: {
+            $lte: new Date(now.getTime() - NEGOTIATION_NUDGE_AFTER_MS),
+            $gt: new Date(now.getTime() - NEGOTIATION_INACTIVITY_MS)
+        },
+        $or: [
+            { nudgedAt: { $exists: false } },
+            { $expr: { $lt: ['$nudgedAt', '$lastActivity'] } }
+        ]
+    }).populate('crop', 'name');
+
+    let nudged = 0;
+    for (const negotiation of idle) {
+        // Claimed on the nudge time, so two runs never nudge the same spell twice
+        const claimed = await Negotiation.updateOne(
+            {
+                _id: negotiation._id,
+                status: 'active',
+                lastActivity: negotiation.lastActivity,
+                nudgedAt: negotiation.nudgedAt ?? { $exists: false }
+            },
+            { $set: { nudgedAt: now } },
+            { timestamps: false }
+        );
+        if (claimed.modifiedCount === 0) continue;
+
+        const lastSender = String([...negotiation.messages].reverse().find((m) => m.sender)?.sender || '');
+        const closesAt = formatDateTime(new Date(negotiation.lastActivity.getTime() + NEGOTIATION_INACTIVITY_MS));
+        const cropName = negotiation.crop?.name || 'a crop';
+
+        for (const [userId, role] of [[negotiation.buyer, 'BUYER'], [negotiation.farmer, 'FARMER']]) {
+            if (String(userId) === lastSender) continue;
+            await createNotification({
+                userId,
+                role,
+                title: 'Negotiation Waiting',
+                message: `Your negotiation for ${cropName} is waiting for your reply. It will close automatically if there is no activity by ${closesAt}.`,
+                type: 'message',
+            });
+        }
+        nudged += 1;
+    }
+    return nudged;
+}
+
+/**
+ * Expire active negotiations with no activity for NEGOTIATION_INACTIVITY_MS.
+ *
+ * @async
+ * @param {Date} [now=new Date()] - Reference time (pass a fixed clock in tests)
+ * @param {Object} [filter={}] - Extra conditions (e.g. { buyer, crop })
+ * @returns {Promise<Array<Object>>} Negotiations expired by this call
+ */
+async function expireIdleNegotiations(now = new Date(), filter = {}) {
+    const cutoff = new Date(now.getTime() - NEGOTIATION_INACTIVITY_MS);
+    const due = await Negotiation.find({ ...filter, status: 'active', lastActivity: { $lte: cutoff } })
+        .populate('crop', 'name');
+
+    const hours = Math.round(NEGOTIATION_INACTIVITY_MS / HOUR_MS);
+    const expired = [];
+    for (const negotiation of due) {
+        const closed = await closeNegotiation(negotiation, {
+            status: 'expired',
+            reason: 'inactivity',
+            content: `Closed automatically after ${hours} hours without activity.`,
+            title: 'Negotiation Expired',
+            guard: { lastActivity: { $lte: cutoff } }
+        }, now);
+        if (closed) expired.push(closed);
+    }
+    return expired;
+}
+
+/**
+ * Cancel active negotiations whose crop has sold out.
+ *
+ * @async
+ * @param {Date} [now=new Date()] - Reference time
+ * @param {Array<String>} [cropIds] - Only check these crops (default: every crop with an active negotiation)
+ * @returns {Promise<Array<Object>>} Negotiations cancelled by this call
+ */
+async function closeSoldOutNegotiations(now = new Date(), cropIds) {
+    const scope = { status: 'active' };
+    if (cropIds) {
+        scope.crop = { $in: cropIds };
+    }
+
+    const negotiatedCrops = await Negotiation.distinct('crop', scope);
+    if (negotiatedCrops.length === 0) {
+        return [];
+    }
+
+    const soldOut = await Crop.find({ _id: { $in: negotiatedCrops }, isSold: true }).select('_id');
+    if (soldOut.length === 0) {
+        return [];
+    }
+
+    const due = await Negotiation.find({ status: 'active', crop: { $in: soldOut.map((crop) => crop._id) } })
+        .populate('crop', 'name');
+
+    const cancelled = [];
+    for (const negotiation of due) {
+        const closed = await closeNegotiation(negotiation, {
+            status: 'cancelled',
+            reason: 'sold_out',
+            content: `Closed automatically: ${negotiation.crop?.name || 'the crop'} has sold out.`,
+            title: 'Negotiation Closed'
+        }, now);
+        if (closed) cancelled.push(closed);
+    }
+    return cancelled;
+}
+
+/**
+ * Use an accepted negotiation's checkout entitlement for an order. It is
+ * only good for its buyer, its crop and the agreed quantity, before
+ * checkoutExpiresAt, and only once: the negotiation becomes 'completed'
+ * and links to the order.
+ *
+ * @async
+ * @param {Object} negotiation - Accepted negotiation being checked out
+ * @param {Object} checkout
+ * @param {String} checkout.buyerId - Buyer placing the order
+ * @param {String} checkout.cropId - Crop the order buys
+ * @param {Number} checkout.quantity - Quintals the order buys
+ * @param {String} checkout.orderId - Id of the order being created
+ * @param {Date} checkout.now
+ * @returns {Promise<Object>} The completed negotiation
+ * @throws {HttpError} 400 when the deal can no longer be checked out
+ */
+async function claimNegotiationForCheckout(negotiation, { buyerId, cropId, quantity, orderId, now }) {
+    const claimed = await Negotiation.findOneAndUpdate(
+        {
+            _id: negotiation._id,
+            status: 'accepted',
+            buyer: buyerId,
+            crop: cropId,
+            quantity,
+            checkoutExpiresAt: { $gt: now }
+        },
+        {
+            $set: { status: 'completed', order: orderId, lastActivity: now },
+            $push: {
+                messages: systemMessage(`Order placed for ${quantity} quintal(s) at ₹${negotiation.finalPrice}/quintal.`, now)
+            }
+        },
+        { new: true }
+    );
+
+    if (!claimed) {
+        throw new HttpError(400, 'This negotiated deal can no longer be checked out');
+    }
+
+    return claimed;
+}
+
+/**
+ * Undo claimNegotiationForCheckout when the rest of the checkout fails.
+ *
+ * @async
+ * @param {Object} claimed - The negotiation claimNegotiationForCheckout returned
+ * @returns {Promise<void>}
+ */
+async function releaseNegotiationClaim(claimed) {
+    await Negotiation.updateOne(
+        { _id: claimed._id, status: 'completed', order: claimed.order },
+        {
+            $set: { status: 'accepted' },
+            $unset: { order: '' },
+            $pull: { messages: { _id: claimed.messages.at(-1)._id } }
+        }
+    );
+}
+
+/**
+ * Reopen a negotiated deal whose order was cancelled before it was paid
+ * (see paymentService.cancelUnpaidOrders): the claim is released, the
+ * agreed quintals are held again and the buyer gets a fresh checkout
+ * window. If the quintals can no longer be held, the deal is closed
+ * instead.
+ *
+ * @async
+ * @param {String} negotiationId - The order's sourceNegotiation
+ * @param {Object} params
+ * @param {String} params.orderId - Cancelled order
+ * @param {Number} params.quantity - Quintals the order was for
+ * @param {Date} [params.now=new Date()]
+ * @returns {Promise<Object|null>} The negotiation, or null when the order had not completed it
+ */
+async function reopenNegotiationCheckout(negotiationId, { orderId, quantity, now = new Date() }) {
+    const claimed = await Negotiation.findOne({ _id: negotiationId, status: 'completed', order: orderId })
+        .populate('crop', 'name');
+    if (!claimed) {
+        return null;
+    }
+    await releaseNegotiationClaim(claimed);
+
+    const checkoutExpiresAt = new Date(now.getTime() + BID_PAYMENT_WINDOW_MS);
+    try {
+        await reserveQuantity(claimed.crop._id, {
+            source: 'negotiation',
+            quantity,
+            negotiation: claimed._id,
+            buyer: claimed.buyer,
+            expiresAt: checkoutExpiresAt
+        });
+    } catch (error) {
+        if (!(error instanceof HttpError)) throw error;
+        return closeNegotiation(claimed, {
+            status: 'expired',
+            reason: 'checkout_expired',
+            content: 'Closed automatically: the order was not paid and the agreed quantity is no longer available.',
+            title: 'Negotiated Deal Expired',
+            from: 'accepted'
+        }, now);
+    }
+
+    const reopened = await Negotiation.findOneAndUpdate(
+        { _id: claimed._id, status: 'accepted' },
+        {
+            $set: { checkoutExpiresAt, lastActivity: now },
+            $push: {
+                messages: systemMessage(`The order was not paid. The deal can be checked out again until ${formatDateTime(checkoutExpiresAt)}.`, now)
+            }
+        },
+        { new: true }
+    );
+    if (!reopened) {
+        await releaseReservation(claimed.crop._id, { negotiation: claimed._id });
+    }
+    return reopened;
+}
+
+/**
+ * Expire accepted negotiations the buyer did not check out before
+ * checkoutExpiresAt, and release the quantity held for them.
+ *
+ * @async
+ * @param {Date} [now=new Date()] - Reference time (pass a fixed clock in tests)
+ * @returns {Promise<Array<Object>>} Negotiations expired by this call
+ */
+async function expireLapsedCheckouts(now = new Date()) {
+    const due = await Negotiation.find({ status: 'accepted', checkoutExpiresAt: { $lte: now } })
+        .populate('crop', 'name');
+
+    const hours = Math.round(BID_PAYMENT_WINDOW_MS / HOUR_MS);
+    const expired = [];
+    for (const negotiation of due) {
+        const closed = await closeNegotiation(negotiation, {
+            status: 'expired',
+            reason: 'checkout_expired',
+            content: `Closed automatically: the agreed deal was not checked out within ${hours} hours.`,
+            title: 'Negotiated Deal Expired',
+            from: 'accepted',
+            guard: { checkoutExpiresAt: { $lte: now } }
+        }, now);
+        if (!closed) continue;
+
+        await releaseReservation(closed.crop, { negotiation: closed._id });
+        expired.push(closed);
+    }
+    return expired;
+}
+
+module.exports = {
+    OFFER_VALIDITY_MS,
+    TERM_FIELDS,
+    NEGOTIATION_INACTIVITY_MS,
+    NEGOTIATION_NUDGE_AFTER_MS,
+    lastReadField,
+    populateNegotiation,
+    getNegotiationRole,
+    getLiveOffer,
+    plainTerms,
+    buildTerms,
+    diffOffers,
+    buildOffer,
+    postNegotiationMessage,
+    acceptOffer,
+    countUnread,
+    listNegotiations,
+    markNegotiationRead,
+    nudgeIdleNegotiations,
+    expireIdleNegotiations,
+    closeSoldOutNegotiations,
+    claimNegotiationForCheckout,
+    releaseNegotiationClaim,
+    reopenNegotiationCheckout,
+    expireLapsedCheckouts,
+};
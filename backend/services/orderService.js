@@ -0,0 +1,420 @@
+/**
+ * @fileoverview Order Service for AgriSahayak Platform
+ *
+ * Writes an order and everything that goes with it as one unit:
+ * 1. claim the accepted bid being paid for (Accepted → Completed), or the
+ *    accepted negotiation being checked out (accepted → completed)
+ * 2. take the quantity off each listing (conditional decrement)
+ * 3. create the Order
+ * 4. remember the shipping address on the buyer's profile
+ *
+ * Once every step has succeeded a COD order gets its invoice number
+ * (services/invoiceService), so a rolled-back checkout uses none up; a card
+ * or UPI order only gets one when its payment is captured. Negotiations on
+ * listings the checkout sold out are closed (services/negotiationService).
+ *
+ * Steps 1 and 2 are conditional updates, so two buyers racing for the
+ * last quintals (or one buyer paying for the same bid or negotiated deal
+ * twice) cannot both get through — the loser's update matches nothing and they get a 400.
+ * If a later step fails, the steps already done are undone newest-first,
+ * so a failed checkout never leaves stock taken or a bid or negotiation
+ * completed without an order.
+ *
+ * A cart checkout (placeOrders) writes one order per farmer under the
+ * same rule: all of them are created, or none.
+ *
+ * After checkout, an order's status only moves along the transitions in
+ * ORDER_STATUS_TRANSITIONS, and every move is appended to statusHistory.
+ *
+ * The platform runs on standalone MongoDB as well as replica sets, so
+ * this relies on conditional writes and compensation rather than
+ * multi-document transactions.
+ *
+ * @module services/orderService
+ * @requires models/Bid
+ * @requires models/Order
+ * @requires models/User
+ * @requires services/inventoryService
+ * @requires services/escrowService
+ * @requires services/invoiceService
+ * @requires services/negotiationService
+ * @requires services/paymentService
+ * @requires utils/httpError
+ *
+ * @see Epic 4, Story 4.1 - Fixed-Price Purchase
+ * @see Epic 4, Story 4.7 - Order Confirmation
+ * @see Epic 4, Story 4.8 - Order Status Updates
+ */
+
+const mongoose = require('mongoose');
+const Bid = require('../models/Bid');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const { commitSale, restoreSale } = require('./inventoryService');
+const { PAID_STATUSES, balanceChangesOnShipping, refundOrderPayment } = require('./paymentService');
+const { escrowChangesOnShipping, releaseEscrow } = require('./escrowService');
+const { isInvoiceable, assignInvoiceNumbers } = require('./invoiceService');
+const {
+    closeSoldOutNegotiations,
+    claimNegotiationForCheckout,
+    releaseNegotiationClaim
+} = require('./negotiationService');
+const { HttpError } = require('../utils/httpError');
+
+/**
+ * Run steps in order. If one throws, undo the completed ones in reverse
+ * order and rethrow the original error.
+ *
+ * @param {Array<{run: Function, undo?: Function}>} steps
+ * @returns {Promise<Array>} Result of each step
+ */
+async function runWithRollback(steps) {
+    const done = [];
+
+    try {
+        for (const step of steps) {
+            const result = await step.run();
+            done.push({ step, result });
+        }
+    } catch (error) {
+        for (const { step, result } of done.reverse()) {
+            if (!step.undo) continue;
+            try {
+                await step.undo(result);
+            } catch (undoError) {
+                console.error('Order rollback step failed:', undoError.message);
+            }
+        }
+        throw error;
+    }
+
+    return done.map(({ result }) => result);
+}
+
+/**
+ * Mark an accepted bid as paid, unless its payment window has closed or
+ * another checkout got there first.
+ *
+ * @throws {HttpError} 400 when the bid is no longer awaiting payment
+ */
+async function claimBidForCheckout(bid, now) {
+    const claimed = await Bid.findOneAndUpdate(
+        { _id: bid._id, status: 'Accepted', expiresAt: { $gt: now } },
+        { $set: { status: 'Completed', expiresAt: now } },
+        { new: true }
+    );
+
+    if (!claimed) {
+        throw new HttpError(400, 'This bid is no longer awaiting payment');
+    }
+
+    return claimed;
+}
+
+/**
+ * Steps that write one order: claim the bid or negotiation (if any), take
+ * each line's quantity off its listing, then create the Order.
+ *
+ * @param {Object} params - See placeOrder
+ * @param {Object} placed - Receives the created order as `placed.order`
+ * @returns {Array<{run: Function, undo?: Function}>}
+ */
+function orderSteps({ buyerId, farmerId, lines, bid = null, negotiation = null, shippingAddress, order, now }, placed) {
+    const steps = [];
+    // Known up front so the negotiation can point at the order it completes
+    const orderId = new mongoose.Types.ObjectId();
+
+    if (bid) {
+        steps.push({
+            run: () => claimBidForCheckout(bid, now),
+            undo: () => Bid.updateOne(
+                { _id: bid._id, status: 'Completed' },
+                { $set: { status: 'Accepted', expiresAt: bid.expiresAt } }
+            )
+        });
+    }
+
+    if (negotiation) {
+        steps.push({
+            run: () => claimNegotiationForCheckout(negotiation, {
+                buyerId,
+                cropId: lines[0].crop._id,
+                quantity: lines[0].quantity,
+                orderId,
+                now
+            }),
+            undo: (claimed) => releaseNegotiationClaim(claimed)
+        });
+    }
+
+    for (const { crop, quantity, reservation = null } of lines) {
+        steps.push({
+            run: () => commitSale(crop._id, quantity, reservation),
+            undo: () => restoreSale(crop._id, quantity, reservation)
+        });
+    }
+
+    steps.push({
+        run: async () => {
+            placed.order = await Order.create({
+                ...order,
+                _id: orderId,
+                statusHistory: [{ status: 'Pending', actor: buyerId, actorRole: 'BUYER', note: 'Order placed', at: now }],
+                buyer: buyerId,
+                farmer: farmerId,
+                listingId: lines[0].crop._id,
+                shippingAddress,
+                sourceBid: bid ? bid._id : undefined,
+                sourceNegotiation: negotiation ? negotiation._id : undefined
+            });
+            return placed.order;
+        },
+        undo: (created) => Order.deleteOne({ _id: created._id })
+    });
+
+    return steps;
+}
+
+/** Step that remembers the shipping address on the buyer's profile. */
+function saveAddressStep(buyerId, shippingAddress) {
+    return {
+        run: () => User.updateOne(
+            { _id: buyerId },
+            { $addToSet: { savedAddresses: shippingAddress } }
+        )
+    };
+}
+
+/**
+ * Close negotiations on the listings a checkout bought, if it sold them out.
+ * The background job catches any this misses, so a failure is only logged.
+ */
+async function closeNegotiationsOnSoldOut(lines) {
+    try {
+        await closeSoldOutNegotiations(new Date(), lines.map((line) => line.crop._id));
+    } catch (error) {
+        console.error('Could not close negotiations on sold-out listings:', error.message);
+    }
+}
+
+/**
+ * Place an order with one farmer.
+ *
+ * @async
+ * @param {Object} params
+ * @param {String} params.buyerId - Buyer placing the order
+ * @param {String} params.farmerId - Farmer fulfilling the order
+ * @param {Array<Object>} params.lines - { crop, quantity, reservation? } per listing bought
+ * @param {Object|null} [params.bid] - Accepted bid being paid for
+ * @param {Object|null} [params.negotiation] - Accepted negotiation being checked out
+ * @param {String} params.shippingAddress - Delivery address (also saved on the buyer)
+ * @param {Object} params.order - Remaining Order fields (items, totals, payment, orderType…)
+ * @returns {Promise<Object>} The created order
+ * @throws {HttpError} 400 when the bid, negotiated deal or quantity is no longer available
+ */
+async function placeOrder(params) {
+    const placed = {};
+    await runWithRollback([
+        ...orderSteps({ ...params, now: new Date() }, placed),
+        saveAddressStep(params.buyerId, params.shippingAddress)
+    ]);
+    await assignInvoiceNumbers([placed.order].filter(isInvoiceable));
+    await closeNegotiationsOnSoldOut(params.lines);
+    return placed.order;
+}
+
+/**
+ * Place several orders as one checkout: either every order is created or
+ * none is (a listing that sold out fails the whole checkout).
+ *
+ * @async
+ * @param {Object} params
+ * @param {String} params.buyerId - Buyer checking out
+ * @param {String} params.shippingAddress - Delivery address for every order
+ * @param {Array<Object>} params.orders - { farmerId, lines, order } per order, as for placeOrder
+ * @returns {Promise<Array<Object>>} The created orders, in the same order
+ * @throws {HttpError} 400 when any listing no longer has the quantity
+ */
+async function placeOrders({ buyerId, shippingAddress, orders }) {
+    const now = new Date();
+    const placed = orders.map(() => ({}));
+    const steps = orders.flatMap((entry, index) => orderSteps(
+        { ...entry, buyerId, shippingAddress, now },
+        placed[index]
+    ));
+
+    await runWithRollback([...steps, saveAddressStep(buyerId, shippingAddress)]);
+    const created = placed.map(({ order }) => order);
+    await assignInvoiceNumbers(created.filter(isInvoiceable));
+    await closeNegotiationsOnSoldOut(orders.flatMap((entry) => entry.lines));
+    return created;
+}
+
+/**
+ * Status changes each party may make, as { from: [to, ...] }.
+ * Only the buyer confirms delivery, and an order can only be cancelled
+ * (by either side) before it ships. Delivered and Cancelled are final.
+ * Admins may make any change the farmer or buyer could.
+ */
+const ORDER_STATUS_TRANSITIONS = {
+    FARMER: {
+        Pending: ['Processing', 'Cancelled'],
+        Processing: ['Shipped', 'Cancelled']
+    },
+    BUYER: {
+        Pending: ['Cancelled'],
+        Processing: ['Cancelled'],
+        Shipped: ['Delivered']
+    },
+    ADMIN: {
+        Pending: ['Processing', 'Cancelled'],
+        Processing: ['Shipped', 'Cancelled'],
+        Shipped: ['Delivered']
+    }
+};
+
+/**
+ * The part a user plays in an order: FARMER, BUYER or ADMIN, or null
+ * if they are not involved.
+ *
+ * @param {Object} order - Order (buyer/farmer may be populated)
+ * @param {Object} user - { id, role }
+ * @returns {String|null}
+ */
+function getOrderRole(order, user) {
+    const idOf = (ref) => String(ref?._id || ref);
+    if (idOf(order.farmer) === String(user.id)) return 'FARMER';
+    if (idOf(order.buyer) === String(user.id)) return 'BUYER';
+    if (user.role === 'ADMIN') return 'ADMIN';
+    return null;
+}
+
+/**
+ * Statuses this user may move the order to next.
+ *
+ * @param {Object} order - Order
+ * @param {Object} user - { id, role }
+ * @returns {Array<String>}
+ */
+function getAllowedStatuses(order, user) {
+    const role = getOrderRole(order, user);
+    return (role && ORDER_STATUS_TRANSITIONS[role][order.orderStatus]) || [];
+}
+
+/**
+ * Move an order to a new status and record it in statusHistory.
+ *
+ * The change is claimed on the status the order was read in, so two
+ * concurrent updates cannot both apply.
+ *
+ * Cancelling needs a reason (the note). It puts the ordered quantity back
+ * on each listing and refunds a paid order through its payment provider
+ * (see services/paymentService). Shipping a prepaid order starts its
+ * escrow dispute window, and the buyer confirming delivery releases the
+ * escrowed payment to the farmer (see services/escrowService).
+ *
+ * @async
+ * @param {Object} params
+ * @param {String} params.orderId - Order to update
+ * @param {Object} params.user - Acting user { id, role, name }
+ * @param {String} params.status - Target status
+ * @param {String} [params.note] - Note for the timeline (the reason, when cancelling)
+ * @returns {Promise<Object>} The updated order
+ * @throws {HttpError} 404 unknown order, 403 not a party to it,
+ *   400 transition not allowed for this user, 409 status changed meanwhile
+ */
+async function transitionOrderStatus({ orderId, user, status, note }) {
+    const order = await Order.findById(orderId);
+    if (!order) {
+        throw new HttpError(404, 'Order not found');
+    }
+
+    const role = getOrderRole(order, user);
+    if (!role) {
+        throw new HttpError(403, 'Not authorized to update this order');
+    }
+
+    const allowed = ORDER_STATUS_TRANSITIONS[role][order.orderStatus] || [];
+    if (!allowed.includes(status)) {
+        throw new HttpError(400, allowed.length
+            ? `A ${role.toLowerCase()} can move a ${order.orderStatus} order to: ${allowed.join(', ')}`
+            : `A ${role.toLowerCase()} cannot change a ${order.orderStatus} order`);
+    }
+
+    const cancelling = status === 'Cancelled';
+    const reason = note ? String(note).trim().slice(0, 500) : '';
+    if (cancelling && !reason) {
+        throw new HttpError(400, 'A reason is required to cancel an order');
+    }
+
+    const now = new Date();
+    const changes = { orderStatus: status };
+    if (cancelling) {
+        changes.cancellationReason = reason;
+        changes.cancelledAt = now;
+    }
+    if (status === 'Shipped') {
+        Object.assign(changes, escrowChangesOnShipping(order, now), balanceChangesOnShipping(order, now));
+    }
+
+    const updated = await Order.findOneAndUpdate(
+        { _id: order._id, orderStatus: order.orderStatus, paymentStatus: order.paymentStatus },
+        {
+            $set: changes,
+            $push: {
+                statusHistory: {
+                    status,
+                    actor: user.id,
+                    actorRole: role,
+                    note: reason || undefined,
+                    at: now
+                }
+            }
+        },
+        { new: true }
+    );
+
+    if (!updated) {
+        throw new HttpError(409, 'This order was updated by someone else. Please refresh and try again.');
+    }
+
+    if (cancelling) {
+        for (const item of updated.items) {
+            await restoreSale(item.crop, item.quantity);
+        }
+        if (PAID_STATUSES.includes(updated.paymentStatus)) {
+            return refundOrderPayment(updated);
+        }
+    }
+
+    if (status === 'Delivered') {
+        return (await releaseEscrow(updated, 'delivery_confirmed', { now })) || updated;
+    }
+
+    return updated;
+}
+
+/**
+ * Cancel an order before it ships (see transitionOrderStatus).
+ *
+ * @async
+ * @param {Object} params
+ * @param {String} params.orderId - Order to cancel
+ * @param {Object} params.user - Acting user { id, role }
+ * @param {String} params.reason - Why the order is cancelled
+ * @returns {Promise<Object>} The cancelled order
+ */
+function cancelOrder({ orderId, user, reason }) {
+    return transitionOrderStatus({ orderId, user, status: 'Cancelled', note: reason });
+}
+
+module.exports = {
+    ORDER_STATUS_TRANSITIONS,
+    runWithRollback,
+    placeOrder,
+    placeOrders,
+    getOrderRole,
+    getAllowedStatuses,
+    transitionOrderStatus,
+    cancelOrder,
+};
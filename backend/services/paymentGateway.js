@@ -0,0 +1,88 @@
+/**
+ * @fileoverview Payment Gateway Registry for AgriSahayak Platform
+ *
+ * Online payments go through a payment provider chosen with the
+ * PAYMENT_PROVIDER environment variable (default: 'mock', the offline
+ * simulator in services/paymentProviders/mockProvider). Adding a real
+ * gateway means writing a module with the PaymentProvider interface below
+ * and registering it here; nothing else in the platform talks to a
+ * gateway directly.
+ *
+ * The mock provider is refused in production (NODE_ENV=production): it
+ * takes no real money, so production needs a real gateway configured.
+ *
+ * @module services/paymentGateway
+ * @requires services/paymentProviders/mockProvider
+ *
+ * @see services/paymentService - Uses the provider for orders
+ */
+
+const mockProvider = require('./paymentProviders/mockProvider');
+
+/**
+ * @typedef {Object} PaymentIntent
+ * @property {String} id - Provider's intent ID
+ * @property {Number} amount - Amount in rupees
+ * @property {String} currency
+ * @property {String} status - 'requires_confirmation' | 'processing' | 'succeeded' | 'failed'
+ * @property {String} [failureReason] - Why the payment failed
+ * @property {Object} [metadata] - What was passed to createIntent
+ */
+
+/**
+ * @typedef {Object} PaymentToken
+ * @property {String} token - Reusable token to charge the method with
+ * @property {String} fingerprint - Same value for the same card or UPI ID
+ * @property {String} brand - Card network, or 'UPI'
+ * @property {String} [last4] - Card only
+ * @property {Number} [expMonth] - Card only
+ * @property {Number} [expYear] - Card only, four digits
+ * @property {String} [upiHandle] - UPI only, masked
+ */
+
+/**
+ * @typedef {Object} PaymentProvider
+ * @property {String} name - Used in webhook URLs (/api/payments/webhooks/:name) and stored on orders
+ * @property {Function} tokenize - ({ method, details }) => Promise<PaymentToken>. The only call that
+ *   sees raw card or UPI details; nothing else in the platform keeps them
+ * @property {Function} createIntent - ({ amount, currency, method, paymentMethodToken, metadata }) => Promise<PaymentIntent>
+ * @property {Function} confirmIntent - (intentId) => Promise<PaymentIntent>
+ * @property {Function} getIntent - (intentId) => Promise<PaymentIntent>
+ * @property {Function} refund - (intentId, amount) => Promise<{ id, intentId, amount, status }>,
+ *   where status is 'succeeded', 'pending' (settled later by webhook) or 'failed'
+ * @property {Function} createPayout - ({ amount, farmerId, reference }) => Promise<{ id, status, failureReason? }>,
+ *   where status is 'succeeded', 'pending' (settled later by webhook) or 'failed'
+ * @property {Function} verifyWebhook - (rawBody, headers) => { id, type, intentId, failureReason?, refundId?, payoutId?, amount? };
+ *   throws an HttpError(400) when the signature does not check out. Event types:
+ *   payment.succeeded, payment.failed, refund.succeeded, refund.failed, payout.paid, payout.failed
+ */
+
+const providers = new Map([[mockProvider.name, mockProvider]]);
+
+/**
+ * Make a provider available by its name.
+ *
+ * @param {PaymentProvider} provider
+ */
+function registerPaymentProvider(provider) {
+    providers.set(provider.name, provider);
+}
+
+/**
+ * Get a provider by name, or the configured one.
+ *
+ * @param {String} [name=process.env.PAYMENT_PROVIDER || 'mock']
+ * @returns {PaymentProvider|null} null when no provider has that name, or
+ *   for the mock provider in production
+ */
+function getPaymentProvider(name = process.env.PAYMENT_PROVIDER || mockProvider.name) {
+    if (name === mockProvider.name && process.env.NODE_ENV === 'production') {
+        return null;
+    }
+    return providers.get(name) || null;
+}
+
+module.exports = {
+    registerPaymentProvider,
+    getPaymentProvider,
+};
@@ -0,0 +1,383 @@
+/**
+ * @fileoverview Mock Payment Provider for AgriSahayak Platform
+ *
+ * A local payment simulator with the same interface as a real gateway
+ * (see services/paymentGateway). It runs offline, keeps intents in
+ * memory and signs its webhooks, so development and tests exercise the
+ * full payment flow without a network connection or gateway account.
+ *
+ * Card and UPI details are tokenised first (tokenize); intents charge a
+ * token. Outcomes are chosen by the details, like a gateway's test cards:
+ * - Card number ending in 0002 → declined
+ * - UPI ID starting with "fail" (e.g. fail@upi) → declined
+ * - UPI ID starting with "pending" (e.g. pending@upi) → stays processing
+ *   until a webhook settles it
+ * - Anything else → succeeds on confirm
+ * The outcome is written into the token itself, so saved tokens keep
+ * working after a restart even though intents do not. Payouts to farmers
+ * succeed straight away, unless a test has called simulatePayoutFailure.
+ *
+ * Outside tests, a processing payment is settled by a signed
+ * `payment.succeeded` webhook posted back to this server after
+ * MOCK_PAYMENT_WEBHOOK_DELAY_MS (default 5 s; 0 turns it off). Tests
+ * settle it themselves with simulateSettlement and post the event signed
+ * with signPayload.
+ *
+ * Webhooks carry an `x-mock-signature: t=<unix seconds>,v1=<hex HMAC>`
+ * header: an HMAC-SHA256 of `<t>.<raw body>` keyed with
+ * PAYMENT_WEBHOOK_SECRET. Signatures older than five minutes are refused.
+ * Development and tests without PAYMENT_WEBHOOK_SECRET use a secret
+ * derived from JWT_SECRET instead; there is no built-in secret, since
+ * anyone who knew it could sign a payment as succeeded.
+ *
+ * The mock provider is never used in production (see services/paymentGateway).
+ *
+ * @module services/paymentProviders/mockProvider
+ * @requires utils/httpError
+ * @requires utils/paymentInstrument
+ */
+
+const crypto = require('crypto');
+const { HttpError } = require('../../utils/httpError');
+const { describeInstrument } = require('../../utils/paymentInstrument');
+
+const NAME = 'mock';
+const SIGNATURE_HEADER = 'x-mock-signature';
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+const DEFAULT_WEBHOOK_DELAY_MS = 5000;
+
+/** Intents by ID. Lost on restart, like a sandbox account being reset. */
+const intents = new Map();
+
+/** Farmers whose payouts are bounced, by farmer ID → failure reason. */
+const failingPayouts = new Map();
+
+/**
+ * Secret webhooks are signed with.
+ *
+ * @returns {String}
+ * @throws {Error} When PAYMENT_WEBHOOK_SECRET is not set in production, or no secret is configured at all
+ */
+function webhookSecret() {
+    if (process.env.PAYMENT_WEBHOOK_SECRET) {
+        return String(process.env.PAYMENT_WEBHOOK_SECRET);
+    }
+    if (process.env.NODE_ENV !== 'production' && process.env.JWT_SECRET) {
+        return `mock-webhook:${process.env.JWT_SECRET}`;
+    }
+    throw new Error('PAYMENT_WEBHOOK_SECRET is not set');
+}
+
+function newId(prefix) {
+    return `${prefix}_${crypto.randomUUID().replace(/-/g, '')}`;
+}
+
+const TOKEN_PATTERN = /^mock_pm_(card|upi)_(ok|declined|pending)_[0-9a-f]+$/;
+
+const FAILURE_REASONS = {
+    card: 'Card declined by the issuing bank',
+    upi: 'UPI payment request was declined'
+};
+
+/** Decide how the simulated payment will end, from the test details. */
+function simulatedResult(method, details = {}) {
+    if (method === 'card') {
+        const number = String(details.number || '').replace(/\D/g, '');
+        return number.endsWith('0002') ? 'declined' : 'ok';
+    }
+
+    const upiId = String(details.upiId || '').trim().toLowerCase();
+    if (upiId.startsWith('fail')) return 'declined';
+    if (upiId.startsWith('pending')) return 'pending';
+    return 'ok';
+}
+
+/** Read the outcome back out of a token issued by tokenize. */
+function outcomeForToken(method, token) {
+    const match = TOKEN_PATTERN.exec(String(token || ''));
+    if (!match || match[1] !== method) {
+        throw new HttpError(400, 'Unknown payment method');
+    }
+    if (match[2] === 'declined') return { result: 'failed', failureReason: FAILURE_REASONS[method] };
+    if (match[2] === 'pending') return { result: 'processing' };
+    return { result: 'succeeded' };
+}
+
+function fingerprint(value) {
+    return crypto.createHmac('sha256', `mock-fingerprint:${webhookSecret()}`).update(value).digest('hex').slice(0, 32);
+}
+
+/** What callers get back: never the stored outcome or details. */
+function view(intent) {
+    return {
+        id: intent.id,
+        amount: intent.amount,
+        currency: intent.currency,
+        method: intent.method,
+        status: intent.status,
+        failureReason: intent.failureReason,
+        metadata: intent.metadata
+    };
+}
+
+function getStoredIntent(intentId) {
+    const intent = intents.get(intentId);
+    if (!intent) {
+        throw new HttpError(404, `Unknown payment intent ${intentId}`);
+    }
+    return intent;
+}
+
+/**
+ * Sign a webhook body the way this provider does.
+ *
+ * @param {String} payload - Raw JSON body
+ * @param {Number} [timestamp] - Unix seconds (defaults to now)
+ * @returns {String} Value for the x-mock-signature header
+ */
+function signPayload(payload, timestamp = Math.floor(Date.now() / 1000)) {
+    const signature = crypto
+        .createHmac('sha256', webhookSecret())
+        .update(`${timestamp}.${payload}`)
+        .digest('hex');
+    return `t=${timestamp},v1=${signature}`;
+}
+
+/**
+ * Settle a processing intent on the gateway side, as the bank would.
+ *
+ * @param {String} intentId
+ * @param {String} [result='succeeded'] - 'succeeded' | 'failed'
+ * @returns {Object} The webhook event the gateway sends for it
+ */
+function simulateSettlement(intentId, result = 'succeeded') {
+    const intent = getStoredIntent(intentId);
+    intent.status = result;
+    intent.failureReason = result === 'failed' ? 'Payment was not approved in time' : undefined;
+
+    return {
+        id: newId('mock_evt'),
+        type: `payment.${result}`,
+        data: { intentId, amount: intent.amount, failureReason: intent.failureReason, metadata: intent.metadata }
+    };
+}
+
+/** Settle a processing intent later and post the signed webhook back to this server. */
+function scheduleSettlement(intentId) {
+    const delay = Number(process.env.MOCK_PAYMENT_WEBHOOK_DELAY_MS ?? DEFAULT_WEBHOOK_DELAY_MS);
+    if (process.env.NODE_ENV === 'test' || !delay || delay < 0) {
+        return;
+    }
+
+    const url = process.env.PAYMENT_WEBHOOK_URL
+        || `http://localhost:${process.env.PORT || 5000}/api/payments/webhooks/${NAME}`;
+
+    const timer = setTimeout(() => {
+        const body = JSON.stringify(simulateSettlement(intentId));
+        fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', [SIGNATURE_HEADER]: signPayload(body) },
+            body
+        }).catch((error) => console.error('Mock payment webhook failed:', error.message));
+    }, delay);
+
+    if (typeof timer.unref === 'function') {
+        timer.unref();
+    }
+}
+
+const mockProvider = {
+    name: NAME,
+
+    /**
+     * Exchange card or UPI details for a reusable token. The details
+     * (including the CVV) are not kept.
+     *
+     * @param {Object} params
+     * @param {String} params.method - 'card' | 'upi'
+     * @param {Object} params.details - { number, expiry, cvv, name } or { upiId }
+     * @returns {Promise<Object>} { token, fingerprint, brand, last4?, expMonth?, expYear?, upiHandle? }
+     */
+    async tokenize({ method, details = {} }) {
+        const token = `mock_pm_${method}_${simulatedResult(method, details)}_${crypto.randomBytes(12).toString('hex')}`;
+        const identity = method === 'card'
+            ? String(details.number || '').replace(/\D/g, '')
+            : String(details.upiId || '').trim().toLowerCase();
+
+        return {
+            token,
+            fingerprint: fingerprint(`${method}:${identity}`),
+            ...describeInstrument(method, details)
+        };
+    },
+
+    /**
+     * Create a payment intent for an amount.
+     *
+     * @param {Object} params
+     * @param {Number} params.amount - Amount in rupees
+     * @param {String} [params.currency='INR']
+     * @param {String} params.method - 'card' | 'upi'
+     * @param {String} params.paymentMethodToken - Token from tokenize
+     * @param {Object} [params.metadata] - Echoed back on the intent and its webhooks
+     * @returns {Promise<Object>} Intent with status 'requires_confirmation'
+     * @throws {HttpError} 400 for a bad amount or a token this provider did not issue
+     */
+    async createIntent({ amount, currency = 'INR', method, paymentMethodToken, metadata = {} }) {
+        if (!(amount > 0)) {
+            throw new HttpError(400, 'Payment amount must be greater than zero');
+        }
+        const outcome = outcomeForToken(method, paymentMethodToken);
+
+        const intent = {
+            id: newId('mock_pi'),
+            amount,
+            currency,
+            method,
+            status: 'requires_confirmation',
+            metadata,
+            outcome,
+            refunded: 0
+        };
+        intents.set(intent.id, intent);
+        return view(intent);
+    },
+
+    /**
+     * Confirm (authorise and capture) an intent.
+     *
+     * @param {String} intentId
+     * @returns {Promise<Object>} Intent with status succeeded, failed or processing
+     */
+    async confirmIntent(intentId) {
+        const intent = getStoredIntent(intentId);
+        if (intent.status !== 'requires_confirmation') {
+            return view(intent);
+        }
+
+        intent.status = intent.outcome.result;
+        intent.failureReason = intent.outcome.failureReason;
+
+        if (intent.status === 'processing') {
+            scheduleSettlement(intent.id);
+        }
+
+        return view(intent);
+    },
+
+    /**
+     * Look up an intent.
+     *
+     * @param {String} intentId
+     * @returns {Promise<Object>}
+     */
+    async getIntent(intentId) {
+        return view(getStoredIntent(intentId));
+    },
+
+    /**
+     * Refund part or all of a captured payment.
+     *
+     * @param {String} intentId
+     * @param {Number} amount - Amount in rupees
+     * @returns {Promise<Object>} { id, intentId, amount, status: 'succeeded' }
+     */
+    async refund(intentId, amount) {
+        const intent = getStoredIntent(intentId);
+        if (intent.status !== 'succeeded') {
+            throw new HttpError(400, 'Only a captured payment can be refunded');
+        }
+        if (!(amount > 0) || intent.refunded + amount > intent.amount) {
+            throw new HttpError(400, 'Refund exceeds the amount paid');
+        }
+
+        intent.refunded += amount;
+        return { id: newId('mock_re'), intentId, amount, status: 'succeeded' };
+    },
+
+    /**
+     * Transfer money to a farmer's bank account.
+     *
+     * @param {Object} params
+     * @param {Number} params.amount - Amount in rupees
+     * @param {String} params.farmerId
+     * @param {String} params.reference - Our payout ID
+     * @returns {Promise<Object>} { id, status: 'succeeded' | 'failed', failureReason? }
+     */
+    async createPayout({ amount, farmerId, reference }) {
+        if (!(amount > 0) || !reference) {
+            throw new HttpError(400, 'A payout needs an amount and a reference');
+        }
+        const failureReason = failingPayouts.get(String(farmerId));
+        return failureReason
+            ? { id: newId('mock_po'), status: 'failed', failureReason }
+            : { id: newId('mock_po'), status: 'succeeded' };
+    },
+
+    /**
+     * Make payouts to a farmer fail (or succeed again with reason null), for tests.
+     *
+     * @param {String} farmerId
+     * @param {String|null} [reason='Bank account could not be verified']
+     */
+    simulatePayoutFailure(farmerId, reason = 'Bank account could not be verified') {
+        if (reason) failingPayouts.set(String(farmerId), reason);
+        else failingPayouts.delete(String(farmerId));
+    },
+
+    /**
+     * Check a webhook's signature and turn it into a gateway event.
+     *
+     * @param {Buffer|String} rawBody - Body exactly as received
+     * @param {Object} headers - Request headers (lower-case names)
+     * @returns {Object} { id, type, intentId, failureReason?, refundId?, payoutId?, amount? }
+     * @throws {HttpError} 400 when the signature is missing, wrong or stale
+     */
+    verifyWebhook(rawBody, headers) {
+        const payload = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : String(rawBody || '');
+        const parts = Object.fromEntries(
+            String(headers[SIGNATURE_HEADER] || '')
+                .split(',')
+                .map((part) => part.trim().split('='))
+                .filter((pair) => pair.length === 2)
+        );
+
+        const timestamp = Number(parts.t);
+        if (!timestamp || !parts.v1) {
+            throw new HttpError(400, 'Missing webhook signature');
+        }
+        if (Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+            throw new HttpError(400, 'Webhook signature has expired');
+        }
+
+        const expected = Buffer.from(signPayload(payload, timestamp).split('v1=')[1], 'hex');
+        const received = Buffer.from(parts.v1, 'hex');
+        if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+            throw new HttpError(400, 'Invalid webhook signature');
+        }
+
+        let event;
+        try {
+            event = JSON.parse(payload);
+        } catch {
+            throw new HttpError(400, 'Webhook body is not valid JSON');
+        }
+
+        const data = event.data || {};
+        return {
+            id: event.id,
+            type: event.type,
+            intentId: data.intentId,
+            failureReason: data.failureReason,
+            refundId: data.refundId,
+            payoutId: data.payoutId,
+            amount: data.amount
+        };
+    },
+
+    signPayload,
+    simulateSettlement,
+    SIGNATURE_HEADER
+};
+
+module.exports = mockProvider;
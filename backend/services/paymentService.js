@@ -0,0 +1,908 @@
+/**
+ * @fileoverview Payment Service for AgriSahayak Platform
+ *
+ * Takes online (card/UPI) payments for orders through the configured
+ * payment provider (see services/paymentGateway). An order is created
+ * with paymentStatus 'pending' and only becomes 'paid' once the provider
+ * confirms the payment, either when it is confirmed at checkout or later
+ * through a signed webhook. The money is then held in escrow until the
+ * order is delivered (see services/escrowService).
+ *
+ * - startPayment: create and confirm one intent for one or more orders
+ *   (a cart checkout pays for all of its orders at once), charging a
+ *   provider token from services/paymentVaultService
+ * - retryPayment: pay again for orders whose payment failed
+ * - refundOrderPayment: refund a cancelled or disputed order's share of
+ *   its payment, while it is still in escrow
+ * - handleWebhook: verify and apply a provider webhook, once per event
+ * - cancelUnpaidOrders: cancel orders left unpaid past
+ *   UNPAID_ORDER_TTL_MS and put their quantity back (run by
+ *   services/jobRunner)
+ * - payBalance: pay the balance of an order with a payment schedule
+ * - remindDueBalances: remind buyers of balances coming due or overdue
+ *   (run by services/jobRunner)
+ *
+ * An order whose listing requires an advance has a paymentSchedule (see
+ * services/pricingService): checkout charges only the advance, leaving
+ * the order 'partially_paid', and the buyer pays the balance once the
+ * order has shipped. Each instalment is a payment of its own with its own
+ * intent; the advance is taken and retried like a full payment, the
+ * balance through payBalance.
+ *
+ * Order updates are conditional on the payment state they expect, so a
+ * webhook racing the checkout response, or the same webhook delivered
+ * twice, cannot apply a change twice.
+ *
+ * Captures and refunds are posted to the ledger (see services/ledgerService).
+ * A captured order gets its invoice number (see services/invoiceService).
+ *
+ * @module services/paymentService
+ * @requires models/Order
+ * @requires models/PaymentEvent
+ * @requires services/bidService
+ * @requires services/inventoryService
+ * @requires services/invoiceService
+ * @requires services/ledgerService
+ * @requires services/negotiationService
+ * @requires services/paymentGateway
+ * @requires services/paymentVaultService
+ * @requires services/payoutService
+ * @requires utils/httpError
+ * @requires utils/notificationEmitter
+ *
+ * @see Epic 4, Story 4.1 - Fixed-Price Purchase
+ * @see Epic 4, Story 4.7 - Order Confirmation
+ */
+
+const Order = require('../models/Order');
+const PaymentEvent = require('../models/PaymentEvent');
+const { reopenBidCheckout } = require('./bidService');
+const { restoreSale } = require('./inventoryService');
+const { assignInvoiceNumbers } = require('./invoiceService');
+const { recordCapture, recordEscrowRelease, recordRefund } = require('./ledgerService');
+const { reopenNegotiationCheckout } = require('./negotiationService');
+const { getPaymentProvider } = require('./paymentGateway');
+const { applyPayoutUpdate } = require('./payoutService');
+const { resolveCheckoutPayment } = require('./paymentVaultService');
+const { HttpError } = require('../utils/httpError');
+const { createNotification } = require('../utils/notificationEmitter');
+
+/** How long an online order may stay unpaid before it is cancelled. */
+const UNPAID_ORDER_TTL_MS = 30 * 60 * 1000;
+
+/** How long after shipping the buyer has to pay the balance of a payment schedule. */
+const BALANCE_DUE_MS = 3 * 24 * 60 * 60 * 1000;
+
+/** Buyers are reminded of a balance this long before it is due, and again each interval until paid. */
+const BALANCE_REMINDER_LEAD_MS = 24 * 60 * 60 * 1000;
+const BALANCE_REMINDER_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+/** Payment statuses of an order with money in escrow or released. */
+const PAID_STATUSES = ['partially_paid', 'paid'];
+
+const orderRef = (order) => String(order._id).slice(-8).toUpperCase();
+
+const hasSchedule = (order) => (order.paymentSchedule || []).length > 0;
+
+const findInstalment = (order, kind) => (order.paymentSchedule || []).find((instalment) => instalment.kind === kind);
+
+/** What the next online payment for an order charges: its advance, or the whole order. */
+const amountDue = (order) => (hasSchedule(order) ? findInstalment(order, 'advance').amount : order.totalAmount);
+
+/**
+ * What the buyer has paid for an order so far (₹): its paid instalments,
+ * or the whole order once paid.
+ *
+ * @param {Object} order - Order document
+ * @returns {Number}
+ */
+function amountPaid(order) {
+    if (!hasSchedule(order)) {
+        return PAID_STATUSES.includes(order.paymentStatus) ? order.totalAmount : 0;
+    }
+    return order.paymentSchedule
+        .filter((instalment) => instalment.status === 'paid')
+        .reduce((sum, instalment) => Math.round((sum + instalment.amount) * 100) / 100, 0);
+}
+
+const describeItems = (order) => order.items.map((item) => item.name).join(', ');
+
+function configuredProvider() {
+    const provider = getPaymentProvider();
+    if (!provider) {
+        throw new HttpError(500, `Payment provider "${process.env.PAYMENT_PROVIDER}" is not available`);
+    }
+    return provider;
+}
+
+async function notifyPaid(orders) {
+    for (const order of orders) {
+        const balance = findInstalment(order, 'balance');
+        const payment = balance ? `Advance of ₹${amountDue(order)}` : `Payment of ₹${order.totalAmount}`;
+        const balanceNote = balance ? ` The balance of ₹${balance.amount} is due once the order has shipped.` : '';
+        await createNotification({
+            userId: order.farmer,
+            role: 'FARMER',
+            title: 'Payment Received',
+            message: `${payment} for order ${orderRef(order)} (${describeItems(order)}) is confirmed and held in escrow until the buyer confirms delivery. You can start processing it.${balanceNote}`,
+            type: 'order',
+        });
+        await createNotification({
+            userId: order.buyer,
+            role: 'BUYER',
+            title: 'Payment Successful',
+            message: `Your ${payment.charAt(0).toLowerCase()}${payment.slice(1)} for order ${orderRef(order)} (${describeItems(order)}) is confirmed. It is held in escrow and only released to the farmer once you confirm delivery.${balanceNote}`,
+            type: 'order',
+        });
+    }
+}
+
+async function notifyFailed(orders) {
+    for (const order of orders) {
+        await createNotification({
+            userId: order.buyer,
+            role: 'BUYER',
+            title: 'Payment Failed',
+            message: `Payment for order ${orderRef(order)} (${describeItems(order)}) failed${order.payment?.failureReason ? `: ${order.payment.failureReason}` : ''}. You can retry it from your orders.`,
+            type: 'order',
+        });
+    }
+}
+
+/**
+ * Refund a cancelled or disputed order's payment through its provider.
+ *
+ * Money already released from escrow to the farmer is not refunded. The
+ * refund is claimed on the order first, so it is only ever asked for
+ * once at a time; a refund that failed can be claimed and asked for
+ * again. Orders paid before the payment gateway existed have no intent and
+ * are simply marked refunded. A refund the provider settles later stays
+ * 'pending' until its refund.succeeded webhook arrives. Each paid
+ * instalment of a payment schedule is refunded from its own intent, and
+ * the order is only refunded once every one of them is (completeRefund).
+ * A retry asks again only for the instalments not refunded or settling.
+ *
+ * @async
+ * @param {Object} order - Order document
+ * @returns {Promise<Object>} The order after the refund
+ */
+async function refundOrderPayment(order) {
+    const now = new Date();
+
+    if (!order.payment?.intentId) {
+        const refunded = await Order.findOneAndUpdate(
+            { _id: order._id, paymentStatus: { $in: PAID_STATUSES }, 'escrow.status': { $ne: 'released' } },
+            { $set: { paymentStatus: 'refunded', refundedAt: now } },
+            { new: true }
+        );
+        return refunded || order;
+    }
+
+    const claimed = await Order.findOneAndUpdate(
+        { _id: order._id, paymentStatus: { $in: PAID_STATUSES }, 'escrow.status': { $ne: 'released' }, 'payment.refundStatus': { $nin: ['pending', 'succeeded'] } },
+        { $set: { 'payment.refundStatus': 'pending' } },
+        { new: true }
+    );
+    if (!claimed) {
+        return order;
+    }
+
+    const parts = hasSchedule(claimed)
+        ? claimed.paymentSchedule
+            .filter((instalment) => instalment.status === 'paid' && instalment.refundStatus !== 'pending')
+            .map((instalment) => ({ instalment, intentId: instalment.intentId, amount: instalment.amount }))
+        : [{ intentId: claimed.payment.intentId, amount: claimed.totalAmount }];
+
+    const refunds = [];
+    try {
+        const provider = getPaymentProvider(claimed.payment.provider);
+        if (!provider) {
+            throw new Error(`Payment provider "${claimed.payment.provider}" is not available`);
+        }
+        for (const part of parts) {
+            const partRefund = await provider.refund(part.intentId, part.amount);
+            refunds.push(partRefund);
+            if (part.instalment) {
+                const instalmentChanges = {
+                    'paymentSchedule.$.refundId': partRefund.id,
+                    'paymentSchedule.$.refundStatus': partRefund.status
+                };
+                if (partRefund.status === 'succeeded') {
+                    instalmentChanges['paymentSchedule.$.status'] = 'refunded';
+                    instalmentChanges['paymentSchedule.$.refundedAt'] = now;
+                }
+                await Order.updateOne({ _id: claimed._id, 'paymentSchedule._id': part.instalment._id }, { $set: instalmentChanges });
+            }
+        }
+    } catch (error) {
+        console.error(`Refund for order ${claimed._id} failed:`, error.message);
+        return Order.findByIdAndUpdate(claimed._id, { $set: { 'payment.refundStatus': 'failed' } }, { new: true });
+    }
+
+    // A part still settling is tracked by its webhook; a failed one can be retried
+    const outstanding = refunds.find((partRefund) => partRefund.status !== 'succeeded');
+    if (outstanding) {
+        return Order.findByIdAndUpdate(
+            claimed._id,
+            { $set: { 'payment.refundId': outstanding.id, 'payment.refundStatus': outstanding.status === 'failed' ? 'failed' : 'pending' } },
+            { new: true }
+        );
+    }
+
+    await Order.updateOne({ _id: claimed._id }, { $set: { 'payment.refundId': refunds[refunds.length - 1].id } });
+    const completed = await completeRefund(claimed._id, now);
+    // An instalment refunded by an earlier attempt may still be settling
+    return completed || Order.findById(claimed._id);
+}
+
+/**
+ * Mark an order refunded once its whole payment is: every paid instalment
+ * of a payment schedule refunded, or the single payment's refund settled.
+ * Posts the refund to the ledger.
+ *
+ * @async
+ * @param {String} orderId
+ * @param {Date} now
+ * @returns {Promise<Object|null>} The refunded order, or null while a part is still outstanding
+ */
+async function completeRefund(orderId, now) {
+    const order = await Order.findById(orderId);
+    if (!order || !PAID_STATUSES.includes(order.paymentStatus)) {
+        return null;
+    }
+    if (hasSchedule(order) && order.paymentSchedule.some((instalment) => instalment.status === 'paid')) {
+        return null;
+    }
+
+    const changes = { paymentStatus: 'refunded', refundedAt: now, 'payment.refundStatus': 'succeeded' };
+    if (order.escrow?.status) {
+        changes['escrow.status'] = 'refunded';
+        changes['escrow.refundedAt'] = now;
+    }
+    const updated = await Order.findOneAndUpdate(
+        { _id: order._id, paymentStatus: order.paymentStatus },
+        { $set: changes },
+        { new: true }
+    );
+    if (updated) {
+        await recordRefund(updated, now);
+    }
+    return updated;
+}
+
+/**
+ * Apply a payment intent's new status to the orders it pays for.
+ *
+ * Money that arrives for an order cancelled while its payment was still
+ * processing is refunded straight away.
+ *
+ * @async
+ * @param {Object} update - { intentId, status, failureReason? }
+ * @param {Object} [options]
+ * @param {boolean} [options.notify=true] - Notify buyer and farmer of the outcome
+ * @returns {Promise<Array>} Orders whose payment status changed
+ */
+async function applyPaymentUpdate({ intentId, status, failureReason }, { notify = true } = {}) {
+    const now = new Date();
+
+    // A balance has an intent of its own, not the order's checkout intent
+    if (await Order.exists({ paymentSchedule: { $elemMatch: { kind: 'balance', intentId } } })) {
+        return applyBalanceUpdate({ intentId, status, failureReason }, { notify, now });
+    }
+
+    if (status === 'succeeded') {
+        const orders = await Order.find({ 'payment.intentId': intentId, paymentStatus: { $in: ['pending', 'failed'] } });
+        const paid = [];
+        for (const order of orders) {
+            const changes = {
+                paymentStatus: 'paid',
+                'payment.status': 'succeeded',
+                'payment.paidAt': now,
+                'escrow.status': 'held',
+                'escrow.heldAt': now
+            };
+            const advanceIndex = (order.paymentSchedule || []).findIndex((instalment) => instalment.kind === 'advance');
+            if (advanceIndex >= 0) {
+                changes.paymentStatus = 'partially_paid';
+                changes[`paymentSchedule.${advanceIndex}.status`] = 'paid';
+                changes[`paymentSchedule.${advanceIndex}.paidAt`] = now;
+                changes[`paymentSchedule.${advanceIndex}.intentId`] = intentId;
+            }
+
+            const updated = await Order.findOneAndUpdate(
+                { _id: order._id, 'payment.intentId': intentId, paymentStatus: order.paymentStatus },
+                {
+                    $set: changes,
+                    $unset: advanceIndex >= 0
+                        ? { 'payment.failureReason': '', [`paymentSchedule.${advanceIndex}.failureReason`]: '' }
+                        : { 'payment.failureReason': '' }
+                },
+                { new: true }
+            );
+            if (!updated) continue;
+
+            await recordCapture(updated, now, advanceIndex >= 0 ? updated.paymentSchedule[advanceIndex] : null);
+            if (updated.orderStatus === 'Cancelled') {
+                await refundOrderPayment(updated);
+            } else {
+                paid.push(updated);
+            }
+        }
+        // The supply is confirmed once paid, so the order gets its invoice number now
+        await assignInvoiceNumbers(paid);
+        if (notify) await notifyPaid(paid);
+        return paid;
+    }
+
+    if (status === 'failed') {
+        const orders = await Order.find({ 'payment.intentId': intentId, paymentStatus: 'pending' });
+        const failed = [];
+        for (const order of orders) {
+            const reason = failureReason || 'The payment was not completed';
+            const changes = {
+                paymentStatus: 'failed',
+                'payment.status': 'failed',
+                'payment.failureReason': reason
+            };
+            const advanceIndex = (order.paymentSchedule || []).findIndex((instalment) => instalment.kind === 'advance');
+            if (advanceIndex >= 0) {
+                changes[`paymentSchedule.${advanceIndex}.status`] = 'failed';
+                changes[`paymentSchedule.${advanceIndex}.failureReason`] = reason;
+            }
+
+            const updated = await Order.findOneAndUpdate(
+                { _id: order._id, 'payment.intentId': intentId, paymentStatus: 'pending' },
+                { $set: changes },
+                { new: true }
+            );
+            if (updated) failed.push(updated);
+        }
+        if (notify) await notifyFailed(failed);
+        return failed;
+    }
+
+    await Order.updateMany(
+        { 'payment.intentId': intentId, paymentStatus: 'pending' },
+        { $set: { 'payment.status': status } }
+    );
+    return [];
+}
+
+/**
+ * Take one online payment for one or more orders.
+ *
+ * Creates an intent for their combined total (only the advance of an
+ * order with a payment schedule), links it to every order and confirms
+ * it. A provider that cannot be reached leaves the orders 'failed' so the
+ * buyer can retry.
+ *
+ * @async
+ * @param {Object} params
+ * @param {Array<Object>} params.orders - Orders to pay for (same buyer)
+ * @param {String} params.paymentMethod - 'card' | 'upi'
+ * @param {String} params.paymentToken - Provider token (see services/paymentVaultService)
+ * @param {boolean} [params.notify=false] - Notify buyer and farmer of the outcome
+ * @returns {Promise<Array>} The orders, updated
+ */
+async function startPayment({ orders, paymentMethod, paymentToken, notify = false }) {
+    const provider = configuredProvider();
+    const orderIds = orders.map((order) => order._id);
+    const amount = orders.reduce((sum, order) => sum + amountDue(order), 0);
+
+    let intent;
+    try {
+        intent = await provider.createIntent({
+            amount,
+            currency: 'INR',
+            method: paymentMethod,
+            paymentMethodToken: paymentToken,
+            metadata: { orderIds: orderIds.map(String) }
+        });
+    } catch (error) {
+        await Order.updateMany(
+            { _id: { $in: orderIds } },
+            {
+                $set: { paymentStatus: 'failed', 'payment.provider': provider.name, 'payment.status': 'failed', 'payment.failureReason': error.message },
+                $unset: { 'payment.intentId': '' },
+                $inc: { 'payment.attempts': 1 }
+            }
+        );
+        return Order.find({ _id: { $in: orderIds } }).sort({ createdAt: 1 });
+    }
+
+    await Order.updateMany(
+        { _id: { $in: orderIds } },
+        {
+            $set: { paymentStatus: 'pending', 'payment.provider': provider.name, 'payment.intentId': intent.id, 'payment.status': intent.status },
+            $unset: { 'payment.failureReason': '' },
+            $inc: { 'payment.attempts': 1 }
+        }
+    );
+
+    let confirmed;
+    try {
+        confirmed = await provider.confirmIntent(intent.id);
+    } catch (error) {
+        confirmed = { status: 'failed', failureReason: error.message };
+    }
+
+    await applyPaymentUpdate({ intentId: intent.id, status: confirmed.status, failureReason: confirmed.failureReason }, { notify });
+    return Order.find({ _id: { $in: orderIds } }).sort({ createdAt: 1 });
+}
+
+/**
+ * Pay again for an order whose payment failed.
+ *
+ * Every failed, uncancelled order that shared the failed intent (the rest
+ * of a cart checkout) is retried with it. The buyer may switch between
+ * card and UPI, and pay with new details or a saved method.
+ *
+ * @async
+ * @param {Object} params
+ * @param {String} params.orderId - Order to retry
+ * @param {Object} params.user - Acting user { id }
+ * @param {String} [params.paymentMethod] - Defaults to the order's method (or the saved method's)
+ * @param {Object} [params.paymentDetails] - New card or UPI details
+ * @param {String} [params.paymentMethodId] - Saved method to pay with instead
+ * @param {boolean} [params.saveMethod] - Save the new details for next time
+ * @returns {Promise<Array>} The retried orders, updated
+ * @throws {HttpError} 404 unknown order or saved method, 403 not the buyer, 400 nothing to retry or invalid details
+ */
+async function retryPayment({ orderId, user, paymentMethod, paymentDetails, paymentMethodId, saveMethod }) {
+    const order = await Order.findById(orderId);
+    if (!order) {
+        throw new HttpError(404, 'Order not found');
+    }
+    if (String(order.buyer) !== String(user.id)) {
+        throw new HttpError(403, 'Only the buyer can pay for this order');
+    }
+    if (order.orderStatus === 'Cancelled') {
+        throw new HttpError(400, 'This order has been cancelled');
+    }
+    if (order.paymentStatus !== 'failed') {
+        throw new HttpError(400, 'Only a failed payment can be retried');
+    }
+
+    const requested = paymentMethod || (paymentMethodId ? undefined : order.paymentMethod);
+    if (requested === 'cod') {
+        throw new HttpError(400, 'Retry the payment with card or UPI');
+    }
+    const charge = await resolveCheckoutPayment({ user, paymentMethod: requested, paymentDetails, paymentMethodId, saveMethod });
+
+    const orders = order.payment?.intentId
+        ? await Order.find({
+            'payment.intentId': order.payment.intentId,
+            buyer: order.buyer,
+            paymentStatus: 'failed',
+            orderStatus: { $ne: 'Cancelled' }
+        })
+        : [order];
+
+    await Order.updateMany(
+        { _id: { $in: orders.map((entry) => entry._id) } },
+        charge.savedMethodId
+            ? { $set: { paymentMethod: charge.method, 'payment.instrument': charge.instrument, 'payment.savedMethod': charge.savedMethodId } }
+            : { $set: { paymentMethod: charge.method, 'payment.instrument': charge.instrument }, $unset: { 'payment.savedMethod': '' } }
+    );
+
+    return startPayment({ orders, paymentMethod: charge.method, paymentToken: charge.token, notify: true });
+}
+
+/**
+ * Apply a balance intent's new status to the order whose balance it pays.
+ * A balance paid after the order's escrow was released is released to
+ * the farmer straight away.
+ *
+ * @async
+ * @param {Object} update - { intentId, status, failureReason? }
+ * @param {Object} options - { notify, now }
+ * @returns {Promise<Array>} The order, if its balance status changed
+ */
+async function applyBalanceUpdate({ intentId, status, failureReason }, { notify, now }) {
+    const match = { paymentSchedule: { $elemMatch: { kind: 'balance', intentId, status: { $in: ['pending', 'failed'] } } } };
+
+    if (status === 'succeeded') {
+        const updated = await Order.findOneAndUpdate(
+            { ...match, paymentStatus: 'partially_paid' },
+            {
+                $set: { paymentStatus: 'paid', 'paymentSchedule.$.status': 'paid', 'paymentSchedule.$.paidAt': now },
+                $unset: { 'paymentSchedule.$.failureReason': '' }
+            },
+            { new: true }
+        );
+        if (!updated) return [];
+
+        const balance = findInstalment(updated, 'balance');
+        await recordCapture(updated, now, balance);
+        const released = updated.escrow?.status === 'released';
+        if (released) {
+            await recordEscrowRelease(updated, now);
+        }
+
+        if (notify) {
+            await createNotification({
+                userId: updated.farmer,
+                role: 'FARMER',
+                title: 'Balance Received',
+                message: released
+                    ? `The balance of ₹${balance.amount} for order ${orderRef(updated)} is paid and has been released to you. It will be included in your next payout, less the platform fee.`
+                    : `The balance of ₹${balance.amount} for order ${orderRef(updated)} is paid and held in escrow with the advance until the buyer confirms delivery.`,
+                type: 'order',
+            });
+            await createNotification({
+                userId: updated.buyer,
+                role: 'BUYER',
+                title: 'Balance Paid',
+                message: `Your balance payment of ₹${balance.amount} for order ${orderRef(updated)} is confirmed. The order is now fully paid.`,
+                type: 'order',
+            });
+        }
+        return [updated];
+    }
+
+    if (status === 'failed') {
+        const reason = failureReason || 'The payment was not completed';
+        const updated = await Order.findOneAndUpdate(
+            match,
+            { $set: { 'paymentSchedule.$.status': 'failed', 'paymentSchedule.$.failureReason': reason } },
+            { new: true }
+        );
+        if (!updated) return [];
+
+        if (notify) {
+            await createNotification({
+                userId: updated.buyer,
+                role: 'BUYER',
+                title: 'Balance Payment Failed',
+                message: `Your balance payment for order ${orderRef(updated)} failed: ${reason}. You can pay it again from your orders.`,
+                type: 'order',
+            });
+        }
+        return [updated];
+    }
+
+    return [];
+}
+
+/**
+ * Buyer pays the balance of an order with a payment schedule, once the
+ * order has shipped. A balance whose payment failed can be paid again.
+ *
+ * @async
+ * @param {Object} params
+ * @param {String} params.orderId
+ * @param {Object} params.user - Acting user { id }
+ * @param {String} [params.paymentMethod] - 'card' | 'upi'; defaults to the order's method
+ * @param {Object} [params.paymentDetails] - New card or UPI details
+ * @param {String} [params.paymentMethodId] - Saved method to pay with instead
+ * @param {boolean} [params.saveMethod] - Save the new details for next time
+ * @returns {Promise<Object>} The order, updated
+ * @throws {HttpError} 404 unknown order, 403 not the buyer, 400 no balance due, 409 a payment is already in progress
+ */
+async function payBalance({ orderId, user, paymentMethod, paymentDetails, paymentMethodId, saveMethod }) {
+    const order = await Order.findById(orderId);
+    if (!order) {
+        throw new HttpError(404, 'Order not found');
+    }
+    if (String(order.buyer) !== String(user.id)) {
+        throw new HttpError(403, 'Only the buyer can pay for this order');
+    }
+
+    const balance = findInstalment(order, 'balance');
+    if (!balance) {
+        throw new HttpError(400, 'This order has no balance to pay');
+    }
+    if (balance.status === 'paid') {
+        throw new HttpError(400, 'The balance for this order has already been paid');
+    }
+    if (order.paymentStatus !== 'partially_paid') {
+        throw new HttpError(400, 'The advance for this order has not been paid');
+    }
+    if (!['Shipped', 'Delivered'].includes(order.orderStatus)) {
+        throw new HttpError(400, 'The balance can be paid once the order has shipped');
+    }
+    if (balance.status === 'pending' && balance.intentId) {
+        throw new HttpError(409, 'A payment for this balance is already in progress');
+    }
+
+    const requested = paymentMethod || (paymentMethodId ? undefined : order.paymentMethod);
+    if (requested === 'cod') {
+        throw new HttpError(400, 'Pay the balance with card or UPI');
+    }
+    const charge = await resolveCheckoutPayment({ user, paymentMethod: requested, paymentDetails, paymentMethodId, saveMethod });
+    const provider = configuredProvider();
+
+    let intent;
+    try {
+        intent = await provider.createIntent({
+            amount: balance.amount,
+            currency: 'INR',
+            method: charge.method,
+            paymentMethodToken: charge.token,
+            metadata: { orderIds: [String(order._id)], instalment: 'balance' }
+        });
+    } catch (error) {
+        return Order.findOneAndUpdate(
+            { _id: order._id, 'paymentSchedule._id': balance._id },
+            { $set: { 'paymentSchedule.$.status': 'failed', 'paymentSchedule.$.failureReason': error.message } },
+            { new: true }
+        );
+    }
+
+    // Only one payment for the balance at a time: the claim fails if another got in first
+    const claimed = await Order.findOneAndUpdate(
+        {
+            _id: order._id,
+            paymentSchedule: {
+                $elemMatch: { _id: balance._id, status: balance.status, intentId: balance.intentId ?? { $exists: false } }
+            }
+        },
+        { $set: { 'paymentSchedule.$.status': 'pending', 'paymentSchedule.$.intentId': intent.id } },
+        { new: true }
+    );
+    if (!claimed) {
+        throw new HttpError(409, 'A payment for this balance is already in progress');
+    }
+
+    let confirmed;
+    try {
+        confirmed = await provider.confirmIntent(intent.id);
+    } catch (error) {
+        confirmed = { status: 'failed', failureReason: error.message };
+    }
+
+    await applyPaymentUpdate({ intentId: intent.id, status: confirmed.status, failureReason: confirmed.failureReason });
+    return Order.findById(order._id);
+}
+
+/**
+ * Payment schedule fields to set when an order ships: the balance
+ * falls due BALANCE_DUE_MS later.
+ *
+ * @param {Object} order - Order as read before the change
+ * @param {Date} now - When it shipped
+ * @returns {Object} $set fields (empty when there is no balance to pay)
+ */
+function balanceChangesOnShipping(order, now) {
+    const index = (order.paymentSchedule || []).findIndex((instalment) => instalment.kind === 'balance');
+    if (index < 0 || order.paymentSchedule[index].status === 'paid') {
+        return {};
+    }
+    return { [`paymentSchedule.${index}.dueDate`]: new Date(now.getTime() + BALANCE_DUE_MS) };
+}
+
+/**
+ * Remind buyers of balances due within BALANCE_REMINDER_LEAD_MS, and
+ * keep reminding them (and tell the farmer) once overdue, at most once
+ * per BALANCE_REMINDER_INTERVAL_MS.
+ *
+ * @async
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<Number>} Number of reminders sent
+ */
+async function remindDueBalances(now = new Date()) {
+    const due = await Order.find({
+        paymentStatus: 'partially_paid',
+        orderStatus: { $ne: 'Cancelled' },
+        paymentSchedule: {
+            $elemMatch: {
+                kind: 'balance',
+                status: { $in: ['pending', 'failed'] },
+                dueDate: { $lte: new Date(now.getTime() + BALANCE_REMINDER_LEAD_MS) }
+            }
+        }
+    });
+
+    let reminded = 0;
+    for (const order of due) {
+        const balance = findInstalment(order, 'balance');
+        if (balance.remindedAt && now - balance.remindedAt < BALANCE_REMINDER_INTERVAL_MS) {
+            continue;
+        }
+
+        // Claimed on the last reminder time, so two runs never send the same reminder
+        const claimed = await Order.updateOne(
+            {
+                _id: order._id,
+                paymentSchedule: {
+                    $elemMatch: { _id: balance._id, remindedAt: balance.remindedAt ?? { $exists: false } }
+                }
+            },
+            { $set: { 'paymentSchedule.$.remindedAt': now }, $inc: { 'paymentSchedule.$.reminderCount': 1 } }
+        );
+        if (claimed.modifiedCount === 0) continue;
+
+        const dueDate = balance.dueDate.toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' });
+        const overdue = balance.dueDate <= now;
+        await createNotification({
+            userId: order.buyer,
+            role: 'BUYER',
+            title: overdue ? 'Balance Overdue' : 'Balance Due',
+            message: overdue
+                ? `The balance of ₹${balance.amount} for order ${orderRef(order)} was due on ${dueDate}. Please pay it from your orders.`
+                : `The balance of ₹${balance.amount} for order ${orderRef(order)} is due by ${dueDate}. You can pay it from your orders.`,
+            type: 'order',
+        });
+        if (overdue) {
+            await createNotification({
+                userId: order.farmer,
+                role: 'FARMER',
+                title: 'Balance Overdue',
+                message: `The buyer has not yet paid the balance of ₹${balance.amount} for order ${orderRef(order)}, due on ${dueDate}. We have reminded them.`,
+                type: 'order',
+            });
+        }
+        reminded += 1;
+    }
+    return reminded;
+}
+
+/**
+ * Verify a provider webhook and apply it. Each event is applied once:
+ * a redelivered event is acknowledged without being applied again.
+ *
+ * @async
+ * @param {String} providerName - From the webhook URL
+ * @param {Buffer|String} rawBody - Request body exactly as received
+ * @param {Object} headers - Request headers
+ * @returns {Promise<Object>} { duplicate }
+ * @throws {HttpError} 404 unknown provider, 400 bad signature or event
+ */
+async function handleWebhook(providerName, rawBody, headers) {
+    const provider = getPaymentProvider(providerName);
+    if (!provider) {
+        throw new HttpError(404, 'Unknown payment provider');
+    }
+
+    const event = provider.verifyWebhook(rawBody, headers);
+    if (!event.id || !event.type) {
+        throw new HttpError(400, 'Webhook event is missing its ID or type');
+    }
+
+    if (await PaymentEvent.exists({ provider: provider.name, eventId: event.id })) {
+        return { duplicate: true };
+    }
+
+    switch (event.type) {
+        case 'payment.succeeded':
+        case 'payment.failed':
+            await applyPaymentUpdate({
+                intentId: event.intentId,
+                status: event.type === 'payment.succeeded' ? 'succeeded' : 'failed',
+                failureReason: event.failureReason
+            });
+            break;
+        case 'refund.succeeded': {
+            const refundedAt = new Date();
+            const affected = await Order.find({
+                $or: [{ 'payment.refundId': event.refundId }, { 'paymentSchedule.refundId': event.refundId }],
+                paymentStatus: { $in: PAID_STATUSES }
+            });
+            // Settle the instalment this refund was for; the order follows once every instalment has
+            await Order.updateMany(
+                { 'paymentSchedule.refundId': event.refundId },
+                {
+                    $set: {
+                        'paymentSchedule.$.status': 'refunded',
+                        'paymentSchedule.$.refundStatus': 'succeeded',
+                        'paymentSchedule.$.refundedAt': refundedAt
+                    }
+                }
+            );
+            for (const order of affected) {
+                await completeRefund(order._id, refundedAt);
+            }
+            break;
+        }
+        case 'refund.failed':
+            await Order.updateMany(
+                { 'paymentSchedule.refundId': event.refundId },
+                { $set: { 'paymentSchedule.$.refundStatus': 'failed' } }
+            );
+            await Order.updateMany(
+                {
+                    $or: [{ 'payment.refundId': event.refundId }, { 'paymentSchedule.refundId': event.refundId }],
+                    paymentStatus: { $in: PAID_STATUSES }
+                },
+                { $set: { 'payment.refundId': event.refundId, 'payment.refundStatus': 'failed' } }
+            );
+            break;
+        case 'payout.paid':
+        case 'payout.failed':
+            await applyPayoutUpdate({
+                providerPayoutId: event.payoutId,
+                status: event.type === 'payout.paid' ? 'succeeded' : 'failed',
+                failureReason: event.failureReason
+            });
+            break;
+        default:
+            // Acknowledge event types we do not use so the provider stops resending them
+            break;
+    }
+
+    try {
+        await PaymentEvent.create({ provider: provider.name, eventId: event.id, type: event.type, intentId: event.intentId });
+    } catch (error) {
+        // Delivered twice at once: the other delivery recorded it first
+        if (error.code !== 11000) throw error;
+    }
+
+    return { duplicate: false };
+}
+
+/**
+ * Cancel online orders whose payment has not gone through within
+ * UNPAID_ORDER_TTL_MS, and put their quantity back on the listings. The
+ * bid or negotiated deal an order was checking out is reopened, so its
+ * buyer can pay for it again (see bidService.reopenBidCheckout and
+ * negotiationService.reopenNegotiationCheckout).
+ *
+ * @async
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<Number>} Number of orders cancelled
+ */
+async function cancelUnpaidOrders(now = new Date()) {
+    const cutoff = new Date(now.getTime() - UNPAID_ORDER_TTL_MS);
+    const stale = await Order.find({
+        paymentMethod: { $in: ['card', 'upi'] },
+        paymentStatus: { $in: ['pending', 'failed'] },
+        orderStatus: 'Pending',
+        createdAt: { $lte: cutoff }
+    });
+
+    let cancelled = 0;
+    for (const order of stale) {
+        const reason = 'Payment was not completed in time';
+        const updated = await Order.findOneAndUpdate(
+            { _id: order._id, orderStatus: 'Pending', paymentStatus: order.paymentStatus },
+            {
+                $set: { orderStatus: 'Cancelled', cancellationReason: reason, cancelledAt: now },
+                $push: { statusHistory: { status: 'Cancelled', actorRole: 'SYSTEM', note: reason, at: now } }
+            },
+            { new: true }
+        );
+        if (!updated) continue;
+
+        for (const item of updated.items) {
+            await restoreSale(item.crop, item.quantity);
+        }
+
+        const quantity = updated.items[0].quantity;
+        let reopened = null;
+        if (updated.sourceBid) {
+            const bid = await reopenBidCheckout(updated.sourceBid, quantity, now);
+            if (bid?.status === 'Accepted') reopened = 'accepted bid';
+        }
+        if (updated.sourceNegotiation) {
+            const negotiation = await reopenNegotiationCheckout(updated.sourceNegotiation, { orderId: updated._id, quantity, now });
+            if (negotiation?.status === 'accepted') reopened = 'negotiated deal';
+        }
+
+        await createNotification({
+            userId: updated.buyer,
+            role: 'BUYER',
+            title: 'Order Cancelled',
+            message: `Order ${orderRef(updated)} (${describeItems(updated)}) was cancelled because the payment was not completed within ${UNPAID_ORDER_TTL_MS / 60000} minutes.${reopened ? ` You can check out your ${reopened} again.` : ''}`,
+            type: 'order',
+        });
+        cancelled += 1;
+    }
+
+    return cancelled;
+}
+
+module.exports = {
+    UNPAID_ORDER_TTL_MS,
+    BALANCE_DUE_MS,
+    PAID_STATUSES,
+    amountPaid,
+    startPayment,
+    retryPayment,
+    payBalance,
+    balanceChangesOnShipping,
+    remindDueBalances,
+    refundOrderPayment,
+    applyPaymentUpdate,
+    handleWebhook,
+    cancelUnpaidOrders,
+};
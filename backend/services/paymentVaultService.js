@@ -0,0 +1,254 @@
+/**
+ * @fileoverview Payment Method Vault for AgriSahayak Platform
+ *
+ * Card and UPI details are handed to the payment provider once, which
+ * returns a reusable token (services/paymentGateway). The platform keeps
+ * only that token, encrypted with a versioned key (utils/paymentCrypto),
+ * and display fields: brand, last four digits, expiry or a masked UPI ID.
+ * Card numbers and CVVs are never written to the database.
+ *
+ * - resolveCheckoutPayment: turn a checkout's payment input (new details
+ *   or a saved method) into a token to charge and what to show on the order
+ * - listPaymentMethods / savePaymentMethod / deletePaymentMethod: the
+ *   buyer's saved methods
+ * - rotatePaymentMethodKeys: re-encrypt stored tokens with the current key
+ *   (scripts/rotatePaymentKeys.js)
+ *
+ * @module services/paymentVaultService
+ * @requires models/PaymentMethod
+ * @requires services/paymentGateway
+ * @requires utils/httpError
+ * @requires utils/paymentCrypto
+ * @requires utils/paymentValidation
+ *
+ * @see Epic 4, Story 4.1 - Fixed-Price Purchase
+ */
+
+const PaymentMethod = require('../models/PaymentMethod');
+const { getPaymentProvider } = require('./paymentGateway');
+const { HttpError } = require('../utils/httpError');
+const { currentKeyId, encryptSecret, decryptSecret } = require('../utils/paymentCrypto');
+const { validatePaymentPayload } = require('../utils/paymentValidation');
+
+function configuredProvider() {
+    const provider = getPaymentProvider();
+    if (!provider) {
+        throw new HttpError(500, `Payment provider "${process.env.PAYMENT_PROVIDER}" is not available`);
+    }
+    return provider;
+}
+
+/** Display fields of a tokenised method (also stored on orders as payment.instrument). */
+function instrumentOf(method) {
+    return {
+        brand: method.brand,
+        last4: method.last4,
+        expMonth: method.expMonth,
+        expYear: method.expYear,
+        upiHandle: method.upiHandle
+    };
+}
+
+/**
+ * What the API returns for a saved method: never the token.
+ *
+ * @param {Object} method - PaymentMethod document
+ * @returns {Object}
+ */
+function toPaymentMethodView(method) {
+    return {
+        _id: method._id,
+        type: method.type,
+        provider: method.provider,
+        ...instrumentOf(method),
+        lastUsedAt: method.lastUsedAt,
+        createdAt: method.createdAt
+    };
+}
+
+function isExpired(method, now = new Date()) {
+    if (method.type !== 'card' || !method.expYear) return false;
+    // A card is valid through the last day of its expiry month
+    return new Date(method.expYear, method.expMonth, 1) <= now;
+}
+
+/**
+ * Tokenise new details and, when asked, save them to the buyer's vault.
+ * Saving a card or UPI ID that is already saved updates that entry.
+ */
+async function tokenizeDetails({ user, method, details, save }) {
+    const validationError = validatePaymentPayload(method, details);
+    if (validationError) {
+        throw new HttpError(400, validationError);
+    }
+
+    const provider = configuredProvider();
+    const tokenized = await provider.tokenize({ method, details });
+    if (!save) {
+        return { token: tokenized.token, instrument: instrumentOf(tokenized), savedMethod: null };
+    }
+
+    const saved = await PaymentMethod.findOneAndUpdate(
+        { user: user.id, provider: provider.name, fingerprint: tokenized.fingerprint },
+        {
+            $set: {
+                type: method,
+                token: encryptSecret(tokenized.token),
+                ...instrumentOf(tokenized)
+            }
+        },
+        { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+    return { token: tokenized.token, instrument: instrumentOf(saved), savedMethod: saved };
+}
+
+/**
+ * Resolve what a checkout (or payment retry) will charge.
+ *
+ * Either `paymentMethodId` (a saved method of this buyer) or
+ * `paymentDetails` (new card/UPI details) must be given for card and UPI.
+ *
+ * @async
+ * @param {Object} params
+ * @param {Object} params.user - Acting user { id }
+ * @param {String} [params.paymentMethod] - 'card' | 'upi' | 'cod'; taken from the saved method when one is used
+ * @param {Object} [params.paymentDetails] - New card or UPI details
+ * @param {String} [params.paymentMethodId] - Saved method to charge
+ * @param {boolean} [params.saveMethod=false] - Save the new details for next time
+ * @returns {Promise<Object>} { method, token, instrument, savedMethodId } (token null for COD)
+ * @throws {HttpError} 400 invalid details or unusable method, 404 unknown saved method
+ */
+async function resolveCheckoutPayment({ user, paymentMethod, paymentDetails, paymentMethodId, saveMethod = false }) {
+    if (paymentMethodId) {
+        const saved = await PaymentMethod.findOne({ _id: paymentMethodId, user: user.id }).select('+token');
+        if (!saved) {
+            throw new HttpError(404, 'Saved payment method not found');
+        }
+        if (paymentMethod && paymentMethod !== saved.type) {
+            throw new HttpError(400, 'Payment method does not match the saved method');
+        }
+        if (saved.provider !== configuredProvider().name) {
+            throw new HttpError(400, 'This saved payment method can no longer be used. Please add it again.');
+        }
+        if (isExpired(saved)) {
+            throw new HttpError(400, 'This saved card has expired');
+        }
+
+        saved.lastUsedAt = new Date();
+        await saved.save();
+        return {
+            method: saved.type,
+            token: decryptSecret(saved.token),
+            instrument: instrumentOf(saved),
+            savedMethodId: saved._id
+        };
+    }
+
+    const validationError = validatePaymentPayload(paymentMethod, paymentDetails);
+    if (validationError) {
+        throw new HttpError(400, validationError);
+    }
+    if (paymentMethod === 'cod') {
+        return { method: 'cod', token: null, instrument: undefined, savedMethodId: undefined };
+    }
+
+    const { token, instrument, savedMethod } = await tokenizeDetails({
+        user,
+        method: paymentMethod,
+        details: paymentDetails,
+        save: Boolean(saveMethod)
+    });
+    if (savedMethod) {
+        savedMethod.lastUsedAt = new Date();
+        await savedMethod.save();
+    }
+    return { method: paymentMethod, token, instrument, savedMethodId: savedMethod?._id };
+}
+
+/**
+ * The buyer's saved methods, most recently used first.
+ *
+ * @async
+ * @param {String} userId
+ * @returns {Promise<Array<Object>>} Views (see toPaymentMethodView) with `expired`
+ */
+async function listPaymentMethods(userId) {
+    const methods = await PaymentMethod.find({ user: userId }).sort({ lastUsedAt: -1, createdAt: -1 });
+    return methods.map((method) => ({ ...toPaymentMethodView(method), expired: isExpired(method) }));
+}
+
+/**
+ * Save a card or UPI ID without paying.
+ *
+ * @async
+ * @param {Object} params
+ * @param {Object} params.user - Acting user { id }
+ * @param {String} params.paymentMethod - 'card' | 'upi'
+ * @param {Object} params.paymentDetails
+ * @returns {Promise<Object>} The saved method's view
+ * @throws {HttpError} 400 invalid details
+ */
+async function savePaymentMethod({ user, paymentMethod, paymentDetails }) {
+    if (!['card', 'upi'].includes(paymentMethod)) {
+        throw new HttpError(400, 'Only cards and UPI IDs can be saved');
+    }
+    const { savedMethod } = await tokenizeDetails({ user, method: paymentMethod, details: paymentDetails, save: true });
+    return toPaymentMethodView(savedMethod);
+}
+
+/**
+ * Remove one of the buyer's saved methods.
+ *
+ * @async
+ * @param {Object} params
+ * @param {Object} params.user - Acting user { id }
+ * @param {String} params.id - PaymentMethod ID
+ * @throws {HttpError} 404 when the buyer has no such method
+ */
+async function deletePaymentMethod({ user, id }) {
+    const deleted = await PaymentMethod.findOneAndDelete({ _id: id, user: user.id });
+    if (!deleted) {
+        throw new HttpError(404, 'Saved payment method not found');
+    }
+}
+
+/**
+ * Re-encrypt every stored token that is not under the current key.
+ * Run after putting a new key first in PAYMENT_ENCRYPTION_KEYS, before
+ * removing the old one.
+ *
+ * @async
+ * @returns {Promise<{ rotated: Number, failed: Number }>} failed counts tokens whose key is no longer configured
+ */
+async function rotatePaymentMethodKeys() {
+    const keyId = currentKeyId();
+    const stale = await PaymentMethod.find({ 'token.keyId': { $ne: keyId } }).select('+token');
+
+    let rotated = 0;
+    let failed = 0;
+    for (const method of stale) {
+        let token;
+        try {
+            token = decryptSecret(method.token);
+        } catch (error) {
+            console.error(`Cannot decrypt payment method ${method._id}: ${error.message}`);
+            failed += 1;
+            continue;
+        }
+        // Only replace the value that was read, in case it changed meanwhile
+        const result = await PaymentMethod.updateOne(
+            { _id: method._id, 'token.keyId': method.token.keyId, 'token.data': method.token.data },
+            { $set: { token: encryptSecret(token) } }
+        );
+        rotated += result.modifiedCount;
+    }
+    return { rotated, failed };
+}
+
+module.exports = {
+    resolveCheckoutPayment,
+    listPaymentMethods,
+    savePaymentMethod,
+    deletePaymentMethod,
+    rotatePaymentMethodKeys,
+};
@@ -0,0 +1,244 @@
+/**
+ * @fileoverview Payout Service for AgriSahayak Platform
+ *
+ * Pays farmers what the ledger says they are owed (their farmer_payable
+ * balance, see services/ledgerService) in batches:
+ * - runScheduledPayouts: one batch per PAYOUT_INTERVAL_HOURS window (run
+ *   by services/jobRunner). The window is unique on the batch, so it is
+ *   paid out once however often the job fires or however many servers
+ *   run it.
+ * - runPayoutBatch: a batch on demand (admins)
+ * - applyPayoutUpdate: a payout the provider settles later, from its
+ *   payout.paid / payout.failed webhook
+ *
+ * Only one batch runs at a time. A batch sends each farmer with a balance
+ * of at least PAYOUT_MIN_AMOUNT rupees one payout through the payment
+ * provider's createPayout. A failed payout puts the amount back on the
+ * farmer's balance for the next batch.
+ *
+ * @module services/payoutService
+ * @requires models/Payout
+ * @requires models/PayoutBatch
+ * @requires services/ledgerService
+ * @requires services/paymentGateway
+ * @requires utils/httpError
+ * @requires utils/notificationEmitter
+ */
+
+const Payout = require('../models/Payout');
+const PayoutBatch = require('../models/PayoutBatch');
+const { farmerPayableBalances, recordPayout, toPaise, toRupees } = require('./ledgerService');
+const { getPaymentProvider } = require('./paymentGateway');
+const { HttpError } = require('../utils/httpError');
+const { createNotification } = require('../utils/notificationEmitter');
+
+/** Hours between scheduled payout batches (PAYOUT_INTERVAL_HOURS). */
+const DEFAULT_PAYOUT_INTERVAL_HOURS = 24;
+
+/** A batch still holding the lock after this long is assumed to have crashed. */
+const STALE_BATCH_MS = 60 * 60 * 1000;
+
+const BATCH_LOCK = 'payout-batch';
+
+function payoutIntervalMs() {
+    const hours = Number(process.env.PAYOUT_INTERVAL_HOURS);
+    return (hours > 0 ? hours : DEFAULT_PAYOUT_INTERVAL_HOURS) * 60 * 60 * 1000;
+}
+
+/** Smallest balance paid out, in paise (PAYOUT_MIN_AMOUNT is in rupees). */
+function minimumPayout() {
+    return Math.max(toPaise(process.env.PAYOUT_MIN_AMOUNT), 1);
+}
+
+/**
+ * Mark a pending payout paid or failed, post it to the ledger and tell
+ * the farmer. A payout already settled is left as it is.
+ *
+ * @returns {Promise<Object|null>} The updated payout, or null if it was not pending
+ */
+async function settlePayout(payout, { status, failureReason }, now = new Date()) {
+    const changes = status === 'succeeded'
+        ? { status: 'paid', paidAt: now }
+        : { status: 'failed', failureReason: failureReason || 'The payout was not accepted' };
+
+    const settled = await Payout.findOneAndUpdate(
+        { _id: payout._id, status: 'pending' },
+        { $set: changes },
+        { new: true }
+    );
+    if (!settled) {
+        return null;
+    }
+
+    await recordPayout(settled, settled.status === 'paid' ? 'settled' : 'failed', now);
+    await createNotification(settled.status === 'paid'
+        ? {
+            userId: settled.farmer,
+            role: 'FARMER',
+            title: 'Payout Sent',
+            message: `₹${toRupees(settled.amount)} has been paid out to your bank account. See your settlement statement for the orders it covers.`,
+            type: 'order',
+        }
+        : {
+            userId: settled.farmer,
+            role: 'FARMER',
+            title: 'Payout Failed',
+            message: `A payout of ₹${toRupees(settled.amount)} could not be made: ${settled.failureReason}. The amount stays on your balance and will be retried in the next payout.`,
+            type: 'order',
+        });
+
+    return settled;
+}
+
+/**
+ * Pay out every farmer's balance.
+ *
+ * @async
+ * @param {Object} [params]
+ * @param {Date} [params.now=new Date()] - Balances posted up to this time are paid
+ * @param {String} [params.triggeredBy] - Admin who started the run
+ * @param {String} [params.window] - Schedule window; a window already paid out is skipped
+ * @returns {Promise<Object|null>} The completed batch, or null if the window was already paid out
+ * @throws {HttpError} 409 when another batch is running
+ */
+async function runPayoutBatch({ now = new Date(), triggeredBy, window } = {}) {
+    // Free the lock of a batch that died part-way
+    await PayoutBatch.updateMany(
+        { runningLock: BATCH_LOCK, createdAt: { $lt: new Date(now.getTime() - STALE_BATCH_MS) } },
+        { $unset: { runningLock: '' } }
+    );
+
+    let batch;
+    try {
+        batch = await PayoutBatch.create({ window, runningLock: BATCH_LOCK, triggeredBy, cutoff: now });
+    } catch (error) {
+        if (error.code === 11000 && error.keyPattern?.window) {
+            return null;
+        }
+        if (error.code === 11000) {
+            throw new HttpError(409, 'A payout run is already in progress');
+        }
+        throw error;
+    }
+
+    const totals = { payoutCount: 0, failedCount: 0, totalAmount: 0 };
+    try {
+        const provider = getPaymentProvider();
+        const balances = (await farmerPayableBalances(now)).filter(({ balance }) => balance >= minimumPayout());
+
+        for (const { farmer, balance } of balances) {
+            const payout = await Payout.create({ farmer, batch: batch._id, amount: balance, provider: provider?.name });
+            await recordPayout(payout, 'sent', now);
+
+            let result;
+            try {
+                if (!provider) {
+                    throw new Error(`Payment provider "${process.env.PAYMENT_PROVIDER}" is not available`);
+                }
+                result = await provider.createPayout({
+                    amount: toRupees(balance),
+                    farmerId: String(farmer),
+                    reference: String(payout._id)
+                });
+            } catch (error) {
+                result = { status: 'failed', failureReason: error.message };
+            }
+
+            if (result.id) {
+                await Payout.updateOne({ _id: payout._id }, { $set: { providerPayoutId: result.id } });
+            }
+            // 'pending' payouts are settled by the provider's webhook
+            if (result.status !== 'pending') {
+                await settlePayout(payout, result, now);
+            }
+
+            if (result.status === 'failed') {
+                totals.failedCount += 1;
+            } else {
+                totals.payoutCount += 1;
+                totals.totalAmount += balance;
+            }
+        }
+    } finally {
+        batch = await PayoutBatch.findByIdAndUpdate(
+            batch._id,
+            { $set: { ...totals, status: 'completed', completedAt: new Date() }, $unset: { runningLock: '' } },
+            { new: true }
+        );
+    }
+
+    return batch;
+}
+
+/**
+ * Run the batch for the schedule window `now` falls in, if it has not
+ * been run yet.
+ *
+ * @async
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<Object|null>} The batch, or null if the window was already paid out
+ */
+async function runScheduledPayouts(now = new Date()) {
+    const window = `scheduled:${Math.floor(now.getTime() / payoutIntervalMs())}`;
+    if (await PayoutBatch.exists({ window })) {
+        return null;
+    }
+
+    try {
+        return await runPayoutBatch({ now, window });
+    } catch (error) {
+        // A manual run holds the lock; try again on the next tick
+        if (error.statusCode === 409) {
+            return null;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Apply a payout.paid / payout.failed webhook to the payout it is for.
+ *
+ * @async
+ * @param {Object} update - { providerPayoutId, status: 'succeeded' | 'failed', failureReason? }
+ * @returns {Promise<Object|null>} The updated payout, or null if it was not pending
+ */
+async function applyPayoutUpdate({ providerPayoutId, status, failureReason }) {
+    const payout = await Payout.findOne({ providerPayoutId, status: 'pending' });
+    return payout ? settlePayout(payout, { status, failureReason }) : null;
+}
+
+/**
+ * Recent payout batches with their payouts, for admins.
+ *
+ * @async
+ * @param {Object} [params]
+ * @param {Number} [params.limit=20]
+ * @returns {Promise<Array>} Batches, newest first, amounts in rupees
+ */
+async function listPayoutBatches({ limit = 20 } = {}) {
+    const batches = await PayoutBatch.find({})
+        .populate('triggeredBy', 'name')
+        .sort({ createdAt: -1 })
+        .limit(Math.min(Math.max(Number(limit) || 20, 1), 100))
+        .lean();
+
+    const payouts = await Payout.find({ batch: { $in: batches.map((batch) => batch._id) } })
+        .populate('farmer', 'name phone')
+        .sort({ createdAt: 1 })
+        .lean();
+
+    return batches.map((batch) => ({
+        ...batch,
+        totalAmount: toRupees(batch.totalAmount),
+        payouts: payouts
+            .filter((payout) => String(payout.batch) === String(batch._id))
+            .map((payout) => ({ ...payout, amount: toRupees(payout.amount) }))
+    }));
+}
+
+module.exports = {
+    runPayoutBatch,
+    runScheduledPayouts,
+    applyPayoutUpdate,
+    listPayoutBatches,
+};
@@ -0,0 +1,207 @@
+/**
+ * @fileoverview Pricing Service for AgriSahayak Platform
+ *
+ * The one place an order's money is worked out: item totals, shipping,
+ * GST on the goods (services/taxService) and the marketplace fees from
+ * the admin-configured fee rules (models/FeeRule). Checkout, cart and quotes all price orders here, so
+ * what the buyer is shown is what the order records.
+ *
+ * A rule applies when it is active and matches the order's type, the
+ * buyer's tier and at least one item's crop category (an empty list
+ * matches anything):
+ * - percentage: `value`% of the value of the items in its categories
+ * - flat: `value` rupees once per order
+ *
+ * Tax and buyer fees are added to the order total. Farmer fees are a
+ * commission taken from the farmer's share when the payment is released
+ * (see services/ledgerService); the tax stays in the farmer's share, as
+ * the farmer is the supplier who owes it. All amounts are rounded to the
+ * paisa.
+ *
+ * A listing can require an advance (Crop.advancePercent): the total is
+ * then split into an advance paid at booking and a balance paid on
+ * delivery. An order of several listings takes the highest advance any of
+ * them asks for.
+ *
+ * @module services/pricingService
+ * @requires models/FeeRule
+ * @requires services/taxService
+ * @requires utils/httpError
+ */
+
+const mongoose = require('mongoose');
+const FeeRule = require('../models/FeeRule');
+const { taxOrder } = require('./taxService');
+const { HttpError } = require('../utils/httpError');
+
+/** Delivery is free for now; kept here so every order is priced alike. */
+const SHIPPING_COST = 0;
+
+const FEE_RULE_FIELDS = ['name', 'kind', 'value', 'payer', 'categories', 'orderTypes', 'buyerTiers', 'active'];
+
+const roundRupees = (amount) => Math.round(amount * 100) / 100;
+
+const matches = (list, value) => !list || list.length === 0 || list.includes(value);
+
+/**
+ * The fee rules currently charged.
+ *
+ * @async
+ * @returns {Promise<Array>} Active rules, oldest first
+ */
+function loadActiveFeeRules() {
+    return FeeRule.find({ active: true }).sort({ createdAt: 1 }).lean();
+}
+
+/**
+ * Split an order total into an advance due at booking and a balance due
+ * on delivery.
+ *
+ * @param {Number} totalAmount - Order total (₹)
+ * @param {Number} [advancePercent=0] - Share due at booking (%)
+ * @returns {Array<Object>} [{ kind, percent, amount, dueOn }], empty when nothing is paid in advance
+ */
+function buildPaymentSchedule(totalAmount, advancePercent = 0) {
+    const percent = Number(advancePercent) || 0;
+    if (percent <= 0) {
+        return [];
+    }
+    const advance = roundRupees(totalAmount * percent / 100);
+    return [
+        { kind: 'advance', percent, amount: advance, dueOn: 'booking' },
+        { kind: 'balance', percent: 100 - percent, amount: roundRupees(totalAmount - advance), dueOn: 'delivery' }
+    ];
+}
+
+/**
+ * Price an order.
+ *
+ * @param {Object} params
+ * @param {Array<Object>} params.items - [{ name, category, processed, advancePercent, quantity, pricePerKg }]
+ * @param {String} params.orderType - 'buyNow' | 'bid' | 'negotiation'
+ * @param {String} [params.buyerTier='standard']
+ * @param {Array<Object>} params.rules - From loadActiveFeeRules
+ * @param {String} [params.supplierState] - Farmer's state, for GST
+ * @param {String} [params.recipientState] - Buyer's state, for GST
+ * @returns {Object} { items, subtotal, shippingCost, taxes, taxAmount, fees, buyerFees, farmerFees, totalAmount, farmerAmount, paymentSchedule },
+ *   where `items` are the given items with their `hsn`, `taxRate` and `taxAmount`
+ */
+function priceOrder({ items, orderType, buyerTier = 'standard', rules, supplierState, recipientState }) {
+    const subtotal = roundRupees(items.reduce((sum, item) => sum + item.quantity * item.pricePerKg, 0));
+
+    const fees = [];
+    let commission = 0;
+    for (const rule of rules) {
+        if (!matches(rule.orderTypes, orderType) || !matches(rule.buyerTiers, buyerTier)) continue;
+
+        const covered = items.filter((item) => matches(rule.categories, item.category || 'other'));
+        if (covered.length === 0) continue;
+
+        let amount = rule.kind === 'flat'
+            ? roundRupees(rule.value)
+            : roundRupees(covered.reduce((sum, item) => sum + item.quantity * item.pricePerKg, 0) * rule.value / 100);
+        // A farmer is never charged more than the order is worth
+        if (rule.payer === 'farmer') {
+            amount = Math.min(amount, roundRupees(subtotal - commission));
+            commission = roundRupees(commission + amount);
+        }
+        if (amount <= 0) continue;
+
+        fees.push({ rule: rule._id, name: rule.name, kind: rule.kind, rate: rule.value, payer: rule.payer, amount });
+    }
+
+    const sumFees = (payer) => roundRupees(fees.filter((fee) => fee.payer === payer).reduce((sum, fee) => sum + fee.amount, 0));
+    const buyerFees = sumFees('buyer');
+    const farmerFees = sumFees('farmer');
+    const tax = taxOrder({ items, supplierState, recipientState });
+    const totalAmount = roundRupees(subtotal + SHIPPING_COST + tax.taxAmount + buyerFees);
+
+    return {
+        items: items.map((item, index) => ({ ...item, ...tax.items[index] })),
+        subtotal,
+        shippingCost: SHIPPING_COST,
+        taxes: tax.taxes,
+        taxAmount: tax.taxAmount,
+        fees,
+        buyerFees,
+        farmerFees,
+        totalAmount,
+        // What reaches the farmer once the payment is released
+        farmerAmount: roundRupees(subtotal + SHIPPING_COST + tax.taxAmount - farmerFees),
+        paymentSchedule: buildPaymentSchedule(totalAmount, Math.max(0, ...items.map((item) => item.advancePercent || 0)))
+    };
+}
+
+/**
+ * Platform fees on a placed order (buyer and farmer fees together), in rupees.
+ *
+ * @param {Object} order - Order document
+ * @returns {Number}
+ */
+function orderPlatformFees(order) {
+    return roundRupees((order.fees || []).reduce((sum, fee) => sum + fee.amount, 0));
+}
+
+/**
+ * All fee rules, for admins.
+ *
+ * @async
+ * @returns {Promise<Array>} Active rules first, then oldest first
+ */
+function listFeeRules() {
+    return FeeRule.find({}).sort({ active: -1, createdAt: 1 });
+}
+
+/**
+ * Create a fee rule, or update one when `id` is given. Only the rule
+ * fields are taken from `fields`. Orders already placed keep the fees
+ * they were priced with.
+ *
+ * @async
+ * @param {Object} params
+ * @param {String} [params.id] - Rule to update
+ * @param {Object} params.fields - { name, kind, value, payer, categories, orderTypes, buyerTiers, active }
+ * @returns {Promise<Object>} The saved rule
+ * @throws {HttpError} 404 when the rule does not exist; ValidationError for bad fields
+ */
+async function saveFeeRule({ id, fields }) {
+    if (id && !mongoose.isValidObjectId(id)) {
+        throw new HttpError(404, 'Fee rule not found');
+    }
+    const rule = id ? await FeeRule.findById(id) : new FeeRule();
+    if (!rule) {
+        throw new HttpError(404, 'Fee rule not found');
+    }
+
+    for (const field of FEE_RULE_FIELDS) {
+        if (fields[field] !== undefined) {
+            rule[field] = fields[field];
+        }
+    }
+    return rule.save();
+}
+
+/**
+ * Delete a fee rule.
+ *
+ * @async
+ * @param {String} id
+ * @throws {HttpError} 404 when the rule does not exist
+ */
+async function deleteFeeRule(id) {
+    const deleted = mongoose.isValidObjectId(id) && await FeeRule.findByIdAndDelete(id);
+    if (!deleted) {
+        throw new HttpError(404, 'Fee rule not found');
+    }
+}
+
+module.exports = {
+    SHIPPING_COST,
+    buildPaymentSchedule,
+    loadActiveFeeRules,
+    priceOrder,
+    orderPlatformFees,
+    listFeeRules,
+    saveFeeRule,
+    deleteFeeRule,
+};
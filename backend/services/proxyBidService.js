@@ -0,0 +1,198 @@
+/**
+ * @fileoverview Proxy Bid Service for AgriSahayak Platform
+ *
+ * Proxy (maximum) bidding for auctions. A buyer stores a hidden ceiling
+ * price once; whenever the auction changes, the engine places bids for
+ * the buyer in minimum increments up to that ceiling.
+ *
+ * Competing proxies are resolved deterministically:
+ * 1. Proxies are ranked by maximum (highest first), then by when the
+ *    maximum was set (earliest first), then by id.
+ * 2. The runner-up bids up to its own maximum (or one increment below
+ *    the leader's maximum when they are tied).
+ * 3. The top proxy then bids one increment over the runner-up's maximum,
+ *    capped at its own maximum.
+ *
+ * The result is the same as if the two buyers had bid against each other
+ * one increment at a time, but only the two deciding bids are recorded.
+ *
+ * @module services/proxyBidService
+ * @requires models/Auction
+ * @requires models/Bid
+ * @requires models/ProxyBid
+ * @requires services/auctionService
+ * @requires utils/notificationEmitter
+ *
+ * @see Epic 4, Story 4.2 - Place Real-Time Bids
+ */
+
+const Auction = require('../models/Auction');
+const Bid = require('../models/Bid');
+const ProxyBid = require('../models/ProxyBid');
+const { createNotification } = require('../utils/notificationEmitter');
+const {
+    MIN_BID_INCREMENT,
+    getMinNextBid,
+    recordAuctionBid
+} = require('./auctionService');
+
+/** How often the engine re-reads the auction after losing a write race. */
+const MAX_RESOLVE_ATTEMPTS = 5;
+
+/**
+ * Deterministic ranking of proxies: highest maximum, then earliest, then id.
+ */
+function rankProxies(proxies) {
+    return [...proxies].sort((a, b) => (
+        b.maxAmount - a.maxAmount
+        || new Date(a.placedAt) - new Date(b.placedAt)
+        || String(a._id).localeCompare(String(b._id))
+    ));
+}
+
+/**
+ * Work out which automatic bids the active proxies place next.
+ *
+ * Pure function: it only reads the auction state and the proxies.
+ *
+ * @param {Object} state
+ * @param {Number} state.currentBid - Current highest bid
+ * @param {Number} state.bidCount - Number of bids so far
+ * @param {Number} state.startingPrice - Opening price
+ * @param {String|null} state.leaderId - Buyer currently leading, if any
+ * @param {Array<Object>} proxies - Active proxies ({ _id, buyerId, maxAmount, placedAt })
+ * @returns {Array<{buyerId: String, amount: Number}>} Bids to place, in order
+ */
+function planProxyBids({ currentBid, bidCount, startingPrice, leaderId }, proxies) {
+    const [top, runnerUp] = rankProxies(proxies);
+    if (!top) {
+        return [];
+    }
+
+    const plan = [];
+    let leader = leaderId ? String(leaderId) : null;
+    let minNext = getMinNextBid({ currentBid, bidCount, startingPrice });
+    const topId = String(top.buyerId);
+
+    if (runnerUp) {
+        // On a tie the earlier proxy (top) must still be able to beat the runner-up
+        const runnerAmount = Math.min(runnerUp.maxAmount, top.maxAmount - MIN_BID_INCREMENT);
+        if (runnerAmount >= minNext) {
+            plan.push({ buyerId: String(runnerUp.buyerId), amount: runnerAmount });
+            leader = String(runnerUp.buyerId);
+            minNext = runnerAmount + MIN_BID_INCREMENT;
+        }
+    }
+
+    if (leader !== topId) {
+        const target = runnerUp
+            ? Math.max(minNext, Math.min(top.maxAmount, runnerUp.maxAmount + MIN_BID_INCREMENT))
+            : minNext;
+
+        if (target <= top.maxAmount) {
+            plan.push({ buyerId: topId, amount: target });
+        }
+    }
+
+    return plan;
+}
+
+/**
+ * Mark proxies the auction price has gone past as outbid and tell their buyers.
+ *
+ * @async
+ * @param {Object} auction - Auction after the latest bids
+ * @param {String|null} leaderId - Buyer currently leading
+ */
+async function markOutbidProxies(auction, leaderId) {
+    const minNext = getMinNextBid(auction);
+    const exhausted = await ProxyBid.find({
+        auction: auction._id,
+        status: 'active',
+        maxAmount: { $lt: minNext },
+        ...(leaderId ? { buyerId: { $ne: leaderId } } : {})
+    });
+
+    for (const proxy of exhausted) {
+        proxy.status = 'outbid';
+        await proxy.save();
+
+        await createNotification({
+            userId: proxy.buyerId,
+            role: 'BUYER',
+            title: 'Maximum Bid Exceeded',
+            message: `The auction for ${auction.crop?.name || 'crop'} has passed your maximum bid of ₹${proxy.maxAmount}/quintal.`,
+            type: 'bid',
+        });
+    }
+}
+
+/**
+ * Let the active proxies of an auction respond to its current state.
+ *
+ * Called after a proxy is set or raised and after every manual bid.
+ * If another bid lands while the engine is bidding, it re-reads the
+ * auction and plans again.
+ *
+ * @async
+ * @param {String} auctionId - Auction to resolve
+ * @param {Date} [now=new Date()] - Bid time
+ * @returns {Promise<Array<Object>>} Bids placed by the engine
+ */
+async function runProxyBidding(auctionId, now = new Date()) {
+    const placed = [];
+
+    for (let attempt = 0; attempt < MAX_RESOLVE_ATTEMPTS; attempt += 1) {
+        let auction = await Auction.findById(auctionId).populate('crop', 'name');
+        if (!auction || auction.status !== 'active' || auction.endTime <= now) {
+            return placed;
+        }
+
+        const proxies = await ProxyBid.find({ auction: auction._id, status: 'active' });
+        const leaderBid = auction.highestBid
+            ? await Bid.findById(auction.highestBid).select('buyerId')
+            : null;
+        const leaderId = leaderBid ? String(leaderBid.buyerId) : null;
+
+        const plan = planProxyBids({
+            currentBid: auction.currentBid,
+            bidCount: auction.bidCount,
+            startingPrice: auction.startingPrice,
+            leaderId
+        }, proxies);
+
+        let raced = false;
+        let latestLeader = leaderId;
+        for (const step of plan) {
+            const result = await recordAuctionBid(auction, {
+                buyerId: step.buyerId,
+                buyerName: 'A buyer (auto-bid)',
+                amount: step.amount,
+                isProxy: true,
+                now
+            });
+
+            if (!result) {
+                raced = true;
+                break;
+            }
+
+            placed.push(result.bid);
+            latestLeader = step.buyerId;
+            auction = await result.auction.populate('crop', 'name');
+        }
+
+        if (!raced) {
+            await markOutbidProxies(auction, latestLeader);
+            return placed;
+        }
+    }
+
+    return placed;
+}
+
+module.exports = {
+    rankProxies,
+    planProxyBids,
+    runProxyBidding,
+};
@@ -0,0 +1,143 @@
+/**
+ * @fileoverview Tax Service for AgriSahayak Platform
+ *
+ * GST on the goods in an order. Each crop is matched to a commodity in
+ * HSN_TAX_TABLE by the words in its name, falling back to its category,
+ * which gives its HSN code and rate. Unprocessed produce — fresh or dried
+ * as harvested, not milled, packed or branded — is exempt for most
+ * commodities; listings marked `processed` pay the processed rate.
+ *
+ * A sale within one state is taxed as CGST and SGST (half the rate each);
+ * a sale across states, or where either party's state is not known, as
+ * IGST. Only the goods are taxed here; platform fees are not.
+ *
+ * Rates follow the GST schedules for these chapters and are kept in one
+ * table so a rate change is a one-line edit.
+ *
+ * @module services/taxService
+ *
+ * @see services/pricingService - Adds the tax to the order total
+ */
+
+/**
+ * Commodities and their tax, checked in order. `keywords` are matched as
+ * whole words in the crop name; `unprocessedRate` and `processedRate`
+ * are GST percentages.
+ */
+const HSN_TAX_TABLE = [
+    { hsn: '1001', description: 'Wheat', keywords: ['wheat'], unprocessedRate: 0, processedRate: 5 },
+    { hsn: '1006', description: 'Rice', keywords: ['rice', 'paddy', 'basmati'], unprocessedRate: 0, processedRate: 5 },
+    { hsn: '1005', description: 'Maize', keywords: ['maize', 'corn'], unprocessedRate: 0, processedRate: 5 },
+    { hsn: '1003', description: 'Barley', keywords: ['barley'], unprocessedRate: 0, processedRate: 5 },
+    { hsn: '1008', description: 'Millets', keywords: ['millet', 'bajra', 'jowar', 'ragi', 'sorghum'], unprocessedRate: 0, processedRate: 5 },
+    { hsn: '0701', description: 'Potatoes', keywords: ['potato', 'potatoes'], unprocessedRate: 0, processedRate: 5 },
+    { hsn: '0702', description: 'Tomatoes', keywords: ['tomato', 'tomatoes'], unprocessedRate: 0, processedRate: 12 },
+    { hsn: '0703', description: 'Onions and garlic', keywords: ['onion', 'onions', 'garlic'], unprocessedRate: 0, processedRate: 5 },
+    { hsn: '0713', description: 'Dried pulses', keywords: ['gram', 'chana', 'dal', 'tur', 'arhar', 'moong', 'urad', 'masoor', 'lentil', 'lentils'], unprocessedRate: 0, processedRate: 5 },
+    { hsn: '0803', description: 'Bananas', keywords: ['banana', 'bananas'], unprocessedRate: 0, processedRate: 12 },
+    { hsn: '0804', description: 'Mangoes', keywords: ['mango', 'mangoes'], unprocessedRate: 0, processedRate: 12 },
+    { hsn: '0808', description: 'Apples', keywords: ['apple', 'apples'], unprocessedRate: 0, processedRate: 12 },
+    { hsn: '0904', description: 'Pepper and chillies', keywords: ['pepper', 'chilli', 'chillies', 'chili'], unprocessedRate: 5, processedRate: 5 },
+    { hsn: '0908', description: 'Cardamom', keywords: ['cardamom', 'elaichi'], unprocessedRate: 5, processedRate: 5 },
+    { hsn: '0909', description: 'Cumin and coriander seeds', keywords: ['cumin', 'jeera', 'coriander', 'dhania'], unprocessedRate: 5, processedRate: 5 },
+    { hsn: '0910', description: 'Turmeric and ginger', keywords: ['turmeric', 'haldi', 'ginger'], unprocessedRate: 0, processedRate: 5 },
+    { hsn: '1201', description: 'Soya beans', keywords: ['soybean', 'soybeans', 'soya'], unprocessedRate: 5, processedRate: 5 },
+    { hsn: '1202', description: 'Groundnuts', keywords: ['groundnut', 'groundnuts', 'peanut', 'peanuts'], unprocessedRate: 5, processedRate: 5 },
+    { hsn: '1207', description: 'Mustard and other oilseeds', keywords: ['mustard', 'sesame', 'til', 'sunflower'], unprocessedRate: 5, processedRate: 5 },
+    { hsn: '5201', description: 'Raw cotton', keywords: ['cotton'], unprocessedRate: 5, processedRate: 5 },
+    { hsn: '1212', description: 'Sugarcane', keywords: ['sugarcane'], unprocessedRate: 0, processedRate: 5 },
+];
+
+/** Used when no commodity matches the crop's name. */
+const CATEGORY_TAX_TABLE = {
+    grain: { hsn: '1008', description: 'Cereals', unprocessedRate: 0, processedRate: 5 },
+    vegetable: { hsn: '0709', description: 'Vegetables', unprocessedRate: 0, processedRate: 5 },
+    fruit: { hsn: '0810', description: 'Fruit', unprocessedRate: 0, processedRate: 12 },
+    spice: { hsn: '0910', description: 'Spices', unprocessedRate: 0, processedRate: 5 },
+    pulse: { hsn: '0713', description: 'Dried pulses', unprocessedRate: 0, processedRate: 5 },
+    oilseed: { hsn: '1207', description: 'Oilseeds', unprocessedRate: 5, processedRate: 5 },
+    other: { hsn: '1404', description: 'Vegetable products', unprocessedRate: 0, processedRate: 5 },
+};
+
+const roundRupees = (amount) => Math.round(amount * 100) / 100;
+
+const normaliseState = (state) => String(state || '').trim().toLowerCase();
+
+/**
+ * The HSN code and GST rate for a crop.
+ *
+ * @param {Object} item
+ * @param {String} [item.name] - Crop name
+ * @param {String} [item.category='other']
+ * @param {Boolean} [item.processed=false]
+ * @returns {Object} { hsn, description, rate }
+ */
+function classifyItem({ name, category, processed = false }) {
+    const words = String(name || '').toLowerCase().split(/[^a-z]+/);
+    const entry = HSN_TAX_TABLE.find(({ keywords }) => keywords.some((keyword) => words.includes(keyword)))
+        || CATEGORY_TAX_TABLE[category]
+        || CATEGORY_TAX_TABLE.other;
+
+    return {
+        hsn: entry.hsn,
+        description: entry.description,
+        rate: processed ? entry.processedRate : entry.unprocessedRate
+    };
+}
+
+/**
+ * Work out the GST on an order's goods.
+ *
+ * @param {Object} params
+ * @param {Array<Object>} params.items - [{ name, category, processed, quantity, pricePerKg }]
+ * @param {String} [params.supplierState] - Farmer's state
+ * @param {String} [params.recipientState] - Buyer's state
+ * @returns {Object} { items: [{ hsn, taxRate, taxAmount }], taxes: [{ type, rate, taxableValue, amount }], taxAmount }
+ */
+function taxOrder({ items, supplierState, recipientState }) {
+    const intraState = Boolean(normaliseState(supplierState))
+        && normaliseState(supplierState) === normaliseState(recipientState);
+
+    const taxes = [];
+    const addTax = (type, rate, taxableValue, amount) => {
+        const line = taxes.find((tax) => tax.type === type && tax.rate === rate);
+        if (line) {
+            line.taxableValue = roundRupees(line.taxableValue + taxableValue);
+            line.amount = roundRupees(line.amount + amount);
+        } else {
+            taxes.push({ type, rate, taxableValue, amount });
+        }
+    };
+
+    const taxedItems = items.map((item) => {
+        const { hsn, rate } = classifyItem(item);
+        const taxableValue = roundRupees(item.quantity * item.pricePerKg);
+        if (rate === 0) {
+            return { hsn, taxRate: 0, taxAmount: 0 };
+        }
+
+        if (intraState) {
+            // Each half is rounded on its own, so the item's tax is their sum
+            const half = roundRupees(taxableValue * rate / 200);
+            addTax('CGST', rate / 2, taxableValue, half);
+            addTax('SGST', rate / 2, taxableValue, half);
+            return { hsn, taxRate: rate, taxAmount: roundRupees(half * 2) };
+        }
+
+        const amount = roundRupees(taxableValue * rate / 100);
+        addTax('IGST', rate, taxableValue, amount);
+        return { hsn, taxRate: rate, taxAmount: amount };
+    });
+
+    return {
+        items: taxedItems,
+        taxes,
+        taxAmount: roundRupees(taxedItems.reduce((sum, item) => sum + item.taxAmount, 0))
+    };
+}
+
+module.exports = {
+    HSN_TAX_TABLE,
+    classifyItem,
+    taxOrder,
+};
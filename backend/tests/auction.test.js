@@ -0,0 +1,355 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'auction_test_secret';
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Crop = require('../models/Crop');
+const Bid = require('../models/Bid');
+const Auction = require('../models/Auction');
+const ProxyBid = require('../models/ProxyBid');
+const app = require('../server');
+const { getTestUri, createActiveUser } = require('./helpers');
+const { closeDueAuctions, getSoftCloseEndTime, recordAuctionBid } = require('../services/auctionService');
+const { planProxyBids } = require('../services/proxyBidService');
+
+let farmerToken, buyerToken, rivalToken, buyerId;
+
+const createCrop = async (overrides = {}) => {
+    const res = await request(app)
+        .post('/api/crops')
+        .set('Authorization', `Bearer ${farmerToken}`)
+        .send({ name: 'Auction Wheat', quantity: 40, price: 20, quality: 'A', location: 'Indore', ...overrides });
+    return res.body._id;
+};
+
+const createAuction = async (cropId, overrides = {}) => request(app)
+    .post('/api/auctions')
+    .set('Authorization', `Bearer ${farmerToken}`)
+    .send({ cropId, startingPrice: 20, reservePrice: 25, quantity: 40, durationHours: 1, ...overrides });
+
+beforeAll(async () => {
+    await mongoose.connect(getTestUri('auction'));
+    await User.deleteMany({});
+    await Crop.deleteMany({});
+    await Bid.deleteMany({});
+    await Auction.deleteMany({});
+    await ProxyBid.deleteMany({});
+
+    const farmer = await createActiveUser({ phone: '5556667777', role: 'FARMER', name: 'Auction Farmer', location: 'Indore' });
+    farmerToken = farmer.token;
+
+    const buyer = await createActiveUser({ phone: '5558889999', role: 'BUYER', name: 'Auction Buyer' });
+    buyerToken = buyer.token;
+    buyerId = buyer.user._id;
+
+    const rival = await createActiveUser({ phone: '5550001111', role: 'BUYER', name: 'Rival Buyer' });
+    rivalToken = rival.token;
+});
+
+afterAll(async () => {
+    await User.deleteMany({});
+    await Crop.deleteMany({});
+    await Bid.deleteMany({});
+    await Auction.deleteMany({});
+    await ProxyBid.deleteMany({});
+    await mongoose.connection.close();
+});
+
+describe('Auction API (Epic 4)', () => {
+
+    describe('POST /api/auctions (Create)', () => {
+        it('should create an auction for own crop (201)', async () => {
+            const cropId = await createCrop();
+            const res = await createAuction(cropId);
+
+            expect(res.statusCode).toBe(201);
+            expect(res.body.status).toBe('active');
+            expect(res.body.reservePrice).toBe(25);
+            expect(new Date(res.body.endTime).getTime()).toBeGreaterThan(Date.now());
+        });
+
+        it('should reject a second active auction on the same crop (400)', async () => {
+            const cropId = await createCrop();
+            await createAuction(cropId);
+            const res = await createAuction(cropId);
+
+            expect(res.statusCode).toBe(400);
+        });
+
+        it('should not let a buyer auction someone else\'s crop (403)', async () => {
+            const cropId = await createCrop();
+            const res = await request(app)
+                .post('/api/auctions')
+                .set('Authorization', `Bearer ${buyerToken}`)
+                .send({ cropId, startingPrice: 20, durationHours: 1 });
+
+            expect(res.statusCode).toBe(403);
+        });
+    });
+
+    describe('GET /api/auctions', () => {
+        it('should list active auctions and hide the reserve price from buyers (200)', async () => {
+            const res = await request(app)
+                .get('/api/auctions')
+                .set('Authorization', `Bearer ${buyerToken}`);
+
+            expect(res.statusCode).toBe(200);
+            expect(Array.isArray(res.body)).toBe(true);
+            expect(res.body.length).toBeGreaterThan(0);
+            expect(res.body[0]).not.toHaveProperty('reservePrice');
+        });
+    });
+
+    describe('POST /api/auctions/:id/bids', () => {
+        it('should require bids to beat the current highest bid', async () => {
+            const cropId = await createCrop();
+            const auctionRes = await createAuction(cropId);
+            const auctionId = auctionRes.body._id;
+
+            const first = await request(app)
+                .post(`/api/auctions/${auctionId}/bids`)
+                .set('Authorization', `Bearer ${buyerToken}`)
+                .send({ amount: 22 });
+            expect(first.statusCode).toBe(201);
+            expect(first.body.auction.currentBid).toBe(22);
+
+            const tooLow = await request(app)
+                .post(`/api/auctions/${auctionId}/bids`)
+                .set('Authorization', `Bearer ${rivalToken}`)
+                .send({ amount: 22 });
+            expect(tooLow.statusCode).toBe(400);
+        });
+
+        it('should send direct bids on an auctioned crop to the auction (400)', async () => {
+            const cropId = await createCrop();
+            await createAuction(cropId);
+
+            const res = await request(app)
+                .post('/api/trade/bid')
+                .set('Authorization', `Bearer ${buyerToken}`)
+                .send({ cropId, amount: 30 });
+
+            expect(res.statusCode).toBe(400);
+        });
+
+        it('should not leave a bid behind when the auction changed or could not be updated', async () => {
+            const cropId = await createCrop();
+            const auctionRes = await createAuction(cropId);
+            const stale = await Auction.findById(auctionRes.body._id);
+
+            await request(app)
+                .post(`/api/auctions/${stale._id}/bids`)
+                .set('Authorization', `Bearer ${rivalToken}`)
+                .send({ amount: 22 });
+
+            // Read before the rival's bid, so the conditional update loses
+            expect(await recordAuctionBid(stale, { buyerId, amount: 23 })).toBeNull();
+            expect(await Bid.countDocuments({ auction: stale._id })).toBe(1);
+
+            const current = await Auction.findById(stale._id);
+            const spy = jest.spyOn(Auction, 'findOneAndUpdate').mockRejectedValueOnce(new Error('write failed'));
+            await expect(recordAuctionBid(current, { buyerId, amount: 23 })).rejects.toThrow('write failed');
+            spy.mockRestore();
+
+            expect(await Bid.countDocuments({ auction: stale._id })).toBe(1);
+            const after = await Auction.findById(stale._id);
+            expect(after.currentBid).toBe(22);
+            expect(after.bidCount).toBe(1);
+        });
+    });
+
+    describe('Auction close', () => {
+        it('should turn the winning bid into an accepted bid that can be checked out', async () => {
+            const cropId = await createCrop();
+            const auctionRes = await createAuction(cropId);
+            const auctionId = auctionRes.body._id;
+
+            await request(app)
+                .post(`/api/auctions/${auctionId}/bids`)
+                .set('Authorization', `Bearer ${rivalToken}`)
+                .send({ amount: 24 });
+            const winning = await request(app)
+                .post(`/api/auctions/${auctionId}/bids`)
+                .set('Authorization', `Bearer ${buyerToken}`)
+                .send({ amount: 26 });
+
+            await Auction.updateOne({ _id: auctionId }, { $set: { endTime: new Date(Date.now() - 1000) } });
+            const closed = await closeDueAuctions();
+            expect(closed.map((a) => String(a._id))).toContain(auctionId);
+
+            const winningBid = await Bid.findById(winning.body.bid._id);
+            expect(winningBid.status).toBe('Accepted');
+            expect(String(winningBid.buyerId)).toBe(buyerId);
+
+            const losingBids = await Bid.find({ auction: auctionId, _id: { $ne: winningBid._id } });
+            losingBids.forEach((bid) => expect(bid.status).toBe('Rejected'));
+
+            const orderRes = await request(app)
+                .post('/api/trade/orders')
+                .set('Authorization', `Bearer ${buyerToken}`)
+                .send({
+                    cropId,
+                    quantity: 40,
+                    bidId: winningBid._id,
+                    paymentMethod: 'cod',
+                    shippingAddress: '12 Mandi Road, Indore'
+                });
+            expect(orderRes.statusCode).toBe(201);
+            expect(orderRes.body.totalAmount).toBe(40 * 26);
+        });
+
+        it('should end without a winner when the reserve is not met', async () => {
+            const cropId = await createCrop();
+            const auctionRes = await createAuction(cropId, { reservePrice: 50 });
+            const auctionId = auctionRes.body._id;
+
+            const bidRes = await request(app)
+                .post(`/api/auctions/${auctionId}/bids`)
+                .set('Authorization', `Bearer ${buyerToken}`)
+                .send({ amount: 30 });
+
+            await Auction.updateOne({ _id: auctionId }, { $set: { endTime: new Date(Date.now() - 1000) } });
+
+            const res = await request(app)
+                .get(`/api/auctions/${auctionId}`)
+                .set('Authorization', `Bearer ${farmerToken}`);
+
+            expect(res.statusCode).toBe(200);
+            expect(res.body.status).toBe('ended');
+            expect(res.body.winningBid).toBeUndefined();
+
+            const bid = await Bid.findById(bidRes.body.bid._id);
+            expect(bid.status).toBe('Rejected');
+        });
+    });
+
+    describe('Soft close (anti-sniping)', () => {
+        it('should only extend bids placed inside the soft-close window', () => {
+            const now = new Date('2026-03-01T10:00:00Z');
+            const auction = { endTime: new Date('2026-03-01T10:03:00Z'), softCloseMinutes: 5, extensionMinutes: 5 };
+
+            expect(getSoftCloseEndTime(auction, now)).toEqual(new Date('2026-03-01T10:05:00Z'));
+            expect(getSoftCloseEndTime({ ...auction, endTime: new Date('2026-03-01T11:00:00Z') }, now)).toBeNull();
+            expect(getSoftCloseEndTime({ ...auction, softCloseMinutes: 0 }, now)).toBeNull();
+        });
+
+        it('should extend the end time on a late bid and record the extension', async () => {
+            const cropId = await createCrop();
+            const auctionRes = await createAuction(cropId);
+            const auctionId = auctionRes.body._id;
+
+            const closingSoon = new Date(Date.now() + 60 * 1000);
+            await Auction.updateOne({ _id: auctionId }, { $set: { endTime: closingSoon } });
+
+            const res = await request(app)
+                .post(`/api/auctions/${auctionId}/bids`)
+                .set('Authorization', `Bearer ${buyerToken}`)
+                .send({ amount: 30 });
+
+            expect(res.statusCode).toBe(201);
+            expect(new Date(res.body.auction.endTime).getTime()).toBeGreaterThan(closingSoon.getTime());
+            expect(res.body.auction.extensions).toHaveLength(1);
+            expect(String(res.body.auction.extensions[0].bid)).toBe(res.body.bid._id);
+
+            // The server must not close the auction at its old end time
+            const closed = await closeDueAuctions(new Date(closingSoon.getTime() + 1000), { _id: auctionId });
+            expect(closed).toHaveLength(0);
+
+            const stillOpen = await Auction.findById(auctionId);
+            expect(stillOpen.status).toBe('active');
+        });
+    });
+
+    describe('Proxy (maximum) bidding', () => {
+        const proxy = (buyerId, maxAmount, placedAt) => ({ _id: `${buyerId}-${maxAmount}`, buyerId, maxAmount, placedAt: new Date(placedAt) });
+
+        it('should resolve competing proxies one increment over the runner-up', () => {
+            const plan = planProxyBids(
+                { currentBid: 0, bidCount: 0, startingPrice: 20, leaderId: null },
+                [proxy('a', 50, '2026-03-01T10:00:00Z'), proxy('b', 40, '2026-03-01T09:00:00Z')]
+            );
+
+            expect(plan).toEqual([
+                { buyerId: 'b', amount: 40 },
+                { buyerId: 'a', amount: 41 }
+            ]);
+        });
+
+        it('should let the earlier proxy win a tie', () => {
+            const plan = planProxyBids(
+                { currentBid: 30, bidCount: 2, startingPrice: 20, leaderId: 'someone' },
+                [proxy('late', 50, '2026-03-01T10:00:00Z'), proxy('early', 50, '2026-03-01T09:00:00Z')]
+            );
+
+            expect(plan[plan.length - 1]).toEqual({ buyerId: 'early', amount: 50 });
+        });
+
+        it('should bid for the buyer up to their hidden maximum', async () => {
+            const cropId = await createCrop();
+            const auctionRes = await createAuction(cropId);
+            const auctionId = auctionRes.body._id;
+
+            const mine = await request(app)
+                .post(`/api/auctions/${auctionId}/proxy`)
+                .set('Authorization', `Bearer ${buyerToken}`)
+                .send({ maxAmount: 40 });
+
+            expect(mine.statusCode).toBe(201);
+            expect(mine.body.auction.currentBid).toBe(20);
+            expect(mine.body.proxy.maxAmount).toBe(40);
+
+            const rival = await request(app)
+                .post(`/api/auctions/${auctionId}/bids`)
+                .set('Authorization', `Bearer ${rivalToken}`)
+                .send({ amount: 30 });
+
+            // The proxy answers the manual bid with the minimum increment
+            expect(rival.statusCode).toBe(201);
+            expect(rival.body.auction.currentBid).toBe(31);
+            expect(String(rival.body.auction.highestBid.buyerId._id)).toBe(buyerId);
+
+            const rivalView = await request(app)
+                .get(`/api/auctions/${auctionId}`)
+                .set('Authorization', `Bearer ${rivalToken}`);
+
+            expect(rivalView.body.myProxy).toBeNull();
+            expect(rivalView.body.bids.filter((b) => b.isProxy)).toHaveLength(2);
+
+            const outbid = await request(app)
+                .post(`/api/auctions/${auctionId}/proxy`)
+                .set('Authorization', `Bearer ${rivalToken}`)
+                .send({ maxAmount: 60 });
+
+            expect(outbid.body.auction.currentBid).toBe(41);
+
+            const mineAfter = await ProxyBid.findOne({ auction: auctionId, buyerId });
+            expect(mineAfter.status).toBe('outbid');
+        });
+
+        it('should refuse a maximum below the minimum next bid (400)', async () => {
+            const cropId = await createCrop();
+            const auctionRes = await createAuction(cropId);
+
+            const res = await request(app)
+                .post(`/api/auctions/${auctionRes.body._id}/proxy`)
+                .set('Authorization', `Bearer ${buyerToken}`)
+                .send({ maxAmount: 10 });
+
+            expect(res.statusCode).toBe(400);
+        });
+    });
+
+    describe('PUT /api/auctions/:id/cancel', () => {
+        it('should let the farmer cancel an active auction (200)', async () => {
+            const cropId = await createCrop();
+            const auctionRes = await createAuction(cropId);
+
+            const res = await request(app)
+                .put(`/api/auctions/${auctionRes.body._id}/cancel`)
+                .set('Authorization', `Bearer ${farmerToken}`);
+
+            expect(res.statusCode).toBe(200);
+            expect(res.body.status).toBe('cancelled');
+        });
+    });
+});
@@ -0,0 +1,320 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'bid_test_secret';
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Crop = require('../models/Crop');
+const Bid = require('../models/Bid');
+const Notification = require('../models/Notification');
+const app = require('../server');
+const { getTestUri, createActiveUser } = require('./helpers');
+const { PENDING_BID_TTL_MS, expireDueBids } = require('../services/bidService');
+const { cancelUnpaidOrders, UNPAID_ORDER_TTL_MS } = require('../services/paymentService');
+const { createJobRunner } = require('../services/jobRunner');
+
+let farmerToken, buyerToken, rivalToken, buyerId;
+
+const createCrop = async (overrides = {}) => {
+    const res = await request(app)
+        .post('/api/crops')
+        .set('Authorization', `Bearer ${farmerToken}`)
+        .send({ name: 'Bid Rice', quantity: 30, price: 25, quality: 'A', location: 'Nagpur', ...overrides });
+    return res.body._id;
+};
+
+beforeAll(async () => {
+    await mongoose.connect(getTestUri('bid'));
+    await User.deleteMany({});
+    await Crop.deleteMany({});
+    await Bid.deleteMany({});
+    await Notification.deleteMany({});
+
+    const farmer = await createActiveUser({ phone: '5552223333', role: 'FARMER', name: 'Bid Farmer', location: 'Nagpur' });
+    farmerToken = farmer.token;
+
+    const buyer = await createActiveUser({ phone: '5554445555', role: 'BUYER', name: 'Bid Buyer' });
+    buyerToken = buyer.token;
+    buyerId = buyer.user._id;
+
+    const rival = await createActiveUser({ phone: '5556660000', role: 'BUYER', name: 'Bid Rival' });
+    rivalToken = rival.token;
+});
+
+afterAll(async () => {
+    await User.deleteMany({});
+    await Crop.deleteMany({});
+    await Bid.deleteMany({});
+    await Notification.deleteMany({});
+    await mongoose.connection.close();
+});
+
+describe('Bid API (Epic 4)', () => {
+
+    describe('POST /api/trade/bid and POST /api/bids/place', () => {
+        it('should apply the same rules on both endpoints and keep the asking price', async () => {
+            const cropId = await createCrop();
+
+            const first = await request(app)
+                .post('/api/trade/bid')
+                .set('Authorization', `Bearer ${buyerToken}`)
+                .send({ cropId, amount: 25 });
+
+            expect(first.statusCode).toBe(201);
+            expect(first.body.quantity).toBe(30);
+
+            // Equal to the highest open bid is not enough on the other endpoint either
+            const tooLow = await request(app)
+                .post('/api/bids/place')
+                .set('Authorization', `Bearer ${rivalToken}`)
+                .send({ listingId: cropId, amount: 25 });
+
+            expect(tooLow.statusCode).toBe(400);
+            expect(tooLow.body.message).toMatch(/at least ₹26/);
+
+            const raised = await request(app)
+                .post('/api/bids/place')
+                .set('Authorization', `Bearer ${rivalToken}`)
+                .send({ listingId: cropId, amount: 26, quantity: 10 });
+
+            expect(raised.statusCode).toBe(201);
+            expect(raised.body.quantity).toBe(10);
+
+            const crop = await Crop.findById(cropId);
+            expect(crop.price).toBe(25);
+        });
+
+        it('should require the first bid to reach the asking price (400)', async () => {
+            const cropId = await createCrop({ price: 40 });
+
+            const res = await request(app)
+                .post('/api/bids/place')
+                .set('Authorization', `Bearer ${buyerToken}`)
+                .send({ listingId: cropId, buyerId, amount: 39 });
+
+            expect(res.statusCode).toBe(400);
+        });
+
+        it('should reject a quantity larger than the listing (400)', async () => {
+            const cropId = await createCrop();
+
+            const res = await request(app)
+                .post('/api/trade/bid')
+                .set('Authorization', `Bearer ${buyerToken}`)
+                .send({ cropId, amount: 30, quantity: 31 });
+
+            expect(res.statusCode).toBe(400);
+        });
+
+        it('should not let a farmer bid on their own listing (400)', async () => {
+            const cropId = await createCrop();
+
+            const res = await request(app)
+                .post('/api/trade/bid')
+                .set('Authorization', `Bearer ${farmerToken}`)
+                .send({ cropId, amount: 30 });
+
+            expect(res.statusCode).toBe(400);
+        });
+    });
+
+    describe('PUT bid status', () => {
+        it('should accept a bid once and refuse to accept it again (400)', async () => {
+            const cropId = await createCrop();
+            const bidRes = await request(app)
+                .post('/api/trade/bid')
+                .set('Authorization', `Bearer ${buyerToken}`)
+                .send({ cropId, amount: 30 });
+
+            const accepted = await request(app)
+                .put(`/api/trade/bids/${bidRes.body._id}/status`)
+                .set('Authorization', `Bearer ${farmerToken}`)
+                .send({ status: 'Accepted' });
+
+            expect(accepted.statusCode).toBe(200);
+            expect(accepted.body.status).toBe('Accepted');
+            expect(new Date(accepted.body.expiresAt).getTime()).toBeGreaterThan(Date.now());
+
+            const again = await request(app)
+                .put(`/api/bids/${bidRes.body._id}/status`)
+                .set('Authorization', `Bearer ${farmerToken}`)
+                .send({ status: 'Accepted' });
+
+            expect(again.statusCode).toBe(400);
+        });
+    });
+
+    describe('Quantity reservations', () => {
+        const acceptBid = async (cropId, quantity) => {
+            const bidRes = await request(app)
+                .post('/api/trade/bid')
+                .set('Authorization', `Bearer ${buyerToken}`)
+                .send({ cropId, amount: 30, quantity });
+            await request(app)
+                .put(`/api/trade/bids/${bidRes.body._id}/status`)
+                .set('Authorization', `Bearer ${farmerToken}`)
+                .send({ status: 'Accepted' });
+            return bidRes.body._id;
+        };
+
+        const order = (token, body) => request(app)
+            .post('/api/trade/orders')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ paymentMethod: 'cod', shippingAddress: '8 Market Yard, Nagpur', ...body });
+
+        it('should hold accepted quantity so other buyers cannot buy it', async () => {
+            const cropId = await createCrop();
+            await acceptBid(cropId, 20);
+
+            const crop = await Crop.findById(cropId);
+            expect(crop.reservedQuantity).toBe(20);
+
+            const tooMuch = await order(rivalToken, { cropId, quantity: 11 });
+            expect(tooMuch.statusCode).toBe(400);
+
+            const rest = await order(rivalToken, { cropId, quantity: 10 });
+            expect(rest.statusCode).toBe(201);
+        });
+
+        it('should consume the reservation when the winning buyer checks out', async () => {
+            const cropId = await createCrop();
+            const bidId = await acceptBid(cropId, 20);
+
+            const res = await order(buyerToken, { cropId, bidId, quantity: 20 });
+            expect(res.statusCode).toBe(201);
+
+            const crop = await Crop.findById(cropId).select('+reservations');
+            expect(crop.quantity).toBe(10);
+            expect(crop.reservedQuantity).toBe(0);
+            expect(crop.reservations).toHaveLength(0);
+        });
+
+        it('should release the reservation when an accepted bid is rejected or expires', async () => {
+            const cropId = await createCrop();
+            const rejectedId = await acceptBid(cropId, 10);
+            const expiringId = await acceptBid(cropId, 15);
+
+            expect((await Crop.findById(cropId)).reservedQuantity).toBe(25);
+
+            const rejected = await request(app)
+                .put(`/api/trade/bids/${rejectedId}/status`)
+                .set('Authorization', `Bearer ${farmerToken}`)
+                .send({ status: 'Rejected' });
+            expect(rejected.statusCode).toBe(200);
+            expect((await Crop.findById(cropId)).reservedQuantity).toBe(15);
+
+            const bid = await Bid.findById(expiringId);
+            await expireDueBids(new Date(bid.expiresAt.getTime() + 1000), { _id: expiringId });
+            expect((await Crop.findById(cropId)).reservedQuantity).toBe(0);
+        });
+
+        it('should reopen the bid when its checkout is cancelled unpaid', async () => {
+            const cropId = await createCrop();
+            const bidId = await acceptBid(cropId, 20);
+
+            const declined = await order(buyerToken, {
+                cropId,
+                bidId,
+                quantity: 20,
+                paymentMethod: 'card',
+                paymentDetails: { number: '4000000000000002', expiry: '12/39', cvv: '123', name: 'Bid Buyer' }
+            });
+            expect(declined.body.paymentStatus).toBe('failed');
+            expect((await Bid.findById(bidId)).status).toBe('Completed');
+
+            const later = new Date(Date.now() + UNPAID_ORDER_TTL_MS + 1000);
+            await cancelUnpaidOrders(later);
+
+            const reopened = await Bid.findById(bidId);
+            expect(reopened.status).toBe('Accepted');
+            expect(reopened.expiresAt.getTime()).toBeGreaterThan(later.getTime());
+            expect((await Crop.findById(cropId)).reservedQuantity).toBe(20);
+
+            const paid = await order(buyerToken, { cropId, bidId, quantity: 20 });
+            expect(paid.statusCode).toBe(201);
+            expect((await Bid.findById(bidId)).status).toBe('Completed');
+        });
+
+        it('should refuse to accept more than is still available (400)', async () => {
+            const cropId = await createCrop();
+            const first = await request(app)
+                .post('/api/trade/bid')
+                .set('Authorization', `Bearer ${buyerToken}`)
+                .send({ cropId, amount: 30, quantity: 20 });
+            const second = await request(app)
+                .post('/api/trade/bid')
+                .set('Authorization', `Bearer ${rivalToken}`)
+                .send({ cropId, amount: 31, quantity: 20 });
+
+            const accepted = await request(app)
+                .put(`/api/trade/bids/${second.body._id}/status`)
+                .set('Authorization', `Bearer ${farmerToken}`)
+                .send({ status: 'Accepted' });
+            expect(accepted.statusCode).toBe(200);
+
+            const res = await request(app)
+                .put(`/api/trade/bids/${first.body._id}/status`)
+                .set('Authorization', `Bearer ${farmerToken}`)
+                .send({ status: 'Accepted' });
+
+            expect(res.statusCode).toBe(400);
+            expect((await Bid.findById(first.body._id)).status).toBe('Pending');
+        });
+    });
+
+    describe('Bid expiry job', () => {
+        const placeBid = async (amount) => {
+            const cropId = await createCrop();
+            const res = await request(app)
+                .post('/api/trade/bid')
+                .set('Authorization', `Bearer ${buyerToken}`)
+                .send({ cropId, amount });
+            return res.body._id;
+        };
+
+        it('should expire an accepted bid when its payment window closes and notify both sides', async () => {
+            const bidId = await placeBid(30);
+            await request(app)
+                .put(`/api/trade/bids/${bidId}/status`)
+                .set('Authorization', `Bearer ${farmerToken}`)
+                .send({ status: 'Accepted' });
+
+            const accepted = await Bid.findById(bidId);
+            const justBefore = new Date(accepted.expiresAt.getTime() - 1000);
+            const justAfter = new Date(accepted.expiresAt.getTime() + 1000);
+
+            expect(await expireDueBids(justBefore, { _id: bidId })).toHaveLength(0);
+
+            let now = justAfter;
+            const runner = createJobRunner({ clock: () => now })
+                .register('expire-due-bids', (time) => expireDueBids(time, { _id: bidId }));
+            const results = await runner.runAll();
+
+            expect(results['expire-due-bids']).toHaveLength(1);
+            const expired = await Bid.findById(bidId);
+            expect(expired.status).toBe('Expired');
+            expect(expired.expiredAt).toEqual(justAfter);
+
+            const notices = await Notification.find({ title: 'Bid Expired', message: /payment window|did not pay/ });
+            expect(notices.map((n) => n.role).sort()).toEqual(['BUYER', 'FARMER']);
+
+            // Running again does not expire or notify twice
+            now = new Date(justAfter.getTime() + 60 * 1000);
+            const again = await runner.runAll();
+            expect(again['expire-due-bids']).toHaveLength(0);
+        });
+
+        it('should expire pending bids the farmer never answered', async () => {
+            const bidId = await placeBid(30);
+            const bid = await Bid.findById(bidId);
+
+            const stillFresh = new Date(bid.createdAt.getTime() + PENDING_BID_TTL_MS - 1000);
+            expect(await expireDueBids(stillFresh, { _id: bidId })).toHaveLength(0);
+
+            const stale = new Date(bid.createdAt.getTime() + PENDING_BID_TTL_MS + 1000);
+            const expired = await expireDueBids(stale, { _id: bidId });
+
+            expect(expired).toHaveLength(1);
+            expect(expired[0].status).toBe('Expired');
+        });
+    });
+});
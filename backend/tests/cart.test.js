@@ -0,0 +1,189 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'cart_test_secret';
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Crop = require('../models/Crop');
+const Cart = require('../models/Cart');
+const Order = require('../models/Order');
+const Notification = require('../models/Notification');
+const app = require('../server');
+const { getTestUri, createActiveUser } = require('./helpers');
+
+let firstFarmerToken, secondFarmerToken, buyerToken;
+
+const createCrop = async (token, overrides = {}) => {
+    const res = await request(app)
+        .post('/api/crops')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'Cart Wheat', quantity: 20, price: 30, quality: 'A', location: 'Indore', ...overrides });
+    return res.body._id;
+};
+
+const addToCart = (cropId, quantity) => request(app)
+    .post('/api/cart/items')
+    .set('Authorization', `Bearer ${buyerToken}`)
+    .send({ cropId, quantity });
+
+const checkout = () => request(app)
+    .post('/api/cart/checkout')
+    .set('Authorization', `Bearer ${buyerToken}`)
+    .send({ paymentMethod: 'upi', paymentDetails: { upiId: 'buyer@upi' }, shippingAddress: '4 Mandi Road, Indore' });
+
+beforeAll(async () => {
+    await mongoose.connect(getTestUri('cart'));
+    await User.deleteMany({});
+    await Crop.deleteMany({});
+    await Cart.deleteMany({});
+    await Order.deleteMany({});
+    await Notification.deleteMany({});
+
+    const firstFarmer = await createActiveUser({ phone: '5558880001', role: 'FARMER', name: 'Cart Farmer One', location: 'Indore' });
+    firstFarmerToken = firstFarmer.token;
+
+    const secondFarmer = await createActiveUser({ phone: '5558880002', role: 'FARMER', name: 'Cart Farmer Two', location: 'Bhopal' });
+    secondFarmerToken = secondFarmer.token;
+
+    const buyer = await createActiveUser({ phone: '5558880003', role: 'BUYER', name: 'Cart Buyer' });
+    buyerToken = buyer.token;
+});
+
+beforeEach(async () => {
+    await Cart.deleteMany({});
+});
+
+afterAll(async () => {
+    await User.deleteMany({});
+    await Crop.deleteMany({});
+    await Cart.deleteMany({});
+    await Order.deleteMany({});
+    await Notification.deleteMany({});
+    await mongoose.connection.close();
+});
+
+describe('Cart API (Epic 4)', () => {
+
+    describe('Cart items', () => {
+        it('should group items by farmer and add to an existing item', async () => {
+            const wheat = await createCrop(firstFarmerToken);
+            const rice = await createCrop(firstFarmerToken, { name: 'Cart Rice', price: 40 });
+            const maize = await createCrop(secondFarmerToken, { name: 'Cart Maize', price: 20 });
+
+            await addToCart(wheat, 2);
+            await addToCart(rice, 1);
+            await addToCart(maize, 5);
+            const res = await addToCart(wheat, 3);
+
+            expect(res.statusCode).toBe(200);
+            expect(res.body.items).toHaveLength(3);
+            expect(res.body.farmers).toHaveLength(2);
+            expect(res.body.items.find((item) => item.crop === wheat).quantity).toBe(5);
+            expect(res.body.totalAmount).toBe(5 * 30 + 40 + 5 * 20);
+        });
+
+        it('should refuse more than the listing has available (400)', async () => {
+            const cropId = await createCrop(firstFarmerToken, { quantity: 4 });
+
+            const res = await addToCart(cropId, 5);
+
+            expect(res.statusCode).toBe(400);
+        });
+
+        it('should not let a farmer add their own listing (400)', async () => {
+            const cropId = await createCrop(firstFarmerToken);
+
+            const res = await request(app)
+                .post('/api/cart/items')
+                .set('Authorization', `Bearer ${firstFarmerToken}`)
+                .send({ cropId, quantity: 1 });
+
+            expect(res.statusCode).toBe(400);
+        });
+
+        it('should update and remove items', async () => {
+            const cropId = await createCrop(firstFarmerToken);
+            await addToCart(cropId, 2);
+
+            const updated = await request(app)
+                .put(`/api/cart/items/${cropId}`)
+                .set('Authorization', `Bearer ${buyerToken}`)
+                .send({ quantity: 7 });
+            expect(updated.statusCode).toBe(200);
+            expect(updated.body.items[0].quantity).toBe(7);
+
+            const removed = await request(app)
+                .delete(`/api/cart/items/${cropId}`)
+                .set('Authorization', `Bearer ${buyerToken}`);
+            expect(removed.statusCode).toBe(200);
+            expect(removed.body.items).toHaveLength(0);
+        });
+    });
+
+    describe('POST /api/cart/checkout', () => {
+        it('should create one order per farmer and empty the cart', async () => {
+            const wheat = await createCrop(firstFarmerToken);
+            const rice = await createCrop(firstFarmerToken, { name: 'Cart Rice', price: 40 });
+            const maize = await createCrop(secondFarmerToken, { name: 'Cart Maize', price: 20 });
+
+            await addToCart(wheat, 2);
+            await addToCart(rice, 1);
+            await addToCart(maize, 5);
+
+            const res = await checkout();
+
+            expect(res.statusCode).toBe(201);
+            expect(res.body.orders).toHaveLength(2);
+
+            const [first, second] = res.body.orders;
+            expect(first.checkoutId).toBe(res.body.checkoutId);
+            expect(second.checkoutId).toBe(res.body.checkoutId);
+            expect(first.farmer._id).not.toBe(second.farmer._id);
+
+            const totals = res.body.orders.map((order) => order.totalAmount).sort((a, b) => a - b);
+            expect(totals).toEqual([100, 2 * 30 + 40]);
+
+            const stored = await Order.find({ checkoutId: res.body.checkoutId });
+            stored.forEach((order) => {
+                expect(order.paymentStatus).toBe('paid');
+                // Only a masked UPI ID is kept on the order
+                expect(order.payment.instrument.upiHandle).toBe('bu***@upi');
+                expect(JSON.stringify(order.toObject())).not.toContain('buyer@upi');
+            });
+
+            expect((await Crop.findById(wheat)).quantity).toBe(18);
+            expect((await Crop.findById(maize)).quantity).toBe(15);
+
+            const cart = await Cart.findOne({});
+            expect(cart.items).toHaveLength(0);
+
+            const farmerNotices = await Notification.find({ title: 'New Direct Purchase', role: 'FARMER' });
+            expect(farmerNotices.length).toBeGreaterThanOrEqual(2);
+        });
+
+        it('should create no orders when one listing no longer has the quantity (400)', async () => {
+            const wheat = await createCrop(firstFarmerToken);
+            const maize = await createCrop(secondFarmerToken, { name: 'Cart Maize', price: 20 });
+
+            await addToCart(wheat, 2);
+            await addToCart(maize, 10);
+            // Someone else bought most of the maize in the meantime
+            await Crop.updateOne({ _id: maize }, { $set: { quantity: 5 } });
+
+            const ordersBefore = await Order.countDocuments({});
+            const res = await checkout();
+
+            expect(res.statusCode).toBe(400);
+            expect(await Order.countDocuments({})).toBe(ordersBefore);
+            expect((await Crop.findById(wheat)).quantity).toBe(20);
+
+            const cart = await Cart.findOne({});
+            expect(cart.items).toHaveLength(2);
+        });
+
+        it('should refuse an empty cart (400)', async () => {
+            const res = await checkout();
+
+            expect(res.statusCode).toBe(400);
+        });
+    });
+});
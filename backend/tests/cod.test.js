@@ -0,0 +1,220 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'cod_test_secret';
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Crop = require('../models/Crop');
+const Order = require('../models/Order');
+const LedgerTransaction = require('../models/LedgerTransaction');
+const Payout = require('../models/Payout');
+const PayoutBatch = require('../models/PayoutBatch');
+const FeeRule = require('../models/FeeRule');
+const { getTrialBalance } = require('../services/ledgerService');
+const app = require('../server');
+const { getTestUri, createActiveUser } = require('./helpers');
+
+const CARD = { number: '4111111111111111', expiry: '12/39', cvv: '123', name: 'Cod Buyer' };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let farmer, farmerToken, otherFarmerToken, buyerToken, adminToken;
+
+// ₹80 order: 2 × ₹40
+const placeOrder = async (payment = { paymentMethod: 'cod' }) => {
+    const cropRes = await request(app)
+        .post('/api/crops')
+        .set('Authorization', `Bearer ${farmerToken}`)
+        .send({ name: 'Cod Wheat', quantity: 10, price: 40, quality: 'A', location: 'Nagpur' });
+
+    const orderRes = await request(app)
+        .post('/api/trade/orders')
+        .set('Authorization', `Bearer ${buyerToken}`)
+        .send({ cropId: cropRes.body._id, quantity: 2, shippingAddress: '3 Cotton Market, Nagpur', ...payment });
+
+    return orderRes.body;
+};
+
+const setStatus = (token, orderId, status) => request(app)
+    .put(`/api/trade/orders/${orderId}`)
+    .set('Authorization', `Bearer ${token}`)
+    .send({ status });
+
+const ship = async (orderId) => {
+    await setStatus(farmerToken, orderId, 'Processing');
+    return setStatus(farmerToken, orderId, 'Shipped');
+};
+
+const collect = (token, orderId, body) => request(app)
+    .post(`/api/trade/orders/${orderId}/cod-collection`)
+    .set('Authorization', `Bearer ${token}`)
+    .send(body);
+
+const report = (token) => request(app)
+    .get('/api/admin/cod-reconciliation')
+    .set('Authorization', `Bearer ${token}`);
+
+const accept = (token, orderId, body = {}) => request(app)
+    .put(`/api/admin/orders/${orderId}/cod-collection`)
+    .set('Authorization', `Bearer ${token}`)
+    .send(body);
+
+const ledgerLines = async (orderId) => {
+    const entry = await LedgerTransaction.findOne({ order: orderId, type: 'cod_collection' });
+    return entry && entry.lines.map(({ account, debit, credit }) => ({ account, debit, credit }));
+};
+
+beforeAll(async () => {
+    await mongoose.connect(getTestUri('cod'));
+    await User.deleteMany({});
+    await Crop.deleteMany({});
+
+    farmerToken = (await createActiveUser({ phone: '5553330001', role: 'FARMER', name: 'Cod Farmer', location: 'Nagpur' })).token;
+    farmer = await User.findOne({ phone: '5553330001' });
+    otherFarmerToken = (await createActiveUser({ phone: '5553330002', role: 'FARMER', name: 'Other Farmer', location: 'Pune' })).token;
+    buyerToken = (await createActiveUser({ phone: '5553330003', role: 'BUYER', name: 'Cod Buyer' })).token;
+    adminToken = (await createActiveUser({ phone: '5553330004', role: 'ADMIN', name: 'Cod Admin' })).token;
+});
+
+beforeEach(async () => {
+    await FeeRule.deleteMany({});
+    await FeeRule.create({ name: 'Commission', kind: 'percentage', value: 2, payer: 'farmer' });
+    await Order.deleteMany({});
+    await LedgerTransaction.deleteMany({});
+    await Payout.deleteMany({});
+    await PayoutBatch.deleteMany({});
+});
+
+afterAll(async () => {
+    await User.deleteMany({});
+    await Crop.deleteMany({});
+    await Order.deleteMany({});
+    await LedgerTransaction.deleteMany({});
+    await Payout.deleteMany({});
+    await PayoutBatch.deleteMany({});
+    await FeeRule.deleteMany({});
+    await mongoose.connection.close();
+});
+
+describe('Cash on delivery collection', () => {
+
+    it('should mark a COD order paid when the cash collected matches and post it to the ledger', async () => {
+        const order = await placeOrder();
+        await ship(order._id);
+
+        const res = await collect(farmerToken, order._id, { amount: 80, note: 'Paid at the gate' });
+        expect(res.statusCode).toBe(200);
+        expect(res.body.paymentStatus).toBe('paid');
+        expect(res.body.codCollection).toMatchObject({ status: 'matched', amount: 80, expectedAmount: 80, difference: 0, collectedByRole: 'FARMER' });
+
+        // The farmer keeps the cash and owes the commission
+        expect(await ledgerLines(order._id)).toEqual([
+            { account: 'farmer_payable', debit: 8000, credit: 0 },
+            { account: 'farmer_payable', debit: 0, credit: 7840 },
+            { account: 'platform_fees', debit: 0, credit: 160 }
+        ]);
+        expect((await getTrialBalance({ from: new Date(0), to: new Date(Date.now() + 60 * 1000) })).balanced).toBe(true);
+
+        // Recording it again changes nothing
+        expect((await collect(farmerToken, order._id, { amount: 80 })).statusCode).toBe(400);
+        expect(await LedgerTransaction.countDocuments({ order: order._id })).toBe(1);
+    });
+
+    it('should take the commission on cash collected from the farmer\'s next payout', async () => {
+        const cod = await placeOrder();
+        await ship(cod._id);
+        await collect(farmerToken, cod._id, { amount: 80 });
+
+        const prepaid = await placeOrder({ paymentMethod: 'card', paymentDetails: CARD });
+        await ship(prepaid._id);
+        await setStatus(buyerToken, prepaid._id, 'Delivered');
+
+        const run = await request(app)
+            .post('/api/admin/payouts/run')
+            .set('Authorization', `Bearer ${adminToken}`);
+        expect(run.body.totalAmount).toBe(76.8);
+
+        const statement = await request(app)
+            .get('/api/payments/statement')
+            .set('Authorization', `Bearer ${farmerToken}`);
+        expect(statement.body).toMatchObject({
+            closingBalance: 0,
+            totals: { gross: 160, fees: 3.2, earned: 156.8, paidOut: 156.8 }
+        });
+        expect(statement.body.entries.map((entry) => entry.type)).toEqual(['cod_collection', 'release', 'payout']);
+        expect(statement.body.entries[0]).toMatchObject({ gross: 80, fee: 1.6, amount: -1.6, balance: -1.6 });
+    });
+
+    it('should only let the farmer or an admin record cash for a shipped COD order', async () => {
+        const order = await placeOrder();
+        expect((await collect(farmerToken, order._id, { amount: 80 })).statusCode).toBe(400);
+
+        await ship(order._id);
+        expect((await collect(buyerToken, order._id, { amount: 80 })).statusCode).toBe(403);
+        expect((await collect(otherFarmerToken, order._id, { amount: 80 })).statusCode).toBe(403);
+        expect((await collect(farmerToken, order._id, { amount: -5 })).statusCode).toBe(400);
+        expect((await collect(farmerToken, order._id, {})).statusCode).toBe(400);
+        expect((await collect(farmerToken, new mongoose.Types.ObjectId(), { amount: 80 })).statusCode).toBe(404);
+
+        const prepaid = await placeOrder({ paymentMethod: 'card', paymentDetails: CARD });
+        await ship(prepaid._id);
+        expect((await collect(farmerToken, prepaid._id, { amount: 80 })).statusCode).toBe(400);
+
+        const byAdmin = await collect(adminToken, order._id, { amount: 80, agentName: 'Ravi (courier)' });
+        expect(byAdmin.statusCode).toBe(200);
+        expect(byAdmin.body.codCollection).toMatchObject({ collectedByRole: 'ADMIN', agentName: 'Ravi (courier)' });
+    });
+
+    it('should flag a mismatch for an admin, who can accept the amount collected', async () => {
+        const order = await placeOrder();
+        await ship(order._id);
+
+        const short = await collect(farmerToken, order._id, { amount: 70 });
+        expect(short.statusCode).toBe(200);
+        expect(short.body.paymentStatus).toBe('pending');
+        expect(short.body.codCollection).toMatchObject({ status: 'mismatch', amount: 70, difference: -10 });
+        expect(await ledgerLines(order._id)).toBeNull();
+
+        // The farmer can correct it while it waits
+        const corrected = await collect(farmerToken, order._id, { amount: 75 });
+        expect(corrected.body.codCollection).toMatchObject({ status: 'mismatch', amount: 75, difference: -5 });
+
+        const pending = await report(adminToken);
+        expect(pending.body.mismatches).toHaveLength(1);
+        expect(pending.body.mismatches[0]).toMatchObject({ expectedAmount: 80, amount: 75, difference: -5 });
+
+        expect((await accept(farmerToken, order._id)).statusCode).toBe(401);
+        const accepted = await accept(adminToken, order._id, { note: 'Buyer paid ₹5 less after a weight check' });
+        expect(accepted.statusCode).toBe(200);
+        expect(accepted.body.paymentStatus).toBe('paid');
+        expect(accepted.body.codCollection).toMatchObject({ status: 'accepted', resolutionNote: 'Buyer paid ₹5 less after a weight check' });
+        expect((await ledgerLines(order._id))[0]).toEqual({ account: 'farmer_payable', debit: 7500, credit: 0 });
+
+        expect((await accept(adminToken, order._id)).statusCode).toBe(400);
+    });
+
+    it('should report outstanding COD amounts by farmer and age', async () => {
+        const recent = await placeOrder();
+        const old = await placeOrder();
+        const notShipped = await placeOrder();
+        await ship(recent._id);
+        await ship(old._id);
+        await Order.updateOne(
+            { _id: old._id, 'statusHistory.status': 'Shipped' },
+            { $set: { 'statusHistory.$.at': new Date(Date.now() - 20 * DAY_MS) } }
+        );
+
+        const res = await report(adminToken);
+        expect(res.statusCode).toBe(200);
+        expect(res.body.buckets).toEqual(['0-7', '8-15', '16-30', '31+']);
+        expect(res.body.totals).toMatchObject({ orders: 2, amount: 160, mismatches: 0, byAge: { '0-7': 80, '8-15': 0, '16-30': 80, '31+': 0 } });
+        expect(res.body.farmers).toHaveLength(1);
+        expect(res.body.farmers[0]).toMatchObject({ orders: 2, amount: 160, oldestDays: 20 });
+        expect(res.body.farmers[0].farmer).toMatchObject({ _id: String(farmer._id), name: 'Cod Farmer' });
+        expect(notShipped.paymentStatus).toBe('pending');
+
+        // Collected orders drop off the report
+        await collect(farmerToken, recent._id, { amount: 80 });
+        expect((await report(adminToken)).body.totals).toMatchObject({ orders: 1, amount: 80 });
+
+        expect((await report(buyerToken)).statusCode).toBe(401);
+    });
+});
@@ -0,0 +1,191 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'escrow_test_secret';
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Crop = require('../models/Crop');
+const Order = require('../models/Order');
+const Notification = require('../models/Notification');
+const mockProvider = require('../services/paymentProviders/mockProvider');
+const { releaseDueEscrows, ESCROW_DISPUTE_WINDOW_MS } = require('../services/escrowService');
+const app = require('../server');
+const { getTestUri, createActiveUser } = require('./helpers');
+
+const CARD = { number: '4111111111111111', expiry: '12/39', cvv: '123', name: 'Escrow Buyer' };
+
+let farmerToken, buyerToken, strangerToken, adminToken;
+
+const placeOrder = async (payment = { paymentMethod: 'card', paymentDetails: CARD }) => {
+    const cropRes = await request(app)
+        .post('/api/crops')
+        .set('Authorization', `Bearer ${farmerToken}`)
+        .send({ name: 'Escrow Rice', quantity: 10, price: 40, quality: 'A', location: 'Raipur' });
+
+    const orderRes = await request(app)
+        .post('/api/trade/orders')
+        .set('Authorization', `Bearer ${buyerToken}`)
+        .send({ cropId: cropRes.body._id, quantity: 2, shippingAddress: '5 Rice Mill Road, Raipur', ...payment });
+
+    return orderRes.body;
+};
+
+const setStatus = (token, orderId, status, note) => request(app)
+    .put(`/api/trade/orders/${orderId}`)
+    .set('Authorization', `Bearer ${token}`)
+    .send({ status, note });
+
+const ship = async (orderId) => {
+    await setStatus(farmerToken, orderId, 'Processing');
+    return setStatus(farmerToken, orderId, 'Shipped');
+};
+
+const dispute = (token, orderId, reason) => request(app)
+    .post(`/api/trade/orders/${orderId}/dispute`)
+    .set('Authorization', `Bearer ${token}`)
+    .send({ reason });
+
+const resolve = (orderId, action) => request(app)
+    .put(`/api/admin/orders/${orderId}/dispute`)
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send({ action, note: 'Checked the delivery photos' });
+
+beforeAll(async () => {
+    await mongoose.connect(getTestUri('escrow'));
+    await User.deleteMany({});
+    await Crop.deleteMany({});
+    await Order.deleteMany({});
+    await Notification.deleteMany({});
+
+    farmerToken = (await createActiveUser({ phone: '5556660001', role: 'FARMER', name: 'Escrow Farmer', location: 'Raipur' })).token;
+    buyerToken = (await createActiveUser({ phone: '5556660002', role: 'BUYER', name: 'Escrow Buyer' })).token;
+    strangerToken = (await createActiveUser({ phone: '5556660003', role: 'BUYER', name: 'Escrow Stranger' })).token;
+    adminToken = (await createActiveUser({ phone: '5556660004', role: 'ADMIN', name: 'Escrow Admin' })).token;
+});
+
+beforeEach(async () => {
+    await Notification.deleteMany({});
+});
+
+afterAll(async () => {
+    await User.deleteMany({});
+    await Crop.deleteMany({});
+    await Order.deleteMany({});
+    await Notification.deleteMany({});
+    await mongoose.connection.close();
+});
+
+describe('Escrow', () => {
+
+    it('should hold a prepaid order\'s payment and release it when the buyer confirms delivery', async () => {
+        const order = await placeOrder();
+        expect(order.paymentStatus).toBe('paid');
+        expect(order.escrow.status).toBe('held');
+
+        const shipped = await ship(order._id);
+        expect(shipped.body.escrow.status).toBe('held');
+        const windowEnd = new Date(shipped.body.escrow.releaseAfter).getTime();
+        expect(windowEnd).toBeGreaterThan(Date.now() + ESCROW_DISPUTE_WINDOW_MS - 60 * 1000);
+
+        const delivered = await setStatus(buyerToken, order._id, 'Delivered');
+        expect(delivered.body.escrow).toMatchObject({ status: 'released', releaseReason: 'delivery_confirmed' });
+        expect(await Notification.countDocuments({ title: 'Payment Released', role: 'FARMER' })).toBe(1);
+    });
+
+    it('should not use escrow for cash on delivery', async () => {
+        const order = await placeOrder({ paymentMethod: 'cod' });
+        expect(order.escrow?.status).toBeUndefined();
+    });
+
+    it('should refund the escrowed payment when the order is cancelled', async () => {
+        const order = await placeOrder();
+
+        const res = await request(app)
+            .post(`/api/trade/orders/${order._id}/cancel`)
+            .set('Authorization', `Bearer ${buyerToken}`)
+            .send({ reason: 'Plans changed' });
+
+        expect(res.body.paymentStatus).toBe('refunded');
+        expect(res.body.escrow.status).toBe('refunded');
+    });
+
+    it('should release the payment once the dispute window passes', async () => {
+        const order = await placeOrder();
+        await ship(order._id);
+
+        expect(await releaseDueEscrows(new Date())).toBe(0);
+
+        const later = new Date(Date.now() + ESCROW_DISPUTE_WINDOW_MS + 1000);
+        expect(await releaseDueEscrows(later)).toBeGreaterThanOrEqual(1);
+
+        const released = await Order.findById(order._id);
+        expect(released.escrow.status).toBe('released');
+        expect(released.escrow.releaseReason).toBe('dispute_window_elapsed');
+    });
+
+    it('should hold a disputed payment until an admin refunds the buyer', async () => {
+        const order = await placeOrder();
+        await ship(order._id);
+
+        const res = await dispute(buyerToken, order._id, 'Half the bags were wet');
+        expect(res.statusCode).toBe(200);
+        expect(res.body.escrow).toMatchObject({ status: 'disputed', disputeReason: 'Half the bags were wet' });
+        expect(await Notification.countDocuments({ title: 'Order Disputed', role: 'FARMER' })).toBe(1);
+
+        // The window passing does not release a disputed payment
+        await releaseDueEscrows(new Date(Date.now() + ESCROW_DISPUTE_WINDOW_MS + 1000));
+        expect((await Order.findById(order._id)).escrow.status).toBe('disputed');
+
+        const listed = await request(app).get('/api/admin/disputes').set('Authorization', `Bearer ${adminToken}`);
+        expect(listed.body.map((entry) => entry._id)).toContain(order._id);
+
+        const resolved = await resolve(order._id, 'refund');
+        expect(resolved.statusCode).toBe(200);
+        expect(resolved.body.paymentStatus).toBe('refunded');
+        expect(resolved.body.escrow.status).toBe('refunded');
+    });
+
+    it('should let an admin retry a refund the provider failed', async () => {
+        const order = await placeOrder();
+        await ship(order._id);
+        await dispute(buyerToken, order._id, 'Wrong variety');
+
+        const refund = jest.spyOn(mockProvider, 'refund').mockRejectedValueOnce(new Error('Gateway timed out'));
+        try {
+            expect((await resolve(order._id, 'refund')).statusCode).toBe(502);
+            const failed = await Order.findById(order._id);
+            expect(failed.paymentStatus).toBe('paid');
+            expect(failed.payment.refundStatus).toBe('failed');
+
+            const retried = await resolve(order._id, 'refund');
+            expect(retried.statusCode).toBe(200);
+            expect(retried.body.paymentStatus).toBe('refunded');
+            expect(retried.body.payment.refundStatus).toBe('succeeded');
+            expect(refund).toHaveBeenCalledTimes(2);
+        } finally {
+            refund.mockRestore();
+        }
+    });
+
+    it('should let an admin release a disputed payment to the farmer', async () => {
+        const order = await placeOrder();
+        await ship(order._id);
+        await dispute(buyerToken, order._id, 'Arrived late');
+
+        const resolved = await resolve(order._id, 'release');
+
+        expect(resolved.statusCode).toBe(200);
+        expect(resolved.body.escrow).toMatchObject({ status: 'released', releaseReason: 'dispute_resolved' });
+        expect(resolved.body.paymentStatus).toBe('paid');
+    });
+
+    it('should only let the buyer dispute a shipped order, with a reason', async () => {
+        const order = await placeOrder();
+
+        expect((await dispute(buyerToken, order._id, 'Not shipped yet')).statusCode).toBe(400);
+
+        await ship(order._id);
+        expect((await dispute(buyerToken, order._id, '  ')).statusCode).toBe(400);
+        expect((await dispute(strangerToken, order._id, 'Not mine')).statusCode).toBe(403);
+        expect((await resolve(order._id, 'refund')).statusCode).toBe(400);
+    });
+});
@@ -0,0 +1,51 @@
+/**
+ * @fileoverview Shared fixtures for the backend API test suites
+ *
+ * Each suite runs against its own database, so suites do not clear each
+ * other's data, and signs in users created directly in the DB (there is
+ * no register endpoint).
+ *
+ * Require it after setting process.env.JWT_SECRET, like the server.
+ *
+ * @module tests/helpers
+ * @requires supertest
+ * @requires models/User
+ * @requires server
+ */
+
+const request = require('supertest');
+const User = require('../../models/User');
+const app = require('../../server');
+
+/**
+ * MongoDB URI of a suite's database, `agritech_test_<name>`, on the
+ * MONGO_URI server or a local one.
+ *
+ * @param {String} name - Suite name, e.g. 'auction'
+ * @returns {String}
+ */
+const getTestUri = (name) => {
+    const originalUri = process.env.MONGO_URI;
+    if (originalUri && originalUri.includes('agritech')) {
+        return originalUri.replace('agritech', `agritech_test_${name}`);
+    }
+    return `mongodb://localhost:27017/agritech_test_${name}`;
+};
+
+/**
+ * Create an active user and log them in.
+ *
+ * @async
+ * @param {Object} fields - User fields; phone is required
+ * @returns {Promise<Object>} The login response body ({ token, user })
+ */
+const createActiveUser = async (fields) => {
+    await User.create({ password: 'password123', isActive: true, ...fields });
+    const res = await request(app).post('/api/auth/login').send({ phone: fields.phone, password: 'password123' });
+    return res.body;
+};
+
+module.exports = {
+    getTestUri,
+    createActiveUser,
+};
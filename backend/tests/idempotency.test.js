@@ -0,0 +1,144 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'idempotency_test_secret';
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Crop = require('../models/Crop');
+const Order = require('../models/Order');
+const Bid = require('../models/Bid');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const { HttpError } = require('../utils/httpError');
+const app = require('../server');
+const { getTestUri, createActiveUser } = require('./helpers');
+
+const CARD = { number: '4111111111111111', expiry: '12/39', cvv: '123', name: 'Retry Buyer' };
+
+let farmerToken, buyerToken, otherBuyerToken, cropId;
+
+const order = (token, key, body = {}) => request(app)
+    .post('/api/trade/orders')
+    .set('Authorization', `Bearer ${token}`)
+    .set('Idempotency-Key', key)
+    .send({ cropId, quantity: 2, paymentMethod: 'card', paymentDetails: CARD, shippingAddress: '5 Market Yard, Nashik', ...body });
+
+beforeAll(async () => {
+    await mongoose.connect(getTestUri('idempotency'));
+    await User.deleteMany({});
+    await Crop.deleteMany({});
+
+    farmerToken = (await createActiveUser({ phone: '5555550001', role: 'FARMER', name: 'Retry Farmer', location: 'Nashik' })).token;
+    buyerToken = (await createActiveUser({ phone: '5555550002', role: 'BUYER', name: 'Retry Buyer' })).token;
+    otherBuyerToken = (await createActiveUser({ phone: '5555550003', role: 'BUYER', name: 'Other Buyer' })).token;
+});
+
+beforeEach(async () => {
+    await Crop.deleteMany({});
+    await Order.deleteMany({});
+    await Bid.deleteMany({});
+    await IdempotencyKey.deleteMany({});
+
+    const cropRes = await request(app)
+        .post('/api/crops')
+        .set('Authorization', `Bearer ${farmerToken}`)
+        .send({ name: 'Retry Onion', quantity: 20, price: 30, quality: 'A', location: 'Nashik' });
+    cropId = cropRes.body._id;
+});
+
+afterAll(async () => {
+    await User.deleteMany({});
+    await Crop.deleteMany({});
+    await Order.deleteMany({});
+    await Bid.deleteMany({});
+    await IdempotencyKey.deleteMany({});
+    await mongoose.connection.close();
+});
+
+describe('Idempotency keys', () => {
+
+    it('should replay the original order instead of placing it again', async () => {
+        const first = await order(buyerToken, 'checkout-1');
+        expect(first.statusCode).toBe(201);
+
+        const replay = await order(buyerToken, 'checkout-1');
+        expect(replay.statusCode).toBe(201);
+        expect(replay.headers['idempotent-replayed']).toBe('true');
+        expect(replay.body._id).toBe(first.body._id);
+
+        expect(await Order.countDocuments()).toBe(1);
+        expect((await Crop.findById(cropId)).quantity).toBe(18);
+
+        // Another key, or no key, is a new order
+        expect((await order(buyerToken, 'checkout-2')).body._id).not.toBe(first.body._id);
+        expect(await Order.countDocuments()).toBe(2);
+    });
+
+    it('should reject a key reused for a different request', async () => {
+        await order(buyerToken, 'checkout-1');
+        const other = await order(buyerToken, 'checkout-1', { quantity: 3 });
+        expect(other.statusCode).toBe(422);
+        expect(await Order.countDocuments()).toBe(1);
+
+        const empty = await order(buyerToken, ' ');
+        expect(empty.statusCode).toBe(400);
+    });
+
+    it('should keep keys separate per user', async () => {
+        const mine = await order(buyerToken, 'shared-key');
+        const theirs = await order(otherBuyerToken, 'shared-key');
+        expect(theirs.statusCode).toBe(201);
+        expect(theirs.body._id).not.toBe(mine.body._id);
+    });
+
+    it('should answer 409 while the first request is still running', async () => {
+        await order(buyerToken, 'in-flight');
+        await IdempotencyKey.updateOne({ key: 'in-flight' }, { $set: { status: 'processing' }, $unset: { responseStatus: '', responseBody: '' } });
+
+        const res = await order(buyerToken, 'in-flight');
+        expect(res.statusCode).toBe(409);
+        expect(res.headers['retry-after']).toBe('1');
+        expect(await Order.countDocuments()).toBe(1);
+    });
+
+    it('should not keep a conflict, so the same key can be retried', async () => {
+        const spy = jest.spyOn(Order, 'create').mockRejectedValueOnce(new HttpError(409, 'Try again'));
+        const conflict = await order(buyerToken, 'conflicted');
+        spy.mockRestore();
+        expect(conflict.statusCode).toBe(409);
+        expect(conflict.headers['retry-after']).toBeUndefined();
+        expect(await IdempotencyKey.countDocuments({ key: 'conflicted' })).toBe(0);
+
+        const retry = await order(buyerToken, 'conflicted');
+        expect(retry.statusCode).toBe(201);
+        expect(retry.headers['idempotent-replayed']).toBeUndefined();
+        expect(await Order.countDocuments()).toBe(1);
+    });
+
+    it('should replay the original bid on both bid endpoints', async () => {
+        const place = (path, body, token = buyerToken) => request(app)
+            .post(path)
+            .set('Authorization', `Bearer ${token}`)
+            .set('Idempotency-Key', `bid-${path}`)
+            .send(body);
+
+        const first = await place('/api/trade/bid', { cropId, amount: 31 });
+        expect(first.statusCode).toBe(201);
+        const replay = await place('/api/trade/bid', { cropId, amount: 31 });
+        expect(replay.body._id).toBe(first.body._id);
+
+        const listing = await place('/api/bids/place', { listingId: cropId, amount: 32 }, otherBuyerToken);
+        expect(listing.statusCode).toBe(201);
+        expect((await place('/api/bids/place', { listingId: cropId, amount: 32 }, otherBuyerToken)).body._id).toBe(listing.body._id);
+
+        expect(await Bid.countDocuments()).toBe(2);
+    });
+
+    it('should let a key be used again once its window has passed', async () => {
+        const first = await order(buyerToken, 'old-key');
+        await IdempotencyKey.updateOne({ key: 'old-key' }, { $set: { expiresAt: new Date(Date.now() - 1000) } });
+
+        const again = await order(buyerToken, 'old-key');
+        expect(again.statusCode).toBe(201);
+        expect(again.body._id).not.toBe(first.body._id);
+        expect(again.headers['idempotent-replayed']).toBeUndefined();
+    });
+});
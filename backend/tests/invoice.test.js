@@ -0,0 +1,160 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'invoice_test_secret';
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Crop = require('../models/Crop');
+const Order = require('../models/Order');
+const Counter = require('../models/Counter');
+const FeeRule = require('../models/FeeRule');
+const { priceOrder } = require('../services/pricingService');
+const { financialYear } = require('../services/invoiceService');
+const { cancelUnpaidOrders, UNPAID_ORDER_TTL_MS } = require('../services/paymentService');
+const app = require('../server');
+const { getTestUri, createActiveUser } = require('./helpers');
+
+const GOOD_CARD = { number: '4111111111111111', expiry: '12/39', cvv: '123', name: 'Invoice Buyer' };
+const DECLINED_CARD = { ...GOOD_CARD, number: '4000000000000002' };
+
+let farmerToken, buyerToken, strangerToken, adminToken;
+
+const buy = async (crop, quantity = 2, payment = { paymentMethod: 'cod' }) => {
+    const cropRes = await request(app)
+        .post('/api/crops')
+        .set('Authorization', `Bearer ${farmerToken}`)
+        .send({ quantity: 20, quality: 'A', location: 'Jaipur', ...crop });
+
+    const orderRes = await request(app)
+        .post('/api/trade/orders')
+        .set('Authorization', `Bearer ${buyerToken}`)
+        .send({ cropId: cropRes.body._id, quantity, shippingAddress: '4 Mill Road, Jaipur, Rajasthan - 302001', ...payment });
+
+    return orderRes.body;
+};
+
+const download = (token, orderId, query = '') => request(app)
+    .get(`/api/trade/orders/${orderId}/invoice${query}`)
+    .set('Authorization', `Bearer ${token}`)
+    .responseType('blob');
+
+beforeAll(async () => {
+    await mongoose.connect(getTestUri('invoice'));
+    await User.deleteMany({});
+    await Crop.deleteMany({});
+    await FeeRule.deleteMany({});
+
+    farmerToken = (await createActiveUser({ phone: '5552220001', role: 'FARMER', name: 'Invoice Farmer', location: 'Jaipur', state: 'Rajasthan' })).token;
+    buyerToken = (await createActiveUser({ phone: '5552220002', role: 'BUYER', name: 'Invoice Buyer', state: 'Rajasthan' })).token;
+    strangerToken = (await createActiveUser({ phone: '5552220003', role: 'BUYER', name: 'Invoice Stranger', state: 'Gujarat' })).token;
+    adminToken = (await createActiveUser({ phone: '5552220004', role: 'ADMIN', name: 'Invoice Admin' })).token;
+});
+
+beforeEach(async () => {
+    await Order.deleteMany({});
+    await Counter.deleteMany({});
+});
+
+afterAll(async () => {
+    await User.deleteMany({});
+    await Crop.deleteMany({});
+    await Order.deleteMany({});
+    await Counter.deleteMany({});
+    await mongoose.connection.close();
+});
+
+describe('GST and invoices', () => {
+
+    it('should exempt unprocessed produce and split tax within a state', () => {
+        const items = [
+            { name: 'Wheat', category: 'grain', quantity: 2, pricePerKg: 100 },
+            { name: 'Wheat Flour', category: 'grain', processed: true, quantity: 1, pricePerKg: 200 }
+        ];
+
+        const local = priceOrder({ items, orderType: 'buyNow', rules: [], supplierState: 'Rajasthan', recipientState: 'rajasthan' });
+        expect(local.items.map(({ hsn, taxRate, taxAmount }) => ({ hsn, taxRate, taxAmount }))).toEqual([
+            { hsn: '1001', taxRate: 0, taxAmount: 0 },
+            { hsn: '1001', taxRate: 5, taxAmount: 10 }
+        ]);
+        expect(local.taxes).toEqual([
+            { type: 'CGST', rate: 2.5, taxableValue: 200, amount: 5 },
+            { type: 'SGST', rate: 2.5, taxableValue: 200, amount: 5 }
+        ]);
+        expect(local.totalAmount).toBe(410);
+
+        // Across states, or when a state is unknown, it is IGST
+        const interstate = priceOrder({ items, orderType: 'buyNow', rules: [], supplierState: 'Rajasthan', recipientState: 'Gujarat' });
+        expect(interstate.taxes).toEqual([{ type: 'IGST', rate: 5, taxableValue: 200, amount: 10 }]);
+        expect(priceOrder({ items, orderType: 'buyNow', rules: [] }).taxes[0].type).toBe('IGST');
+    });
+
+    it('should start invoice numbers again each financial year', () => {
+        expect(financialYear(new Date(2026, 2, 31))).toBe('2025-26');
+        expect(financialYear(new Date(2026, 3, 1))).toBe('2026-27');
+    });
+
+    it('should record tax lines and sequential invoice numbers on orders', async () => {
+        const first = await buy({ name: 'Wheat Flour', category: 'grain', price: 200, processed: true });
+        const second = await buy({ name: 'Onion', category: 'vegetable', price: 30 });
+
+        expect(first).toMatchObject({ subtotal: 400, taxAmount: 20, totalAmount: 420 });
+        expect(first.taxes.map((tax) => tax.type)).toEqual(['CGST', 'SGST']);
+        expect(first.items[0]).toMatchObject({ hsn: '1001', taxRate: 5, taxAmount: 20 });
+        expect(second).toMatchObject({ taxAmount: 0, totalAmount: 60, taxes: [] });
+
+        const year = financialYear(new Date());
+        expect(first.invoiceNumber).toBe(`AS/${year}/000001`);
+        expect(second.invoiceNumber).toBe(`AS/${year}/000002`);
+    });
+
+    it('should give the buyer the invoice and the farmer the bill of supply', async () => {
+        const order = await buy({ name: 'Wheat', category: 'grain', price: 100 });
+
+        const invoice = await download(buyerToken, order._id);
+        expect(invoice.statusCode).toBe(200);
+        expect(invoice.headers['content-type']).toMatch('application/pdf');
+        expect(invoice.headers['content-disposition']).toMatch('invoice-AS-');
+        expect(invoice.body.subarray(0, 5).toString()).toBe('%PDF-');
+        expect(invoice.body.toString('latin1')).toContain('(TAX INVOICE)');
+
+        const bill = await download(farmerToken, order._id);
+        expect(bill.statusCode).toBe(200);
+        expect(bill.body.toString('latin1')).toContain('(BILL OF SUPPLY)');
+
+        expect((await download(adminToken, order._id, '?document=bill-of-supply')).statusCode).toBe(200);
+        expect((await download(buyerToken, order._id, '?document=bill-of-supply')).statusCode).toBe(403);
+        expect((await download(strangerToken, order._id)).statusCode).toBe(403);
+        expect((await download(buyerToken, new mongoose.Types.ObjectId())).statusCode).toBe(404);
+    });
+
+    it('should number an order placed before invoicing on its first download', async () => {
+        const order = await buy({ name: 'Wheat', category: 'grain', price: 100 });
+        await Order.updateOne({ _id: order._id }, { $unset: { invoiceNumber: 1, invoiceDate: 1 } });
+
+        await download(buyerToken, order._id);
+        await download(buyerToken, order._id);
+
+        const numbered = await Order.findById(order._id);
+        expect(numbered.invoiceNumber).toBe(`AS/${financialYear(new Date())}/000002`);
+    });
+
+    it('should not use up an invoice number on an unpaid order that is cancelled', async () => {
+        const unpaid = await buy({ name: 'Wheat', category: 'grain', price: 100 }, 2, { paymentMethod: 'card', paymentDetails: DECLINED_CARD });
+        expect(unpaid.paymentStatus).toBe('failed');
+        expect(unpaid.invoiceNumber).toBeUndefined();
+        expect((await download(buyerToken, unpaid._id)).statusCode).toBe(400);
+
+        await cancelUnpaidOrders(new Date(Date.now() + UNPAID_ORDER_TTL_MS + 1000));
+        const cancelled = await Order.findById(unpaid._id);
+        expect(cancelled.orderStatus).toBe('Cancelled');
+        expect(cancelled.invoiceNumber).toBeUndefined();
+        expect((await download(buyerToken, unpaid._id)).statusCode).toBe(400);
+        expect((await download(farmerToken, unpaid._id)).statusCode).toBe(400);
+
+        // The next confirmed orders carry on the series without a gap
+        const year = financialYear(new Date());
+        const paid = await buy({ name: 'Wheat', category: 'grain', price: 100 }, 2, { paymentMethod: 'card', paymentDetails: GOOD_CARD });
+        expect(paid.paymentStatus).toBe('paid');
+        expect(paid.invoiceNumber).toBe(`AS/${year}/000001`);
+        expect((await buy({ name: 'Onion', category: 'vegetable', price: 30 })).invoiceNumber).toBe(`AS/${year}/000002`);
+    });
+});
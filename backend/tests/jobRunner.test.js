@@ -0,0 +1,61 @@
+const { createJobRunner } = require('../services/jobRunner');
+
+describe('Background job runner', () => {
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    it('should pass the clock time to every job', async () => {
+        const fixed = new Date('2026-03-01T10:00:00Z');
+        const seen = [];
+        const runner = createJobRunner({ clock: () => fixed })
+            .register('first', async (now) => { seen.push(now); return 1; })
+            .register('second', async (now) => { seen.push(now); return 2; });
+
+        const results = await runner.runAll();
+
+        expect(results).toEqual({ first: 1, second: 2 });
+        expect(seen).toEqual([fixed, fixed]);
+    });
+
+    it('should run jobs on their interval until stopped', async () => {
+        jest.useFakeTimers();
+        const job = jest.fn().mockResolvedValue(null);
+        const runner = createJobRunner().register('tick', job, 1000).start();
+
+        await jest.advanceTimersByTimeAsync(3000);
+        expect(job).toHaveBeenCalledTimes(3);
+
+        runner.stop();
+        await jest.advanceTimersByTimeAsync(3000);
+        expect(job).toHaveBeenCalledTimes(3);
+    });
+
+    it('should not overlap runs of a slow job', async () => {
+        jest.useFakeTimers();
+        let finish;
+        const job = jest.fn(() => new Promise((resolve) => { finish = resolve; }));
+        const runner = createJobRunner().register('slow', job, 1000).start();
+
+        await jest.advanceTimersByTimeAsync(3000);
+        expect(job).toHaveBeenCalledTimes(1);
+
+        finish();
+        await jest.advanceTimersByTimeAsync(1000);
+        expect(job).toHaveBeenCalledTimes(2);
+
+        runner.stop();
+    });
+
+    it('should log a failing job and keep going', async () => {
+        const logger = { error: jest.fn() };
+        const runner = createJobRunner({ logger })
+            .register('broken', async () => { throw new Error('boom'); })
+            .register('fine', async () => 'ok');
+
+        const results = await runner.runAll();
+
+        expect(results).toEqual({ broken: null, fine: 'ok' });
+        expect(logger.error).toHaveBeenCalledWith('Background job "broken" failed:', 'boom');
+    });
+});
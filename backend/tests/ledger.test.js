@@ -0,0 +1,188 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'ledger_test_secret';
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Crop = require('../models/Crop');
+const Order = require('../models/Order');
+const LedgerTransaction = require('../models/LedgerTransaction');
+const Payout = require('../models/Payout');
+const PayoutBatch = require('../models/PayoutBatch');
+const FeeRule = require('../models/FeeRule');
+const { getTrialBalance } = require('../services/ledgerService');
+const { runScheduledPayouts } = require('../services/payoutService');
+const mockProvider = require('../services/paymentProviders/mockProvider');
+const app = require('../server');
+const { getTestUri, createActiveUser } = require('./helpers');
+
+const CARD = { number: '4111111111111111', expiry: '12/39', cvv: '123', name: 'Ledger Buyer' };
+
+let farmer, farmerToken, buyerToken, adminToken;
+
+// ₹80 order: 2 × ₹40
+const placeOrder = async (payment = { paymentMethod: 'card', paymentDetails: CARD }) => {
+    const cropRes = await request(app)
+        .post('/api/crops')
+        .set('Authorization', `Bearer ${farmerToken}`)
+        .send({ name: 'Ledger Wheat', quantity: 10, price: 40, quality: 'A', location: 'Bhopal' });
+
+    const orderRes = await request(app)
+        .post('/api/trade/orders')
+        .set('Authorization', `Bearer ${buyerToken}`)
+        .send({ cropId: cropRes.body._id, quantity: 2, shippingAddress: '9 Mandi Road, Bhopal', ...payment });
+
+    return orderRes.body;
+};
+
+const setStatus = (token, orderId, status) => request(app)
+    .put(`/api/trade/orders/${orderId}`)
+    .set('Authorization', `Bearer ${token}`)
+    .send({ status });
+
+const deliver = async (orderId) => {
+    await setStatus(farmerToken, orderId, 'Processing');
+    await setStatus(farmerToken, orderId, 'Shipped');
+    return setStatus(buyerToken, orderId, 'Delivered');
+};
+
+const statement = (token, query = '') => request(app)
+    .get(`/api/payments/statement${query}`)
+    .set('Authorization', `Bearer ${token}`);
+
+const runPayouts = () => request(app)
+    .post('/api/admin/payouts/run')
+    .set('Authorization', `Bearer ${adminToken}`);
+
+const allTime = () => ({ from: new Date(0), to: new Date(Date.now() + 60 * 1000) });
+
+beforeAll(async () => {
+    await mongoose.connect(getTestUri('ledger'));
+    await User.deleteMany({});
+    await Crop.deleteMany({});
+    await Order.deleteMany({});
+
+    const farmerLogin = await createActiveUser({ phone: '5559990001', role: 'FARMER', name: 'Ledger Farmer', location: 'Bhopal' });
+    farmerToken = farmerLogin.token;
+    farmer = await User.findOne({ phone: '5559990001' });
+    buyerToken = (await createActiveUser({ phone: '5559990002', role: 'BUYER', name: 'Ledger Buyer' })).token;
+    adminToken = (await createActiveUser({ phone: '5559990003', role: 'ADMIN', name: 'Ledger Admin' })).token;
+});
+
+beforeEach(async () => {
+    await FeeRule.deleteMany({});
+    await FeeRule.create({ name: 'Commission', kind: 'percentage', value: 2, payer: 'farmer' });
+    await Order.deleteMany({});
+    await LedgerTransaction.deleteMany({});
+    await Payout.deleteMany({});
+    await PayoutBatch.deleteMany({});
+});
+
+afterAll(async () => {
+    mockProvider.simulatePayoutFailure(farmer._id, null);
+    await User.deleteMany({});
+    await Crop.deleteMany({});
+    await Order.deleteMany({});
+    await LedgerTransaction.deleteMany({});
+    await Payout.deleteMany({});
+    await PayoutBatch.deleteMany({});
+    await FeeRule.deleteMany({});
+    await mongoose.connection.close();
+});
+
+describe('Ledger and payouts', () => {
+
+    it('should post the capture and the release less the farmer\'s commission as balanced entries', async () => {
+        const order = await placeOrder();
+        await deliver(order._id);
+
+        const entries = await LedgerTransaction.find({ order: order._id }).sort({ createdAt: 1 });
+        expect(entries.map((entry) => entry.type)).toEqual(['capture', 'release']);
+
+        const release = entries[1].lines.map(({ account, debit, credit }) => ({ account, debit, credit }));
+        expect(release).toEqual([
+            { account: 'buyer_escrow', debit: 8000, credit: 0 },
+            { account: 'farmer_payable', debit: 0, credit: 7840 },
+            { account: 'platform_fees', debit: 0, credit: 160 }
+        ]);
+
+        const trial = await getTrialBalance(allTime());
+        expect(trial.balanced).toBe(true);
+        expect(trial.accounts.find((row) => row.account === 'buyer_escrow').net).toBe(0);
+
+        const stats = await request(app).get('/api/admin/stats').set('Authorization', `Bearer ${adminToken}`);
+        expect(stats.body.platformFees).toBe(1.6);
+    });
+
+    it('should post a refund back out of escrow and nothing for cash on delivery', async () => {
+        const order = await placeOrder();
+        await request(app)
+            .post(`/api/trade/orders/${order._id}/cancel`)
+            .set('Authorization', `Bearer ${buyerToken}`)
+            .send({ reason: 'Plans changed' });
+        const cod = await placeOrder({ paymentMethod: 'cod' });
+
+        const entries = await LedgerTransaction.find({}).sort({ createdAt: 1 });
+        expect(entries.map((entry) => entry.type)).toEqual(['capture', 'refund']);
+        expect(await LedgerTransaction.countDocuments({ order: cod._id })).toBe(0);
+        expect((await getTrialBalance(allTime())).balanced).toBe(true);
+    });
+
+    it('should pay out a farmer\'s balance once and show it on their statement', async () => {
+        const first = await placeOrder();
+        const second = await placeOrder();
+        await deliver(first._id);
+        await deliver(second._id);
+
+        const run = await runPayouts();
+        expect(run.statusCode).toBe(201);
+        expect(run.body).toMatchObject({ status: 'completed', payoutCount: 1, failedCount: 0, totalAmount: 156.8 });
+
+        const payout = await Payout.findOne({ farmer: farmer._id });
+        expect(payout).toMatchObject({ status: 'paid', amount: 15680 });
+
+        // Nothing left to pay
+        expect((await runPayouts()).body.payoutCount).toBe(0);
+
+        const res = await statement(farmerToken);
+        expect(res.statusCode).toBe(200);
+        expect(res.body).toMatchObject({
+            openingBalance: 0,
+            closingBalance: 0,
+            inEscrow: 0,
+            totals: { gross: 160, fees: 3.2, earned: 156.8, paidOut: 156.8 }
+        });
+        expect(res.body.entries.map((entry) => entry.type)).toEqual(['release', 'release', 'payout']);
+        expect(res.body.entries[1].balance).toBe(156.8);
+    });
+
+    it('should return a failed payout to the farmer\'s balance', async () => {
+        const order = await placeOrder();
+        await deliver(order._id);
+
+        mockProvider.simulatePayoutFailure(farmer._id);
+        const run = await runPayouts();
+        mockProvider.simulatePayoutFailure(farmer._id, null);
+
+        expect(run.body).toMatchObject({ payoutCount: 0, failedCount: 1 });
+        expect((await Payout.findOne({ farmer: farmer._id })).status).toBe('failed');
+        expect((await statement(farmerToken)).body.closingBalance).toBe(78.4);
+        expect((await getTrialBalance(allTime())).balanced).toBe(true);
+    });
+
+    it('should run each scheduled payout window only once', async () => {
+        const order = await placeOrder();
+        await deliver(order._id);
+
+        const now = new Date();
+        expect(await runScheduledPayouts(now)).toMatchObject({ payoutCount: 1 });
+        expect(await runScheduledPayouts(new Date(now.getTime() + 1000))).toBeNull();
+        expect(await PayoutBatch.countDocuments({})).toBe(1);
+    });
+
+    it('should keep statements to farmers and admins', async () => {
+        expect((await statement(buyerToken)).statusCode).toBe(403);
+        expect((await statement(adminToken)).statusCode).toBe(400);
+        expect((await statement(adminToken, `?farmerId=${farmer._id}`)).statusCode).toBe(200);
+        expect((await statement(farmerToken, '?from=2025-02-01&to=2025-01-01')).statusCode).toBe(400);
+    });
+});
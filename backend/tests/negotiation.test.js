@@ -0,0 +1,460 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'negotiation_test_secret';
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Crop = require('../models/Crop');
+const Negotiation = require('../models/Negotiation');
+const Notification = require('../models/Notification');
+const Order = require('../models/Order');
+const {
+    nudgeIdleNegotiations,
+    expireIdleNegotiations,
+    closeSoldOutNegotiations,
+    expireLapsedCheckouts,
+    NEGOTIATION_INACTIVITY_MS,
+    NEGOTIATION_NUDGE_AFTER_MS
+} = require('../services/negotiationService');
+const { cancelUnpaidOrders, UNPAID_ORDER_TTL_MS } = require('../services/paymentService');
+const app = require('../server');
+const { getTestUri, createActiveUser } = require('./helpers');
+
+const CARD = { number: '4111111111111111', expiry: '12/39', cvv: '123', name: 'Haggle Buyer' };
+const MINUTE_MS = 60 * 1000;
+
+let farmerToken, buyerToken, otherBuyerToken, cropId;
+
+const start = (body = {}) => request(app)
+    .post('/api/trade/negotiation/start')
+    .set('Authorization', `Bearer ${buyerToken}`)
+    .send({ cropId, offerAmount: 25, quantity: 10, ...body });
+
+const offer = (token, negotiationId, body) => request(app)
+    .post('/api/trade/negotiation/offer')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ negotiationId, ...body });
+
+const accept = (token, negotiationId, offerId) => request(app)
+    .put(`/api/trade/negotiation/${negotiationId}/accept`)
+    .set('Authorization', `Bearer ${token}`)
+    .send(offerId ? { offerId } : {});
+
+const checkout = (token, negotiationId, body = {}) => request(app)
+    .post('/api/trade/orders')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ cropId, negotiationId, quantity: 10, paymentMethod: 'card', paymentDetails: CARD, shippingAddress: '3 Mandi Road, Pune', ...body });
+
+const offersOf = (negotiation) => negotiation.messages.filter((m) => m.type === 'offer');
+
+beforeAll(async () => {
+    await mongoose.connect(getTestUri('negotiation'));
+    await User.deleteMany({});
+
+    farmerToken = (await createActiveUser({ phone: '5556660001', role: 'FARMER', name: 'Haggle Farmer', location: 'Pune' })).token;
+    buyerToken = (await createActiveUser({ phone: '5556660002', role: 'BUYER', name: 'Haggle Buyer' })).token;
+    otherBuyerToken = (await createActiveUser({ phone: '5556660003', role: 'BUYER', name: 'Other Buyer' })).token;
+});
+
+beforeEach(async () => {
+    await Crop.deleteMany({});
+    await Negotiation.deleteMany({});
+    await Notification.deleteMany({});
+
+    const cropRes = await request(app)
+        .post('/api/crops')
+        .set('Authorization', `Bearer ${farmerToken}`)
+        .send({ name: 'Haggle Onion', quantity: 40, price: 30, quality: 'A', location: 'Pune' });
+    cropId = cropRes.body._id;
+});
+
+afterAll(async () => {
+    await User.deleteMany({});
+    await Crop.deleteMany({});
+    await Negotiation.deleteMany({});
+    await Notification.deleteMany({});
+    await Order.deleteMany({});
+    await mongoose.connection.close();
+});
+
+describe('Negotiation offers', () => {
+
+    it('should give each offer an id, quantity and validity and supersede earlier ones', async () => {
+        const { body: negotiation } = await start();
+        const [opening] = offersOf(negotiation);
+        expect(opening).toMatchObject({ offerAmount: 25, quantity: 10, offerStatus: 'live' });
+        expect(new Date(opening.validUntil).getTime()).toBeGreaterThan(Date.now());
+
+        const countered = await offer(farmerToken, negotiation._id, { amount: 28, quantity: 8 });
+        expect(countered.statusCode).toBe(200);
+        expect(offersOf(countered.body).map((o) => [o.offerAmount, o.offerStatus])).toEqual([[25, 'superseded'], [28, 'live']]);
+
+        // Text messages leave offers alone
+        const chatted = await offer(buyerToken, negotiation._id, { message: 'Let me check' });
+        expect(offersOf(chatted.body).map((o) => o.offerStatus)).toEqual(['superseded', 'live']);
+
+        expect((await offer(buyerToken, negotiation._id, { amount: 26, quantity: 41 })).statusCode).toBe(400);
+        expect((await offer(buyerToken, negotiation._id, { amount: 26, validUntil: new Date(Date.now() - 1000) })).statusCode).toBe(400);
+        expect((await offer(otherBuyerToken, negotiation._id, { amount: 26 })).statusCode).toBe(403);
+    });
+
+    it('should let the buyer accept the farmer\'s counter-offer', async () => {
+        const { body: negotiation } = await start();
+        const { body: countered } = await offer(farmerToken, negotiation._id, { amount: 28, quantity: 8 });
+        const counter = offersOf(countered).at(-1);
+
+        // Nobody accepts their own offer
+        expect((await accept(farmerToken, negotiation._id)).statusCode).toBe(400);
+
+        const res = await accept(buyerToken, negotiation._id, counter._id);
+        expect(res.statusCode).toBe(200);
+        expect(res.body.negotiation).toMatchObject({ status: 'accepted', finalPrice: 28, quantity: 8, acceptedOffer: counter._id });
+        expect(offersOf(res.body.negotiation).at(-1).offerStatus).toBe('accepted');
+
+        const crop = await Crop.findById(cropId).select('+reservations');
+        expect(crop.reservedQuantity).toBe(8);
+        expect(await Notification.countDocuments({ title: 'Offer Accepted', role: 'FARMER' })).toBe(1);
+    });
+
+    it('should let the farmer accept the buyer\'s latest offer but not a superseded one', async () => {
+        const { body: negotiation } = await start();
+        const opening = offersOf(negotiation)[0];
+        await offer(farmerToken, negotiation._id, { amount: 29 });
+        const { body: latest } = await offer(buyerToken, negotiation._id, { amount: 27, quantity: 12 });
+
+        expect((await accept(farmerToken, negotiation._id, opening._id)).statusCode).toBe(409);
+        expect((await accept(farmerToken, negotiation._id, new mongoose.Types.ObjectId())).statusCode).toBe(404);
+
+        const res = await accept(farmerToken, negotiation._id, offersOf(latest).at(-1)._id);
+        expect(res.statusCode).toBe(200);
+        expect(res.body.negotiation).toMatchObject({ finalPrice: 27, quantity: 12 });
+
+        expect((await accept(buyerToken, negotiation._id)).statusCode).toBe(400);
+    });
+
+    it('should refuse an expired offer', async () => {
+        const { body: negotiation } = await start();
+        await Negotiation.updateOne(
+            { _id: negotiation._id },
+            { $set: { 'messages.0.validUntil': new Date(Date.now() - 1000) } }
+        );
+
+        const res = await accept(farmerToken, negotiation._id);
+        expect(res.statusCode).toBe(400);
+        expect((await Crop.findById(cropId)).reservedQuantity).toBe(0);
+    });
+
+    it('should show the thread only to its buyer and farmer', async () => {
+        const { body: negotiation } = await start();
+
+        const mine = await request(app).get(`/api/trade/negotiation/${negotiation._id}`).set('Authorization', `Bearer ${farmerToken}`);
+        expect(mine.statusCode).toBe(200);
+        expect(mine.body.crop.name).toBe('Haggle Onion');
+
+        const theirs = await request(app).get(`/api/trade/negotiation/${negotiation._id}`).set('Authorization', `Bearer ${otherBuyerToken}`);
+        expect(theirs.statusCode).toBe(403);
+    });
+});
+
+describe('Negotiation inbox', () => {
+    const inbox = (token, query = '') => request(app)
+        .get(`/api/trade/negotiations${query}`)
+        .set('Authorization', `Bearer ${token}`);
+
+    it('should list a farmer\'s negotiations with unread counts until they are read', async () => {
+        const { body: first } = await start();
+        await request(app)
+            .post('/api/trade/negotiation/start')
+            .set('Authorization', `Bearer ${otherBuyerToken}`)
+            .send({ cropId, offerAmount: 24 });
+        await offer(buyerToken, first._id, { message: 'Any update?' });
+
+        const res = await inbox(farmerToken);
+        expect(res.statusCode).toBe(200);
+        expect(res.body).toMatchObject({ page: 1, total: 2, totalPages: 1, unread: { messages: 3, threads: 2 } });
+        expect(res.body.negotiations[0]).toMatchObject({ _id: first._id, role: 'farmer', unreadCount: 2 });
+
+        const read = await request(app)
+            .put(`/api/trade/negotiation/${first._id}/read`)
+            .set('Authorization', `Bearer ${farmerToken}`);
+        expect(read.statusCode).toBe(200);
+        expect((await inbox(farmerToken)).body.unread).toEqual({ messages: 1, threads: 1 });
+
+        // A reply counts as read for its sender and unread for the other side
+        await offer(farmerToken, first._id, { amount: 27 });
+        const buyerView = await inbox(buyerToken);
+        expect(buyerView.body.negotiations).toHaveLength(1);
+        expect(buyerView.body.negotiations[0]).toMatchObject({ role: 'buyer', unreadCount: 1 });
+    });
+
+    it('should filter by status, crop and counterparty and paginate', async () => {
+        const { body: first } = await start();
+        await request(app)
+            .post('/api/trade/negotiation/start')
+            .set('Authorization', `Bearer ${otherBuyerToken}`)
+            .send({ cropId, offerAmount: 24 });
+        await accept(farmerToken, first._id);
+
+        expect((await inbox(farmerToken, '?status=accepted')).body.negotiations.map((n) => n._id)).toEqual([first._id]);
+        expect((await inbox(farmerToken, '?status=active,accepted')).body.total).toBe(2);
+        expect((await inbox(farmerToken, '?counterparty=other')).body.negotiations[0].buyer.name).toBe('Other Buyer');
+        expect((await inbox(farmerToken, `?crop=${cropId}&limit=1&page=2`)).body).toMatchObject({ page: 2, limit: 1, total: 2, totalPages: 2 });
+        expect((await inbox(farmerToken, `?crop=${new mongoose.Types.ObjectId()}`)).body.total).toBe(0);
+
+        expect((await inbox(farmerToken, '?status=pending')).statusCode).toBe(400);
+        expect((await inbox(farmerToken, '?crop=onion')).statusCode).toBe(400);
+    });
+});
+
+describe('Negotiation expiry', () => {
+
+    it('should nudge the party who owes a reply once, then expire the negotiation and record it', async () => {
+        const { body: negotiation } = await start();
+        const startedAt = new Date(negotiation.lastActivity).getTime();
+
+        expect(await nudgeIdleNegotiations(new Date(startedAt + NEGOTIATION_NUDGE_AFTER_MS - MINUTE_MS))).toBe(0);
+        expect(await nudgeIdleNegotiations(new Date(startedAt + NEGOTIATION_NUDGE_AFTER_MS + MINUTE_MS))).toBe(1);
+        expect(await nudgeIdleNegotiations(new Date(startedAt + NEGOTIATION_NUDGE_AFTER_MS + 2 * MINUTE_MS))).toBe(0);
+        expect(await Notification.countDocuments({ title: 'Negotiation Waiting', role: 'FARMER' })).toBe(1);
+        expect(await Notification.countDocuments({ title: 'Negotiation Waiting', role: 'BUYER' })).toBe(0);
+
+        const expired = await expireIdleNegotiations(new Date(startedAt + NEGOTIATION_INACTIVITY_MS + MINUTE_MS));
+        expect(expired).toHaveLength(1);
+        expect(expired[0]).toMatchObject({ status: 'expired', closedReason: 'inactivity' });
+        expect(expired[0].messages.at(-1).type).toBe('system');
+        expect(await Notification.countDocuments({ title: 'Negotiation Expired' })).toBe(2);
+
+        expect((await offer(buyerToken, negotiation._id, { message: 'Still there?' })).statusCode).toBe(400);
+    });
+
+    it('should not let an idle negotiation block a new one', async () => {
+        const { body: idle } = await start();
+        expect((await start()).statusCode).toBe(400);
+
+        await Negotiation.updateOne(
+            { _id: idle._id },
+            { $set: { lastActivity: new Date(Date.now() - NEGOTIATION_INACTIVITY_MS - MINUTE_MS) } }
+        );
+
+        expect((await start()).statusCode).toBe(201);
+        expect((await Negotiation.findById(idle._id)).status).toBe('expired');
+    });
+
+    it('should close negotiations when the crop sells out', async () => {
+        const { body: mine } = await start();
+        const { body: theirs } = await request(app)
+            .post('/api/trade/negotiation/start')
+            .set('Authorization', `Bearer ${otherBuyerToken}`)
+            .send({ cropId, offerAmount: 24 });
+
+        const bought = await request(app)
+            .post('/api/trade/orders')
+            .set('Authorization', `Bearer ${buyerToken}`)
+            .send({ cropId, quantity: 40, paymentMethod: 'card', paymentDetails: CARD, shippingAddress: '3 Mandi Road, Pune' });
+        expect(bought.statusCode).toBe(201);
+
+        for (const id of [mine._id, theirs._id]) {
+            const closed = await Negotiation.findById(id);
+            expect(closed).toMatchObject({ status: 'cancelled', closedReason: 'sold_out' });
+            expect(closed.messages.at(-1).content).toMatch(/sold out/);
+        }
+
+        // Nothing left for the job to do
+        expect(await closeSoldOutNegotiations(new Date())).toHaveLength(0);
+    });
+});
+
+describe('Negotiation checkout', () => {
+
+    it('should let only the buyer check out the agreed deal, once', async () => {
+        const { body: negotiation } = await start();
+        await accept(farmerToken, negotiation._id);
+
+        expect((await checkout(otherBuyerToken, negotiation._id)).statusCode).toBe(403);
+        expect((await checkout(buyerToken, negotiation._id, { quantity: 5 })).statusCode).toBe(400);
+        expect((await checkout(buyerToken, negotiation._id, { bidId: new mongoose.Types.ObjectId() })).statusCode).toBe(400);
+
+        const res = await checkout(buyerToken, negotiation._id);
+        expect(res.statusCode).toBe(201);
+        expect(res.body).toMatchObject({ orderType: 'negotiation', sourceNegotiation: negotiation._id });
+        expect(res.body.items[0]).toMatchObject({ quantity: 10, pricePerKg: 25 });
+
+        const completed = await Negotiation.findById(negotiation._id);
+        expect(completed.status).toBe('completed');
+        expect(String(completed.order)).toBe(res.body._id);
+        expect(completed.messages.at(-1).type).toBe('system');
+
+        expect((await checkout(buyerToken, negotiation._id)).statusCode).toBe(400);
+        expect(await Order.countDocuments({ sourceNegotiation: negotiation._id })).toBe(1);
+        expect((await Crop.findById(cropId)).quantity).toBe(30);
+    });
+
+    it('should not check out a deal from another crop', async () => {
+        const { body: negotiation } = await start();
+        await accept(farmerToken, negotiation._id);
+
+        const { body: otherCrop } = await request(app)
+            .post('/api/crops')
+            .set('Authorization', `Bearer ${farmerToken}`)
+            .send({ name: 'Haggle Garlic', quantity: 40, price: 60, quality: 'A', location: 'Pune' });
+
+        const res = await checkout(buyerToken, negotiation._id, { cropId: otherCrop._id });
+        expect(res.statusCode).toBe(400);
+        expect((await Negotiation.findById(negotiation._id)).status).toBe('accepted');
+    });
+
+    it('should reopen the deal when its checkout is cancelled unpaid', async () => {
+        const { body: negotiation } = await start();
+        await accept(farmerToken, negotiation._id);
+
+        const declined = await checkout(buyerToken, negotiation._id, { paymentDetails: { ...CARD, number: '4000000000000002' } });
+        expect(declined.body.paymentStatus).toBe('failed');
+        expect((await Negotiation.findById(negotiation._id)).status).toBe('completed');
+
+        const later = new Date(Date.now() + UNPAID_ORDER_TTL_MS + MINUTE_MS);
+        await cancelUnpaidOrders(later);
+
+        const reopened = await Negotiation.findById(negotiation._id);
+        expect(reopened.status).toBe('accepted');
+        expect(reopened.order).toBeUndefined();
+        expect(reopened.checkoutExpiresAt.getTime()).toBeGreaterThan(later.getTime());
+        expect(reopened.messages.at(-1).type).toBe('system');
+        expect(await Crop.findById(cropId)).toMatchObject({ quantity: 40, reservedQuantity: 10 });
+
+        const paid = await checkout(buyerToken, negotiation._id);
+        expect(paid.statusCode).toBe(201);
+        expect(paid.body.paymentStatus).toBe('paid');
+    });
+
+    it('should expire a deal not checked out in time and release its quantity', async () => {
+        const { body: negotiation } = await start();
+        await accept(farmerToken, negotiation._id);
+        const { checkoutExpiresAt } = await Negotiation.findById(negotiation._id);
+
+        await Negotiation.updateOne({ _id: negotiation._id }, { $set: { checkoutExpiresAt: new Date(Date.now() - MINUTE_MS) } });
+        expect((await checkout(buyerToken, negotiation._id)).statusCode).toBe(400);
+
+        const expired = await expireLapsedCheckouts(new Date(checkoutExpiresAt.getTime() + MINUTE_MS));
+        expect(expired).toHaveLength(1);
+        expect(expired[0]).toMatchObject({ status: 'expired', closedReason: 'checkout_expired' });
+        expect((await Crop.findById(cropId)).reservedQuantity).toBe(0);
+        expect(await Notification.countDocuments({ title: 'Negotiated Deal Expired' })).toBe(2);
+    });
+});
+
+describe('Negotiation rules', () => {
+
+    const setRules = (rules, token = farmerToken) => request(app)
+        .put(`/api/crops/${cropId}/negotiation-rules`)
+        .set('Authorization', `Bearer ${token}`)
+        .send(rules);
+
+    it('should keep the rules to the listing\'s farmer', async () => {
+        const saved = await setRules({ enabled: true, floorPrice: 26, autoAcceptPrice: 29, maxRounds: 2 });
+        expect(saved.statusCode).toBe(200);
+        expect(saved.body).toMatchObject({ enabled: true, floorPrice: 26, autoAcceptPrice: 29, counterStrategy: 'split_difference', maxRounds: 2 });
+
+        expect((await setRules({ enabled: true, floorPrice: 30, autoAcceptPrice: 28 })).statusCode).toBe(400);
+        expect((await setRules({ enabled: true, maxRounds: 0 })).statusCode).toBe(400);
+        expect((await setRules({ enabled: false }, buyerToken)).statusCode).toBe(403);
+
+        const hidden = await request(app)
+            .get(`/api/crops/${cropId}/negotiation-rules`)
+            .set('Authorization', `Bearer ${buyerToken}`);
+        expect(hidden.statusCode).toBe(403);
+
+        const listings = await request(app).get('/api/crops').set('Authorization', `Bearer ${buyerToken}`);
+        expect(listings.body.find((c) => c._id === cropId).negotiationRules).toBeUndefined();
+    });
+
+    it('should counter buyers\' offers automatically, above the floor and for a limited number of rounds', async () => {
+        await setRules({ enabled: true, floorPrice: 26, autoAcceptPrice: 29, maxRounds: 2 });
+
+        const { body: negotiation } = await start({ offerAmount: 20 });
+        const opening = offersOf(negotiation);
+        expect(opening).toHaveLength(2);
+        expect(opening[1]).toMatchObject({ offerAmount: 26, quantity: 10, automated: true, offerStatus: 'live' });
+
+        const { body: second } = await offer(buyerToken, negotiation._id, { amount: 24 });
+        expect(offersOf(second).at(-1)).toMatchObject({ offerAmount: 26, automated: true });
+
+        // Out of rounds: the offer waits for the farmer, who still has it unread
+        const { body: third } = await offer(buyerToken, negotiation._id, { amount: 25 });
+        expect(offersOf(third).at(-1)).toMatchObject({ offerAmount: 25, offerStatus: 'live' });
+        expect(offersOf(third).at(-1).automated).toBeUndefined();
+        expect((await Negotiation.findById(negotiation._id)).farmerLastReadAt).toBeUndefined();
+    });
+
+    it('should accept an offer at the auto-accept price and say so in the thread', async () => {
+        await setRules({ enabled: true, floorPrice: 26, autoAcceptPrice: 29 });
+
+        const { body: negotiation } = await start({ offerAmount: 29 });
+        expect(negotiation).toMatchObject({ status: 'accepted', finalPrice: 29, quantity: 10 });
+        expect(negotiation.messages.at(-1)).toMatchObject({ type: 'text', automated: true });
+        expect(await Notification.countDocuments({ title: 'Offer Auto-Accepted', role: 'FARMER' })).toBe(1);
+        expect((await Crop.findById(cropId)).reservedQuantity).toBe(10);
+    });
+
+    it('should leave an offer to the farmer when it asks for terms the farmer has not offered', async () => {
+        await setRules({ enabled: true, floorPrice: 26, autoAcceptPrice: 29 });
+        await Crop.updateOne({ _id: cropId }, { $set: { advancePercent: 20 } });
+
+        // Cash on delivery on a listing that takes an advance
+        const { body: negotiation } = await start({ offerAmount: 30, terms: { paymentTerms: 'cod' } });
+        expect(negotiation.status).toBe('active');
+        expect(offersOf(negotiation)).toHaveLength(1);
+
+        // A delivery place is never agreed by the rules, even above the auto-accept price
+        const { body: placed } = await offer(buyerToken, negotiation._id, { amount: 30, terms: { paymentTerms: null, deliveryPlace: 'Pune APMC' } });
+        expect(placed.status).toBe('active');
+        expect(offersOf(placed).filter((m) => m.automated)).toHaveLength(0);
+
+        // The listing's own grade, paid online, is within the farmer's standing terms
+        const { body: agreed } = await offer(buyerToken, negotiation._id, { amount: 29, terms: { deliveryPlace: null, grade: 'A', paymentTerms: 'prepaid' } });
+        expect(agreed).toMatchObject({ status: 'accepted', finalPrice: 29, terms: { grade: 'A', paymentTerms: 'prepaid' } });
+    });
+
+    it('should leave offers alone when the rules are off', async () => {
+        await setRules({ enabled: false, floorPrice: 26, autoAcceptPrice: 29 });
+
+        const { body: negotiation } = await start({ offerAmount: 29 });
+        expect(negotiation.status).toBe('active');
+        expect(offersOf(negotiation)).toHaveLength(1);
+    });
+});
+
+describe('Negotiation terms', () => {
+
+    const deliveryDate = () => new Date(Date.now() + 3 * 24 * 60 * MINUTE_MS).toISOString();
+
+    it('should carry terms over between offers and list what each offer changed', async () => {
+        const date = deliveryDate();
+        const { body: negotiation } = await start({ terms: { deliveryDate: date, deliveryPlace: 'Pune APMC', grade: 'A' } });
+        const [opening] = offersOf(negotiation);
+        expect(opening.terms).toEqual({ deliveryDate: date, deliveryPlace: 'Pune APMC', grade: 'A' });
+        expect(opening.changes).toEqual([]);
+
+        const { body: countered } = await offer(farmerToken, negotiation._id, { amount: 28, terms: { grade: 'B', paymentTerms: 'cod' } });
+        const counter = offersOf(countered).at(-1);
+        expect(counter.terms).toEqual({ deliveryDate: date, deliveryPlace: 'Pune APMC', grade: 'B', paymentTerms: 'cod' });
+        expect(counter.changes).toEqual([
+            { field: 'offerAmount', from: 25, to: 28 },
+            { field: 'grade', from: 'A', to: 'B' },
+            { field: 'paymentTerms', from: null, to: 'cod' }
+        ]);
+
+        expect((await offer(buyerToken, negotiation._id, { amount: 26, terms: { grade: 'D' } })).statusCode).toBe(400);
+        expect((await offer(buyerToken, negotiation._id, { amount: 26, terms: { deliveryDate: new Date(Date.now() - MINUTE_MS) } })).statusCode).toBe(400);
+    });
+
+    it('should put the agreed terms on the order and hold the buyer to the agreed payment terms', async () => {
+        const { body: negotiation } = await start({ terms: { deliveryPlace: 'Pune APMC', grade: 'A', paymentTerms: 'cod' } });
+        const accepted = await accept(farmerToken, negotiation._id);
+        expect(accepted.body.negotiation.terms).toEqual({ deliveryPlace: 'Pune APMC', grade: 'A', paymentTerms: 'cod' });
+
+        expect((await checkout(buyerToken, negotiation._id)).statusCode).toBe(400);
+
+        const res = await checkout(buyerToken, negotiation._id, { paymentMethod: 'cod', paymentDetails: undefined });
+        expect(res.statusCode).toBe(201);
+        expect(res.body.agreedTerms).toEqual({ deliveryPlace: 'Pune APMC', grade: 'A', paymentTerms: 'cod' });
+    });
+});
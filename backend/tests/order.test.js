@@ -0,0 +1,219 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'order_test_secret';
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Crop = require('../models/Crop');
+const Order = require('../models/Order');
+const Notification = require('../models/Notification');
+const app = require('../server');
+const { getTestUri, createActiveUser } = require('./helpers');
+
+let farmerToken, buyerToken, strangerToken;
+
+const placeOrder = async ({ quantity = 10, payment = { paymentMethod: 'cod' } } = {}) => {
+    const cropRes = await request(app)
+        .post('/api/crops')
+        .set('Authorization', `Bearer ${farmerToken}`)
+        .send({ name: 'Status Wheat', quantity, price: 30, quality: 'A', location: 'Jaipur' });
+
+    const orderRes = await request(app)
+        .post('/api/trade/orders')
+        .set('Authorization', `Bearer ${buyerToken}`)
+        .send({ cropId: cropRes.body._id, quantity: Math.min(2, quantity), shippingAddress: '3 Station Road, Jaipur', ...payment });
+
+    return orderRes.body._id;
+};
+
+const setStatus = (token, orderId, status, note) => request(app)
+    .put(`/api/trade/orders/${orderId}`)
+    .set('Authorization', `Bearer ${token}`)
+    .send({ status, note });
+
+const cancel = (token, orderId, reason) => request(app)
+    .post(`/api/trade/orders/${orderId}/cancel`)
+    .set('Authorization', `Bearer ${token}`)
+    .send({ reason });
+
+beforeAll(async () => {
+    await mongoose.connect(getTestUri('order'));
+    await User.deleteMany({});
+    await Crop.deleteMany({});
+    await Order.deleteMany({});
+    await Notification.deleteMany({});
+
+    const farmer = await createActiveUser({ phone: '5559990001', role: 'FARMER', name: 'Status Farmer', location: 'Jaipur' });
+    farmerToken = farmer.token;
+
+    const buyer = await createActiveUser({ phone: '5559990002', role: 'BUYER', name: 'Status Buyer' });
+    buyerToken = buyer.token;
+
+    const stranger = await createActiveUser({ phone: '5559990003', role: 'BUYER', name: 'Status Stranger' });
+    strangerToken = stranger.token;
+});
+
+afterAll(async () => {
+    await User.deleteMany({});
+    await Crop.deleteMany({});
+    await Order.deleteMany({});
+    await Notification.deleteMany({});
+    await mongoose.connection.close();
+});
+
+describe('Order status (Epic 4)', () => {
+
+    it('should follow Pending → Processing → Shipped → Delivered and record each step', async () => {
+        const orderId = await placeOrder();
+
+        expect((await setStatus(farmerToken, orderId, 'Processing')).statusCode).toBe(200);
+        expect((await setStatus(farmerToken, orderId, 'Shipped')).statusCode).toBe(200);
+
+        // Only the buyer confirms delivery
+        expect((await setStatus(farmerToken, orderId, 'Delivered')).statusCode).toBe(400);
+
+        const delivered = await setStatus(buyerToken, orderId, 'Delivered');
+        expect(delivered.statusCode).toBe(200);
+        expect(delivered.body.orderStatus).toBe('Delivered');
+        expect(delivered.body.allowedStatuses).toEqual([]);
+
+        const history = delivered.body.statusHistory;
+        expect(history.map((entry) => entry.status)).toEqual(['Pending', 'Processing', 'Shipped', 'Delivered']);
+        expect(history.map((entry) => entry.actorRole)).toEqual(['BUYER', 'FARMER', 'FARMER', 'BUYER']);
+        history.forEach((entry) => expect(entry.at).toBeTruthy());
+
+        const notice = await Notification.findOne({ title: 'Order Delivered', role: 'FARMER' });
+        expect(notice).not.toBeNull();
+    });
+
+    it('should not let a delivered order go back to Pending (400)', async () => {
+        const orderId = await placeOrder();
+        await setStatus(farmerToken, orderId, 'Processing');
+        await setStatus(farmerToken, orderId, 'Shipped');
+        await setStatus(buyerToken, orderId, 'Delivered');
+
+        const res = await setStatus(farmerToken, orderId, 'Pending');
+
+        expect(res.statusCode).toBe(400);
+        expect((await Order.findById(orderId)).orderStatus).toBe('Delivered');
+    });
+
+    it('should only allow cancelling before the order ships', async () => {
+        const cancellable = await placeOrder();
+        const cancelled = await setStatus(farmerToken, cancellable, 'Cancelled', 'Crop damaged in storage');
+        expect(cancelled.statusCode).toBe(200);
+
+        const shipped = await placeOrder();
+        await setStatus(farmerToken, shipped, 'Processing');
+        await setStatus(farmerToken, shipped, 'Shipped');
+
+        const res = await setStatus(farmerToken, shipped, 'Cancelled', 'Too late');
+        expect(res.statusCode).toBe(400);
+    });
+
+    it('should not let the buyer ship or a stranger touch the order', async () => {
+        const orderId = await placeOrder();
+
+        expect((await setStatus(buyerToken, orderId, 'Processing')).statusCode).toBe(400);
+        expect((await setStatus(strangerToken, orderId, 'Processing')).statusCode).toBe(403);
+    });
+
+    it('should list the next allowed statuses for each party', async () => {
+        const orderId = await placeOrder();
+
+        const farmerView = await request(app).get('/api/trade/orders').set('Authorization', `Bearer ${farmerToken}`);
+        const buyerView = await request(app).get('/api/trade/orders').set('Authorization', `Bearer ${buyerToken}`);
+
+        const asFarmer = farmerView.body.find((order) => order._id === orderId);
+        const asBuyer = buyerView.body.find((order) => order._id === orderId);
+
+        expect(asFarmer.allowedStatuses).toEqual(['Processing', 'Cancelled']);
+        expect(asBuyer.allowedStatuses).toEqual(['Cancelled']);
+    });
+});
+
+describe('Order cancellation', () => {
+
+    it('should let the buyer cancel before shipping with a reason and notify the farmer', async () => {
+        const orderId = await placeOrder();
+        await setStatus(farmerToken, orderId, 'Processing');
+
+        const res = await cancel(buyerToken, orderId, 'Found a closer seller');
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body.orderStatus).toBe('Cancelled');
+        expect(res.body.cancellationReason).toBe('Found a closer seller');
+        expect(res.body.cancelledAt).toBeTruthy();
+        expect(res.body.allowedStatuses).toEqual([]);
+
+        const last = res.body.statusHistory[res.body.statusHistory.length - 1];
+        expect(last).toMatchObject({ status: 'Cancelled', actorRole: 'BUYER', note: 'Found a closer seller' });
+
+        const notice = await Notification.findOne({ title: 'Order Cancelled', role: 'FARMER' });
+        expect(notice).not.toBeNull();
+        expect(notice.message).toContain('Found a closer seller');
+    });
+
+    it('should require a reason (400)', async () => {
+        const orderId = await placeOrder();
+
+        expect((await cancel(buyerToken, orderId, '   ')).statusCode).toBe(400);
+        expect((await setStatus(buyerToken, orderId, 'Cancelled')).statusCode).toBe(400);
+        expect((await Order.findById(orderId)).orderStatus).toBe('Pending');
+    });
+
+    it('should not cancel a shipped order (400)', async () => {
+        const orderId = await placeOrder();
+        await setStatus(farmerToken, orderId, 'Processing');
+        await setStatus(farmerToken, orderId, 'Shipped');
+
+        const res = await cancel(buyerToken, orderId, 'Changed my mind');
+
+        expect(res.statusCode).toBe(400);
+        expect((await Order.findById(orderId)).orderStatus).toBe('Shipped');
+    });
+
+    it('should not let a stranger cancel the order (403)', async () => {
+        const orderId = await placeOrder();
+
+        expect((await cancel(strangerToken, orderId, 'Not mine')).statusCode).toBe(403);
+    });
+
+    it('should put the quantity back and reopen a sold-out listing', async () => {
+        const orderId = await placeOrder({ quantity: 2 });
+        const order = await Order.findById(orderId);
+        const cropId = order.items[0].crop;
+
+        const soldOut = await Crop.findById(cropId);
+        expect(soldOut.quantity).toBe(0);
+        expect(soldOut.isSold).toBe(true);
+
+        expect((await cancel(buyerToken, orderId, 'Ordered by mistake')).statusCode).toBe(200);
+
+        const restored = await Crop.findById(cropId);
+        expect(restored.quantity).toBe(2);
+        expect(restored.isSold).toBe(false);
+    });
+
+    it('should mark a paid order as refunded', async () => {
+        const orderId = await placeOrder({
+            payment: { paymentMethod: 'upi', paymentDetails: { upiId: 'buyer@upi' } }
+        });
+        expect((await Order.findById(orderId)).paymentStatus).toBe('paid');
+
+        const res = await cancel(buyerToken, orderId, 'Delivery date too late');
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body.paymentStatus).toBe('refunded');
+        expect(res.body.refundedAt).toBeTruthy();
+    });
+
+    it('should leave an unpaid cash-on-delivery order pending', async () => {
+        const orderId = await placeOrder();
+
+        const res = await cancel(buyerToken, orderId, 'No longer needed');
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body.paymentStatus).toBe('pending');
+        expect(res.body.refundedAt).toBeUndefined();
+    });
+});
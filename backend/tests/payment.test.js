@@ -0,0 +1,251 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'payment_test_secret';
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Crop = require('../models/Crop');
+const Cart = require('../models/Cart');
+const Order = require('../models/Order');
+const Notification = require('../models/Notification');
+const PaymentEvent = require('../models/PaymentEvent');
+const mockProvider = require('../services/paymentProviders/mockProvider');
+const { cancelUnpaidOrders, UNPAID_ORDER_TTL_MS } = require('../services/paymentService');
+const { getPaymentProvider } = require('../services/paymentGateway');
+const app = require('../server');
+const { getTestUri, createActiveUser } = require('./helpers');
+
+const GOOD_CARD = { number: '4111111111111111', expiry: '12/39', cvv: '123', name: 'Pay Buyer' };
+const DECLINED_CARD = { ...GOOD_CARD, number: '4000000000000002' };
+
+let farmerToken, buyerToken, strangerToken;
+
+const createCrop = async (overrides = {}) => {
+    const res = await request(app)
+        .post('/api/crops')
+        .set('Authorization', `Bearer ${farmerToken}`)
+        .send({ name: 'Pay Wheat', quantity: 10, price: 30, quality: 'A', location: 'Nashik', ...overrides });
+    return res.body._id;
+};
+
+const buy = async (payment, quantity = 2) => request(app)
+    .post('/api/trade/orders')
+    .set('Authorization', `Bearer ${buyerToken}`)
+    .send({ cropId: await createCrop(), quantity, shippingAddress: '8 Market Yard, Nashik', ...payment });
+
+const retry = (token, orderId, body) => request(app)
+    .post(`/api/payments/orders/${orderId}/retry`)
+    .set('Authorization', `Bearer ${token}`)
+    .send(body);
+
+const postWebhook = (event, signature) => {
+    const body = JSON.stringify(event);
+    return request(app)
+        .post('/api/payments/webhooks/mock')
+        .set('Content-Type', 'application/json')
+        .set(mockProvider.SIGNATURE_HEADER, signature || mockProvider.signPayload(body))
+        .send(body);
+};
+
+beforeAll(async () => {
+    await mongoose.connect(getTestUri('payment'));
+    await User.deleteMany({});
+    await Crop.deleteMany({});
+    await Cart.deleteMany({});
+    await Order.deleteMany({});
+    await Notification.deleteMany({});
+    await PaymentEvent.deleteMany({});
+
+    const farmer = await createActiveUser({ phone: '5557770001', role: 'FARMER', name: 'Pay Farmer', location: 'Nashik' });
+    farmerToken = farmer.token;
+
+    const buyer = await createActiveUser({ phone: '5557770002', role: 'BUYER', name: 'Pay Buyer' });
+    buyerToken = buyer.token;
+
+    const stranger = await createActiveUser({ phone: '5557770003', role: 'BUYER', name: 'Pay Stranger' });
+    strangerToken = stranger.token;
+});
+
+beforeEach(async () => {
+    await Notification.deleteMany({});
+});
+
+afterAll(async () => {
+    await User.deleteMany({});
+    await Crop.deleteMany({});
+    await Cart.deleteMany({});
+    await Order.deleteMany({});
+    await Notification.deleteMany({});
+    await PaymentEvent.deleteMany({});
+    await mongoose.connection.close();
+});
+
+describe('Online payments (mock provider)', () => {
+
+    it('should mark a card order paid once the provider confirms it', async () => {
+        const res = await buy({ paymentMethod: 'card', paymentDetails: GOOD_CARD });
+
+        expect(res.statusCode).toBe(201);
+        expect(res.body.paymentStatus).toBe('paid');
+        expect(res.body.payment).toMatchObject({ provider: 'mock', status: 'succeeded', attempts: 1 });
+        expect(res.body.payment.intentId).toMatch(/^mock_pi_/);
+        expect(await Notification.countDocuments({ title: 'New Direct Purchase', role: 'FARMER' })).toBe(1);
+    });
+
+    it('should leave a declined card order failed and let the buyer retry it', async () => {
+        const res = await buy({ paymentMethod: 'card', paymentDetails: DECLINED_CARD });
+
+        expect(res.statusCode).toBe(201);
+        expect(res.body.paymentStatus).toBe('failed');
+        expect(res.body.payment.failureReason).toMatch(/declined/i);
+        expect(await Notification.countDocuments({ role: 'FARMER' })).toBe(0);
+
+        const retried = await retry(buyerToken, res.body._id, { paymentMethod: 'card', paymentDetails: GOOD_CARD });
+
+        expect(retried.statusCode).toBe(200);
+        expect(retried.body.payment).toMatchObject({ paymentStatus: 'paid', status: 'succeeded', attempts: 2 });
+        expect(await Notification.countDocuments({ title: 'Payment Received', role: 'FARMER' })).toBe(1);
+    });
+
+    it('should refuse to retry a paid order or someone else\'s order', async () => {
+        const paid = await buy({ paymentMethod: 'card', paymentDetails: GOOD_CARD });
+        expect((await retry(buyerToken, paid.body._id, { paymentDetails: GOOD_CARD })).statusCode).toBe(400);
+
+        const failed = await buy({ paymentMethod: 'card', paymentDetails: DECLINED_CARD });
+        expect((await retry(strangerToken, failed.body._id, { paymentDetails: GOOD_CARD })).statusCode).toBe(403);
+    });
+
+    it('should keep a processing UPI payment pending until a signed webhook confirms it', async () => {
+        const res = await buy({ paymentMethod: 'upi', paymentDetails: { upiId: 'pending@upi' } });
+
+        expect(res.statusCode).toBe(201);
+        expect(res.body.paymentStatus).toBe('pending');
+
+        const polled = await request(app)
+            .get(`/api/payments/orders/${res.body._id}`)
+            .set('Authorization', `Bearer ${buyerToken}`);
+        expect(polled.body).toMatchObject({ paymentStatus: 'pending', status: 'processing' });
+
+        const event = mockProvider.simulateSettlement(res.body.payment.intentId);
+        const delivered = await postWebhook(event);
+        expect(delivered.statusCode).toBe(200);
+        expect(delivered.body.duplicate).toBe(false);
+        expect((await Order.findById(res.body._id)).paymentStatus).toBe('paid');
+
+        // The provider may deliver the same event again
+        const redelivered = await postWebhook(event);
+        expect(redelivered.statusCode).toBe(200);
+        expect(redelivered.body.duplicate).toBe(true);
+        expect(await Notification.countDocuments({ title: 'Payment Received', role: 'FARMER' })).toBe(1);
+    });
+
+    it('should reject a webhook with a bad signature (400)', async () => {
+        const res = await buy({ paymentMethod: 'upi', paymentDetails: { upiId: 'pending@upi' } });
+        const event = mockProvider.simulateSettlement(res.body.payment.intentId);
+
+        const forged = await postWebhook(event, mockProvider.signPayload('{"forged":true}'));
+
+        expect(forged.statusCode).toBe(400);
+        expect((await Order.findById(res.body._id)).paymentStatus).toBe('pending');
+    });
+
+    it('should mark the order failed and tell the buyer when the webhook reports a failure', async () => {
+        const res = await buy({ paymentMethod: 'upi', paymentDetails: { upiId: 'pending@upi' } });
+
+        await postWebhook(mockProvider.simulateSettlement(res.body.payment.intentId, 'failed'));
+
+        expect((await Order.findById(res.body._id)).paymentStatus).toBe('failed');
+        expect(await Notification.countDocuments({ title: 'Payment Failed', role: 'BUYER' })).toBe(1);
+    });
+
+    it('should pay for every order of a cart checkout with one payment', async () => {
+        const secondFarmer = await createActiveUser({ phone: '5557770004', role: 'FARMER', name: 'Pay Farmer Two', location: 'Pune' });
+        const firstCrop = await createCrop();
+        const secondCrop = (await request(app)
+            .post('/api/crops')
+            .set('Authorization', `Bearer ${secondFarmer.token}`)
+            .send({ name: 'Pay Onion', quantity: 10, price: 20, quality: 'A', location: 'Pune' })).body._id;
+
+        for (const cropId of [firstCrop, secondCrop]) {
+            await request(app).post('/api/cart/items').set('Authorization', `Bearer ${buyerToken}`).send({ cropId, quantity: 1 });
+        }
+
+        const res = await request(app)
+            .post('/api/cart/checkout')
+            .set('Authorization', `Bearer ${buyerToken}`)
+            .send({ paymentMethod: 'upi', paymentDetails: { upiId: 'fail@upi' }, shippingAddress: '8 Market Yard, Nashik' });
+
+        expect(res.statusCode).toBe(201);
+        expect(res.body.orders).toHaveLength(2);
+        res.body.orders.forEach((order) => expect(order.paymentStatus).toBe('failed'));
+        expect(res.body.orders[0].payment.intentId).toBe(res.body.orders[1].payment.intentId);
+
+        const retried = await retry(buyerToken, res.body.orders[0]._id, { paymentMethod: 'upi', paymentDetails: { upiId: 'buyer@upi' } });
+
+        expect(retried.statusCode).toBe(200);
+        expect(retried.body.orders).toHaveLength(2);
+        retried.body.orders.forEach((order) => expect(order.paymentStatus).toBe('paid'));
+    });
+
+    it('should refund a cancelled paid order through the provider', async () => {
+        const res = await buy({ paymentMethod: 'card', paymentDetails: GOOD_CARD });
+
+        const cancelled = await request(app)
+            .post(`/api/trade/orders/${res.body._id}/cancel`)
+            .set('Authorization', `Bearer ${buyerToken}`)
+            .send({ reason: 'Bought by mistake' });
+
+        expect(cancelled.statusCode).toBe(200);
+        expect(cancelled.body.paymentStatus).toBe('refunded');
+        expect(cancelled.body.payment.refundStatus).toBe('succeeded');
+        expect(cancelled.body.payment.refundId).toMatch(/^mock_re_/);
+    });
+
+    it('should refund money that arrives after the order was cancelled', async () => {
+        const res = await buy({ paymentMethod: 'upi', paymentDetails: { upiId: 'pending@upi' } });
+
+        await request(app)
+            .post(`/api/trade/orders/${res.body._id}/cancel`)
+            .set('Authorization', `Bearer ${buyerToken}`)
+            .send({ reason: 'Taking too long' });
+
+        await postWebhook(mockProvider.simulateSettlement(res.body.payment.intentId));
+
+        const order = await Order.findById(res.body._id);
+        expect(order.orderStatus).toBe('Cancelled');
+        expect(order.paymentStatus).toBe('refunded');
+    });
+
+    it('should cancel orders left unpaid and put their quantity back', async () => {
+        const res = await buy({ paymentMethod: 'card', paymentDetails: DECLINED_CARD }, 10);
+        const cropId = res.body.items[0].crop;
+        expect((await Crop.findById(cropId)).quantity).toBe(0);
+
+        const later = new Date(Date.now() + UNPAID_ORDER_TTL_MS + 1000);
+        expect(await cancelUnpaidOrders(later)).toBeGreaterThanOrEqual(1);
+
+        const order = await Order.findById(res.body._id);
+        expect(order.orderStatus).toBe('Cancelled');
+        expect(order.statusHistory[order.statusHistory.length - 1].actorRole).toBe('SYSTEM');
+
+        const crop = await Crop.findById(cropId);
+        expect(crop.quantity).toBe(10);
+        expect(crop.isSold).toBe(false);
+    });
+});
+
+describe('Mock provider in production', () => {
+    const env = { ...process.env };
+
+    afterEach(() => {
+        process.env = { ...env };
+    });
+
+    it('should not be available, nor sign with a built-in secret', () => {
+        process.env.NODE_ENV = 'production';
+        delete process.env.PAYMENT_WEBHOOK_SECRET;
+
+        expect(getPaymentProvider()).toBeNull();
+        expect(getPaymentProvider('mock')).toBeNull();
+        expect(() => mockProvider.signPayload('{}')).toThrow('PAYMENT_WEBHOOK_SECRET is not set');
+    });
+});
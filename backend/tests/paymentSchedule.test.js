@@ -0,0 +1,236 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'schedule_test_secret';
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Crop = require('../models/Crop');
+const Order = require('../models/Order');
+const LedgerTransaction = require('../models/LedgerTransaction');
+const Notification = require('../models/Notification');
+const FeeRule = require('../models/FeeRule');
+const { getTrialBalance } = require('../services/ledgerService');
+const mockProvider = require('../services/paymentProviders/mockProvider');
+const { remindDueBalances, refundOrderPayment, BALANCE_DUE_MS } = require('../services/paymentService');
+const { buildPaymentSchedule } = require('../services/pricingService');
+const app = require('../server');
+const { getTestUri, createActiveUser } = require('./helpers');
+
+const CARD = { number: '4111111111111111', expiry: '12/39', cvv: '123', name: 'Schedule Buyer' };
+const DECLINED_CARD = { ...CARD, number: '4000000000000002' };
+const HOUR_MS = 60 * 60 * 1000;
+
+let farmerToken, buyerToken, otherBuyerToken;
+
+// ₹1000 order: 10 × ₹100, 20% in advance
+const placeOrder = async (payment = { paymentMethod: 'card', paymentDetails: CARD }, advancePercent = 20) => {
+    const cropRes = await request(app)
+        .post('/api/crops')
+        .set('Authorization', `Bearer ${farmerToken}`)
+        .send({ name: 'Bulk Wheat', quantity: 50, price: 100, quality: 'A', location: 'Indore', advancePercent });
+
+    return request(app)
+        .post('/api/trade/orders')
+        .set('Authorization', `Bearer ${buyerToken}`)
+        .send({ cropId: cropRes.body._id, quantity: 10, shippingAddress: '12 Grain Market, Indore', ...payment });
+};
+
+const setStatus = (token, orderId, status, note) => request(app)
+    .put(`/api/trade/orders/${orderId}`)
+    .set('Authorization', `Bearer ${token}`)
+    .send({ status, note });
+
+const ship = async (orderId) => {
+    await setStatus(farmerToken, orderId, 'Processing');
+    return setStatus(farmerToken, orderId, 'Shipped');
+};
+
+const payBalance = (token, orderId, body = { paymentMethod: 'card', paymentDetails: CARD }) => request(app)
+    .post(`/api/payments/orders/${orderId}/balance`)
+    .set('Authorization', `Bearer ${token}`)
+    .send(body);
+
+const postRefundWebhook = (type, refundId) => {
+    const body = JSON.stringify({ id: `evt_${refundId}_${type}`, type, data: { refundId } });
+    return request(app)
+        .post('/api/payments/webhooks/mock')
+        .set('Content-Type', 'application/json')
+        .set(mockProvider.SIGNATURE_HEADER, mockProvider.signPayload(body))
+        .send(body);
+};
+
+const ledgerTypes = async (orderId) => (await LedgerTransaction.find({ order: orderId }).sort({ postedAt: 1, _id: 1 }))
+    .map((entry) => `${entry.type}:${entry.lines[0].debit || entry.lines[0].credit}`);
+
+beforeAll(async () => {
+    await mongoose.connect(getTestUri('schedule'));
+    await User.deleteMany({});
+    await Crop.deleteMany({});
+
+    farmerToken = (await createActiveUser({ phone: '5554440001', role: 'FARMER', name: 'Schedule Farmer', location: 'Indore' })).token;
+    buyerToken = (await createActiveUser({ phone: '5554440002', role: 'BUYER', name: 'Schedule Buyer' })).token;
+    otherBuyerToken = (await createActiveUser({ phone: '5554440003', role: 'BUYER', name: 'Other Buyer' })).token;
+});
+
+beforeEach(async () => {
+    await FeeRule.deleteMany({});
+    await Order.deleteMany({});
+    await LedgerTransaction.deleteMany({});
+    await Notification.deleteMany({});
+});
+
+afterAll(async () => {
+    await User.deleteMany({});
+    await Crop.deleteMany({});
+    await Order.deleteMany({});
+    await LedgerTransaction.deleteMany({});
+    await Notification.deleteMany({});
+    await mongoose.connection.close();
+});
+
+describe('Payment schedules', () => {
+
+    it('should split a total into an advance and a balance', () => {
+        expect(buildPaymentSchedule(1000, 0)).toEqual([]);
+        expect(buildPaymentSchedule(333.33, 20)).toEqual([
+            { kind: 'advance', percent: 20, amount: 66.67, dueOn: 'booking' },
+            { kind: 'balance', percent: 80, amount: 266.66, dueOn: 'delivery' }
+        ]);
+    });
+
+    it('should charge only the advance at checkout and refuse COD', async () => {
+        const res = await placeOrder();
+        expect(res.statusCode).toBe(201);
+        expect(res.body.paymentStatus).toBe('partially_paid');
+        expect(res.body.paymentSchedule).toMatchObject([
+            { kind: 'advance', amount: 200, status: 'paid' },
+            { kind: 'balance', amount: 800, status: 'pending' }
+        ]);
+        expect(await ledgerTypes(res.body._id)).toEqual(['capture:20000']);
+
+        const cod = await placeOrder({ paymentMethod: 'cod' });
+        expect(cod.statusCode).toBe(400);
+
+        // A listing without an advance is paid in full as before
+        const full = await placeOrder(undefined, 0);
+        expect(full.body).toMatchObject({ paymentStatus: 'paid', paymentSchedule: [] });
+    });
+
+    it('should take the balance once the order has shipped and release it with the advance', async () => {
+        const { body: order } = await placeOrder();
+
+        expect((await payBalance(buyerToken, order._id)).statusCode).toBe(400);
+
+        const shipped = await ship(order._id);
+        const balanceDue = shipped.body.paymentSchedule.find((instalment) => instalment.kind === 'balance').dueDate;
+        expect(new Date(balanceDue).getTime()).toBeGreaterThan(Date.now() + BALANCE_DUE_MS - 60 * 1000);
+
+        expect((await payBalance(otherBuyerToken, order._id)).statusCode).toBe(403);
+
+        const declined = await payBalance(buyerToken, order._id, { paymentMethod: 'card', paymentDetails: DECLINED_CARD });
+        expect(declined.statusCode).toBe(200);
+        expect(declined.body.payment.paymentSchedule[1]).toMatchObject({ kind: 'balance', status: 'failed' });
+        expect(declined.body.order.paymentStatus).toBe('partially_paid');
+
+        const paid = await payBalance(buyerToken, order._id);
+        expect(paid.statusCode).toBe(200);
+        expect(paid.body.order.paymentStatus).toBe('paid');
+        expect(paid.body.payment.paymentSchedule.map((instalment) => instalment.status)).toEqual(['paid', 'paid']);
+        expect((await payBalance(buyerToken, order._id)).statusCode).toBe(400);
+
+        await setStatus(buyerToken, order._id, 'Delivered');
+        expect(await ledgerTypes(order._id)).toEqual(['capture:20000', 'capture:80000', 'release:20000', 'release:80000']);
+        expect((await getTrialBalance({ from: new Date(0), to: new Date(Date.now() + 60 * 1000) })).balanced).toBe(true);
+    });
+
+    it('should release a balance paid after delivery straight away', async () => {
+        const { body: order } = await placeOrder();
+        await ship(order._id);
+        await setStatus(buyerToken, order._id, 'Delivered');
+        expect(await ledgerTypes(order._id)).toEqual(['capture:20000', 'release:20000']);
+
+        await payBalance(buyerToken, order._id);
+        expect(await ledgerTypes(order._id)).toEqual(['capture:20000', 'release:20000', 'capture:80000', 'release:80000']);
+        expect(await Notification.countDocuments({ title: 'Balance Received', role: 'FARMER' })).toBe(1);
+    });
+
+    it('should refund the advance when the order is cancelled', async () => {
+        const { body: order } = await placeOrder();
+
+        const cancelled = await setStatus(buyerToken, order._id, 'Cancelled', 'Bought elsewhere');
+        expect(cancelled.body.paymentStatus).toBe('refunded');
+        expect(cancelled.body.paymentSchedule).toMatchObject([
+            { kind: 'advance', status: 'refunded' },
+            { kind: 'balance', status: 'pending' }
+        ]);
+        expect(await ledgerTypes(order._id)).toEqual(['capture:20000', 'refund:20000']);
+    });
+
+    it('should only refund the order once every instalment\'s refund has settled', async () => {
+        const { body: order } = await placeOrder();
+        await ship(order._id);
+        await payBalance(buyerToken, order._id);
+
+        // The provider settles both refunds later, by webhook
+        const refundIds = [];
+        const refund = jest.spyOn(mockProvider, 'refund').mockImplementation(async (intentId, amount) => {
+            refundIds.push(`mock_re_settling_${order._id}_${refundIds.length}`);
+            return { id: refundIds[refundIds.length - 1], intentId, amount, status: 'pending' };
+        });
+        try {
+            await refundOrderPayment(await Order.findById(order._id));
+        } finally {
+            refund.mockRestore();
+        }
+
+        let current = await Order.findById(order._id);
+        expect(current.payment.refundStatus).toBe('pending');
+        expect(current.paymentSchedule.map((instalment) => instalment.refundStatus)).toEqual(['pending', 'pending']);
+
+        // One settled refund does not refund the whole order
+        expect((await postRefundWebhook('refund.succeeded', refundIds[0])).statusCode).toBe(200);
+        current = await Order.findById(order._id);
+        expect(current.paymentStatus).toBe('paid');
+        expect(current.escrow.status).toBe('held');
+        expect(current.paymentSchedule.map((instalment) => instalment.status)).toEqual(['refunded', 'paid']);
+        expect(await ledgerTypes(order._id)).toEqual(['capture:20000', 'capture:80000']);
+
+        await postRefundWebhook('refund.failed', refundIds[1]);
+        current = await Order.findById(order._id);
+        expect(current.paymentStatus).toBe('paid');
+        expect(current.payment.refundStatus).toBe('failed');
+        expect(current.paymentSchedule[1].refundStatus).toBe('failed');
+
+        // Retrying asks again only for the balance
+        const retried = await refundOrderPayment(current);
+        expect(retried.paymentStatus).toBe('refunded');
+        expect(retried.escrow.status).toBe('refunded');
+        expect(retried.paymentSchedule.map((instalment) => instalment.status)).toEqual(['refunded', 'refunded']);
+        expect(await ledgerTypes(order._id)).toEqual(['capture:20000', 'capture:80000', 'refund:20000', 'refund:80000']);
+    });
+
+    it('should remind the buyer of a balance coming due, once a day, and tell the farmer when overdue', async () => {
+        const { body: order } = await placeOrder();
+        await ship(order._id);
+        const shippedAt = Date.now();
+
+        // Not yet within a day of the due date
+        expect(await remindDueBalances(new Date(shippedAt + HOUR_MS))).toBe(0);
+
+        const dueSoon = new Date(shippedAt + BALANCE_DUE_MS - HOUR_MS);
+        expect(await remindDueBalances(dueSoon)).toBe(1);
+        expect(await remindDueBalances(new Date(dueSoon.getTime() + HOUR_MS))).toBe(0);
+        expect(await Notification.countDocuments({ title: 'Balance Due', role: 'BUYER' })).toBe(1);
+
+        const overdue = new Date(shippedAt + BALANCE_DUE_MS + 24 * HOUR_MS);
+        expect(await remindDueBalances(overdue)).toBe(1);
+        expect(await Notification.countDocuments({ title: 'Balance Overdue', role: 'BUYER' })).toBe(1);
+        expect(await Notification.countDocuments({ title: 'Balance Overdue', role: 'FARMER' })).toBe(1);
+
+        const stored = await Order.findById(order._id);
+        expect(stored.paymentSchedule[1].reminderCount).toBe(2);
+
+        // Nothing more once it is paid
+        await payBalance(buyerToken, order._id);
+        expect(await remindDueBalances(new Date(overdue.getTime() + 48 * HOUR_MS))).toBe(0);
+    });
+});
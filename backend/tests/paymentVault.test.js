@@ -0,0 +1,162 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'vault_test_secret';
+
+const crypto = require('crypto');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Crop = require('../models/Crop');
+const Order = require('../models/Order');
+const PaymentMethod = require('../models/PaymentMethod');
+const { rotatePaymentMethodKeys } = require('../services/paymentVaultService');
+const { scrubLegacyPaymentDetails } = require('../scripts/scrubOrderPaymentDetails');
+const app = require('../server');
+const { getTestUri, createActiveUser } = require('./helpers');
+
+const CARD = { number: '4111111111111111', expiry: '12/39', cvv: '123', name: 'Vault Buyer' };
+
+let farmerToken, buyerToken, strangerToken;
+
+const buy = async (token, payment) => {
+    const cropRes = await request(app)
+        .post('/api/crops')
+        .set('Authorization', `Bearer ${farmerToken}`)
+        .send({ name: 'Vault Gram', quantity: 10, price: 50, quality: 'A', location: 'Indore' });
+
+    return request(app)
+        .post('/api/trade/orders')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ cropId: cropRes.body._id, quantity: 1, shippingAddress: '2 Grain Market, Indore', ...payment });
+};
+
+const listMethods = (token) => request(app)
+    .get('/api/payments/methods')
+    .set('Authorization', `Bearer ${token}`);
+
+beforeAll(async () => {
+    await mongoose.connect(getTestUri('vault'));
+    await User.deleteMany({});
+    await Crop.deleteMany({});
+    await Order.deleteMany({});
+    await PaymentMethod.deleteMany({});
+
+    farmerToken = (await createActiveUser({ phone: '5558880001', role: 'FARMER', name: 'Vault Farmer', location: 'Indore' })).token;
+    buyerToken = (await createActiveUser({ phone: '5558880002', role: 'BUYER', name: 'Vault Buyer' })).token;
+    strangerToken = (await createActiveUser({ phone: '5558880003', role: 'BUYER', name: 'Vault Stranger' })).token;
+});
+
+afterEach(async () => {
+    delete process.env.PAYMENT_ENCRYPTION_KEYS;
+    await PaymentMethod.deleteMany({});
+});
+
+afterAll(async () => {
+    await User.deleteMany({});
+    await Crop.deleteMany({});
+    await Order.deleteMany({});
+    await PaymentMethod.deleteMany({});
+    await mongoose.connection.close();
+});
+
+describe('Payment method vault', () => {
+
+    it('should keep only a token and display fields when a card is paid with and saved', async () => {
+        const res = await buy(buyerToken, { paymentMethod: 'card', paymentDetails: CARD, saveMethod: true });
+
+        expect(res.statusCode).toBe(201);
+        expect(res.body.paymentStatus).toBe('paid');
+        expect(res.body.payment.instrument).toMatchObject({ brand: 'Visa', last4: '1111', expMonth: 12, expYear: 2039 });
+
+        const stored = await Order.findById(res.body._id).lean();
+        expect(JSON.stringify(stored)).not.toContain(CARD.number);
+
+        const methods = await listMethods(buyerToken);
+        expect(methods.body).toHaveLength(1);
+        expect(methods.body[0]).toMatchObject({ type: 'card', brand: 'Visa', last4: '1111' });
+        expect(methods.body[0].token).toBeUndefined();
+
+        const vaulted = await PaymentMethod.findOne({}).select('+token').lean();
+        const raw = JSON.stringify(vaulted);
+        expect(raw).not.toContain(CARD.number);
+        expect(raw).not.toContain(`"${CARD.cvv}"`);
+        expect(vaulted.token.data).not.toMatch(/^mock_pm_/);
+    });
+
+    it('should pay with a saved method without card details', async () => {
+        const saved = await request(app)
+            .post('/api/payments/methods')
+            .set('Authorization', `Bearer ${buyerToken}`)
+            .send({ paymentMethod: 'upi', paymentDetails: { upiId: 'vaultbuyer@okaxis' } });
+        expect(saved.statusCode).toBe(201);
+        expect(saved.body.upiHandle).toBe('va********@okaxis');
+
+        const res = await buy(buyerToken, { paymentMethodId: saved.body._id });
+
+        expect(res.statusCode).toBe(201);
+        expect(res.body.paymentMethod).toBe('upi');
+        expect(res.body.paymentStatus).toBe('paid');
+        expect(String(res.body.payment.savedMethod)).toBe(saved.body._id);
+    });
+
+    it('should save the same card only once', async () => {
+        await buy(buyerToken, { paymentMethod: 'card', paymentDetails: CARD, saveMethod: true });
+        await buy(buyerToken, { paymentMethod: 'card', paymentDetails: { ...CARD, cvv: '456' }, saveMethod: true });
+
+        expect((await listMethods(buyerToken)).body).toHaveLength(1);
+    });
+
+    it('should not let another buyer use or delete a saved method', async () => {
+        await buy(buyerToken, { paymentMethod: 'card', paymentDetails: CARD, saveMethod: true });
+        const [method] = (await listMethods(buyerToken)).body;
+
+        expect((await buy(strangerToken, { paymentMethodId: method._id })).statusCode).toBe(404);
+        const removed = await request(app)
+            .delete(`/api/payments/methods/${method._id}`)
+            .set('Authorization', `Bearer ${strangerToken}`);
+        expect(removed.statusCode).toBe(404);
+
+        const own = await request(app)
+            .delete(`/api/payments/methods/${method._id}`)
+            .set('Authorization', `Bearer ${buyerToken}`);
+        expect(own.statusCode).toBe(200);
+        expect((await listMethods(buyerToken)).body).toHaveLength(0);
+    });
+
+    it('should re-encrypt saved tokens when the key is rotated', async () => {
+        process.env.PAYMENT_ENCRYPTION_KEYS = 'k1:first-secret';
+        await buy(buyerToken, { paymentMethod: 'card', paymentDetails: CARD, saveMethod: true });
+        const [method] = (await listMethods(buyerToken)).body;
+
+        process.env.PAYMENT_ENCRYPTION_KEYS = 'k2:second-secret,k1:first-secret';
+        expect(await rotatePaymentMethodKeys()).toEqual({ rotated: 1, failed: 0 });
+        expect((await PaymentMethod.findById(method._id).select('+token')).token.keyId).toBe('k2');
+
+        // The old key can now be dropped
+        process.env.PAYMENT_ENCRYPTION_KEYS = 'k2:second-secret';
+        const res = await buy(buyerToken, { paymentMethodId: method._id });
+        expect(res.body.paymentStatus).toBe('paid');
+    });
+
+    it('should scrub stored card details from old orders', async () => {
+        // An order written by the old checkout, which encrypted everything
+        const key = crypto.createHash('sha256').update(process.env.JWT_SECRET).digest();
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+        const encrypted = Buffer.concat([cipher.update(JSON.stringify(CARD), 'utf8'), cipher.final()]);
+        const { insertedId } = await Order.collection.insertOne({
+            paymentMethod: 'card',
+            paymentStatus: 'paid',
+            paymentDetailsEncrypted: encrypted.toString('base64'),
+            paymentDetailsIv: iv.toString('base64'),
+            paymentDetailsTag: cipher.getAuthTag().toString('base64')
+        });
+
+        const result = await scrubLegacyPaymentDetails();
+
+        expect(result.scrubbed).toBeGreaterThanOrEqual(1);
+        const order = await Order.collection.findOne({ _id: insertedId });
+        expect(order.paymentDetailsEncrypted).toBeUndefined();
+        expect(order.paymentDetailsIv).toBeUndefined();
+        expect(order.paymentDetailsTag).toBeUndefined();
+        expect(order.payment.instrument).toMatchObject({ brand: 'Visa', last4: '1111' });
+    });
+});
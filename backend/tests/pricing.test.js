@@ -0,0 +1,172 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'pricing_test_secret';
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Crop = require('../models/Crop');
+const Cart = require('../models/Cart');
+const Order = require('../models/Order');
+const FeeRule = require('../models/FeeRule');
+const { priceOrder } = require('../services/pricingService');
+const app = require('../server');
+const { getTestUri, createActiveUser } = require('./helpers');
+
+let farmerToken, buyerToken, adminToken, buyer;
+
+const listCrop = async (fields = {}) => {
+    const res = await request(app)
+        .post('/api/crops')
+        .set('Authorization', `Bearer ${farmerToken}`)
+        .send({ name: 'Fee Wheat', quantity: 20, price: 100, quality: 'A', location: 'Kota', category: 'grain', ...fields });
+    return res.body;
+};
+
+const addRule = (rule) => request(app)
+    .post('/api/admin/fee-rules')
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send(rule);
+
+const quote = (cropId, quantity) => request(app)
+    .get(`/api/trade/quote?cropId=${cropId}&quantity=${quantity}`)
+    .set('Authorization', `Bearer ${buyerToken}`);
+
+beforeAll(async () => {
+    await mongoose.connect(getTestUri('pricing'));
+    await User.deleteMany({});
+    await Crop.deleteMany({});
+
+    farmerToken = (await createActiveUser({ phone: '5551110001', role: 'FARMER', name: 'Fee Farmer', location: 'Kota' })).token;
+    buyerToken = (await createActiveUser({ phone: '5551110002', role: 'BUYER', name: 'Fee Buyer' })).token;
+    adminToken = (await createActiveUser({ phone: '5551110003', role: 'ADMIN', name: 'Fee Admin' })).token;
+    buyer = await User.findOne({ phone: '5551110002' });
+});
+
+beforeEach(async () => {
+    await FeeRule.deleteMany({});
+    await Order.deleteMany({});
+    await Cart.deleteMany({});
+    await User.updateOne({ _id: buyer._id }, { $set: { buyerTier: 'standard' } });
+});
+
+afterAll(async () => {
+    await User.deleteMany({});
+    await Crop.deleteMany({});
+    await Cart.deleteMany({});
+    await Order.deleteMany({});
+    await FeeRule.deleteMany({});
+    await mongoose.connection.close();
+});
+
+describe('Fee engine', () => {
+
+    it('should price percentage and flat fees per category and order type', () => {
+        const rules = [
+            { name: 'Grain handling', kind: 'percentage', value: 1.5, payer: 'buyer', categories: ['grain'] },
+            { name: 'Bid service', kind: 'flat', value: 25, payer: 'buyer', orderTypes: ['bid'] },
+            { name: 'Commission', kind: 'percentage', value: 2, payer: 'farmer' }
+        ];
+        const items = [
+            { quantity: 2, pricePerKg: 100, category: 'grain' },
+            { quantity: 1, pricePerKg: 50, category: 'fruit' }
+        ];
+
+        const bid = priceOrder({ items, orderType: 'bid', rules });
+        expect(bid.fees.map((fee) => [fee.name, fee.amount])).toEqual([
+            ['Grain handling', 3],
+            ['Bid service', 25],
+            ['Commission', 5]
+        ]);
+        expect(bid).toMatchObject({ subtotal: 250, buyerFees: 28, farmerFees: 5, totalAmount: 278, farmerAmount: 245 });
+
+        const buyNow = priceOrder({ items, orderType: 'buyNow', rules });
+        expect(buyNow.totalAmount).toBe(253);
+    });
+
+    it('should never charge a farmer more than the order is worth', () => {
+        const pricing = priceOrder({
+            items: [{ quantity: 1, pricePerKg: 40, category: 'grain' }],
+            orderType: 'buyNow',
+            rules: [{ name: 'Listing fee', kind: 'flat', value: 100, payer: 'farmer' }]
+        });
+        expect(pricing.farmerFees).toBe(40);
+        expect(pricing.farmerAmount).toBe(0);
+    });
+
+    it('should quote and record the same fee lines', async () => {
+        await addRule({ name: 'Marketplace fee', kind: 'percentage', value: 2, categories: ['grain'] });
+        await addRule({ name: 'Commission', kind: 'percentage', value: 3, payer: 'farmer' });
+        const crop = await listCrop();
+
+        const quoted = await quote(crop._id, 3);
+        expect(quoted.statusCode).toBe(200);
+        expect(quoted.body).toMatchObject({ subtotal: 300, buyerFees: 6, totalAmount: 306 });
+        // The farmer's commission is not shown to the buyer
+        expect(quoted.body.fees.map((fee) => fee.name)).toEqual(['Marketplace fee']);
+
+        const order = await request(app)
+            .post('/api/trade/orders')
+            .set('Authorization', `Bearer ${buyerToken}`)
+            .send({ cropId: crop._id, quantity: 3, paymentMethod: 'cod', shippingAddress: '1 Station Road, Kota' });
+
+        expect(order.statusCode).toBe(201);
+        expect(order.body).toMatchObject({ subtotal: 300, totalAmount: 306 });
+        expect(order.body.fees.map(({ name, payer, amount }) => ({ name, payer, amount }))).toEqual([
+            { name: 'Marketplace fee', payer: 'buyer', amount: 6 },
+            { name: 'Commission', payer: 'farmer', amount: 9 }
+        ]);
+        expect(order.body.items[0].category).toBe('grain');
+    });
+
+    it('should apply tier rules to the buyer\'s tier only', async () => {
+        await addRule({ name: 'Standard service fee', kind: 'flat', value: 20, buyerTiers: ['standard'] });
+        const crop = await listCrop();
+
+        expect((await quote(crop._id, 1)).body.totalAmount).toBe(120);
+
+        const tier = await request(app)
+            .put(`/api/admin/users/${buyer._id}/tier`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ tier: 'gold' });
+        expect(tier.statusCode).toBe(200);
+
+        expect((await quote(crop._id, 1)).body.totalAmount).toBe(100);
+    });
+
+    it('should price the cart and its checkout with buyer fees per order', async () => {
+        await addRule({ name: 'Order fee', kind: 'flat', value: 15 });
+        const crop = await listCrop();
+
+        const cart = await request(app)
+            .post('/api/cart/items')
+            .set('Authorization', `Bearer ${buyerToken}`)
+            .send({ cropId: crop._id, quantity: 2 });
+        expect(cart.body.farmers[0]).toMatchObject({ subtotal: 200, total: 215 });
+        expect(cart.body.totalAmount).toBe(215);
+
+        const checkout = await request(app)
+            .post('/api/cart/checkout')
+            .set('Authorization', `Bearer ${buyerToken}`)
+            .send({ paymentMethod: 'cod', shippingAddress: '1 Station Road, Kota' });
+        expect(checkout.body.orders[0]).toMatchObject({ subtotal: 200, totalAmount: 215 });
+    });
+
+    it('should let only admins manage fee rules, and validate them', async () => {
+        const denied = await request(app)
+            .post('/api/admin/fee-rules')
+            .set('Authorization', `Bearer ${buyerToken}`)
+            .send({ name: 'Sneaky', kind: 'flat', value: 1 });
+        expect(denied.statusCode).toBe(401);
+
+        expect((await addRule({ name: 'Too much', kind: 'percentage', value: 150 })).statusCode).toBe(400);
+
+        const created = await addRule({ name: 'Order fee', kind: 'flat', value: 10 });
+        const updated = await request(app)
+            .put(`/api/admin/fee-rules/${created.body._id}`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ active: false });
+        expect(updated.body.active).toBe(false);
+
+        const crop = await listCrop();
+        expect((await quote(crop._id, 1)).body.fees).toEqual([]);
+    });
+});
@@ -95,6 +95,43 @@ describe('Trade API (Epic 4)', () => {
             expect(res.body.totalAmount).toBe(50 * 30);
         });
 
+        it('should let only one of two concurrent buyers take the last quintal', async () => {
+            // Created directly and logged in, so the race does not depend on registration
+            const login = async (phone, name) => {
+                await User.create({ phone, name, role: 'BUYER', password: 'password123', isActive: true });
+                const res = await request(app).post('/api/auth/login').send({ phone, password: 'password123' });
+                return res.body.token;
+            };
+            const firstToken = await login('5557770001', 'Race Buyer One');
+            const secondToken = await login('5557770002', 'Race Buyer Two');
+
+            const cropRes = await request(app)
+                .post('/api/crops')
+                .set('Authorization', `Bearer ${farmerToken}`)
+                .send({ name: 'Last Quintal Wheat', quantity: 1, price: 30, quality: 'A', location: 'Punjab' });
+            const lastCropId = cropRes.body._id;
+
+            const buy = (token) => request(app)
+                .post('/api/trade/orders')
+                .set('Authorization', `Bearer ${token}`)
+                .send({
+                    cropId: lastCropId,
+                    quantity: 1,
+                    paymentMethod: 'cod',
+                    shippingAddress: '9 Grain Market, Ludhiana'
+                });
+
+            const results = await Promise.all([buy(firstToken), buy(secondToken)]);
+            const statuses = results.map((r) => r.statusCode).sort();
+
+            expect(statuses).toEqual([201, 400]);
+            expect(await Order.countDocuments({ listingId: lastCropId })).toBe(1);
+
+            const crop = await Crop.findById(lastCropId);
+            expect(crop.quantity).toBe(0);
+            expect(crop.isSold).toBe(true);
+        });
+
         it('should fail without auth token (401)', async () => {
             const res = await request(app)
                 .post('/api/trade/orders')
@@ -0,0 +1,18 @@
+/**
+ * Error carrying the HTTP status a service wants the client to see.
+ *
+ * Controllers set `res.status(...)` before throwing; services have no
+ * `res`, so they throw an HttpError instead and the global error handler
+ * in server.js uses its statusCode.
+ */
+class HttpError extends Error {
+    constructor(statusCode, message) {
+        super(message);
+        this.name = 'HttpError';
+        this.statusCode = statusCode;
+    }
+}
+
+module.exports = {
+    HttpError,
+};
@@ -1,25 +1,112 @@
+/**
+ * @fileoverview Versioned encryption for stored payment secrets
+ *
+ * Encrypts small secrets (payment provider tokens) with AES-256-GCM under
+ * a named key, so keys can be rotated: new values are sealed with the
+ * current key and older values still open while their key is configured.
+ *
+ * Keys come from PAYMENT_ENCRYPTION_KEYS, a comma-separated list of
+ * `<keyId>:<secret>` pairs. The first entry is the current key, e.g.
+ * `2024b:new-secret,2024a:old-secret`. Rotating means putting a new key
+ * first, re-sealing stored values (scripts/rotatePaymentKeys.js), then
+ * dropping the old key. A single PAYMENT_ENCRYPTION_KEY is accepted as
+ * key ID "1".
+ *
+ * Production refuses to encrypt without a configured key. Development and
+ * tests use a key derived from JWT_SECRET (key ID "dev") instead.
+ *
+ * @module utils/paymentCrypto
+ */
+
 const crypto = require('crypto');
 
-function deriveKey() {
-    const raw = process.env.PAYMENT_ENCRYPTION_KEY || process.env.JWT_SECRET || 'fallback_dev_key';
-    return crypto.createHash('sha256').update(String(raw)).digest();
+const DEV_KEY_ID = 'dev';
+
+function deriveKey(secret) {
+    return crypto.createHash('sha256').update(String(secret)).digest();
+}
+
+/**
+ * Configured keys, current first.
+ *
+ * @returns {Array<{ id: String, key: Buffer }>}
+ * @throws {Error} When no key is configured in production
+ */
+function loadKeys() {
+    const list = String(process.env.PAYMENT_ENCRYPTION_KEYS || '')
+        .split(',')
+        .map((entry) => entry.trim())
+        .filter(Boolean)
+        .map((entry) => {
+            const separator = entry.indexOf(':');
+            if (separator < 1 || separator === entry.length - 1) {
+                throw new Error('PAYMENT_ENCRYPTION_KEYS entries must look like <keyId>:<secret>');
+            }
+            return { id: entry.slice(0, separator), key: deriveKey(entry.slice(separator + 1)) };
+        });
+
+    if (list.length) {
+        return list;
+    }
+    if (process.env.PAYMENT_ENCRYPTION_KEY) {
+        return [{ id: '1', key: deriveKey(process.env.PAYMENT_ENCRYPTION_KEY) }];
+    }
+    if (process.env.NODE_ENV !== 'production' && process.env.JWT_SECRET) {
+        return [{ id: DEV_KEY_ID, key: deriveKey(`payment-vault:${process.env.JWT_SECRET}`) }];
+    }
+    throw new Error('PAYMENT_ENCRYPTION_KEYS is not set');
 }
 
-function encryptPaymentDetails(payload) {
+/**
+ * ID of the key new values are sealed with.
+ *
+ * @returns {String}
+ */
+function currentKeyId() {
+    return loadKeys()[0].id;
+}
+
+/**
+ * Encrypt a string with the current key.
+ *
+ * @param {String} plaintext
+ * @returns {{ keyId: String, iv: String, tag: String, data: String }} Base64 fields
+ */
+function encryptSecret(plaintext) {
+    const { id, key } = loadKeys()[0];
     const iv = crypto.randomBytes(12);
-    const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(), iv);
-    const plaintext = JSON.stringify(payload || {});
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
 
-    const encrypted = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
-    const tag = cipher.getAuthTag();
+    const encrypted = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
 
     return {
-        encrypted: encrypted.toString('base64'),
+        keyId: id,
         iv: iv.toString('base64'),
-        tag: tag.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: encrypted.toString('base64'),
     };
 }
 
+/**
+ * Decrypt a value sealed by encryptSecret, with whichever key sealed it.
+ *
+ * @param {{ keyId: String, iv: String, tag: String, data: String }} sealed
+ * @returns {String}
+ * @throws {Error} When the key is no longer configured or the value was tampered with
+ */
+function decryptSecret(sealed) {
+    const entry = loadKeys().find((candidate) => candidate.id === sealed?.keyId);
+    if (!entry) {
+        throw new Error(`Payment encryption key "${sealed?.keyId}" is not configured`);
+    }
+
+    const decipher = crypto.createDecipheriv('aes-256-gcm', entry.key, Buffer.from(sealed.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(sealed.tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(sealed.data, 'base64')), decipher.final()]).toString('utf8');
+}
+
 module.exports = {
-    encryptPaymentDetails,
+    currentKeyId,
+    encryptSecret,
+    decryptSecret,
 };
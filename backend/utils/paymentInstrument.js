@@ -0,0 +1,44 @@
+/**
+ * Display helpers for payment instruments: what a buyer sees of a card or
+ * UPI ID once the details themselves are gone ("Visa •••• 4242",
+ * "ra***@okaxis").
+ */
+
+function cardBrand(number) {
+    if (/^4/.test(number)) return 'Visa';
+    if (/^(5[1-5]|2[2-7])/.test(number)) return 'Mastercard';
+    if (/^3[47]/.test(number)) return 'American Express';
+    if (/^(60|65|81|82|508)/.test(number)) return 'RuPay';
+    return 'Card';
+}
+
+function maskUpiId(upiId) {
+    const [name, bank] = String(upiId).split('@');
+    return `${name.slice(0, 2)}${'*'.repeat(Math.max(name.length - 2, 2))}@${bank}`;
+}
+
+/**
+ * Display fields for checkout payment details.
+ *
+ * @param {String} method - 'card' | 'upi'
+ * @param {Object} details - { number, expiry } or { upiId }
+ * @returns {Object} { brand, last4, expMonth, expYear } or { brand: 'UPI', upiHandle }
+ */
+function describeInstrument(method, details = {}) {
+    if (method === 'card') {
+        const number = String(details.number || '').replace(/\D/g, '');
+        const [month, year] = String(details.expiry || '').split('/');
+        return {
+            brand: cardBrand(number),
+            last4: number.slice(-4),
+            expMonth: Number(month) || undefined,
+            expYear: Number(year) ? 2000 + Number(year) : undefined,
+        };
+    }
+
+    return { brand: 'UPI', upiHandle: maskUpiId(String(details.upiId || '').trim().toLowerCase()) };
+}
+
+module.exports = {
+    describeInstrument,
+};
@@ -0,0 +1,81 @@
+/**
+ * Checkout payment payload validation, shared by single-listing checkout
+ * (POST /api/trade/orders) and cart checkout (POST /api/cart/checkout).
+ */
+
+const CARD_NUMBER_REGEX = /^\d{16}$/;
+const CARD_CVV_REGEX = /^\d{3}$/;
+const CARD_NAME_REGEX = /^[A-Za-z ]+$/;
+const UPI_ID_REGEX = /^[^\s@]+@[^\s@]+$/;
+
+function validateExpiryMMYY(expiry) {
+    if (!expiry || typeof expiry !== 'string') {
+        return false;
+    }
+
+    const match = expiry.match(/^(\d{2})\/(\d{2})$/);
+    if (!match) {
+        return false;
+    }
+
+    const month = Number(match[1]);
+    const year = Number(`20${match[2]}`);
+    if (!month || month < 1 || month > 12 || !year) {
+        return false;
+    }
+
+    const now = new Date();
+    const currentMonthStart = new Date(now.getFullYear(), now.getMonth(), 1);
+    const selectedMonthStart = new Date(year, month - 1, 1);
+
+    return selectedMonthStart > currentMonthStart;
+}
+
+function validatePaymentPayload(paymentMethod, paymentDetails) {
+    if (!['card', 'upi', 'cod'].includes(paymentMethod)) {
+        return 'Invalid payment method';
+    }
+
+    if (paymentMethod === 'cod') {
+        return '';
+    }
+
+    if (!paymentDetails || typeof paymentDetails !== 'object') {
+        return 'Payment details are required for online payment';
+    }
+
+    if (paymentMethod === 'card') {
+        const number = String(paymentDetails.number || '').replace(/\D/g, '');
+        const cvv = String(paymentDetails.cvv || '').replace(/\D/g, '');
+        const name = String(paymentDetails.name || '').trim();
+        const expiry = String(paymentDetails.expiry || '').trim();
+
+        if (!CARD_NUMBER_REGEX.test(number)) {
+            return 'Card number must contain exactly 16 digits';
+        }
+        if (!CARD_CVV_REGEX.test(cvv)) {
+            return 'CVV must be a 3-digit number';
+        }
+        if (!CARD_NAME_REGEX.test(name)) {
+            return 'Cardholder name must contain only letters and spaces';
+        }
+        if (!validateExpiryMMYY(expiry)) {
+            return 'Card expiry date must be in MM/YY format and in the future';
+        }
+
+        return '';
+    }
+
+    if (paymentMethod === 'upi') {
+        const upiId = String(paymentDetails.upiId || '').trim();
+        if (!UPI_ID_REGEX.test(upiId)) {
+            return 'Enter a valid UPI ID (example: name@upi)';
+        }
+    }
+
+    return '';
+}
+
+module.exports = {
+    validatePaymentPayload,
+};
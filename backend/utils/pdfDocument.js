@@ -0,0 +1,144 @@
+/**
+ * @fileoverview Minimal PDF writer for generated documents
+ *
+ * Enough of PDF 1.4 to lay out text and rules on A4 pages: invoices and
+ * bills of supply (services/invoiceService) need nothing more, so the
+ * backend does not carry a PDF library. Text uses the standard Helvetica
+ * fonts, which every PDF viewer has, so no font is embedded.
+ *
+ * Coordinates are in points from the top-left corner of the page (the
+ * PDF origin is bottom-left; the writer flips them). Only printable ASCII
+ * is supported; other characters are replaced with '?', so amounts are
+ * written as "Rs." rather than with the rupee sign.
+ *
+ * @module utils/pdfDocument
+ */
+
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+
+/** Helvetica advance widths (1/1000 em) for ASCII 32-126, used to right-align text. */
+const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+const toAscii = (text) => String(text ?? '').replace(/[^\x20-\x7e]/g, '?');
+
+const escapeText = (text) => text.replace(/[\\()]/g, (char) => `\\${char}`);
+
+const formatNumber = (value) => Number(value.toFixed(2)).toString();
+
+/**
+ * Width of a string in points. Bold text is measured with the regular
+ * widths, which is close enough for aligning figures (digits are the
+ * same width in both).
+ *
+ * @param {String} text
+ * @param {Number} size - Font size in points
+ * @returns {Number}
+ */
+function textWidth(text, size) {
+    const units = [...toAscii(text)].reduce((sum, char) => sum + HELVETICA_WIDTHS[char.charCodeAt(0) - 32], 0);
+    return units * size / 1000;
+}
+
+/**
+ * A document being laid out. Starts with one page.
+ */
+class PdfDocument {
+    constructor() {
+        this.pages = [];
+        this.addPage();
+    }
+
+    /** Start a new page; later drawing goes on it. */
+    addPage() {
+        this.page = [];
+        this.pages.push(this.page);
+        return this;
+    }
+
+    /**
+     * Draw a line of text.
+     *
+     * @param {String} text
+     * @param {Number} x - Left edge, or right edge when `align` is 'right'
+     * @param {Number} y - Baseline, from the top of the page
+     * @param {Object} [options]
+     * @param {Number} [options.size=10]
+     * @param {Boolean} [options.bold=false]
+     * @param {String} [options.align='left'] - 'left' | 'right'
+     */
+    text(text, x, y, { size = 10, bold = false, align = 'left' } = {}) {
+        const value = toAscii(text);
+        const left = align === 'right' ? x - textWidth(value, size) : x;
+        this.page.push(`BT /${bold ? 'F2' : 'F1'} ${size} Tf ${formatNumber(left)} ${formatNumber(PAGE_HEIGHT - y)} Td (${escapeText(value)}) Tj ET`);
+        return this;
+    }
+
+    /**
+     * Draw a straight line.
+     *
+     * @param {Number} x1
+     * @param {Number} y1
+     * @param {Number} x2
+     * @param {Number} y2
+     * @param {Number} [width=0.5] - Stroke width in points
+     */
+    line(x1, y1, x2, y2, width = 0.5) {
+        this.page.push(`${width} w ${formatNumber(x1)} ${formatNumber(PAGE_HEIGHT - y1)} m ${formatNumber(x2)} ${formatNumber(PAGE_HEIGHT - y2)} l S`);
+        return this;
+    }
+
+    /**
+     * Serialise the document.
+     *
+     * @returns {Buffer} The PDF file
+     */
+    toBuffer() {
+        // 1: catalog, 2: page tree, 3-4: fonts, then a page and its content stream per page
+        const objects = [];
+        const pageIds = this.pages.map((_, index) => 5 + index * 2);
+
+        objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+        objects[2] = `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+        objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+        objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+
+        this.pages.forEach((commands, index) => {
+            const pageId = pageIds[index];
+            const content = commands.join('\n');
+            objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] `
+                + `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageId + 1} 0 R >>`;
+            objects[pageId + 1] = `<< /Length ${Buffer.byteLength(content)} >>\nstream\n${content}\nendstream`;
+        });
+
+        let output = '%PDF-1.4\n';
+        const offsets = [];
+        for (let id = 1; id < objects.length; id += 1) {
+            offsets[id] = Buffer.byteLength(output);
+            output += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+        }
+
+        const xrefOffset = Buffer.byteLength(output);
+        output += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+        for (let id = 1; id < objects.length; id += 1) {
+            output += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+        }
+        output += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+        return Buffer.from(output, 'latin1');
+    }
+}
+
+module.exports = {
+    PAGE_WIDTH,
+    PAGE_HEIGHT,
+    PdfDocument,
+    textWidth,
+};
@@ -160,6 +160,7 @@ function AppContent() {
             {/* Dynamic segments: :negotiationId and :cropId are URL parameters */}
             <Route path="/negotiation/:negotiationId" element={<NegotiationPage />} />
             <Route path="/buy/:cropId" element={<BuyNowPaymentPage />} />
+            <Route path="/checkout/cart" element={<BuyNowPaymentPage />} />
 
             {/* ==================== SIDEBAR ROUTES ==================== */}
             {/* Pages that render with Sidebar and Navbar */}
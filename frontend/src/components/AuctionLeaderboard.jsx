@@ -1,5 +1,5 @@
-import React from 'react';
-import { Trophy, Clock, CheckCircle, XCircle } from 'lucide-react';
+import React, { useState } from 'react';
+import { Trophy, Clock, CheckCircle, XCircle, Zap } from 'lucide-react';
 
 const statusColors = {
     Pending: 'bg-amber-100 text-amber-700',
@@ -14,7 +14,13 @@ const statusIcons = {
 };
 
 export default function AuctionLeaderboard({ bids = [] }) {
+    // 'ranking' = highest first, 'history' = newest first (shows how auto-bids played out)
+    const [view, setView] = useState('ranking');
     const sorted = [...bids].sort((a, b) => b.amount - a.amount);
+    const topBidId = sorted[0]?._id;
+    const shown = view === 'history'
+        ? [...bids].sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+        : sorted;
 
     if (!sorted.length) {
         return (
@@ -25,45 +31,68 @@ export default function AuctionLeaderboard({ bids = [] }) {
     }
 
     return (
-        <div className="space-y-2 max-h-72 overflow-y-auto pr-1">
-            {sorted.map((bid, idx) => {
-                const Icon = statusIcons[bid.status] || Clock;
-                return (
-                    <div
-                        key={bid._id || idx}
-                        className={`flex items-center justify-between px-4 py-3 rounded-xl border ${
-                            idx === 0 ? 'border-emerald-200 bg-emerald-50' : 'border-gray-100 bg-white'
+        <div>
+            <div className="flex gap-1 mb-2 text-xs">
+                {['ranking', 'history'].map((option) => (
+                    <button
+                        key={option}
+                        type="button"
+                        onClick={() => setView(option)}
+                        className={`px-3 py-1 rounded-full font-medium ${
+                            view === option ? 'bg-emerald-600 text-white' : 'bg-gray-100 text-gray-600'
                         }`}
                     >
-                        <div className="flex items-center gap-3">
-                            {idx === 0 && (
-                                <Trophy className="w-5 h-5 text-amber-500" />
-                            )}
-                            <div>
-                                <p className="text-sm font-semibold text-gray-800">
-                                    {bid.buyerId?.name || 'Buyer'}
-                                </p>
-                                <p className="text-xs text-gray-400">
-                                    {new Date(bid.createdAt).toLocaleString()}
-                                </p>
+                        {option === 'ranking' ? 'Ranking' : 'Bid history'}
+                    </button>
+                ))}
+            </div>
+            <div className="space-y-2 max-h-72 overflow-y-auto pr-1">
+                {shown.map((bid, idx) => {
+                    const Icon = statusIcons[bid.status] || Clock;
+                    const isTop = bid._id ? bid._id === topBidId : idx === 0;
+                    return (
+                        <div
+                            key={bid._id || idx}
+                            className={`flex items-center justify-between px-4 py-3 rounded-xl border ${
+                                isTop ? 'border-emerald-200 bg-emerald-50' : 'border-gray-100 bg-white'
+                            }`}
+                        >
+                            <div className="flex items-center gap-3">
+                                {isTop && (
+                                    <Trophy className="w-5 h-5 text-amber-500" />
+                                )}
+                                <div>
+                                    <p className="text-sm font-semibold text-gray-800 flex items-center gap-1">
+                                        {bid.buyerId?.name || 'Buyer'}
+                                        {bid.isProxy && (
+                                            <span className="text-[10px] px-1.5 py-0.5 rounded-full bg-purple-100 text-purple-700 font-medium flex items-center gap-0.5">
+                                                <Zap className="w-3 h-3" />
+                                                Auto
+                                            </span>
+                                        )}
+                                    </p>
+                                    <p className="text-xs text-gray-400">
+                                        {new Date(bid.createdAt).toLocaleString()}
+                                    </p>
+                                </div>
+                            </div>
+                            <div className="flex items-center gap-3">
+                                <span className="text-sm font-bold text-gray-900">
+                                    ₹{bid.amount?.toLocaleString('en-IN')}
+                                </span>
+                                <span
+                                    className={`text-xs px-2 py-0.5 rounded-full font-medium ${
+                                        statusColors[bid.status] || statusColors.Pending
+                                    }`}
+                                >
+                                    <Icon className="w-3 h-3 inline mr-1" />
+                                    {bid.status}
+                                </span>
                             </div>
                         </div>
-                        <div className="flex items-center gap-3">
-                            <span className="text-sm font-bold text-gray-900">
-                                ₹{bid.amount?.toLocaleString('en-IN')}
-                            </span>
-                            <span
-                                className={`text-xs px-2 py-0.5 rounded-full font-medium ${
-                                    statusColors[bid.status] || statusColors.Pending
-                                }`}
-                            >
-                                <Icon className="w-3 h-3 inline mr-1" />
-                                {bid.status}
-                            </span>
-                        </div>
-                    </div>
-                );
-            })}
+                    );
+                })}
+            </div>
         </div>
     );
 }
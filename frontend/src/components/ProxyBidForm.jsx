@@ -0,0 +1,76 @@
+import React, { useState } from 'react';
+import { Zap } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { T, useT } from '../context/TranslationContext';
+
+const proxyStatusText = {
+    active: 'Auto-bidding up to',
+    outbid: 'Outbid above your maximum of',
+    closed: 'Your maximum was',
+};
+
+export default function ProxyBidForm({ onSetMax, minAmount = 0, proxy = null }) {
+    const [maxAmount, setMaxAmount] = useState('');
+    const tr = useT();
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        const numVal = Number(maxAmount);
+        if (!numVal || numVal <= 0) {
+            toast.error(tr('Enter a valid maximum bid'));
+            return;
+        }
+        if (numVal > 10000) {
+            toast.error(tr('Bid cannot exceed ₹10,000/quintal'));
+            return;
+        }
+        if (numVal < minAmount) {
+            toast.error(tr(`Maximum bid must be at least ₹${minAmount}`));
+            return;
+        }
+        if (proxy?.status === 'active' && numVal <= proxy.maxAmount) {
+            toast.error(tr('You can only raise your maximum bid'));
+            return;
+        }
+        onSetMax(numVal);
+        setMaxAmount('');
+    };
+
+    return (
+        <div>
+            {proxy && (
+                <p className={`text-xs mb-2 ${proxy.status === 'active' ? 'text-emerald-700' : 'text-amber-700'}`}>
+                    <T>{proxyStatusText[proxy.status] || proxyStatusText.active}</T> ₹{proxy.maxAmount}/quintal
+                    {' '}(<T>hidden from other buyers</T>)
+                </p>
+            )}
+            <form onSubmit={handleSubmit} className="flex items-center gap-3">
+                <div className="relative flex-1">
+                    <Zap className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-gray-400" />
+                    <input
+                        type="number"
+                        min="1"
+                        max="10000"
+                        step="1"
+                        value={maxAmount}
+                        onChange={(e) => {
+                            const v = Number(e.target.value);
+                            if (v <= 10000) setMaxAmount(e.target.value);
+                        }}
+                        placeholder={tr('Maximum bid (₹/quintal)')}
+                        className="w-full pl-9 pr-4 py-2.5 rounded-xl border border-gray-200 focus:ring-2 focus:ring-purple-500 focus:border-transparent outline-none text-sm"
+                    />
+                </div>
+                <button
+                    type="submit"
+                    className="px-5 py-2.5 bg-purple-600 hover:bg-purple-700 text-white rounded-xl font-medium text-sm transition-colors shadow-md"
+                >
+                    <T>Auto-bid</T>
+                </button>
+            </form>
+            <p className="text-xs text-gray-400 mt-2">
+                <T>We bid the minimum needed to keep you in the lead, never above your maximum.</T>
+            </p>
+        </div>
+    );
+}
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useRef, useContext, useCallback } from 'react';
+import React, { useState, useEffect, useRef, useContext } from 'react';
 import {
     Send,
     CheckCircle,
@@ -12,8 +12,12 @@ import { AuthContext } from '../context/AuthContext';
 import { T, useT } from '../context/TranslationContext';
 import ChatBubble from './ChatBubble';
 import BidInputForm from './BidInputForm';
+import ProxyBidForm from './ProxyBidForm';
 import AuctionLeaderboard from './AuctionLeaderboard';
 import api from '../services/api';
+import { auctionService } from '../services/auctionService';
+import { tradeService } from '../services/tradeService';
+import useAuctionTimer from '../hooks/useAuctionTimer';
 import { useNavigate } from 'react-router-dom';
 
 const getRemaining = (expiresAt) => {
@@ -33,7 +37,44 @@ const statusChipClass = {
     Expired: 'bg-slate-200 text-slate-600',
 };
 
-export default function TradeRoom({ listingId, currentUserRole }) {
+/**
+ * Fetch what the trade room shows: the bids (or the auction and its bids),
+ * the crop and the conversation with the other party.
+ * Resolves to null when the data cannot be loaded yet.
+ */
+const fetchTradeData = async ({ listingId, auctionId, userId, currentUserRole }) => {
+    try {
+        const [bidRes, cropListRes] = await Promise.all([
+            auctionId ? auctionService.getById(auctionId) : api.get(`/bids/${listingId}`),
+            api.get('/crops'),
+        ]);
+
+        const bids = (auctionId ? bidRes.data?.bids : bidRes.data) || [];
+        const crop = cropListRes.data.find?.((c) => c._id === listingId) || null;
+
+        const farmerId = crop?.farmer?._id || crop?.farmer;
+        const latestBidBuyerId = bids[0]?.buyerId?._id || bids[0]?.buyerId;
+        const conversationPeer = currentUserRole === 'Buyer' ? farmerId : latestBidBuyerId;
+
+        const params = { listingId };
+        if (conversationPeer) {
+            params.user1 = userId;
+            params.user2 = conversationPeer;
+        }
+
+        const messages = await api
+            .get('/messages/conversation', { params })
+            .then((res) => res.data || [])
+            .catch(() => null);
+
+        return { auction: auctionId ? bidRes.data : null, bids, crop, messages };
+    } catch {
+        // silent — data may not exist yet
+        return null;
+    }
+};
+
+export default function TradeRoom({ listingId, auctionId, currentUserRole }) {
     const navigate = useNavigate();
     const { user } = useContext(AuthContext);
     const tr = useT();
@@ -44,47 +85,39 @@ export default function TradeRoom({ listingId, currentUserRole }) {
     const [msgText, setMsgText] = useState('');
     const chatEndRef = useRef(null);
     const [crop, setCrop] = useState(null);
+    const [auction, setAuction] = useState(null);
 
-    const loadTradeData = useCallback(async () => {
-        if (!listingId || !user?._id) return;
+    const userId = user?._id;
 
-        try {
-            const [bidRes, cropListRes] = await Promise.all([
-                api.get(`/bids/${listingId}`),
-                api.get('/crops'),
-            ]);
-
-            const bidList = bidRes.data || [];
-            const cropRes = cropListRes.data.find?.((c) => c._id === listingId) || null;
-            setBids(bidList);
-            if (cropRes) setCrop(cropRes);
-
-            const farmerId = cropRes?.farmer?._id || cropRes?.farmer;
-            const latestBidBuyerId = bidList[0]?.buyerId?._id || bidList[0]?.buyerId;
-            const conversationPeer = currentUserRole === 'Buyer' ? farmerId : latestBidBuyerId;
-
-            const params = { listingId };
-            if (conversationPeer) {
-                params.user1 = user._id;
-                params.user2 = conversationPeer;
-            }
+    const applyTradeData = (data) => {
+        if (!data) return;
+        if (data.auction) setAuction(data.auction);
+        setBids(data.bids);
+        if (data.crop) setCrop(data.crop);
+        if (data.messages) setMessages(data.messages);
+    };
 
-            const msgRes = await api.get('/messages/conversation', { params });
-            setMessages(msgRes.data || []);
-        } catch {
-            // silent — data may not exist yet
-        }
-    }, [listingId, user?._id, currentUserRole]);
+    const loadTradeData = async () => {
+        if (!listingId || !userId) return;
+        applyTradeData(await fetchTradeData({ listingId, auctionId, userId, currentUserRole }));
+    };
 
+    // Load on open and poll while the room is open
     useEffect(() => {
-        loadTradeData();
-    }, [loadTradeData]);
+        if (!listingId || !userId) return undefined;
+        let cancelled = false;
+        const refresh = () => fetchTradeData({ listingId, auctionId, userId, currentUserRole })
+            .then((data) => {
+                if (!cancelled) applyTradeData(data);
+            });
 
-    useEffect(() => {
-        if (!listingId || !user?._id) return;
-        const id = setInterval(loadTradeData, 6000);
-        return () => clearInterval(id);
-    }, [listingId, user?._id, loadTradeData]);
+        refresh();
+        const id = setInterval(refresh, 6000);
+        return () => {
+            cancelled = true;
+            clearInterval(id);
+        };
+    }, [listingId, auctionId, userId, currentUserRole]);
 
     // Scroll chat on new message
     useEffect(() => {
@@ -135,9 +168,15 @@ export default function TradeRoom({ listingId, currentUserRole }) {
 
     const handlePlaceBid = async (amount) => {
         try {
-            const created = await api.post('/bids/place', {
-                listingId,
-                buyerId: user._id,
+            if (auctionId) {
+                await auctionService.placeBid(auctionId, amount);
+                await loadTradeData();
+                toast.success(tr('Bid placed successfully'));
+                return;
+            }
+
+            const created = await tradeService.placeBid({
+                cropId: listingId,
                 amount,
                 quantity: crop?.quantity,
             });
@@ -147,14 +186,24 @@ export default function TradeRoom({ listingId, currentUserRole }) {
                 return exists ? prev : [created.data, ...prev];
             });
             toast.success(tr('Bid placed successfully'));
-        } catch {
-            toast.error(tr('Failed to place bid'));
+        } catch (err) {
+            toast.error(tr(err?.response?.data?.message || 'Failed to place bid'));
+        }
+    };
+
+    const handleSetProxy = async (maxAmount) => {
+        try {
+            await auctionService.setProxyBid(auctionId, maxAmount);
+            await loadTradeData();
+            toast.success(tr('Maximum bid saved'));
+        } catch (err) {
+            toast.error(tr(err?.response?.data?.message || 'Failed to set maximum bid'));
         }
     };
 
     const handleUpdateBidStatus = async (bidId, status) => {
         try {
-            const updated = await api.put(`/bids/${bidId}/status`, { status });
+            const updated = await tradeService.updateBidStatus(bidId, status);
             setBidStatusUpdate(updated.data);
             setBids((prev) => prev.map((b) => (b._id === updated.data._id ? updated.data : b)));
         } catch {
@@ -162,9 +211,19 @@ export default function TradeRoom({ listingId, currentUserRole }) {
         }
     };
 
-    const highestBid = bids.length
-        ? Math.max(...bids.map((b) => b.amount))
+    const openBids = bids.filter((b) => b.status === 'Pending' || b.status === 'Accepted');
+    const highestBid = openBids.length
+        ? Math.max(...openBids.map((b) => b.amount))
         : 0;
+    // BidInputForm requires amounts strictly above minAmount; the first
+    // direct bid only has to reach the asking price
+    const minBidAmount = auction
+        ? auction.minNextBid - 1
+        : highestBid || Math.max((crop?.price || 0) - 1, 0);
+    const auctionOpen = !auction || auction.status === 'active';
+    const leadingAuction = auction?.highestBid?.buyerId?._id === user?._id;
+    // Follows the server's end time, which late bids may push out (soft close)
+    const auctionTimeLeft = useAuctionTimer(auction?.endTime);
 
     const myAcceptedBid = bids.find(
         (b) => (b.buyerId?._id || b.buyerId) === user?._id && b.status === 'Accepted'
@@ -210,15 +269,51 @@ export default function TradeRoom({ listingId, currentUserRole }) {
                         </h3>
                         <AuctionLeaderboard bids={bids} />
                     </div>
-                    <div className="bg-white rounded-xl shadow-md p-5">
-                        <h3 className="text-sm font-semibold text-gray-700 mb-3">
-                            <T>Place Your Bid</T>
-                        </h3>
-                        <BidInputForm
-                            minAmount={highestBid}
-                            onPlaceBid={handlePlaceBid}
-                        />
-                    </div>
+                    {auctionOpen ? (
+                        <div className="bg-white rounded-xl shadow-md p-5">
+                            <h3 className="text-sm font-semibold text-gray-700 mb-3">
+                                <T>Place Your Bid</T>
+                            </h3>
+                            <BidInputForm
+                                minAmount={minBidAmount}
+                                onPlaceBid={handlePlaceBid}
+                            />
+                            {auction && (
+                                <p className="text-xs text-gray-500 mt-2 flex items-center gap-1">
+                                    <Clock3 className="w-3 h-3" />
+                                    <T>Ends in</T>: {auctionTimeLeft === 'EXPIRED' ? <T>Closing…</T> : auctionTimeLeft}
+                                    {auction.extensions?.length > 0 && (
+                                        <span className="text-amber-600 font-semibold">
+                                            {' · '}<T>Extended by late bids</T>
+                                        </span>
+                                    )}
+                                </p>
+                            )}
+                            {auction && (
+                                <p className="text-xs text-gray-400 mt-2">
+                                    <T>Minimum next bid</T>: ₹{auction.minNextBid}/quintal
+                                    {' · '}
+                                    {auction.reserveMet ? <T>Reserve met</T> : <T>Reserve not yet met</T>}
+                                </p>
+                            )}
+                            {auction && (
+                                <div className="mt-4 pt-4 border-t border-gray-100">
+                                    <h4 className="text-sm font-semibold text-gray-700 mb-2">
+                                        <T>Set a maximum bid</T>
+                                    </h4>
+                                    <ProxyBidForm
+                                        minAmount={leadingAuction ? auction.currentBid : auction.minNextBid}
+                                        proxy={auction.myProxy}
+                                        onSetMax={handleSetProxy}
+                                    />
+                                </div>
+                            )}
+                        </div>
+                    ) : (
+                        <div className="bg-slate-50 border border-slate-200 rounded-xl p-4 text-sm text-slate-600">
+                            {auction.status === 'cancelled' ? <T>This auction was cancelled</T> : <T>This auction has ended</T>}
+                        </div>
+                    )}
                 </div>
 
                 {/* Right — Chat */}
@@ -300,7 +395,7 @@ export default function TradeRoom({ listingId, currentUserRole }) {
                                         </span>
                                     </p>
                                 </div>
-                                {bid.status === 'Pending' ? (
+                                {bid.status === 'Pending' && !bid.auction ? (
                                     <div className="flex gap-2">
                                         <button
                                             onClick={() =>
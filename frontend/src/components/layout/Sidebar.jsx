@@ -2,7 +2,7 @@
  * @fileoverview Sidebar Navigation Component for AgriSahayak Frontend
  * 
  * Fixed left sidebar that provides role-based navigation links.
- * - FARMER role: Overview, My Crops, Marketplace, My Orders, Market Prices, Get Verified
+ * - FARMER role: Overview, My Crops, Marketplace, My Orders, Negotiations, Settlements, Market Prices, Get Verified
  * - BUYER role: Discover, My Orders
  * 
  * Includes the AgriTech logo, animated NavLinks with active tab indicator,
@@ -19,7 +19,7 @@
 import { useContext } from 'react';
 import { NavLink, useNavigate, useLocation } from 'react-router-dom';
 import { motion } from 'framer-motion';
-import { Home, ShoppingBag, BarChart2, ShieldCheck, Sprout, Store, MessageSquare, Package, Users, User } from 'lucide-react';
+import { Home, ShoppingBag, BarChart2, ShieldCheck, Sprout, Store, MessageSquare, Package, Users, User, Wallet } from 'lucide-react';
 import { AuthContext } from '../../context/AuthContext';
 import { T } from '../../context/TranslationContext';
 
@@ -40,6 +40,8 @@ export default function Sidebar({ role }) {
     { to: '/dashboard/farmer', icon: <Home size={20} />, label: 'Overview' },
     { to: '/dashboard/farmer/inventory', icon: <ShoppingBag size={20} />, label: 'My Crops' },
     { to: '/dashboard/farmer/orders', icon: <ShoppingBag size={20} />, label: 'My Orders' },
+    { to: '/dashboard/farmer/negotiations', icon: <MessageSquare size={20} />, label: 'Negotiations' },
+    { to: '/dashboard/farmer/settlements', icon: <Wallet size={20} />, label: 'Settlements' },
     { to: '/dashboard/farmer/analytics', icon: <BarChart2 size={20} />, label: 'Market Prices' },
     { to: '/dashboard/farmer/profile', icon: <User size={20} />, label: 'Profile' },
     { to: '/profile/verify', icon: <ShieldCheck size={20} />, label: 'Get Verified' },
@@ -16,10 +16,11 @@
  */
 import { motion } from 'framer-motion';
 import { Star, MapPin, ShieldCheck, User } from 'lucide-react';
-import { formatQuintalRate } from '../../../utils/formatters';
+import { formatQuintalRate, formatQuintalQuantity, getAvailableQuantity } from '../../../utils/formatters';
 import CropActionButtons from '../../../features/trade/components/CropActionButtons';
 import { useContext, useState } from 'react';
 import { AuthContext } from '../../../context/AuthContext';
+import { T } from '../../../context/TranslationContext';
 import ViewFarmerProfile from '../../../components/ViewFarmerProfile';
 
 export default function CropCard({ crop, onBuy }) {
@@ -32,19 +33,22 @@ export default function CropCard({ crop, onBuy }) {
     C: 'bg-yellow-500 text-white',
   };
 
+  const availableQuantity = getAvailableQuantity(crop);
+  const reservedQuantity = crop.reservedQuantity || 0;
+
   // Convert crop to match expected format
   const cropData = {
     id: crop._id,
     name: crop.name,
     price: crop.price,
-    quantity: crop.quantity || 100,
+    quantity: crop.quantity === undefined ? 100 : availableQuantity,
     quality: crop.quality || 'A',
     farmerId: crop.farmer?._id || crop.farmer || 'farmer_1',
     farmerName: crop.farmer?.name || 'Local Farmer',
     farmerLocation: crop.farmer?.location || crop.location || 'Unknown',
     image: 'https://images.unsplash.com/photo-1500937386664-56d1dfef3854?w=400',
     description: `Fresh ${crop.name} from ${crop.farmer?.location || crop.location || 'local farm'}`,
-    available: true,
+    available: crop.quantity === undefined || availableQuantity > 0,
     negotiationEnabled: true,
     auctionEnabled: true,
   };
@@ -86,6 +90,17 @@ export default function CropCard({ crop, onBuy }) {
           </div>
         </div>
 
+        <div className="flex items-center justify-between text-xs">
+          <span className="text-slate-600">
+            <T>Available</T>: <span className="font-bold text-emerald-700">{formatQuintalQuantity(availableQuantity)}</span>
+          </span>
+          {reservedQuantity > 0 && (
+            <span className="text-amber-600 font-medium">
+              {formatQuintalQuantity(reservedQuantity)} <T>reserved</T>
+            </span>
+          )}
+        </div>
+
         <div className="flex items-center gap-2 text-xs text-slate-500">
           <MapPin size={12} />
           <span className="line-clamp-1">{crop.farmer?.location || crop.location || 'Unknown'}</span>
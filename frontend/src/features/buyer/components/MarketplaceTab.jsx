@@ -2,13 +2,15 @@
  * @fileoverview Marketplace Tab for Buyer Dashboard
  *
  * Displays all available crop listings with Buy Now, Negotiate Price,
- * and Place Bid actions. Supports search filtering by crop name.
+ * and Place Bid actions. Supports search filtering by crop name, and
+ * links to the buyer's cart checkout (/checkout/cart).
  *
  * @component MarketplaceTab
  */
 import { useState, useEffect, useContext } from 'react';
 import { motion } from 'framer-motion';
-import { Search, Package } from 'lucide-react';
+import { Search, Package, ShoppingCart } from 'lucide-react';
+import { useNavigate } from 'react-router-dom';
 import { T, useT } from '../../../context/TranslationContext';
 import { cropService } from '../../../services/cropService';
 import CropCard from './CropCard';
@@ -19,6 +21,7 @@ export default function MarketplaceTab() {
     const [search, setSearch] = useState('');
     const [loading, setLoading] = useState(true);
     const tr = useT();
+    const navigate = useNavigate();
 
     useEffect(() => {
         const fetchCrops = async () => {
@@ -40,16 +43,26 @@ export default function MarketplaceTab() {
 
     return (
         <div className="space-y-6">
-            {/* Search bar */}
-            <div className="relative max-w-md">
-                <Search className="absolute left-3 top-1/2 -translate-y-1/2 text-slate-400" size={18} />
-                <input
-                    type="text"
-                    value={search}
-                    onChange={(e) => setSearch(e.target.value)}
-                    placeholder={tr('Search crops...')}
-                    className="w-full pl-10 pr-4 py-3 border-2 border-slate-200 rounded-xl text-sm font-medium focus:outline-none focus:border-emerald-400 bg-white"
-                />
+            <div className="flex items-center justify-between gap-4">
+                {/* Search bar */}
+                <div className="relative flex-1 max-w-md">
+                    <Search className="absolute left-3 top-1/2 -translate-y-1/2 text-slate-400" size={18} />
+                    <input
+                        type="text"
+                        value={search}
+                        onChange={(e) => setSearch(e.target.value)}
+                        placeholder={tr('Search crops...')}
+                        className="w-full pl-10 pr-4 py-3 border-2 border-slate-200 rounded-xl text-sm font-medium focus:outline-none focus:border-emerald-400 bg-white"
+                    />
+                </div>
+
+                <button
+                    onClick={() => navigate('/checkout/cart')}
+                    className="flex items-center gap-2 px-4 py-3 bg-emerald-600 hover:bg-emerald-700 text-white rounded-xl text-sm font-bold transition-colors"
+                >
+                    <ShoppingCart size={18} />
+                    <T>View Cart</T>
+                </button>
             </div>
 
             {loading && (
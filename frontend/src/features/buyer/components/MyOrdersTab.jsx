@@ -11,6 +11,10 @@
  *
  * Accepted bids still awaiting payment show a "Pay Now" button.
  *
+ * Prepaid orders show where their payment stands in escrow. While a shipped
+ * order's dispute window is open the buyer can report a problem, which
+ * keeps the payment in escrow until an admin reviews it.
+ *
  * Real-time updates are driven by the parent BuyerDashboard via the
  * `refreshTrigger` prop — pass an incremented integer to force a reload.
  *
@@ -22,7 +26,8 @@ import { useState, useEffect, useContext } from 'react';
 import { motion } from 'framer-motion';
 import {
     Package, Clock, CheckCircle, XCircle, Gavel,
-    CreditCard, AlertCircle, ShoppingBag, MessageSquare
+    CreditCard, AlertCircle, ShoppingBag, MessageSquare,
+    ShieldCheck, ShieldAlert
 } from 'lucide-react';
 import { useNavigate } from 'react-router-dom';
 import { T, useT } from '../../../context/TranslationContext';
@@ -51,6 +56,14 @@ const PAYMENT_STATUS_META = {
     pending:   { label: 'Payment Pending',   color: 'bg-amber-100 text-amber-700 border-amber-200',    icon: Clock },
     paid:      { label: 'Payment Completed', color: 'bg-emerald-100 text-emerald-700 border-emerald-200', icon: CheckCircle },
     failed:    { label: 'Payment Failed',    color: 'bg-red-100 text-red-700 border-red-200',           icon: XCircle },
+    refunded:  { label: 'Refunded',          color: 'bg-slate-100 text-slate-700 border-slate-200',     icon: CheckCircle },
+};
+
+const ESCROW_STATUS_META = {
+    held:      { label: 'Held in Escrow',    color: 'bg-indigo-100 text-indigo-700 border-indigo-200',  icon: ShieldCheck },
+    disputed:  { label: 'Disputed',          color: 'bg-orange-100 text-orange-700 border-orange-200',  icon: ShieldAlert },
+    released:  { label: 'Paid to Farmer',    color: 'bg-emerald-100 text-emerald-700 border-emerald-200', icon: CheckCircle },
+    refunded:  { label: 'Refunded',          color: 'bg-slate-100 text-slate-700 border-slate-200',     icon: CheckCircle },
 };
 
 const ORDER_TYPE_ICON = {
@@ -163,7 +176,26 @@ function BidCard({ bid, onPayNow }) {
 
 // ── Order card ────────────────────────────────────────────────────────────────
 
-function OrderCard({ order }) {
+function formatDate(value) {
+    return new Date(value).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' });
+}
+
+function EscrowNote({ escrow }) {
+    if (escrow.status === 'held') {
+        return escrow.releaseAfter
+            ? <><T>Released to the farmer when you confirm delivery, or automatically on</T> {formatDate(escrow.releaseAfter)}</>
+            : <T>Released to the farmer once you confirm delivery</T>;
+    }
+    if (escrow.status === 'disputed') {
+        return <T>Your report is being reviewed. The payment stays in escrow until then.</T>;
+    }
+    if (escrow.status === 'released') {
+        return <>{escrow.releasedAt && formatDate(escrow.releasedAt)}{escrow.resolutionNote && ` — ${escrow.resolutionNote}`}</>;
+    }
+    return <>{escrow.refundedAt && formatDate(escrow.refundedAt)}{escrow.resolutionNote && ` — ${escrow.resolutionNote}`}</>;
+}
+
+function OrderCard({ order, onDispute }) {
     const firstItem  = order.items?.[0] || {};
     const crop       = firstItem.crop || {};
     const farmer     = order.farmer || {};
@@ -173,6 +205,11 @@ function OrderCard({ order }) {
     // Determine displayed status
     const paymentMeta = PAYMENT_STATUS_META[order.paymentStatus] || PAYMENT_STATUS_META.pending;
     const statusMeta  = ORDER_STATUS_META[order.orderStatus]     || ORDER_STATUS_META.Pending;
+    const escrow      = order.escrow || {};
+    const escrowMeta  = ESCROW_STATUS_META[escrow.status];
+
+    const canDispute = order.orderStatus === 'Shipped' && escrow.status === 'held' &&
+        (!escrow.releaseAfter || new Date(escrow.releaseAfter) > new Date());
 
     return (
         <motion.div
@@ -228,7 +265,26 @@ function OrderCard({ order }) {
                             : '—'}
                     </p>
                 </div>
+                {escrowMeta && (
+                    <div className="col-span-2">
+                        <span className="text-slate-400"><T>Escrow</T></span>
+                        <div className="flex items-center gap-2 mt-0.5">
+                            <StatusBadge meta={escrowMeta} />
+                        </div>
+                        <p className="text-slate-500 mt-1"><EscrowNote escrow={escrow} /></p>
+                    </div>
+                )}
             </div>
+
+            {canDispute && (
+                <button
+                    onClick={() => onDispute(order)}
+                    className="w-full flex items-center justify-center gap-2 py-2 rounded-xl border border-orange-200 text-orange-700 text-sm font-bold hover:bg-orange-50 transition-colors"
+                >
+                    <ShieldAlert size={14} />
+                    <T>Report a problem</T>
+                </button>
+            )}
         </motion.div>
     );
 }
@@ -261,6 +317,22 @@ export default function MyOrdersTab({ refreshTrigger = 0 }) {
         load();
     }, [refreshTrigger]);
 
+    const handleDispute = async (order) => {
+        const reason = window.prompt(tr('What went wrong with this order? The payment will stay in escrow until we review it.'));
+        if (reason === null) return;
+        if (!reason.trim()) {
+            toast.error(tr('Please describe the problem'));
+            return;
+        }
+        try {
+            const { data } = await tradeService.disputeOrder(order._id, reason.trim());
+            setOrders((prev) => prev.map((o) => (o._id === data._id ? data : o)));
+            toast.success(tr('Problem reported. The payment is on hold.'));
+        } catch (err) {
+            toast.error(err.response?.data?.message || tr('Failed to report the problem'));
+        }
+    };
+
     const filterTabs = [
         { id: 'all',    label: 'All Activity',  count: orders.length + bids.length },
         { id: 'orders', label: 'Orders',         count: orders.length },
@@ -310,7 +382,7 @@ export default function MyOrdersTab({ refreshTrigger = 0 }) {
             {!loading && (
                 <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
                     {(filter === 'all' || filter === 'orders') &&
-                        orders.map((order) => <OrderCard key={order._id} order={order} />)}
+                        orders.map((order) => <OrderCard key={order._id} order={order} onDispute={handleDispute} />)}
 
                     {(filter === 'all' || filter === 'bids') &&
                         bids.map((bid) => <BidCard key={bid._id} bid={bid} />)}
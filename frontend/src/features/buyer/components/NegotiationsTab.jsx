@@ -19,8 +19,10 @@ import toast from 'react-hot-toast';
 const STATUS_META = {
     active:    { label: 'Active',    color: 'bg-emerald-100 text-emerald-700 border-emerald-200',   icon: Clock },
     accepted:  { label: 'Accepted',  color: 'bg-blue-100 text-blue-700 border-blue-200',            icon: CheckCircle },
+    completed: { label: 'Completed', color: 'bg-teal-100 text-teal-700 border-teal-200',            icon: CheckCircle },
     rejected:  { label: 'Rejected',  color: 'bg-red-100 text-red-700 border-red-200',               icon: XCircle },
     cancelled: { label: 'Cancelled', color: 'bg-slate-100 text-slate-500 border-slate-200',         icon: XCircle },
+    expired:   { label: 'Expired',   color: 'bg-amber-100 text-amber-700 border-amber-200',         icon: Clock },
 };
 
 function NegotiationCard({ neg }) {
@@ -37,7 +39,7 @@ function NegotiationCard({ neg }) {
             className="bg-white rounded-2xl border border-slate-200 shadow-sm hover:shadow-md transition-shadow p-5 space-y-4 cursor-pointer"
             initial={{ opacity: 0, y: 10 }}
             animate={{ opacity: 1, y: 0 }}
-            onClick={() => navigate(`/negotiation/${crop._id || crop.id}`, { state: { crop } })}
+            onClick={() => navigate(`/negotiation/${crop._id || crop.id}`, { state: { crop, negotiation: neg } })}
             whileHover={{ y: -2 }}
         >
             {/* Header row */}
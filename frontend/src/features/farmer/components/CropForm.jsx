@@ -9,6 +9,7 @@
  * - Voice input support for quantity and price fields (VoiceInput component)
  * - Input validation: quantity (1-200 quintals), price (₹0-₹10,000/quintal)
  * - Quality grade selection (A/B/C) via toggle buttons
+ * - Optional advance (0-90%) the buyer pays at booking for bulk deals
  * - Success animation with CheckCircle icon on successful submission
  * - Auto-reset of form after 3 seconds on success
  * - Framer Motion animations for smooth entrance and success transitions
@@ -31,7 +32,7 @@ import { T } from '../../../context/TranslationContext';
 import VoiceInput from '../../../components/common/VoiceInput';
 
 export default function CropForm({ onAiIntercept }) {
-  const [data, setData] = useState({ name: '', quantity: '', price: '', quality: 'A', location: '', state: '' });
+  const [data, setData] = useState({ name: '', quantity: '', price: '', quality: 'A', category: 'other', processed: false, advancePercent: '', location: '', state: '' });
   const [success] = useState(false);
 
   /** Intercept submit → show AI modal instead of saving directly */
@@ -110,6 +111,28 @@ export default function CropForm({ onAiIntercept }) {
         />
       </div>
 
+      <div>
+        <label className="text-xs font-bold uppercase text-slate-500 mb-1 block"><T>Category</T></label>
+        <select
+          value={data.category}
+          className="w-full bg-emerald-50/50 p-3 rounded-xl outline-none focus:ring-2 focus:ring-emerald-500 border border-emerald-100"
+          onChange={(e) => setData({ ...data, category: e.target.value })}
+        >
+          {['grain', 'vegetable', 'fruit', 'spice', 'pulse', 'oilseed', 'other'].map((category) => (
+            <option key={category} value={category}>{category}</option>
+          ))}
+        </select>
+        <label className="flex items-center gap-2 mt-2 text-xs text-slate-600">
+          <input
+            type="checkbox"
+            checked={data.processed}
+            onChange={(e) => setData({ ...data, processed: e.target.checked })}
+            className="accent-emerald-600"
+          />
+          <T>Processed or packaged (milled, packed or branded) — GST applies</T>
+        </label>
+      </div>
+
       <div className="grid grid-cols-2 gap-4">
         <div>
           <label className="text-xs font-bold uppercase text-slate-500 mb-1 block"><T>Quantity (quintals)</T></label>
@@ -177,6 +200,24 @@ export default function CropForm({ onAiIntercept }) {
         </div>
       </div>
 
+      <div>
+        <label className="text-xs font-bold uppercase text-slate-500 mb-1 block"><T>Advance at Booking (%)</T></label>
+        <input
+          type="number"
+          placeholder="0"
+          value={data.advancePercent}
+          min="0"
+          max="90"
+          className="w-full bg-emerald-50/50 p-3 rounded-xl outline-none focus:ring-2 focus:ring-emerald-500 border border-emerald-100"
+          onChange={(e) => {
+            const val = parseInt(e.target.value);
+            if (val > 90 || val < 0) return;
+            setData({ ...data, advancePercent: e.target.value })
+          }}
+        />
+        <p className="text-[10px] text-slate-400 mt-1"><T>For bulk deals: the buyer pays this share online when ordering and the balance once the order ships. Leave empty for full payment at checkout.</T></p>
+      </div>
+
       <button
         type="submit"
         className="w-full btn-primary py-3 text-sm"
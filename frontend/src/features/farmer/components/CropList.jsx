@@ -15,6 +15,8 @@
  * - ✅ Price trend indicator (↑ for prices > ₹20/quintal)
  * - ⚠️ Edit button (Edit3 icon) - UI only, handler NOT implemented
  * - ⚠️ Delete button (Trash2 icon) - UI only, handler NOT implemented
+ * - ✅ Auction button (Gavel icon) opens AuctionForm to start a server-side auction
+ * - ✅ Auto-negotiation button (Bot icon) opens the Negotiator rule editor
  * 
  * @component CropList
  * 
@@ -26,9 +28,12 @@
 
 import React, { useEffect, useState } from 'react';
 import { motion } from 'framer-motion';
-import { Package, TrendingUp, Edit3, Trash2, MapPin } from 'lucide-react';
+import { Package, TrendingUp, Edit3, Trash2, MapPin, Gavel, Bot } from 'lucide-react';
 import { T } from '../../../context/TranslationContext';
 import { cropService } from '../../../services/cropService';
+import AuctionForm from '../../trade/components/AuctionForm';
+import Negotiator from '../../trade/components/Negotiator';
+import { getAvailableQuantity } from '../../../utils/formatters';
 
 export default function CropList() {
     const [crops, setCrops] = useState([]);
@@ -36,6 +41,8 @@ export default function CropList() {
     const [deletingId, setDeletingId] = useState(null);
     const [savingId, setSavingId] = useState(null);
     const [editingCropId, setEditingCropId] = useState(null);
+    const [auctionCrop, setAuctionCrop] = useState(null);
+    const [rulesCrop, setRulesCrop] = useState(null);
     const [editData, setEditData] = useState({
         name: '',
         location: '',
@@ -208,7 +215,14 @@ export default function CropList() {
                                                     required
                                                 />
                                             ) : (
-                                                <span className="font-semibold text-emerald-700">{crop.quantity} quintals</span>
+                                                <>
+                                                    <span className="font-semibold text-emerald-700">{crop.quantity} quintals</span>
+                                                    {crop.reservedQuantity > 0 && (
+                                                        <span className="block text-xs text-amber-600">
+                                                            {crop.reservedQuantity} <T>reserved</T> · {getAvailableQuantity(crop)} <T>available</T>
+                                                        </span>
+                                                    )}
+                                                </>
                                             )}
                                         </td>
                                         <td className="p-4">
@@ -268,6 +282,22 @@ export default function CropList() {
                                                 </>
                                             ) : (
                                                 <>
+                                                    <button
+                                                        onClick={() => setAuctionCrop(auctionCrop?._id === crop._id ? null : crop)}
+                                                        disabled={crop.isSold || crop.quantity <= 0}
+                                                        className="p-2 text-slate-400 hover:text-purple-600 hover:bg-purple-50 rounded-lg transition-colors disabled:opacity-40"
+                                                        aria-label="Start auction"
+                                                    >
+                                                        <Gavel size={16} />
+                                                    </button>
+                                                    <button
+                                                        onClick={() => setRulesCrop(rulesCrop?._id === crop._id ? null : crop)}
+                                                        disabled={crop.isSold}
+                                                        className="p-2 text-slate-400 hover:text-emerald-600 hover:bg-emerald-50 rounded-lg transition-colors disabled:opacity-40"
+                                                        aria-label="Auto-negotiation rules"
+                                                    >
+                                                        <Bot size={16} />
+                                                    </button>
                                                     <button
                                                         onClick={() => startEditing(crop)}
                                                         className="p-2 text-slate-400 hover:text-emerald-600 hover:bg-emerald-50 rounded-lg transition-colors"
@@ -357,6 +387,26 @@ export default function CropList() {
                     </div>
                 )}
             </div>
+
+            {auctionCrop && (
+                <div className="max-w-xl">
+                    <AuctionForm
+                        key={auctionCrop._id}
+                        crop={auctionCrop}
+                        onSuccess={() => setAuctionCrop(null)}
+                    />
+                </div>
+            )}
+
+            {rulesCrop && (
+                <div className="max-w-xl">
+                    <Negotiator
+                        key={rulesCrop._id}
+                        crop={rulesCrop}
+                        onSuccess={() => setRulesCrop(null)}
+                    />
+                </div>
+            )}
         </motion.div>
     );
 }
@@ -0,0 +1,253 @@
+/**
+ * @fileoverview Farmer Negotiations Component for AgriSahayak Frontend
+ *
+ * The farmer's negotiation inbox: every negotiation buyers started on the
+ * farmer's listings, newest activity first, from
+ * tradeService.listNegotiations(). Each card shows the buyer, the latest
+ * message and how many messages are unread; the list can be filtered by
+ * status and buyer name and is paged. Mirrors the buyer's NegotiationsTab.
+ *
+ * @component FarmerNegotiations
+ * @see NegotiationsTab - The buyer's side
+ * @see Epic 4, Story 4.4 - Negotiate Price
+ */
+import { useState, useEffect } from 'react';
+import { MessageSquare, Clock, CheckCircle, XCircle, Package, Search } from 'lucide-react';
+import { useNavigate } from 'react-router-dom';
+import { T, useT } from '../../../context/TranslationContext';
+import { tradeService } from '../../../services/tradeService';
+import toast from 'react-hot-toast';
+
+const PAGE_SIZE = 12;
+
+const STATUS_META = {
+    active:    { label: 'Active',    color: 'bg-emerald-100 text-emerald-700 border-emerald-200',   icon: Clock },
+    accepted:  { label: 'Accepted',  color: 'bg-blue-100 text-blue-700 border-blue-200',            icon: CheckCircle },
+    completed: { label: 'Completed', color: 'bg-teal-100 text-teal-700 border-teal-200',            icon: CheckCircle },
+    rejected:  { label: 'Rejected',  color: 'bg-red-100 text-red-700 border-red-200',               icon: XCircle },
+    cancelled: { label: 'Cancelled', color: 'bg-slate-100 text-slate-500 border-slate-200',         icon: XCircle },
+    expired:   { label: 'Expired',   color: 'bg-amber-100 text-amber-700 border-amber-200',         icon: Clock },
+};
+
+const STATUS_FILTERS = ['', 'active', 'accepted', 'completed', 'rejected', 'cancelled', 'expired'];
+
+function NegotiationCard({ neg }) {
+    const navigate = useNavigate();
+    const crop  = neg.crop  || {};
+    const buyer = neg.buyer || {};
+    const meta  = STATUS_META[neg.status] || STATUS_META.active;
+    const Icon  = meta.icon;
+
+    const lastMessage = neg.messages?.at(-1);
+    const latestOffer = [...(neg.messages || [])].reverse().find((m) => m.type === 'offer');
+
+    return (
+        <div
+            className="bg-white rounded-2xl border border-slate-200 shadow-sm hover:shadow-md hover:-translate-y-0.5 transition-all p-5 space-y-4 cursor-pointer"
+            onClick={() => navigate(`/negotiation/${crop._id || crop.id}`, { state: { crop, negotiation: neg } })}
+        >
+            {/* Header row */}
+            <div className="flex items-start justify-between gap-3">
+                <div className="flex items-center gap-3">
+                    <div className="relative w-10 h-10 rounded-xl bg-blue-100 flex items-center justify-center">
+                        <MessageSquare className="text-blue-600" size={20} />
+                        {neg.unreadCount > 0 && (
+                            <span className="absolute -top-1.5 -right-1.5 min-w-[18px] h-[18px] px-1 rounded-full bg-rose-500 text-white text-[10px] font-black flex items-center justify-center">
+                                {neg.unreadCount}
+                            </span>
+                        )}
+                    </div>
+                    <div>
+                        <p className="font-black text-slate-800 text-base leading-tight">
+                            {crop.name || 'Crop'}
+                        </p>
+                        <p className="text-xs text-slate-500 mt-0.5">
+                            <T>Buyer</T>: <span className="font-bold text-slate-700">{buyer.name || '—'}</span>
+                        </p>
+                    </div>
+                </div>
+                <span className={`inline-flex items-center gap-1 px-2.5 py-1 rounded-full text-[11px] font-bold border ${meta.color}`}>
+                    <Icon size={11} />{meta.label}
+                </span>
+            </div>
+
+            {/* Details */}
+            <div className="grid grid-cols-2 gap-x-4 gap-y-2 text-xs">
+                <div>
+                    <span className="text-slate-400"><T>Listed Price</T></span>
+                    <p className="font-bold text-emerald-600">₹{crop.price}/quintal</p>
+                </div>
+                {neg.finalPrice ? (
+                    <div>
+                        <span className="text-slate-400"><T>Agreed Price</T></span>
+                        <p className="font-bold text-emerald-700">₹{neg.finalPrice}/quintal</p>
+                    </div>
+                ) : latestOffer && (
+                    <div>
+                        <span className="text-slate-400"><T>Latest Offer</T></span>
+                        <p className="font-bold text-slate-700">₹{latestOffer.offerAmount}/quintal</p>
+                    </div>
+                )}
+                <div className="col-span-2">
+                    <span className="text-slate-400"><T>Last Activity</T></span>
+                    <p className="font-bold text-slate-700">
+                        {neg.lastActivity
+                            ? new Date(neg.lastActivity).toLocaleString('en-IN', { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' })
+                            : '—'}
+                    </p>
+                </div>
+            </div>
+
+            {/* Last message preview */}
+            {lastMessage && (
+                <div className="text-xs bg-slate-50 rounded-xl p-3 border border-slate-100">
+                    <span className="text-slate-400 block mb-0.5"><T>Last message</T></span>
+                    <p className={`line-clamp-2 ${neg.unreadCount > 0 ? 'text-slate-900 font-bold' : 'text-slate-700 font-medium'}`}>{lastMessage.content}</p>
+                </div>
+            )}
+
+            {/* CTA */}
+            {neg.status === 'active' && (
+                <div className="pt-1">
+                    <div className="w-full bg-blue-600 hover:bg-blue-700 text-white text-sm font-bold py-2.5 rounded-xl text-center transition-colors">
+                        <T>Reply to Buyer</T> →
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default function FarmerNegotiations() {
+    const [negotiations, setNegotiations] = useState([]);
+    const [unread, setUnread] = useState({ messages: 0, threads: 0 });
+    const [status, setStatus] = useState('');
+    const [search, setSearch] = useState('');
+    const [counterparty, setCounterparty] = useState('');
+    const [page, setPage] = useState(1);
+    const [totalPages, setTotalPages] = useState(1);
+    const [loading, setLoading] = useState(true);
+    const tr = useT();
+
+    useEffect(() => {
+        const load = async () => {
+            setLoading(true);
+            try {
+                const res = await tradeService.listNegotiations({
+                    role: 'farmer',
+                    status: status || undefined,
+                    counterparty: counterparty || undefined,
+                    page,
+                    limit: PAGE_SIZE,
+                });
+                setNegotiations(res.data.negotiations || []);
+                setUnread(res.data.unread || { messages: 0, threads: 0 });
+                setTotalPages(Math.max(res.data.totalPages || 1, 1));
+            } catch {
+                toast.error(tr('Failed to load negotiations'));
+            } finally {
+                setLoading(false);
+            }
+        };
+        load();
+    }, [status, counterparty, page, tr]);
+
+    const applySearch = (e) => {
+        e.preventDefault();
+        setPage(1);
+        setCounterparty(search.trim());
+    };
+
+    return (
+        <div className="space-y-6">
+            {/* Header */}
+            <div className="flex flex-wrap items-end justify-between gap-4">
+                <div>
+                    <h2 className="text-2xl font-black text-slate-900"><T>Negotiations</T></h2>
+                    <p className="text-sm text-slate-500">
+                        {unread.messages > 0
+                            ? <>{unread.messages} <T>unread message(s) in</T> {unread.threads} <T>negotiation(s)</T></>
+                            : <T>You are all caught up</T>}
+                    </p>
+                </div>
+                <form onSubmit={applySearch} className="flex items-center gap-2">
+                    <div className="relative">
+                        <Search size={16} className="absolute left-3 top-1/2 -translate-y-1/2 text-slate-400" />
+                        <input
+                            type="text"
+                            value={search}
+                            onChange={(e) => setSearch(e.target.value)}
+                            placeholder={tr('Search by buyer name')}
+                            className="pl-9 pr-3 py-2 rounded-xl border border-slate-200 text-sm focus:outline-none focus:ring-2 focus:ring-emerald-500"
+                        />
+                    </div>
+                    <button type="submit" className="px-4 py-2 rounded-xl bg-emerald-600 text-white text-sm font-bold hover:bg-emerald-700">
+                        <T>Search</T>
+                    </button>
+                </form>
+            </div>
+
+            {/* Status filter */}
+            <div className="flex flex-wrap gap-2">
+                {STATUS_FILTERS.map((value) => (
+                    <button
+                        key={value || 'all'}
+                        onClick={() => { setStatus(value); setPage(1); }}
+                        className={`px-3 py-1.5 rounded-full text-xs font-bold border transition-colors ${status === value
+                            ? 'bg-emerald-600 text-white border-emerald-600'
+                            : 'bg-white text-slate-600 border-slate-200 hover:bg-slate-50'}`}
+                    >
+                        <T>{value ? STATUS_META[value].label : 'All'}</T>
+                    </button>
+                ))}
+            </div>
+
+            {loading && (
+                <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+                    {[...Array(6)].map((_, i) => (
+                        <div key={i} className="h-52 bg-slate-100 rounded-2xl animate-pulse" />
+                    ))}
+                </div>
+            )}
+
+            {!loading && negotiations.length === 0 && (
+                <div className="flex flex-col items-center justify-center py-20 text-slate-400">
+                    <Package size={48} className="mb-4 opacity-40" />
+                    <p className="font-bold text-lg"><T>No negotiations found</T></p>
+                    <p className="text-sm mt-1">
+                        <T>Buyers' offers on your listings will appear here</T>
+                    </p>
+                </div>
+            )}
+
+            {!loading && negotiations.length > 0 && (
+                <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+                    {negotiations.map((neg) => (
+                        <NegotiationCard key={neg._id} neg={neg} />
+                    ))}
+                </div>
+            )}
+
+            {/* Pagination */}
+            {totalPages > 1 && (
+                <div className="flex items-center justify-center gap-3">
+                    <button
+                        onClick={() => setPage((current) => current - 1)}
+                        disabled={page <= 1 || loading}
+                        className="px-4 py-2 rounded-xl border border-slate-200 text-sm font-bold text-slate-600 disabled:opacity-40"
+                    >
+                        <T>Previous</T>
+                    </button>
+                    <span className="text-sm text-slate-500">{page} / {totalPages}</span>
+                    <button
+                        onClick={() => setPage((current) => current + 1)}
+                        disabled={page >= totalPages || loading}
+                        className="px-4 py-2 rounded-xl border border-slate-200 text-sm font-bold text-slate-600 disabled:opacity-40"
+                    >
+                        <T>Next</T>
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -4,14 +4,19 @@
  * Displays a list of recent orders received by the farmer.
  * Fetches real order data from the backend via tradeService.getOrders().
  * Each order card shows buyer name, order ID, items, amount,
- * date, and status badge (Pending/Completed/Processing/Shipped/Delivered).
+ * date, and status badge (Pending/Completed/Processing/Shipped/Delivered),
+ * plus buttons for the status changes the farmer may make next
+ * (`allowedStatuses` from the API). Prepaid orders also show whether their
+ * payment is held in escrow, disputed, released or refunded. Once a cash
+ * on delivery order has shipped the farmer records the cash received; an
+ * amount that does not match the order total waits for an admin's review.
  * 
  * @component FarmerOrders
  * @see Epic 4, Story 4.7 - Order Tracking for Farmers
  */
 import React, { useEffect, useState } from 'react';
 import { motion } from 'framer-motion';
-import { ShoppingBag, Calendar, ChevronRight, PackageOpen, Gavel, CheckCircle2, XCircle } from 'lucide-react';
+import { ShoppingBag, Calendar, ChevronRight, PackageOpen, Gavel, CheckCircle2, XCircle, Banknote } from 'lucide-react';
 import { T, useT } from '../../../context/TranslationContext';
 import { tradeService } from '../../../services/tradeService';
 import toast from 'react-hot-toast';
@@ -28,16 +33,43 @@ const statusStyles = {
 
 const paymentStatusStyles = {
     paid: 'bg-emerald-100 text-emerald-700 border-emerald-200',
+    partially_paid: 'bg-sky-100 text-sky-700 border-sky-200',
     pending: 'bg-amber-100 text-amber-700 border-amber-200',
     failed: 'bg-rose-100 text-rose-700 border-rose-200',
+    refunded: 'bg-slate-100 text-slate-700 border-slate-200',
+};
+
+const escrowStatusStyles = {
+    held: 'bg-indigo-50 text-indigo-700 border-indigo-200',
+    disputed: 'bg-orange-50 text-orange-700 border-orange-200',
+    released: 'bg-emerald-50 text-emerald-700 border-emerald-200',
+    refunded: 'bg-slate-50 text-slate-600 border-slate-200',
+};
+
+const escrowStatusLabel = {
+    held: 'In Escrow',
+    disputed: 'Disputed',
+    released: 'Released to You',
+    refunded: 'Refunded to Buyer',
+};
+
+const farmerActions = {
+    Processing: { label: 'Start Processing', className: 'bg-blue-600 hover:bg-blue-700 text-white' },
+    Shipped: { label: 'Mark Shipped', className: 'bg-purple-600 hover:bg-purple-700 text-white' },
+    Cancelled: { label: 'Cancel', className: 'bg-rose-50 hover:bg-rose-100 text-rose-600 border border-rose-200' },
 };
 
 const paymentStatusLabel = {
     paid: 'Payment Done',
+    partially_paid: 'Advance Paid',
     pending: 'Pending',
     failed: 'Failed',
+    refunded: 'Refunded',
 };
 
+/** Order statuses at which a COD order's cash can be recorded */
+const codCollectableStatuses = ['Shipped', 'Delivered'];
+
 export default function FarmerOrders() {
     const { user } = useContext(AuthContext);
     const tr = useT();
@@ -45,6 +77,7 @@ export default function FarmerOrders() {
     const [bids, setBids] = useState([]);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
+    const [updatingId, setUpdatingId] = useState(null);
 
     useEffect(() => {
         const fetchData = async () => {
@@ -83,6 +116,52 @@ export default function FarmerOrders() {
         }
     };
 
+    const handleOrderTransition = async (orderId, status) => {
+        let note;
+        if (status === 'Cancelled') {
+            note = window.prompt(tr('Why are you cancelling this order?'));
+            if (note === null) return;
+            if (!note.trim()) {
+                toast.error(tr('Please give a reason for cancelling'));
+                return;
+            }
+        }
+        try {
+            setUpdatingId(orderId);
+            const res = await tradeService.updateOrderStatus(orderId, { status, note: note?.trim() });
+            setOrders((prev) => prev.map((o) => (o._id === orderId ? { ...o, ...res.data } : o)));
+            toast.success(tr(`Order marked ${status.toLowerCase()}`));
+        } catch (err) {
+            toast.error(tr(err.response?.data?.message || 'Failed to update order'));
+        } finally {
+            setUpdatingId(null);
+        }
+    };
+
+    const handleCodCollection = async (order) => {
+        const entered = window.prompt(tr('How much cash did you collect for this order? (₹)'), String(order.totalAmount ?? ''));
+        if (entered === null) return;
+        const amount = Number(entered.trim());
+        if (!entered.trim() || !Number.isFinite(amount) || amount < 0) {
+            toast.error(tr('Please enter the amount of cash collected'));
+            return;
+        }
+        try {
+            setUpdatingId(order._id);
+            const res = await tradeService.recordCodCollection(order._id, { amount });
+            setOrders((prev) => prev.map((o) => (o._id === order._id ? { ...o, ...res.data } : o)));
+            if (res.data.codCollection?.status === 'mismatch') {
+                toast.error(tr('The amount does not match the order total and has been sent for review'));
+            } else {
+                toast.success(tr('Cash collection recorded'));
+            }
+        } catch (err) {
+            toast.error(tr(err.response?.data?.message || 'Failed to record the cash collected'));
+        } finally {
+            setUpdatingId(null);
+        }
+    };
+
     return (
         <motion.div
             className="space-y-6"
@@ -200,8 +279,15 @@ export default function FarmerOrders() {
                         const status = order.orderStatus || 'Pending';
                         const paymentStatus = String(order.paymentStatus || 'pending').toLowerCase();
                         const orderStatusLabel =
-                            paymentStatus === 'paid' && status === 'Pending' ? 'Order Confirmed' : status;
+                            ['paid', 'partially_paid'].includes(paymentStatus) && status === 'Pending' ? 'Order Confirmed' : status;
                         const amount = order.totalAmount ? `₹${order.totalAmount.toLocaleString('en-IN')}` : 'N/A';
+                        const escrowStatus = order.escrow?.status;
+                        const isCod = order.paymentMethod === 'cod';
+                        const canRecordCash = isCod && paymentStatus === 'pending' && codCollectableStatuses.includes(status);
+                        const codMismatch = order.codCollection?.status === 'mismatch' ? order.codCollection : null;
+                        const releaseDate = escrowStatus === 'held' && order.escrow.releaseAfter
+                            ? new Date(order.escrow.releaseAfter).toLocaleDateString('en-IN', { day: 'numeric', month: 'short' })
+                            : '';
                         const date = order.createdAt
                             ? new Date(order.createdAt).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' })
                             : '';
@@ -234,13 +320,58 @@ export default function FarmerOrders() {
                                     </div>
 
                                     <span className={`px-3 py-1 rounded-full text-xs font-bold border ${paymentStatusStyles[paymentStatus] || paymentStatusStyles.pending}`}>
-                                        <T>{paymentStatusLabel[paymentStatus] || paymentStatusLabel.pending}</T>
+                                        <T>{isCod && paymentStatus === 'paid' ? 'Cash Collected' : paymentStatusLabel[paymentStatus] || paymentStatusLabel.pending}</T>
                                     </span>
 
+                                    {codMismatch && (
+                                        <div className="flex flex-col items-center">
+                                            <span className="px-3 py-1 rounded-full text-xs font-bold border bg-orange-50 text-orange-700 border-orange-200">
+                                                <T>Cash Under Review</T>
+                                            </span>
+                                            <span className="text-[10px] text-slate-400 font-medium mt-0.5">
+                                                ₹{codMismatch.amount?.toLocaleString('en-IN')} <T>recorded</T>
+                                            </span>
+                                        </div>
+                                    )}
+
+                                    {escrowStatusLabel[escrowStatus] && (
+                                        <div className="flex flex-col items-center">
+                                            <span className={`px-3 py-1 rounded-full text-xs font-bold border ${escrowStatusStyles[escrowStatus]}`}>
+                                                <T>{escrowStatusLabel[escrowStatus]}</T>
+                                            </span>
+                                            {releaseDate && (
+                                                <span className="text-[10px] text-slate-400 font-medium mt-0.5">
+                                                    <T>Releases</T> {releaseDate}
+                                                </span>
+                                            )}
+                                        </div>
+                                    )}
+
                                     <div className="text-[10px] text-slate-500 font-semibold min-w-18 text-right">
                                         <T>{orderStatusLabel}</T>
                                     </div>
 
+                                    {(order.allowedStatuses || []).filter((next) => farmerActions[next]).map((next) => (
+                                        <button
+                                            key={next}
+                                            onClick={() => handleOrderTransition(order._id, next)}
+                                            disabled={updatingId === order._id}
+                                            className={`px-3 py-1.5 rounded-lg text-xs font-bold transition-colors disabled:opacity-60 ${farmerActions[next].className}`}
+                                        >
+                                            <T>{farmerActions[next].label}</T>
+                                        </button>
+                                    ))}
+
+                                    {canRecordCash && (
+                                        <button
+                                            onClick={() => handleCodCollection(order)}
+                                            disabled={updatingId === order._id}
+                                            className="px-3 py-1.5 rounded-lg text-xs font-bold transition-colors disabled:opacity-60 bg-amber-500 hover:bg-amber-600 text-white flex items-center gap-1"
+                                        >
+                                            <Banknote size={14} /> <T>{codMismatch ? 'Record Cash Again' : 'Record Cash'}</T>
+                                        </button>
+                                    )}
+
                                     <button className="p-2 text-slate-300 hover:text-emerald-600 hover:bg-emerald-50 rounded-full transition-colors">
                                         <ChevronRight size={20} />
                                     </button>
@@ -0,0 +1,171 @@
+/**
+ * @fileoverview Farmer Settlements Component for AgriSahayak Frontend
+ *
+ * The farmer's settlement statement for a chosen period, fetched via
+ * paymentService.getStatement(). Summary cards show what is still in
+ * escrow, what was earned after platform fees, what was paid out and the
+ * balance owed; below them every release, cash on delivery collection,
+ * payout and failed payout is listed with the running balance. Cash the
+ * farmer collected counts as both earned and paid out, so it only moves
+ * the balance by the platform fees owed on it.
+ *
+ * @component FarmerSettlements
+ * @see Epic 4, Story 4.7 - Order Tracking for Farmers
+ */
+import React, { useEffect, useState } from 'react';
+import { Wallet, ShieldCheck, Landmark, Receipt, ArrowDownLeft, ArrowUpRight, AlertTriangle, Banknote } from 'lucide-react';
+import { T } from '../../../context/TranslationContext';
+import { paymentService } from '../../../services/paymentService';
+
+const entryMeta = {
+    release: { label: 'Order payment', icon: ArrowDownLeft, className: 'text-emerald-600 bg-emerald-50' },
+    cod_collection: { label: 'Cash collected', icon: Banknote, className: 'text-amber-600 bg-amber-50' },
+    payout: { label: 'Payout to bank', icon: ArrowUpRight, className: 'text-blue-600 bg-blue-50' },
+    payout_failed: { label: 'Payout failed', icon: AlertTriangle, className: 'text-rose-600 bg-rose-50' },
+};
+
+const toInputDate = (date) => date.toISOString().slice(0, 10);
+
+const formatAmount = (amount) => `₹${Number(amount || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+export default function FarmerSettlements() {
+    const [from, setFrom] = useState(() => toInputDate(new Date(Date.now() - 30 * 24 * 60 * 60 * 1000)));
+    const [to, setTo] = useState(() => toInputDate(new Date()));
+    const [statement, setStatement] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        const fetchStatement = async () => {
+            try {
+                setLoading(true);
+                const res = await paymentService.getStatement({ from, to });
+                setStatement(res.data);
+                setError(null);
+            } catch (err) {
+                console.error('Failed to fetch settlement statement:', err);
+                setError(err.response?.data?.message || 'Failed to load statement');
+            } finally {
+                setLoading(false);
+            }
+        };
+
+        if (from && to) fetchStatement();
+    }, [from, to]);
+
+    const summary = statement ? [
+        { label: 'In Escrow', value: statement.inEscrow, icon: ShieldCheck, className: 'text-indigo-600' },
+        { label: 'Earned', value: statement.totals.earned, icon: Receipt, className: 'text-emerald-600' },
+        { label: 'Paid Out', value: statement.totals.paidOut, icon: Landmark, className: 'text-blue-600' },
+        { label: 'Balance Owed', value: statement.closingBalance, icon: Wallet, className: 'text-emerald-900' },
+    ] : [];
+
+    return (
+        <div className="space-y-6">
+            <div className="flex flex-wrap items-center justify-between gap-4">
+                <div className="flex items-center gap-2">
+                    <Wallet className="text-emerald-600" size={24} />
+                    <h2 className="text-2xl font-black text-emerald-900"><T>Settlements</T></h2>
+                </div>
+                <div className="flex items-center gap-2 text-xs font-bold text-emerald-800">
+                    <label className="flex items-center gap-2">
+                        <T>From</T>
+                        <input type="date" value={from} max={to} onChange={(e) => setFrom(e.target.value)} className="bg-white/70 border border-emerald-100 rounded-lg px-2 py-1" />
+                    </label>
+                    <label className="flex items-center gap-2">
+                        <T>To</T>
+                        <input type="date" value={to} min={from} onChange={(e) => setTo(e.target.value)} className="bg-white/70 border border-emerald-100 rounded-lg px-2 py-1" />
+                    </label>
+                </div>
+            </div>
+
+            {/* Loading state */}
+            {loading && (
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                    {[1, 2, 3, 4].map((i) => (
+                        <div key={i} className="glass-card p-5 animate-pulse">
+                            <div className="h-3 w-20 bg-slate-100 rounded mb-3" />
+                            <div className="h-6 w-28 bg-slate-200 rounded" />
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            {/* Error state */}
+            {error && !loading && (
+                <div className="glass-card p-8 text-center">
+                    <p className="text-rose-600 font-bold mb-2">{error}</p>
+                    <p className="text-sm text-slate-500"><T>Please try refreshing the page</T></p>
+                </div>
+            )}
+
+            {!loading && !error && statement && (
+                <>
+                    <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                        {summary.map(({ label, value, icon, className }) => {
+                            const Icon = icon;
+                            return (
+                                <div key={label} className="glass-card p-5">
+                                    <p className="flex items-center gap-2 text-xs font-bold text-slate-500 uppercase tracking-wide">
+                                        <Icon size={14} className={className} /> <T>{label}</T>
+                                    </p>
+                                    <p className={`text-2xl font-black mt-2 ${className}`}>{formatAmount(value)}</p>
+                                </div>
+                            );
+                        })}
+                    </div>
+
+                    <p className="text-xs text-slate-500">
+                        <T>Orders worth</T> {formatAmount(statement.totals.gross)} <T>were paid to you in this period, less</T> {formatAmount(statement.totals.fees)} <T>in platform fees</T>. <T>Opening balance</T>: {formatAmount(statement.openingBalance)}
+                    </p>
+
+                    {statement.entries.length === 0 ? (
+                        <div className="glass-card p-10 text-center">
+                            <Receipt className="mx-auto text-slate-300 mb-4" size={48} />
+                            <h3 className="font-bold text-slate-700 mb-1"><T>No settlements in this period</T></h3>
+                            <p className="text-sm text-slate-500"><T>Payments appear here once buyers confirm delivery</T></p>
+                        </div>
+                    ) : (
+                        <div className="glass-card divide-y divide-emerald-50">
+                            {statement.entries.map((entry, index) => {
+                                const meta = entryMeta[entry.type] || entryMeta.release;
+                                const Icon = meta.icon;
+                                return (
+                                    <div key={`${entry.type}-${entry.order || entry.payout}-${index}`} className="flex items-center justify-between gap-4 p-4">
+                                        <div className="flex items-center gap-3">
+                                            <div className={`p-2 rounded-xl ${meta.className}`}>
+                                                <Icon size={16} />
+                                            </div>
+                                            <div>
+                                                <p className="font-bold text-slate-800"><T>{meta.label}</T></p>
+                                                <p className="text-xs text-slate-500">
+                                                    {entry.description} · {new Date(entry.date).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' })}
+                                                </p>
+                                                {entry.type === 'release' && entry.fee > 0 && (
+                                                    <p className="text-xs text-slate-400">
+                                                        {formatAmount(entry.gross)} − {formatAmount(entry.fee)} <T>platform fee</T>
+                                                    </p>
+                                                )}
+                                                {entry.type === 'cod_collection' && (
+                                                    <p className="text-xs text-slate-400">
+                                                        {formatAmount(entry.gross)} <T>kept in cash</T> · {formatAmount(entry.fee)} <T>platform fee owed</T>
+                                                    </p>
+                                                )}
+                                            </div>
+                                        </div>
+                                        <div className="text-right">
+                                            <p className={`font-black ${entry.amount < 0 ? 'text-slate-700' : 'text-emerald-700'}`}>
+                                                {entry.amount < 0 ? '−' : '+'}{formatAmount(Math.abs(entry.amount))}
+                                            </p>
+                                            <p className="text-xs text-slate-400"><T>Balance</T>: {formatAmount(entry.balance)}</p>
+                                        </div>
+                                    </div>
+                                );
+                            })}
+                        </div>
+                    )}
+                </>
+            )}
+        </div>
+    );
+}
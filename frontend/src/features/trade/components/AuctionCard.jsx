@@ -2,52 +2,33 @@
  * @fileoverview Auction Card Component for AgriSahayak Trade System
  * 
  * Displays a live auction with countdown timer, current bid, bidder info,
- * starting price, quantity stats, and bid count. Timer updates every second.
+ * starting price, quantity stats, and bid count. Timer updates every second
+ * (useAuctionTimer) and follows the extended deadline when late bids
+ * push the auction's end time out.
  * Shows "Place Bid" button while active; shows winner info after auction ends.
  * 
  * @component AuctionCard
  * @param {Object} props
- * @param {Object} props.auction - Auction data (cropName, farmerName, endTime, currentBid, etc.)
+ * @param {Object} props.auction - Auction data (cropName, farmerName, endTime, currentBid, status, etc.)
+ *   — see toAuctionCard() in services/auctionService for the server mapping
  * @param {Function} [props.onBidClick] - Callback when "Place Bid" is clicked
  * 
  * @see Epic 4, Story 4.1 - View Available Auctions
  * @see Epic 4, Story 4.2 - Place Real-Time Bids
  * @see TradeDashboard - Renders AuctionCard in the auctions tab
  */
-import React, { useState, useEffect } from 'react';
+import React from 'react';
 import { motion } from 'framer-motion';
-import { Clock, TrendingUp, Users, Gavel } from 'lucide-react';
+import { Clock, TrendingUp, Users, Gavel, TimerReset } from 'lucide-react';
 import { T } from '../../../context/TranslationContext';
 import { formatQuintalQuantity } from '../../../utils/formatters';
+import useAuctionTimer from '../../../hooks/useAuctionTimer';
 
 export default function AuctionCard({ auction, onBidClick }) {
-    const [timeLeft, setTimeLeft] = useState('');
+    const timeLeft = useAuctionTimer(auction.endTime);
 
-    // Calculate time remaining
-    useEffect(() => {
-        const updateTimer = () => {
-            const end = new Date(auction.endTime);
-            const now = new Date();
-            const diff = end - now;
-
-            if (diff <= 0) {
-                setTimeLeft('Ended');
-                return;
-            }
-
-            const hours = Math.floor(diff / (1000 * 60 * 60));
-            const minutes = Math.floor((diff % (1000 * 60 * 60)) / (1000 * 60));
-            const seconds = Math.floor((diff % (1000 * 60)) / 1000);
-
-            setTimeLeft(`${hours}h ${minutes}m ${seconds}s`);
-        };
-
-        updateTimer();
-        const interval = setInterval(updateTimer, 1000);
-        return () => clearInterval(interval);
-    }, [auction.endTime]);
-
-    const isEnded = timeLeft === 'Ended';
+    const isEnded = timeLeft === 'EXPIRED' || (auction.status && auction.status !== 'active');
+    const extensionCount = auction.extensionCount || 0;
 
     return (
         <motion.div
@@ -81,10 +62,26 @@ export default function AuctionCard({ auction, onBidClick }) {
                         </span>
                     </div>
                     <span className={`text-lg font-black ${isEnded ? 'text-red-600' : 'text-purple-600'}`}>
-                        {timeLeft}
+                        {isEnded ? 'Ended' : timeLeft}
                     </span>
                 </div>
 
+                {/* Soft-close extensions */}
+                {extensionCount > 0 && (
+                    <div className="flex items-center gap-2 text-xs text-amber-700 bg-amber-50 rounded-lg px-3 py-2 border border-amber-200">
+                        <TimerReset size={14} />
+                        <span>
+                            <T>Extended by late bids</T> ({extensionCount}×) · <T>now ends</T>{' '}
+                            {new Date(auction.endTime).toLocaleTimeString()}
+                            {auction.originalEndTime && (
+                                <>
+                                    {' '}(<T>was</T> {new Date(auction.originalEndTime).toLocaleTimeString()})
+                                </>
+                            )}
+                        </span>
+                    </div>
+                )}
+
                 {/* Current Bid */}
                 <div className="space-y-2">
                     <div className="flex items-center justify-between">
@@ -119,7 +116,7 @@ export default function AuctionCard({ auction, onBidClick }) {
                 <div className="flex items-center gap-2 text-sm text-slate-600">
                     <Users size={16} />
                     <span>
-                        {auction.bids?.length || 0} <T>bids placed</T>
+                        {auction.bidCount ?? auction.bids?.length ?? 0} <T>bids placed</T>
                     </span>
                 </div>
 
@@ -2,21 +2,24 @@
  * @fileoverview Auction Creation Form Component for AgriSahayak Trade System
  * 
  * Form to create a new auction for a crop. Fields: starting price,
- * reserve price, quantity, and duration (1h–48h). Saves the auction
- * to localStorage (mockAuctions) and calls onSuccess callback.
+ * reserve price, quantity, and duration (1h–48h). Creates the auction
+ * on the server (POST /api/auctions) so every buyer can see and bid on it,
+ * then calls the onSuccess callback.
  * 
  * @component AuctionForm
  * @param {Object} props
- * @param {Object} props.crop - Crop data (id, name, price, quantity, farmerId, farmerName)
- * @param {Function} [props.onSuccess] - Callback with created auction object
+ * @param {Object} props.crop - Crop data (_id/id, name, price, quantity, quality)
+ * @param {Function} [props.onSuccess] - Callback with the created auction document
  * 
  * @see Epic 4, Story 4.1 - Create Auction
  */
 import React, { useState } from 'react';
 import { motion } from 'framer-motion';
 import { Gavel, Calendar, DollarSign, Package } from 'lucide-react';
-import { T } from '../../../context/TranslationContext';
+import toast from 'react-hot-toast';
+import { T, useT } from '../../../context/TranslationContext';
 import { formatQuintalQuantity } from '../../../utils/formatters';
+import { auctionService } from '../../../services/auctionService';
 
 export default function AuctionForm({ crop, onSuccess }) {
     const [formData, setFormData] = useState({
@@ -26,6 +29,7 @@ export default function AuctionForm({ crop, onSuccess }) {
         quantity: crop?.quantity || '',
     });
     const [submitting, setSubmitting] = useState(false);
+    const tr = useT();
 
     const handleSubmit = async (e) => {
         e.preventDefault();
@@ -37,32 +41,21 @@ export default function AuctionForm({ crop, onSuccess }) {
         }
 
         setSubmitting(true);
-
-        const auction = {
-            id: `auction_${Date.now()}`,
-            cropId: crop.id,
-            farmerId: crop.farmerId,
-            farmerName: crop.farmerName,
-            cropName: crop.name,
-            startingPrice,
-            currentBid: startingPrice,
-            reservePrice,
-            highestBidder: null,
-            highestBidderName: null,
-            startTime: new Date().toISOString(),
-            endTime: new Date(Date.now() + formData.duration * 3600000).toISOString(),
-            status: 'active',
-            bids: [],
-            quantity: Number(formData.quantity),
-        };
-
-        // Save to localStorage
-        const auctions = JSON.parse(localStorage.getItem('mockAuctions') || '[]');
-        auctions.push(auction);
-        localStorage.setItem('mockAuctions', JSON.stringify(auctions));
-
-        setSubmitting(false);
-        onSuccess?.(auction);
+        try {
+            const res = await auctionService.create({
+                cropId: crop._id || crop.id,
+                startingPrice,
+                reservePrice,
+                quantity: Number(formData.quantity),
+                durationHours: formData.duration,
+            });
+            toast.success(tr('Auction started'));
+            onSuccess?.(res.data);
+        } catch (err) {
+            toast.error(tr(err?.response?.data?.message || 'Failed to create auction'));
+        } finally {
+            setSubmitting(false);
+        }
     };
 
     return (
@@ -0,0 +1,123 @@
+/**
+ * @fileoverview Cart Review Component for AgriSahayak Trade System
+ *
+ * First step of cart checkout on BuyNowPaymentPage. Lists the buyer's
+ * server-side cart grouped by farmer — one group per order checkout will
+ * create — with quantity controls and a remove button per listing.
+ *
+ * @component CartReview
+ * @param {Object} props
+ * @param {Object} props.cart - Cart from cartService: { items, farmers, totalAmount }
+ * @param {Function} props.onQuantityChange - (cropId, quantity) => void
+ * @param {Function} props.onRemove - (cropId) => void
+ * @param {boolean} [props.busy] - Disables the controls while a change is saving
+ *
+ * @see Epic 4, Story 4.1 - Fixed-Price Purchase
+ * @see BuyNowPaymentPage - Parent checkout page
+ */
+import React from 'react';
+import { ShoppingCart, Trash2, User } from 'lucide-react';
+import { T } from '../../../context/TranslationContext';
+import { formatQuintalQuantity, formatQuintalRate } from '../../../utils/formatters';
+
+export default function CartReview({ cart, onQuantityChange, onRemove, busy = false }) {
+    const farmers = cart?.farmers || [];
+
+    return (
+        <div className="space-y-6">
+            <div className="flex items-center gap-3 mb-6">
+                <ShoppingCart className="text-emerald-600" size={28} />
+                <h3 className="text-2xl font-black text-slate-900"><T>Review Your Cart</T></h3>
+            </div>
+
+            {farmers.length === 0 ? (
+                <div className="bg-slate-50 rounded-2xl p-8 text-center text-slate-500">
+                    <T>Your cart is empty</T>
+                </div>
+            ) : (
+                <>
+                    {farmers.length > 1 && (
+                        <p className="text-sm text-slate-600 bg-emerald-50 border border-emerald-200 rounded-xl p-3">
+                            <T>Your cart will be split into</T> {farmers.length} <T>orders, one per farmer.</T>
+                        </p>
+                    )}
+
+                    {farmers.map((group) => (
+                        <div key={group.farmer._id} className="bg-slate-50 rounded-2xl p-5 space-y-4">
+                            <div className="flex items-center justify-between">
+                                <span className="flex items-center gap-2 font-bold text-slate-900">
+                                    <User size={16} className="text-emerald-600" />
+                                    {group.farmer.name || 'Farmer'}
+                                </span>
+                                <span className="text-sm font-bold text-emerald-700">₹{group.subtotal}</span>
+                            </div>
+
+                            {group.items.map((item) => (
+                                <div key={item.crop} className="flex items-center gap-4 bg-white rounded-xl p-3 border border-slate-200">
+                                    <div className="flex-1">
+                                        <p className="font-bold text-slate-900">{item.name}</p>
+                                        <p className="text-xs text-slate-500">
+                                            {formatQuintalRate(item.pricePerKg)} · <T>Available</T>: {formatQuintalQuantity(item.available)}
+                                        </p>
+                                        {item.quantity > item.available && (
+                                            <p className="text-xs text-rose-500 font-medium">
+                                                <T>Only</T> {formatQuintalQuantity(item.available)} <T>left. Reduce the quantity to continue.</T>
+                                            </p>
+                                        )}
+                                    </div>
+                                    <div className="flex items-center gap-2">
+                                        <button
+                                            onClick={() => onQuantityChange(item.crop, item.quantity - 1)}
+                                            disabled={busy || item.quantity <= 1}
+                                            className="w-9 h-9 bg-slate-200 rounded-lg font-bold hover:bg-slate-300 transition-colors disabled:opacity-50"
+                                        >
+                                            -
+                                        </button>
+                                        <span className="w-10 text-center font-black">{item.quantity}</span>
+                                        <button
+                                            onClick={() => onQuantityChange(item.crop, item.quantity + 1)}
+                                            disabled={busy || item.quantity >= item.available}
+                                            className="w-9 h-9 bg-emerald-600 text-white rounded-lg font-bold hover:bg-emerald-700 transition-colors disabled:opacity-50"
+                                        >
+                                            +
+                                        </button>
+                                    </div>
+                                    <span className="w-20 text-right font-bold text-slate-900">₹{item.total}</span>
+                                    <button
+                                        onClick={() => onRemove(item.crop)}
+                                        disabled={busy}
+                                        className="p-2 text-rose-500 hover:bg-rose-50 rounded-lg transition-colors"
+                                        aria-label="Remove from cart"
+                                    >
+                                        <Trash2 size={18} />
+                                    </button>
+                                </div>
+                            ))}
+
+                            {(group.fees?.length > 0 || group.taxAmount > 0) && (
+                                <div className="space-y-1 text-sm">
+                                    {group.taxAmount > 0 && (
+                                        <div className="flex justify-between text-slate-600">
+                                            <span>GST</span>
+                                            <span className="font-bold">₹{group.taxAmount}</span>
+                                        </div>
+                                    )}
+                                    {group.fees.map((fee) => (
+                                        <div key={fee.rule || fee.name} className="flex justify-between text-slate-600">
+                                            <span>{fee.name}</span>
+                                            <span className="font-bold">₹{fee.amount}</span>
+                                        </div>
+                                    ))}
+                                    <div className="flex justify-between font-black text-slate-900">
+                                        <span><T>Order total</T></span>
+                                        <span>₹{group.total}</span>
+                                    </div>
+                                </div>
+                            )}
+                        </div>
+                    ))}
+                </>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,57 @@
+/**
+ * @fileoverview Invoice Download Button for AgriSahayak Trade System
+ *
+ * Downloads an order's PDF from the backend via tradeService.getInvoice():
+ * the tax invoice for the buyer, or the bill of supply for the farmer
+ * (the backend picks the document for the signed-in user).
+ *
+ * @component InvoiceDownloadButton
+ * @param {Object} props
+ * @param {string} props.orderId - Order to download the document for
+ * @param {string} [props.invoiceNumber] - Used in the file name
+ * @param {string} [props.className] - Extra classes for the button
+ *
+ * @see OrderConfirmationPage
+ * @see OrderTrackingCard
+ */
+import React, { useContext, useState } from 'react';
+import { FileDown, Loader2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { T, useT } from '../../../context/TranslationContext';
+import { AuthContext } from '../../../context/AuthContext';
+import { tradeService } from '../../../services/tradeService';
+import { saveBlob } from '../../../utils/downloadFile';
+
+export default function InvoiceDownloadButton({ orderId, invoiceNumber, className = '' }) {
+    const { user } = useContext(AuthContext);
+    const tr = useT();
+    const [downloading, setDownloading] = useState(false);
+
+    const isFarmer = user?.role === 'FARMER';
+    const label = isFarmer ? 'Bill of Supply' : 'Invoice';
+
+    const handleDownload = async () => {
+        try {
+            setDownloading(true);
+            const res = await tradeService.getInvoice(orderId);
+            const prefix = isFarmer ? 'bill-of-supply' : 'invoice';
+            saveBlob(res.data, `${prefix}-${String(invoiceNumber || orderId).replace(/\//g, '-')}.pdf`);
+        } catch {
+            toast.error(tr(`Could not download the ${label.toLowerCase()}`));
+        } finally {
+            setDownloading(false);
+        }
+    };
+
+    return (
+        <button
+            type="button"
+            onClick={handleDownload}
+            disabled={downloading}
+            className={`flex items-center justify-center gap-2 font-bold rounded-xl transition-colors disabled:opacity-60 ${className}`}
+        >
+            {downloading ? <Loader2 size={16} className="animate-spin" /> : <FileDown size={16} />}
+            <T>{label}</T>
+        </button>
+    );
+}
@@ -1,151 +1,230 @@
 /**
  * @fileoverview Negotiation Chat Component for AgriSahayak Trade System
- * 
+ *
  * WhatsApp-style chat interface for price negotiations between buyers
- * and farmers. Supports text messages, price proposals (with price/qty),
- * accept/reject/counter-offer actions, and a typing indicator.
- * 
- * Messages and negotiation state are persisted in localStorage
- * (mockNegotiations). Proposal messages show price details and
- * action buttons (Accept, Counter, Reject) for the recipient.
- * 
+ * and farmers. Supports text messages, price offers (price, quantity and
+ * how long the offer stays open, plus optional delivery date and place,
+ * grade and payment terms), and accept/counter/reject actions. Each offer
+ * lists what it changed from the one before it.
+ *
+ * The thread is loaded from and sent to the negotiation API, and opening
+ * it marks it read for the current user. Every offer
+ * shows its state: the live offer from the other party gets Accept and
+ * Counter buttons; earlier offers are marked superseded, and offers past
+ * their validity are marked expired. Replies the farmer's negotiation
+ * rules sent automatically are marked Auto-reply. Once a deal is agreed the buyer can
+ * go to checkout from here, until its checkout window closes.
+ *
  * @component NegotiationChat
  * @param {Object} props
  * @param {string} props.negotiationId - ID of the negotiation
- * @param {string} props.currentUserId - Current user identifier
- * @param {string} props.currentUserRole - 'buyer' or 'farmer'
- * 
+ * @param {string} [props.currentUserId] - Current user id (default: the logged-in user)
+ * @param {Function} [props.onChange] - Called with the negotiation after every change
+ *
  * @see Epic 4, Story 4.4 - Negotiate Price
  * @see NegotiationPage - Page that renders this chat component
  */
-import React, { useState, useEffect, useRef } from 'react';
-import { motion, AnimatePresence } from 'framer-motion';
-import { Send, Smile, Check, CheckCheck, Clock, TrendingUp, TrendingDown } from 'lucide-react';
-import { T } from '../../../context/TranslationContext';
+import React, { useState, useEffect, useRef, useContext, useCallback } from 'react';
+import { Send, CheckCheck, Clock, TrendingUp, CheckCircle, XCircle, CreditCard, Bot } from 'lucide-react';
+import { useNavigate } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import { T, useT } from '../../../context/TranslationContext';
+import { AuthContext } from '../../../context/AuthContext';
+import { tradeService } from '../../../services/tradeService';
 import { formatQuintalQuantity } from '../../../utils/formatters';
 
-export default function NegotiationChat({ negotiationId, currentUserId, currentUserRole }) {
-    const [messages, setMessages] = useState([]);
+/** Validity choices for a new offer, in hours. */
+const VALIDITY_OPTIONS = [6, 24, 72];
+
+/** Closed-banner text for negotiations the system closed. */
+const CLOSED_REASONS = {
+    inactivity: 'This negotiation expired after a period without activity',
+    sold_out: 'This negotiation closed because the crop sold out',
+    checkout_expired: 'The agreed deal was not checked out in time',
+};
+
+/** Deal terms an offer can carry, in display order. */
+const TERM_LABELS = {
+    deliveryDate: 'Delivery by',
+    deliveryPlace: 'Delivery at',
+    grade: 'Grade',
+    paymentTerms: 'Payment',
+};
+
+const PAYMENT_TERMS = {
+    prepaid: 'Paid online in advance',
+    cod: 'Cash on delivery',
+};
+
+const EMPTY_TERMS = { deliveryDate: '', deliveryPlace: '', grade: '', paymentTerms: '' };
+
+/** Display text for one offer field or term. */
+const formatTermValue = (field, value) => {
+    if (value === undefined || value === null || value === '') return '—';
+    if (field === 'deliveryDate') {
+        return new Date(value).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' });
+    }
+    if (field === 'paymentTerms') return PAYMENT_TERMS[value] || value;
+    if (field === 'offerAmount') return `₹${value}/quintal`;
+    if (field === 'quantity') return formatQuintalQuantity(value);
+    return value;
+};
+
+/** Form values for an offer's terms, so a counter starts from them. */
+const termsToForm = (terms = {}) => ({
+    deliveryDate: terms.deliveryDate ? String(terms.deliveryDate).slice(0, 10) : '',
+    deliveryPlace: terms.deliveryPlace || '',
+    grade: terms.grade || '',
+    paymentTerms: terms.paymentTerms || '',
+});
+
+const OFFER_BADGES = {
+    superseded: { label: 'Superseded', className: 'bg-slate-100 text-slate-500' },
+    accepted:   { label: 'Accepted',   className: 'bg-green-100 text-green-700' },
+    expired:    { label: 'Expired',    className: 'bg-amber-100 text-amber-700' },
+};
+
+/** 'live', 'expired', 'superseded' or 'accepted' for an offer message. */
+const getOfferState = (message, negotiation) => {
+    if (message.offerStatus !== 'live') return message.offerStatus || 'superseded';
+    const latest = [...negotiation.messages].reverse().find((m) => m.type === 'offer');
+    if (latest?._id !== message._id) return 'superseded';
+    if (message.validUntil && new Date(message.validUntil) <= new Date()) return 'expired';
+    return 'live';
+};
+
+export default function NegotiationChat({ negotiationId, currentUserId, onChange }) {
+    const { user } = useContext(AuthContext);
+    const tr = useT();
+    const userId = String(currentUserId || user?._id || '');
+
+    const [negotiation, setNegotiation] = useState(null);
+    const [loadError, setLoadError] = useState(false);
     const [newMessage, setNewMessage] = useState('');
     const [proposedPrice, setProposedPrice] = useState('');
     const [proposedQuantity, setProposedQuantity] = useState('');
+    const [validHours, setValidHours] = useState(24);
+    const [proposedTerms, setProposedTerms] = useState(EMPTY_TERMS);
     const [showPriceProposal, setShowPriceProposal] = useState(false);
-    const [isTyping, setIsTyping] = useState(false);
+    const [busy, setBusy] = useState(false);
     const messagesEndRef = useRef(null);
+    const navigate = useNavigate();
 
-    // Load messages from mock data
+    const update = useCallback((next) => {
+        setNegotiation(next);
+        onChange?.(next);
+    }, [onChange]);
+
+    // Load the thread and mark it read
     useEffect(() => {
-        const negotiations = JSON.parse(localStorage.getItem('mockNegotiations') || '[]');
-        const negotiation = negotiations.find(n => n.id === negotiationId);
-        if (negotiation) {
-            setMessages(negotiation.messages || []);
-        }
+        if (!negotiationId) return;
+        setLoadError(false);
+        tradeService.getNegotiation(negotiationId)
+            .then((res) => {
+                setNegotiation(res.data);
+                tradeService.markNegotiationRead(negotiationId).catch(() => {});
+            })
+            .catch(() => setLoadError(true));
     }, [negotiationId]);
 
     // Auto-scroll to bottom
     useEffect(() => {
         messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
-    }, [messages]);
+    }, [negotiation?.messages?.length]);
+
+    const isActive = negotiation?.status === 'active';
+    const isFarmer = String(negotiation?.farmer?._id || negotiation?.farmer) === userId;
+    const isSettled = ['accepted', 'completed'].includes(negotiation?.status);
+    // The buyer checks out an accepted deal once, within its checkout window
+    const canCheckout = negotiation?.status === 'accepted' && !isFarmer
+        && negotiation.checkoutExpiresAt && new Date(negotiation.checkoutExpiresAt) > new Date();
+
+    const checkout = () => {
+        const crop = negotiation.crop || {};
+        navigate(`/buy/${crop._id || crop}`, { state: { crop: { ...crop, id: crop._id }, negotiation } });
+    };
+
+    // Send a request and keep the returned thread (populated fields are kept)
+    const run = async (request, successMessage) => {
+        setBusy(true);
+        try {
+            const res = await request();
+            const next = res.data.negotiation || res.data;
+            update({ ...negotiation, ...next, crop: negotiation.crop, buyer: negotiation.buyer, farmer: negotiation.farmer });
+            if (successMessage) toast.success(tr(successMessage));
+            return true;
+        } catch (error) {
+            toast.error(error.response?.data?.message || tr('Something went wrong'));
+            return false;
+        } finally {
+            setBusy(false);
+        }
+    };
 
     // Send text message
-    const sendMessage = () => {
-        if (!newMessage.trim()) return;
-
-        const message = {
-            id: `msg_${Date.now()}`,
-            sender: currentUserRole,
-            type: 'text',
-            content: newMessage,
-            timestamp: new Date().toISOString(),
-        };
-
-        const updatedMessages = [...messages, message];
-        setMessages(updatedMessages);
-        updateNegotiation(updatedMessages);
-        setNewMessage('');
-
-        // Simulate typing indicator
-        simulateResponse();
+    const sendMessage = async () => {
+        if (!newMessage.trim() || busy) return;
+        if (await run(() => tradeService.sendOffer({ negotiationId, message: newMessage }))) {
+            setNewMessage('');
+        }
     };
 
-    // Send price proposal
-    const sendProposal = () => {
-        if (!proposedPrice || !proposedQuantity) return;
+    // Send price offer
+    const sendProposal = async () => {
+        if (!proposedPrice || !proposedQuantity || busy) return;
 
         const numericPrice = Number(proposedPrice);
-        if (Number.isNaN(numericPrice) || numericPrice < 0 || numericPrice > 10000) return;
-
-        const message = {
-            id: `msg_${Date.now()}`,
-            sender: currentUserRole,
-            type: 'proposal',
-            content: `Proposing ₹${proposedPrice}/quintal for ${formatQuintalQuantity(proposedQuantity)}`,
-            proposedPrice: numericPrice,
-            proposedQuantity: Number(proposedQuantity),
-            timestamp: new Date().toISOString(),
-        };
-
-        const updatedMessages = [...messages, message];
-        setMessages(updatedMessages);
-        updateNegotiation(updatedMessages);
-        setProposedPrice('');
-        setProposedQuantity('');
-        setShowPriceProposal(false);
+        if (Number.isNaN(numericPrice) || numericPrice <= 0 || numericPrice > 10000) return;
+
+        const sent = await run(() => tradeService.sendOffer({
+            negotiationId,
+            amount: numericPrice,
+            quantity: Number(proposedQuantity),
+            validUntil: new Date(Date.now() + validHours * 60 * 60 * 1000).toISOString(),
+            // Empty fields drop a term from the deal
+            terms: Object.fromEntries(
+                Object.entries(proposedTerms).map(([field, value]) => [field, value === '' ? null : value])
+            ),
+        }), 'Offer sent');
+
+        if (sent) {
+            setProposedPrice('');
+            setProposedQuantity('');
+            setProposedTerms(EMPTY_TERMS);
+            setShowPriceProposal(false);
+        }
     };
 
-    // Accept current offer
-    const acceptOffer = (message) => {
-        const acceptMessage = {
-            id: `msg_${Date.now()}`,
-            sender: currentUserRole,
-            type: 'accept',
-            content: `Deal accepted! ₹${message.proposedPrice}/quintal for ${formatQuintalQuantity(message.proposedQuantity)}.`,
-            timestamp: new Date().toISOString(),
-        };
-
-        const updatedMessages = [...messages, acceptMessage];
-        setMessages(updatedMessages);
-        updateNegotiation(updatedMessages, 'accepted');
-    };
+    // Accept the other party's live offer
+    const acceptOffer = (message) => run(
+        () => tradeService.acceptNegotiation(negotiationId, message._id),
+        'Offer accepted'
+    );
 
-    // Reject current offer
-    const rejectOffer = (message) => {
-        const rejectMessage = {
-            id: `msg_${Date.now()}`,
-            sender: currentUserRole,
-            type: 'reject',
-            content: `Offer rejected.`,
-            timestamp: new Date().toISOString(),
-        };
-
-        const updatedMessages = [...messages, rejectMessage];
-        setMessages(updatedMessages);
-        updateNegotiation(updatedMessages);
-    };
+    // Reject the negotiation (farmer only)
+    const rejectNegotiation = () => run(
+        () => tradeService.rejectNegotiation(negotiationId),
+        'Negotiation rejected'
+    );
 
-    // Counter offer
-    const counterOffer = (originalMessage) => {
-        setProposedPrice(originalMessage.proposedPrice);
-        setProposedQuantity(originalMessage.proposedQuantity);
+    // Counter offer: start from the offer's terms
+    const counterOffer = (message) => {
+        setProposedPrice(message.offerAmount);
+        setProposedQuantity(message.quantity || negotiation.quantity || '');
+        setProposedTerms(termsToForm(message.terms));
         setShowPriceProposal(true);
     };
 
-    // Update negotiation in localStorage
-    const updateNegotiation = (updatedMessages, status = 'active') => {
-        const negotiations = JSON.parse(localStorage.getItem('mockNegotiations') || '[]');
-        const index = negotiations.findIndex(n => n.id === negotiationId);
-        if (index !== -1) {
-            negotiations[index].messages = updatedMessages;
-            negotiations[index].status = status;
-            localStorage.setItem('mockNegotiations', JSON.stringify(negotiations));
+    // Open the offer form with the terms currently on the table
+    const toggleProposal = () => {
+        if (!showPriceProposal) {
+            const latest = [...negotiation.messages].reverse().find((m) => m.type === 'offer');
+            setProposedTerms(termsToForm(latest?.terms));
         }
+        setShowPriceProposal(!showPriceProposal);
     };
 
-    // Simulate other user typing
-    const simulateResponse = () => {
-        setIsTyping(true);
-        setTimeout(() => setIsTyping(false), 2000);
-    };
+    const setTerm = (field) => (e) => setProposedTerms((prev) => ({ ...prev, [field]: e.target.value }));
 
     // Format timestamp
     const formatTime = (timestamp) => {
@@ -155,16 +234,27 @@ export default function NegotiationChat({ negotiationId, currentUserId, currentU
 
     // Render message bubble
     const renderMessage = (message) => {
-        const isMine = message.sender === currentUserRole;
-        const isProposal = message.type === 'proposal' || message.type === 'counter';
-        const isAccept = message.type === 'accept';
-        const isReject = message.type === 'reject';
+        if (message.type === 'system') {
+            return (
+                <div key={message._id} className="flex justify-center my-3">
+                    <div className="max-w-[85%] px-4 py-2 rounded-full bg-slate-100 text-slate-500 text-xs text-center">
+                        {message.content}
+                        <span className="ml-2 text-[10px] text-slate-400">{formatTime(message.timestamp)}</span>
+                    </div>
+                </div>
+            );
+        }
+
+        const isMine = String(message.sender?._id || message.sender) === userId;
+        const isOffer = message.type === 'offer';
+        const offerState = isOffer ? getOfferState(message, negotiation) : null;
+        const isLive = offerState === 'live' && isActive;
+        const badge = OFFER_BADGES[offerState];
+        const quantity = message.quantity || negotiation.quantity;
 
         return (
-            <motion.div
-                key={message.id}
-                initial={{ opacity: 0, y: 20 }}
-                animate={{ opacity: 1, y: 0 }}
+            <div
+                key={message._id}
                 className={`flex ${isMine ? 'justify-end' : 'justify-start'} mb-4`}
             >
                 <div className={`max-w-[70%] ${isMine ? 'order-2' : 'order-1'}`}>
@@ -173,61 +263,107 @@ export default function NegotiationChat({ negotiationId, currentUserId, currentU
                         className={`rounded-2xl px-4 py-3 ${isMine
                             ? 'bg-emerald-500 text-white rounded-br-sm'
                             : 'bg-white border border-slate-200 text-slate-800 rounded-bl-sm'
-                            } ${isProposal ? 'border-2 border-emerald-400' : ''} ${isAccept ? 'bg-green-100 border-green-400' : ''
-                            } ${isReject ? 'bg-red-100 border-red-400' : ''}`}
+                            } ${isLive ? 'border-2 border-emerald-400' : ''} ${isOffer && !isLive ? 'opacity-80' : ''}`}
                     >
-                        {/* Proposal Header */}
-                        {isProposal && (
-                            <div className="flex items-center gap-2 mb-2 pb-2 border-b border-emerald-300">
-                                <TrendingUp size={16} className="text-emerald-600" />
-                                <span className="text-xs font-bold uppercase tracking-wider text-emerald-700">
-                                    <T>Price Proposal</T>
-                                </span>
+                        {/* Offer Header */}
+                        {isOffer && (
+                            <div className="flex items-center justify-between gap-2 mb-2 pb-2 border-b border-emerald-300">
+                                <div className="flex items-center gap-2">
+                                    <TrendingUp size={16} className={isMine ? 'text-emerald-100' : 'text-emerald-600'} />
+                                    <span className={`text-xs font-bold uppercase tracking-wider ${isMine ? 'text-emerald-50' : 'text-emerald-700'}`}>
+                                        <T>Price Offer</T>
+                                    </span>
+                                </div>
+                                {badge && (
+                                    <span className={`px-2 py-0.5 rounded-full text-[10px] font-bold ${badge.className}`}>
+                                        <T>{badge.label}</T>
+                                    </span>
+                                )}
+                            </div>
+                        )}
+
+                        {/* Sent by the farmer's negotiation rules */}
+                        {message.automated && (
+                            <div className={`flex items-center gap-1 mb-1 text-[10px] font-bold uppercase tracking-wider ${isMine ? 'text-emerald-100' : 'text-slate-400'}`}>
+                                <Bot size={11} />
+                                <T>Auto-reply</T>
                             </div>
                         )}
 
                         {/* Message Content */}
                         <p className="text-sm leading-relaxed">{message.content}</p>
 
-                        {/* Proposal Details */}
-                        {isProposal && (
+                        {/* Offer Details */}
+                        {isOffer && (
                             <div className="mt-3 pt-3 border-t border-emerald-200 space-y-1">
                                 <div className="flex justify-between text-xs">
                                     <span className="font-semibold"><T>Price per quintal:</T></span>
-                                    <span className="font-bold">₹{message.proposedPrice}</span>
-                                </div>
-                                <div className="flex justify-between text-xs">
-                                    <span className="font-semibold"><T>Quantity:</T></span>
-                                    <span className="font-bold">{formatQuintalQuantity(message.proposedQuantity)}</span>
-                                </div>
-                                <div className="flex justify-between text-xs font-bold text-emerald-700 pt-1 border-t border-emerald-200">
-                                    <span><T>Total:</T></span>
-                                    <span>₹{message.proposedPrice * message.proposedQuantity}</span>
+                                    <span className="font-bold">₹{message.offerAmount}</span>
                                 </div>
+                                {quantity && (
+                                    <>
+                                        <div className="flex justify-between text-xs">
+                                            <span className="font-semibold"><T>Quantity:</T></span>
+                                            <span className="font-bold">{formatQuintalQuantity(quantity)}</span>
+                                        </div>
+                                        <div className="flex justify-between text-xs font-bold pt-1 border-t border-emerald-200">
+                                            <span><T>Total:</T></span>
+                                            <span>₹{message.offerAmount * quantity}</span>
+                                        </div>
+                                    </>
+                                )}
+                                {Object.keys(TERM_LABELS).filter((field) => message.terms?.[field]).map((field) => (
+                                    <div key={field} className="flex justify-between gap-3 text-xs">
+                                        <span className="font-semibold"><T>{TERM_LABELS[field]}</T>:</span>
+                                        <span className="font-bold text-right">{formatTermValue(field, message.terms[field])}</span>
+                                    </div>
+                                ))}
+                                {message.changes?.length > 0 && (
+                                    <div className="text-[11px] pt-1 border-t border-emerald-200">
+                                        <span className="font-semibold"><T>Changed</T>:</span>
+                                        {message.changes.map((change) => (
+                                            <div key={change.field}>
+                                                <T>{TERM_LABELS[change.field] || (change.field === 'offerAmount' ? 'Price' : 'Quantity')}</T>:{' '}
+                                                {formatTermValue(change.field, change.from)} → {formatTermValue(change.field, change.to)}
+                                            </div>
+                                        ))}
+                                    </div>
+                                )}
+                                {isLive && message.validUntil && (
+                                    <div className="flex items-center gap-1 text-[11px] pt-1">
+                                        <Clock size={11} />
+                                        <span><T>Valid until</T> {new Date(message.validUntil).toLocaleString('en-IN', { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' })}</span>
+                                    </div>
+                                )}
                             </div>
                         )}
 
-                        {/* Action Buttons for Proposals (if not mine) */}
-                        {isProposal && !isMine && (
+                        {/* Action Buttons for the other party's live offer */}
+                        {isLive && !isMine && (
                             <div className="flex gap-2 mt-3">
                                 <button
                                     onClick={() => acceptOffer(message)}
-                                    className="flex-1 bg-green-500 text-white text-xs font-bold py-2 rounded-lg hover:bg-green-600 transition-colors"
+                                    disabled={busy}
+                                    className="flex-1 bg-green-500 text-white text-xs font-bold py-2 rounded-lg hover:bg-green-600 transition-colors disabled:opacity-50"
                                 >
                                     <T>Accept</T>
                                 </button>
                                 <button
                                     onClick={() => counterOffer(message)}
-                                    className="flex-1 bg-blue-500 text-white text-xs font-bold py-2 rounded-lg hover:bg-blue-600 transition-colors"
+                                    disabled={busy}
+                                    className="flex-1 bg-blue-500 text-white text-xs font-bold py-2 rounded-lg hover:bg-blue-600 transition-colors disabled:opacity-50"
                                 >
                                     <T>Counter</T>
                                 </button>
-                                <button
-                                    onClick={() => rejectOffer(message)}
-                                    className="flex-1 bg-red-500 text-white text-xs font-bold py-2 rounded-lg hover:bg-red-600 transition-colors"
-                                >
-                                    <T>Reject</T>
-                                </button>
+                                {isFarmer && (
+                                    <button
+                                        onClick={rejectNegotiation}
+                                        disabled={busy}
+                                        className="flex-1 bg-red-500 text-white text-xs font-bold py-2 rounded-lg hover:bg-red-600 transition-colors disabled:opacity-50"
+                                    >
+                                        <T>Reject</T>
+                                    </button>
+                                )}
                             </div>
                         )}
 
@@ -240,10 +376,26 @@ export default function NegotiationChat({ negotiationId, currentUserId, currentU
                         </div>
                     </div>
                 </div>
-            </motion.div>
+            </div>
         );
     };
 
+    if (loadError) {
+        return (
+            <div className="flex items-center justify-center h-[600px] bg-slate-50 rounded-3xl border border-slate-200">
+                <p className="text-slate-500"><T>Could not load this negotiation</T></p>
+            </div>
+        );
+    }
+
+    if (!negotiation) {
+        return (
+            <div className="flex items-center justify-center h-[600px] bg-slate-50 rounded-3xl border border-slate-200">
+                <p className="text-slate-500"><T>Loading negotiation...</T></p>
+            </div>
+        );
+    }
+
     return (
         <div className="flex flex-col h-[600px] bg-gradient-to-b from-emerald-50 to-white rounded-3xl border border-emerald-100 overflow-hidden">
             {/* Chat Header */}
@@ -254,117 +406,160 @@ export default function NegotiationChat({ negotiationId, currentUserId, currentU
 
             {/* Messages Area */}
             <div className="flex-1 overflow-y-auto px-6 py-4 space-y-2">
-                {messages.map(renderMessage)}
-
-                {/* Typing Indicator */}
-                {isTyping && (
-                    <motion.div
-                        initial={{ opacity: 0 }}
-                        animate={{ opacity: 1 }}
-                        className="flex items-center gap-2 text-slate-400 text-sm"
-                    >
-                        <div className="flex gap-1">
-                            <motion.div
-                                animate={{ scale: [1, 1.3, 1] }}
-                                transition={{ repeat: Infinity, duration: 0.6 }}
-                                className="w-2 h-2 bg-slate-400 rounded-full"
-                            />
-                            <motion.div
-                                animate={{ scale: [1, 1.3, 1] }}
-                                transition={{ repeat: Infinity, duration: 0.6, delay: 0.2 }}
-                                className="w-2 h-2 bg-slate-400 rounded-full"
-                            />
-                            <motion.div
-                                animate={{ scale: [1, 1.3, 1] }}
-                                transition={{ repeat: Infinity, duration: 0.6, delay: 0.4 }}
-                                className="w-2 h-2 bg-slate-400 rounded-full"
-                            />
-                        </div>
-                        <span className="text-xs"><T>typing...</T></span>
-                    </motion.div>
-                )}
-
+                {negotiation.messages.map(renderMessage)}
                 <div ref={messagesEndRef} />
             </div>
 
-            {/* Price Proposal Form */}
-            <AnimatePresence>
-                {showPriceProposal && (
-                    <motion.div
-                        initial={{ height: 0, opacity: 0 }}
-                        animate={{ height: 'auto', opacity: 1 }}
-                        exit={{ height: 0, opacity: 0 }}
-                        className="bg-emerald-50 border-t border-emerald-200 px-6 py-4"
-                    >
-                        <div className="flex items-center gap-2 mb-3">
-                            <TrendingUp size={18} className="text-emerald-600" />
-                            <span className="font-bold text-sm text-emerald-900"><T>Make a Price Proposal</T></span>
-                        </div>
-                        <div className="grid grid-cols-2 gap-3 mb-3">
-                            <input
-                                type="number"
-                                placeholder="Price per quintal (₹)"
-                                value={proposedPrice}
-                                min="0"
-                                max="10000"
-                                onChange={(e) => setProposedPrice(e.target.value)}
-                                className="px-3 py-2 rounded-lg border border-emerald-300 text-sm"
-                            />
-                            <input
-                                type="number"
-                                placeholder="Quantity (quintals)"
-                                value={proposedQuantity}
-                                onChange={(e) => setProposedQuantity(e.target.value)}
-                                className="px-3 py-2 rounded-lg border border-emerald-300 text-sm"
-                            />
-                        </div>
-                        <div className="flex gap-2">
-                            <button
-                                onClick={sendProposal}
-                                className="flex-1 bg-emerald-600 text-white font-bold py-2 rounded-lg hover:bg-emerald-700 transition-colors"
-                            >
-                                <T>Send Proposal</T>
-                            </button>
-                            <button
-                                onClick={() => setShowPriceProposal(false)}
-                                className="px-4 bg-slate-200 text-slate-700 font-bold py-2 rounded-lg hover:bg-slate-300 transition-colors"
-                            >
-                                <T>Cancel</T>
-                            </button>
-                        </div>
-                    </motion.div>
-                )}
-            </AnimatePresence>
+            {/* Outcome */}
+            {!isActive && (
+                <div className={`flex items-center gap-2 px-6 py-3 text-sm font-bold border-t ${isSettled
+                    ? 'bg-green-50 text-green-700 border-green-200'
+                    : 'bg-slate-50 text-slate-600 border-slate-200'}`}
+                >
+                    {isSettled ? <CheckCircle size={16} /> : <XCircle size={16} />}
+                    {isSettled
+                        ? <span className="flex-1">
+                            <T>{negotiation.status === 'completed' ? 'Order placed' : 'Deal agreed'}</T>: ₹{negotiation.finalPrice}/quintal · {formatQuintalQuantity(negotiation.quantity)}
+                            {Object.keys(TERM_LABELS).filter((field) => negotiation.terms?.[field]).map((field) => (
+                                <span key={field}> · {formatTermValue(field, negotiation.terms[field])}</span>
+                            ))}
+                        </span>
+                        : <span><T>{CLOSED_REASONS[negotiation.closedReason] || 'This negotiation is closed'}</T></span>}
+                    {canCheckout && (
+                        <button
+                            onClick={checkout}
+                            className="flex items-center gap-1.5 bg-emerald-600 text-white text-xs font-bold px-3 py-2 rounded-lg hover:bg-emerald-700 transition-colors"
+                        >
+                            <CreditCard size={14} />
+                            <T>Checkout</T>
+                        </button>
+                    )}
+                </div>
+            )}
+
+            {/* Price Offer Form */}
+            {isActive && showPriceProposal && (
+                <div className="bg-emerald-50 border-t border-emerald-200 px-6 py-4">
+                    <div className="flex items-center gap-2 mb-3">
+                        <TrendingUp size={18} className="text-emerald-600" />
+                        <span className="font-bold text-sm text-emerald-900"><T>Make a Price Offer</T></span>
+                    </div>
+                    <div className="grid grid-cols-3 gap-3 mb-3">
+                        <input
+                            type="number"
+                            placeholder="Price per quintal (₹)"
+                            value={proposedPrice}
+                            min="1"
+                            max="10000"
+                            onChange={(e) => setProposedPrice(e.target.value)}
+                            className="px-3 py-2 rounded-lg border border-emerald-300 text-sm"
+                        />
+                        <input
+                            type="number"
+                            placeholder="Quantity (quintals)"
+                            value={proposedQuantity}
+                            min="1"
+                            onChange={(e) => setProposedQuantity(e.target.value)}
+                            className="px-3 py-2 rounded-lg border border-emerald-300 text-sm"
+                        />
+                        <select
+                            value={validHours}
+                            onChange={(e) => setValidHours(Number(e.target.value))}
+                            className="px-3 py-2 rounded-lg border border-emerald-300 text-sm bg-white"
+                            title="How long the offer stays open"
+                        >
+                            {VALIDITY_OPTIONS.map((hours) => (
+                                <option key={hours} value={hours}>{tr('Valid for')} {hours}h</option>
+                            ))}
+                        </select>
+                    </div>
+                    <div className="grid grid-cols-2 gap-3 mb-3">
+                        <input
+                            type="date"
+                            value={proposedTerms.deliveryDate}
+                            min={new Date().toISOString().slice(0, 10)}
+                            onChange={setTerm('deliveryDate')}
+                            className="px-3 py-2 rounded-lg border border-emerald-300 text-sm"
+                            title="Delivery date"
+                        />
+                        <input
+                            type="text"
+                            placeholder="Delivery place"
+                            value={proposedTerms.deliveryPlace}
+                            maxLength={200}
+                            onChange={setTerm('deliveryPlace')}
+                            className="px-3 py-2 rounded-lg border border-emerald-300 text-sm"
+                        />
+                        <select
+                            value={proposedTerms.grade}
+                            onChange={setTerm('grade')}
+                            className="px-3 py-2 rounded-lg border border-emerald-300 text-sm bg-white"
+                        >
+                            <option value="">{tr('Any grade')}</option>
+                            {['A', 'B', 'C'].map((grade) => (
+                                <option key={grade} value={grade}>{tr('Grade')} {grade}</option>
+                            ))}
+                        </select>
+                        <select
+                            value={proposedTerms.paymentTerms}
+                            onChange={setTerm('paymentTerms')}
+                            className="px-3 py-2 rounded-lg border border-emerald-300 text-sm bg-white"
+                        >
+                            <option value="">{tr('Any payment')}</option>
+                            {Object.entries(PAYMENT_TERMS).map(([value, label]) => (
+                                <option key={value} value={value}>{tr(label)}</option>
+                            ))}
+                        </select>
+                    </div>
+                    <div className="flex gap-2">
+                        <button
+                            onClick={sendProposal}
+                            disabled={busy}
+                            className="flex-1 bg-emerald-600 text-white font-bold py-2 rounded-lg hover:bg-emerald-700 transition-colors disabled:opacity-50"
+                        >
+                            <T>Send Offer</T>
+                        </button>
+                        <button
+                            onClick={() => setShowPriceProposal(false)}
+                            className="px-4 bg-slate-200 text-slate-700 font-bold py-2 rounded-lg hover:bg-slate-300 transition-colors"
+                        >
+                            <T>Cancel</T>
+                        </button>
+                    </div>
+                </div>
+            )}
 
             {/* Input Area */}
-            <div className="bg-white border-t border-slate-200 px-6 py-4">
-                <div className="flex items-center gap-3">
-                    <button
-                        onClick={() => setShowPriceProposal(!showPriceProposal)}
-                        className="p-2 bg-emerald-100 text-emerald-600 rounded-full hover:bg-emerald-200 transition-colors"
-                        title="Make price proposal"
-                    >
-                        <TrendingUp size={20} />
-                    </button>
-
-                    <input
-                        type="text"
-                        placeholder="Type a message..."
-                        value={newMessage}
-                        onChange={(e) => setNewMessage(e.target.value)}
-                        onKeyPress={(e) => e.key === 'Enter' && sendMessage()}
-                        className="flex-1 px-4 py-2 rounded-full border border-slate-300 focus:outline-none focus:ring-2 focus:ring-emerald-500 text-sm"
-                    />
-
-                    <button
-                        onClick={sendMessage}
-                        disabled={!newMessage.trim()}
-                        className="p-2 bg-emerald-600 text-white rounded-full hover:bg-emerald-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
-                    >
-                        <Send size={20} />
-                    </button>
+            {isActive && (
+                <div className="bg-white border-t border-slate-200 px-6 py-4">
+                    <div className="flex items-center gap-3">
+                        <button
+                            onClick={toggleProposal}
+                            className="p-2 bg-emerald-100 text-emerald-600 rounded-full hover:bg-emerald-200 transition-colors"
+                            title="Make price offer"
+                        >
+                            <TrendingUp size={20} />
+                        </button>
+
+                        <input
+                            type="text"
+                            placeholder="Type a message..."
+                            value={newMessage}
+                            onChange={(e) => setNewMessage(e.target.value)}
+                            onKeyDown={(e) => e.key === 'Enter' && sendMessage()}
+                            className="flex-1 px-4 py-2 rounded-full border border-slate-300 focus:outline-none focus:ring-2 focus:ring-emerald-500 text-sm"
+                        />
+
+                        <button
+                            onClick={sendMessage}
+                            disabled={!newMessage.trim() || busy}
+                            className="p-2 bg-emerald-600 text-white rounded-full hover:bg-emerald-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                            <Send size={20} />
+                        </button>
+                    </div>
                 </div>
-            </div>
+            )}
         </div>
     );
 }
@@ -0,0 +1,115 @@
+import { render, screen, fireEvent, act } from '@testing-library/react';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { BrowserRouter } from 'react-router-dom';
+import NegotiationChat from './NegotiationChat';
+import { tradeService } from '../../../services/tradeService';
+
+// Mock Translation Context
+vi.mock('../../../context/TranslationContext', () => ({
+    T: ({ children }) => <span>{children}</span>,
+    useT: () => (text) => text,
+}));
+
+vi.mock('../../../context/AuthContext', async () => {
+    const { createContext } = await vi.importActual('react');
+    return { AuthContext: createContext({ user: null }) };
+});
+
+vi.mock('react-hot-toast', () => ({ default: { success: vi.fn(), error: vi.fn() } }));
+
+vi.mock('../../../services/tradeService', () => ({
+    tradeService: { getNegotiation: vi.fn(), markNegotiationRead: vi.fn(), sendOffer: vi.fn() },
+}));
+
+const negotiation = {
+    _id: 'neg1',
+    status: 'active',
+    buyer: { _id: 'buyer1', name: 'Haggle Buyer' },
+    farmer: { _id: 'farmer1', name: 'Haggle Farmer' },
+    crop: { _id: 'crop1', name: 'Onion' },
+    quantity: 10,
+    messages: [
+        {
+            _id: 'offer1',
+            type: 'offer',
+            sender: 'buyer1',
+            content: 'Opening offer',
+            offerAmount: 25,
+            quantity: 10,
+            offerStatus: 'superseded',
+            terms: { grade: 'A' },
+            changes: [],
+            timestamp: '2026-10-01T09:00:00.000Z',
+        },
+        {
+            _id: 'offer2',
+            type: 'offer',
+            sender: 'farmer1',
+            content: 'Counter offer',
+            offerAmount: 28,
+            quantity: 10,
+            offerStatus: 'live',
+            validUntil: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+            terms: { deliveryPlace: 'Pune APMC', grade: 'B', paymentTerms: 'cod' },
+            changes: [
+                { field: 'offerAmount', from: 25, to: 28 },
+                { field: 'grade', from: 'A', to: 'B' },
+                { field: 'paymentTerms', from: null, to: 'cod' },
+            ],
+            timestamp: '2026-10-01T10:00:00.000Z',
+        },
+    ],
+};
+
+const renderChat = () => render(
+    <BrowserRouter>
+        <NegotiationChat negotiationId="neg1" currentUserId="buyer1" />
+    </BrowserRouter>
+);
+
+/** An element whose own text reads exactly `text`, across nested spans. */
+const byFullText = (text) => (_, element) => element?.tagName === 'DIV' && element.textContent === text;
+
+describe('Module 4: NegotiationChat offer terms', () => {
+    beforeEach(() => {
+        vi.clearAllMocks();
+        tradeService.getNegotiation.mockResolvedValue({ data: negotiation });
+        tradeService.markNegotiationRead.mockResolvedValue({});
+        tradeService.sendOffer.mockResolvedValue({ data: negotiation });
+    });
+
+    it('shows each offer\'s terms and what it changed from the one before', async () => {
+        renderChat();
+
+        expect(await screen.findByText('Pune APMC')).toBeInTheDocument();
+        expect(screen.getByText('Cash on delivery')).toBeInTheDocument();
+        expect(screen.getByText(byFullText('Price: ₹25/quintal → ₹28/quintal'))).toBeInTheDocument();
+        expect(screen.getByText(byFullText('Grade: A → B'))).toBeInTheDocument();
+        expect(screen.getByText(byFullText('Payment: — → Cash on delivery'))).toBeInTheDocument();
+    });
+
+    it('starts a counter-offer from the offer\'s terms and sends the edited terms', async () => {
+        renderChat();
+        fireEvent.click(await screen.findByRole('button', { name: 'Counter' }));
+
+        expect(screen.getByPlaceholderText('Price per quintal (₹)')).toHaveValue(28);
+        expect(screen.getByPlaceholderText('Delivery place')).toHaveValue('Pune APMC');
+        expect(screen.getByDisplayValue('Grade B')).toBeInTheDocument();
+
+        // Clearing a term drops it from the deal
+        fireEvent.change(screen.getByPlaceholderText('Price per quintal (₹)'), { target: { value: '27' } });
+        fireEvent.change(screen.getByPlaceholderText('Delivery place'), { target: { value: '' } });
+        fireEvent.change(screen.getByDisplayValue('Cash on delivery'), { target: { value: 'prepaid' } });
+
+        await act(async () => {
+            fireEvent.click(screen.getByRole('button', { name: 'Send Offer' }));
+        });
+
+        expect(tradeService.sendOffer).toHaveBeenCalledWith(expect.objectContaining({
+            negotiationId: 'neg1',
+            amount: 27,
+            quantity: 10,
+            terms: { deliveryDate: null, deliveryPlace: null, grade: 'B', paymentTerms: 'prepaid' },
+        }));
+    });
+});
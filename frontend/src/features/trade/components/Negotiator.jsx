@@ -1,60 +1,182 @@
 /**
  * @fileoverview Negotiator Component for AgriSahayak Trade System
- * 
- * Minimal price negotiation widget using callback-driven REST flow.
- * Displays a chat-like interface with offer amounts formatted via
- * formatCurrency. Simpler alternative to NegotiationChat; used for
- * quick inline negotiations within modals or panels.
- * 
+ *
+ * Rule editor for a listing's auto-negotiation: the rules the server uses
+ * to answer buyers' offers on the farmer's behalf (hidden floor price,
+ * auto-accept price, counter strategy and how many automatic counters to
+ * send). Loads and saves them through cropService.getNegotiationRules() /
+ * updateNegotiationRules(); buyers never see them.
+ *
  * @component Negotiator
  * @param {Object} props
- * @param {string} props.listingId - The crop listing ID
- * @param {string} props.recipientId - The other party's user ID
- * 
+ * @param {Object} props.crop - Crop listing (_id/id, name, price)
+ * @param {Function} [props.onSuccess] - Called with the saved rules
+ *
  * @see Epic 4, Story 4.4 - Negotiate Price
+ * @see CropList - Opens this editor for a listing
  */
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
+import { Bot } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { T, useT } from '../../../context/TranslationContext';
+import { cropService } from '../../../services/cropService';
 import { formatCurrency } from '../../../utils/formatters';
 
-export default function Negotiator({ listingId, recipientId, onSendOffer }) {
-  const [messages, setMessages] = useState([]);
-  const [proposal, setProposal] = useState('');
-
-  const sendOffer = async (e) => {
-    e.preventDefault();
-    if (!proposal) return;
-
-    const offerData = { listingId, recipientId, amount: proposal, type: 'OFFER' };
-    if (onSendOffer) {
-      await onSendOffer(offerData);
-    }
-    setMessages((prev) => [...prev, { ...offerData, sender: 'me' }]);
-    setProposal('');
-  };
-
-  return (
-    <div className="glass-card flex flex-col h-[400px] w-full max-w-md overflow-hidden">
-      <div className="bg-emerald-600 p-4 text-white font-bold">Price Negotiation</div>
-      <div className="flex-1 overflow-y-auto p-4 space-y-3 bg-stone-50">
-        {messages.map((msg, i) => (
-          <div key={i} className={`flex ${msg.sender === 'me' ? 'justify-end' : 'justify-start'}`}>
-            <div className={`p-3 rounded-2xl max-w-[80%] shadow-sm ${msg.sender === 'me' ? 'bg-emerald-500 text-white' : 'bg-white border'
-              }`}>
-              {msg.type === 'OFFER' ? `Proposed Price: ${formatCurrency(msg.amount)}` : msg.text}
+const EMPTY_RULES = {
+    enabled: false,
+    floorPrice: '',
+    autoAcceptPrice: '',
+    counterStrategy: 'split_difference',
+    maxRounds: 3,
+};
+
+export default function Negotiator({ crop, onSuccess }) {
+    const cropId = crop?._id || crop?.id;
+    const [rules, setRules] = useState(EMPTY_RULES);
+    const [loading, setLoading] = useState(true);
+    const [saving, setSaving] = useState(false);
+    const tr = useT();
+
+    useEffect(() => {
+        if (!cropId) return;
+        cropService.getNegotiationRules(cropId)
+            .then((res) => setRules({ ...EMPTY_RULES, ...res.data }))
+            .catch(() => toast.error(tr('Failed to load negotiation rules')))
+            .finally(() => setLoading(false));
+    }, [cropId, tr]);
+
+    const set = (field) => (e) => {
+        const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+        setRules((prev) => ({ ...prev, [field]: value }));
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        try {
+            const res = await cropService.updateNegotiationRules(cropId, {
+                enabled: rules.enabled,
+                floorPrice: rules.floorPrice === '' ? undefined : Number(rules.floorPrice),
+                autoAcceptPrice: rules.autoAcceptPrice === '' ? undefined : Number(rules.autoAcceptPrice),
+                counterStrategy: rules.counterStrategy,
+                maxRounds: Number(rules.maxRounds),
+            });
+            setRules({ ...EMPTY_RULES, ...res.data });
+            toast.success(tr('Negotiation rules saved'));
+            onSuccess?.(res.data);
+        } catch (err) {
+            toast.error(tr(err?.response?.data?.message || 'Failed to save negotiation rules'));
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const inputClass = 'w-full px-4 py-3 border-2 border-slate-200 rounded-xl focus:border-emerald-500 focus:outline-none disabled:bg-slate-50';
+
+    return (
+        <form onSubmit={handleSubmit} className="bg-white rounded-2xl shadow-lg p-6 space-y-6">
+            {/* Header */}
+            <div className="flex items-center gap-3">
+                <div className="w-12 h-12 bg-emerald-100 rounded-xl flex items-center justify-center">
+                    <Bot className="text-emerald-600" size={24} />
+                </div>
+                <div>
+                    <h3 className="font-bold text-lg text-slate-900"><T>Auto-Negotiation</T></h3>
+                    <p className="text-sm text-slate-500">
+                        {crop?.name} · <T>Listed at</T> {formatCurrency(crop?.price)}/quintal
+                    </p>
+                </div>
             </div>
-          </div>
-        ))}
-      </div>
-      <form onSubmit={sendOffer} className="p-4 bg-white border-t flex gap-2">
-        <input
-          type="number"
-          placeholder="Enter offer ₹"
-          value={proposal}
-          onChange={(e) => setProposal(e.target.value)}
-          className="flex-1 border rounded-xl px-3 outline-none focus:ring-2 focus:ring-emerald-500"
-        />
-        <button className="btn-primary py-2 px-4 shadow-none text-sm">Send Offer</button>
-      </form>
-    </div>
-  );
-}
\ No newline at end of file
+
+            {loading ? (
+                <div className="h-40 bg-slate-100 rounded-xl animate-pulse" />
+            ) : (
+                <div className="space-y-4">
+                    <label className="flex items-center gap-3 text-sm font-bold text-slate-700">
+                        <input type="checkbox" checked={rules.enabled} onChange={set('enabled')} />
+                        <T>Answer buyers' offers for me</T>
+                    </label>
+
+                    <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                        <div>
+                            <label className="block text-sm font-bold text-slate-700 mb-2">
+                                <T>Floor Price (₹/quintal)</T>
+                            </label>
+                            <input
+                                type="number"
+                                min="1"
+                                max="10000"
+                                value={rules.floorPrice ?? ''}
+                                onChange={set('floorPrice')}
+                                disabled={!rules.enabled}
+                                className={inputClass}
+                            />
+                            <p className="text-xs text-slate-500 mt-1">
+                                <T>Counter-offers never go lower. Buyers don't see it.</T>
+                            </p>
+                        </div>
+
+                        <div>
+                            <label className="block text-sm font-bold text-slate-700 mb-2">
+                                <T>Auto-Accept At (₹/quintal)</T>
+                            </label>
+                            <input
+                                type="number"
+                                min="1"
+                                max="10000"
+                                value={rules.autoAcceptPrice ?? ''}
+                                onChange={set('autoAcceptPrice')}
+                                disabled={!rules.enabled}
+                                className={inputClass}
+                            />
+                            <p className="text-xs text-slate-500 mt-1">
+                                <T>Offers at or above this are accepted</T>
+                            </p>
+                        </div>
+
+                        <div>
+                            <label className="block text-sm font-bold text-slate-700 mb-2">
+                                <T>Counter Strategy</T>
+                            </label>
+                            <select
+                                value={rules.counterStrategy}
+                                onChange={set('counterStrategy')}
+                                disabled={!rules.enabled}
+                                className={inputClass}
+                            >
+                                <option value="split_difference">{tr('Split the difference')}</option>
+                                <option value="none">{tr("Don't counter")}</option>
+                            </select>
+                        </div>
+
+                        <div>
+                            <label className="block text-sm font-bold text-slate-700 mb-2">
+                                <T>Max Rounds</T>
+                            </label>
+                            <input
+                                type="number"
+                                min="1"
+                                max="10"
+                                value={rules.maxRounds}
+                                onChange={set('maxRounds')}
+                                disabled={!rules.enabled || rules.counterStrategy === 'none'}
+                                className={inputClass}
+                            />
+                            <p className="text-xs text-slate-500 mt-1">
+                                <T>After this many automatic counters, you reply yourself</T>
+                            </p>
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            <button
+                type="submit"
+                disabled={loading || saving}
+                className="w-full bg-emerald-600 text-white font-bold py-3 rounded-xl hover:bg-emerald-700 transition-colors disabled:opacity-50"
+            >
+                {saving ? tr('Saving...') : tr('Save Rules')}
+            </button>
+        </form>
+    );
+}
@@ -1,78 +1,41 @@
 /**
  * @fileoverview Order Summary Modal Component for AgriSahayak Trade System
- * 
- * Full-screen modal with a 3-step checkout flow:
- * 1. Order Details - Crop info, quantity selector, price breakdown
- * 2. Delivery Address - Street, city, state, pincode, and notes
- * 3. Confirmation - Final review before placing order
- * 
- * Saves orders to localStorage (mockOrders) and redirects to
- * /order-confirmation with order data. Used as an alternative to
- * the standalone BuyNowPaymentPage.
- * 
+ *
+ * Final review shown by BuyNowPaymentPage before a Buy Now, accepted bid or
+ * negotiated deal is paid. Lists the order line by line as priced by the
+ * backend (tradeService.getQuote → GET /api/trade/quote): subtotal, each tax,
+ * each platform fee, shipping and total, plus what is charged now when the
+ * listing takes an advance.
+ *
+ * The modal places nothing itself; confirming hands back to the page, which
+ * creates the order and takes the payment.
+ *
  * @component OrderSummaryModal
  * @param {Object} props
- * @param {Object} props.crop - Crop data (id, name, price, quantity, etc.)
+ * @param {Object} props.crop - Crop being bought (name, image, farmer)
+ * @param {number} props.quantity - Quantity in quintals
+ * @param {number} props.pricePerUnit - Price per quintal (listing, bid or deal price)
+ * @param {Object|null} props.quote - Quote from /api/trade/quote, null while it loads or if pricing failed
+ * @param {number} props.payNow - Amount charged when the order is confirmed
+ * @param {string} props.deliveryTo - Shipping address shown for review
+ * @param {boolean} props.processing - True while the order is being placed
  * @param {Function} props.onClose - Callback to close the modal
- * @param {Function} props.onConfirm - Callback with the created order
- * 
+ * @param {Function} props.onConfirm - Callback to place the order and pay
+ *
  * @see Epic 4, Story 4.5 - Buy Now Checkout
  */
-import React, { useState } from 'react';
+import React from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { X, Package, MapPin, CreditCard, CheckCircle } from 'lucide-react';
+import { X, MapPin } from 'lucide-react';
 import { T } from '../../../context/TranslationContext';
-import { useNavigate } from 'react-router-dom';
 import { formatQuintalQuantity, formatQuintalRate } from '../../../utils/formatters';
 
-export default function OrderSummaryModal({ crop, onClose, onConfirm }) {
-    const [quantity, setQuantity] = useState(1);
-    const [deliveryAddress, setDeliveryAddress] = useState({
-        street: '',
-        city: '',
-        state: '',
-        pincode: '',
-    });
-    const [notes, setNotes] = useState('');
-    const [step, setStep] = useState(1); // 1: Summary, 2: Address, 3: Confirm
-    const navigate = useNavigate();
-
-    const subtotal = crop.price * quantity;
-    const deliveryFee = 50;
-    const total = subtotal + deliveryFee;
-
-    const handleConfirmOrder = () => {
-        const order = {
-            id: `order_${Date.now()}`,
-            cropId: crop.id,
-            cropName: crop.name,
-            farmerId: crop.farmerId,
-            farmerName: crop.farmerName,
-            quantity,
-            pricePerKg: crop.price,
-            totalAmount: total,
-            status: 'pending',
-            orderType: 'buynow',
-            createdAt: new Date().toISOString(),
-            deliveryAddress,
-            notes,
-            timeline: [
-                {
-                    status: 'placed',
-                    timestamp: new Date().toISOString(),
-                    note: 'Order placed successfully',
-                },
-            ],
-        };
-
-        // Save to localStorage
-        const orders = JSON.parse(localStorage.getItem('mockOrders') || '[]');
-        orders.push(order);
-        localStorage.setItem('mockOrders', JSON.stringify(orders));
-
-        onConfirm(order);
-        navigate('/order-confirmation', { state: { order } });
-    };
+export default function OrderSummaryModal({ crop, quantity, pricePerUnit, quote, payNow, deliveryTo, processing, onClose, onConfirm }) {
+    const subtotal = quote ? quote.subtotal : pricePerUnit * quantity;
+    const taxes = quote?.taxes || [];
+    const fees = quote?.fees || [];
+    const shippingCost = quote?.shippingCost || 0;
+    const total = quote ? quote.totalAmount : subtotal;
 
     return (
         <AnimatePresence>
@@ -81,6 +44,9 @@ export default function OrderSummaryModal({ crop, onClose, onConfirm }) {
                     initial={{ opacity: 0, scale: 0.9 }}
                     animate={{ opacity: 1, scale: 1 }}
                     exit={{ opacity: 0, scale: 0.9 }}
+                    role="dialog"
+                    aria-modal="true"
+                    aria-label="Order Summary"
                     className="bg-white rounded-3xl shadow-2xl max-w-2xl w-full max-h-[90vh] overflow-hidden"
                 >
                     {/* Header */}
@@ -91,257 +57,102 @@ export default function OrderSummaryModal({ crop, onClose, onConfirm }) {
                         </div>
                         <button
                             onClick={onClose}
+                            disabled={processing}
+                            aria-label="Close"
                             className="p-2 hover:bg-emerald-800 rounded-full transition-colors"
                         >
                             <X size={24} />
                         </button>
                     </div>
 
-                    {/* Progress Steps */}
-                    <div className="flex items-center justify-center gap-4 px-6 py-4 bg-emerald-50">
-                        {[1, 2, 3].map((s) => (
-                            <div key={s} className="flex items-center gap-2">
-                                <div
-                                    className={`w-8 h-8 rounded-full flex items-center justify-center font-bold text-sm ${step >= s
-                                        ? 'bg-emerald-600 text-white'
-                                        : 'bg-slate-200 text-slate-400'
-                                        }`}
-                                >
-                                    {s}
-                                </div>
-                                {s < 3 && (
-                                    <div
-                                        className={`w-12 h-1 ${step > s ? 'bg-emerald-600' : 'bg-slate-200'
-                                            }`}
-                                    />
-                                )}
-                            </div>
-                        ))}
-                    </div>
-
                     {/* Content */}
-                    <div className="px-6 py-6 overflow-y-auto max-h-[50vh]">
-                        {/* Step 1: Order Details */}
-                        {step === 1 && (
-                            <div className="space-y-6">
-                                {/* Crop Info */}
-                                <div className="flex items-center gap-4 p-4 bg-slate-50 rounded-2xl">
-                                    <img
-                                        src={crop.image}
-                                        alt={crop.name}
-                                        className="w-20 h-20 rounded-xl object-cover"
-                                    />
-                                    <div className="flex-1">
-                                        <h3 className="font-bold text-lg text-slate-900">{crop.name}</h3>
-                                        <p className="text-sm text-slate-500">
-                                            <T>From</T> {crop.farmerName} · {crop.farmerLocation}
-                                        </p>
-                                        <p className="text-emerald-600 font-bold mt-1">{formatQuintalRate(crop.price)}</p>
-                                    </div>
-                                </div>
-
-                                {/* Quantity Selector */}
-                                <div>
-                                    <label className="block text-sm font-bold text-slate-700 mb-2">
-                                        <T>Quantity (quintals)</T>
-                                    </label>
-                                    <div className="flex items-center gap-4">
-                                        <button
-                                            onClick={() => setQuantity(Math.max(1, quantity - 1))}
-                                            className="w-12 h-12 bg-slate-200 rounded-xl font-bold text-xl hover:bg-slate-300 transition-colors"
-                                        >
-                                            -
-                                        </button>
-                                        <input
-                                            type="number"
-                                            value={quantity}
-                                            onChange={(e) => setQuantity(Math.max(1, Number(e.target.value)))}
-                                            className="flex-1 text-center text-2xl font-bold py-3 border-2 border-emerald-200 rounded-xl"
-                                        />
-                                        <button
-                                            onClick={() => setQuantity(Math.min(crop.quantity, quantity + 1))}
-                                            className="w-12 h-12 bg-emerald-600 text-white rounded-xl font-bold text-xl hover:bg-emerald-700 transition-colors"
-                                        >
-                                            +
-                                        </button>
-                                    </div>
-                                    <p className="text-xs text-slate-500 mt-2">
-                                        <T>Available:</T> {formatQuintalQuantity(crop.quantity)}
-                                    </p>
-                                </div>
-
-                                {/* Price Breakdown */}
-                                <div className="space-y-3 p-4 bg-slate-50 rounded-2xl">
-                                    <div className="flex justify-between text-sm">
-                                        <span className="text-slate-600"><T>Subtotal</T></span>
-                                        <span className="font-bold">₹{subtotal}</span>
-                                    </div>
-                                    <div className="flex justify-between text-sm">
-                                        <span className="text-slate-600"><T>Delivery Fee</T></span>
-                                        <span className="font-bold">₹{deliveryFee}</span>
-                                    </div>
-                                    <div className="flex justify-between text-lg font-black text-emerald-600 pt-3 border-t-2 border-slate-200">
-                                        <span><T>Total</T></span>
-                                        <span>₹{total}</span>
-                                    </div>
-                                </div>
+                    <div className="px-6 py-6 overflow-y-auto max-h-[60vh] space-y-6">
+                        {/* Crop Info */}
+                        <div className="flex items-center gap-4 p-4 bg-slate-50 rounded-2xl">
+                            {crop.image && (
+                                <img
+                                    src={crop.image}
+                                    alt={crop.name}
+                                    className="w-20 h-20 rounded-xl object-cover"
+                                />
+                            )}
+                            <div className="flex-1">
+                                <h3 className="font-bold text-lg text-slate-900">{crop.name}</h3>
+                                <p className="text-sm text-slate-500">
+                                    <T>From</T> {crop.farmer?.name || crop.farmerName || 'Farmer'}
+                                </p>
+                                <p className="text-emerald-600 font-bold mt-1">
+                                    {formatQuintalQuantity(quantity)} × {formatQuintalRate(pricePerUnit)}
+                                </p>
                             </div>
-                        )}
-
-                        {/* Step 2: Delivery Address */}
-                        {step === 2 && (
-                            <div className="space-y-4">
-                                <div className="flex items-center gap-2 mb-4">
-                                    <MapPin className="text-emerald-600" size={24} />
-                                    <h3 className="text-lg font-bold"><T>Delivery Address</T></h3>
-                                </div>
-
-                                <div>
-                                    <label className="block text-sm font-bold text-slate-700 mb-1">
-                                        <T>Street Address</T>
-                                    </label>
-                                    <input
-                                        type="text"
-                                        value={deliveryAddress.street}
-                                        onChange={(e) =>
-                                            setDeliveryAddress({ ...deliveryAddress, street: e.target.value })
-                                        }
-                                        className="w-full px-4 py-3 border-2 border-slate-200 rounded-xl focus:border-emerald-500 focus:outline-none"
-                                        placeholder="123 Market Road"
-                                    />
-                                </div>
-
-                                <div className="grid grid-cols-2 gap-4">
-                                    <div>
-                                        <label className="block text-sm font-bold text-slate-700 mb-1">
-                                            <T>City</T>
-                                        </label>
-                                        <input
-                                            type="text"
-                                            value={deliveryAddress.city}
-                                            onChange={(e) =>
-                                                setDeliveryAddress({ ...deliveryAddress, city: e.target.value })
-                                            }
-                                            className="w-full px-4 py-3 border-2 border-slate-200 rounded-xl focus:border-emerald-500 focus:outline-none"
-                                            placeholder="Mumbai"
-                                        />
-                                    </div>
-                                    <div>
-                                        <label className="block text-sm font-bold text-slate-700 mb-1">
-                                            <T>State</T>
-                                        </label>
-                                        <input
-                                            type="text"
-                                            value={deliveryAddress.state}
-                                            onChange={(e) =>
-                                                setDeliveryAddress({ ...deliveryAddress, state: e.target.value })
-                                            }
-                                            className="w-full px-4 py-3 border-2 border-slate-200 rounded-xl focus:border-emerald-500 focus:outline-none"
-                                            placeholder="Maharashtra"
-                                        />
-                                    </div>
-                                </div>
+                        </div>
 
-                                <div>
-                                    <label className="block text-sm font-bold text-slate-700 mb-1">
-                                        <T>Pincode</T>
-                                    </label>
-                                    <input
-                                        type="text"
-                                        value={deliveryAddress.pincode}
-                                        onChange={(e) =>
-                                            setDeliveryAddress({ ...deliveryAddress, pincode: e.target.value })
-                                        }
-                                        className="w-full px-4 py-3 border-2 border-slate-200 rounded-xl focus:border-emerald-500 focus:outline-none"
-                                        placeholder="400001"
-                                    />
+                        {/* Price Breakdown */}
+                        <div className="space-y-3 p-4 bg-slate-50 rounded-2xl">
+                            <div className="flex justify-between text-sm">
+                                <span className="text-slate-600"><T>Subtotal</T></span>
+                                <span className="font-bold">₹{subtotal}</span>
+                            </div>
+                            {taxes.map((tax) => (
+                                <div key={`${tax.type}-${tax.rate}`} className="flex justify-between text-sm">
+                                    <span className="text-slate-600">{tax.type} @ {tax.rate}%</span>
+                                    <span className="font-bold">₹{tax.amount}</span>
                                 </div>
-
-                                <div>
-                                    <label className="block text-sm font-bold text-slate-700 mb-1">
-                                        <T>Special Instructions (Optional)</T>
-                                    </label>
-                                    <textarea
-                                        value={notes}
-                                        onChange={(e) => setNotes(e.target.value)}
-                                        className="w-full px-4 py-3 border-2 border-slate-200 rounded-xl focus:border-emerald-500 focus:outline-none"
-                                        rows={3}
-                                        placeholder="Any special delivery instructions..."
-                                    />
+                            ))}
+                            {fees.map((fee) => (
+                                <div key={fee.rule || fee.name} className="flex justify-between text-sm">
+                                    <span className="text-slate-600">
+                                        {fee.name}
+                                        {fee.kind === 'percentage' && <span className="text-slate-400"> ({fee.rate}%)</span>}
+                                    </span>
+                                    <span className="font-bold">₹{fee.amount}</span>
                                 </div>
+                            ))}
+                            <div className="flex justify-between text-sm">
+                                <span className="text-slate-600"><T>Shipping</T></span>
+                                <span className="font-bold">{shippingCost > 0 ? `₹${shippingCost}` : <T>Free</T>}</span>
                             </div>
-                        )}
-
-                        {/* Step 3: Confirmation */}
-                        {step === 3 && (
-                            <div className="space-y-6 text-center">
-                                <motion.div
-                                    initial={{ scale: 0 }}
-                                    animate={{ scale: 1 }}
-                                    transition={{ type: 'spring', stiffness: 200 }}
-                                    className="w-24 h-24 mx-auto bg-emerald-100 rounded-full flex items-center justify-center"
-                                >
-                                    <CheckCircle className="text-emerald-600" size={48} />
-                                </motion.div>
-
-                                <div>
-                                    <h3 className="text-2xl font-black text-slate-900 mb-2">
-                                        <T>Ready to Place Order?</T>
-                                    </h3>
-                                    <p className="text-slate-600">
-                                        <T>Your order will be sent to the farmer for confirmation</T>
-                                    </p>
+                            {!quote && (
+                                <p className="text-xs text-rose-600"><T>Could not price this order</T></p>
+                            )}
+                            <div className="flex justify-between text-lg font-black text-emerald-600 pt-3 border-t-2 border-slate-200">
+                                <span><T>Total</T></span>
+                                <span>₹{total}</span>
+                            </div>
+                            {payNow !== total && (
+                                <div className="flex justify-between text-sm">
+                                    <span className="text-slate-600"><T>Due now</T></span>
+                                    <span className="font-bold">₹{payNow}</span>
                                 </div>
+                            )}
+                        </div>
 
-                                <div className="bg-slate-50 rounded-2xl p-6 text-left space-y-3">
-                                    <div className="flex justify-between">
-                                        <span className="text-slate-600"><T>Crop:</T></span>
-                                        <span className="font-bold">{crop.name}</span>
-                                    </div>
-                                    <div className="flex justify-between">
-                                        <span className="text-slate-600"><T>Quantity:</T></span>
-                                        <span className="font-bold">{formatQuintalQuantity(quantity)}</span>
-                                    </div>
-                                    <div className="flex justify-between">
-                                        <span className="text-slate-600"><T>Total Amount:</T></span>
-                                        <span className="font-bold text-emerald-600">₹{total}</span>
-                                    </div>
-                                    <div className="flex justify-between pt-3 border-t border-slate-200">
-                                        <span className="text-slate-600"><T>Delivery to:</T></span>
-                                        <span className="font-bold text-right text-sm">
-                                            {deliveryAddress.city}, {deliveryAddress.state}
-                                        </span>
-                                    </div>
-                                </div>
+                        {/* Delivery */}
+                        <div className="flex items-start gap-3 p-4 bg-slate-50 rounded-2xl">
+                            <MapPin className="text-emerald-600 shrink-0" size={20} />
+                            <div>
+                                <p className="text-sm font-bold text-slate-700"><T>Delivery to:</T></p>
+                                <p className="text-sm text-slate-600">{deliveryTo}</p>
                             </div>
-                        )}
+                        </div>
                     </div>
 
                     {/* Footer Actions */}
                     <div className="px-6 py-4 bg-slate-50 flex gap-3">
-                        {step > 1 && (
-                            <button
-                                onClick={() => setStep(step - 1)}
-                                className="px-6 py-3 bg-slate-200 text-slate-700 font-bold rounded-xl hover:bg-slate-300 transition-colors"
-                            >
-                                <T>Back</T>
-                            </button>
-                        )}
-                        {step < 3 ? (
-                            <button
-                                onClick={() => setStep(step + 1)}
-                                className="flex-1 bg-gradient-to-r from-emerald-600 to-emerald-700 text-white font-bold py-3 rounded-xl hover:shadow-lg transition-all"
-                            >
-                                <T>Continue</T>
-                            </button>
-                        ) : (
-                            <button
-                                onClick={handleConfirmOrder}
-                                className="flex-1 bg-gradient-to-r from-emerald-600 to-emerald-700 text-white font-bold py-3 rounded-xl hover:shadow-lg transition-all"
-                            >
-                                <T>Place Order</T>
-                            </button>
-                        )}
+                        <button
+                            onClick={onClose}
+                            disabled={processing}
+                            className="px-6 py-3 bg-slate-200 text-slate-700 font-bold rounded-xl hover:bg-slate-300 transition-colors"
+                        >
+                            <T>Back</T>
+                        </button>
+                        <button
+                            onClick={onConfirm}
+                            disabled={processing || !quote}
+                            className="flex-1 bg-gradient-to-r from-emerald-600 to-emerald-700 text-white font-bold py-3 rounded-xl hover:shadow-lg transition-all disabled:opacity-70 disabled:cursor-not-allowed"
+                        >
+                            {processing ? <T>Processing...</T> : <><T>Confirm & Pay</T> ₹{payNow}</>}
+                        </button>
                     </div>
                 </motion.div>
             </div>
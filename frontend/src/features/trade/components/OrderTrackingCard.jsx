@@ -1,39 +1,73 @@
 /**
  * @fileoverview Order Tracking Card Component for AgriSahayak Trade System
- * 
- * Displays order status with a vertical timeline showing progression
- * through Pending → Confirmed → Shipped → Delivered (or Cancelled).
- * Each timeline event shows icon, label, note, and timestamp.
- * Includes order details (quantity, price, total) and a cancel button
- * for pending orders.
- * 
+ *
+ * Displays an order's status with a vertical timeline built from the
+ * order's real `statusHistory` (Pending → Processing → Shipped → Delivered,
+ * or Cancelled). Each timeline event shows icon, label, who made the
+ * change, note, and timestamp.
+ * Includes order details (quantity, price, tax and fee lines, total, refund),
+ * the invoice download (for orders with an invoice number) and one button per
+ * status the current user may move the order to (`allowedStatuses`,
+ * computed by the backend for the requesting user). An order booked with
+ * an advance lists its instalments, and once shipped the buyer can pay the
+ * balance from here.
+ *
  * @component OrderTrackingCard
  * @param {Object} props
- * @param {Object} props.order - Order data (id, cropName, status, timeline, quantity, etc.)
- * 
+ * @param {Object} props.order - Order from the API (items, orderStatus, statusHistory, allowedStatuses, taxes, fees, totalAmount, invoiceNumber, paymentStatus, paymentSchedule)
+ * @param {Function} [props.onTransition] - (orderId, status) => void; omit to hide the actions
+ * @param {Function} [props.onPayBalance] - (order) => void; omit to hide the Pay Balance action
+ * @param {boolean} [props.busy] - Disables the actions while an update is saving
+ *
  * @see Epic 4, Story 4.7 - Order Tracking
- * @see TradeDashboard - Renders OrderTrackingCard in the orders tab
+ * @see Epic 4, Story 4.8 - Order Status Updates
+ * @see TrackOrderPage - Renders OrderTrackingCard for the buyer's orders
  */
 import React from 'react';
 import { motion } from 'framer-motion';
 import { Package, Truck, CheckCircle, Clock, XCircle } from 'lucide-react';
 import { T } from '../../../context/TranslationContext';
 import { formatQuintalQuantity } from '../../../utils/formatters';
+import InvoiceDownloadButton from './InvoiceDownloadButton';
 
-export default function OrderTrackingCard({ order }) {
-    const statusConfig = {
-        pending: { icon: Clock, color: 'yellow', label: 'Pending' },
-        confirmed: { icon: CheckCircle, color: 'blue', label: 'Confirmed' },
-        shipped: { icon: Truck, color: 'purple', label: 'Shipped' },
-        delivered: { icon: Package, color: 'green', label: 'Delivered' },
-        cancelled: { icon: XCircle, color: 'red', label: 'Cancelled' },
-    };
+const statusConfig = {
+    Pending: { icon: Clock, badge: 'bg-yellow-100 text-yellow-700', dot: 'bg-yellow-100 text-yellow-600', line: 'bg-yellow-200', label: 'Order Placed' },
+    Processing: { icon: CheckCircle, badge: 'bg-blue-100 text-blue-700', dot: 'bg-blue-100 text-blue-600', line: 'bg-blue-200', label: 'Processing' },
+    Shipped: { icon: Truck, badge: 'bg-purple-100 text-purple-700', dot: 'bg-purple-100 text-purple-600', line: 'bg-purple-200', label: 'Shipped' },
+    Delivered: { icon: Package, badge: 'bg-green-100 text-green-700', dot: 'bg-green-100 text-green-600', line: 'bg-green-200', label: 'Delivered' },
+    Cancelled: { icon: XCircle, badge: 'bg-red-100 text-red-700', dot: 'bg-red-100 text-red-600', line: 'bg-red-200', label: 'Cancelled' },
+};
 
-    const currentStatus = statusConfig[order.status] || statusConfig.pending;
-    const StatusIcon = currentStatus.icon;
+/** Button label and style for each status a user can move an order to. */
+const transitionActions = {
+    Processing: { label: 'Start Processing', className: 'bg-blue-600 hover:bg-blue-700 text-white' },
+    Shipped: { label: 'Mark as Shipped', className: 'bg-purple-600 hover:bg-purple-700 text-white' },
+    Delivered: { label: 'Confirm Delivery', className: 'bg-emerald-600 hover:bg-emerald-700 text-white' },
+    Cancelled: { label: 'Cancel Order', className: 'bg-red-500 hover:bg-red-600 text-white' },
+};
 
-    const statuses = ['pending', 'confirmed', 'shipped', 'delivered'];
-    const currentIndex = statuses.indexOf(order.status);
+const roleLabel = { BUYER: 'Buyer', FARMER: 'Farmer', ADMIN: 'Admin', SYSTEM: 'AgriSahayak' };
+
+/** Label and style of each instalment status. */
+const instalmentStatus = {
+    pending: { label: 'Due', className: 'text-amber-700' },
+    paid: { label: 'Paid', className: 'text-emerald-700' },
+    failed: { label: 'Payment failed', className: 'text-rose-700' },
+    refunded: { label: 'Refunded', className: 'text-slate-500' },
+};
+
+export default function OrderTrackingCard({ order, onTransition, onPayBalance, busy = false }) {
+    const item = order.items?.[0] || {};
+    const status = order.orderStatus || 'Pending';
+    const currentStatus = statusConfig[status] || statusConfig.Pending;
+    const timeline = order.statusHistory?.length
+        ? order.statusHistory
+        : [{ status: 'Pending', at: order.createdAt, note: 'Order placed' }];
+    const actions = onTransition ? order.allowedStatuses || [] : [];
+    const schedule = order.paymentSchedule || [];
+    const balance = schedule.find((instalment) => instalment.kind === 'balance');
+    const balancePayable = Boolean(onPayBalance) && order.paymentStatus === 'partially_paid'
+        && ['Shipped', 'Delivered'].includes(status) && balance && balance.status !== 'paid';
 
     return (
         <motion.div
@@ -44,40 +78,49 @@ export default function OrderTrackingCard({ order }) {
             {/* Header */}
             <div className="flex items-center justify-between mb-6">
                 <div>
-                    <h3 className="font-bold text-lg text-slate-900">{order.cropName}</h3>
-                    <p className="text-sm text-slate-500"><T>Order ID:</T> {order.id}</p>
+                    <h3 className="font-bold text-lg text-slate-900">{order.items?.map((entry) => entry.name).join(', ') || 'Crop'}</h3>
+                    <p className="text-sm text-slate-500"><T>Order ID:</T> {order._id}</p>
                 </div>
-                <div className={`px-4 py-2 bg-${currentStatus.color}-100 text-${currentStatus.color}-700 rounded-full text-xs font-bold uppercase`}>
+                <div className={`px-4 py-2 ${currentStatus.badge} rounded-full text-xs font-bold uppercase`}>
                     <T>{currentStatus.label}</T>
                 </div>
             </div>
 
             {/* Timeline */}
             <div className="space-y-4">
-                {order.timeline?.map((event, index) => {
-                    const eventStatus = statusConfig[event.status] || statusConfig.pending;
+                {timeline.map((event, index) => {
+                    const eventStatus = statusConfig[event.status] || statusConfig.Pending;
                     const EventIcon = eventStatus.icon;
-                    const isLast = index === order.timeline.length - 1;
+                    const isLast = index === timeline.length - 1;
+                    const actor = event.actor?.name || roleLabel[event.actorRole];
 
                     return (
-                        <div key={index} className="flex gap-4">
+                        <div key={event._id || index} className="flex gap-4">
                             {/* Icon */}
                             <div className="relative">
-                                <div className={`w-10 h-10 rounded-full bg-${eventStatus.color}-100 flex items-center justify-center`}>
-                                    <EventIcon className={`text-${eventStatus.color}-600`} size={20} />
+                                <div className={`w-10 h-10 rounded-full ${eventStatus.dot} flex items-center justify-center`}>
+                                    <EventIcon size={20} />
                                 </div>
                                 {!isLast && (
-                                    <div className={`absolute left-5 top-10 w-0.5 h-12 bg-${eventStatus.color}-200`} />
+                                    <div className={`absolute left-5 top-10 w-0.5 h-12 ${eventStatus.line}`} />
                                 )}
                             </div>
 
                             {/* Content */}
                             <div className="flex-1 pb-4">
                                 <p className="font-bold text-slate-900"><T>{eventStatus.label}</T></p>
-                                <p className="text-sm text-slate-600">{event.note}</p>
-                                <p className="text-xs text-slate-400 mt-1">
-                                    {new Date(event.timestamp).toLocaleString('en-IN')}
-                                </p>
+                                {(actor || event.note) && (
+                                    <p className="text-sm text-slate-600">
+                                        {actor && <span className="font-semibold">{actor}</span>}
+                                        {actor && event.note && ' — '}
+                                        {event.note}
+                                    </p>
+                                )}
+                                {event.at && (
+                                    <p className="text-xs text-slate-400 mt-1">
+                                        {new Date(event.at).toLocaleString('en-IN')}
+                                    </p>
+                                )}
                             </div>
                         </div>
                     );
@@ -88,24 +131,90 @@ export default function OrderTrackingCard({ order }) {
             <div className="mt-6 pt-6 border-t border-slate-200 space-y-2">
                 <div className="flex justify-between text-sm">
                     <span className="text-slate-600"><T>Quantity:</T></span>
-                    <span className="font-bold">{formatQuintalQuantity(order.quantity)}</span>
+                    <span className="font-bold">{formatQuintalQuantity(item.quantity || 0)}</span>
                 </div>
                 <div className="flex justify-between text-sm">
                     <span className="text-slate-600"><T>Price per quintal:</T></span>
-                    <span className="font-bold">₹{order.pricePerKg}</span>
+                    <span className="font-bold">₹{item.pricePerKg}</span>
                 </div>
+                {(order.taxes || []).map((tax) => (
+                    <div key={`${tax.type}-${tax.rate}`} className="flex justify-between text-sm">
+                        <span className="text-slate-600">{tax.type} @ {tax.rate}%:</span>
+                        <span className="font-bold">₹{Number(tax.amount).toLocaleString('en-IN')}</span>
+                    </div>
+                ))}
+                {(order.fees || []).filter((fee) => fee.payer !== 'farmer').map((fee) => (
+                    <div key={fee.rule || fee.name} className="flex justify-between text-sm">
+                        <span className="text-slate-600">{fee.name}:</span>
+                        <span className="font-bold">₹{Number(fee.amount).toLocaleString('en-IN')}</span>
+                    </div>
+                ))}
                 <div className="flex justify-between text-lg font-black text-emerald-600 pt-2 border-t border-slate-200">
                     <span><T>Total:</T></span>
-                    <span>₹{order.totalAmount}</span>
+                    <span>₹{Number(order.totalAmount || 0).toLocaleString('en-IN')}</span>
                 </div>
+                {schedule.map((instalment) => {
+                    const state = instalmentStatus[instalment.status] || instalmentStatus.pending;
+                    return (
+                        <div key={instalment._id || instalment.kind} className="flex justify-between text-sm">
+                            <span className="text-slate-600">
+                                <T>{instalment.kind === 'advance' ? 'Advance' : 'Balance'}</T> ({instalment.percent}%)
+                                {instalment.status !== 'paid' && instalment.dueDate && (
+                                    <span className="text-slate-400"> · <T>due</T> {new Date(instalment.dueDate).toLocaleDateString('en-IN')}</span>
+                                )}
+                            </span>
+                            <span className={`font-bold ${state.className}`}>
+                                ₹{Number(instalment.amount).toLocaleString('en-IN')} · <T>{state.label}</T>
+                            </span>
+                        </div>
+                    );
+                })}
+                {order.paymentStatus === 'refunded' && (
+                    <p className="text-sm font-semibold text-emerald-700 bg-emerald-50 rounded-lg px-3 py-2">
+                        <T>Payment refunded</T>
+                        {order.refundedAt && ` · ${new Date(order.refundedAt).toLocaleDateString('en-IN')}`}
+                    </p>
+                )}
+                {order.invoiceNumber && (
+                    <div className="flex items-center justify-between pt-2 text-xs text-slate-500">
+                        <span><T>Invoice</T> {order.invoiceNumber}</span>
+                        <InvoiceDownloadButton
+                            orderId={order._id}
+                            invoiceNumber={order.invoiceNumber}
+                            className="px-3 py-1.5 bg-emerald-50 text-emerald-700 hover:bg-emerald-100"
+                        />
+                    </div>
+                )}
             </div>
 
             {/* Actions */}
-            {order.status === 'pending' && (
-                <button className="w-full mt-4 bg-red-500 text-white font-bold py-3 rounded-xl hover:bg-red-600 transition-colors">
-                    <T>Cancel Order</T>
+            {balancePayable && (
+                <button
+                    onClick={() => onPayBalance(order)}
+                    disabled={busy}
+                    className="w-full mt-4 font-bold py-3 rounded-xl transition-colors disabled:opacity-70 bg-amber-500 hover:bg-amber-600 text-white"
+                >
+                    <T>Pay Balance</T> ₹{Number(balance.amount).toLocaleString('en-IN')}
                 </button>
             )}
+            {actions.length > 0 && (
+                <div className="flex gap-3 mt-4">
+                    {actions.map((next) => {
+                        const action = transitionActions[next];
+                        if (!action) return null;
+                        return (
+                            <button
+                                key={next}
+                                onClick={() => onTransition(order._id, next)}
+                                disabled={busy}
+                                className={`flex-1 font-bold py-3 rounded-xl transition-colors disabled:opacity-70 ${action.className}`}
+                            >
+                                <T>{action.label}</T>
+                            </button>
+                        );
+                    })}
+                </div>
+            )}
         </motion.div>
     );
 }
@@ -3,7 +3,9 @@
  *
  * Opens an inline bid form allowing a buyer to enter a bid amount
  * and submit it via the tradeService API. Calls onBidPlaced callback
- * with the returned bid on success.
+ * with the returned bid on success. The server applies the same bid
+ * rules as the trade room (at least the asking price, then beat the
+ * highest open bid) and reports which minimum applies.
  *
  * @component PlaceBidButton
  * @param {Object} props
@@ -24,13 +26,13 @@ export default function PlaceBidButton({ crop, onBidPlaced }) {
     const tr = useT();
 
     const cropId = crop._id || crop.id;
-    const minBid = (crop.price || 0) + 1;
+    const minBid = crop.price || 1;
 
     const handleSubmit = async (e) => {
         e.preventDefault();
         const bid = Number(amount);
-        if (!bid || bid <= (crop.price || 0)) {
-            toast.error(tr(`Bid must be higher than ₹${crop.price}/quintal`));
+        if (!bid || bid < minBid) {
+            toast.error(tr(`Bid must be at least ₹${minBid}/quintal`));
             return;
         }
         setLoading(true);
@@ -1,26 +1,40 @@
 import { useState, useEffect } from 'react';
 
+const getTimeLeft = (endMs) => {
+  if (Number.isNaN(endMs)) return "";
+
+  const distance = endMs - Date.now();
+  if (distance < 0) return "EXPIRED";
+
+  const hours = Math.floor(distance / (1000 * 60 * 60));
+  const minutes = Math.floor((distance % (1000 * 60 * 60)) / (1000 * 60));
+  const seconds = Math.floor((distance % (1000 * 60)) / 1000);
+  return `${hours}h ${minutes}m ${seconds}s`;
+};
+
+/**
+ * Countdown to an auction/bid deadline, refreshed every second.
+ *
+ * The timer is keyed on the deadline's timestamp, so when the server
+ * pushes an auction's end time out (soft-close extension) the countdown
+ * restarts against the new deadline instead of expiring at the old one.
+ *
+ * @param {string|Date} expiryDate - Deadline
+ * @returns {string} "Xh Ym Zs", "EXPIRED", or "" when no deadline is set
+ */
 export default function useAuctionTimer(expiryDate) {
-  const [timeLeft, setTimeLeft] = useState("");
+  const endMs = expiryDate ? new Date(expiryDate).getTime() : NaN;
+  const [timeLeft, setTimeLeft] = useState(() => getTimeLeft(endMs));
 
   useEffect(() => {
     const timer = setInterval(() => {
-      const now = new Date().getTime();
-      const distance = new Date(expiryDate).getTime() - now;
-      
-      if (distance < 0) {
-        setTimeLeft("EXPIRED");
-        clearInterval(timer);
-      } else {
-        const hours = Math.floor((distance % (1000 * 60 * 60 * 24)) / (1000 * 60 * 60));
-        const minutes = Math.floor((distance % (1000 * 60 * 60)) / (1000 * 60));
-        const seconds = Math.floor((distance % (1000 * 60)) / 1000);
-        setTimeLeft(`${hours}h ${minutes}m ${seconds}s`);
-      }
+      const next = getTimeLeft(endMs);
+      setTimeLeft(next);
+      if (next === "EXPIRED") clearInterval(timer);
     }, 1000);
 
     return () => clearInterval(timer);
-  }, [expiryDate]);
+  }, [endMs]);
 
   return timeLeft;
-}
\ No newline at end of file
+}
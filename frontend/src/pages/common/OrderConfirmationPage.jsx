@@ -5,6 +5,7 @@ import { T } from '../../context/TranslationContext';
 import { useLocation, useNavigate } from 'react-router-dom';
 import { formatQuintalQuantity, formatQuintalRate } from '../../utils/formatters';
 import RateFarmerModal from '../../components/RateFarmerModal';
+import InvoiceDownloadButton from '../../features/trade/components/InvoiceDownloadButton';
 
 function parseAddress(address) {
     if (!address) return { line1: 'N/A', line2: '' };
@@ -27,7 +28,7 @@ function normalizeOrder(raw) {
     const item = raw.items?.[0] || null;
     const quantity = item?.quantity ?? raw.quantity ?? 0;
     const pricePerQuintal = item?.pricePerKg ?? raw.pricePerKg ?? raw.pricePerUnit ?? 0;
-    const subtotal = item?.total ?? (quantity * pricePerQuintal);
+    const subtotal = raw.subtotal ?? item?.total ?? (quantity * pricePerQuintal);
     const shipping = raw.shippingCost ?? 0;
     const total = raw.totalAmount ?? subtotal + shipping;
 
@@ -40,6 +41,9 @@ function normalizeOrder(raw) {
         pricePerQuintal,
         subtotal,
         shipping,
+        taxes: raw.taxes || [],
+        fees: (raw.fees || []).filter((fee) => fee.payer !== 'farmer'),
+        invoiceNumber: raw.invoiceNumber,
         total,
         farmerId: raw.farmer?._id || raw.farmer || null,
         farmerName: raw.farmer?.name || raw.farmerName || 'Farmer',
@@ -59,6 +63,8 @@ export default function OrderConfirmationPage() {
     const [isRateModalOpen, setIsRateModalOpen] = useState(false);
 
     const order = normalizeOrder(location.state?.order);
+    // A cart checkout creates one order per farmer
+    const splitOrders = (location.state?.orders || []).map(normalizeOrder);
 
     if (!order) {
         return (
@@ -103,6 +109,29 @@ export default function OrderConfirmationPage() {
                 </motion.div>
 
                 <div className="bg-white rounded-3xl shadow-xl p-8 space-y-6">
+                    {splitOrders.length > 1 && (
+                        <div className="rounded-2xl border border-emerald-200 bg-emerald-50 p-4 space-y-2">
+                            <p className="font-bold text-emerald-800">
+                                <T>Your cart was split into</T> {splitOrders.length} <T>orders, one per farmer</T>
+                            </p>
+                            {splitOrders.map((entry) => (
+                                <div key={entry.id} className="flex justify-between text-sm text-slate-700">
+                                    <span>{entry.farmerName} · <span className="break-all">{entry.id}</span></span>
+                                    <span className="flex items-center gap-3">
+                                        <span className="font-bold">₹{Number(entry.total || 0).toLocaleString('en-IN')}</span>
+                                        {entry.invoiceNumber && (
+                                            <InvoiceDownloadButton
+                                                orderId={entry.id}
+                                                invoiceNumber={entry.invoiceNumber}
+                                                className="text-xs text-emerald-700 hover:text-emerald-900"
+                                            />
+                                        )}
+                                    </span>
+                                </div>
+                            ))}
+                        </div>
+                    )}
+
                     <div className="grid grid-cols-1 md:grid-cols-3 gap-4 pb-4 border-b border-slate-200">
                         <div className="bg-slate-50 rounded-xl p-4">
                             <p className="text-xs text-slate-500"><T>Order ID</T></p>
@@ -139,8 +168,17 @@ export default function OrderConfirmationPage() {
                             <div className="text-sm text-slate-700 space-y-1">
                                 <p><span className="font-semibold"><T>Method</T>:</span> {order.paymentMethod}</p>
                                 <p><span className="font-semibold"><T>Subtotal</T>:</span> ₹{Number(order.subtotal || 0).toLocaleString('en-IN')}</p>
+                                {order.taxes.map((tax) => (
+                                    <p key={`${tax.type}-${tax.rate}`}><span className="font-semibold">{tax.type} @ {tax.rate}%:</span> ₹{Number(tax.amount).toLocaleString('en-IN')}</p>
+                                ))}
+                                {order.fees.map((fee) => (
+                                    <p key={fee.rule || fee.name}><span className="font-semibold">{fee.name}:</span> ₹{Number(fee.amount).toLocaleString('en-IN')}</p>
+                                ))}
                                 <p><span className="font-semibold"><T>Shipping</T>:</span> ₹{Number(order.shipping || 0).toLocaleString('en-IN')}</p>
                                 <p className="text-emerald-700 font-black"><span><T>Total Paid</T>:</span> ₹{Number(order.total || 0).toLocaleString('en-IN')}</p>
+                                {order.invoiceNumber && (
+                                    <p><span className="font-semibold"><T>Invoice No</T>:</span> {order.invoiceNumber}</p>
+                                )}
                                 <p className="text-xs text-slate-500 pt-1"><ShieldCheck size={12} className="inline mr-1" /><T>Payment details stored securely in encrypted form.</T></p>
                             </div>
                         </div>
@@ -161,6 +199,14 @@ export default function OrderConfirmationPage() {
                         </span>
                     </div>
 
+                    {order.invoiceNumber && splitOrders.length <= 1 && (
+                        <InvoiceDownloadButton
+                            orderId={order.id}
+                            invoiceNumber={order.invoiceNumber}
+                            className="w-full py-3 border border-emerald-200 text-emerald-700 hover:bg-emerald-50"
+                        />
+                    )}
+
                     <div className="pt-2 grid grid-cols-1 md:grid-cols-3 gap-3">
                         <button
                             onClick={() => navigate('/dashboard/buyer')}
@@ -2,10 +2,13 @@ import React, { useEffect, useMemo, useState, useContext } from 'react';
 import { motion } from 'framer-motion';
 import { useNavigate } from 'react-router-dom';
 import { ArrowLeft, PackageOpen, ShoppingBag, Clock3, Gavel } from 'lucide-react';
-import { T } from '../../context/TranslationContext';
+import toast from 'react-hot-toast';
+import { T, useT } from '../../context/TranslationContext';
 import { AuthContext } from '../../context/AuthContext';
 import { tradeService } from '../../services/tradeService';
+import { paymentService } from '../../services/paymentService';
 import { formatQuintalQuantity, formatQuintalRate } from '../../utils/formatters';
+import OrderTrackingCard from '../../features/trade/components/OrderTrackingCard';
 
 const bidStatusStyle = {
     Pending: 'bg-amber-100 text-amber-700',
@@ -27,8 +30,10 @@ function getBidTimeLeft(expiresAt) {
 export default function TrackOrderPage() {
     const navigate = useNavigate();
     const { user } = useContext(AuthContext);
+    const tr = useT();
 
     const [loading, setLoading] = useState(true);
+    const [updatingId, setUpdatingId] = useState(null);
     const [orders, setOrders] = useState([]);
     const [bids, setBids] = useState([]);
     const [activeTab, setActiveTab] = useState('orders');
@@ -58,6 +63,56 @@ export default function TrackOrderPage() {
         load();
     }, [user?._id]);
 
+    const handleTransition = async (orderId, status) => {
+        let note;
+        if (status === 'Cancelled') {
+            note = window.prompt(tr('Why are you cancelling this order?'));
+            if (note === null) return;
+            if (!note.trim()) {
+                toast.error(tr('Please give a reason for cancelling'));
+                return;
+            }
+        }
+        try {
+            setUpdatingId(orderId);
+            const res = await tradeService.updateOrderStatus(orderId, { status, note: note?.trim() });
+            setOrders((prev) => prev.map((o) => (o._id === orderId ? { ...o, ...res.data } : o)));
+            toast.success(tr(status === 'Delivered' ? 'Delivery confirmed' : `Order ${status.toLowerCase()}`));
+        } catch (err) {
+            toast.error(tr(err.response?.data?.message || 'Failed to update order'));
+        } finally {
+            setUpdatingId(null);
+        }
+    };
+
+    const handlePayBalance = async (order) => {
+        const balance = order.paymentSchedule.find((instalment) => instalment.kind === 'balance');
+        const upiId = window.prompt(tr(`Enter your UPI ID to pay the balance of ₹${balance.amount}`));
+        if (upiId === null) return;
+        if (!upiId.trim()) {
+            toast.error(tr('Please enter a UPI ID'));
+            return;
+        }
+        try {
+            setUpdatingId(order._id);
+            const res = await paymentService.payBalance(order._id, { paymentMethod: 'upi', paymentDetails: { upiId: upiId.trim() } });
+            setOrders((prev) => prev.map((o) => (o._id === order._id ? { ...o, ...res.data.order } : o)));
+            const paid = res.data.order.paymentStatus === 'paid';
+            const failure = res.data.payment.paymentSchedule.find((instalment) => instalment.kind === 'balance')?.failureReason;
+            if (paid) {
+                toast.success(tr('Balance paid'));
+            } else if (failure) {
+                toast.error(tr(failure));
+            } else {
+                toast(tr('Approve the payment request in your UPI app'));
+            }
+        } catch (err) {
+            toast.error(tr(err.response?.data?.message || 'Could not pay the balance'));
+        } finally {
+            setUpdatingId(null);
+        }
+    };
+
     const directBuyOrders = useMemo(
         () => orders.filter((o) => !o.sourceBid),
         [orders]
@@ -119,24 +174,15 @@ export default function TrackOrderPage() {
                                 <T>No orders yet</T>
                             </div>
                         ) : (
-                            orders.map((order) => {
-                                const item = order.items?.[0];
-                                return (
-                                    <div key={order._id} className="bg-white rounded-xl p-5 shadow-sm border border-slate-100">
-                                        <div className="flex items-center justify-between mb-2">
-                                            <h3 className="font-black text-slate-900">{item?.name || 'Crop'}</h3>
-                                            <span className="text-xs px-2 py-1 rounded-full bg-blue-100 text-blue-700 font-bold">
-                                                {order.orderStatus || 'Pending'}
-                                            </span>
-                                        </div>
-                                        <p className="text-sm text-slate-600">
-                                            {formatQuintalQuantity(item?.quantity || 0)} x {formatQuintalRate(item?.pricePerKg || 0)}
-                                        </p>
-                                        <p className="text-sm font-bold text-emerald-700 mt-1">₹{Number(order.totalAmount || 0).toLocaleString('en-IN')}</p>
-                                        <p className="text-xs text-slate-500 mt-2">Order ID: {order._id}</p>
-                                    </div>
-                                );
-                            })
+                            orders.map((order) => (
+                                <OrderTrackingCard
+                                    key={order._id}
+                                    order={order}
+                                    onTransition={handleTransition}
+                                    onPayBalance={handlePayBalance}
+                                    busy={updatingId === order._id}
+                                />
+                            ))
                         )}
                     </div>
                 )}
@@ -12,7 +12,7 @@
  * @see Epic 4 - All Trading Features
  * @see TradeDashboard - Production trade page
  */
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
 import { Gavel, MessageSquare, ShoppingCart, Package, Sparkles } from 'lucide-react';
 import { T } from '../../context/TranslationContext';
@@ -22,12 +22,15 @@ import NegotiationChat from '../../features/trade/components/NegotiationChat';
 import AuctionForm from '../../features/trade/components/AuctionForm';
 import AuctionCard from '../../features/trade/components/AuctionCard';
 import OrderTrackingCard from '../../features/trade/components/OrderTrackingCard';
+import { tradeService } from '../../services/tradeService';
 import { formatQuintalQuantity, formatQuintalRate } from '../../utils/formatters';
 
 export default function TradingDemo() {
     const [activeDemo, setActiveDemo] = useState('buynow');
+    const [demoNegotiationId, setDemoNegotiationId] = useState(null);
     const sampleCrop = mockCrops[0];
-    const sampleAuction = {
+    // Demo timestamps are taken once, when the page opens, so renders stay pure
+    const [sampleAuction] = useState(() => ({
         id: 'demo_auction',
         cropName: 'Organic Wheat',
         farmerName: 'Demo Farmer',
@@ -39,20 +42,26 @@ export default function TradingDemo() {
         status: 'active',
         bids: [{ bidderId: 'buyer_1', bidderName: 'Demo Buyer', amount: 24, timestamp: new Date().toISOString() }],
         quantity: 500,
-    };
-    const sampleOrder = {
-        id: 'demo_order',
-        cropName: 'Basmati Rice',
-        quantity: 500,
-        pricePerKg: 42,
+    }));
+    const [sampleOrder] = useState(() => ({
+        _id: 'demo_order',
+        items: [{ name: 'Basmati Rice', quantity: 500, pricePerKg: 42 }],
         totalAmount: 21000,
-        status: 'shipped',
-        timeline: [
-            { status: 'placed', timestamp: new Date(Date.now() - 172800000).toISOString(), note: 'Order placed' },
-            { status: 'confirmed', timestamp: new Date(Date.now() - 169200000).toISOString(), note: 'Farmer confirmed' },
-            { status: 'shipped', timestamp: new Date(Date.now() - 86400000).toISOString(), note: 'Order shipped' },
+        orderStatus: 'Shipped',
+        statusHistory: [
+            { status: 'Pending', actorRole: 'BUYER', at: new Date(Date.now() - 172800000).toISOString(), note: 'Order placed' },
+            { status: 'Processing', actorRole: 'FARMER', at: new Date(Date.now() - 169200000).toISOString(), note: 'Farmer confirmed' },
+            { status: 'Shipped', actorRole: 'FARMER', at: new Date(Date.now() - 86400000).toISOString(), note: 'Order shipped' },
         ],
-    };
+    }));
+
+    // The chat talks to the negotiation API, so show the user's latest negotiation
+    useEffect(() => {
+        if (activeDemo !== 'negotiation' || demoNegotiationId) return;
+        tradeService.getMyNegotiations()
+            .then((res) => setDemoNegotiationId(res.data?.[0]?._id || null))
+            .catch(() => setDemoNegotiationId(null));
+    }, [activeDemo, demoNegotiationId]);
 
     const demos = [
         { id: 'buynow', label: 'Buy Now Flow', icon: ShoppingCart, color: 'emerald' },
@@ -151,11 +160,13 @@ export default function TradingDemo() {
                             <p className="text-slate-600 mb-6">
                                 <T>WhatsApp-style chat with price proposals, accept/reject/counter actions</T>
                             </p>
-                            <NegotiationChat
-                                negotiationId="neg_1"
-                                currentUserId="buyer_1"
-                                currentUserRole="buyer"
-                            />
+                            {demoNegotiationId ? (
+                                <NegotiationChat negotiationId={demoNegotiationId} />
+                            ) : (
+                                <p className="text-slate-500 bg-slate-50 rounded-2xl border border-slate-200 p-6">
+                                    <T>Start a negotiation from the marketplace to try the chat here.</T>
+                                </p>
+                            )}
                         </div>
                     )}
 
@@ -5,6 +5,8 @@
  * - Overview (index): CropForm, CropList, PriceChart + Price Alert sidebar
  * - /inventory: CropList standalone
  * - /orders: FarmerOrders
+ * - /negotiations: FarmerNegotiations
+ * - /settlements: FarmerSettlements
  * 
  * Includes TrustGauge (92) in the header and uses AnimatePresence
  * for route transitions.
@@ -22,6 +24,8 @@ import { T } from '../../context/TranslationContext';
 import CropForm from '../../features/farmer/components/CropForm';
 import CropList from '../../features/farmer/components/CropList';
 import FarmerOrders from '../../features/farmer/components/FarmerOrders';
+import FarmerNegotiations from '../../features/farmer/components/FarmerNegotiations';
+import FarmerSettlements from '../../features/farmer/components/FarmerSettlements';
 import TrustGauge from '../../components/shared/TrustGauge';
 import SmartPostModal from '../../components/SmartPostModal';
 import { cropService } from '../../services/cropService';
@@ -110,6 +114,8 @@ export default function FarmerDashboard() {
           <Route index element={<DashboardOverview />} />
           <Route path="inventory" element={<CropList />} />
           <Route path="orders" element={<FarmerOrders />} />
+          <Route path="negotiations" element={<FarmerNegotiations />} />
+          <Route path="settlements" element={<FarmerSettlements />} />
           <Route path="analytics" element={<MarketPrices />} />            <Route path="profile" element={<FarmerProfile />} />          {/* Add other sub-routes here as needed */}
         </Routes>
       </AnimatePresence>
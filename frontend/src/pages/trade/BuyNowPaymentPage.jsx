@@ -1,13 +1,22 @@
-import React, { useState, useContext, useEffect, useMemo } from 'react';
+import React, { useState, useContext, useEffect, useMemo, useCallback, useRef } from 'react';
 import { motion } from 'framer-motion';
 import { useNavigate, useLocation, useParams } from 'react-router-dom';
-import { ArrowLeft, Package, MapPin, CreditCard, CheckCircle, Smartphone, Banknote, Truck, ShieldCheck, Clock3 } from 'lucide-react';
+import { ArrowLeft, Package, MapPin, CreditCard, CheckCircle, Smartphone, Banknote, Truck, ShieldCheck, Clock3, ShoppingCart, Loader2, AlertTriangle, Trash2 } from 'lucide-react';
 import { T, useT } from '../../context/TranslationContext';
 import { AuthContext } from '../../context/AuthContext';
 import toast from 'react-hot-toast';
 import { formatQuintalQuantity, formatQuintalRate } from '../../utils/formatters';
 import { cropService } from '../../services/cropService';
 import { tradeService } from '../../services/tradeService';
+import { cartService } from '../../services/cartService';
+import { paymentService } from '../../services/paymentService';
+import { createIdempotencyKey } from '../../services/api';
+import CartReview from '../../features/trade/components/CartReview';
+import OrderSummaryModal from '../../features/trade/components/OrderSummaryModal';
+
+/** How often, and for how long, to check on a payment the provider is still processing. */
+const PAYMENT_POLL_INTERVAL_MS = 3000;
+const PAYMENT_POLL_LIMIT = 40;
 
 function getBidRemaining(expiresAt) {
     if (!expiresAt) return null;
@@ -25,24 +34,47 @@ export default function BuyNowPaymentPage() {
     const { user } = useContext(AuthContext);
     const tr = useT();
 
+    // Without a crop in the URL (/checkout/cart) the page checks out the buyer's cart
+    const isCartCheckout = !cropId;
+
     const [crop, setCrop] = useState(null);
+    const [cart, setCart] = useState(null);
+    const [cartBusy, setCartBusy] = useState(false);
     const [acceptedBid, setAcceptedBid] = useState(location.state?.bid || null);
+    // An accepted negotiation being checked out: its price and quantity are fixed
+    const deal = location.state?.negotiation?.status === 'accepted' ? location.state.negotiation : null;
 
-    const [quantity, setQuantity] = useState(1);
+    const [quantity, setQuantity] = useState(deal?.quantity || 1);
     const [deliveryAddress, setDeliveryAddress] = useState({ street: '', city: '', state: '', pincode: '' });
     const [notes, setNotes] = useState('');
     const [step, setStep] = useState(1);
-    const [paymentMethod, setPaymentMethod] = useState('card');
+    // A deal agreed as cash on delivery is paid that way; one agreed as prepaid is paid online
+    const dealPaymentTerms = deal?.terms?.paymentTerms;
+    const [paymentMethod, setPaymentMethod] = useState(dealPaymentTerms === 'cod' ? 'cod' : 'card');
     const [processing, setProcessing] = useState(false);
     const [errors, setErrors] = useState({});
     const [cardDetails, setCardDetails] = useState({ number: '', expiryMonth: '', cvv: '', name: '' });
     const [upiId, setUpiId] = useState('');
+    // Orders already placed whose online payment is still processing or failed: { status, orders, failureReason }
+    const [pendingPayment, setPendingPayment] = useState(null);
+    // A single-crop order is reviewed line by line in OrderSummaryModal before it is paid
+    const [reviewingOrder, setReviewingOrder] = useState(false);
+    // Saved cards/UPI IDs (tokens stay on the server); selectedSavedId pays with one instead of new details
+    const [savedMethods, setSavedMethods] = useState([]);
+    const [selectedSavedId, setSelectedSavedId] = useState(null);
+    const [saveMethod, setSaveMethod] = useState(false);
 
     const dashboardRoute = user?.role === 'BUYER' ? '/dashboard/buyer' : '/marketplace';
 
     useEffect(() => {
         const load = async () => {
             try {
+                if (isCartCheckout) {
+                    const cartRes = await cartService.get();
+                    setCart(cartRes.data);
+                    return;
+                }
+
                 if (location.state?.crop) {
                     setCrop(location.state.crop);
                 } else if (cropId) {
@@ -51,7 +83,7 @@ export default function BuyNowPaymentPage() {
                     if (selected) setCrop(selected);
                 }
 
-                if (!location.state?.bid) {
+                if (!location.state?.bid && !location.state?.negotiation) {
                     const bidRes = await tradeService.getAcceptedBids();
                     const matchedBid = (bidRes.data || []).find(
                         (b) => String(b.listingId?._id || b.listingId) === String(cropId)
@@ -65,21 +97,44 @@ export default function BuyNowPaymentPage() {
         };
 
         load();
-    }, [location.state, cropId, navigate, dashboardRoute]);
+    }, [location.state, cropId, isCartCheckout, navigate, dashboardRoute]);
 
     useEffect(() => {
-        if (!crop) return;
+        paymentService
+            .getSavedMethods()
+            .then((res) => setSavedMethods((res.data || []).filter((method) => !method.expired)))
+            .catch(() => setSavedMethods([]));
+    }, []);
+
+    useEffect(() => {
+        if (!crop || deal) return;
         if (quantity > crop.quantity) setQuantity(crop.quantity || 1);
-    }, [crop, quantity]);
+    }, [crop, quantity, deal]);
 
     const activePrice = useMemo(() => {
+        if (deal?.finalPrice) {
+            return deal.finalPrice;
+        }
         if (acceptedBid?.status === 'Accepted' && acceptedBid?.amount) {
             return acceptedBid.amount;
         }
         return crop?.price || 0;
-    }, [acceptedBid, crop]);
+    }, [acceptedBid, crop, deal]);
 
     const bidRemaining = useMemo(() => getBidRemaining(acceptedBid?.expiresAt), [acceptedBid]);
+    const dealRemaining = useMemo(() => getBidRemaining(deal?.checkoutExpiresAt), [deal]);
+
+    // The backend prices the order (fees included) so the total shown is the total charged
+    const [quote, setQuote] = useState(null);
+    useEffect(() => {
+        if (isCartCheckout || !crop) return undefined;
+        let cancelled = false;
+        tradeService
+            .getQuote({ cropId: crop._id || crop.id, quantity, bidId: acceptedBid?._id, negotiationId: deal?._id })
+            .then((res) => { if (!cancelled) setQuote(res.data); })
+            .catch(() => { if (!cancelled) setQuote(null); });
+        return () => { cancelled = true; };
+    }, [isCartCheckout, crop, quantity, acceptedBid, deal]);
 
     const formatCardNumber = (raw) => {
         const digits = String(raw || '').replace(/\D/g, '').slice(0, 16);
@@ -135,7 +190,9 @@ export default function BuyNowPaymentPage() {
 
     const validatePayment = () => {
         const newErrors = {};
-        if (paymentMethod === 'card') {
+        if (selectedSavedId) {
+            // A saved method needs no details
+        } else if (paymentMethod === 'card') {
             const cardNumberError = validateCardNumber(cardDetails.number);
             const cardExpiryError = validateExpiryMonth(cardDetails.expiryMonth);
             const cardCvvError = validateCvv(cardDetails.cvv);
@@ -153,7 +210,7 @@ export default function BuyNowPaymentPage() {
     };
 
     const isPaymentValid = useMemo(() => {
-        if (paymentMethod === 'cod') return true;
+        if (paymentMethod === 'cod' || selectedSavedId) return true;
         if (paymentMethod === 'upi') return !validateUpi(upiId);
         return (
             !validateCardNumber(cardDetails.number) &&
@@ -161,14 +218,175 @@ export default function BuyNowPaymentPage() {
             !validateExpiryMonth(cardDetails.expiryMonth) &&
             !validateCvv(cardDetails.cvv)
         );
-    }, [paymentMethod, upiId, cardDetails]);
+    }, [paymentMethod, upiId, cardDetails, selectedSavedId]);
+
+    const updateCart = async (request) => {
+        try {
+            setCartBusy(true);
+            const res = await request();
+            setCart(res.data);
+        } catch (err) {
+            toast.error(tr(err.response?.data?.message || 'Unable to update cart'));
+        } finally {
+            setCartBusy(false);
+        }
+    };
+
+    const handleCartQuantity = (itemCropId, nextQuantity) =>
+        updateCart(() => cartService.updateItem(itemCropId, nextQuantity));
+
+    const handleCartRemove = (itemCropId) => updateCart(() => cartService.removeItem(itemCropId));
+
+    const handleAddToCart = async () => {
+        try {
+            setCartBusy(true);
+            await cartService.addItem(crop._id || crop.id, quantity);
+            toast.success(tr('Added to cart'));
+            navigate('/checkout/cart');
+        } catch (err) {
+            toast.error(tr(err.response?.data?.message || 'Unable to add to cart'));
+        } finally {
+            setCartBusy(false);
+        }
+    };
+
+    const cartBlocked = isCartCheckout && (
+        !cart?.items?.length || cart.items.some((item) => item.quantity > item.available)
+    );
 
     const handleNext = () => {
+        if (step === 1 && cartBlocked) {
+            toast.error(tr(cart?.items?.length ? 'Some items exceed the quantity available' : 'Your cart is empty'));
+            return;
+        }
         if (step === 2 && !validateAddress()) return;
         setErrors({});
         setStep((s) => s + 1);
     };
 
+    const buildPaymentDetails = () =>
+        paymentMethod === 'card'
+            ? {
+                  type: 'card',
+                  number: cardDetails.number,
+                  expiry: formatExpiryMMYY(cardDetails.expiryMonth),
+                  cvv: cardDetails.cvv,
+                  name: cardDetails.name,
+              }
+            : paymentMethod === 'upi'
+            ? { type: 'upi', upiId }
+            : { type: 'cod' };
+
+    /** Either a saved method, or the method and new details (optionally saved for next time). */
+    const buildPaymentPayload = () =>
+        selectedSavedId
+            ? { paymentMethodId: selectedSavedId }
+            : {
+                  paymentMethod,
+                  paymentDetails: buildPaymentDetails(),
+                  saveMethod: paymentMethod !== 'cod' && saveMethod,
+              };
+
+    const selectPaymentMethod = (methodId) => {
+        setPaymentMethod(methodId);
+        setSelectedSavedId(null);
+    };
+
+    const handleRemoveSavedMethod = async (methodId) => {
+        try {
+            await paymentService.removeSavedMethod(methodId);
+            setSavedMethods((prev) => prev.filter((method) => method._id !== methodId));
+            if (selectedSavedId === methodId) setSelectedSavedId(null);
+        } catch (err) {
+            toast.error(tr(err.response?.data?.message || 'Unable to remove the saved method'));
+        }
+    };
+
+    const describeSavedMethod = (method) =>
+        method.type === 'card'
+            ? `${method.brand} •••• ${method.last4} (${String(method.expMonth).padStart(2, '0')}/${String(method.expYear).slice(-2)})`
+            : method.upiHandle;
+
+    const goToConfirmation = useCallback(
+        (placedOrders) => {
+            toast.success(tr('Order placed successfully'));
+            navigate('/order-confirmation', {
+                state: isCartCheckout ? { order: placedOrders[0], orders: placedOrders } : { order: placedOrders[0] },
+            });
+        },
+        [isCartCheckout, navigate, tr]
+    );
+
+    /** Continue to the confirmation once paid, or stay here while the payment is processing or failed. */
+    const handlePaymentOutcome = (placedOrders) => {
+        const lead = placedOrders[0];
+        if (lead.paymentMethod === 'cod' || ['partially_paid', 'paid'].includes(lead.paymentStatus)) {
+            goToConfirmation(placedOrders);
+            return;
+        }
+
+        setPendingPayment({
+            status: lead.paymentStatus === 'failed' ? 'failed' : 'pending',
+            orders: placedOrders,
+            failureReason: lead.payment?.failureReason,
+        });
+        if (lead.paymentStatus === 'failed') {
+            toast.error(tr(lead.payment?.failureReason || 'Payment failed'));
+        }
+    };
+
+    // Follow a payment the provider is still processing (e.g. a UPI request awaiting approval)
+    useEffect(() => {
+        if (pendingPayment?.status !== 'pending') return undefined;
+
+        let polls = 0;
+        const orderId = pendingPayment.orders[0]._id;
+        const timer = setInterval(async () => {
+            polls += 1;
+            try {
+                const res = await paymentService.getOrderPayment(orderId);
+                if (['partially_paid', 'paid'].includes(res.data.paymentStatus)) {
+                    clearInterval(timer);
+                    goToConfirmation(pendingPayment.orders.map((order) => ({ ...order, paymentStatus: res.data.paymentStatus })));
+                } else if (res.data.paymentStatus === 'failed') {
+                    clearInterval(timer);
+                    setPendingPayment((prev) => ({ ...prev, status: 'failed', failureReason: res.data.failureReason }));
+                    toast.error(tr(res.data.failureReason || 'Payment failed'));
+                }
+            } catch {
+                // Keep waiting; the next check may get through
+            }
+            if (polls >= PAYMENT_POLL_LIMIT) {
+                clearInterval(timer);
+                setPendingPayment((prev) => (prev?.status === 'pending' ? { ...prev, status: 'timeout' } : prev));
+            }
+        }, PAYMENT_POLL_INTERVAL_MS);
+
+        return () => clearInterval(timer);
+    }, [pendingPayment, goToConfirmation, tr]);
+
+    const handleRetryPayment = async () => {
+        if (!validatePayment()) return;
+
+        try {
+            setProcessing(true);
+            const res = await paymentService.retry(pendingPayment.orders[0]._id, buildPaymentPayload());
+            handlePaymentOutcome(res.data.orders);
+        } catch (err) {
+            toast.error(tr(err.response?.data?.message || 'Unable to retry the payment'));
+        } finally {
+            setProcessing(false);
+        }
+    };
+
+    // Pressing Pay again for the same order reuses its Idempotency-Key, so a lost response cannot place it twice
+    const checkoutAttempt = useRef(null);
+
+    const handleReviewOrder = () => {
+        if (!validatePayment()) return;
+        setReviewingOrder(true);
+    };
+
     const handleConfirmOrder = async () => {
         if (!validatePayment()) return;
 
@@ -177,6 +395,11 @@ export default function BuyNowPaymentPage() {
             return;
         }
 
+        if (deal?.checkoutExpiresAt && new Date(deal.checkoutExpiresAt) < new Date()) {
+            toast.error(tr('Negotiation checkout window expired. Please negotiate again.'));
+            return;
+        }
+
         try {
             setProcessing(true);
 
@@ -184,39 +407,42 @@ export default function BuyNowPaymentPage() {
                 notes ? ` (${notes})` : ''
             }`;
 
-            const paymentDetails =
-                paymentMethod === 'card'
-                    ? {
-                          type: 'card',
-                          number: cardDetails.number,
-                          expiry: formatExpiryMMYY(cardDetails.expiryMonth),
-                          cvv: cardDetails.cvv,
-                          name: cardDetails.name,
-                      }
-                    : paymentMethod === 'upi'
-                    ? { type: 'upi', upiId }
-                    : { type: 'cod' };
+            const payment = buildPaymentPayload();
+
+            if (isCartCheckout) {
+                const res = await cartService.checkout({
+                    ...payment,
+                    shippingAddress: shippingAddressString,
+                });
+                handlePaymentOutcome(res.data.orders);
+                return;
+            }
 
             const payload = {
                 cropId: crop._id || crop.id,
                 quantity,
-                paymentMethod,
+                ...payment,
                 shippingAddress: shippingAddressString,
-                paymentDetails,
-                bidId: acceptedBid?._id,
+                bidId: deal ? undefined : acceptedBid?._id,
+                negotiationId: deal?._id,
             };
 
-            const res = await tradeService.createOrder(payload);
-            toast.success(tr('Order placed successfully'));
-            navigate('/order-confirmation', { state: { order: res.data } });
+            const body = JSON.stringify(payload);
+            if (checkoutAttempt.current?.body !== body) {
+                checkoutAttempt.current = { body, key: createIdempotencyKey() };
+            }
+
+            const res = await tradeService.createOrder(payload, checkoutAttempt.current.key);
+            handlePaymentOutcome([res.data]);
         } catch (err) {
             toast.error(tr(err.response?.data?.message || 'Failed to place order'));
         } finally {
             setProcessing(false);
+            setReviewingOrder(false);
         }
     };
 
-    if (!crop) {
+    if (isCartCheckout ? !cart : !crop) {
         return (
             <div className="min-h-screen flex items-center justify-center bg-slate-50">
                 <p className="text-slate-500"><T>Loading...</T></p>
@@ -224,9 +450,32 @@ export default function BuyNowPaymentPage() {
         );
     }
 
-    const subtotal = activePrice * quantity;
-    const deliveryFee = 50;
-    const total = subtotal + deliveryFee;
+    // Cart fees are charged per farmer order; lines with the same name are shown together
+    const cartFees = isCartCheckout
+        ? Object.values(cart.farmers.flatMap((group) => group.fees || []).reduce((lines, fee) => {
+            const line = lines[fee.name] || { name: fee.name, amount: 0 };
+            line.amount = Math.round((line.amount + fee.amount) * 100) / 100;
+            return { ...lines, [fee.name]: line };
+        }, {}))
+        : null;
+    const subtotal = isCartCheckout
+        ? cart.farmers.reduce((sum, group) => sum + group.subtotal, 0)
+        : quote?.subtotal ?? activePrice * quantity;
+    const fees = isCartCheckout ? cartFees : quote?.fees || [];
+    const cartTax = isCartCheckout ? cart.farmers.reduce((sum, group) => sum + (group.taxAmount || 0), 0) : 0;
+    const taxLines = isCartCheckout
+        ? (cartTax > 0 ? [{ label: 'GST', amount: Math.round(cartTax * 100) / 100 }] : [])
+        : (quote?.taxes || []).map((tax) => ({ label: `${tax.type} @ ${tax.rate}%`, amount: tax.amount }));
+    const shippingCost = isCartCheckout ? 0 : quote?.shippingCost || 0;
+    const total = isCartCheckout ? cart.totalAmount : quote?.totalAmount ?? subtotal;
+
+    // Listings that require an advance are paid in two instalments: the advance now, the balance once shipped
+    const schedule = isCartCheckout ? cart.farmers.flatMap((group) => group.paymentSchedule || []) : quote?.paymentSchedule || [];
+    const balanceDue = Math.round(schedule
+        .filter((instalment) => instalment.kind === 'balance')
+        .reduce((sum, instalment) => sum + instalment.amount, 0) * 100) / 100;
+    const requiresAdvance = balanceDue > 0;
+    const payNow = Math.round((total - balanceDue) * 100) / 100;
 
     return (
         <div className="min-h-screen bg-gradient-to-b from-slate-50 to-white">
@@ -269,61 +518,124 @@ export default function BuyNowPaymentPage() {
                 <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
                     <motion.div initial={{ opacity: 0, x: -20 }} animate={{ opacity: 1, x: 0 }} className="lg:col-span-1">
                         <div className="bg-white rounded-2xl shadow-lg p-6 sticky top-24 space-y-6">
-                            <div className="relative">
-                                <img
-                                    src={crop.image || 'https://images.unsplash.com/photo-1500937386664-56d1dfef3854?w=600'}
-                                    alt={crop.name}
-                                    className="w-full h-48 object-cover rounded-xl"
-                                />
-                                <div className="absolute top-3 right-3 px-3 py-1 bg-emerald-600 text-white rounded-lg text-xs font-bold">
-                                    Grade {crop.quality || 'A'}
+                            {isCartCheckout ? (
+                                <div>
+                                    <h2 className="text-2xl font-black text-slate-900 mb-2 flex items-center gap-2">
+                                        <ShoppingCart className="text-emerald-600" size={24} />
+                                        <T>Your Cart</T>
+                                    </h2>
+                                    <div className="space-y-3 pt-4 border-t border-slate-200">
+                                        {cart.farmers.map((group) => (
+                                            <div key={group.farmer._id} className="flex justify-between">
+                                                <span className="text-sm text-slate-600">{group.farmer.name || 'Farmer'} ({group.items.length})</span>
+                                                <span className="font-bold text-slate-900">₹{group.total ?? group.subtotal}</span>
+                                            </div>
+                                        ))}
+                                    </div>
                                 </div>
-                            </div>
-
-                            {acceptedBid?.status === 'Accepted' && (
-                                <div className="bg-blue-50 border border-blue-200 rounded-xl p-3 text-sm text-blue-700">
-                                    <div className="flex items-center gap-2 font-bold">
-                                        <Clock3 size={14} />
-                                        <T>Accepted bid checkout window</T>
+                            ) : (
+                                <>
+                                <div className="relative">
+                                    <img
+                                        src={crop.image || 'https://images.unsplash.com/photo-1500937386664-56d1dfef3854?w=600'}
+                                        alt={crop.name}
+                                        className="w-full h-48 object-cover rounded-xl"
+                                    />
+                                    <div className="absolute top-3 right-3 px-3 py-1 bg-emerald-600 text-white rounded-lg text-xs font-bold">
+                                        Grade {crop.quality || 'A'}
                                     </div>
-                                    <p className="mt-1">{bidRemaining === 'Expired' ? 'Expired' : `Time left: ${bidRemaining}`}</p>
                                 </div>
-                            )}
 
-                            <div>
-                                <h2 className="text-2xl font-black text-slate-900 mb-2">{crop.name}</h2>
-                                <p className="text-sm text-slate-600 mb-4">{crop.description || `Fresh ${crop.name} ready for dispatch.`}</p>
-                                <div className="space-y-3 pt-4 border-t border-slate-200">
-                                    <div className="flex justify-between">
-                                        <span className="text-sm text-slate-600"><T>Price</T></span>
-                                        <span className="text-lg font-black text-emerald-600">{formatQuintalRate(activePrice)}</span>
+                                {deal && (
+                                    <div className="bg-blue-50 border border-blue-200 rounded-xl p-3 text-sm text-blue-700">
+                                        <div className="flex items-center gap-2 font-bold">
+                                            <Clock3 size={14} />
+                                            <T>Negotiated deal checkout window</T>
+                                        </div>
+                                        <p className="mt-1">{dealRemaining === 'Expired' ? 'Expired' : `Time left: ${dealRemaining}`}</p>
+                                        {deal.terms?.deliveryDate && (
+                                            <p className="mt-1"><T>Delivery by</T>: {new Date(deal.terms.deliveryDate).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' })}</p>
+                                        )}
+                                        {deal.terms?.deliveryPlace && <p className="mt-1"><T>Delivery at</T>: {deal.terms.deliveryPlace}</p>}
+                                        {deal.terms?.grade && <p className="mt-1"><T>Grade</T>: {deal.terms.grade}</p>}
+                                        {dealPaymentTerms && (
+                                            <p className="mt-1">
+                                                <T>Payment</T>: <T>{dealPaymentTerms === 'cod' ? 'Cash on delivery' : 'Paid online in advance'}</T>
+                                            </p>
+                                        )}
                                     </div>
-                                    <div className="flex justify-between">
-                                        <span className="text-sm text-slate-600"><T>Available</T></span>
-                                        <span className="font-bold text-slate-900">{formatQuintalQuantity(crop.quantity)}</span>
+                                )}
+
+                                {!deal && acceptedBid?.status === 'Accepted' && (
+                                    <div className="bg-blue-50 border border-blue-200 rounded-xl p-3 text-sm text-blue-700">
+                                        <div className="flex items-center gap-2 font-bold">
+                                            <Clock3 size={14} />
+                                            <T>Accepted bid checkout window</T>
+                                        </div>
+                                        <p className="mt-1">{bidRemaining === 'Expired' ? 'Expired' : `Time left: ${bidRemaining}`}</p>
                                     </div>
-                                    <div className="flex justify-between">
-                                        <span className="text-sm text-slate-600"><T>Farmer</T></span>
-                                        <span className="font-bold text-slate-900">{crop.farmer?.name || crop.farmerName || 'Farmer'}</span>
+                                )}
+
+                                <div>
+                                    <h2 className="text-2xl font-black text-slate-900 mb-2">{crop.name}</h2>
+                                    <p className="text-sm text-slate-600 mb-4">{crop.description || `Fresh ${crop.name} ready for dispatch.`}</p>
+                                    <div className="space-y-3 pt-4 border-t border-slate-200">
+                                        <div className="flex justify-between">
+                                            <span className="text-sm text-slate-600"><T>Price</T></span>
+                                            <span className="text-lg font-black text-emerald-600">{formatQuintalRate(activePrice)}</span>
+                                        </div>
+                                        <div className="flex justify-between">
+                                            <span className="text-sm text-slate-600"><T>Available</T></span>
+                                            <span className="font-bold text-slate-900">{formatQuintalQuantity(crop.quantity)}</span>
+                                        </div>
+                                        <div className="flex justify-between">
+                                            <span className="text-sm text-slate-600"><T>Farmer</T></span>
+                                            <span className="font-bold text-slate-900">{crop.farmer?.name || crop.farmerName || 'Farmer'}</span>
+                                        </div>
                                     </div>
                                 </div>
-                            </div>
+                                </>
+                            )}
 
                             <div className="bg-emerald-50 rounded-xl p-4 space-y-3">
                                 <h3 className="font-bold text-emerald-900"><T>Order Summary</T></h3>
                                 <div className="space-y-2 text-sm">
                                     <div className="flex justify-between">
-                                        <span className="text-slate-600"><T>Subtotal</T> ({formatQuintalQuantity(quantity)})</span>
+                                        <span className="text-slate-600"><T>Subtotal</T> ({formatQuintalQuantity(isCartCheckout ? cart.items.reduce((sum, item) => sum + item.quantity, 0) : quantity)})</span>
                                         <span className="font-bold">₹{subtotal}</span>
                                     </div>
+                                    {taxLines.map((tax) => (
+                                        <div key={tax.label} className="flex justify-between">
+                                            <span className="text-slate-600">{tax.label}</span>
+                                            <span className="font-bold">₹{tax.amount}</span>
+                                        </div>
+                                    ))}
+                                    {fees.map((fee) => (
+                                        <div key={fee.name} className="flex justify-between">
+                                            <span className="text-slate-600">{fee.name}</span>
+                                            <span className="font-bold">₹{fee.amount}</span>
+                                        </div>
+                                    ))}
                                     <div className="flex justify-between">
-                                        <span className="text-slate-600"><T>Delivery Fee</T></span>
-                                        <span className="font-bold">₹{deliveryFee}</span>
+                                        <span className="text-slate-600"><T>Shipping</T></span>
+                                        <span className="font-bold">{shippingCost > 0 ? `₹${shippingCost}` : <T>Free</T>}</span>
                                     </div>
                                     <div className="flex justify-between text-lg font-black text-emerald-700 pt-2 border-t border-emerald-200">
                                         <span><T>Total</T></span>
                                         <span>₹{total}</span>
                                     </div>
+                                    {requiresAdvance && (
+                                        <>
+                                            <div className="flex justify-between font-bold text-emerald-800">
+                                                <span><T>Due now</T></span>
+                                                <span>₹{payNow}</span>
+                                            </div>
+                                            <div className="flex justify-between text-slate-600">
+                                                <span><T>Balance due once shipped</T></span>
+                                                <span className="font-bold">₹{balanceDue}</span>
+                                            </div>
+                                        </>
+                                    )}
                                 </div>
                             </div>
                         </div>
@@ -331,7 +643,16 @@ export default function BuyNowPaymentPage() {
 
                     <motion.div initial={{ opacity: 0, x: 20 }} animate={{ opacity: 1, x: 0 }} className="lg:col-span-2">
                         <div className="bg-white rounded-2xl shadow-lg p-8">
-                            {step === 1 && (
+                            {step === 1 && isCartCheckout && (
+                                <CartReview
+                                    cart={cart}
+                                    onQuantityChange={handleCartQuantity}
+                                    onRemove={handleCartRemove}
+                                    busy={cartBusy}
+                                />
+                            )}
+
+                            {step === 1 && !isCartCheckout && (
                                 <div className="space-y-6">
                                     <div className="flex items-center gap-3 mb-6">
                                         <Package className="text-emerald-600" size={28} />
@@ -344,7 +665,8 @@ export default function BuyNowPaymentPage() {
                                         <div className="flex items-center gap-4">
                                             <button
                                                 onClick={() => setQuantity((q) => Math.max(1, q - 1))}
-                                                className="w-14 h-14 bg-slate-200 rounded-xl font-bold text-2xl hover:bg-slate-300 transition-colors"
+                                                disabled={Boolean(deal)}
+                                                className="w-14 h-14 bg-slate-200 rounded-xl font-bold text-2xl hover:bg-slate-300 transition-colors disabled:opacity-40"
                                             >
                                                 -
                                             </button>
@@ -352,17 +674,33 @@ export default function BuyNowPaymentPage() {
                                                 type="number"
                                                 value={quantity}
                                                 onChange={(e) => setQuantity(Math.max(1, Math.min(Number(e.target.value || 1), crop.quantity || 1)))}
+                                                disabled={Boolean(deal)}
                                                 className="flex-1 text-center text-3xl font-black py-4 border-2 border-emerald-200 rounded-xl focus:border-emerald-500 focus:outline-none"
                                             />
                                             <button
                                                 onClick={() => setQuantity((q) => Math.min(crop.quantity || 1, q + 1))}
-                                                className="w-14 h-14 bg-emerald-600 text-white rounded-xl font-bold text-2xl hover:bg-emerald-700 transition-colors"
+                                                disabled={Boolean(deal)}
+                                                className="w-14 h-14 bg-emerald-600 text-white rounded-xl font-bold text-2xl hover:bg-emerald-700 transition-colors disabled:opacity-40"
                                             >
                                                 +
                                             </button>
                                         </div>
-                                        <p className="text-sm text-slate-500 mt-3 text-center"><T>Available</T>: {formatQuintalQuantity(crop.quantity)}</p>
+                                        <p className="text-sm text-slate-500 mt-3 text-center">
+                                            {deal
+                                                ? <><T>Agreed in your negotiation</T>: {formatQuintalQuantity(deal.quantity)}</>
+                                                : <><T>Available</T>: {formatQuintalQuantity(crop.quantity)}</>}
+                                        </p>
                                     </div>
+                                    {!acceptedBid && !deal && (
+                                        <button
+                                            onClick={handleAddToCart}
+                                            disabled={cartBusy}
+                                            className="w-full flex items-center justify-center gap-2 py-3 border-2 border-emerald-600 text-emerald-700 font-bold rounded-xl hover:bg-emerald-50 transition-colors disabled:opacity-70"
+                                        >
+                                            <ShoppingCart size={18} />
+                                            <T>Add to Cart and buy from other farmers too</T>
+                                        </button>
+                                    )}
                                 </div>
                             )}
 
@@ -422,15 +760,48 @@ export default function BuyNowPaymentPage() {
                                         <h3 className="text-2xl font-black text-slate-900"><T>Payment Method</T></h3>
                                     </div>
 
+                                    {pendingPayment?.status === 'pending' && (
+                                        <div className="bg-amber-50 border-2 border-amber-200 p-5 rounded-2xl text-amber-800 flex items-center gap-4">
+                                            <Loader2 size={28} className="animate-spin shrink-0" />
+                                            <div>
+                                                <p className="font-bold"><T>Waiting for payment confirmation</T></p>
+                                                <p className="text-sm"><T>Your order is placed. Approve the payment request in your bank or UPI app; this page updates by itself.</T></p>
+                                            </div>
+                                        </div>
+                                    )}
+
+                                    {pendingPayment?.status === 'timeout' && (
+                                        <div className="bg-amber-50 border-2 border-amber-200 p-5 rounded-2xl text-amber-800">
+                                            <p className="font-bold"><T>Still waiting for your bank</T></p>
+                                            <p className="text-sm"><T>Your order is placed. We will notify you as soon as the payment is confirmed; you can follow it from your orders.</T></p>
+                                        </div>
+                                    )}
+
+                                    {pendingPayment?.status === 'failed' && (
+                                        <div className="bg-rose-50 border-2 border-rose-200 p-5 rounded-2xl text-rose-800 flex items-center gap-4">
+                                            <AlertTriangle size={28} className="shrink-0" />
+                                            <div>
+                                                <p className="font-bold"><T>Payment failed</T></p>
+                                                <p className="text-sm">
+                                                    {pendingPayment.failureReason ? `${pendingPayment.failureReason}. ` : ''}
+                                                    <T>Your order is held for 30 minutes. Check your details or try another method, then retry.</T>
+                                                </p>
+                                            </div>
+                                        </div>
+                                    )}
+
                                     <div className="grid grid-cols-3 gap-4 mb-8">
                                         {[
                                             { id: 'card', label: 'Card', icon: <CreditCard size={24} /> },
                                             { id: 'upi', label: 'UPI', icon: <Smartphone size={24} /> },
                                             { id: 'cod', label: 'Cash on Delivery', icon: <Banknote size={24} /> },
-                                        ].map((method) => (
+                                        ].filter((method) => (dealPaymentTerms === 'cod'
+                                            ? method.id === 'cod'
+                                            : !(pendingPayment || requiresAdvance || dealPaymentTerms === 'prepaid') || method.id !== 'cod'
+                                        )).map((method) => (
                                             <button
                                                 key={method.id}
-                                                onClick={() => setPaymentMethod(method.id)}
+                                                onClick={() => selectPaymentMethod(method.id)}
                                                 className={`flex flex-col items-center justify-center gap-3 p-6 rounded-2xl border-2 transition-all font-bold ${
                                                     paymentMethod === method.id
                                                         ? 'border-emerald-500 bg-emerald-50 text-emerald-700'
@@ -443,7 +814,44 @@ export default function BuyNowPaymentPage() {
                                         ))}
                                     </div>
 
-                                    {paymentMethod === 'card' && (
+                                    {paymentMethod !== 'cod' && savedMethods.some((method) => method.type === paymentMethod) && (
+                                        <div className="space-y-2">
+                                            <p className="text-sm font-bold text-slate-700"><T>Saved</T></p>
+                                            {savedMethods.filter((method) => method.type === paymentMethod).map((method) => (
+                                                <div
+                                                    key={method._id}
+                                                    className={`flex items-center justify-between gap-3 px-4 py-3 rounded-xl border-2 transition-all ${
+                                                        selectedSavedId === method._id ? 'border-emerald-500 bg-emerald-50' : 'border-slate-100 hover:border-emerald-200'
+                                                    }`}
+                                                >
+                                                    <button
+                                                        onClick={() => setSelectedSavedId(method._id)}
+                                                        className="flex-1 flex items-center gap-3 text-left font-bold text-slate-700"
+                                                    >
+                                                        {method.type === 'card' ? <CreditCard size={18} /> : <Smartphone size={18} />}
+                                                        {describeSavedMethod(method)}
+                                                    </button>
+                                                    <button
+                                                        onClick={() => handleRemoveSavedMethod(method._id)}
+                                                        className="p-1.5 text-slate-400 hover:text-rose-500 rounded-lg"
+                                                        aria-label={tr('Remove saved method')}
+                                                    >
+                                                        <Trash2 size={16} />
+                                                    </button>
+                                                </div>
+                                            ))}
+                                            <button
+                                                onClick={() => setSelectedSavedId(null)}
+                                                className={`w-full px-4 py-3 rounded-xl border-2 text-left font-bold transition-all ${
+                                                    !selectedSavedId ? 'border-emerald-500 bg-emerald-50 text-emerald-700' : 'border-slate-100 text-slate-500 hover:border-emerald-200'
+                                                }`}
+                                            >
+                                                <T>{paymentMethod === 'card' ? 'Use a new card' : 'Use a new UPI ID'}</T>
+                                            </button>
+                                        </div>
+                                    )}
+
+                                    {paymentMethod === 'card' && !selectedSavedId && (
                                         <div className="space-y-4">
                                             <input
                                                 type="text"
@@ -533,7 +941,7 @@ export default function BuyNowPaymentPage() {
                                         </div>
                                     )}
 
-                                    {paymentMethod === 'upi' && (
+                                    {paymentMethod === 'upi' && !selectedSavedId && (
                                         <div>
                                             <input
                                                 type="text"
@@ -550,6 +958,24 @@ export default function BuyNowPaymentPage() {
                                         </div>
                                     )}
 
+                                    {paymentMethod !== 'cod' && !selectedSavedId && (
+                                        <label className="flex items-center gap-2 text-sm text-slate-600 font-medium">
+                                            <input
+                                                type="checkbox"
+                                                checked={saveMethod}
+                                                onChange={(e) => setSaveMethod(e.target.checked)}
+                                                className="accent-emerald-600"
+                                            />
+                                            <T>{paymentMethod === 'card' ? 'Save this card for next time (the CVV is never stored)' : 'Save this UPI ID for next time'}</T>
+                                        </label>
+                                    )}
+
+                                    {requiresAdvance && (
+                                        <p className="text-sm text-slate-600 mb-6">
+                                            <T>This order needs an advance paid online now. You pay the balance from your orders once it ships.</T>
+                                        </p>
+                                    )}
+
                                     {paymentMethod === 'cod' && (
                                         <div className="bg-amber-50 border-2 border-amber-200 p-6 rounded-2xl text-amber-800 font-medium flex items-center gap-4">
                                             <Truck size={32} />
@@ -566,8 +992,14 @@ export default function BuyNowPaymentPage() {
                                             <h4 className="font-bold text-slate-900"><T>Confirm Your Order</T></h4>
                                         </div>
                                         <div className="space-y-2 text-sm">
-                                            <div className="flex justify-between"><span className="text-slate-600"><T>Crop</T>:</span><span className="font-bold">{crop.name}</span></div>
-                                            <div className="flex justify-between"><span className="text-slate-600"><T>Quantity</T>:</span><span className="font-bold">{formatQuintalQuantity(quantity)}</span></div>
+                                            {isCartCheckout ? (
+                                                <div className="flex justify-between"><span className="text-slate-600"><T>Orders</T>:</span><span className="font-bold">{cart.farmers.length} (<T>one per farmer</T>)</span></div>
+                                            ) : (
+                                                <>
+                                                    <div className="flex justify-between"><span className="text-slate-600"><T>Crop</T>:</span><span className="font-bold">{crop.name}</span></div>
+                                                    <div className="flex justify-between"><span className="text-slate-600"><T>Quantity</T>:</span><span className="font-bold">{formatQuintalQuantity(quantity)}</span></div>
+                                                </>
+                                            )}
                                             <div className="flex justify-between"><span className="text-slate-600"><T>Delivery to</T>:</span><span className="font-bold text-right">{deliveryAddress.city}, {deliveryAddress.state}</span></div>
                                         </div>
                                     </div>
@@ -575,22 +1007,37 @@ export default function BuyNowPaymentPage() {
                             )}
 
                             <div className="flex gap-4 mt-8 pt-6 border-t border-slate-200">
-                                {step > 1 && (
+                                {step > 1 && !pendingPayment && (
                                     <button onClick={() => setStep((s) => s - 1)} className="px-8 py-4 bg-slate-200 text-slate-700 font-bold rounded-xl hover:bg-slate-300 transition-colors">
                                         <T>Back</T>
                                     </button>
                                 )}
                                 {step < 3 ? (
-                                    <button onClick={handleNext} className="flex-1 bg-gradient-to-r from-emerald-600 to-emerald-700 text-white font-bold py-4 rounded-xl hover:shadow-lg transition-all text-lg">
+                                    <button onClick={handleNext} disabled={step === 1 && cartBlocked} className="flex-1 bg-gradient-to-r from-emerald-600 to-emerald-700 text-white font-bold py-4 rounded-xl hover:shadow-lg transition-all text-lg disabled:opacity-70 disabled:cursor-not-allowed">
                                         <T>Continue</T>
                                     </button>
+                                ) : pendingPayment?.status === 'failed' ? (
+                                    <button
+                                        onClick={handleRetryPayment}
+                                        disabled={processing || !isPaymentValid}
+                                        className="flex-1 bg-gradient-to-r from-rose-600 to-rose-700 text-white font-bold py-4 rounded-xl hover:shadow-lg transition-all text-lg disabled:opacity-70 disabled:cursor-not-allowed"
+                                    >
+                                        {processing ? <T>Processing...</T> : <><T>Retry Payment</T> ₹{payNow}</>}
+                                    </button>
+                                ) : pendingPayment ? (
+                                    <button
+                                        onClick={() => navigate(dashboardRoute)}
+                                        className="flex-1 bg-slate-200 text-slate-700 font-bold py-4 rounded-xl hover:bg-slate-300 transition-colors text-lg"
+                                    >
+                                        <T>Go to My Orders</T>
+                                    </button>
                                 ) : (
                                     <button
-                                        onClick={handleConfirmOrder}
+                                        onClick={isCartCheckout ? handleConfirmOrder : handleReviewOrder}
                                         disabled={processing || bidRemaining === 'Expired' || !isPaymentValid}
                                         className="flex-1 bg-gradient-to-r from-emerald-600 to-emerald-700 text-white font-bold py-4 rounded-xl hover:shadow-lg transition-all text-lg disabled:opacity-70 disabled:cursor-not-allowed"
                                     >
-                                        {processing ? <T>Processing...</T> : <><T>Pay</T> ₹{total}</>}
+                                        {processing ? <T>Processing...</T> : <><T>Pay</T> ₹{payNow}</>}
                                     </button>
                                 )}
                             </div>
@@ -598,6 +1045,20 @@ export default function BuyNowPaymentPage() {
                     </motion.div>
                 </div>
             </div>
+
+            {reviewingOrder && (
+                <OrderSummaryModal
+                    crop={crop}
+                    quantity={quantity}
+                    pricePerUnit={activePrice}
+                    quote={quote}
+                    payNow={payNow}
+                    deliveryTo={`${deliveryAddress.street}, ${deliveryAddress.city}, ${deliveryAddress.state} - ${deliveryAddress.pincode}`}
+                    processing={processing}
+                    onClose={() => setReviewingOrder(false)}
+                    onConfirm={handleConfirmOrder}
+                />
+            )}
         </div>
     );
 }
@@ -0,0 +1,144 @@
+import { render, screen, fireEvent, act, within } from '@testing-library/react';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { MemoryRouter, Routes, Route } from 'react-router-dom';
+import BuyNowPaymentPage from './BuyNowPaymentPage';
+import { tradeService } from '../../services/tradeService';
+import { paymentService } from '../../services/paymentService';
+
+// Mock Translation Context
+vi.mock('../../context/TranslationContext', () => ({
+    T: ({ children }) => <span>{children}</span>,
+    useT: () => (text) => text,
+}));
+
+vi.mock('../../context/AuthContext', async () => {
+    const { createContext } = await vi.importActual('react');
+    return { AuthContext: createContext({ user: { _id: 'buyer1', role: 'BUYER' } }) };
+});
+
+vi.mock('react-hot-toast', () => ({ default: { success: vi.fn(), error: vi.fn() } }));
+
+vi.mock('../../services/api', () => ({ default: {}, createIdempotencyKey: () => 'checkout-key' }));
+vi.mock('../../services/cropService', () => ({ cropService: { getAll: vi.fn() } }));
+vi.mock('../../services/cartService', () => ({ cartService: {} }));
+vi.mock('../../services/tradeService', () => ({
+    tradeService: { getAcceptedBids: vi.fn(), getQuote: vi.fn(), createOrder: vi.fn() },
+}));
+vi.mock('../../services/paymentService', () => ({
+    paymentService: { getSavedMethods: vi.fn(), getOrderPayment: vi.fn(), retry: vi.fn() },
+}));
+
+// Mock Navigation
+const mockedNavigate = vi.fn();
+vi.mock('react-router-dom', async () => {
+    const actual = await vi.importActual('react-router-dom');
+    return {
+        ...actual,
+        useNavigate: () => mockedNavigate,
+    };
+});
+
+const crop = { _id: 'crop1', name: 'Wheat', price: 1000, quantity: 5, farmerName: 'Ravi' };
+const quote = {
+    subtotal: 1000,
+    taxes: [{ type: 'GST', rate: 5, amount: 50 }],
+    fees: [{ rule: 'platform', name: 'Platform fee', kind: 'percentage', rate: 2, amount: 20 }],
+    shippingCost: 0,
+    totalAmount: 1070,
+    paymentSchedule: [],
+};
+
+const renderPage = () => render(
+    <MemoryRouter initialEntries={[{ pathname: '/buy/crop1', state: { crop } }]}>
+        <Routes>
+            <Route path="/buy/:cropId" element={<BuyNowPaymentPage />} />
+        </Routes>
+    </MemoryRouter>
+);
+
+/** Walk through quantity and address, pay by UPI and confirm the order summary. */
+const payByUpi = async () => {
+    fireEvent.click(await screen.findByRole('button', { name: 'Continue' }));
+
+    fireEvent.change(screen.getByPlaceholderText('Street Address'), { target: { value: '3 Mandi Road' } });
+    fireEvent.change(screen.getByPlaceholderText('City'), { target: { value: 'Pune' } });
+    fireEvent.change(screen.getByPlaceholderText('State'), { target: { value: 'Maharashtra' } });
+    fireEvent.change(screen.getByPlaceholderText('Pincode'), { target: { value: '411001' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Continue' }));
+
+    fireEvent.click(screen.getByRole('button', { name: /UPI/ }));
+    fireEvent.change(screen.getByPlaceholderText('username@upi'), { target: { value: 'buyer@upi' } });
+    fireEvent.click(screen.getByRole('button', { name: /^Pay/ }));
+
+    // The order summary lists the quoted fee and tax lines before anything is charged
+    const summary = within(screen.getByRole('dialog', { name: 'Order Summary' }));
+    expect(summary.getByText('GST @ 5%')).toBeInTheDocument();
+    expect(summary.getByText('Platform fee')).toBeInTheDocument();
+    await act(async () => {
+        fireEvent.click(summary.getByRole('button', { name: /Confirm & Pay/ }));
+    });
+};
+
+describe('Module 4: BuyNowPaymentPage payment states', () => {
+    beforeEach(() => {
+        vi.clearAllMocks();
+        tradeService.getAcceptedBids.mockResolvedValue({ data: [] });
+        tradeService.getQuote.mockResolvedValue({ data: quote });
+        paymentService.getSavedMethods.mockResolvedValue({ data: [] });
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    it('waits on a payment the provider is still processing, then shows it failed', async () => {
+        vi.useFakeTimers({ shouldAdvanceTime: true });
+        tradeService.createOrder.mockResolvedValue({ data: { _id: 'order1', paymentMethod: 'upi', paymentStatus: 'pending' } });
+        paymentService.getOrderPayment.mockResolvedValue({ data: { paymentStatus: 'failed', failureReason: 'UPI request declined' } });
+
+        renderPage();
+        await payByUpi();
+
+        expect(tradeService.createOrder).toHaveBeenCalledWith(
+            expect.objectContaining({ cropId: 'crop1', quantity: 1, paymentMethod: 'upi' }),
+            'checkout-key'
+        );
+        expect(screen.getByText('Waiting for payment confirmation')).toBeInTheDocument();
+        expect(screen.getByRole('button', { name: 'Go to My Orders' })).toBeInTheDocument();
+
+        await act(async () => {
+            await vi.advanceTimersByTimeAsync(3000);
+        });
+
+        expect(paymentService.getOrderPayment).toHaveBeenCalledWith('order1');
+        expect(screen.getByText('Payment failed')).toBeInTheDocument();
+        expect(screen.getByText(/UPI request declined/)).toBeInTheDocument();
+        expect(mockedNavigate).not.toHaveBeenCalled();
+    });
+
+    it('retries a failed payment on the same order and continues once it is paid', async () => {
+        tradeService.createOrder.mockResolvedValue({
+            data: { _id: 'order1', paymentMethod: 'upi', paymentStatus: 'failed', payment: { failureReason: 'Insufficient funds' } },
+        });
+        const paid = { _id: 'order1', paymentMethod: 'upi', paymentStatus: 'paid' };
+        paymentService.retry.mockResolvedValue({ data: { orders: [paid] } });
+
+        renderPage();
+        await payByUpi();
+
+        expect(screen.getByText('Payment failed')).toBeInTheDocument();
+        expect(screen.getByText(/Insufficient funds/)).toBeInTheDocument();
+
+        await act(async () => {
+            fireEvent.click(screen.getByRole('button', { name: /Retry Payment/ }));
+        });
+
+        expect(paymentService.retry).toHaveBeenCalledWith('order1', {
+            paymentMethod: 'upi',
+            paymentDetails: { type: 'upi', upiId: 'buyer@upi' },
+            saveMethod: false,
+        });
+        expect(tradeService.createOrder).toHaveBeenCalledTimes(1);
+        expect(mockedNavigate).toHaveBeenCalledWith('/order-confirmation', { state: { order: paid } });
+    });
+});
@@ -7,6 +7,7 @@ import { AuthContext } from '../../context/AuthContext';
 import { cropService } from '../../services/cropService';
 import { formatQuintalQuantity, formatQuintalRate } from '../../utils/formatters';
 import TradeRoom from '../../components/TradeRoom';
+import NegotiationChat from '../../features/trade/components/NegotiationChat';
 
 export default function NegotiationPage() {
     const { negotiationId } = useParams();
@@ -14,6 +15,7 @@ export default function NegotiationPage() {
     const location = useLocation();
     const { user } = useContext(AuthContext);
     const [crop, setCrop] = useState(null);
+    const [negotiation, setNegotiation] = useState(location.state?.negotiation || null);
 
     const dashboardRoute = user?.role === 'BUYER' ? '/dashboard/buyer' : '/marketplace';
 
@@ -125,7 +127,7 @@ export default function NegotiationPage() {
                             </div>
 
                             <div className="px-4 py-3 rounded-xl text-center bg-blue-100 text-blue-700">
-                                <p className="text-xs font-bold uppercase tracking-wider"><T>ACTIVE</T></p>
+                                <p className="text-xs font-bold uppercase tracking-wider"><T>{(negotiation?.status || 'active').toUpperCase()}</T></p>
                             </div>
 
                             <div className="space-y-2">
@@ -150,10 +152,18 @@ export default function NegotiationPage() {
                         animate={{ opacity: 1, x: 0 }}
                         className="lg:col-span-2"
                     >
-                        <TradeRoom
-                            listingId={listingId}
-                            currentUserRole={user?.role === 'FARMER' ? 'Farmer' : 'Buyer'}
-                        />
+                        {negotiation ? (
+                            <NegotiationChat
+                                negotiationId={negotiation._id}
+                                currentUserId={user?._id}
+                                onChange={setNegotiation}
+                            />
+                        ) : (
+                            <TradeRoom
+                                listingId={listingId}
+                                currentUserRole={user?.role === 'FARMER' ? 'Farmer' : 'Buyer'}
+                            />
+                        )}
                     </motion.div>
                 </div>
             </div>
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useContext, useMemo } from 'react';
+import React, { useState, useEffect, useContext } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { useNavigate } from 'react-router-dom';
 import { Gavel, MessageSquare, Package, ArrowLeft, XCircle } from 'lucide-react';
@@ -8,6 +8,7 @@ import { formatQuintalRate, formatQuintalQuantity } from '../../utils/formatters
 import { AuthContext } from '../../context/AuthContext';
 import { cropService } from '../../services/cropService';
 import { tradeService } from '../../services/tradeService';
+import { auctionService, toAuctionCard } from '../../services/auctionService';
 import AuctionCard from '../../features/trade/components/AuctionCard';
 import TradeRoom from '../../components/TradeRoom';
 
@@ -18,6 +19,7 @@ export default function TradeDashboard() {
     const [activeTab, setActiveTab] = useState('auctions');
     const [listings, setListings] = useState([]);
     const [orders, setOrders] = useState([]);
+    const [auctions, setAuctions] = useState([]);
     const [selectedAuction, setSelectedAuction] = useState(null);
     const [selectedNegotiationListing, setSelectedNegotiationListing] = useState(null);
 
@@ -26,12 +28,14 @@ export default function TradeDashboard() {
 
     const loadTradeData = async () => {
         try {
-            const [listingRes, orderRes] = await Promise.all([
+            const [listingRes, orderRes, auctionRes] = await Promise.all([
                 cropService.getAll(),
                 tradeService.getOrders(),
+                auctionService.getAll(),
             ]);
             setListings(listingRes.data || []);
             setOrders(orderRes.data || []);
+            setAuctions((auctionRes.data || []).map(toAuctionCard));
         } catch {
             toast.error(tr('Unable to load trade dashboard data'));
         }
@@ -41,38 +45,23 @@ export default function TradeDashboard() {
         loadTradeData();
     }, []);
 
-    const auctions = useMemo(
-        () =>
-            listings.map((listing) => {
-                const created = listing.createdAt ? new Date(listing.createdAt) : new Date();
-                const endTime = new Date(created.getTime() + 6 * 60 * 60 * 1000);
-                return {
-                    id: listing._id,
-                    cropName: listing.name,
-                    farmerName: listing.farmer?.name || 'Farmer',
-                    endTime: endTime.toISOString(),
-                    currentBid: listing.price,
-                    startingPrice: listing.price,
-                    quantity: listing.quantity,
-                    bids: [],
-                    highestBidder: null,
-                    highestBidderName: null,
-                };
-            }),
-        [listings]
-    );
-
     const handleCancelOrder = async (orderId) => {
+        const reason = window.prompt(tr('Why are you cancelling this order?'));
+        if (reason === null) return;
+        if (!reason.trim()) {
+            toast.error(tr('Please give a reason for cancelling'));
+            return;
+        }
         try {
-            await tradeService.updateOrderStatus(orderId, { status: 'Cancelled' });
+            const res = await tradeService.cancelOrder(orderId, reason.trim());
             setOrders((prev) =>
                 prev.map((o) =>
-                    (o._id || o.id) === orderId ? { ...o, status: 'Cancelled' } : o
+                    (o._id || o.id) === orderId ? { ...o, ...res.data } : o
                 )
             );
-            toast.success(tr('Order cancelled'));
-        } catch {
-            toast.error(tr('Failed to cancel order'));
+            toast.success(tr(res.data?.paymentStatus === 'refunded' ? 'Order cancelled. Your payment will be refunded.' : 'Order cancelled'));
+        } catch (err) {
+            toast.error(tr(err.response?.data?.message || 'Failed to cancel order'));
         }
     };
 
@@ -210,7 +199,8 @@ export default function TradeDashboard() {
                                             <ArrowLeft size={16} /> <T>Back to auctions</T>
                                         </button>
                                         <TradeRoom
-                                            listingId={selectedAuction.id}
+                                            listingId={selectedAuction.cropId}
+                                            auctionId={selectedAuction.id}
                                             currentUserRole={user?.role === 'FARMER' ? 'Farmer' : 'Buyer'}
                                         />
                                     </div>
@@ -293,20 +283,21 @@ export default function TradeDashboard() {
                                     orders.map((order) => {
                                         const id = order._id || order.id;
                                         const item = order.items?.[0];
+                                        const status = order.orderStatus || order.status || 'Pending';
                                         return (
                                             <div key={id} className="bg-white rounded-xl shadow-md p-6 space-y-3">
                                                 <div className="flex items-center justify-between">
                                                     <h3 className="font-bold text-lg text-gray-900">{item?.name || order.cropName || 'Crop'}</h3>
                                                     <span
                                                         className={`px-3 py-1 rounded-full text-xs font-bold ${
-                                                            order.status === 'Delivered'
+                                                            status === 'Delivered'
                                                                 ? 'bg-emerald-100 text-emerald-700'
-                                                                : order.status === 'Cancelled'
+                                                                : status === 'Cancelled'
                                                                 ? 'bg-red-100 text-red-700'
                                                                 : 'bg-blue-100 text-blue-700'
                                                         }`}
                                                     >
-                                                        {order.status || 'Pending'}
+                                                        {status}
                                                     </span>
                                                 </div>
                                                 <p className="text-xs text-gray-400">Order ID: {id}</p>
@@ -324,7 +315,7 @@ export default function TradeDashboard() {
                                                         <p className="font-bold text-emerald-600">₹{(order.totalAmount || item?.total || 0).toLocaleString('en-IN')}</p>
                                                     </div>
                                                 </div>
-                                                {order.status !== 'Cancelled' && order.status !== 'Delivered' && (
+                                                {order.allowedStatuses?.includes('Cancelled') && (
                                                     <button
                                                         onClick={() => handleCancelOrder(id)}
                                                         className="flex items-center gap-1 text-sm text-red-600 font-semibold hover:text-red-700 mt-2"
@@ -25,11 +25,35 @@ const api = axios.create({
   }
 });
 
+/**
+ * Idempotent Requests
+ *
+ * Creating an order or placing a bid is sent with an Idempotency-Key
+ * header. When the connection drops or the server is briefly unreachable,
+ * the request is retried with the same key, so the backend returns the
+ * original order or bid instead of creating a second one. Callers may
+ * pass their own key (e.g. one per checkout) in the headers.
+ */
+const IDEMPOTENT_PATHS = [/^\/trade\/orders\/?$/, /^\/trade\/bid\/?$/, /^\/bids\/place\/?$/];
+const IDEMPOTENT_RETRY_LIMIT = 3;
+const IDEMPOTENT_RETRY_DELAY_MS = 1000;
+const RETRYABLE_STATUSES = [502, 503, 504];
+
+/** A new random key */
+export const createIdempotencyKey = () =>
+  typeof crypto !== "undefined" && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+
+const isIdempotent = (config) =>
+  config.method === "post" && IDEMPOTENT_PATHS.some((pattern) => pattern.test(config.url || ""));
+
 /**
  * Request Interceptor
  *
  * Automatically attaches JWT token from localStorage
- * to every outgoing request.
+ * to every outgoing request, and an Idempotency-Key to
+ * order and bid creation.
  */
 api.interceptors.request.use(
   (config) => {
@@ -39,6 +63,10 @@ api.interceptors.request.use(
       config.headers.Authorization = `Bearer ${user.token}`;
     }
 
+    if (isIdempotent(config) && !config.headers["Idempotency-Key"]) {
+      config.headers["Idempotency-Key"] = createIdempotencyKey();
+    }
+
     return config;
   },
   (error) => Promise.reject(error)
@@ -46,11 +74,28 @@ api.interceptors.request.use(
 
 /**
  * Response interceptor for global error handling
+ *
+ * Retries idempotent requests that got no response (or a gateway
+ * error, or 409 while the first attempt is still running) with the
+ * same key, waiting a little longer each time. The backend marks that
+ * 409 with a Retry-After header; a 409 from the request itself (e.g. a
+ * conflicting update) is not retried.
  */
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
+  async (error) => {
+    const config = error.config;
+    const status = error.response?.status;
+    const stillRunning = status === 409 && error.response.headers?.["retry-after"] !== undefined;
+    const retryable = !error.response || stillRunning || RETRYABLE_STATUSES.includes(status);
+
+    if (config?.headers?.["Idempotency-Key"] && retryable && (config.idempotentRetries || 0) < IDEMPOTENT_RETRY_LIMIT) {
+      config.idempotentRetries = (config.idempotentRetries || 0) + 1;
+      await new Promise((resolve) => setTimeout(resolve, IDEMPOTENT_RETRY_DELAY_MS * config.idempotentRetries));
+      return api(config);
+    }
+
+    if (status === 401) {
       console.warn("Unauthorized request - token may be expired.");
     }
     return Promise.reject(error);
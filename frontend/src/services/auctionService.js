@@ -0,0 +1,73 @@
+/**
+ * @fileoverview Auction Service for AgriSahayak Frontend
+ *
+ * Functions for timed auctions backed by the /api/auctions endpoints:
+ * creating an auction on a crop listing, listing and viewing auctions,
+ * bidding, and cancelling.
+ *
+ * Backend endpoints:
+ * - POST /api/auctions             → Create an auction (farmer)
+ * - GET  /api/auctions             → List auctions (?status=&cropId=&mine=)
+ * - GET  /api/auctions/:id         → Auction detail with bids
+ * - POST /api/auctions/:id/bids    → Place a bid (buyer)
+ * - POST /api/auctions/:id/proxy   → Set or raise a hidden maximum bid (buyer)
+ * - PUT  /api/auctions/:id/cancel  → Cancel an active auction (farmer)
+ *
+ * @module services/auctionService
+ * @requires services/api - Pre-configured Axios instance with auth interceptor
+ *
+ * @see Epic 4, Story 4.1 - Create Auction
+ * @see Epic 4, Story 4.2 - Place Real-Time Bids
+ */
+
+import api from './api';
+
+/**
+ * Auction Service Object
+ *
+ * @namespace auctionService
+ */
+export const auctionService = {
+  /** Create an auction: { cropId, startingPrice, reservePrice, quantity, durationHours } */
+  create: async (data) => api.post('/auctions', data),
+
+  /** List auctions (defaults to active ones) */
+  getAll: async (params = {}) => api.get('/auctions', { params }),
+
+  /** Get a single auction with its bids */
+  getById: async (auctionId) => api.get(`/auctions/${auctionId}`),
+
+  /** Place a bid in an auction */
+  placeBid: async (auctionId, amount) => api.post(`/auctions/${auctionId}/bids`, { amount }),
+
+  /** Set or raise a hidden maximum; the server bids for the buyer up to it */
+  setProxyBid: async (auctionId, maxAmount) => api.post(`/auctions/${auctionId}/proxy`, { maxAmount }),
+
+  /** Cancel an active auction (farmer only) */
+  cancel: async (auctionId) => api.put(`/auctions/${auctionId}/cancel`),
+};
+
+/**
+ * Map a server auction document to the flat shape used by AuctionCard.
+ *
+ * @param {Object} auction - Auction from GET /api/auctions
+ * @returns {Object} Card-friendly auction
+ */
+export const toAuctionCard = (auction) => ({
+  id: auction._id,
+  cropId: auction.crop?._id || auction.crop,
+  cropName: auction.crop?.name || 'Crop',
+  farmerName: auction.farmer?.name || 'Farmer',
+  startingPrice: auction.startingPrice,
+  currentBid: auction.bidCount > 0 ? auction.currentBid : auction.startingPrice,
+  minNextBid: auction.minNextBid,
+  reserveMet: auction.reserveMet,
+  highestBidder: auction.highestBid?.buyerId?._id || null,
+  highestBidderName: auction.highestBid?.buyerId?.name || null,
+  endTime: auction.endTime,
+  originalEndTime: auction.originalEndTime,
+  extensionCount: auction.extensions?.length || 0,
+  status: auction.status,
+  bidCount: auction.bidCount || 0,
+  quantity: auction.quantity,
+});
@@ -0,0 +1,49 @@
+/**
+ * @fileoverview Cart Service for AgriSahayak Frontend
+ *
+ * Functions for the buyer's server-side shopping cart backed by the
+ * /api/cart endpoints. Every call that changes the cart resolves with the
+ * updated cart: { items, farmers, totalAmount }, where `farmers` groups the
+ * items into the orders checkout will create (one per farmer).
+ *
+ * Backend endpoints:
+ * - GET    /api/cart                → Get the cart
+ * - POST   /api/cart/items          → Add a listing (or more of it)
+ * - PUT    /api/cart/items/:cropId  → Change an item's quantity
+ * - DELETE /api/cart/items/:cropId  → Remove an item
+ * - DELETE /api/cart                → Empty the cart
+ * - POST   /api/cart/checkout       → Check out (one order per farmer)
+ *
+ * @module services/cartService
+ * @requires services/api - Pre-configured Axios instance with auth interceptor
+ *
+ * @see Epic 4, Story 4.1 - Fixed-Price Purchase
+ * @see BuyNowPaymentPage.jsx - Cart review and checkout
+ */
+
+import api from './api';
+
+/**
+ * Cart Service Object
+ *
+ * @namespace cartService
+ */
+export const cartService = {
+  /** Get the current buyer's cart */
+  get: async () => api.get('/cart'),
+
+  /** Add a listing to the cart: adds to the quantity if it is already there */
+  addItem: async (cropId, quantity = 1) => api.post('/cart/items', { cropId, quantity }),
+
+  /** Set the quantity of a cart item */
+  updateItem: async (cropId, quantity) => api.put(`/cart/items/${cropId}`, { quantity }),
+
+  /** Remove a listing from the cart */
+  removeItem: async (cropId) => api.delete(`/cart/items/${cropId}`),
+
+  /** Empty the cart */
+  clear: async () => api.delete('/cart'),
+
+  /** Check out: { paymentMethod, shippingAddress, paymentDetails? } → { checkoutId, orders } */
+  checkout: async (data) => api.post('/cart/checkout', data),
+};
@@ -100,6 +100,27 @@ export const cropService = {
     return response;
   },
 
+  /**
+   * Get a listing's auto-negotiation rules (its farmer only)
+   * @param {string} id - Crop ID
+   * @returns {Promise<import('axios').AxiosResponse>}
+   */
+  getNegotiationRules: async (id) => {
+    const response = await api.get(`/crops/${id}/negotiation-rules`);
+    return response;
+  },
+
+  /**
+   * Set a listing's auto-negotiation rules
+   * @param {string} id - Crop ID
+   * @param {Object} rules - { enabled, floorPrice?, autoAcceptPrice?, counterStrategy?, maxRounds? }
+   * @returns {Promise<import('axios').AxiosResponse>}
+   */
+  updateNegotiationRules: async (id, rules) => {
+    const response = await api.put(`/crops/${id}/negotiation-rules`, rules);
+    return response;
+  },
+
   /**
    * Delete a crop listing
    * @param {string} id - Crop ID
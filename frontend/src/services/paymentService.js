@@ -0,0 +1,50 @@
+/**
+ * @fileoverview Payment Service for AgriSahayak Frontend
+ *
+ * Functions for online (card/UPI) order payments backed by the
+ * /api/payments endpoints. Orders are created by tradeService.createOrder
+ * or cartService.checkout; these calls follow a payment that is still
+ * processing, retry one that failed, or pay the balance of an order
+ * booked with an advance.
+ *
+ * Backend endpoints:
+ * - GET  /api/payments/orders/:orderId        → Payment state of an order
+ * - POST /api/payments/orders/:orderId/retry  → Retry a failed payment
+ * - POST /api/payments/orders/:orderId/balance → Pay the balance of an order
+ * - GET  /api/payments/methods                → Saved cards and UPI IDs
+ * - DELETE /api/payments/methods/:id          → Remove a saved method
+ * - GET  /api/payments/statement              → Farmer's settlement statement
+ *
+ * @module services/paymentService
+ * @requires services/api - Pre-configured Axios instance with auth interceptor
+ *
+ * @see Epic 4, Story 4.1 - Fixed-Price Purchase
+ * @see BuyNowPaymentPage.jsx - Pending, failed and retry states
+ */
+
+import api from './api';
+
+/**
+ * Payment Service Object
+ *
+ * @namespace paymentService
+ */
+export const paymentService = {
+  /** Payment state: { paymentStatus, status, failureReason, attempts, ... } */
+  getOrderPayment: async (orderId) => api.get(`/payments/orders/${orderId}`),
+
+  /** Retry a failed payment: { paymentMethod?, paymentDetails? | paymentMethodId?, saveMethod? } → { payment, orders } */
+  retry: async (orderId, data) => api.post(`/payments/orders/${orderId}/retry`, data),
+
+  /** Pay an order's balance once shipped: { paymentMethod?, paymentDetails? | paymentMethodId?, saveMethod? } → { payment, order } */
+  payBalance: async (orderId, data) => api.post(`/payments/orders/${orderId}/balance`, data),
+
+  /** Saved methods: [{ _id, type, brand, last4, expMonth, expYear, upiHandle, expired }] */
+  getSavedMethods: async () => api.get('/payments/methods'),
+
+  /** Remove a saved method */
+  removeSavedMethod: async (id) => api.delete(`/payments/methods/${id}`),
+
+  /** Farmer's settlement statement: { from?, to? } (YYYY-MM-DD) → { openingBalance, closingBalance, inEscrow, totals, entries } */
+  getStatement: async (params) => api.get('/payments/statement', { params }),
+};
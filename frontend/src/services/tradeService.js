@@ -10,10 +10,12 @@
  * the backend (routes/tradeRoutes.js + controllers/tradeController.js).
  * 
  * Planned backend endpoints:
- * - POST /api/trade/bid           → Place a bid on an auction
+ * - POST /api/trade/bid           → Place a bid on a crop listing
  * - POST /api/trade/offer         → Send a price offer in negotiation
  * - GET  /api/trade/orders        → Get user's orders
  * - PUT  /api/trade/orders/:id    → Update order status
+ * - POST /api/trade/orders/:id/cancel → Cancel an order with a reason
+ * - GET  /api/trade/orders/:id/invoice → Download the order's invoice PDF
  * 
  * @module services/tradeService
  * @requires services/api - Pre-configured Axios instance with auth interceptor
@@ -35,23 +37,52 @@ import api from './api';
  * @namespace tradeService
  */
 export const tradeService = {
-  /** Place a bid on an auction */
+  /**
+   * Place a bid on a crop listing: { cropId, amount, quantity? }.
+   * The first bid must reach the asking price; later bids must beat the highest open bid.
+   */
   placeBid: async (bidData) => api.post('/trade/bid', bidData),
 
   /** Start a new negotiation for a crop */
   startNegotiation: async (data) => api.post('/trade/negotiation/start', data),
 
-  /** Send a price offer in an existing negotiation */
+  /**
+   * Negotiation inbox: { role?, status?, crop?, counterparty?, page?, limit? }.
+   * Returns { negotiations (each with unreadCount), page, totalPages, total, unread }.
+   */
+  listNegotiations: async (params) => api.get('/trade/negotiations', { params }),
+
+  /** Mark a negotiation read by the current user */
+  markNegotiationRead: async (negotiationId) => api.put(`/trade/negotiation/${negotiationId}/read`),
+
+  /** Get one negotiation thread (buyer or farmer of it) */
+  getNegotiation: async (negotiationId) => api.get(`/trade/negotiation/${negotiationId}`),
+
+  /**
+   * Send a message, or an offer: { negotiationId, message?, amount?, quantity?, validUntil? }.
+   * An offer supersedes the earlier ones.
+   */
   sendOffer: async (offerData) => api.post('/trade/negotiation/offer', offerData),
 
-  /** Accept a negotiation (farmer only) */
-  acceptNegotiation: async (negotiationId) => api.put(`/trade/negotiation/${negotiationId}/accept`),
+  /** Accept the other party's live offer (buyer or farmer) */
+  acceptNegotiation: async (negotiationId, offerId) => api.put(`/trade/negotiation/${negotiationId}/accept`, offerId ? { offerId } : {}),
 
   /** Reject a negotiation (farmer only) */
   rejectNegotiation: async (negotiationId) => api.put(`/trade/negotiation/${negotiationId}/reject`),
 
-  /** Create an order (buy now or from negotiation) */
-  createOrder: async (orderData) => api.post('/trade/orders', orderData),
+  /**
+   * Price an order before placing it: { cropId, quantity, bidId?, negotiationId? }.
+   * Returns the subtotal, each buyer fee line, shipping and the total.
+   */
+  getQuote: async (params) => api.get('/trade/quote', { params }),
+
+  /**
+   * Create an order (buy now or from negotiation). Sent with an
+   * Idempotency-Key: pass the same key to safely send the same order again.
+   */
+  createOrder: async (orderData, idempotencyKey) => api.post('/trade/orders', orderData, {
+    headers: idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : undefined,
+  }),
 
   /** Get current user's orders */
   getOrders: async () => api.get('/trade/orders'),
@@ -73,4 +104,22 @@ export const tradeService = {
 
   /** Update order status (farmer only) */
   updateOrderStatus: async (id, data) => api.put(`/trade/orders/${id}`, data),
+
+  /** Cancel an order before it ships; a reason is required */
+  cancelOrder: async (id, reason) => api.post(`/trade/orders/${id}/cancel`, { reason }),
+
+  /** Report a problem with a shipped order; its payment stays in escrow until reviewed */
+  disputeOrder: async (id, reason) => api.post(`/trade/orders/${id}/dispute`, { reason }),
+
+  /** Record the cash received for a shipped COD order: { amount, agentName?, note? } */
+  recordCodCollection: async (id, data) => api.post(`/trade/orders/${id}/cod-collection`, data),
+
+  /**
+   * Download an order's PDF as a Blob: the buyer gets the tax invoice, the
+   * farmer the bill of supply. Admins choose with `document`.
+   */
+  getInvoice: async (id, document) => api.get(`/trade/orders/${id}/invoice`, {
+    params: document ? { document } : undefined,
+    responseType: 'blob',
+  }),
 };
\ No newline at end of file
@@ -0,0 +1,26 @@
+/**
+ * @fileoverview File Download Helper for AgriSahayak Frontend
+ *
+ * Saves data fetched by the app (e.g. an invoice PDF requested with
+ * `responseType: 'blob'`) as a file, through a temporary object URL.
+ *
+ * @module utils/downloadFile
+ */
+
+/**
+ * Save a Blob as a downloaded file.
+ *
+ * @function saveBlob
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Name offered to the user
+ */
+export function saveBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
@@ -51,6 +51,17 @@ export const formatQuintalQuantity = (amount) => {
 
 export const formatQuintalRate = (amount) => `₹${amount}/quintal`;
 
+/**
+ * Quintals of a listing that can still be bought: total quantity minus
+ * what is reserved for accepted bids, negotiations and auctions.
+ *
+ * @function getAvailableQuantity
+ * @param {Object} crop - Crop with quantity and reservedQuantity
+ * @returns {number} Available quintals
+ */
+export const getAvailableQuantity = (crop) =>
+  Math.max(0, (Number(crop?.quantity) || 0) - (Number(crop?.reservedQuantity) || 0));
+
 /**
  * Play Success Sound Effect
  * 